@@ -1,10 +1,15 @@
+using System.IdentityModel.Tokens.Jwt;
+using System.Text.RegularExpressions;
 using FluentAssertions;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Caching.Memory;
 using Microsoft.Extensions.Configuration;
+using Moq;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
 using ProSocialApi.DTOs.Auth;
 using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Tests.Services;
 
@@ -17,6 +22,13 @@ public class AuthServiceTests : IDisposable
     private readonly ApplicationDbContext _context;
     private readonly AuthService _authService;
     private readonly IConfiguration _configuration;
+    private readonly Mock<IEmailSender> _emailSenderMock;
+    private readonly TwoFactorService _twoFactorService;
+    private readonly MemoryCache _cache = new(new MemoryCacheOptions());
+    private readonly LoginAttemptService _loginAttemptService;
+
+    // Emails "envoyés" pendant le test : (destinataire, objet, contenu)
+    private readonly List<(string To, string Subject, string Body)> _sentEmails = new();
 
     public AuthServiceTests()
     {
@@ -33,22 +45,88 @@ public class AuthServiceTests : IDisposable
             { "Jwt:Secret", "TestSecretKeyForUnitTestingPurposesOnly12345!" },
             { "Jwt:Issuer", "TestIssuer" },
             { "Jwt:Audience", "TestAudience" },
-            { "Jwt:ExpiresInDays", "7" }
+            { "Jwt:AccessTokenMinutes", "15" },
+            { "Jwt:RefreshTokenDays", "30" },
+            { "App:BaseUrl", "https://prosocial.test" }
         };
 
         _configuration = new ConfigurationBuilder()
             .AddInMemoryCollection(inMemorySettings)
             .Build();
 
-        _authService = new AuthService(_context, _configuration);
+        _emailSenderMock = new Mock<IEmailSender>();
+        _emailSenderMock
+            .Setup(e => e.SendAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>()))
+            .Callback<string, string, string>((to, subject, body) => _sentEmails.Add((to, subject, body)))
+            .Returns(Task.CompletedTask);
+
+        _twoFactorService = new TwoFactorService(_context);
+        _loginAttemptService = new LoginAttemptService(_cache, _configuration);
+        _authService = new AuthService(_context, _configuration, _emailSenderMock.Object,
+            new SessionService(_context, _configuration, Mock.Of<IRealtimeService>()), _twoFactorService, _loginAttemptService);
     }
 
     public void Dispose()
     {
         _context.Database.EnsureDeleted();
         _context.Dispose();
+        _cache.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(string email = "test@example.com", string password = "Password123", bool emailVerified = false)
+    {
+        var user = new User
+        {
+            Email = email,
+            Password = BCrypt.Net.BCrypt.HashPassword(password),
+            FirstName = "Jean",
+            LastName = "Dupont",
+            EmailVerifiedAt = emailVerified ? DateTime.UtcNow : null
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    // Service dont la configuration des liens diffère (ex: durée de validité)
+    private AuthService CreateService(string key, string value)
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddConfiguration(_configuration)
+            .AddInMemoryCollection(new Dictionary<string, string?> { { key, value } })
+            .Build();
+
+        return new AuthService(_context, configuration, _emailSenderMock.Object,
+            new SessionService(_context, configuration, Mock.Of<IRealtimeService>()), _twoFactorService, _loginAttemptService);
+    }
+
+    // Active la double authentification et retourne les codes de secours
+    private async Task<List<string>> EnableTwoFactorAsync(User user)
+    {
+        await _twoFactorService.BeginSetupAsync(user.Id);
+        var code = TwoFactorService.ComputeCode(user.TwoFactorSecret!, TwoFactorService.GetTimeStep(DateTimeOffset.UtcNow));
+        var (_, _, recoveryCodes) = await _twoFactorService.EnableAsync(user.Id, code);
+        return recoveryCodes!;
+    }
+
+    // Code de l'application pour l'intervalle suivant (celui de l'activation a déjà servi)
+    private static string GetNextCode(User user)
+    {
+        return TwoFactorService.ComputeCode(user.TwoFactorSecret!, TwoFactorService.GetTimeStep(DateTimeOffset.UtcNow) + 1);
+    }
+
+    // Token du lien contenu dans le dernier email envoyé
+    private string GetTokenFromLastEmail(string page)
+    {
+        var match = Regex.Match(_sentEmails.Last().Body, $@"https://prosocial\.test/AuthView/{page}\?token=(\S+)");
+        match.Success.Should().BeTrue();
+        return Uri.UnescapeDataString(match.Groups[1].Value);
     }
 
+    #endregion
+
     #region RegisterAsync Tests
 
     [Fact]
@@ -262,6 +340,29 @@ public class AuthServiceTests : IDisposable
         result.User.Should().BeNull();
     }
 
+    [Fact]
+    public async Task LoginAsync_WithSuspendedAccount_ShouldReturnFailure()
+    {
+        // Arrange
+        _context.Users.Add(new User
+        {
+            Email = "test@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("Password123"),
+            FirstName = "Jean",
+            LastName = "Dupont",
+            SuspendedAt = DateTime.UtcNow
+        });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = "test@example.com", Password = "Password123" });
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Ce compte a été suspendu par la modération");
+        result.Token.Should().BeNull();
+    }
+
     [Fact]
     public async Task LoginAsync_WithDifferentCaseEmail_ShouldSucceed()
     {
@@ -350,5 +451,585 @@ public class AuthServiceTests : IDisposable
         result.Token!.Split('.').Should().HaveCount(3);
     }
 
+    [Fact]
+    public async Task LoginAsync_ShouldIncludeRoleClaimInToken()
+    {
+        // Arrange
+        _context.Users.Add(new User
+        {
+            Email = "moderator@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("Password123"),
+            FirstName = "Marie",
+            LastName = "Martin",
+            Role = UserRole.Moderator
+        });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = "moderator@example.com", Password = "Password123" });
+
+        // Assert
+        result.User!.Role.Should().Be("Moderator");
+        var token = new JwtSecurityTokenHandler().ReadJwtToken(result.Token);
+        token.Claims.Should().Contain(c => c.Type == "role" && c.Value == "Moderator");
+    }
+
+    [Fact]
+    public async Task LoginAsync_ShouldOpenSessionAndIssueShortLivedToken()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" }, "Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0", "10.0.0.1");
+
+        // Assert
+        result.RefreshToken.Should().NotBeNullOrEmpty();
+        var session = await _context.UserSessions.SingleAsync();
+        session.UserId.Should().Be(user.Id);
+        session.IpAddress.Should().Be("10.0.0.1");
+
+        var token = new JwtSecurityTokenHandler().ReadJwtToken(result.Token);
+        token.Claims.Should().Contain(c => c.Type == JwtRegisteredClaimNames.Sid && c.Value == session.Id.ToString());
+        token.ValidTo.Should().BeCloseTo(DateTime.UtcNow.AddMinutes(15), TimeSpan.FromMinutes(1));
+    }
+
+    #endregion
+
+    #region Session Tests
+
+    [Fact]
+    public async Task RefreshAsync_WithValidRefreshToken_ShouldIssueNewTokens()
+    {
+        // Arrange
+        var user = CreateUser();
+        var login = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Act
+        var result = await _authService.RefreshAsync(login.RefreshToken);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Token.Should().NotBeNullOrEmpty();
+        result.RefreshToken.Should().NotBeNullOrEmpty().And.NotBe(login.RefreshToken);
+        result.User!.Id.Should().Be(user.Id);
+    }
+
+    [Fact]
+    public async Task RefreshAsync_AfterLogout_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+        var login = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        await _authService.LogoutAsync(login.RefreshToken);
+
+        // Act
+        var result = await _authService.RefreshAsync(login.RefreshToken);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Token.Should().BeNull();
+        (await _context.UserSessions.AnyAsync()).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task RefreshAsync_WithoutRefreshToken_ShouldFail()
+    {
+        // Act
+        var result = await _authService.RefreshAsync(null);
+
+        // Assert
+        result.Success.Should().BeFalse();
+    }
+
+    #endregion
+
+    #region Two-Factor Login Tests
+
+    [Fact]
+    public async Task LoginAsync_WithTwoFactorEnabled_ShouldRequireCodeWithoutOpeningSession()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableTwoFactorAsync(user);
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.RequiresTwoFactor.Should().BeTrue();
+        result.TwoFactorToken.Should().NotBeNullOrEmpty();
+        result.Token.Should().BeNull();
+        (await _context.UserSessions.AnyAsync()).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task LoginWithTwoFactorAsync_WithValidCode_ShouldOpenSession()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableTwoFactorAsync(user);
+        var firstStep = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Act
+        var result = await _authService.LoginWithTwoFactorAsync(new TwoFactorLoginDto
+        {
+            TwoFactorToken = firstStep.TwoFactorToken!,
+            Code = GetNextCode(user)
+        });
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Token.Should().NotBeNullOrEmpty();
+        result.User!.Id.Should().Be(user.Id);
+        (await _context.UserSessions.CountAsync()).Should().Be(1);
+    }
+
+    [Fact]
+    public async Task LoginWithTwoFactorAsync_WithWrongCode_ShouldAllowAnotherAttempt()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableTwoFactorAsync(user);
+        var firstStep = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Code qui ne correspond à aucun intervalle accepté
+        var currentStep = TwoFactorService.GetTimeStep(DateTimeOffset.UtcNow);
+        var validCodes = Enumerable.Range(-1, 3).Select(i => TwoFactorService.ComputeCode(user.TwoFactorSecret!, currentStep + i)).ToList();
+        var wrongCode = new[] { "000000", "111111", "222222", "333333" }.First(c => !validCodes.Contains(c));
+
+        // Act
+        var result = await _authService.LoginWithTwoFactorAsync(new TwoFactorLoginDto
+        {
+            TwoFactorToken = firstStep.TwoFactorToken!,
+            Code = wrongCode
+        });
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Message.Should().Be("Code de vérification incorrect");
+        result.RequiresTwoFactor.Should().BeTrue();
+        result.TwoFactorToken.Should().Be(firstStep.TwoFactorToken);
+    }
+
+    [Fact]
+    public async Task LoginWithTwoFactorAsync_WithRecoveryCode_ShouldSucceedOnlyOnce()
+    {
+        // Arrange
+        var user = CreateUser();
+        var recoveryCodes = await EnableTwoFactorAsync(user);
+        var firstStep = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        var dto = new TwoFactorLoginDto { TwoFactorToken = firstStep.TwoFactorToken!, Code = recoveryCodes[0].ToLowerInvariant() };
+
+        // Act
+        var first = await _authService.LoginWithTwoFactorAsync(dto);
+        var second = await _authService.LoginWithTwoFactorAsync(dto);
+
+        // Assert
+        first.Success.Should().BeTrue();
+        second.Success.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task LoginWithTwoFactorAsync_AfterPasswordChange_ShouldExpire()
+    {
+        // Arrange : le mot de passe change entre les deux étapes
+        var user = CreateUser();
+        await EnableTwoFactorAsync(user);
+        var firstStep = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        user.Password = BCrypt.Net.BCrypt.HashPassword("Nouveau1");
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _authService.LoginWithTwoFactorAsync(new TwoFactorLoginDto
+        {
+            TwoFactorToken = firstStep.TwoFactorToken!,
+            Code = GetNextCode(user)
+        });
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.RequiresTwoFactor.Should().BeFalse();
+        result.Message.Should().Be("La connexion a expiré, veuillez recommencer");
+    }
+
+    #endregion
+
+    #region Login Attempts Tests
+
+    [Fact]
+    public async Task LoginAsync_AfterRepeatedFailures_ShouldRefuseEvenTheRightPassword()
+    {
+        // Arrange : 3 échecs gratuits, le suivant impose une attente
+        var user = CreateUser();
+        for (var i = 0; i < 3; i++)
+            await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "mauvais" }, ipAddress: "10.0.0.1");
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" }, ipAddress: "10.0.0.1");
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.RetryAfterSeconds.Should().BePositive();
+        result.Message.Should().StartWith("Trop de tentatives de connexion");
+        result.Token.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task LoginAsync_WithUnknownEmail_ShouldCountFailuresLikeAnExistingAccount()
+    {
+        // Arrange
+        for (var i = 0; i < 3; i++)
+            await _authService.LoginAsync(new LoginDto { Email = "inconnu@example.com", Password = "mauvais" });
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = "INCONNU@example.com", Password = "mauvais" });
+
+        // Assert
+        result.RetryAfterSeconds.Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task LoginAsync_Success_ShouldForgetPreviousFailuresOfTheAccount()
+    {
+        // Arrange
+        var user = CreateUser();
+        for (var i = 0; i < 2; i++)
+            await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "mauvais" });
+        await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Act : sans la remise à zéro, ce serait le troisième échec et une attente
+        await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "mauvais" });
+
+        // Assert
+        _loginAttemptService.GetRetryAfter(user.Email, null).Should().BeNull();
+    }
+
+    [Fact]
+    public async Task LoginWithTwoFactorAsync_AfterRepeatedWrongCodes_ShouldRefuseTheRightCode()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableTwoFactorAsync(user);
+        var firstStep = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        for (var i = 0; i < 3; i++)
+            await _authService.LoginWithTwoFactorAsync(new TwoFactorLoginDto { TwoFactorToken = firstStep.TwoFactorToken!, Code = "abcdef" });
+
+        // Act
+        var result = await _authService.LoginWithTwoFactorAsync(new TwoFactorLoginDto
+        {
+            TwoFactorToken = firstStep.TwoFactorToken!,
+            Code = GetNextCode(user)
+        });
+
+        // Assert : toujours à la seconde étape, après l'attente
+        result.Success.Should().BeFalse();
+        result.RetryAfterSeconds.Should().BePositive();
+        result.RequiresTwoFactor.Should().BeTrue();
+        result.TwoFactorToken.Should().Be(firstStep.TwoFactorToken);
+    }
+
+    [Fact]
+    public async Task LoginAsync_WithTwoFactorEnabled_ShouldNotForgetWrongCodesAfterTheRightPassword()
+    {
+        // Arrange : codes incorrects, puis nouvelle première étape avec le bon mot de passe
+        var user = CreateUser();
+        await EnableTwoFactorAsync(user);
+        var firstStep = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        for (var i = 0; i < 3; i++)
+            await _authService.LoginWithTwoFactorAsync(new TwoFactorLoginDto { TwoFactorToken = firstStep.TwoFactorToken!, Code = "abcdef" });
+
+        // Act
+        var result = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Assert
+        result.RetryAfterSeconds.Should().NotBeNull();
+        result.TwoFactorToken.Should().BeNull();
+    }
+
+    #endregion
+
+    #region Email Verification Tests
+
+    [Fact]
+    public async Task RegisterAsync_ShouldSendVerificationEmail()
+    {
+        // Arrange
+        var registerDto = new RegisterDto
+        {
+            Email = "Nouveau@Example.com",
+            Password = "Password123",
+            ConfirmPassword = "Password123",
+            FirstName = "Jean",
+            LastName = "Dupont"
+        };
+
+        // Act
+        var result = await _authService.RegisterAsync(registerDto);
+
+        // Assert
+        result.User!.EmailVerified.Should().BeFalse();
+        _sentEmails.Should().ContainSingle();
+        _sentEmails[0].To.Should().Be("nouveau@example.com");
+        _sentEmails[0].Body.Should().Contain("https://prosocial.test/AuthView/VerifyEmail?token=");
+    }
+
+    [Fact]
+    public async Task RegisterAsync_WhenEmailCannotBeSent_ShouldStillSucceed()
+    {
+        // Arrange
+        _emailSenderMock
+            .Setup(e => e.SendAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>()))
+            .ThrowsAsync(new InvalidOperationException("SMTP indisponible"));
+
+        // Act
+        var result = await _authService.RegisterAsync(new RegisterDto
+        {
+            Email = "test@example.com",
+            Password = "Password123",
+            ConfirmPassword = "Password123",
+            FirstName = "Jean",
+            LastName = "Dupont"
+        });
+
+        // Assert
+        result.Success.Should().BeTrue();
+        _context.Users.Should().ContainSingle();
+    }
+
+    [Fact]
+    public async Task VerifyEmailAsync_WithValidToken_ShouldConfirmEmail()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _authService.SendEmailVerificationAsync(user.Id);
+        var token = GetTokenFromLastEmail("VerifyEmail");
+
+        // Act
+        var result = await _authService.VerifyEmailAsync(token);
+        var login = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+
+        // Assert
+        result.Should().Be(user.Id);
+        (await _context.Users.FindAsync(user.Id))!.EmailVerifiedAt.Should().NotBeNull();
+        login.User!.EmailVerified.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task VerifyEmailAsync_ShouldBeSingleUse()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _authService.SendEmailVerificationAsync(user.Id);
+        var token = GetTokenFromLastEmail("VerifyEmail");
+        await _authService.VerifyEmailAsync(token);
+
+        // Act
+        var result = await _authService.VerifyEmailAsync(token);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task VerifyEmailAsync_AfterEmailChange_ShouldReturnNull()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _authService.SendEmailVerificationAsync(user.Id);
+        var token = GetTokenFromLastEmail("VerifyEmail");
+        user.Email = "autre@example.com";
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _authService.VerifyEmailAsync(token);
+
+        // Assert
+        result.Should().BeNull();
+        user.EmailVerifiedAt.Should().BeNull();
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("pas-un-token")]
+    [InlineData("abc.def")]
+    [InlineData("a.b.c")]
+    public async Task VerifyEmailAsync_WithMalformedToken_ShouldReturnNull(string token)
+    {
+        // Act
+        var result = await _authService.VerifyEmailAsync(token);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task VerifyEmailAsync_WithTamperedToken_ShouldReturnNull()
+    {
+        // Arrange : le contenu est remplacé par celui d'un autre compte, la signature ne correspond plus
+        var user = CreateUser();
+        var other = CreateUser("autre@example.com");
+        await _authService.SendEmailVerificationAsync(user.Id);
+        var token = GetTokenFromLastEmail("VerifyEmail");
+        await _authService.SendEmailVerificationAsync(other.Id);
+        var otherToken = GetTokenFromLastEmail("VerifyEmail");
+        var tampered = $"{otherToken.Split('.')[0]}.{token.Split('.')[1]}";
+
+        // Act
+        var result = await _authService.VerifyEmailAsync(tampered);
+
+        // Assert
+        result.Should().BeNull();
+        other.EmailVerifiedAt.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task VerifyEmailAsync_WithPasswordResetToken_ShouldReturnNull()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _authService.RequestPasswordResetAsync(user.Email);
+        var resetToken = GetTokenFromLastEmail("ResetPassword");
+
+        // Act
+        var result = await _authService.VerifyEmailAsync(resetToken);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task SendEmailVerificationAsync_WhenAlreadyVerified_ShouldReturnFalse()
+    {
+        // Arrange
+        var user = CreateUser(emailVerified: true);
+
+        // Act
+        var result = await _authService.SendEmailVerificationAsync(user.Id);
+
+        // Assert
+        result.Should().BeFalse();
+        _sentEmails.Should().BeEmpty();
+    }
+
+    #endregion
+
+    #region Password Reset Tests
+
+    [Fact]
+    public async Task RequestPasswordResetAsync_ShouldSendResetLink()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        await _authService.RequestPasswordResetAsync("TEST@example.com");
+
+        // Assert
+        _sentEmails.Should().ContainSingle();
+        _sentEmails[0].To.Should().Be(user.Email);
+        _sentEmails[0].Body.Should().Contain("https://prosocial.test/AuthView/ResetPassword?token=");
+    }
+
+    [Fact]
+    public async Task RequestPasswordResetAsync_WithUnknownEmail_ShouldNotSendEmail()
+    {
+        // Act
+        await _authService.RequestPasswordResetAsync("inconnu@example.com");
+
+        // Assert
+        _sentEmails.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task ResetPasswordAsync_WithValidToken_ShouldChangePasswordAndConfirmEmail()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _authService.RequestPasswordResetAsync(user.Email);
+        var token = GetTokenFromLastEmail("ResetPassword");
+
+        // Act
+        var result = await _authService.ResetPasswordAsync(new ResetPasswordDto
+        {
+            Token = token,
+            Password = "NouveauMotDePasse1",
+            ConfirmPassword = "NouveauMotDePasse1"
+        });
+
+        // Assert
+        result.Should().BeTrue();
+        user.EmailVerifiedAt.Should().NotBeNull();
+        (await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" })).Success.Should().BeFalse();
+        (await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "NouveauMotDePasse1" })).Success.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task ResetPasswordAsync_ShouldBeSingleUse()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _authService.RequestPasswordResetAsync(user.Email);
+        var token = GetTokenFromLastEmail("ResetPassword");
+        await _authService.ResetPasswordAsync(new ResetPasswordDto { Token = token, Password = "Premier1", ConfirmPassword = "Premier1" });
+
+        // Act
+        var result = await _authService.ResetPasswordAsync(new ResetPasswordDto { Token = token, Password = "Second2", ConfirmPassword = "Second2" });
+
+        // Assert
+        result.Should().BeFalse();
+        BCrypt.Net.BCrypt.Verify("Premier1", user.Password).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task ResetPasswordAsync_ShouldCloseAllSessions()
+    {
+        // Arrange : le compte est connecté sur deux appareils
+        var user = CreateUser();
+        var login = await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        await _authService.LoginAsync(new LoginDto { Email = user.Email, Password = "Password123" });
+        await _authService.RequestPasswordResetAsync(user.Email);
+        var token = GetTokenFromLastEmail("ResetPassword");
+
+        // Act
+        await _authService.ResetPasswordAsync(new ResetPasswordDto { Token = token, Password = "Nouveau1", ConfirmPassword = "Nouveau1" });
+
+        // Assert
+        (await _context.UserSessions.AnyAsync(s => s.UserId == user.Id)).Should().BeFalse();
+        (await _authService.RefreshAsync(login.RefreshToken)).Success.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task ResetPasswordAsync_WithExpiredToken_ShouldReturnFalse()
+    {
+        // Arrange : lien dont la validité est déjà écoulée
+        var user = CreateUser();
+        await CreateService("AccountTokens:PasswordResetMinutes", "-1").RequestPasswordResetAsync(user.Email);
+        var token = GetTokenFromLastEmail("ResetPassword");
+
+        // Act
+        var result = await _authService.ResetPasswordAsync(new ResetPasswordDto { Token = token, Password = "Nouveau1", ConfirmPassword = "Nouveau1" });
+
+        // Assert
+        result.Should().BeFalse();
+        BCrypt.Net.BCrypt.Verify("Password123", user.Password).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task ResetPasswordAsync_WithTokenSignedWithAnotherSecret_ShouldReturnFalse()
+    {
+        // Arrange
+        var user = CreateUser();
+        await CreateService("Jwt:Secret", "UnAutreSecretQuiNeCorrespondPasDuTout123!").RequestPasswordResetAsync(user.Email);
+        var token = GetTokenFromLastEmail("ResetPassword");
+
+        // Act
+        var result = await _authService.ResetPasswordAsync(new ResetPasswordDto { Token = token, Password = "Nouveau1", ConfirmPassword = "Nouveau1" });
+
+        // Assert
+        result.Should().BeFalse();
+    }
+
     #endregion
 }
@@ -0,0 +1,190 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Services;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour BlockService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// </summary>
+public class BlockServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly BlockService _blockService;
+
+    public BlockServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _blockService = new BlockService(_context);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(string firstName = "Test", string lastName = "User")
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = firstName,
+            LastName = lastName
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private void Connect(Guid userId, Guid otherUserId)
+    {
+        _context.Connections.Add(new Connection
+        {
+            Id = Guid.NewGuid(),
+            RequesterId = userId,
+            AddresseeId = otherUserId,
+            Status = ConnectionStatus.Accepted
+        });
+        _context.SaveChanges();
+    }
+
+    #endregion
+
+    #region BlockAsync Tests
+
+    [Fact]
+    public async Task BlockAsync_ShouldRemoveExistingConnection()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        Connect(other.Id, user.Id);
+
+        // Act
+        var (success, message) = await _blockService.BlockAsync(user.Id, other.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        message.Should().Be("Membre bloqué");
+        (await _context.Connections.AnyAsync()).Should().BeFalse();
+        (await _blockService.IsBlockedAsync(other.Id, user.Id)).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task BlockAsync_Twice_ShouldSucceedWithSingleEntry()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+
+        // Act
+        await _blockService.BlockAsync(user.Id, other.Id);
+        var (success, _) = await _blockService.BlockAsync(user.Id, other.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        (await _context.UserBlocks.CountAsync()).Should().Be(1);
+    }
+
+    [Fact]
+    public async Task BlockAsync_Self_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (success, message) = await _blockService.BlockAsync(user.Id, user.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Vous ne pouvez pas vous bloquer vous-même");
+    }
+
+    #endregion
+
+    #region UnblockAsync Tests
+
+    [Fact]
+    public async Task UnblockAsync_ShouldRemoveBlock()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        await _blockService.BlockAsync(user.Id, other.Id);
+
+        // Act
+        var (success, _) = await _blockService.UnblockAsync(user.Id, other.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        (await _blockService.IsBlockedAsync(user.Id, other.Id)).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task UnblockAsync_ByBlockedUser_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        await _blockService.BlockAsync(user.Id, other.Id);
+
+        // Act
+        var (success, message) = await _blockService.UnblockAsync(other.Id, user.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Ce membre n'est pas bloqué");
+    }
+
+    #endregion
+
+    #region MuteAsync Tests
+
+    [Fact]
+    public async Task MuteAsync_ShouldKeepConnectionAndListMutedUser()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser("Marie", "Martin");
+        Connect(user.Id, other.Id);
+
+        // Act
+        var (success, _) = await _blockService.MuteAsync(user.Id, other.Id);
+        var muted = await _blockService.GetMutedUsersAsync(user.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        (await _context.Connections.CountAsync()).Should().Be(1);
+        muted.Should().ContainSingle(u => u.Id == other.Id && u.FirstName == "Marie");
+        (await _blockService.IsBlockedAsync(user.Id, other.Id)).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task UnmuteAsync_WhenNotMuted_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+
+        // Act
+        var (success, message) = await _blockService.UnmuteAsync(user.Id, other.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Ce membre n'est pas masqué");
+    }
+
+    #endregion
+}
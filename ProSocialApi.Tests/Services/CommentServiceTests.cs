@@ -0,0 +1,386 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
+using ProSocialApi.DTOs.Comments;
+using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour CommentService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// </summary>
+public class CommentServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly CommentService _commentService;
+    private readonly Mock<INotificationService> _notificationServiceMock;
+
+    public CommentServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _notificationServiceMock = new Mock<INotificationService>();
+        _commentService = new CommentService(_context, new SanitizationService(), _notificationServiceMock.Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(string firstName = "Test", string lastName = "User")
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = firstName,
+            LastName = lastName
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private Post CreatePost(Guid authorId)
+    {
+        var post = new Post
+        {
+            Id = Guid.NewGuid(),
+            AuthorId = authorId,
+            Content = "Test content"
+        };
+        _context.Posts.Add(post);
+        _context.SaveChanges();
+        return post;
+    }
+
+    private Comment CreateComment(Guid postId, Guid authorId, Guid? parentId = null, string content = "Commentaire")
+    {
+        var comment = new Comment
+        {
+            Id = Guid.NewGuid(),
+            PostId = postId,
+            AuthorId = authorId,
+            ParentId = parentId,
+            Content = content
+        };
+        _context.Comments.Add(comment);
+        _context.SaveChanges();
+        return comment;
+    }
+
+    #endregion
+
+    #region CreateAsync Tests
+
+    [Fact]
+    public async Task CreateAsync_WithParentId_ShouldCreateReply()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+
+        // Act
+        var result = await _commentService.CreateAsync(post.Id, author.Id,
+            new CreateCommentDto { Content = "Réponse", ParentId = parent.Id });
+
+        // Assert
+        result.Should().NotBeNull();
+        result!.ParentId.Should().Be(parent.Id);
+        result.PostId.Should().Be(post.Id);
+    }
+
+    [Fact]
+    public async Task CreateAsync_ReplyToReply_ShouldAttachToTopLevelComment()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+        var reply = CreateComment(post.Id, author.Id, parent.Id);
+
+        // Act
+        var result = await _commentService.CreateAsync(post.Id, author.Id,
+            new CreateCommentDto { Content = "Réponse", ParentId = reply.Id });
+
+        // Assert
+        result.Should().NotBeNull();
+        result!.ParentId.Should().Be(parent.Id);
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithParentFromAnotherPost_ShouldReturnNull()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var otherPost = CreatePost(author.Id);
+        var parent = CreateComment(otherPost.Id, author.Id);
+
+        // Act
+        var result = await _commentService.CreateAsync(post.Id, author.Id,
+            new CreateCommentDto { Content = "Réponse", ParentId = parent.Id });
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithParentId_ShouldNotifyParentAuthor()
+    {
+        // Arrange
+        var postAuthor = CreateUser("Jean", "Dupont");
+        var commenter = CreateUser("Marie", "Martin");
+        var replier = CreateUser("Paul", "Durand");
+        var post = CreatePost(postAuthor.Id);
+        var parent = CreateComment(post.Id, commenter.Id);
+
+        // Act
+        await _commentService.CreateAsync(post.Id, replier.Id,
+            new CreateCommentDto { Content = "Réponse", ParentId = parent.Id });
+
+        // Assert
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            commenter.Id,
+            replier.Id,
+            NotificationType.CommentReply,
+            It.Is<NotificationData>(d => d.PostId == post.Id.ToString())), Times.Once);
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithMention_ShouldSaveMentionAndNotify()
+    {
+        // Arrange
+        var author = CreateUser();
+        var commenter = CreateUser("Jean", "Dupont");
+        var mentioned = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+
+        // Act
+        var result = await _commentService.CreateAsync(post.Id, commenter.Id, new CreateCommentDto
+        {
+            Content = "@Marie Martin regarde ça",
+            MentionedUserIds = new List<Guid> { mentioned.Id }
+        });
+
+        // Assert
+        result!.Mentions.Should().ContainSingle(m => m.UserId == mentioned.Id);
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            mentioned.Id,
+            commenter.Id,
+            NotificationType.Mention,
+            It.Is<NotificationData>(d => d.PostId == post.Id.ToString() && d.CommentId == result.Id.ToString())), Times.Once);
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithBlockedPostAuthor_ShouldReturnNull()
+    {
+        // Arrange
+        var author = CreateUser();
+        var commenter = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = author.Id, BlockedUserId = commenter.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _commentService.CreateAsync(post.Id, commenter.Id, new CreateCommentDto { Content = "Commentaire" });
+
+        // Assert
+        result.Should().BeNull();
+        _context.Comments.Should().BeEmpty();
+        _notificationServiceMock.Verify(n => n.NotifyAsync(It.IsAny<Guid>(), It.IsAny<Guid>(),
+            It.IsAny<NotificationType>(), It.IsAny<NotificationData>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CreateAsync_ReplyToBlockedCommentAuthor_ShouldReturnNull()
+    {
+        // Arrange
+        var author = CreateUser();
+        var commenter = CreateUser("Jean", "Dupont");
+        var replier = CreateUser("Paul", "Durand");
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, commenter.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = replier.Id, BlockedUserId = commenter.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _commentService.CreateAsync(post.Id, replier.Id,
+            new CreateCommentDto { Content = "Réponse", ParentId = parent.Id });
+
+        // Assert
+        result.Should().BeNull();
+        _context.Comments.Should().ContainSingle();
+    }
+
+    #endregion
+
+    #region GetByPostIdAsync Tests
+
+    [Fact]
+    public async Task GetByPostIdAsync_ShouldReturnTopLevelCommentsWithRepliesCount()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+        CreateComment(post.Id, author.Id, parent.Id);
+        CreateComment(post.Id, author.Id, parent.Id);
+
+        // Act
+        var result = await _commentService.GetByPostIdAsync(post.Id);
+
+        // Assert
+        result.Should().HaveCount(1);
+        result[0].Id.Should().Be(parent.Id);
+        result[0].RepliesCount.Should().Be(2);
+    }
+
+    [Fact]
+    public async Task GetByPostIdAsync_ShouldExcludeCommentsAndRepliesOfBlockedMembers()
+    {
+        // Arrange
+        var author = CreateUser();
+        var viewer = CreateUser("Paul", "Durand");
+        var blocked = CreateUser("Luc", "Bernard");
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+        CreateComment(post.Id, author.Id, parent.Id);
+        CreateComment(post.Id, blocked.Id, parent.Id);
+        CreateComment(post.Id, blocked.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = blocked.Id, BlockedUserId = viewer.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _commentService.GetByPostIdAsync(post.Id, viewer.Id);
+
+        // Assert
+        result.Should().ContainSingle();
+        result[0].Id.Should().Be(parent.Id);
+        result[0].RepliesCount.Should().Be(1);
+    }
+
+    #endregion
+
+    #region GetRepliesAsync Tests
+
+    [Fact]
+    public async Task GetRepliesAsync_ShouldExcludeRepliesOfBlockedMembers()
+    {
+        // Arrange
+        var author = CreateUser();
+        var viewer = CreateUser("Paul", "Durand");
+        var blocked = CreateUser("Luc", "Bernard");
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+        var reply = CreateComment(post.Id, author.Id, parent.Id);
+        CreateComment(post.Id, blocked.Id, parent.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = viewer.Id, BlockedUserId = blocked.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _commentService.GetRepliesAsync(parent.Id, viewer.Id);
+
+        // Assert
+        result.Should().ContainSingle();
+        result![0].Id.Should().Be(reply.Id);
+    }
+
+    #endregion
+
+    #region UpdateAsync Tests
+
+    [Fact]
+    public async Task UpdateAsync_ByAuthor_ShouldUpdateContent()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var comment = CreateComment(post.Id, author.Id);
+
+        // Act
+        var result = await _commentService.UpdateAsync(comment.Id, author.Id,
+            new UpdateCommentDto { Content = "Contenu modifié" });
+
+        // Assert
+        result.Should().NotBeNull();
+        result!.Content.Should().Be("Contenu modifié");
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ByAnotherUser_ShouldReturnNull()
+    {
+        // Arrange
+        var author = CreateUser();
+        var other = CreateUser();
+        var post = CreatePost(author.Id);
+        var comment = CreateComment(post.Id, author.Id);
+
+        // Act
+        var result = await _commentService.UpdateAsync(comment.Id, other.Id,
+            new UpdateCommentDto { Content = "Contenu modifié" });
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    #endregion
+
+    #region DeleteAsync Tests
+
+    [Fact]
+    public async Task DeleteAsync_WithReplies_ShouldKeepPlaceholder()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+        CreateComment(post.Id, author.Id, parent.Id);
+
+        // Act
+        var result = await _commentService.DeleteAsync(parent.Id, author.Id);
+
+        // Assert
+        result.Should().BeTrue();
+        var comments = await _commentService.GetByPostIdAsync(post.Id);
+        comments.Should().HaveCount(1);
+        comments[0].IsDeleted.Should().BeTrue();
+        comments[0].Content.Should().BeEmpty();
+        comments[0].Author.Should().BeNull();
+        comments[0].RepliesCount.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task DeleteAsync_LastReplyOfDeletedParent_ShouldRemoveParent()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+        var parent = CreateComment(post.Id, author.Id);
+        var reply = CreateComment(post.Id, author.Id, parent.Id);
+        await _commentService.DeleteAsync(parent.Id, author.Id);
+
+        // Act
+        var result = await _commentService.DeleteAsync(reply.Id, author.Id);
+
+        // Assert
+        result.Should().BeTrue();
+        (await _context.Comments.CountAsync()).Should().Be(0);
+    }
+
+    #endregion
+}
@@ -1,8 +1,11 @@
 using FluentAssertions;
 using Microsoft.EntityFrameworkCore;
+using Moq;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
 using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Tests.Services;
 
@@ -14,6 +17,7 @@ public class ConnectionServiceTests : IDisposable
 {
     private readonly ApplicationDbContext _context;
     private readonly ConnectionService _connectionService;
+    private readonly Mock<INotificationService> _notificationServiceMock;
 
     public ConnectionServiceTests()
     {
@@ -22,7 +26,8 @@ public class ConnectionServiceTests : IDisposable
             .Options;
 
         _context = new ApplicationDbContext(options);
-        _connectionService = new ConnectionService(_context);
+        _notificationServiceMock = new Mock<INotificationService>();
+        _connectionService = new ConnectionService(_context, _notificationServiceMock.Object);
     }
 
     public void Dispose()
@@ -88,6 +93,25 @@ public class ConnectionServiceTests : IDisposable
         connection.Status.Should().Be(ConnectionStatus.Pending);
     }
 
+    [Fact]
+    public async Task SendRequestAsync_WithValidRequest_ShouldNotifyAddressee()
+    {
+        // Arrange
+        var requester = CreateUser("Jean", "Dupont");
+        var addressee = CreateUser("Marie", "Martin");
+
+        // Act
+        await _connectionService.SendRequestAsync(requester.Id, addressee.Id);
+
+        // Assert
+        var connection = await _context.Connections.FirstAsync();
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            addressee.Id,
+            requester.Id,
+            NotificationType.ConnectionRequest,
+            It.Is<NotificationData>(d => d.ConnectionId == connection.Id.ToString())), Times.Once);
+    }
+
     [Fact]
     public async Task SendRequestAsync_ToSelf_ShouldReturnFailure()
     {
@@ -102,6 +126,24 @@ public class ConnectionServiceTests : IDisposable
         message.Should().Be("Vous ne pouvez pas vous envoyer une demande à vous-même");
     }
 
+    [Fact]
+    public async Task SendRequestAsync_WhenBlockedByAddressee_ShouldReturnFailure()
+    {
+        // Arrange
+        var requester = CreateUser();
+        var addressee = CreateUser();
+        _context.UserBlocks.Add(new UserBlock { UserId = addressee.Id, BlockedUserId = requester.Id });
+        _context.SaveChanges();
+
+        // Act
+        var (success, message) = await _connectionService.SendRequestAsync(requester.Id, addressee.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Vous ne pouvez pas envoyer de demande de connexion à ce membre");
+        (await _context.Connections.AnyAsync()).Should().BeFalse();
+    }
+
     [Fact]
     public async Task SendRequestAsync_ToNonExistentUser_ShouldReturnFailure()
     {
@@ -205,6 +247,25 @@ public class ConnectionServiceTests : IDisposable
         updatedConnection!.Status.Should().Be(ConnectionStatus.Accepted);
     }
 
+    [Fact]
+    public async Task AcceptRequestAsync_WithValidRequest_ShouldNotifyRequester()
+    {
+        // Arrange
+        var requester = CreateUser("Jean", "Dupont");
+        var addressee = CreateUser("Marie", "Martin");
+        var connection = CreateConnection(requester.Id, addressee.Id, ConnectionStatus.Pending);
+
+        // Act
+        await _connectionService.AcceptRequestAsync(connection.Id, addressee.Id);
+
+        // Assert
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            requester.Id,
+            addressee.Id,
+            NotificationType.ConnectionAccepted,
+            It.IsAny<NotificationData>()), Times.Once);
+    }
+
     [Fact]
     public async Task AcceptRequestAsync_WithNonExistentConnection_ShouldReturnFailure()
     {
@@ -445,6 +506,88 @@ public class ConnectionServiceTests : IDisposable
 
     #endregion
 
+    #region GetSentRequestsAsync Tests
+
+    [Fact]
+    public async Task GetSentRequestsAsync_ShouldReturnOnlyPendingRequestsSent()
+    {
+        // Arrange
+        var user = CreateUser("Jean", "Dupont");
+        var pendingTarget = CreateUser("Marie", "Martin");
+        var acceptedTarget = CreateUser("Pierre", "Bernard");
+        var requester = CreateUser("Paul", "Durand");
+
+        CreateConnection(user.Id, pendingTarget.Id, ConnectionStatus.Pending);
+        CreateConnection(user.Id, acceptedTarget.Id, ConnectionStatus.Accepted);
+
+        // Demande reçue (ne doit pas apparaître)
+        CreateConnection(requester.Id, user.Id, ConnectionStatus.Pending);
+
+        // Act
+        var requests = await _connectionService.GetSentRequestsAsync(user.Id);
+
+        // Assert
+        requests.Should().ContainSingle();
+        requests[0].Addressee.FirstName.Should().Be("Marie");
+    }
+
+    #endregion
+
+    #region WithdrawRequestAsync Tests
+
+    [Fact]
+    public async Task WithdrawRequestAsync_ByRequester_ShouldDeleteRequest()
+    {
+        // Arrange
+        var requester = CreateUser("Jean", "Dupont");
+        var addressee = CreateUser("Marie", "Martin");
+        var connection = CreateConnection(requester.Id, addressee.Id, ConnectionStatus.Pending);
+
+        // Act
+        var (success, message) = await _connectionService.WithdrawRequestAsync(connection.Id, requester.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        message.Should().Be("Demande retirée");
+
+        var deletedConnection = await _context.Connections.FindAsync(connection.Id);
+        deletedConnection.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task WithdrawRequestAsync_ByAddressee_ShouldReturnFailure()
+    {
+        // Arrange
+        var requester = CreateUser("Jean", "Dupont");
+        var addressee = CreateUser("Marie", "Martin");
+        var connection = CreateConnection(requester.Id, addressee.Id, ConnectionStatus.Pending);
+
+        // Act
+        var (success, message) = await _connectionService.WithdrawRequestAsync(connection.Id, addressee.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Vous n'êtes pas autorisé à retirer cette demande");
+    }
+
+    [Fact]
+    public async Task WithdrawRequestAsync_AcceptedConnection_ShouldReturnFailure()
+    {
+        // Arrange
+        var requester = CreateUser("Jean", "Dupont");
+        var addressee = CreateUser("Marie", "Martin");
+        var connection = CreateConnection(requester.Id, addressee.Id, ConnectionStatus.Accepted);
+
+        // Act
+        var (success, message) = await _connectionService.WithdrawRequestAsync(connection.Id, requester.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Cette demande n'est plus en attente");
+    }
+
+    #endregion
+
     #region RemoveConnectionAsync Tests
 
     [Fact]
@@ -600,5 +743,251 @@ public class ConnectionServiceTests : IDisposable
         suggestions.Should().BeEmpty();
     }
 
+    [Fact]
+    public async Task GetSuggestionsAsync_ShouldRankByMutualConnections()
+    {
+        // Arrange
+        var user = CreateUser("Jean", "Dupont");
+        var friend1 = CreateUser("Marie", "Martin");
+        var friend2 = CreateUser("Pierre", "Bernard");
+        var stranger = CreateUser("Luc", "Petit");
+        var oneMutual = CreateUser("Sophie", "Durand");
+        var twoMutuals = CreateUser("Claire", "Moreau");
+
+        CreateConnection(user.Id, friend1.Id, ConnectionStatus.Accepted);
+        CreateConnection(friend2.Id, user.Id, ConnectionStatus.Accepted);
+        CreateConnection(friend1.Id, oneMutual.Id, ConnectionStatus.Accepted);
+        CreateConnection(friend1.Id, twoMutuals.Id, ConnectionStatus.Accepted);
+        CreateConnection(twoMutuals.Id, friend2.Id, ConnectionStatus.Accepted);
+
+        // Act
+        var suggestions = await _connectionService.GetSuggestionsAsync(user.Id);
+
+        // Assert
+        suggestions.Select(s => s.Id).Should().Equal(twoMutuals.Id, oneMutual.Id, stranger.Id);
+        suggestions[0].MutualConnectionsCount.Should().Be(2);
+        suggestions[0].MutualConnections.Select(m => m.Id).Should().BeEquivalentTo(new[] { friend1.Id, friend2.Id });
+        suggestions[2].MutualConnectionsCount.Should().Be(0);
+    }
+
+    [Fact]
+    public async Task GetSuggestionsAsync_ShouldRankByHeadlineOverlap()
+    {
+        // Arrange
+        var user = CreateUser("Jean", "Dupont");
+        var unrelated = CreateUser("Marie", "Martin");
+        var similar = CreateUser("Pierre", "Bernard");
+
+        user.Headline = "Développeur Full Stack | React & .NET";
+        unrelated.Headline = "Chef de projet marketing";
+        similar.Headline = "Développeuse .NET chez Contoso";
+        _context.SaveChanges();
+
+        // Act
+        var suggestions = await _connectionService.GetSuggestionsAsync(user.Id);
+
+        // Assert
+        suggestions.Select(s => s.Id).Should().Equal(similar.Id, unrelated.Id);
+    }
+
+    [Fact]
+    public async Task GetSuggestionsAsync_ShouldFindOlderMemberWithCommonKeyword()
+    {
+        // Arrange : le membre pertinent est plus ancien que tous les inscrits récents
+        var user = CreateUser("Jean", "Dupont");
+        var similar = CreateUser("Pierre", "Bernard");
+        user.Headline = "Data scientist";
+        similar.Headline = "Scientist chez Contoso";
+        similar.CreatedAt = DateTime.UtcNow.AddDays(-30);
+        for (var i = 0; i < 3; i++)
+        {
+            CreateUser("Membre", $"Récent{i}").Headline = "Chef de projet";
+        }
+        _context.SaveChanges();
+
+        // Act
+        var suggestions = await _connectionService.GetSuggestionsAsync(user.Id, limit: 1);
+
+        // Assert
+        suggestions.Select(s => s.Id).Should().Equal(similar.Id);
+    }
+
+    [Fact]
+    public async Task GetSuggestionsAsync_ShouldExcludeDismissedUsers()
+    {
+        // Arrange
+        var user = CreateUser("Jean", "Dupont");
+        var dismissed = CreateUser("Marie", "Martin");
+        CreateUser("Pierre", "Bernard");
+        await _connectionService.DismissSuggestionAsync(user.Id, dismissed.Id);
+
+        // Act
+        var suggestions = await _connectionService.GetSuggestionsAsync(user.Id);
+
+        // Assert
+        suggestions.Should().ContainSingle();
+        suggestions.Should().NotContain(s => s.Id == dismissed.Id);
+    }
+
+    #endregion
+
+    #region DismissSuggestionAsync Tests
+
+    [Fact]
+    public async Task DismissSuggestionAsync_Twice_ShouldSucceedWithSingleEntry()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+
+        // Act
+        await _connectionService.DismissSuggestionAsync(user.Id, other.Id);
+        var (success, message) = await _connectionService.DismissSuggestionAsync(user.Id, other.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        message.Should().Be("Suggestion ignorée");
+        (await _context.DismissedSuggestions.CountAsync()).Should().Be(1);
+    }
+
+    [Fact]
+    public async Task DismissSuggestionAsync_WithNonExistentUser_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (success, message) = await _connectionService.DismissSuggestionAsync(user.Id, Guid.NewGuid());
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Utilisateur non trouvé");
+    }
+
+    [Fact]
+    public async Task DismissSuggestionAsync_ShouldNotAffectOtherUserSuggestions()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        await _connectionService.DismissSuggestionAsync(user.Id, other.Id);
+
+        // Act
+        var suggestions = await _connectionService.GetSuggestionsAsync(other.Id);
+
+        // Assert
+        suggestions.Should().Contain(s => s.Id == user.Id);
+    }
+
+    #endregion
+
+    #region GetRelationshipAsync Tests
+
+    [Fact]
+    public async Task GetRelationshipAsync_WithSelf_ShouldReturnSelf()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var relationship = await _connectionService.GetRelationshipAsync(user.Id, user.Id);
+
+        // Assert
+        relationship.Status.Should().Be("Self");
+        relationship.ConnectionId.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetRelationshipAsync_WithoutConnection_ShouldReturnNone()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+
+        // Act
+        var relationship = await _connectionService.GetRelationshipAsync(user.Id, other.Id);
+
+        // Assert
+        relationship.Status.Should().Be("None");
+        relationship.ConnectionId.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetRelationshipAsync_WithPendingRequest_ShouldDependOnDirection()
+    {
+        // Arrange
+        var requester = CreateUser("Jean", "Dupont");
+        var addressee = CreateUser("Marie", "Martin");
+        var connection = CreateConnection(requester.Id, addressee.Id, ConnectionStatus.Pending);
+
+        // Act
+        var sent = await _connectionService.GetRelationshipAsync(requester.Id, addressee.Id);
+        var received = await _connectionService.GetRelationshipAsync(addressee.Id, requester.Id);
+
+        // Assert
+        sent.Status.Should().Be("PendingSent");
+        received.Status.Should().Be("PendingReceived");
+        received.ConnectionId.Should().Be(connection.Id);
+    }
+
+    [Fact]
+    public async Task GetRelationshipAsync_WithAcceptedConnection_ShouldReturnConnected()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        var connection = CreateConnection(other.Id, user.Id, ConnectionStatus.Accepted);
+
+        // Act
+        var relationship = await _connectionService.GetRelationshipAsync(user.Id, other.Id);
+
+        // Assert
+        relationship.Status.Should().Be("Connected");
+        relationship.ConnectionId.Should().Be(connection.Id);
+    }
+
+    #endregion
+
+    #region GetMutualConnectionsAsync Tests
+
+    [Fact]
+    public async Task GetMutualConnectionsAsync_ShouldReturnOnlySharedAcceptedConnections()
+    {
+        // Arrange
+        var user = CreateUser("Jean", "Dupont");
+        var other = CreateUser("Marie", "Martin");
+        var mutual = CreateUser("Pierre", "Durand");
+        var onlyUser = CreateUser("Sophie", "Bernard");
+        var pendingWithOther = CreateUser("Luc", "Petit");
+
+        CreateConnection(user.Id, mutual.Id, ConnectionStatus.Accepted);
+        CreateConnection(mutual.Id, other.Id, ConnectionStatus.Accepted);
+        CreateConnection(user.Id, onlyUser.Id, ConnectionStatus.Accepted);
+        CreateConnection(user.Id, pendingWithOther.Id, ConnectionStatus.Accepted);
+        CreateConnection(other.Id, pendingWithOther.Id, ConnectionStatus.Pending);
+
+        // Act
+        var result = await _connectionService.GetMutualConnectionsAsync(user.Id, other.Id);
+
+        // Assert
+        result.Should().ContainSingle();
+        result[0].Id.Should().Be(mutual.Id);
+    }
+
+    [Fact]
+    public async Task GetMutualConnectionsAsync_WithNoSharedConnections_ShouldReturnEmptyList()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        CreateConnection(user.Id, other.Id, ConnectionStatus.Accepted);
+
+        // Act
+        var result = await _connectionService.GetMutualConnectionsAsync(user.Id, other.Id);
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+
     #endregion
 }
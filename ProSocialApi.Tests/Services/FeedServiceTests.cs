@@ -0,0 +1,264 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour FeedService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// </summary>
+public class FeedServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly FeedService _feedService;
+
+    public FeedServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _feedService = new FeedService(_context);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(string firstName = "Test", string lastName = "User")
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = firstName,
+            LastName = lastName
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private void Connect(Guid userId, Guid otherUserId)
+    {
+        _context.Connections.Add(new Connection
+        {
+            Id = Guid.NewGuid(),
+            RequesterId = userId,
+            AddresseeId = otherUserId,
+            Status = ConnectionStatus.Accepted
+        });
+        _context.SaveChanges();
+    }
+
+    private Post CreatePost(Guid authorId, DateTime? createdAt = null)
+    {
+        var post = new Post
+        {
+            Id = Guid.NewGuid(),
+            AuthorId = authorId,
+            Content = "Test content",
+            CreatedAt = createdAt ?? DateTime.UtcNow
+        };
+        _context.Posts.Add(post);
+        _context.SaveChanges();
+        return post;
+    }
+
+    private void CreateLike(Guid postId, Guid userId)
+    {
+        _context.Likes.Add(new Like { Id = Guid.NewGuid(), PostId = postId, UserId = userId });
+        _context.SaveChanges();
+    }
+
+    #endregion
+
+    #region GetFeedAsync Tests
+
+    [Fact]
+    public async Task GetFeedAsync_RecentMode_ShouldReturnNetworkPostsByDate()
+    {
+        // Arrange
+        var user = CreateUser();
+        var friend = CreateUser();
+        var stranger = CreateUser();
+        Connect(user.Id, friend.Id);
+        var older = CreatePost(friend.Id, DateTime.UtcNow.AddHours(-5));
+        var newer = CreatePost(user.Id, DateTime.UtcNow.AddHours(-1));
+        CreatePost(stranger.Id);
+
+        // Act
+        var result = await _feedService.GetFeedAsync(user.Id);
+
+        // Assert
+        result.Select(p => p.Id).Should().Equal(newer.Id, older.Id);
+    }
+
+    [Fact]
+    public async Task GetFeedAsync_RelevantMode_ShouldIncludePostLikedByConnectionWithContext()
+    {
+        // Arrange
+        var user = CreateUser();
+        var friend = CreateUser("Marie", "Martin");
+        var stranger = CreateUser();
+        Connect(user.Id, friend.Id);
+        var strangerPost = CreatePost(stranger.Id);
+        CreateLike(strangerPost.Id, friend.Id);
+
+        // Act
+        var result = await _feedService.GetFeedAsync(user.Id, mode: FeedMode.Relevant);
+
+        // Assert
+        var post = result.Should().ContainSingle(p => p.Id == strangerPost.Id).Subject;
+        post.FeedContext.Should().NotBeNull();
+        post.FeedContext!.UserId.Should().Be(friend.Id);
+        post.FeedContext.FirstName.Should().Be("Marie");
+        post.FeedContext.Action.Should().Be("Liked");
+    }
+
+    [Fact]
+    public async Task GetFeedAsync_RelevantMode_ShouldRankEngagingPostFirst()
+    {
+        // Arrange
+        var user = CreateUser();
+        var friend = CreateUser();
+        var otherFriend = CreateUser();
+        Connect(user.Id, friend.Id);
+        Connect(user.Id, otherFriend.Id);
+        var quietPost = CreatePost(friend.Id, DateTime.UtcNow.AddHours(-2));
+        var popularPost = CreatePost(otherFriend.Id, DateTime.UtcNow.AddHours(-3));
+        CreateLike(popularPost.Id, friend.Id);
+        CreateLike(popularPost.Id, user.Id);
+
+        // Act
+        var result = await _feedService.GetFeedAsync(user.Id, mode: FeedMode.Relevant);
+
+        // Assert
+        result.Select(p => p.Id).Should().Equal(popularPost.Id, quietPost.Id);
+        result.Should().OnlyContain(p => p.FeedContext == null);
+    }
+
+    [Fact]
+    public async Task GetFeedAsync_ShouldExcludeMutedAndBlockedAuthors()
+    {
+        // Arrange
+        var user = CreateUser();
+        var mutedFriend = CreateUser();
+        var blockingFriend = CreateUser();
+        var friend = CreateUser();
+        Connect(user.Id, mutedFriend.Id);
+        Connect(user.Id, blockingFriend.Id);
+        Connect(user.Id, friend.Id);
+        CreatePost(mutedFriend.Id);
+        CreatePost(blockingFriend.Id);
+        var visible = CreatePost(friend.Id);
+        _context.UserMutes.Add(new UserMute { UserId = user.Id, MutedUserId = mutedFriend.Id });
+        _context.UserBlocks.Add(new UserBlock { UserId = blockingFriend.Id, BlockedUserId = user.Id });
+        _context.SaveChanges();
+
+        // Act
+        var recent = await _feedService.GetFeedAsync(user.Id);
+        var relevant = await _feedService.GetFeedAsync(user.Id, mode: FeedMode.Relevant);
+
+        // Assert
+        recent.Select(p => p.Id).Should().Equal(visible.Id);
+        relevant.Select(p => p.Id).Should().Equal(visible.Id);
+    }
+
+    [Fact]
+    public async Task GetFeedAsync_ShouldShowASharedPostOnlyOnce()
+    {
+        // Arrange : un post et deux partages par des connexions
+        var user = CreateUser();
+        var author = CreateUser();
+        var firstSharer = CreateUser();
+        var lastSharer = CreateUser();
+        Connect(user.Id, author.Id);
+        Connect(user.Id, firstSharer.Id);
+        Connect(user.Id, lastSharer.Id);
+        var original = CreatePost(author.Id, DateTime.UtcNow.AddHours(-3));
+        var other = CreatePost(author.Id, DateTime.UtcNow.AddHours(-4));
+        _context.Posts.AddRange(
+            new Post { AuthorId = firstSharer.Id, IsShare = true, SharedPostId = original.Id, CreatedAt = DateTime.UtcNow.AddHours(-2) },
+            new Post { AuthorId = lastSharer.Id, IsShare = true, SharedPostId = original.Id, CreatedAt = DateTime.UtcNow.AddHours(-1) });
+        _context.SaveChanges();
+
+        // Act
+        var recent = await _feedService.GetFeedAsync(user.Id);
+        var relevant = await _feedService.GetFeedAsync(user.Id, mode: FeedMode.Relevant);
+
+        // Assert : seul le dernier partage est affiché, avec l'original intégré
+        recent.Should().HaveCount(2);
+        recent[0].Author.Id.Should().Be(lastSharer.Id);
+        recent[0].SharedPost!.Id.Should().Be(original.Id);
+        recent[1].Id.Should().Be(other.Id);
+        relevant.Should().HaveCount(2);
+        relevant.Count(p => p.Id == original.Id || p.SharedPost?.Id == original.Id).Should().Be(1);
+    }
+
+    [Fact]
+    public async Task GetFeedAsync_RelevantMode_ShouldPageBeyondTheCandidateWindowWithoutRepeats()
+    {
+        // Arrange : plus de posts qu'une tranche de candidats (200)
+        var user = CreateUser();
+        var friend = CreateUser();
+        Connect(user.Id, friend.Id);
+        var postIds = Enumerable.Range(0, 230)
+            .Select(i => CreatePost(friend.Id, DateTime.UtcNow.AddMinutes(-10 * i)).Id)
+            .ToList();
+        var snapshot = DateTime.UtcNow;
+
+        // Act
+        var served = new List<Guid>();
+        for (var page = 1; page <= 5; page++)
+        {
+            var result = await _feedService.GetFeedAsync(user.Id, page, 50, FeedMode.Relevant, snapshot);
+            served.AddRange(result.Select(p => p.Id));
+        }
+
+        // Assert
+        served.Should().OnlyHaveUniqueItems();
+        served.Should().BeEquivalentTo(postIds);
+    }
+
+    [Fact]
+    public async Task GetFeedAsync_WithSnapshot_ShouldKeepPagesStableAfterNewActivity()
+    {
+        // Arrange
+        var user = CreateUser();
+        var friend = CreateUser();
+        Connect(user.Id, friend.Id);
+        for (var i = 0; i < 4; i++)
+            CreatePost(friend.Id, DateTime.UtcNow.AddHours(-i - 1));
+        var snapshot = DateTime.UtcNow;
+        var firstPage = await _feedService.GetFeedAsync(user.Id, 1, 2, FeedMode.Relevant, snapshot);
+        var expectedSecondPage = await _feedService.GetFeedAsync(user.Id, 2, 2, FeedMode.Relevant, snapshot);
+
+        // Nouveau post et réactions après la première page
+        CreatePost(friend.Id, snapshot.AddMinutes(1));
+        _context.Likes.Add(new Like { PostId = expectedSecondPage[1].Id, UserId = friend.Id, CreatedAt = snapshot.AddMinutes(1) });
+        _context.Likes.Add(new Like { PostId = expectedSecondPage[1].Id, UserId = user.Id, CreatedAt = snapshot.AddMinutes(1) });
+        _context.SaveChanges();
+
+        // Act
+        var secondPage = await _feedService.GetFeedAsync(user.Id, 2, 2, FeedMode.Relevant, snapshot);
+        var recentSecondPage = await _feedService.GetFeedAsync(user.Id, 2, 2, FeedMode.Recent, snapshot);
+
+        // Assert
+        secondPage.Select(p => p.Id).Should().Equal(expectedSecondPage.Select(p => p.Id));
+        secondPage.Select(p => p.Id).Should().NotIntersectWith(firstPage.Select(p => p.Id));
+        recentSecondPage.Select(p => p.Id).Should().NotIntersectWith(firstPage.Select(p => p.Id));
+    }
+
+    #endregion
+}
@@ -0,0 +1,82 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.Http;
+using ProSocialApi.Services;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour ImageStorageService.
+/// Couvre les validations effectuées avant tout enregistrement sur le disque.
+/// </summary>
+public class ImageStorageServiceTests
+{
+    private readonly ImageStorageService _imageStorage = new();
+
+    #region Helper Methods
+
+    private static IFormFile CreateFormFile(byte[] content, string fileName)
+    {
+        var stream = new MemoryStream(content);
+        return new FormFile(stream, 0, content.Length, "file", fileName);
+    }
+
+    #endregion
+
+    #region SaveImageAsync Tests
+
+    [Fact]
+    public async Task SaveImageAsync_WithoutFile_ShouldReturnFailure()
+    {
+        // Act
+        var (success, message, url) = await _imageStorage.SaveImageAsync(null, "posts", "user");
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Aucun fichier fourni");
+        url.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task SaveImageAsync_WithTooLargeFile_ShouldReturnFailure()
+    {
+        // Arrange
+        var file = CreateFormFile(new byte[5 * 1024 * 1024 + 1], "photo.png");
+
+        // Act
+        var (success, message, _) = await _imageStorage.SaveImageAsync(file, "posts", "user");
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Le fichier ne doit pas dépasser 5 Mo");
+    }
+
+    [Fact]
+    public async Task SaveImageAsync_WithUnsupportedExtension_ShouldReturnFailure()
+    {
+        // Arrange
+        var file = CreateFormFile(new byte[] { 0x25, 0x50, 0x44, 0x46, 0, 0, 0, 0, 0, 0, 0, 0 }, "document.pdf");
+
+        // Act
+        var (success, message, _) = await _imageStorage.SaveImageAsync(file, "posts", "user");
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Format non supporté. Utilisez jpg, png, gif ou webp");
+    }
+
+    [Fact]
+    public async Task SaveImageAsync_WithImageExtensionButOtherContent_ShouldReturnFailure()
+    {
+        // Arrange : un script renommé en .jpg
+        var file = CreateFormFile("<script>alert(1)</script>"u8.ToArray(), "photo.jpg");
+
+        // Act
+        var (success, message, _) = await _imageStorage.SaveImageAsync(file, "posts", "user");
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Le fichier n'est pas une image valide");
+    }
+
+    #endregion
+}
@@ -0,0 +1,172 @@
+using FluentAssertions;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Configuration;
+using ProSocialApi.Services;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour LoginAttemptService.
+/// Les compteurs sont dans un cache mémoire propre à chaque test.
+/// </summary>
+public class LoginAttemptServiceTests : IDisposable
+{
+    private readonly MemoryCache _cache = new(new MemoryCacheOptions());
+    private readonly LoginAttemptService _loginAttemptService;
+
+    public LoginAttemptServiceTests()
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                { "LoginProtection:FreeAttempts", "3" },
+                { "LoginProtection:BaseDelaySeconds", "2" },
+                { "LoginProtection:MaxDelaySeconds", "10" },
+                { "LoginProtection:MaxFailuresPerAccount", "6" },
+                { "LoginProtection:MaxFailuresPerIp", "8" },
+                { "LoginProtection:LockoutMinutes", "15" }
+            })
+            .Build();
+
+        _loginAttemptService = new LoginAttemptService(_cache, configuration);
+    }
+
+    public void Dispose()
+    {
+        _cache.Dispose();
+    }
+
+    #region Helper Methods
+
+    private void Fail(int times, string email = "jean@example.com", string? ipAddress = "10.0.0.1")
+    {
+        for (var i = 0; i < times; i++)
+            _loginAttemptService.RecordFailure(email, ipAddress);
+    }
+
+    #endregion
+
+    #region Progressive Delay Tests
+
+    [Fact]
+    public void GetRetryAfter_WithFewFailures_ShouldAllowAttempt()
+    {
+        // Arrange
+        Fail(2);
+
+        // Act
+        var retryAfter = _loginAttemptService.GetRetryAfter("jean@example.com", "10.0.0.1");
+
+        // Assert
+        retryAfter.Should().BeNull();
+    }
+
+    [Theory]
+    [InlineData(3, 2)]
+    [InlineData(4, 4)]
+    [InlineData(5, 8)]
+    public void GetRetryAfter_AfterFreeAttempts_ShouldDoubleTheDelay(int failures, int expectedSeconds)
+    {
+        // Arrange
+        Fail(failures);
+
+        // Act
+        var retryAfter = _loginAttemptService.GetRetryAfter("jean@example.com", null);
+
+        // Assert
+        retryAfter.Should().BeCloseTo(TimeSpan.FromSeconds(expectedSeconds), TimeSpan.FromSeconds(1));
+    }
+
+    [Fact]
+    public void GetRetryAfter_ShouldCapTheDelayBeforeLockout()
+    {
+        // Arrange : 7 échecs sur des comptes différents depuis la même IP (verrouillage à 8)
+        for (var i = 0; i < 7; i++)
+            _loginAttemptService.RecordFailure($"membre{i}@example.com", "10.0.0.1");
+
+        // Act
+        var retryAfter = _loginAttemptService.GetRetryAfter("autre@example.com", "10.0.0.1");
+
+        // Assert : 2 * 2^4 = 32 s, plafonné à 10 s
+        retryAfter.Should().BeCloseTo(TimeSpan.FromSeconds(10), TimeSpan.FromSeconds(1));
+    }
+
+    [Fact]
+    public void GetRetryAfter_ShouldIgnoreTheCaseOfTheEmail()
+    {
+        // Arrange
+        Fail(3, "Jean@Example.com");
+
+        // Act
+        var retryAfter = _loginAttemptService.GetRetryAfter(" jean@example.COM ", null);
+
+        // Assert
+        retryAfter.Should().NotBeNull();
+    }
+
+    #endregion
+
+    #region Lockout Tests
+
+    [Fact]
+    public void GetRetryAfter_AfterMaxFailuresPerAccount_ShouldLockTheAccount()
+    {
+        // Arrange
+        Fail(6);
+
+        // Act : même depuis une autre adresse IP
+        var retryAfter = _loginAttemptService.GetRetryAfter("jean@example.com", "192.168.1.1");
+
+        // Assert
+        retryAfter.Should().BeCloseTo(TimeSpan.FromMinutes(15), TimeSpan.FromSeconds(1));
+    }
+
+    [Fact]
+    public void GetRetryAfter_AfterMaxFailuresPerIp_ShouldLockEveryAccountFromThisIp()
+    {
+        // Arrange : un échec par compte, 8 comptes
+        for (var i = 0; i < 8; i++)
+            _loginAttemptService.RecordFailure($"membre{i}@example.com", "10.0.0.1");
+
+        // Act
+        var fromSameIp = _loginAttemptService.GetRetryAfter("nouveau@example.com", "10.0.0.1");
+        var fromOtherIp = _loginAttemptService.GetRetryAfter("nouveau@example.com", "10.0.0.2");
+
+        // Assert
+        fromSameIp.Should().BeCloseTo(TimeSpan.FromMinutes(15), TimeSpan.FromSeconds(1));
+        fromOtherIp.Should().BeNull();
+    }
+
+    #endregion
+
+    #region RecordSuccess Tests
+
+    [Fact]
+    public void RecordSuccess_ShouldForgetTheFailuresOfTheAccount()
+    {
+        // Arrange
+        Fail(6);
+
+        // Act
+        _loginAttemptService.RecordSuccess("jean@example.com");
+
+        // Assert
+        _loginAttemptService.GetRetryAfter("jean@example.com", null).Should().BeNull();
+    }
+
+    [Fact]
+    public void RecordSuccess_ShouldKeepTheFailuresOfTheIp()
+    {
+        // Arrange : 3 échecs sur d'autres comptes depuis cette IP
+        for (var i = 0; i < 3; i++)
+            _loginAttemptService.RecordFailure($"membre{i}@example.com", "10.0.0.1");
+
+        // Act
+        _loginAttemptService.RecordSuccess("jean@example.com");
+
+        // Assert
+        _loginAttemptService.GetRetryAfter("jean@example.com", "10.0.0.1").Should().NotBeNull();
+    }
+
+    #endregion
+}
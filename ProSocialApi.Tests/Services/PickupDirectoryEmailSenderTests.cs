@@ -0,0 +1,55 @@
+using FluentAssertions;
+using Microsoft.Extensions.Configuration;
+using ProSocialApi.Services;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour PickupDirectoryEmailSender.
+/// Les emails sont écrits dans un dossier temporaire propre à chaque test.
+/// </summary>
+public class PickupDirectoryEmailSenderTests : IDisposable
+{
+    private readonly string _directory = Path.Combine(Path.GetTempPath(), $"prosocial-mail-{Guid.NewGuid()}");
+    private readonly PickupDirectoryEmailSender _sender;
+
+    public PickupDirectoryEmailSenderTests()
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                { "Email:From", "no-reply@prosocial.test" },
+                { "Email:PickupDirectory", _directory }
+            })
+            .Build();
+
+        _sender = new PickupDirectoryEmailSender(configuration);
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_directory))
+            Directory.Delete(_directory, recursive: true);
+    }
+
+    #region SendAsync Tests
+
+    [Fact]
+    public async Task SendAsync_ShouldWriteOneEmlFilePerEmail()
+    {
+        // Act
+        await _sender.SendAsync("jean@example.com", "Premier", "Bonjour");
+        await _sender.SendAsync("marie@example.com", "Second", "Bonjour");
+
+        // Assert : le dossier est créé au premier envoi
+        var files = Directory.GetFiles(_directory, "*.eml");
+        files.Should().HaveCount(2);
+
+        var contents = files.Select(File.ReadAllText).ToList();
+        contents.Should().ContainSingle(c => c.Contains("To: jean@example.com"));
+        contents.Should().ContainSingle(c => c.Contains("To: marie@example.com"));
+        contents.Should().OnlyContain(c => c.Contains("From: no-reply@prosocial.test"));
+    }
+
+    #endregion
+}
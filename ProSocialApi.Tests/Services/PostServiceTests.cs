@@ -1,9 +1,13 @@
 using FluentAssertions;
 using Microsoft.EntityFrameworkCore;
+using Moq;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
 using ProSocialApi.DTOs.Posts;
 using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Tests.Services;
 
@@ -15,6 +19,7 @@ public class PostServiceTests : IDisposable
 {
     private readonly ApplicationDbContext _context;
     private readonly PostService _postService;
+    private readonly Mock<INotificationService> _notificationServiceMock;
 
     public PostServiceTests()
     {
@@ -23,7 +28,8 @@ public class PostServiceTests : IDisposable
             .Options;
 
         _context = new ApplicationDbContext(options);
-        _postService = new PostService(_context);
+        _notificationServiceMock = new Mock<INotificationService>();
+        _postService = new PostService(_context, new SanitizationService(), _notificationServiceMock.Object);
     }
 
     public void Dispose()
@@ -87,17 +93,16 @@ public class PostServiceTests : IDisposable
         var author = CreateUser("Jean", "Dupont");
         var createDto = new CreatePostDto
         {
-            Content = "Mon premier post !",
-            ImageUrl = "https://example.com/image.jpg"
+            Content = "Mon premier post !"
         };
 
         // Act
-        var result = await _postService.CreateAsync(author.Id, createDto);
+        var result = await _postService.CreateAsync(author.Id, createDto, "/uploads/posts/image.jpg");
 
         // Assert
         result.Should().NotBeNull();
         result.Content.Should().Be("Mon premier post !");
-        result.ImageUrl.Should().Be("https://example.com/image.jpg");
+        result.ImageUrl.Should().Be("/uploads/posts/image.jpg");
         result.Author.Should().NotBeNull();
         result.Author.FirstName.Should().Be("Jean");
         result.Author.LastName.Should().Be("Dupont");
@@ -255,7 +260,7 @@ public class PostServiceTests : IDisposable
             Id = Guid.NewGuid(),
             AuthorId = author.Id,
             Content = "Contenu original",
-            ImageUrl = "https://example.com/original.jpg"
+            ImageUrl = "/uploads/posts/original.jpg"
         };
         _context.Posts.Add(post);
         await _context.SaveChangesAsync();
@@ -263,7 +268,6 @@ public class PostServiceTests : IDisposable
         var updateDto = new UpdatePostDto
         {
             Content = "Contenu modifié"
-            // ImageUrl non fourni
         };
 
         // Act
@@ -272,7 +276,7 @@ public class PostServiceTests : IDisposable
         // Assert
         result.Should().NotBeNull();
         result!.Content.Should().Be("Contenu modifié");
-        result.ImageUrl.Should().Be("https://example.com/original.jpg");
+        result.ImageUrl.Should().Be("/uploads/posts/original.jpg");
     }
 
     #endregion
@@ -407,10 +411,10 @@ public class PostServiceTests : IDisposable
 
     #endregion
 
-    #region LikeAsync Tests
+    #region SetLikeAsync Tests
 
     [Fact]
-    public async Task LikeAsync_WithValidPostAndUser_ShouldReturnSuccess()
+    public async Task SetLikeAsync_Like_ShouldCreateLikeAndReturnStatus()
     {
         // Arrange
         var author = CreateUser("Jean", "Dupont");
@@ -418,32 +422,50 @@ public class PostServiceTests : IDisposable
         var post = CreatePost(author.Id);
 
         // Act
-        var (success, message) = await _postService.LikeAsync(post.Id, liker.Id);
+        var result = await _postService.SetLikeAsync(post.Id, liker.Id, true);
 
         // Assert
-        success.Should().BeTrue();
-        message.Should().Be("Post liké");
+        result.Should().NotBeNull();
+        result!.Liked.Should().BeTrue();
+        result.LikesCount.Should().Be(1);
 
         var likeInDb = await _context.Likes.FirstOrDefaultAsync(l => l.PostId == post.Id && l.UserId == liker.Id);
         likeInDb.Should().NotBeNull();
     }
 
     [Fact]
-    public async Task LikeAsync_WithNonExistentPost_ShouldReturnFailure()
+    public async Task SetLikeAsync_WithNonExistentPost_ShouldReturnNull()
     {
         // Arrange
         var user = CreateUser();
 
         // Act
-        var (success, message) = await _postService.LikeAsync(Guid.NewGuid(), user.Id);
+        var result = await _postService.SetLikeAsync(Guid.NewGuid(), user.Id, true);
 
         // Assert
-        success.Should().BeFalse();
-        message.Should().Be("Post non trouvé");
+        result.Should().BeNull();
     }
 
     [Fact]
-    public async Task LikeAsync_WhenAlreadyLiked_ShouldReturnFailure()
+    public async Task SetLikeAsync_WithBlockedAuthor_ShouldReturnNullWithoutLike()
+    {
+        // Arrange
+        var author = CreateUser("Jean", "Dupont");
+        var liker = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = author.Id, BlockedUserId = liker.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _postService.SetLikeAsync(post.Id, liker.Id, true);
+
+        // Assert
+        result.Should().BeNull();
+        _context.Likes.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task SetLikeAsync_LikeWhenAlreadyLiked_ShouldBeIdempotent()
     {
         // Arrange
         var author = CreateUser("Jean", "Dupont");
@@ -452,35 +474,73 @@ public class PostServiceTests : IDisposable
         CreateLike(post.Id, liker.Id);
 
         // Act
-        var (success, message) = await _postService.LikeAsync(post.Id, liker.Id);
+        var result = await _postService.SetLikeAsync(post.Id, liker.Id, true);
 
         // Assert
-        success.Should().BeFalse();
-        message.Should().Be("Vous avez déjà liké ce post");
+        result!.Liked.Should().BeTrue();
+        result.LikesCount.Should().Be(1);
+        (await _context.Likes.CountAsync()).Should().Be(1);
     }
 
     [Fact]
-    public async Task LikeAsync_ShouldIncreaseLikesCount()
+    public async Task SetLikeAsync_Unlike_ShouldRemoveLike()
     {
         // Arrange
         var author = CreateUser();
         var liker = CreateUser();
         var post = CreatePost(author.Id);
+        CreateLike(post.Id, liker.Id);
 
         // Act
-        await _postService.LikeAsync(post.Id, liker.Id);
-        var result = await _postService.GetByIdAsync(post.Id);
+        var result = await _postService.SetLikeAsync(post.Id, liker.Id, false);
 
         // Assert
-        result!.LikesCount.Should().Be(1);
+        result!.Liked.Should().BeFalse();
+        result.LikesCount.Should().Be(0);
+
+        var likeInDb = await _context.Likes.FirstOrDefaultAsync(l => l.PostId == post.Id && l.UserId == liker.Id);
+        likeInDb.Should().BeNull();
     }
 
-    #endregion
+    [Fact]
+    public async Task SetLikeAsync_UnlikeWhenNotLiked_ShouldBeIdempotent()
+    {
+        // Arrange
+        var author = CreateUser();
+        var other = CreateUser();
+        var user = CreateUser();
+        var post = CreatePost(author.Id);
+        CreateLike(post.Id, other.Id);
+
+        // Act
+        var result = await _postService.SetLikeAsync(post.Id, user.Id, false);
+
+        // Assert
+        result!.Liked.Should().BeFalse();
+        result.LikesCount.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task SetLikeAsync_Like_ShouldNotifyAuthor()
+    {
+        // Arrange
+        var author = CreateUser("Jean", "Dupont");
+        var liker = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+
+        // Act
+        await _postService.SetLikeAsync(post.Id, liker.Id, true);
 
-    #region UnlikeAsync Tests
+        // Assert
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            author.Id,
+            liker.Id,
+            NotificationType.NewLike,
+            It.Is<NotificationData>(d => d.PostId == post.Id.ToString())), Times.Once);
+    }
 
     [Fact]
-    public async Task UnlikeAsync_WhenLiked_ShouldReturnSuccess()
+    public async Task SetLikeAsync_WhenAlreadyLiked_ShouldNotNotify()
     {
         // Arrange
         var author = CreateUser();
@@ -489,51 +549,524 @@ public class PostServiceTests : IDisposable
         CreateLike(post.Id, liker.Id);
 
         // Act
-        var (success, message) = await _postService.UnlikeAsync(post.Id, liker.Id);
+        await _postService.SetLikeAsync(post.Id, liker.Id, true);
 
         // Assert
-        success.Should().BeTrue();
-        message.Should().Be("Like retiré");
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            It.IsAny<Guid>(), It.IsAny<Guid>(), It.IsAny<NotificationType>(), It.IsAny<NotificationData>()), Times.Never);
+    }
 
-        var likeInDb = await _context.Likes.FirstOrDefaultAsync(l => l.PostId == post.Id && l.UserId == liker.Id);
-        likeInDb.Should().BeNull();
+    [Fact]
+    public async Task SetLikeAsync_WithDifferentType_ShouldChangeReactionWithoutNotifying()
+    {
+        // Arrange
+        var author = CreateUser();
+        var liker = CreateUser();
+        var post = CreatePost(author.Id);
+        CreateLike(post.Id, liker.Id);
+
+        // Act
+        var result = await _postService.SetLikeAsync(post.Id, liker.Id, true, ReactionType.Celebrate);
+
+        // Assert
+        result!.Reaction.Should().Be("Celebrate");
+        result.LikesCount.Should().Be(1);
+        result.ReactionCounts.Should().ContainKey("Celebrate").WhoseValue.Should().Be(1);
+        result.ReactionCounts.Should().NotContainKey("Like");
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            It.IsAny<Guid>(), It.IsAny<Guid>(), It.IsAny<NotificationType>(), It.IsAny<NotificationData>()), Times.Never);
     }
 
     [Fact]
-    public async Task UnlikeAsync_WhenNotLiked_ShouldReturnFailure()
+    public async Task GetByIdAsync_ShouldReturnReactionCountsAndCurrentUserReaction()
     {
         // Arrange
         var author = CreateUser();
-        var user = CreateUser();
+        var user1 = CreateUser();
+        var user2 = CreateUser();
         var post = CreatePost(author.Id);
+        await _postService.SetLikeAsync(post.Id, user1.Id, true, ReactionType.Love);
+        await _postService.SetLikeAsync(post.Id, user2.Id, true);
 
         // Act
-        var (success, message) = await _postService.UnlikeAsync(post.Id, user.Id);
+        var result = await _postService.GetByIdAsync(post.Id, user1.Id);
 
         // Assert
-        success.Should().BeFalse();
-        message.Should().Be("Vous n'avez pas liké ce post");
+        result!.LikesCount.Should().Be(2);
+        result.CurrentUserReaction.Should().Be("Love");
+        result.ReactionCounts["Love"].Should().Be(1);
+        result.ReactionCounts["Like"].Should().Be(1);
     }
 
+    #endregion
+
+    #region GetLikersAsync Tests
+
     [Fact]
-    public async Task UnlikeAsync_ShouldDecreaseLikesCount()
+    public async Task GetLikersAsync_ShouldReturnUsersWhoLiked()
     {
         // Arrange
         var author = CreateUser();
-        var liker = CreateUser();
+        var liker = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+        CreateLike(post.Id, liker.Id);
+
+        // Act
+        var result = await _postService.GetLikersAsync(post.Id);
+
+        // Assert
+        result.Should().NotBeNull();
+        result.Should().ContainSingle();
+        result![0].Id.Should().Be(liker.Id);
+        result[0].FirstName.Should().Be("Marie");
+    }
+
+    [Fact]
+    public async Task GetLikersAsync_ShouldExcludeBlockedMembers()
+    {
+        // Arrange
+        var author = CreateUser();
+        var viewer = CreateUser("Paul", "Durand");
+        var liker = CreateUser("Marie", "Martin");
+        var blocked = CreateUser("Luc", "Bernard");
         var post = CreatePost(author.Id);
         CreateLike(post.Id, liker.Id);
+        CreateLike(post.Id, blocked.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = viewer.Id, BlockedUserId = blocked.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _postService.GetLikersAsync(post.Id, viewer.Id);
+
+        // Assert
+        result.Should().ContainSingle();
+        result![0].Id.Should().Be(liker.Id);
+    }
+
+    [Fact]
+    public async Task GetLikersAsync_WithNonExistentPost_ShouldReturnNull()
+    {
+        // Act
+        var result = await _postService.GetLikersAsync(Guid.NewGuid());
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    #endregion
+
+    #region Saved Posts Tests
+
+    [Fact]
+    public async Task SetSavedAsync_ShouldBeIdempotentAndSetIsSaved()
+    {
+        // Arrange
+        var author = CreateUser();
+        var reader = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+
+        // Act
+        var first = await _postService.SetSavedAsync(post.Id, reader.Id, true);
+        var second = await _postService.SetSavedAsync(post.Id, reader.Id, true);
+
+        // Assert
+        first!.Saved.Should().BeTrue();
+        second!.Saved.Should().BeTrue();
+        _context.SavedPosts.Count(s => s.PostId == post.Id).Should().Be(1);
+
+        (await _postService.GetByIdAsync(post.Id, reader.Id))!.IsSaved.Should().BeTrue();
+        (await _postService.GetByIdAsync(post.Id, author.Id))!.IsSaved.Should().BeFalse();
+        (await _postService.GetByIdAsync(post.Id))!.IsSaved.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task SetSavedAsync_WithSavedFalse_ShouldRemoveSave()
+    {
+        // Arrange
+        var author = CreateUser();
+        var reader = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+        await _postService.SetSavedAsync(post.Id, reader.Id, true);
+
+        // Act
+        var result = await _postService.SetSavedAsync(post.Id, reader.Id, false);
+        var again = await _postService.SetSavedAsync(post.Id, reader.Id, false);
+
+        // Assert
+        result!.Saved.Should().BeFalse();
+        again!.Saved.Should().BeFalse();
+        _context.SavedPosts.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task SetSavedAsync_WithNonExistentPost_ShouldReturnNull()
+    {
+        // Arrange
+        var reader = CreateUser();
+
+        // Act
+        var result = await _postService.SetSavedAsync(Guid.NewGuid(), reader.Id, true);
 
-        // Vérifier le count avant
-        var beforeUnlike = await _postService.GetByIdAsync(post.Id);
-        beforeUnlike!.LikesCount.Should().Be(1);
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetSavedPostsAsync_ShouldReturnPostsInReverseSaveOrderWithPaging()
+    {
+        // Arrange : posts enregistrés dans un ordre différent de leur publication
+        var author = CreateUser();
+        var reader = CreateUser("Marie", "Martin");
+        var oldPost = CreatePost(author.Id, "Ancien post");
+        var newPost = CreatePost(author.Id, "Nouveau post");
+        var otherPost = CreatePost(author.Id, "Post non enregistré");
+        _context.SavedPosts.AddRange(
+            new SavedPost { UserId = reader.Id, PostId = newPost.Id, CreatedAt = DateTime.UtcNow.AddHours(-2) },
+            new SavedPost { UserId = reader.Id, PostId = oldPost.Id, CreatedAt = DateTime.UtcNow.AddHours(-1) },
+            new SavedPost { UserId = author.Id, PostId = otherPost.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var firstPage = await _postService.GetSavedPostsAsync(reader.Id, page: 1, pageSize: 1);
+        var secondPage = await _postService.GetSavedPostsAsync(reader.Id, page: 2, pageSize: 1);
+        var all = await _postService.GetSavedPostsAsync(reader.Id);
+
+        // Assert
+        firstPage.Should().ContainSingle().Which.Id.Should().Be(oldPost.Id);
+        secondPage.Should().ContainSingle().Which.Id.Should().Be(newPost.Id);
+        all.Select(p => p.Id).Should().Equal(oldPost.Id, newPost.Id);
+        all.Should().OnlyContain(p => p.IsSaved);
+    }
+
+    [Fact]
+    public async Task GetSavedPostsAsync_ShouldExcludePostsOfBlockedMembers()
+    {
+        // Arrange
+        var author = CreateUser();
+        var reader = CreateUser("Marie", "Martin");
+        var post = CreatePost(author.Id);
+        await _postService.SetSavedAsync(post.Id, reader.Id, true);
+        _context.UserBlocks.Add(new UserBlock { UserId = author.Id, BlockedUserId = reader.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _postService.GetSavedPostsAsync(reader.Id);
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+
+    #endregion
+
+    #region ShareAsync Tests
+
+    [Fact]
+    public async Task ShareAsync_ShouldCreateShareAndNotifyAuthor()
+    {
+        // Arrange
+        var author = CreateUser("Jean", "Dupont");
+        var sharer = CreateUser("Marie", "Martin");
+        var original = CreatePost(author.Id, "Publication d'origine");
+
+        // Act
+        var share = await _postService.ShareAsync(original.Id, sharer.Id, new SharePostDto { Content = "À lire !" });
+        var originalDto = await _postService.GetByIdAsync(original.Id, sharer.Id);
+
+        // Assert
+        share.Should().NotBeNull();
+        share!.IsShare.Should().BeTrue();
+        share.Content.Should().Be("À lire !");
+        share.Author.Id.Should().Be(sharer.Id);
+        share.SharedPost!.Id.Should().Be(original.Id);
+        share.SharedPost.Content.Should().Be("Publication d'origine");
+        share.SharedPost.Author.FirstName.Should().Be("Jean");
+        originalDto!.SharesCount.Should().Be(1);
+
+        _notificationServiceMock.Verify(n => n.NotifyAsync(author.Id, sharer.Id, NotificationType.Share,
+            It.Is<NotificationData>(d => d.PostId == share.Id.ToString())), Times.Once);
+    }
+
+    [Fact]
+    public async Task ShareAsync_WithoutComment_ShouldCreateShareWithEmptyContent()
+    {
+        // Arrange
+        var author = CreateUser();
+        var sharer = CreateUser("Marie", "Martin");
+        var original = CreatePost(author.Id);
+
+        // Act
+        var share = await _postService.ShareAsync(original.Id, sharer.Id, new SharePostDto());
+
+        // Assert
+        share!.Content.Should().BeEmpty();
+        share.SharedPost!.Id.Should().Be(original.Id);
+    }
+
+    [Fact]
+    public async Task ShareAsync_OfAShare_ShouldShareTheOriginal()
+    {
+        // Arrange
+        var author = CreateUser();
+        var firstSharer = CreateUser("Marie", "Martin");
+        var secondSharer = CreateUser("Paul", "Durand");
+        var original = CreatePost(author.Id);
+        var firstShare = await _postService.ShareAsync(original.Id, firstSharer.Id, new SharePostDto());
+
+        // Act
+        var secondShare = await _postService.ShareAsync(firstShare!.Id, secondSharer.Id, new SharePostDto());
+
+        // Assert
+        secondShare!.SharedPost!.Id.Should().Be(original.Id);
+        (await _postService.GetByIdAsync(original.Id))!.SharesCount.Should().Be(2);
+    }
+
+    [Fact]
+    public async Task ShareAsync_WithBlockedAuthor_ShouldReturnNull()
+    {
+        // Arrange
+        var author = CreateUser();
+        var sharer = CreateUser("Marie", "Martin");
+        var original = CreatePost(author.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = author.Id, BlockedUserId = sharer.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var share = await _postService.ShareAsync(original.Id, sharer.Id, new SharePostDto());
+
+        // Assert
+        share.Should().BeNull();
+        _context.Posts.Count().Should().Be(1);
+    }
+
+    [Fact]
+    public async Task ShareAsync_WithNonExistentPost_ShouldReturnNull()
+    {
+        // Arrange
+        var sharer = CreateUser();
+
+        // Act
+        var share = await _postService.ShareAsync(Guid.NewGuid(), sharer.Id, new SharePostDto());
+
+        // Assert
+        share.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task DeleteAsync_OfSharedPost_ShouldKeepShareWithoutOriginal()
+    {
+        // Arrange
+        var author = CreateUser();
+        var sharer = CreateUser("Marie", "Martin");
+        var original = CreatePost(author.Id);
+        var share = await _postService.ShareAsync(original.Id, sharer.Id, new SharePostDto { Content = "Bravo" });
+
+        // Act
+        await _postService.DeleteAsync(original.Id, author.Id);
+        var result = await _postService.GetByIdAsync(share!.Id, sharer.Id);
+
+        // Assert
+        result.Should().NotBeNull();
+        result!.IsShare.Should().BeTrue();
+        result.SharedPost.Should().BeNull();
+        result.Content.Should().Be("Bravo");
+    }
+
+    #endregion
+
+    #region ContentParser Tests
+
+    [Fact]
+    public void ExtractHashtags_ShouldNormalizeAndIgnoreInvalidTags()
+    {
+        // Act
+        var tags = ContentParser.ExtractHashtags("#Recrutement en C# : #recrutement #2024 #Développement page#ancre");
+
+        // Assert
+        tags.Should().Equal("recrutement", "developpement");
+    }
+
+    [Fact]
+    public void ExtractHashtags_ShouldIgnoreLinkFragments()
+    {
+        // Act
+        var tags = ContentParser.ExtractHashtags("Voir https://exemple.com/page#section #emploi");
+
+        // Assert
+        tags.Should().Equal("emploi");
+    }
+
+    [Fact]
+    public void ContainsMention_ShouldIgnoreCaseButNotLongerNames()
+    {
+        // Assert
+        ContentParser.ContainsMention("Merci @marie martin !", "Marie", "Martin").Should().BeTrue();
+        ContentParser.ContainsMention("Merci @Marie Martine", "Marie", "Martin").Should().BeFalse();
+    }
+
+    #endregion
+
+    #region Hashtags Tests
+
+    [Fact]
+    public async Task CreateAsync_ShouldIndexHashtags()
+    {
+        // Arrange
+        var author = CreateUser();
+
+        // Act
+        var result = await _postService.CreateAsync(author.Id,
+            new CreatePostDto { Content = "Nous recrutons ! #Recrutement #DotNet" });
+
+        // Assert
+        var tags = await _context.PostHashtags.Where(h => h.PostId == result.Id).Select(h => h.Tag).ToListAsync();
+        tags.Should().BeEquivalentTo("recrutement", "dotnet");
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ShouldReplaceHashtags()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = await _postService.CreateAsync(author.Id, new CreatePostDto { Content = "#ancien #garde" });
+
+        // Act
+        await _postService.UpdateAsync(post.Id, author.Id, new UpdatePostDto { Content = "#garde #nouveau" });
+
+        // Assert
+        var tags = await _context.PostHashtags.Where(h => h.PostId == post.Id).Select(h => h.Tag).ToListAsync();
+        tags.Should().BeEquivalentTo("garde", "nouveau");
+    }
+
+    [Fact]
+    public async Task GetByHashtagAsync_ShouldReturnMatchingPostsExceptBlockedAuthors()
+    {
+        // Arrange
+        var user = CreateUser();
+        var author = CreateUser();
+        var blocked = CreateUser();
+        var post = await _postService.CreateAsync(author.Id, new CreatePostDto { Content = "Salon #Emploi" });
+        await _postService.CreateAsync(author.Id, new CreatePostDto { Content = "Sans hashtag" });
+        await _postService.CreateAsync(blocked.Id, new CreatePostDto { Content = "#emploi aussi" });
+        _context.UserBlocks.Add(new UserBlock { UserId = user.Id, BlockedUserId = blocked.Id });
+        _context.SaveChanges();
+
+        // Act
+        var result = await _postService.GetByHashtagAsync("emploi", user.Id, 1, 20);
+
+        // Assert
+        result.Should().ContainSingle(p => p.Id == post.Id);
+    }
+
+    [Fact]
+    public async Task GetTrendingHashtagsAsync_ShouldCountRecentPostsOnly()
+    {
+        // Arrange
+        var author = CreateUser();
+        await _postService.CreateAsync(author.Id, new CreatePostDto { Content = "#cloud #ia" });
+        await _postService.CreateAsync(author.Id, new CreatePostDto { Content = "#ia" });
+        var oldPost = await _postService.CreateAsync(author.Id, new CreatePostDto { Content = "#cloud #cloud2019" });
+        var oldPostEntity = await _context.Posts.FindAsync(oldPost.Id);
+        oldPostEntity!.CreatedAt = DateTime.UtcNow.AddDays(-10);
+        _context.SaveChanges();
+
+        // Act
+        var result = await _postService.GetTrendingHashtagsAsync(7, 10);
+
+        // Assert
+        result.Select(h => h.Tag).Should().Equal("ia", "cloud");
+        result[0].PostsCount.Should().Be(2);
+        result[1].PostsCount.Should().Be(1);
+    }
+
+    #endregion
+
+    #region Mentions Tests
+
+    [Fact]
+    public async Task CreateAsync_WithMention_ShouldSaveMentionAndNotify()
+    {
+        // Arrange
+        var author = CreateUser("Jean", "Dupont");
+        var mentioned = CreateUser("Marie", "Martin");
+
+        // Act
+        var result = await _postService.CreateAsync(author.Id, new CreatePostDto
+        {
+            Content = "Bienvenue à @Marie Martin dans l'équipe",
+            MentionedUserIds = new List<Guid> { mentioned.Id }
+        });
+
+        // Assert
+        result.Mentions.Should().ContainSingle(m => m.UserId == mentioned.Id && m.FirstName == "Marie");
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            mentioned.Id,
+            author.Id,
+            NotificationType.Mention,
+            It.Is<NotificationData>(d => d.PostId == result.Id.ToString())), Times.Once);
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithMentionMissingFromContent_ShouldIgnoreIt()
+    {
+        // Arrange
+        var author = CreateUser();
+        var mentioned = CreateUser("Marie", "Martin");
+
+        // Act
+        var result = await _postService.CreateAsync(author.Id, new CreatePostDto
+        {
+            Content = "Aucune mention ici",
+            MentionedUserIds = new List<Guid> { mentioned.Id }
+        });
+
+        // Assert
+        result.Mentions.Should().BeEmpty();
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            It.IsAny<Guid>(), It.IsAny<Guid>(), NotificationType.Mention, It.IsAny<NotificationData>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithBlockedMention_ShouldIgnoreIt()
+    {
+        // Arrange
+        var author = CreateUser();
+        var blocker = CreateUser("Marie", "Martin");
+        _context.UserBlocks.Add(new UserBlock { UserId = blocker.Id, BlockedUserId = author.Id });
+        _context.SaveChanges();
+
+        // Act
+        var result = await _postService.CreateAsync(author.Id, new CreatePostDto
+        {
+            Content = "Bonjour @Marie Martin",
+            MentionedUserIds = new List<Guid> { blocker.Id }
+        });
+
+        // Assert
+        result.Mentions.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ShouldKeepExistingMentionsWithoutNotifyingAgain()
+    {
+        // Arrange
+        var author = CreateUser();
+        var mentioned = CreateUser("Marie", "Martin");
+        var removed = CreateUser("Paul", "Durand");
+        var post = await _postService.CreateAsync(author.Id, new CreatePostDto
+        {
+            Content = "Merci @Marie Martin et @Paul Durand",
+            MentionedUserIds = new List<Guid> { mentioned.Id, removed.Id }
+        });
+        _notificationServiceMock.Invocations.Clear();
 
         // Act
-        await _postService.UnlikeAsync(post.Id, liker.Id);
-        var afterUnlike = await _postService.GetByIdAsync(post.Id);
+        var result = await _postService.UpdateAsync(post.Id, author.Id,
+            new UpdatePostDto { Content = "Merci @Marie Martin !" });
 
         // Assert
-        afterUnlike!.LikesCount.Should().Be(0);
+        result!.Mentions.Should().ContainSingle(m => m.UserId == mentioned.Id);
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            It.IsAny<Guid>(), It.IsAny<Guid>(), NotificationType.Mention, It.IsAny<NotificationData>()), Times.Never);
     }
 
     #endregion
@@ -0,0 +1,493 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
+using ProSocialApi.DTOs.Users;
+using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour ProfileService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// </summary>
+public class ProfileServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ProfileService _profileService;
+    private readonly Mock<INotificationService> _notificationServiceMock;
+
+    public ProfileServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _notificationServiceMock = new Mock<INotificationService>();
+        _profileService = new ProfileService(_context, new SanitizationService(), _notificationServiceMock.Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(string firstName = "Test", string lastName = "User")
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = firstName,
+            LastName = lastName
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private void Connect(Guid userId, Guid otherUserId)
+    {
+        _context.Connections.Add(new Connection
+        {
+            Id = Guid.NewGuid(),
+            RequesterId = userId,
+            AddresseeId = otherUserId,
+            Status = ConnectionStatus.Accepted
+        });
+        _context.SaveChanges();
+    }
+
+    private static SaveExperienceDto CreateExperienceDto(string title = "Développeur", DateTime? startDate = null, DateTime? endDate = null)
+    {
+        return new SaveExperienceDto
+        {
+            Title = title,
+            Company = "ACME",
+            StartDate = startDate ?? new DateTime(2020, 3, 1),
+            EndDate = endDate
+        };
+    }
+
+    #endregion
+
+    #region Experience Tests
+
+    [Fact]
+    public async Task AddExperienceAsync_ShouldTruncateDatesToMonthAndAppendToSection()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _profileService.AddExperienceAsync(user.Id, CreateExperienceDto("Stagiaire"));
+
+        // Act
+        var (success, _, experience) = await _profileService.AddExperienceAsync(user.Id,
+            CreateExperienceDto("Développeur", new DateTime(2021, 5, 17), new DateTime(2023, 2, 28)));
+
+        // Assert
+        success.Should().BeTrue();
+        experience!.StartDate.Should().Be(new DateTime(2021, 5, 1));
+        experience.EndDate.Should().Be(new DateTime(2023, 2, 1));
+
+        var sections = await _profileService.GetSectionsAsync(user.Id);
+        sections!.Experiences.Select(e => e.Title).Should().Equal("Stagiaire", "Développeur");
+    }
+
+    [Fact]
+    public async Task AddExperienceAsync_WithEndDateBeforeStartDate_ShouldReturnFailure()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (success, message, _) = await _profileService.AddExperienceAsync(user.Id,
+            CreateExperienceDto(startDate: new DateTime(2022, 6, 1), endDate: new DateTime(2021, 1, 1)));
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Contain("date de fin");
+        _context.Experiences.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task AddExperienceAsync_ShouldStripHtml()
+    {
+        // Arrange
+        var user = CreateUser();
+        var dto = CreateExperienceDto("<script>alert(1)</script>Développeur");
+
+        // Act
+        var (_, _, experience) = await _profileService.AddExperienceAsync(user.Id, dto);
+
+        // Assert
+        experience!.Title.Should().NotContain("<script>").And.EndWith("Développeur");
+    }
+
+    [Fact]
+    public async Task UpdateExperienceAsync_OfAnotherUser_ShouldReturnFailure()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var other = CreateUser();
+        var (_, _, experience) = await _profileService.AddExperienceAsync(owner.Id, CreateExperienceDto());
+
+        // Act
+        var (success, _, _) = await _profileService.UpdateExperienceAsync(other.Id, experience!.Id, CreateExperienceDto("Pirate"));
+
+        // Assert
+        success.Should().BeFalse();
+        (await _context.Experiences.SingleAsync()).Title.Should().Be("Développeur");
+    }
+
+    [Fact]
+    public async Task DeleteExperienceAsync_OfAnotherUser_ShouldReturnFalse()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var other = CreateUser();
+        var (_, _, experience) = await _profileService.AddExperienceAsync(owner.Id, CreateExperienceDto());
+
+        // Act
+        var result = await _profileService.DeleteExperienceAsync(other.Id, experience!.Id);
+
+        // Assert
+        result.Should().BeFalse();
+        _context.Experiences.Should().HaveCount(1);
+    }
+
+    #endregion
+
+    #region Education Tests
+
+    [Fact]
+    public async Task AddEducationAsync_WithOnlySchool_ShouldSucceed()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (success, _, education) = await _profileService.AddEducationAsync(user.Id,
+            new SaveEducationDto { School = "Université de Lyon", Degree = " " });
+
+        // Assert
+        success.Should().BeTrue();
+        education!.School.Should().Be("Université de Lyon");
+        education.Degree.Should().BeNull();
+        education.StartDate.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task AddEducationAsync_WithBlankSchool_ShouldReturnFailure()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (success, _, _) = await _profileService.AddEducationAsync(user.Id, new SaveEducationDto { School = "<p></p>" });
+
+        // Assert
+        success.Should().BeFalse();
+        _context.Educations.Should().BeEmpty();
+    }
+
+    #endregion
+
+    #region Reorder Tests
+
+    [Fact]
+    public async Task ReorderEducationsAsync_ShouldApplyNewOrder()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (_, _, first) = await _profileService.AddEducationAsync(user.Id, new SaveEducationDto { School = "Lycée" });
+        var (_, _, second) = await _profileService.AddEducationAsync(user.Id, new SaveEducationDto { School = "Université" });
+
+        // Act
+        var (success, _) = await _profileService.ReorderEducationsAsync(user.Id, new List<Guid> { second!.Id, first!.Id });
+
+        // Assert
+        success.Should().BeTrue();
+        var sections = await _profileService.GetSectionsAsync(user.Id);
+        sections!.Educations.Select(e => e.School).Should().Equal("Université", "Lycée");
+    }
+
+    [Fact]
+    public async Task ReorderSkillsAsync_WithIncompleteOrForeignList_ShouldReturnFailure()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        var (_, _, skill) = await _profileService.AddSkillAsync(user.Id, new SaveSkillDto { Name = "C#" });
+        await _profileService.AddSkillAsync(user.Id, new SaveSkillDto { Name = "SQL" });
+        var (_, _, foreignSkill) = await _profileService.AddSkillAsync(other.Id, new SaveSkillDto { Name = "Java" });
+
+        // Act
+        var (incomplete, _) = await _profileService.ReorderSkillsAsync(user.Id, new List<Guid> { skill!.Id });
+        var (foreign, _) = await _profileService.ReorderSkillsAsync(user.Id, new List<Guid> { skill.Id, foreignSkill!.Id });
+        var (duplicate, _) = await _profileService.ReorderSkillsAsync(user.Id, new List<Guid> { skill.Id, skill.Id });
+
+        // Assert
+        incomplete.Should().BeFalse();
+        foreign.Should().BeFalse();
+        duplicate.Should().BeFalse();
+    }
+
+    #endregion
+
+    #region Skill Tests
+
+    [Fact]
+    public async Task AddSkillAsync_WithSameNameIgnoringCaseAndAccents_ShouldReturnFailure()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _profileService.AddSkillAsync(user.Id, new SaveSkillDto { Name = "Négociation" });
+
+        // Act
+        var (success, message, _) = await _profileService.AddSkillAsync(user.Id, new SaveSkillDto { Name = "  negociation " });
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Contain("déjà");
+        _context.Skills.Should().HaveCount(1);
+    }
+
+    [Fact]
+    public async Task UpdateSkillAsync_ToAnotherSkill_ShouldRemoveEndorsements()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var friend = CreateUser();
+        Connect(owner.Id, friend.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+        await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, friend.Id);
+
+        // Act
+        var (success, _, updated) = await _profileService.UpdateSkillAsync(owner.Id, skill.Id, new SaveSkillDto { Name = "Cuisine" });
+
+        // Assert
+        success.Should().BeTrue();
+        updated!.EndorsementsCount.Should().Be(0);
+        _context.SkillEndorsements.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task UpdateSkillAsync_WithOnlyCaseChange_ShouldKeepEndorsements()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var friend = CreateUser();
+        Connect(owner.Id, friend.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "asp.net core" });
+        await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, friend.Id);
+
+        // Act
+        var (_, _, updated) = await _profileService.UpdateSkillAsync(owner.Id, skill.Id, new SaveSkillDto { Name = "ASP.NET Core" });
+
+        // Assert
+        updated!.Name.Should().Be("ASP.NET Core");
+        updated.EndorsementsCount.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task DeleteSkillAsync_ShouldRemoveEndorsements()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var friend = CreateUser();
+        Connect(owner.Id, friend.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+        await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, friend.Id);
+
+        // Act
+        var result = await _profileService.DeleteSkillAsync(owner.Id, skill.Id);
+
+        // Assert
+        result.Should().BeTrue();
+        _context.Skills.Should().BeEmpty();
+        _context.SkillEndorsements.Should().BeEmpty();
+    }
+
+    #endregion
+
+    #region Endorsement Tests
+
+    [Fact]
+    public async Task EndorseSkillAsync_ByConnection_ShouldSucceedAndNotifyOwner()
+    {
+        // Arrange
+        var owner = CreateUser("Marie", "Martin");
+        var friend = CreateUser("Jean", "Dupont");
+        Connect(friend.Id, owner.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+
+        // Act
+        var (success, _, endorsed) = await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, friend.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        endorsed!.EndorsementsCount.Should().Be(1);
+        endorsed.IsEndorsedByCurrentUser.Should().BeTrue();
+        endorsed.Endorsers.Should().ContainSingle(e => e.Id == friend.Id);
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            owner.Id,
+            friend.Id,
+            NotificationType.SkillEndorsement,
+            It.Is<NotificationData>(d => d.SkillName == "C#")), Times.Once);
+    }
+
+    [Fact]
+    public async Task EndorseSkillAsync_Twice_ShouldReturnFailure()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var friend = CreateUser();
+        Connect(owner.Id, friend.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+        await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, friend.Id);
+
+        // Act
+        var (success, message, _) = await _profileService.EndorseSkillAsync(owner.Id, skill.Id, friend.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Vous avez déjà recommandé cette compétence");
+        _context.SkillEndorsements.Should().HaveCount(1);
+    }
+
+    [Fact]
+    public async Task EndorseSkillAsync_WithoutConnection_ShouldReturnFailure()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var stranger = CreateUser();
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+
+        // Act
+        var (success, _, _) = await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, stranger.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        _context.SkillEndorsements.Should().BeEmpty();
+        _notificationServiceMock.Verify(n => n.NotifyAsync(
+            It.IsAny<Guid>(), It.IsAny<Guid>(), It.IsAny<NotificationType>(), It.IsAny<NotificationData>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task EndorseSkillAsync_OwnSkill_ShouldReturnFailure()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+
+        // Act
+        var (success, _, _) = await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, owner.Id);
+
+        // Assert
+        success.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task RemoveEndorsementAsync_ShouldRemoveOnlyOwnEndorsement()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var friend = CreateUser();
+        var otherFriend = CreateUser();
+        Connect(owner.Id, friend.Id);
+        Connect(owner.Id, otherFriend.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+        await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, friend.Id);
+        await _profileService.EndorseSkillAsync(owner.Id, skill.Id, otherFriend.Id);
+
+        // Act
+        var result = await _profileService.RemoveEndorsementAsync(owner.Id, skill.Id, friend.Id);
+
+        // Assert
+        result!.EndorsementsCount.Should().Be(1);
+        result.IsEndorsedByCurrentUser.Should().BeFalse();
+        (await _context.SkillEndorsements.SingleAsync()).EndorserId.Should().Be(otherFriend.Id);
+    }
+
+    #endregion
+
+    #region GetSectionsAsync Tests
+
+    [Fact]
+    public async Task GetSectionsAsync_ShouldSetCanEndorseForConnectionsOnly()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var friend = CreateUser();
+        var stranger = CreateUser();
+        Connect(owner.Id, friend.Id);
+
+        // Act
+        var asFriend = await _profileService.GetSectionsAsync(owner.Id, friend.Id);
+        var asStranger = await _profileService.GetSectionsAsync(owner.Id, stranger.Id);
+        var asOwner = await _profileService.GetSectionsAsync(owner.Id, owner.Id);
+
+        // Assert
+        asFriend!.CanEndorse.Should().BeTrue();
+        asStranger!.CanEndorse.Should().BeFalse();
+        asOwner!.CanEndorse.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task GetSectionsAsync_WhenBlocked_ShouldReturnNull()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var blocked = CreateUser();
+        _context.UserBlocks.Add(new UserBlock { UserId = owner.Id, BlockedUserId = blocked.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _profileService.GetSectionsAsync(owner.Id, blocked.Id);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetSectionsAsync_ShouldHideEndorsersBlockedByViewer()
+    {
+        // Arrange
+        var owner = CreateUser();
+        var viewer = CreateUser();
+        var endorser = CreateUser();
+        Connect(owner.Id, endorser.Id);
+        var (_, _, skill) = await _profileService.AddSkillAsync(owner.Id, new SaveSkillDto { Name = "C#" });
+        await _profileService.EndorseSkillAsync(owner.Id, skill!.Id, endorser.Id);
+        _context.UserBlocks.Add(new UserBlock { UserId = viewer.Id, BlockedUserId = endorser.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _profileService.GetSectionsAsync(owner.Id, viewer.Id);
+
+        // Assert
+        var skillDto = result!.Skills.Single();
+        skillDto.EndorsementsCount.Should().Be(1);
+        skillDto.Endorsers.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task GetSectionsAsync_WithUnknownUser_ShouldReturnNull()
+    {
+        // Act
+        var result = await _profileService.GetSectionsAsync(Guid.NewGuid());
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    #endregion
+}
@@ -0,0 +1,344 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Messages;
+using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour ReportService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// Les messages (MongoDB) sont simulés par un mock de IMessageService.
+/// </summary>
+public class ReportServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ReportService _reportService;
+    private readonly Mock<IMessageService> _messageServiceMock;
+    private readonly Mock<IRealtimeService> _realtimeServiceMock;
+
+    public ReportServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _messageServiceMock = new Mock<IMessageService>();
+        _realtimeServiceMock = new Mock<IRealtimeService>();
+        _reportService = new ReportService(_context, new SanitizationService(), _messageServiceMock.Object,
+            _realtimeServiceMock.Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(UserRole role = UserRole.Member)
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = "Test",
+            LastName = "User",
+            Role = role
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private Post CreatePost(Guid authorId, string content = "Contenu signalé")
+    {
+        var post = new Post
+        {
+            Id = Guid.NewGuid(),
+            AuthorId = authorId,
+            Content = content
+        };
+        _context.Posts.Add(post);
+        _context.SaveChanges();
+        return post;
+    }
+
+    private Task<(bool Success, string Message)> ReportPostAsync(Guid reporterId, Post post,
+        ReportReason reason = ReportReason.Spam, string? details = null)
+    {
+        return _reportService.CreateReportAsync(reporterId, ReportTargetType.Post, post.Id.ToString(), reason, details);
+    }
+
+    #endregion
+
+    #region CreateReportAsync Tests
+
+    [Fact]
+    public async Task CreateReportAsync_OnPost_ShouldStoreAuthorAndExcerpt()
+    {
+        // Arrange
+        var author = CreateUser();
+        var reporter = CreateUser();
+        var post = CreatePost(author.Id, "Achetez maintenant !");
+
+        // Act
+        var (success, message) = await ReportPostAsync(reporter.Id, post, details: "<b>Pub</b> répétée");
+
+        // Assert
+        success.Should().BeTrue();
+        message.Should().Be("Signalement envoyé");
+
+        var report = await _context.Reports.SingleAsync();
+        report.TargetAuthorId.Should().Be(author.Id);
+        report.ContentExcerpt.Should().Be("Achetez maintenant !");
+        report.Details.Should().Be("Pub répétée");
+        report.Status.Should().Be(ReportStatus.Open);
+    }
+
+    [Fact]
+    public async Task CreateReportAsync_OnOwnContent_ShouldFail()
+    {
+        // Arrange
+        var author = CreateUser();
+        var post = CreatePost(author.Id);
+
+        // Act
+        var (success, message) = await ReportPostAsync(author.Id, post);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Vous ne pouvez pas signaler votre propre contenu");
+    }
+
+    [Fact]
+    public async Task CreateReportAsync_Twice_ShouldFail()
+    {
+        // Arrange
+        var reporter = CreateUser();
+        var post = CreatePost(CreateUser().Id);
+        await ReportPostAsync(reporter.Id, post);
+
+        // Act
+        var (success, message) = await ReportPostAsync(reporter.Id, post, ReportReason.Harassment);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Vous avez déjà signalé ce contenu");
+    }
+
+    [Fact]
+    public async Task CreateReportAsync_OnMessageNotReceived_ShouldFail()
+    {
+        // Arrange
+        var reporter = CreateUser();
+        _messageServiceMock
+            .Setup(m => m.FindMessageAsync("message-id", reporter.Id))
+            .ReturnsAsync((MessageDto?)null);
+
+        // Act
+        var (success, message) = await _reportService.CreateReportAsync(
+            reporter.Id, ReportTargetType.Message, "message-id", ReportReason.Harassment, null);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Contenu introuvable");
+    }
+
+    [Fact]
+    public async Task CreateReportAsync_OnReceivedMessage_ShouldTargetSender()
+    {
+        // Arrange
+        var reporter = CreateUser();
+        var sender = CreateUser();
+        _messageServiceMock
+            .Setup(m => m.FindMessageAsync("message-id", reporter.Id))
+            .ReturnsAsync(new MessageDto { Id = "message-id", SenderId = sender.Id.ToString(), Content = "Insulte" });
+
+        // Act
+        var (success, _) = await _reportService.CreateReportAsync(
+            reporter.Id, ReportTargetType.Message, "message-id", ReportReason.Harassment, null);
+
+        // Assert
+        success.Should().BeTrue();
+        (await _context.Reports.SingleAsync()).TargetAuthorId.Should().Be(sender.Id);
+    }
+
+    #endregion
+
+    #region GetOpenReportsAsync Tests
+
+    [Fact]
+    public async Task GetOpenReportsAsync_ShouldGroupReportsByTarget()
+    {
+        // Arrange
+        var author = CreateUser();
+        var reportedTwice = CreatePost(author.Id);
+        var reportedOnce = CreatePost(author.Id);
+        await ReportPostAsync(CreateUser().Id, reportedTwice, ReportReason.Spam);
+        await ReportPostAsync(CreateUser().Id, reportedTwice, ReportReason.Spam, "Pub");
+        await ReportPostAsync(CreateUser().Id, reportedOnce, ReportReason.Harassment);
+
+        // Act
+        var items = await _reportService.GetOpenReportsAsync();
+
+        // Assert
+        items.Select(i => i.TargetId).Should().Equal(reportedTwice.Id.ToString(), reportedOnce.Id.ToString());
+        items[0].ReportsCount.Should().Be(2);
+        items[0].Reasons.Should().ContainKey("Spam").WhoseValue.Should().Be(2);
+        items[0].Details.Should().Equal("Pub");
+        items[0].Author.Id.Should().Be(author.Id);
+    }
+
+    #endregion
+
+    #region Moderation Actions Tests
+
+    [Fact]
+    public async Task DismissReportsAsync_ShouldCloseReportsAndKeepContent()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var post = CreatePost(CreateUser().Id);
+        await ReportPostAsync(CreateUser().Id, post);
+
+        // Act
+        var result = await _reportService.DismissReportsAsync(ReportTargetType.Post, post.Id.ToString(), moderator.Id);
+
+        // Assert
+        result.Should().BeTrue();
+        (await _context.Posts.AnyAsync(p => p.Id == post.Id)).Should().BeTrue();
+        var report = await _context.Reports.SingleAsync();
+        report.Status.Should().Be(ReportStatus.Dismissed);
+        report.ReviewedById.Should().Be(moderator.Id);
+        (await _reportService.GetOpenReportsAsync()).Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task DeleteContentAsync_OnReportedPost_ShouldDeletePostAndResolveReports()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var post = CreatePost(CreateUser().Id);
+        await ReportPostAsync(CreateUser().Id, post);
+
+        // Act
+        var (success, _) = await _reportService.DeleteContentAsync(ReportTargetType.Post, post.Id.ToString(), moderator.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        (await _context.Posts.AnyAsync(p => p.Id == post.Id)).Should().BeFalse();
+        (await _context.Reports.SingleAsync()).Status.Should().Be(ReportStatus.Resolved);
+    }
+
+    [Fact]
+    public async Task DeleteContentAsync_WithoutOpenReport_ShouldFail()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var post = CreatePost(CreateUser().Id);
+
+        // Act
+        var (success, message) = await _reportService.DeleteContentAsync(ReportTargetType.Post, post.Id.ToString(), moderator.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Aucun signalement ouvert pour ce contenu");
+        (await _context.Posts.AnyAsync(p => p.Id == post.Id)).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task DeleteContentAsync_OnReportedMessage_ShouldDeleteThroughMessageService()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var reporter = CreateUser();
+        var sender = CreateUser();
+        _messageServiceMock
+            .Setup(m => m.FindMessageAsync("message-id", reporter.Id))
+            .ReturnsAsync(new MessageDto { Id = "message-id", SenderId = sender.Id.ToString(), Content = "Insulte" });
+        await _reportService.CreateReportAsync(reporter.Id, ReportTargetType.Message, "message-id", ReportReason.Harassment, null);
+
+        // Act
+        await _reportService.DeleteContentAsync(ReportTargetType.Message, "message-id", moderator.Id);
+
+        // Assert
+        _messageServiceMock.Verify(m => m.DeleteMessageAsync("message-id"), Times.Once);
+    }
+
+    [Fact]
+    public async Task SuspendUserAsync_ShouldSuspendAndResolveAuthorReports()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var author = CreateUser();
+        await ReportPostAsync(CreateUser().Id, CreatePost(author.Id));
+        await ReportPostAsync(CreateUser().Id, CreatePost(author.Id));
+
+        // Act
+        var (success, message) = await _reportService.SuspendUserAsync(author.Id, moderator.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        message.Should().Be("Compte suspendu");
+        (await _context.Users.FindAsync(author.Id))!.IsSuspended.Should().BeTrue();
+        (await _context.Reports.AllAsync(r => r.Status == ReportStatus.Resolved)).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task SuspendUserAsync_ShouldCloseTheSessionsOfTheMember()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var author = CreateUser();
+        _context.UserSessions.Add(new UserSession { UserId = author.Id, RefreshTokenHash = "A", ExpiresAt = DateTime.UtcNow.AddDays(1) });
+        _context.UserSessions.Add(new UserSession { UserId = moderator.Id, RefreshTokenHash = "B", ExpiresAt = DateTime.UtcNow.AddDays(1) });
+        await _context.SaveChangesAsync();
+
+        // Act
+        await _reportService.SuspendUserAsync(author.Id, moderator.Id);
+
+        // Assert
+        (await _context.UserSessions.Select(s => s.UserId).ToListAsync()).Should().Equal(moderator.Id);
+        _realtimeServiceMock.Verify(r => r.CloseUserConnections(author.Id), Times.Once);
+    }
+
+    [Fact]
+    public async Task SuspendUserAsync_OnModerator_ShouldFail()
+    {
+        // Arrange
+        var moderator = CreateUser(UserRole.Moderator);
+        var otherModerator = CreateUser(UserRole.Moderator);
+
+        // Act
+        var (success, message) = await _reportService.SuspendUserAsync(otherModerator.Id, moderator.Id);
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Impossible de suspendre un membre de l'équipe de modération");
+    }
+
+    [Fact]
+    public async Task SetRoleAsync_ShouldUpdateRole()
+    {
+        // Arrange
+        var admin = CreateUser(UserRole.Admin);
+        var member = CreateUser();
+
+        // Act
+        var (success, _) = await _reportService.SetRoleAsync(member.Id, UserRole.Moderator, admin.Id);
+
+        // Assert
+        success.Should().BeTrue();
+        (await _context.Users.FindAsync(member.Id))!.Role.Should().Be(UserRole.Moderator);
+    }
+
+    #endregion
+}
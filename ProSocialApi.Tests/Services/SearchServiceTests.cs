@@ -0,0 +1,320 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Services;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour SearchService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// Le texte de recherche (search_text) est calculé par le DbContext à l'enregistrement.
+/// </summary>
+public class SearchServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly SearchService _searchService;
+
+    public SearchServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _searchService = new SearchService(_context);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser(string firstName = "Test", string lastName = "User", string? headline = null)
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = firstName,
+            LastName = lastName,
+            Headline = headline
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private void Connect(Guid userId, Guid otherUserId)
+    {
+        _context.Connections.Add(new Connection
+        {
+            Id = Guid.NewGuid(),
+            RequesterId = userId,
+            AddresseeId = otherUserId,
+            Status = ConnectionStatus.Accepted
+        });
+        _context.SaveChanges();
+    }
+
+    private Post CreatePost(Guid authorId, string content, DateTime? createdAt = null)
+    {
+        var post = new Post
+        {
+            Id = Guid.NewGuid(),
+            AuthorId = authorId,
+            Content = content,
+            CreatedAt = createdAt ?? DateTime.UtcNow
+        };
+        _context.Posts.Add(post);
+        _context.SaveChanges();
+        return post;
+    }
+
+    #endregion
+
+    #region SearchNormalizer Tests
+
+    [Fact]
+    public void Normalize_ShouldRemoveAccentsCaseAndExtraSpaces()
+    {
+        // Act
+        var result = SearchNormalizer.Normalize("  Hélène   ŒUVRE  Ça ");
+
+        // Assert
+        result.Should().Be("helene oeuvre ca");
+    }
+
+    [Fact]
+    public void SplitTerms_ShouldReturnDistinctTermsWithoutPunctuation()
+    {
+        // Act
+        var terms = SearchNormalizer.SplitTerms("Dupont, Hélène dupont !");
+
+        // Assert
+        terms.Should().Equal("dupont", "helene");
+    }
+
+    #endregion
+
+    #region SearchPeopleAsync Tests
+
+    [Fact]
+    public async Task SearchPeopleAsync_ShouldMatchIgnoringAccentsAndCase()
+    {
+        // Arrange
+        var user = CreateUser();
+        var helene = CreateUser("Hélène", "Dupré");
+        CreateUser("Marc", "Martin");
+
+        // Act
+        var result = await _searchService.SearchPeopleAsync(user.Id, "HELENE dupre", false, 1, 20);
+
+        // Assert
+        result.TotalCount.Should().Be(1);
+        result.Items.Should().ContainSingle(u => u.Id == helene.Id);
+        result.Terms.Should().Equal("helene", "dupre");
+    }
+
+    [Fact]
+    public async Task SearchPeopleAsync_ShouldRequireAllTerms()
+    {
+        // Arrange
+        var user = CreateUser();
+        var developer = CreateUser("Julie", "Bernard", "Développeuse .NET");
+        CreateUser("Julie", "Petit", "Designer");
+
+        // Act
+        var result = await _searchService.SearchPeopleAsync(user.Id, "julie developpeuse", false, 1, 20);
+
+        // Assert
+        result.Items.Should().ContainSingle(u => u.Id == developer.Id);
+    }
+
+    [Fact]
+    public async Task SearchPeopleAsync_ShouldExcludeSelfAndBlockedUsers()
+    {
+        // Arrange
+        var user = CreateUser("Paul", "Durand");
+        var blocker = CreateUser("Paul", "Leroy");
+        var visible = CreateUser("Paul", "Moreau");
+        _context.UserBlocks.Add(new UserBlock { UserId = blocker.Id, BlockedUserId = user.Id });
+        _context.SaveChanges();
+
+        // Act
+        var result = await _searchService.SearchPeopleAsync(user.Id, "paul", false, 1, 20);
+
+        // Assert
+        result.Items.Select(u => u.Id).Should().Equal(visible.Id);
+    }
+
+    [Fact]
+    public async Task SearchPeopleAsync_ShouldListConnectionsFirst()
+    {
+        // Arrange
+        var user = CreateUser();
+        var stranger = CreateUser("Anne", "Aubert");
+        var connection = CreateUser("Anne", "Zidane");
+        Connect(connection.Id, user.Id);
+
+        // Act
+        var result = await _searchService.SearchPeopleAsync(user.Id, "anne", false, 1, 20);
+
+        // Assert
+        result.Items.Select(u => u.Id).Should().Equal(connection.Id, stranger.Id);
+        result.Items[0].IsConnected.Should().BeTrue();
+        result.Items[1].IsConnected.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task SearchPeopleAsync_WithConnectionsOnly_ShouldReturnOnlyConnections()
+    {
+        // Arrange
+        var user = CreateUser();
+        CreateUser("Luc", "Girard");
+        var connection = CreateUser("Luc", "Fabre");
+        Connect(user.Id, connection.Id);
+
+        // Act
+        var result = await _searchService.SearchPeopleAsync(user.Id, "luc", true, 1, 20);
+
+        // Assert
+        result.TotalCount.Should().Be(1);
+        result.Items.Should().ContainSingle(u => u.Id == connection.Id);
+    }
+
+    [Fact]
+    public async Task SearchPeopleAsync_ShouldPaginateAndReturnTotalCount()
+    {
+        // Arrange
+        var user = CreateUser();
+        for (var i = 0; i < 5; i++)
+            CreateUser("Sophie", $"Nom{i}");
+
+        // Act
+        var firstPage = await _searchService.SearchPeopleAsync(user.Id, "sophie", false, 1, 2);
+        var lastPage = await _searchService.SearchPeopleAsync(user.Id, "sophie", false, 3, 2);
+
+        // Assert
+        firstPage.TotalCount.Should().Be(5);
+        firstPage.Items.Should().HaveCount(2);
+        firstPage.HasMore.Should().BeTrue();
+        lastPage.Items.Should().HaveCount(1);
+        lastPage.HasMore.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task SearchPeopleAsync_WithBlankQuery_ShouldReturnEmptyResult()
+    {
+        // Arrange
+        var user = CreateUser();
+        CreateUser("Marie", "Curie");
+
+        // Act
+        var result = await _searchService.SearchPeopleAsync(user.Id, "   ", false, 1, 20);
+
+        // Assert
+        result.TotalCount.Should().Be(0);
+        result.Items.Should().BeEmpty();
+    }
+
+    #endregion
+
+    #region SearchPostsAsync Tests
+
+    [Fact]
+    public async Task SearchPostsAsync_ShouldMatchContentIgnoringAccents()
+    {
+        // Arrange
+        var user = CreateUser();
+        var author = CreateUser();
+        var post = CreatePost(author.Id, "Nous recrutons une développeuse à Besançon");
+        CreatePost(author.Id, "Retour sur la conférence de mardi");
+
+        // Act
+        var result = await _searchService.SearchPostsAsync(user.Id, "developpeuse besancon", false, null, null, 1, 20);
+
+        // Assert
+        result.Items.Should().ContainSingle(p => p.Id == post.Id);
+        result.Items[0].Author.Id.Should().Be(author.Id);
+    }
+
+    [Fact]
+    public async Task SearchPostsAsync_ShouldMatchEditedContent()
+    {
+        // Arrange
+        var user = CreateUser();
+        var post = CreatePost(user.Id, "Premier jet");
+        post.Content = "Version corrigée";
+        _context.SaveChanges();
+
+        // Act
+        var oldResult = await _searchService.SearchPostsAsync(user.Id, "jet", false, null, null, 1, 20);
+        var newResult = await _searchService.SearchPostsAsync(user.Id, "corrigee", false, null, null, 1, 20);
+
+        // Assert
+        oldResult.Items.Should().BeEmpty();
+        newResult.Items.Should().ContainSingle(p => p.Id == post.Id);
+    }
+
+    [Fact]
+    public async Task SearchPostsAsync_ShouldExcludeBlockedAuthors()
+    {
+        // Arrange
+        var user = CreateUser();
+        var blocked = CreateUser();
+        CreatePost(blocked.Id, "Offre de stage");
+        _context.UserBlocks.Add(new UserBlock { UserId = user.Id, BlockedUserId = blocked.Id });
+        _context.SaveChanges();
+
+        // Act
+        var result = await _searchService.SearchPostsAsync(user.Id, "stage", false, null, null, 1, 20);
+
+        // Assert
+        result.Items.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task SearchPostsAsync_WithConnectionsOnly_ShouldReturnConnectionsPosts()
+    {
+        // Arrange
+        var user = CreateUser();
+        var connection = CreateUser();
+        var stranger = CreateUser();
+        Connect(user.Id, connection.Id);
+        var connectionPost = CreatePost(connection.Id, "Webinaire cloud");
+        CreatePost(stranger.Id, "Webinaire cloud aussi");
+
+        // Act
+        var result = await _searchService.SearchPostsAsync(user.Id, "webinaire", true, null, null, 1, 20);
+
+        // Assert
+        result.Items.Should().ContainSingle(p => p.Id == connectionPost.Id);
+    }
+
+    [Fact]
+    public async Task SearchPostsAsync_WithDateRange_ShouldIncludeWholeDays()
+    {
+        // Arrange
+        var user = CreateUser();
+        CreatePost(user.Id, "Bilan annuel", new DateTime(2024, 1, 31, 23, 0, 0, DateTimeKind.Utc));
+        var inRange = CreatePost(user.Id, "Bilan trimestriel", new DateTime(2024, 2, 1, 8, 0, 0, DateTimeKind.Utc));
+        var lastDay = CreatePost(user.Id, "Bilan mensuel", new DateTime(2024, 2, 29, 22, 0, 0, DateTimeKind.Utc));
+        CreatePost(user.Id, "Bilan de mars", new DateTime(2024, 3, 1, 0, 0, 0, DateTimeKind.Utc));
+
+        // Act
+        var result = await _searchService.SearchPostsAsync(user.Id, "bilan", false,
+            new DateTime(2024, 2, 1), new DateTime(2024, 2, 29), 1, 20);
+
+        // Assert
+        result.Items.Select(p => p.Id).Should().Equal(lastDay.Id, inRange.Id);
+    }
+
+    #endregion
+}
@@ -0,0 +1,347 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Moq;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour SessionService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// </summary>
+public class SessionServiceTests : IDisposable
+{
+    private const string FirefoxOnWindows = "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0";
+
+    private readonly ApplicationDbContext _context;
+    private readonly SessionService _sessionService;
+    private readonly Mock<IRealtimeService> _realtimeServiceMock;
+
+    public SessionServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?> { { "Jwt:RefreshTokenDays", "30" } })
+            .Build();
+
+        _realtimeServiceMock = new Mock<IRealtimeService>();
+        _sessionService = new SessionService(_context, configuration, _realtimeServiceMock.Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser()
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = "Test",
+            LastName = "User"
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    #endregion
+
+    #region CreateAsync Tests
+
+    [Fact]
+    public async Task CreateAsync_ShouldStoreOnlyTheHashOfTheRefreshToken()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (session, refreshToken) = await _sessionService.CreateAsync(user.Id, FirefoxOnWindows, "10.0.0.1");
+
+        // Assert
+        refreshToken.Should().NotBeNullOrEmpty();
+        session.RefreshTokenHash.Should().HaveLength(64).And.NotContain(refreshToken);
+        session.ExpiresAt.Should().BeCloseTo(DateTime.UtcNow.AddDays(30), TimeSpan.FromMinutes(1));
+        (await _context.UserSessions.CountAsync()).Should().Be(1);
+    }
+
+    [Fact]
+    public async Task CreateAsync_ShouldRemoveExpiredSessionsOfTheUser()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (old, _) = await _sessionService.CreateAsync(user.Id, null, null);
+        old.ExpiresAt = DateTime.UtcNow.AddMinutes(-1);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var (session, _) = await _sessionService.CreateAsync(user.Id, null, null);
+
+        // Assert
+        (await _context.UserSessions.Select(s => s.Id).ToListAsync()).Should().Equal(session.Id);
+    }
+
+    #endregion
+
+    #region RefreshAsync Tests
+
+    [Fact]
+    public async Task RefreshAsync_ShouldRotateTheRefreshToken()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (created, refreshToken) = await _sessionService.CreateAsync(user.Id, null, "10.0.0.1");
+
+        // Act
+        var (session, newRefreshToken) = await _sessionService.RefreshAsync(refreshToken, "10.0.0.2");
+
+        // Assert
+        session!.Id.Should().Be(created.Id);
+        session.User.Id.Should().Be(user.Id);
+        session.IpAddress.Should().Be("10.0.0.2");
+        newRefreshToken.Should().NotBeNullOrEmpty().And.NotBe(refreshToken);
+
+        // Le nouveau token permet à son tour de renouveler la session
+        (await _sessionService.RefreshAsync(newRefreshToken, null)).Session.Should().NotBeNull();
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("inconnu")]
+    public async Task RefreshAsync_WithUnknownToken_ShouldReturnNull(string? refreshToken)
+    {
+        // Act
+        var (session, newRefreshToken) = await _sessionService.RefreshAsync(refreshToken, null);
+
+        // Assert
+        session.Should().BeNull();
+        newRefreshToken.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task RefreshAsync_WithPreviousTokenJustAfterRotation_ShouldKeepSessionWithoutRotating()
+    {
+        // Arrange : deux onglets renouvellent la session avec le même cookie
+        var user = CreateUser();
+        var (created, refreshToken) = await _sessionService.CreateAsync(user.Id, null, null);
+        var (_, newRefreshToken) = await _sessionService.RefreshAsync(refreshToken, null);
+
+        // Act
+        var (session, secondRefreshToken) = await _sessionService.RefreshAsync(refreshToken, null);
+
+        // Assert
+        session!.Id.Should().Be(created.Id);
+        secondRefreshToken.Should().BeNull();
+        (await _sessionService.RefreshAsync(newRefreshToken, null)).Session.Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task RefreshAsync_WithReusedTokenAfterGracePeriod_ShouldRevokeSession()
+    {
+        // Arrange : l'ancien token est présenté longtemps après la rotation (token volé)
+        var user = CreateUser();
+        var (created, refreshToken) = await _sessionService.CreateAsync(user.Id, null, null);
+        var (_, newRefreshToken) = await _sessionService.RefreshAsync(refreshToken, null);
+        created.RotatedAt = DateTime.UtcNow.AddMinutes(-5);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var (session, _) = await _sessionService.RefreshAsync(refreshToken, null);
+
+        // Assert : la session est supprimée, le token légitime ne fonctionne plus non plus
+        session.Should().BeNull();
+        (await _context.UserSessions.AnyAsync()).Should().BeFalse();
+        (await _sessionService.RefreshAsync(newRefreshToken, null)).Session.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task RefreshAsync_WithExpiredSession_ShouldRemoveIt()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (created, refreshToken) = await _sessionService.CreateAsync(user.Id, null, null);
+        created.ExpiresAt = DateTime.UtcNow.AddMinutes(-1);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var (session, _) = await _sessionService.RefreshAsync(refreshToken, null);
+
+        // Assert
+        session.Should().BeNull();
+        (await _context.UserSessions.AnyAsync()).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task RefreshAsync_WithSuspendedUser_ShouldRemoveSession()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (_, refreshToken) = await _sessionService.CreateAsync(user.Id, null, null);
+        user.IsSuspended = true;
+        await _context.SaveChangesAsync();
+
+        // Act
+        var (session, _) = await _sessionService.RefreshAsync(refreshToken, null);
+
+        // Assert
+        session.Should().BeNull();
+        (await _context.UserSessions.AnyAsync()).Should().BeFalse();
+    }
+
+    #endregion
+
+    #region IsActiveAsync Tests
+
+    [Fact]
+    public async Task IsActiveAsync_ShouldReturnFalseOnceSessionIsRevoked()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (session, _) = await _sessionService.CreateAsync(user.Id, null, null);
+        var wasActive = await _sessionService.IsActiveAsync(session.Id);
+
+        // Act
+        await _sessionService.RevokeAsync(user.Id, session.Id);
+
+        // Assert
+        wasActive.Should().BeTrue();
+        (await _sessionService.IsActiveAsync(session.Id)).Should().BeFalse();
+    }
+
+    #endregion
+
+    #region GetSessionsAsync Tests
+
+    [Fact]
+    public async Task GetSessionsAsync_ShouldListActiveSessionsAndMarkTheCurrentOne()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        var (current, _) = await _sessionService.CreateAsync(user.Id, FirefoxOnWindows, "10.0.0.1");
+        var (expired, _) = await _sessionService.CreateAsync(user.Id, null, null);
+        await _sessionService.CreateAsync(other.Id, null, null);
+        expired.ExpiresAt = DateTime.UtcNow.AddMinutes(-1);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var sessions = await _sessionService.GetSessionsAsync(user.Id, current.Id);
+
+        // Assert
+        sessions.Should().ContainSingle();
+        sessions[0].Id.Should().Be(current.Id);
+        sessions[0].IsCurrent.Should().BeTrue();
+        sessions[0].Device.Should().Be("Firefox sur Windows");
+        sessions[0].IpAddress.Should().Be("10.0.0.1");
+    }
+
+    #endregion
+
+    #region Revoke Tests
+
+    [Fact]
+    public async Task RevokeAsync_WithSessionOfAnotherUser_ShouldReturnFalse()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        var (session, _) = await _sessionService.CreateAsync(other.Id, null, null);
+
+        // Act
+        var result = await _sessionService.RevokeAsync(user.Id, session.Id);
+
+        // Assert
+        result.Should().BeFalse();
+        (await _sessionService.IsActiveAsync(session.Id)).Should().BeTrue();
+        _realtimeServiceMock.Verify(r => r.CloseSessionConnections(It.IsAny<Guid>(), It.IsAny<Guid>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task RevokeAsync_ShouldCloseTheWebSocketsOfTheSession()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (session, _) = await _sessionService.CreateAsync(user.Id, null, null);
+
+        // Act
+        var result = await _sessionService.RevokeAsync(user.Id, session.Id);
+
+        // Assert
+        result.Should().BeTrue();
+        _realtimeServiceMock.Verify(r => r.CloseSessionConnections(user.Id, session.Id), Times.Once);
+    }
+
+    [Fact]
+    public async Task RevokeByRefreshTokenAsync_ShouldRemoveTheSession()
+    {
+        // Arrange
+        var user = CreateUser();
+        var (session, refreshToken) = await _sessionService.CreateAsync(user.Id, null, null);
+
+        // Act
+        await _sessionService.RevokeByRefreshTokenAsync(refreshToken);
+
+        // Assert
+        (await _sessionService.IsActiveAsync(session.Id)).Should().BeFalse();
+        _realtimeServiceMock.Verify(r => r.CloseSessionConnections(user.Id, session.Id), Times.Once);
+    }
+
+    [Fact]
+    public async Task RevokeAllAsync_ShouldRemoveOnlyTheSessionsOfTheUser()
+    {
+        // Arrange
+        var user = CreateUser();
+        var other = CreateUser();
+        await _sessionService.CreateAsync(user.Id, null, null);
+        await _sessionService.CreateAsync(user.Id, null, null);
+        var (otherSession, _) = await _sessionService.CreateAsync(other.Id, null, null);
+
+        // Act
+        var count = await _sessionService.RevokeAllAsync(user.Id);
+
+        // Assert
+        count.Should().Be(2);
+        (await _context.UserSessions.Select(s => s.Id).ToListAsync()).Should().Equal(otherSession.Id);
+        _realtimeServiceMock.Verify(r => r.CloseUserConnections(user.Id), Times.Once);
+        _realtimeServiceMock.Verify(r => r.CloseUserConnections(other.Id), Times.Never);
+    }
+
+    #endregion
+
+    #region DescribeDevice Tests
+
+    [Theory]
+    [InlineData(FirefoxOnWindows, "Firefox sur Windows")]
+    [InlineData("Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36", "Chrome sur Android")]
+    [InlineData("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0", "Edge sur Windows")]
+    [InlineData("Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1", "Safari sur iOS")]
+    [InlineData("Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15", "Safari sur macOS")]
+    [InlineData("curl/8.5.0", "Navigateur")]
+    [InlineData(null, "Appareil inconnu")]
+    public void DescribeDevice_ShouldReturnBrowserAndSystem(string? userAgent, string expected)
+    {
+        // Act
+        var device = SessionService.DescribeDevice(userAgent);
+
+        // Assert
+        device.Should().Be(expected);
+    }
+
+    #endregion
+}
@@ -0,0 +1,305 @@
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Services;
+
+namespace ProSocialApi.Tests.Services;
+
+/// <summary>
+/// Tests unitaires pour TwoFactorService.
+/// Utilise une base de données InMemory pour simuler les opérations de base de données.
+/// </summary>
+public class TwoFactorServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly TwoFactorService _twoFactorService;
+
+    public TwoFactorServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options);
+        _twoFactorService = new TwoFactorService(_context);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Helper Methods
+
+    private User CreateUser()
+    {
+        var user = new User
+        {
+            Id = Guid.NewGuid(),
+            Email = $"{Guid.NewGuid()}@example.com",
+            Password = BCrypt.Net.BCrypt.HashPassword("password"),
+            FirstName = "Test",
+            LastName = "User"
+        };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        return user;
+    }
+
+    private static string CodeAt(User user, int offset = 0)
+    {
+        return TwoFactorService.ComputeCode(user.TwoFactorSecret!, TwoFactorService.GetTimeStep(DateTimeOffset.UtcNow) + offset);
+    }
+
+    private async Task<List<string>> EnableAsync(User user)
+    {
+        await _twoFactorService.BeginSetupAsync(user.Id);
+        var (_, _, recoveryCodes) = await _twoFactorService.EnableAsync(user.Id, CodeAt(user));
+        return recoveryCodes!;
+    }
+
+    #endregion
+
+    #region ComputeCode Tests
+
+    [Theory]
+    [InlineData(59, "287082")]
+    [InlineData(1111111109, "081804")]
+    [InlineData(2000000000, "279037")]
+    public void ComputeCode_ShouldMatchRfc6238TestVectors(long unixTime, string expected)
+    {
+        // Arrange : clé ASCII "12345678901234567890" de la RFC, encodée en base32
+        const string secret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+        // Act
+        var code = TwoFactorService.ComputeCode(secret, TwoFactorService.GetTimeStep(DateTimeOffset.FromUnixTimeSeconds(unixTime)));
+
+        // Assert
+        code.Should().Be(expected);
+    }
+
+    #endregion
+
+    #region Setup Tests
+
+    [Fact]
+    public async Task BeginSetupAsync_ShouldReturnSecretAndQrCodeWithoutEnabling()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var setup = await _twoFactorService.BeginSetupAsync(user.Id);
+
+        // Assert
+        setup.Should().NotBeNull();
+        setup!.Secret.Replace(" ", "").Should().Be(user.TwoFactorSecret);
+        setup.OtpAuthUri.Should().StartWith("otpauth://totp/Pro%20Social:").And.Contain($"secret={user.TwoFactorSecret}");
+        setup.QrCodeDataUri.Should().StartWith("data:image/png;base64,");
+        user.IsTwoFactorEnabled.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task BeginSetupAsync_WhenAlreadyEnabled_ShouldReturnNull()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableAsync(user);
+        var secret = user.TwoFactorSecret;
+
+        // Act
+        var setup = await _twoFactorService.BeginSetupAsync(user.Id);
+
+        // Assert
+        setup.Should().BeNull();
+        user.TwoFactorSecret.Should().Be(secret);
+    }
+
+    [Fact]
+    public async Task EnableAsync_WithValidCode_ShouldEnableAndReturnTenRecoveryCodes()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _twoFactorService.BeginSetupAsync(user.Id);
+
+        // Act
+        var (success, _, recoveryCodes) = await _twoFactorService.EnableAsync(user.Id, CodeAt(user));
+
+        // Assert
+        success.Should().BeTrue();
+        user.IsTwoFactorEnabled.Should().BeTrue();
+        recoveryCodes.Should().HaveCount(10).And.OnlyHaveUniqueItems();
+        recoveryCodes.Should().OnlyContain(c => c.Length == 11 && c[5] == '-');
+        (await _context.RecoveryCodes.CountAsync(r => r.UserId == user.Id)).Should().Be(10);
+    }
+
+    [Fact]
+    public async Task EnableAsync_WithWrongCode_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+        await _twoFactorService.BeginSetupAsync(user.Id);
+
+        // Act : code d'un intervalle bien au-delà de la tolérance
+        var (success, _, recoveryCodes) = await _twoFactorService.EnableAsync(user.Id, CodeAt(user, 10));
+
+        // Assert
+        success.Should().BeFalse();
+        recoveryCodes.Should().BeNull();
+        user.IsTwoFactorEnabled.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task EnableAsync_WithoutSetup_ShouldFail()
+    {
+        // Arrange
+        var user = CreateUser();
+
+        // Act
+        var (success, message, _) = await _twoFactorService.EnableAsync(user.Id, "123456");
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Aucune activation en cours");
+    }
+
+    #endregion
+
+    #region VerifyCodeAsync Tests
+
+    [Fact]
+    public async Task VerifyCodeAsync_ShouldAcceptACodeOnlyOnce()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableAsync(user);
+        var code = CodeAt(user, 1);
+
+        // Act
+        var first = await _twoFactorService.VerifyCodeAsync(user, code);
+        var replay = await _twoFactorService.VerifyCodeAsync(user, code);
+
+        // Assert
+        first.Should().BeTrue();
+        replay.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task VerifyCodeAsync_ShouldAcceptCodeWithSpaces()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableAsync(user);
+        var code = CodeAt(user, 1);
+
+        // Act
+        var result = await _twoFactorService.VerifyCodeAsync(user, $"{code[..3]} {code[3..]}");
+
+        // Assert
+        result.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task VerifyCodeAsync_WithRecoveryCode_ShouldConsumeIt()
+    {
+        // Arrange
+        var user = CreateUser();
+        var recoveryCodes = await EnableAsync(user);
+
+        // Act : saisi sans tiret et en minuscules
+        var result = await _twoFactorService.VerifyCodeAsync(user, recoveryCodes[3].Replace("-", "").ToLowerInvariant());
+
+        // Assert
+        result.Should().BeTrue();
+        (await _context.RecoveryCodes.CountAsync(r => r.UserId == user.Id)).Should().Be(9);
+        (await _twoFactorService.VerifyCodeAsync(user, recoveryCodes[3])).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task VerifyCodeAsync_WhenNotEnabled_ShouldReturnFalse()
+    {
+        // Arrange : activation commencée mais pas confirmée
+        var user = CreateUser();
+        await _twoFactorService.BeginSetupAsync(user.Id);
+
+        // Act
+        var result = await _twoFactorService.VerifyCodeAsync(user, CodeAt(user));
+
+        // Assert
+        result.Should().BeFalse();
+    }
+
+    #endregion
+
+    #region Disable and Recovery Codes Tests
+
+    [Fact]
+    public async Task DisableAsync_WithWrongPassword_ShouldKeepTwoFactorEnabled()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableAsync(user);
+
+        // Act
+        var (success, message) = await _twoFactorService.DisableAsync(user.Id, "mauvais");
+
+        // Assert
+        success.Should().BeFalse();
+        message.Should().Be("Mot de passe incorrect");
+        user.IsTwoFactorEnabled.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task DisableAsync_WithPassword_ShouldRemoveSecretAndRecoveryCodes()
+    {
+        // Arrange
+        var user = CreateUser();
+        await EnableAsync(user);
+
+        // Act
+        var (success, _) = await _twoFactorService.DisableAsync(user.Id, "password");
+
+        // Assert
+        success.Should().BeTrue();
+        user.IsTwoFactorEnabled.Should().BeFalse();
+        user.TwoFactorSecret.Should().BeNull();
+        (await _context.RecoveryCodes.AnyAsync()).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task RegenerateRecoveryCodesAsync_ShouldInvalidateThePreviousCodes()
+    {
+        // Arrange
+        var user = CreateUser();
+        var oldCodes = await EnableAsync(user);
+
+        // Act
+        var (success, _, newCodes) = await _twoFactorService.RegenerateRecoveryCodesAsync(user.Id, "password");
+
+        // Assert
+        success.Should().BeTrue();
+        newCodes.Should().HaveCount(10).And.NotIntersectWith(oldCodes);
+        (await _twoFactorService.VerifyCodeAsync(user, oldCodes[0])).Should().BeFalse();
+        (await _twoFactorService.VerifyCodeAsync(user, newCodes![0])).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task GetStatusAsync_ShouldCountRemainingRecoveryCodes()
+    {
+        // Arrange
+        var user = CreateUser();
+        var recoveryCodes = await EnableAsync(user);
+        await _twoFactorService.VerifyCodeAsync(user, recoveryCodes[0]);
+
+        // Act
+        var status = await _twoFactorService.GetStatusAsync(user.Id);
+
+        // Assert
+        status!.Enabled.Should().BeTrue();
+        status.RecoveryCodesLeft.Should().Be(9);
+    }
+
+    #endregion
+}
@@ -1,11 +1,24 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
 using ProSocialApi.DTOs.Auth;
 using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Controllers;
 
 // AUTHCONTROLLER.CS - Contrôleur d'authentification
-// Gère les endpoints d'authentification : inscription et connexion.
+// Gère les endpoints d'authentification : inscription, connexion, renouvellement
+// de la session, mot de passe oublié et confirmation de l'adresse email.
+//
+// Deux cookies HttpOnly :
+// - jwt_token : JWT de courte durée envoyé à chaque requête
+// - refresh_token : refresh token de la session, envoyé uniquement à /api/auth (renouvellement, déconnexion)
+//
+// Protection contre le brute-force :
+// - Politique de limitation "auth" (Program.cs) sur l'inscription, la connexion et le mot de passe oublié
+// - Délais progressifs et verrouillage temporaire après des échecs de connexion (LoginAttemptService)
+// Dans les deux cas : 429 Too Many Requests avec le header Retry-After.
 
 /// <summary>
 /// Contrôleur REST pour l'authentification des utilisateurs.
@@ -13,7 +26,13 @@ namespace ProSocialApi.Controllers;
 /// Endpoints disponibles :
 /// - POST /api/auth/register : Inscription d'un nouvel utilisateur
 /// - POST /api/auth/login : Connexion d'un utilisateur existant
-/// - POST /api/auth/logout : Déconnexion (suppression du cookie)
+/// - POST /api/auth/login/2fa : Seconde étape de connexion (code de double authentification)
+/// - POST /api/auth/refresh : Nouveau JWT à partir du refresh token (rotation)
+/// - POST /api/auth/logout : Déconnexion de l'appareil (session supprimée, cookies effacés)
+/// - POST /api/auth/forgot-password : Envoi d'un lien de réinitialisation du mot de passe
+/// - POST /api/auth/reset-password : Choix d'un nouveau mot de passe (token du lien)
+/// - POST /api/auth/verify-email : Confirmation de l'adresse email (token du lien)
+/// - POST /api/auth/resend-verification : Renvoi du lien de confirmation (authentifié)
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]              // Route de base : /api/auth
@@ -27,6 +46,10 @@ public class AuthController : ControllerBase
     // Nom du cookie JWT
     private const string JwtCookieName = "jwt_token";
 
+    // Nom et chemin du cookie du refresh token (inutile d'envoyer ce cookie aux autres endpoints)
+    private const string RefreshCookieName = "refresh_token";
+    private const string RefreshCookiePath = "/api/auth";
+
     /// <summary>
     /// Constructeur avec injection de dépendances.
     /// </summary>
@@ -39,19 +62,47 @@ public class AuthController : ControllerBase
     }
 
     /// <summary>
-    /// Configure et envoie le cookie HttpOnly contenant le JWT.
+    /// Configure et envoie les cookies HttpOnly de la session : le JWT et, s'il a changé, le refresh token.
+    /// </summary>
+    private void SetAuthCookies(AuthResponseDto result)
+    {
+        if (!string.IsNullOrEmpty(result.Token))
+        {
+            var accessTokenMinutes = _configuration.GetValue("Jwt:AccessTokenMinutes", 15);
+            Response.Cookies.Append(JwtCookieName, result.Token,
+                CreateCookieOptions("/", DateTimeOffset.UtcNow.AddMinutes(accessTokenMinutes)));
+        }
+
+        // Absent quand une requête simultanée vient déjà de renouveler la session : le cookie actuel reste valable
+        if (!string.IsNullOrEmpty(result.RefreshToken))
+        {
+            var refreshTokenDays = _configuration.GetValue("Jwt:RefreshTokenDays", 30);
+            Response.Cookies.Append(RefreshCookieName, result.RefreshToken,
+                CreateCookieOptions(RefreshCookiePath, DateTimeOffset.UtcNow.AddDays(refreshTokenDays)));
+        }
+    }
+
+    /// <summary>
+    /// Supprime les cookies du JWT et du refresh token.
     /// </summary>
-    private void SetJwtCookie(string token)
+    private void RemoveAuthCookies()
     {
-        var expiresInDays = int.Parse(_configuration["Jwt:ExpiresInDays"] ?? "7");
+        Response.Cookies.Delete(JwtCookieName, CreateCookieOptions("/", null));
+        Response.Cookies.Delete(RefreshCookieName, CreateCookieOptions(RefreshCookiePath, null));
+    }
 
+    /// <summary>
+    /// Options communes des cookies d'authentification.
+    /// </summary>
+    private static CookieOptions CreateCookieOptions(string path, DateTimeOffset? expires)
+    {
         var cookieOptions = new CookieOptions
         {
             HttpOnly = true,           // Non accessible par JavaScript (protection XSS)
             Secure = true,             // Envoyé uniquement en HTTPS (desactivé en dev)
             SameSite = SameSiteMode.Strict, // Protection CSRF
-            Expires = DateTimeOffset.UtcNow.AddDays(expiresInDays),
-            Path = "/"                 // Accessible sur tout le site
+            Expires = expires,
+            Path = path
         };
 
         // En développement, on peut désactiver Secure pour HTTP local
@@ -60,21 +111,16 @@ public class AuthController : ControllerBase
             cookieOptions.Secure = false;
         }
 
-        Response.Cookies.Append(JwtCookieName, token, cookieOptions);
+        return cookieOptions;
     }
 
     /// <summary>
-    /// Supprime le cookie JWT.
+    /// Réponse 429 d'une connexion refusée après trop d'échecs, avec le header Retry-After (en secondes).
     /// </summary>
-    private void RemoveJwtCookie()
+    private ObjectResult TooManyAttempts(AuthResponseDto result)
     {
-        Response.Cookies.Delete(JwtCookieName, new CookieOptions
-        {
-            HttpOnly = true,
-            Secure = true,
-            SameSite = SameSiteMode.Strict,
-            Path = "/"
-        });
+        Response.Headers.RetryAfter = result.RetryAfterSeconds!.Value.ToString();
+        return StatusCode(StatusCodes.Status429TooManyRequests, result);
     }
 
     // INSCRIPTION - POST /api/auth/register
@@ -86,14 +132,17 @@ public class AuthController : ControllerBase
     /// <returns>
     /// 200 OK : Inscription réussie avec token JWT et infos utilisateur
     /// 400 Bad Request : Email déjà utilisé ou données invalides
+    /// 429 Too Many Requests : Trop d'inscriptions depuis cette adresse IP
     /// </returns>
     [HttpPost("register")]
+    [EnableRateLimiting("auth")]
     [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status200OK)]
     [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status429TooManyRequests)]
     public async Task<ActionResult<AuthResponseDto>> Register([FromBody] RegisterDto registerDto)
     {
         // Appel au service d'authentification pour l'inscription
-        var result = await _authService.RegisterAsync(registerDto);
+        var result = await _authService.RegisterAsync(registerDto, GetUserAgent(), GetIpAddress());
 
         // Si échec (ex: email déjà pris), retourner 400
         if (!result.Success)
@@ -101,11 +150,8 @@ public class AuthController : ControllerBase
             return BadRequest(result);
         }
 
-        // Stocker le token dans un cookie HttpOnly
-        if (!string.IsNullOrEmpty(result.Token))
-        {
-            SetJwtCookie(result.Token);
-        }
+        // Stocker le token et le refresh token dans des cookies HttpOnly
+        SetAuthCookies(result);
 
         // Succès : retourner 200 avec les infos utilisateur (token aussi pour rétrocompatibilité)
         return Ok(result);
@@ -119,16 +165,32 @@ public class AuthController : ControllerBase
     /// </summary>
     /// <param name="loginDto">Données de connexion (Email, Password)</param>
     /// <returns>
-    /// 200 OK : Connexion réussie avec token JWT et infos utilisateur
+    /// 200 OK : Connexion réussie avec token JWT et infos utilisateur,
+    ///          ou RequiresTwoFactor + TwoFactorToken si un code de double authentification est demandé
     /// 401 Unauthorized : Email ou mot de passe incorrect
+    /// 429 Too Many Requests : Trop d'échecs pour ce compte ou cette adresse IP (header Retry-After)
     /// </returns>
     [HttpPost("login")]
+    [EnableRateLimiting("auth")]
     [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status200OK)]
     [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status429TooManyRequests)]
     public async Task<ActionResult<AuthResponseDto>> Login([FromBody] LoginDto loginDto)
     {
         // Appel au service d'authentification pour la connexion
-        var result = await _authService.LoginAsync(loginDto);
+        var result = await _authService.LoginAsync(loginDto, GetUserAgent(), GetIpAddress());
+
+        // Trop d'échecs récents : tentative refusée sans vérifier le mot de passe
+        if (result.RetryAfterSeconds != null)
+        {
+            return TooManyAttempts(result);
+        }
+
+        // Mot de passe correct mais code de double authentification demandé : pas encore de cookie
+        if (result.RequiresTwoFactor)
+        {
+            return Ok(result);
+        }
 
         // Si échec (mauvais email/mot de passe), retourner 401 Unauthorized
         if (!result.Success)
@@ -136,28 +198,214 @@ public class AuthController : ControllerBase
             return Unauthorized(result);
         }
 
-        // Stocker le token dans un cookie HttpOnly
-        if (!string.IsNullOrEmpty(result.Token))
+        // Stocker le token et le refresh token dans des cookies HttpOnly
+        SetAuthCookies(result);
+
+        // Succès : retourner 200 avec les infos utilisateur (token aussi pour rétrocompatibilité)
+        return Ok(result);
+    }
+
+    // CONNEXION, SECONDE ÉTAPE - POST /api/auth/login/2fa
+
+    /// <summary>
+    /// Termine une connexion qui demande un code de double authentification.
+    /// </summary>
+    /// <param name="loginDto">Token reçu à la première étape et code (application ou code de secours)</param>
+    /// <returns>
+    /// 200 OK : Connexion réussie avec token JWT et infos utilisateur
+    /// 401 Unauthorized : Code incorrect (RequiresTwoFactor reste vrai) ou connexion expirée
+    /// 429 Too Many Requests : Trop de codes incorrects (header Retry-After)
+    /// </returns>
+    [HttpPost("login/2fa")]
+    [EnableRateLimiting("auth")]
+    [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status429TooManyRequests)]
+    public async Task<ActionResult<AuthResponseDto>> LoginWithTwoFactor([FromBody] TwoFactorLoginDto loginDto)
+    {
+        var result = await _authService.LoginWithTwoFactorAsync(loginDto, GetUserAgent(), GetIpAddress());
+
+        if (result.RetryAfterSeconds != null)
         {
-            SetJwtCookie(result.Token);
+            return TooManyAttempts(result);
         }
 
-        // Succès : retourner 200 avec les infos utilisateur (token aussi pour rétrocompatibilité)
+        if (!result.Success)
+        {
+            return Unauthorized(result);
+        }
+
+        SetAuthCookies(result);
+        return Ok(result);
+    }
+
+    // RENOUVELLEMENT - POST /api/auth/refresh
+
+    /// <summary>
+    /// Renouvelle le JWT expiré à partir du cookie refresh_token.
+    /// Appelé automatiquement par apiRequest() (common.js) lorsqu'une requête reçoit 401.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Nouveaux cookies et infos utilisateur à jour
+    /// 401 Unauthorized : Session expirée ou déconnectée (cookies effacés)
+    /// </returns>
+    [HttpPost("refresh")]
+    [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(AuthResponseDto), StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<AuthResponseDto>> Refresh()
+    {
+        var result = await _authService.RefreshAsync(Request.Cookies[RefreshCookieName], GetIpAddress());
+
+        if (!result.Success)
+        {
+            RemoveAuthCookies();
+            return Unauthorized(result);
+        }
+
+        SetAuthCookies(result);
         return Ok(result);
     }
 
     // DECONNEXION - POST /api/auth/logout
 
     /// <summary>
-    /// Déconnexion de l'utilisateur.
-    /// Supprime le cookie JWT HttpOnly.
+    /// Déconnexion de l'utilisateur sur cet appareil.
+    /// Supprime la session (le JWT et le refresh token ne sont plus acceptés) et les cookies HttpOnly.
     /// </summary>
     /// <returns>200 OK : Déconnexion réussie</returns>
     [HttpPost("logout")]
     [ProducesResponseType(StatusCodes.Status200OK)]
-    public IActionResult Logout()
+    public async Task<IActionResult> Logout()
     {
-        RemoveJwtCookie();
+        await _authService.LogoutAsync(Request.Cookies[RefreshCookieName]);
+        RemoveAuthCookies();
         return Ok(new { success = true, message = "Déconnexion réussie" });
     }
+
+    // MOT DE PASSE OUBLIÉ - POST /api/auth/forgot-password
+
+    /// <summary>
+    /// Envoie un lien de réinitialisation si l'adresse correspond à un compte.
+    /// La réponse est la même dans tous les cas (pas d'énumération des comptes).
+    /// </summary>
+    /// <param name="forgotDto">Adresse email du compte</param>
+    /// <returns>
+    /// 200 OK : Message générique
+    /// 429 Too Many Requests : Trop de demandes depuis cette adresse IP
+    /// </returns>
+    [HttpPost("forgot-password")]
+    [EnableRateLimiting("auth")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status429TooManyRequests)]
+    public async Task<IActionResult> ForgotPassword([FromBody] ForgotPasswordDto forgotDto)
+    {
+        await _authService.RequestPasswordResetAsync(forgotDto.Email);
+        return Ok(new { message = "Si un compte utilise cette adresse, un email de réinitialisation vient d'être envoyé" });
+    }
+
+    // NOUVEAU MOT DE PASSE - POST /api/auth/reset-password
+
+    /// <summary>
+    /// Remplace le mot de passe à l'aide du token reçu par email.
+    /// </summary>
+    /// <param name="resetDto">Token et nouveau mot de passe</param>
+    /// <returns>
+    /// 200 OK : Mot de passe modifié
+    /// 400 Bad Request : Lien invalide, expiré ou déjà utilisé
+    /// </returns>
+    [HttpPost("reset-password")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> ResetPassword([FromBody] ResetPasswordDto resetDto)
+    {
+        if (!await _authService.ResetPasswordAsync(resetDto))
+            return BadRequest(new { message = "Ce lien de réinitialisation est invalide ou a expiré" });
+
+        return Ok(new { message = "Votre mot de passe a été modifié" });
+    }
+
+    // CONFIRMATION DE L'EMAIL - POST /api/auth/verify-email
+
+    /// <summary>
+    /// Confirme l'adresse email à l'aide du token reçu par email.
+    /// </summary>
+    /// <param name="verifyDto">Token du lien</param>
+    /// <returns>
+    /// 200 OK : Adresse confirmée (avec l'ID du compte, pour mettre à jour la session du navigateur)
+    /// 400 Bad Request : Lien invalide, expiré ou déjà utilisé
+    /// </returns>
+    [HttpPost("verify-email")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> VerifyEmail([FromBody] VerifyEmailDto verifyDto)
+    {
+        var userId = await _authService.VerifyEmailAsync(verifyDto.Token);
+        if (userId == null)
+            return BadRequest(new { message = "Ce lien de confirmation est invalide, a expiré ou a déjà été utilisé" });
+
+        return Ok(new { userId, message = "Votre adresse email est confirmée" });
+    }
+
+    // RENVOI DU LIEN DE CONFIRMATION - POST /api/auth/resend-verification
+
+    /// <summary>
+    /// Renvoie le lien de confirmation à l'adresse du membre connecté.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Email envoyé
+    /// 400 Bad Request : Adresse déjà confirmée
+    /// 401 Unauthorized : Non authentifié
+    /// </returns>
+    [HttpPost("resend-verification")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<IActionResult> ResendVerification()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        if (!await _authService.SendEmailVerificationAsync(currentUserId.Value))
+            return BadRequest(new { message = "Votre adresse email est déjà confirmée" });
+
+        return Ok(new { message = "Un nouveau lien de confirmation vient d'être envoyé" });
+    }
+
+    // INFORMATIONS SUR L'APPAREIL
+
+    /// <summary>
+    /// User-Agent du navigateur (nom de l'appareil dans "Sessions actives").
+    /// </summary>
+    private string? GetUserAgent()
+    {
+        var userAgent = Request.Headers.UserAgent.ToString();
+        return string.IsNullOrEmpty(userAgent) ? null : userAgent;
+    }
+
+    /// <summary>
+    /// Adresse IP du client.
+    /// </summary>
+    private string? GetIpAddress()
+    {
+        return HttpContext.Connection.RemoteIpAddress?.ToString();
+    }
+
+    // EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
 }
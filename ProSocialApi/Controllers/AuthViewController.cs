@@ -13,4 +13,21 @@ public class AuthViewController : Controller
     {
         return View();
     }
+
+    public IActionResult ForgotPassword()
+    {
+        return View();
+    }
+
+    // Lien reçu par email : /AuthView/ResetPassword?token=... (le token est lu par reset-password.js)
+    public IActionResult ResetPassword()
+    {
+        return View();
+    }
+
+    // Lien reçu par email : /AuthView/VerifyEmail?token=... (le token est lu par verify-email.js)
+    public IActionResult VerifyEmail()
+    {
+        return View();
+    }
 }
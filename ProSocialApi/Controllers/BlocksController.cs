@@ -0,0 +1,214 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.DTOs.Users;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// BLOCKSCONTROLLER.CS - Contrôleur de blocage et de masquage de membres
+
+/// <summary>
+/// Contrôleur REST pour bloquer ou masquer des membres.
+/// Endpoints disponibles :
+/// - GET /api/blocks : Lister les membres bloqués
+/// - POST /api/blocks/{userId} : Bloquer un membre
+/// - DELETE /api/blocks/{userId} : Débloquer un membre
+/// - GET /api/blocks/muted : Lister les membres masqués
+/// - POST /api/blocks/muted/{userId} : Masquer les publications d'un membre
+/// - DELETE /api/blocks/muted/{userId} : Réafficher les publications d'un membre
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]              // Route de base : /api/blocks
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[Produces("application/json")]
+public class BlocksController : ControllerBase
+{
+    private readonly IBlockService _blockService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="blockService">Service gérant les blocages et masquages</param>
+    public BlocksController(IBlockService blockService)
+    {
+        _blockService = blockService;
+    }
+
+    // MEMBRES BLOQUÉS - GET /api/blocks
+
+    /// <summary>
+    /// Récupère les membres bloqués par l'utilisateur connecté.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Liste des membres bloqués (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<RestrictedUserDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<RestrictedUserDto>>> GetBlockedUsers()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var users = await _blockService.GetBlockedUsersAsync(currentUserId.Value);
+        return Ok(users);
+    }
+
+    // BLOCAGE - POST /api/blocks/{userId}
+
+    /// <summary>
+    /// Bloque un membre.
+    ///
+    /// Effets, dans les deux sens :
+    /// - La connexion ou demande en attente entre les deux est supprimée
+    /// - Les deux membres ne se voient plus (feed, recherche, profil, suggestions)
+    /// - Demandes de connexion et messages sont refusés
+    /// </summary>
+    /// <param name="userId">ID du membre à bloquer</param>
+    /// <returns>
+    /// 200 OK : Membre bloqué (ou déjà bloqué)
+    /// 400 Bad Request : Membre inexistant ou soi-même
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("{userId:guid}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Block(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _blockService.BlockAsync(currentUserId.Value, userId);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // DÉBLOCAGE - DELETE /api/blocks/{userId}
+
+    /// <summary>
+    /// Lève le blocage d'un membre. La connexion supprimée n'est pas rétablie.
+    /// </summary>
+    /// <param name="userId">ID du membre à débloquer</param>
+    /// <returns>
+    /// 200 OK : Membre débloqué
+    /// 400 Bad Request : Membre non bloqué
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpDelete("{userId:guid}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Unblock(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _blockService.UnblockAsync(currentUserId.Value, userId);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // MEMBRES MASQUÉS - GET /api/blocks/muted
+
+    /// <summary>
+    /// Récupère les membres dont l'utilisateur connecté a masqué les publications.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Liste des membres masqués (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("muted")]
+    [ProducesResponseType(typeof(List<RestrictedUserDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<RestrictedUserDto>>> GetMutedUsers()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var users = await _blockService.GetMutedUsersAsync(currentUserId.Value);
+        return Ok(users);
+    }
+
+    // MASQUAGE - POST /api/blocks/muted/{userId}
+
+    /// <summary>
+    /// Masque les publications d'un membre dans le feed de l'utilisateur connecté.
+    /// La connexion et la messagerie ne sont pas affectées, le membre n'est pas prévenu.
+    /// </summary>
+    /// <param name="userId">ID du membre à masquer</param>
+    /// <returns>
+    /// 200 OK : Publications masquées (ou déjà masquées)
+    /// 400 Bad Request : Membre inexistant ou soi-même
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("muted/{userId:guid}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Mute(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _blockService.MuteAsync(currentUserId.Value, userId);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // FIN DU MASQUAGE - DELETE /api/blocks/muted/{userId}
+
+    /// <summary>
+    /// Réaffiche les publications d'un membre masqué.
+    /// </summary>
+    /// <param name="userId">ID du membre masqué</param>
+    /// <returns>
+    /// 200 OK : Publications réaffichées
+    /// 400 Bad Request : Membre non masqué
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpDelete("muted/{userId:guid}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Unmute(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _blockService.UnmuteAsync(currentUserId.Value, userId);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -15,6 +15,8 @@ namespace ProSocialApi.Controllers;
 /// Endpoints disponibles :
 /// - POST /api/posts/{postId}/comments : Ajouter un commentaire (authentifié)
 /// - GET /api/posts/{postId}/comments : Lister les commentaires d'un post (public)
+/// - GET /api/comments/{id}/replies : Lister les réponses à un commentaire (public)
+/// - PUT /api/comments/{id} : Modifier son commentaire (authentifié)
 /// - DELETE /api/comments/{id} : Supprimer un commentaire (authentifié)
 /// </summary>
 [ApiController]
@@ -43,13 +45,14 @@ public class CommentsController : ControllerBase
     /// - À l'utilisateur connecté (authorId via token JWT)
     ///
     /// Le commentaire est horodaté avec CreatedAt.
+    /// Si ParentId est fourni, le commentaire est une réponse (un seul niveau).
     /// </summary>
     /// <param name="postId">ID du post sur lequel commenter</param>
-    /// <param name="createDto">Contenu du commentaire</param>
+    /// <param name="createDto">Contenu du commentaire et parent éventuel</param>
     /// <returns>
     /// 201 Created : Commentaire créé avec ses métadonnées
     /// 401 Unauthorized : Token manquant ou invalide
-    /// 404 Not Found : Post inexistant
+    /// 404 Not Found : Post ou commentaire parent inexistant
     /// </returns>
     [HttpPost("api/posts/{postId:guid}/comments")]
     [Authorize]
@@ -65,9 +68,9 @@ public class CommentsController : ControllerBase
         // Créer le commentaire via le service
         var comment = await _commentService.CreateAsync(postId, userId.Value, createDto);
 
-        // Si null, le post n'existe pas
+        // Si null, le post (ou le commentaire parent) n'existe pas
         if (comment == null)
-            return NotFound(new { message = "Post non trouvé" });
+            return NotFound(new { message = createDto.ParentId.HasValue ? "Commentaire parent non trouvé" : "Post non trouvé" });
 
         // Retourner 201 Created avec l'URL pour récupérer les commentaires du post
         return CreatedAtAction(nameof(GetByPostId), new { postId }, comment);
@@ -76,9 +79,9 @@ public class CommentsController : ControllerBase
     // LISTE DES COMMENTAIRES - GET /api/posts/{postId}/comments
 
     /// <summary>
-    /// Récupère tous les commentaires d'un post.
+    /// Récupère les commentaires de premier niveau d'un post.
     /// Chaque commentaire inclut les informations de son auteur
-    /// (nom, prénom, avatar) pour l'affichage.
+    /// (nom, prénom, avatar) et son nombre de réponses pour l'affichage.
     /// </summary>
     /// <param name="postId">ID du post dont on veut les commentaires</param>
     /// <returns>
@@ -88,10 +91,66 @@ public class CommentsController : ControllerBase
     [ProducesResponseType(typeof(List<CommentDto>), StatusCodes.Status200OK)]
     public async Task<ActionResult<List<CommentDto>>> GetByPostId(Guid postId)
     {
-        var comments = await _commentService.GetByPostIdAsync(postId);
+        // Visiteur éventuel : les commentaires des membres bloqués sont masqués
+        var comments = await _commentService.GetByPostIdAsync(postId, GetCurrentUserId());
         return Ok(comments);
     }
 
+    // RÉPONSES D'UN COMMENTAIRE - GET /api/comments/{id}/replies
+
+    /// <summary>
+    /// Récupère les réponses à un commentaire, chargées à la demande
+    /// quand l'utilisateur déplie le fil ("voir les N réponses").
+    /// </summary>
+    /// <param name="id">ID du commentaire parent</param>
+    /// <returns>
+    /// 200 OK : Liste des réponses (peut être vide)
+    /// 404 Not Found : Commentaire inexistant
+    /// </returns>
+    [HttpGet("api/comments/{id:guid}/replies")]
+    [ProducesResponseType(typeof(List<CommentDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<List<CommentDto>>> GetReplies(Guid id)
+    {
+        var replies = await _commentService.GetRepliesAsync(id, GetCurrentUserId());
+
+        if (replies == null)
+            return NotFound(new { message = "Commentaire non trouvé" });
+
+        return Ok(replies);
+    }
+
+    // MODIFICATION DE COMMENTAIRE - PUT /api/comments/{id}
+
+    /// <summary>
+    /// Modifie le contenu d'un commentaire.
+    /// Seul l'auteur du commentaire peut le modifier.
+    /// </summary>
+    /// <param name="id">ID du commentaire à modifier</param>
+    /// <param name="updateDto">Nouveau contenu</param>
+    /// <returns>
+    /// 200 OK : Commentaire mis à jour
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Commentaire inexistant ou non autorisé à modifier
+    /// </returns>
+    [HttpPut("api/comments/{id:guid}")]
+    [Authorize]
+    [ProducesResponseType(typeof(CommentDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<CommentDto>> Update(Guid id, [FromBody] UpdateCommentDto updateDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var comment = await _commentService.UpdateAsync(id, userId.Value, updateDto);
+
+        if (comment == null)
+            return NotFound(new { message = "Commentaire non trouvé ou vous n'êtes pas autorisé" });
+
+        return Ok(comment);
+    }
+
     // SUPPRESSION DE COMMENTAIRE - DELETE /api/comments/{id}
 
     /// <summary>
@@ -101,6 +160,8 @@ public class CommentsController : ControllerBase
     /// - L'auteur du commentaire peut supprimer son propre commentaire
     /// - L'auteur du post parent peut supprimer n'importe quel commentaire
     /// sur son post
+    ///
+    /// Un commentaire avec des réponses reste affiché comme "commentaire supprimé".
     /// </summary>
     /// <param name="id">ID du commentaire à supprimer</param>
     /// <returns>
@@ -16,7 +16,13 @@ namespace ProSocialApi.Controllers;
 /// - PUT /api/connections/{id}/reject : Refuser une demande
 /// - GET /api/connections : Lister ses connexions acceptées
 /// - GET /api/connections/pending : Lister les demandes en attente reçues
+/// - GET /api/connections/sent : Lister les demandes en attente envoyées
+/// - DELETE /api/connections/sent/{id} : Retirer une demande envoyée
 /// - DELETE /api/connections/{id} : Supprimer une connexion
+/// - GET /api/connections/suggestions : Suggestions de connexion
+/// - POST /api/connections/suggestions/{userId}/dismiss : Ignorer une suggestion
+/// - GET /api/connections/status/{userId} : Relation avec un autre membre
+/// - GET /api/connections/mutual/{userId} : Connexions communes avec un autre membre
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]              // Route de base : /api/connections
@@ -174,16 +180,17 @@ public class ConnectionsController : ControllerBase
 
     /// <summary>
     /// Récupère des suggestions d'utilisateurs à qui envoyer une demande de connexion.
-    /// Exclut l'utilisateur lui-même et ceux avec qui une connexion existe déjà.
+    /// Exclut l'utilisateur lui-même, ceux avec qui une connexion existe déjà et les
+    /// suggestions ignorées. Classées par relations en commun puis par titre professionnel.
     /// </summary>
     /// <param name="limit">Nombre maximum de suggestions (défaut: 10)</param>
     /// <returns>
-    /// 200 OK : Liste des utilisateurs suggérés
+    /// 200 OK : Liste des utilisateurs suggérés, avec leurs relations en commun
     /// 401 Unauthorized : Token manquant ou invalide
     /// </returns>
     [HttpGet("suggestions")]
-    [ProducesResponseType(typeof(List<ConnectionUserDto>), StatusCodes.Status200OK)]
-    public async Task<ActionResult<List<ConnectionUserDto>>> GetSuggestions([FromQuery] int limit = 10)
+    [ProducesResponseType(typeof(List<ConnectionSuggestionDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<ConnectionSuggestionDto>>> GetSuggestions([FromQuery] int limit = 10)
     {
         var currentUserId = GetCurrentUserId();
         if (currentUserId == null)
@@ -193,6 +200,79 @@ public class ConnectionsController : ControllerBase
         return Ok(suggestions);
     }
 
+    // IGNORER UNE SUGGESTION - POST /api/connections/suggestions/{userId}/dismiss
+
+    /// <summary>
+    /// Ignore définitivement une suggestion : le membre ne sera plus suggéré.
+    /// </summary>
+    /// <param name="userId">ID du membre à ne plus suggérer</param>
+    /// <returns>
+    /// 200 OK : Suggestion ignorée (ou déjà ignorée)
+    /// 400 Bad Request : Membre inexistant ou soi-même
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("suggestions/{userId:guid}/dismiss")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> DismissSuggestion(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _connectionService.DismissSuggestionAsync(currentUserId.Value, userId);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // RELATION AVEC UN MEMBRE - GET /api/connections/status/{userId}
+
+    /// <summary>
+    /// Indique la relation entre l'utilisateur connecté et un autre membre.
+    /// Utilisé par la page profil public pour afficher la bonne action.
+    /// </summary>
+    /// <param name="userId">ID du membre consulté</param>
+    /// <returns>
+    /// 200 OK : Statut ("Self", "None", "PendingSent", "PendingReceived", "Connected", "Rejected") et ID de connexion
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("status/{userId:guid}")]
+    [ProducesResponseType(typeof(RelationshipDto), StatusCodes.Status200OK)]
+    public async Task<ActionResult<RelationshipDto>> GetRelationship(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var relationship = await _connectionService.GetRelationshipAsync(currentUserId.Value, userId);
+        return Ok(relationship);
+    }
+
+    // CONNEXIONS COMMUNES - GET /api/connections/mutual/{userId}
+
+    /// <summary>
+    /// Récupère les connexions communes entre l'utilisateur connecté et un autre membre.
+    /// </summary>
+    /// <param name="userId">ID du membre consulté</param>
+    /// <returns>
+    /// 200 OK : Liste des connexions communes (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("mutual/{userId:guid}")]
+    [ProducesResponseType(typeof(List<ConnectionUserDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<ConnectionUserDto>>> GetMutualConnections(Guid userId)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var mutual = await _connectionService.GetMutualConnectionsAsync(currentUserId.Value, userId);
+        return Ok(mutual);
+    }
+
     // DEMANDES EN ATTENTE - GET /api/connections/pending
 
     /// <summary>
@@ -202,8 +282,8 @@ public class ConnectionsController : ControllerBase
     /// qui attendent une réponse (accepter/refuser).
     /// Triées par date de création (plus récentes en premier).
     ///
-    /// Note : N'inclut PAS les demandes envoyées par l'utilisateur courant.
-    /// Pour voir ses propres demandes envoyées, une autre fonctionnalité serait nécessaire.
+    /// Note : N'inclut PAS les demandes envoyées par l'utilisateur courant
+    /// (voir GET /api/connections/sent).
     /// </summary>
     /// <returns>
     /// 200 OK : Liste des demandes en attente (peut être vide)
@@ -221,6 +301,63 @@ public class ConnectionsController : ControllerBase
         return Ok(requests);
     }
 
+    // DEMANDES ENVOYÉES - GET /api/connections/sent
+
+    /// <summary>
+    /// Récupère les demandes de connexion en attente ENVOYÉES par l'utilisateur.
+    /// Triées par date de création (plus récentes en premier).
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Liste des demandes envoyées (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("sent")]
+    [ProducesResponseType(typeof(List<SentConnectionRequestDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<SentConnectionRequestDto>>> GetSentRequests()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var requests = await _connectionService.GetSentRequestsAsync(currentUserId.Value);
+        return Ok(requests);
+    }
+
+    // RETRAIT DE DEMANDE - DELETE /api/connections/sent/{id}
+
+    /// <summary>
+    /// Retire une demande de connexion envoyée et encore en attente.
+    ///
+    /// Conditions requises :
+    /// - La demande doit exister et être au statut "Pending"
+    /// - L'utilisateur courant doit être le demandeur (Requester)
+    ///
+    /// La demande est supprimée : le destinataire ne la voit plus et
+    /// une nouvelle demande pourra être envoyée plus tard.
+    /// </summary>
+    /// <param name="id">ID de la demande à retirer</param>
+    /// <returns>
+    /// 200 OK : Demande retirée
+    /// 400 Bad Request : Demande inexistante, déjà traitée, ou non autorisé
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpDelete("sent/{id:guid}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> WithdrawRequest(Guid id)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _connectionService.WithdrawRequestAsync(id, currentUserId.Value);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
     // SUPPRESSION DE CONNEXION - DELETE /api/connections/{id}
 
     /// <summary>
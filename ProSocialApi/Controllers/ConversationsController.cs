@@ -2,6 +2,7 @@ using System.Security.Claims;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using ProSocialApi.DTOs.Messages;
+using ProSocialApi.DTOs.Notifications;
 using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Controllers;
@@ -26,6 +27,8 @@ namespace ProSocialApi.Controllers;
 /// - GET /api/conversations : Lister ses conversations
 /// - GET /api/conversations/{id} : Consulter une conversation complète
 /// - POST /api/conversations/{id}/messages : Envoyer un message
+/// - PUT /api/conversations/{id}/read : Marquer les messages reçus comme lus
+/// - GET /api/conversations/unread-count : Nombre total de messages non lus
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]              // Route de base : /api/conversations
@@ -35,14 +38,17 @@ public class ConversationsController : ControllerBase
 {
     // Service de messagerie injecté via DI
     private readonly IMessageService _messageService;
+    private readonly IBlockService _blockService;
 
     /// <summary>
     /// Constructeur avec injection de dépendances.
     /// </summary>
     /// <param name="messageService">Service gérant la logique de messagerie</param>
-    public ConversationsController(IMessageService messageService)
+    /// <param name="blockService">Service des blocages (refus explicite à la création)</param>
+    public ConversationsController(IMessageService messageService, IBlockService blockService)
     {
         _messageService = messageService;
+        _blockService = blockService;
     }
 
     // CRÉATION DE CONVERSATION - POST /api/conversations
@@ -61,7 +67,7 @@ public class ConversationsController : ControllerBase
     /// <returns>
     /// 201 Created : Nouvelle conversation créée
     /// 200 OK : Conversation existante retournée (via CreatedAtAction)
-    /// 400 Bad Request : Utilisateur cible inexistant
+    /// 400 Bad Request : Utilisateur cible inexistant ou blocage entre les deux membres
     /// 401 Unauthorized : Token manquant ou invalide
     /// </returns>
     /// <remarks>
@@ -81,6 +87,10 @@ public class ConversationsController : ControllerBase
         if (userId == null)
             return Unauthorized();
 
+        // Refus explicite si l'un des deux membres a bloqué l'autre
+        if (await _blockService.IsBlockedAsync(userId.Value, createDto.ParticipantId))
+            return BadRequest(new { message = "Vous ne pouvez pas échanger de messages avec ce membre" });
+
         // Créer ou récupérer la conversation existante
         var conversation = await _messageService.CreateConversationAsync(userId.Value, createDto);
 
@@ -137,7 +147,7 @@ public class ConversationsController : ControllerBase
     /// <returns>
     /// 200 OK : Conversation avec tous ses messages
     /// 401 Unauthorized : Token manquant ou invalide
-    /// 404 Not Found : Conversation inexistante ou l'utilisateur n'est pas participant
+    /// 404 Not Found : Conversation inexistante ou l'utilisateur n'est pas participant, ou membre bloqué
     /// </returns>
     /// <remarks>
     /// Note : L'ID de conversation est un ObjectId MongoDB (string de 24 caractères hex),
@@ -179,7 +189,7 @@ public class ConversationsController : ControllerBase
     /// <returns>
     /// 201 Created : Message envoyé avec succès
     /// 401 Unauthorized : Token manquant ou invalide
-    /// 404 Not Found : Conversation inexistante ou l'utilisateur n'est pas participant
+    /// 404 Not Found : Conversation inexistante ou l'utilisateur n'est pas participant, ou membre bloqué
     /// </returns>
     /// <remarks>
     /// Exemple de requête :
@@ -208,6 +218,57 @@ public class ConversationsController : ControllerBase
         return Created("", message);
     }
 
+    // ACCUSÉ DE LECTURE - PUT /api/conversations/{id}/read
+
+    /// <summary>
+    /// Marque comme lus les messages de l'autre participant dans la conversation.
+    /// Appelé à l'ouverture d'une conversation (et à la réception d'un message
+    /// dans la conversation ouverte). L'expéditeur voit alors "Vu" sous ses messages.
+    /// </summary>
+    /// <param name="id">ID de la conversation</param>
+    /// <returns>
+    /// 204 No Content : Messages marqués comme lus
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Conversation inexistante, l'utilisateur n'est pas participant ou membre bloqué
+    /// </returns>
+    [HttpPut("{id}/read")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> MarkAsRead(string id)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var success = await _messageService.MarkAsReadAsync(id, userId.Value);
+
+        if (!success)
+            return NotFound(new { message = "Conversation non trouvée" });
+
+        return NoContent();
+    }
+
+    // MESSAGES NON LUS - GET /api/conversations/unread-count
+
+    /// <summary>
+    /// Retourne le nombre total de messages non lus (badge "Messagerie" de la navbar).
+    /// </summary>
+    /// <returns>
+    /// 200 OK : { "count": 2 }
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("unread-count")]
+    [ProducesResponseType(typeof(UnreadCountDto), StatusCodes.Status200OK)]
+    public async Task<ActionResult<UnreadCountDto>> GetUnreadCount()
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var count = await _messageService.GetUnreadCountAsync(userId.Value);
+        return Ok(new UnreadCountDto { Count = count });
+    }
+
     // MÉTHODE UTILITAIRE : EXTRACTION DE L'ID UTILISATEUR
 
     /// <summary>
@@ -24,7 +24,7 @@ namespace ProSocialApi.Controllers;
 /// être optimisé (cache, pré-calcul, algorithmes de recommandation ML).
 ///
 /// Endpoint disponible :
-/// - GET /api/feed : Récupérer son fil d'actualité paginé
+/// - GET /api/feed : Récupérer son fil d'actualité paginé (?mode=recent|relevant)
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]              // Route de base : /api/feed
@@ -53,7 +53,8 @@ public class FeedController : ControllerBase
     /// - Les posts des connexions acceptées de l'utilisateur
     /// - Les propres posts de l'utilisateur
     ///
-    /// Les posts sont triés du plus récent au plus ancien avec pagination.
+    /// Les posts sont triés du plus récent au plus ancien avec pagination,
+    /// ou par pertinence avec mode=relevant.
     ///
     /// Paramètres de pagination :
     /// - page : Numéro de page (défaut: 1, minimum: 1)
@@ -63,11 +64,18 @@ public class FeedController : ControllerBase
     /// - pageSize > 50 → 50
     /// - pageSize &lt; 1 → 20
     /// - page &lt; 1 → 1
+    ///
+    /// Snapshot : la réponse porte l'en-tête X-Feed-Snapshot (millisecondes Unix, UTC).
+    /// Le renvoyer en paramètre snapshot pour les pages suivantes : elles sont calculées
+    /// au même instant que la première (ni décalage ni doublon, même en mode relevant).
     /// </summary>
     /// <param name="page">Numéro de page (1-based)</param>
     /// <param name="pageSize">Nombre de posts par page</param>
+    /// <param name="mode">"recent" (défaut) ou "relevant"</param>
+    /// <param name="snapshot">Valeur de X-Feed-Snapshot reçue avec la première page</param>
     /// <returns>
     /// 200 OK : Liste des posts du feed (peut être vide si pas de connexions/posts)
+    /// 400 Bad Request : Mode ou snapshot invalide
     /// 401 Unauthorized : Token manquant ou invalide
     /// </returns>
     /// <remarks>
@@ -75,6 +83,8 @@ public class FeedController : ControllerBase
     /// - GET /api/feed : Première page, 20 posts
     /// - GET /api/feed?page=2 : Deuxième page, 20 posts
     /// - GET /api/feed?page=1&amp;pageSize=10 : Première page, 10 posts
+    /// - GET /api/feed?mode=relevant : Première page du feed "pertinent"
+    /// - GET /api/feed?page=2&amp;mode=relevant&amp;snapshot=1760000000000 : Page suivante du même parcours
     ///
     /// Chaque post inclut :
     /// - Informations de l'auteur (nom, avatar, titre)
@@ -84,12 +94,15 @@ public class FeedController : ControllerBase
     ///
     /// Pour le scroll infini côté client :
     /// 1. Charger page=1
-    /// 2. Quand l'utilisateur scrolle en bas, charger page=2, etc.
-    /// 3. Si la réponse est vide ou contient moins que pageSize, fin du feed
+    /// 2. Quand l'utilisateur scrolle en bas, charger page=2, etc. (avec le snapshot de page=1)
+    /// 3. Si la réponse est vide, fin du feed (une page peut contenir moins de pageSize posts :
+    ///    les partages d'une même publication y sont regroupés)
     /// </remarks>
     [HttpGet]
     [ProducesResponseType(typeof(List<PostDto>), StatusCodes.Status200OK)]
-    public async Task<ActionResult<List<PostDto>>> GetFeed([FromQuery] int page = 1, [FromQuery] int pageSize = 20)
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<List<PostDto>>> GetFeed([FromQuery] int page = 1, [FromQuery] int pageSize = 20, [FromQuery] string? mode = null,
+        [FromQuery] long? snapshot = null)
     {
         var userId = GetCurrentUserId();
         if (userId == null)
@@ -102,8 +115,21 @@ public class FeedController : ControllerBase
         if (pageSize < 1) pageSize = 20;     // Minimum 1, défaut 20
         if (page < 1) page = 1;              // Page minimum : 1
 
+        var feedMode = FeedMode.Recent;
+        if (!string.IsNullOrEmpty(mode)
+            && (!Enum.TryParse(mode, true, out feedMode) || !Enum.IsDefined(feedMode)))
+            return BadRequest(new { message = "Mode de feed inconnu (recent ou relevant)" });
+
+        // Snapshot à la milliseconde (valeur renvoyée telle quelle par le client), jamais dans le futur
+        var now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+        if (snapshot is < 0)
+            return BadRequest(new { message = "Snapshot invalide" });
+        var feedSnapshot = Math.Min(snapshot ?? now, now);
+
         // Récupérer le feed paginé via le service
-        var posts = await _feedService.GetFeedAsync(userId.Value, page, pageSize);
+        var posts = await _feedService.GetFeedAsync(userId.Value, page, pageSize, feedMode,
+            DateTimeOffset.FromUnixTimeMilliseconds(feedSnapshot).UtcDateTime);
+        Response.Headers["X-Feed-Snapshot"] = feedSnapshot.ToString();
         return Ok(posts);
     }
 
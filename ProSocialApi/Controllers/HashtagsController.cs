@@ -0,0 +1,110 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.Data;
+using ProSocialApi.DTOs.Posts;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// HASHTAGSCONTROLLER.CS - Contrôleur des hashtags
+
+/// <summary>
+/// Contrôleur REST des hashtags extraits du contenu des posts.
+/// Endpoints disponibles :
+/// - GET /api/hashtags/trending : Hashtags en tendance (widget du feed)
+/// - GET /api/hashtags/{tag}/posts : Posts utilisant un hashtag (page /Home/Tag/{tag})
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]              // Route de base : /api/hashtags
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[Produces("application/json")]
+public class HashtagsController : ControllerBase
+{
+    private readonly IPostService _postService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="postService">Service gérant les publications et leurs hashtags</param>
+    public HashtagsController(IPostService postService)
+    {
+        _postService = postService;
+    }
+
+    // TENDANCES - GET /api/hashtags/trending
+
+    /// <summary>
+    /// Récupère les hashtags les plus utilisés dans les posts des derniers jours.
+    /// </summary>
+    /// <param name="days">Période en jours (défaut: 7, entre 1 et 30)</param>
+    /// <param name="limit">Nombre de hashtags (défaut: 10, entre 1 et 20)</param>
+    /// <returns>
+    /// 200 OK : Hashtags triés par nombre de posts (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("trending")]
+    [ProducesResponseType(typeof(List<TrendingHashtagDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<TrendingHashtagDto>>> GetTrending([FromQuery] int days = 7, [FromQuery] int limit = 10)
+    {
+        days = Math.Clamp(days, 1, 30);
+        limit = Math.Clamp(limit, 1, 20);
+
+        var hashtags = await _postService.GetTrendingHashtagsAsync(days, limit);
+        return Ok(hashtags);
+    }
+
+    // POSTS D'UN HASHTAG - GET /api/hashtags/{tag}/posts
+
+    /// <summary>
+    /// Récupère les posts utilisant un hashtag, du plus récent au plus ancien.
+    /// Le hashtag est comparé sans tenir compte de la casse ni des accents.
+    ///
+    /// Pagination identique au feed (page ≥ 1, pageSize entre 1 et 50, défaut 20).
+    /// </summary>
+    /// <param name="tag">Hashtag, avec ou sans "#"</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de posts par page</param>
+    /// <returns>
+    /// 200 OK : Posts de la page (vide en fin de liste)
+    /// 400 Bad Request : Hashtag invalide
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("{tag}/posts")]
+    [ProducesResponseType(typeof(List<PostDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<List<PostDto>>> GetPosts(string tag, [FromQuery] int page = 1, [FromQuery] int pageSize = 20)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var normalizedTag = ContentParser.NormalizeHashtag(tag);
+        if (normalizedTag == null)
+            return BadRequest(new { message = "Hashtag invalide" });
+
+        if (pageSize > 50) pageSize = 50;
+        if (pageSize < 1) pageSize = 20;
+        if (page < 1) page = 1;
+
+        var posts = await _postService.GetByHashtagAsync(normalizedTag, userId.Value, page, pageSize);
+        return Ok(posts);
+    }
+
+    // EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -1,4 +1,6 @@
 using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.Data;
+using ProSocialApi.Data.Entities;
 
 namespace ProSocialApi.Controllers;
 
@@ -14,13 +16,49 @@ public class HomeController : Controller
         return View();
     }
 
-    public IActionResult Profile()
+    public IActionResult Profile(Guid? id)
     {
-        return View();
+        // Sans id : son propre profil (modifiable)
+        // Avec id : profil public d'un autre membre (lecture seule)
+        if (id == null)
+            return View();
+
+        return View("PublicProfile", id.Value);
     }
 
     public IActionResult Messages()
     {
         return View();
     }
+
+    public IActionResult Search()
+    {
+        // Requête et filtres lus dans l'URL par search.js
+        return View();
+    }
+
+    public IActionResult Tag(string? id)
+    {
+        // Posts d'un hashtag (/Home/Tag/recrutement), chargés par tag.js
+        var tag = ContentParser.NormalizeHashtag(id);
+        if (tag == null)
+            return RedirectToAction(nameof(Index));
+
+        return View(model: tag);
+    }
+
+    public IActionResult Saved()
+    {
+        // Publications enregistrées, chargées par saved.js
+        return View();
+    }
+
+    public IActionResult Moderation()
+    {
+        // Page réservée à l'équipe de modération (rôle lu dans le token du cookie)
+        if (!User.IsInRole(nameof(UserRole.Moderator)) && !User.IsInRole(nameof(UserRole.Admin)))
+            return RedirectToAction(nameof(Index));
+
+        return View();
+    }
 }
@@ -0,0 +1,66 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.DTOs.LinkPreviews;
+using ProSocialApi.Services;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// LINKPREVIEWSCONTROLLER.CS - Contrôleur des aperçus de liens
+
+/// <summary>
+/// Contrôleur REST des aperçus de liens (carte titre / description / image).
+/// Endpoints disponibles :
+/// - GET /api/link-previews?url=... : Aperçu du premier lien d'un post ou d'un message
+///
+/// La page est téléchargée par le serveur (le navigateur ne contacte pas le site),
+/// avec les protections décrites dans LinkPreviewService.
+/// </summary>
+[ApiController]
+[Route("api/link-previews")]             // Route de base : /api/link-previews
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[Produces("application/json")]
+public class LinkPreviewsController : ControllerBase
+{
+    private readonly ILinkPreviewService _linkPreviewService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="linkPreviewService">Service de récupération des aperçus</param>
+    public LinkPreviewsController(ILinkPreviewService linkPreviewService)
+    {
+        _linkPreviewService = linkPreviewService;
+    }
+
+    // APERÇU D'UN LIEN - GET /api/link-previews?url=...
+
+    /// <summary>
+    /// Récupère l'aperçu d'une page web à partir de ses balises Open Graph.
+    /// </summary>
+    /// <param name="url">URL absolue du lien (http ou https)</param>
+    /// <returns>
+    /// 200 OK : Aperçu de la page
+    /// 400 Bad Request : URL invalide
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Pas d'aperçu (page injoignable, interdite, non HTML ou sans titre)
+    /// </returns>
+    /// <remarks>
+    /// Exemple : GET /api/link-previews?url=https%3A%2F%2Fexample.com%2Farticle
+    /// </remarks>
+    [HttpGet]
+    [ProducesResponseType(typeof(LinkPreviewDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<LinkPreviewDto>> GetPreview([FromQuery] string? url)
+    {
+        if (LinkPreviewService.ParseUrl(url) == null)
+            return BadRequest(new { message = "URL invalide (adresse http ou https attendue)" });
+
+        var preview = await _linkPreviewService.GetPreviewAsync(url!, HttpContext.RequestAborted);
+        if (preview == null)
+            return NotFound(new { message = "Aucun aperçu disponible pour ce lien" });
+
+        return Ok(preview);
+    }
+}
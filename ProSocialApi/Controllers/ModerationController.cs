@@ -0,0 +1,229 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Reports;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// MODERATIONCONTROLLER.CS - Contrôleur de la file de modération
+
+/// <summary>
+/// Contrôleur REST de modération, réservé aux rôles Moderator et Admin
+/// (claim "role" du token JWT, voir AuthService).
+///
+/// Endpoints disponibles :
+/// - GET /api/moderation/reports : Signalements ouverts regroupés par contenu
+/// - POST /api/moderation/reports/{targetType}/{targetId}/dismiss : Classer sans suite
+/// - DELETE /api/moderation/content/{targetType}/{targetId} : Supprimer le contenu signalé
+/// - POST /api/moderation/users/{userId}/suspend : Suspendre un membre
+/// - DELETE /api/moderation/users/{userId}/suspend : Lever la suspension
+/// - PUT /api/moderation/users/{userId}/role : Changer le rôle d'un membre (Admin uniquement)
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]                              // Route de base : /api/moderation
+[Authorize(Roles = "Moderator,Admin")]                   // Équipe de modération uniquement (403 sinon)
+[Produces("application/json")]
+public class ModerationController : ControllerBase
+{
+    private readonly IReportService _reportService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="reportService">Service gérant les signalements et la modération</param>
+    public ModerationController(IReportService reportService)
+    {
+        _reportService = reportService;
+    }
+
+    // FILE DE MODÉRATION - GET /api/moderation/reports
+
+    /// <summary>
+    /// Récupère les signalements ouverts, regroupés par contenu, les plus signalés en premier.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Liste des contenus signalés (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 403 Forbidden : Rôle insuffisant
+    /// </returns>
+    [HttpGet("reports")]
+    [ProducesResponseType(typeof(List<ModerationItemDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<ModerationItemDto>>> GetReports()
+    {
+        var items = await _reportService.GetOpenReportsAsync();
+        return Ok(items);
+    }
+
+    // CLASSEMENT - POST /api/moderation/reports/{targetType}/{targetId}/dismiss
+
+    /// <summary>
+    /// Classe sans suite les signalements ouverts d'un contenu. Le contenu est conservé.
+    /// </summary>
+    /// <param name="targetType">Type de contenu ("Post", "Comment", "Message")</param>
+    /// <param name="targetId">ID du contenu</param>
+    /// <returns>
+    /// 200 OK : Signalements classés
+    /// 400 Bad Request : Type de contenu invalide
+    /// 404 Not Found : Aucun signalement ouvert pour ce contenu
+    /// </returns>
+    [HttpPost("reports/{targetType}/{targetId}/dismiss")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> Dismiss(string targetType, string targetId)
+    {
+        var moderatorId = GetCurrentUserId();
+        if (moderatorId == null)
+            return Unauthorized();
+
+        if (!TryParseTargetType(targetType, out var type))
+            return BadRequest(new { message = "Type de contenu invalide" });
+
+        var dismissed = await _reportService.DismissReportsAsync(type, targetId, moderatorId.Value);
+
+        if (!dismissed)
+            return NotFound(new { message = "Aucun signalement ouvert pour ce contenu" });
+
+        return Ok(new { message = "Signalements classés sans suite" });
+    }
+
+    // SUPPRESSION DU CONTENU - DELETE /api/moderation/content/{targetType}/{targetId}
+
+    /// <summary>
+    /// Supprime un contenu signalé (post, commentaire ou message) et traite ses signalements.
+    /// </summary>
+    /// <param name="targetType">Type de contenu ("Post", "Comment", "Message")</param>
+    /// <param name="targetId">ID du contenu</param>
+    /// <returns>
+    /// 200 OK : Contenu supprimé
+    /// 400 Bad Request : Type invalide ou aucun signalement ouvert pour ce contenu
+    /// </returns>
+    [HttpDelete("content/{targetType}/{targetId}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> DeleteContent(string targetType, string targetId)
+    {
+        var moderatorId = GetCurrentUserId();
+        if (moderatorId == null)
+            return Unauthorized();
+
+        if (!TryParseTargetType(targetType, out var type))
+            return BadRequest(new { message = "Type de contenu invalide" });
+
+        var (success, message) = await _reportService.DeleteContentAsync(type, targetId, moderatorId.Value);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // SUSPENSION - POST /api/moderation/users/{userId}/suspend
+
+    /// <summary>
+    /// Suspend un membre : il ne peut plus se connecter.
+    /// Les signalements ouverts sur ses contenus sont marqués comme traités.
+    /// </summary>
+    /// <param name="userId">ID du membre à suspendre</param>
+    /// <returns>
+    /// 200 OK : Compte suspendu
+    /// 400 Bad Request : Membre inexistant, soi-même ou membre de l'équipe de modération
+    /// </returns>
+    [HttpPost("users/{userId:guid}/suspend")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Suspend(Guid userId)
+    {
+        var moderatorId = GetCurrentUserId();
+        if (moderatorId == null)
+            return Unauthorized();
+
+        var (success, message) = await _reportService.SuspendUserAsync(userId, moderatorId.Value);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // LEVÉE DE SUSPENSION - DELETE /api/moderation/users/{userId}/suspend
+
+    /// <summary>
+    /// Lève la suspension d'un membre.
+    /// </summary>
+    /// <param name="userId">ID du membre suspendu</param>
+    /// <returns>
+    /// 200 OK : Suspension levée
+    /// 400 Bad Request : Membre inexistant ou non suspendu
+    /// </returns>
+    [HttpDelete("users/{userId:guid}/suspend")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Unsuspend(Guid userId)
+    {
+        var (success, message) = await _reportService.UnsuspendUserAsync(userId);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // RÔLE - PUT /api/moderation/users/{userId}/role
+
+    /// <summary>
+    /// Change le rôle d'un membre. Réservé aux administrateurs.
+    /// Le nouveau rôle prend effet à la prochaine connexion du membre.
+    /// </summary>
+    /// <param name="userId">ID du membre</param>
+    /// <param name="updateDto">Nouveau rôle ("Member", "Moderator", "Admin")</param>
+    /// <returns>
+    /// 200 OK : Rôle mis à jour
+    /// 400 Bad Request : Rôle invalide, membre inexistant ou son propre rôle
+    /// 403 Forbidden : L'utilisateur n'est pas administrateur
+    /// </returns>
+    [HttpPut("users/{userId:guid}/role")]
+    [Authorize(Roles = "Admin")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> SetRole(Guid userId, [FromBody] UpdateRoleDto updateDto)
+    {
+        var adminId = GetCurrentUserId();
+        if (adminId == null)
+            return Unauthorized();
+
+        if (!Enum.TryParse(updateDto.Role, true, out UserRole role) || !Enum.IsDefined(role))
+            return BadRequest(new { message = "Rôle invalide" });
+
+        var (success, message) = await _reportService.SetRoleAsync(userId, role, adminId.Value);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // MÉTHODES PRIVÉES
+
+    private static bool TryParseTargetType(string value, out ReportTargetType type)
+    {
+        return Enum.TryParse(value, true, out type) && Enum.IsDefined(type);
+    }
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -0,0 +1,155 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.DTOs.Notifications;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// NOTIFICATIONSCONTROLLER.CS - Contrôleur du centre de notifications
+/// <summary>
+/// Contrôleur REST pour les notifications in-app de l'utilisateur connecté.
+///
+/// Les notifications sont créées par les autres services (demande de connexion,
+/// connexion acceptée, like, commentaire, message privé) et stockées dans MongoDB.
+///
+/// Endpoints disponibles :
+/// - GET /api/notifications : Lister ses dernières notifications
+/// - GET /api/notifications/unread-count : Nombre de notifications non lues
+/// - PUT /api/notifications/{id}/read : Marquer une notification comme lue
+/// - PUT /api/notifications/read-all : Marquer toutes les notifications comme lues
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]              // Route de base : /api/notifications
+[Authorize]                              // Tous les endpoints nécessitent authentification
+[Produces("application/json")]
+public class NotificationsController : ControllerBase
+{
+    // Service de notifications injecté via DI
+    private readonly INotificationService _notificationService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="notificationService">Service gérant les notifications</param>
+    public NotificationsController(INotificationService notificationService)
+    {
+        _notificationService = notificationService;
+    }
+
+    // LISTE DES NOTIFICATIONS - GET /api/notifications
+
+    /// <summary>
+    /// Récupère les dernières notifications de l'utilisateur connecté.
+    /// Triées de la plus récente à la plus ancienne.
+    /// </summary>
+    /// <param name="limit">Nombre maximum de notifications (défaut: 20, max: 50)</param>
+    /// <returns>
+    /// 200 OK : Liste des notifications (peut être vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<NotificationDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<NotificationDto>>> GetAll([FromQuery] int limit = 20)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        // Validation de la limite
+        if (limit < 1) limit = 20;
+        if (limit > 50) limit = 50;
+
+        var notifications = await _notificationService.GetNotificationsAsync(userId.Value, limit);
+        return Ok(notifications);
+    }
+
+    // NOMBRE DE NON LUES - GET /api/notifications/unread-count
+
+    /// <summary>
+    /// Retourne le nombre de notifications non lues.
+    /// Appelé périodiquement par la navbar pour afficher le badge de la cloche.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : { "count": 3 }
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("unread-count")]
+    [ProducesResponseType(typeof(UnreadCountDto), StatusCodes.Status200OK)]
+    public async Task<ActionResult<UnreadCountDto>> GetUnreadCount()
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var count = await _notificationService.GetUnreadCountAsync(userId.Value);
+        return Ok(new UnreadCountDto { Count = count });
+    }
+
+    // MARQUER COMME LUE - PUT /api/notifications/{id}/read
+
+    /// <summary>
+    /// Marque une notification comme lue.
+    /// Seul le destinataire de la notification peut la marquer.
+    /// </summary>
+    /// <param name="id">ID MongoDB de la notification (string ObjectId)</param>
+    /// <returns>
+    /// 204 No Content : Notification marquée comme lue
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Notification inexistante ou appartenant à un autre utilisateur
+    /// </returns>
+    [HttpPut("{id}/read")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> MarkAsRead(string id)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var success = await _notificationService.MarkAsReadAsync(id, userId.Value);
+
+        if (!success)
+            return NotFound(new { message = "Notification non trouvée" });
+
+        return NoContent();
+    }
+
+    // TOUT MARQUER COMME LU - PUT /api/notifications/read-all
+
+    /// <summary>
+    /// Marque toutes les notifications de l'utilisateur comme lues.
+    /// </summary>
+    /// <returns>
+    /// 204 No Content : Notifications marquées comme lues
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("read-all")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    public async Task<IActionResult> MarkAllAsRead()
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        await _notificationService.MarkAllAsReadAsync(userId.Value);
+        return NoContent();
+    }
+
+    // MÉTHODE UTILITAIRE : EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -1,13 +1,14 @@
 using System.Security.Claims;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.Data.Entities;
 using ProSocialApi.DTOs.Posts;
 using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Controllers;
 
 // POSTSCONTROLLER.CS - Contrôleur de gestion des publications
-// Gère les endpoints relatifs aux posts : CRUD complet + système de likes.
+// Gère les endpoints relatifs aux posts : CRUD complet + système de likes + posts enregistrés.
 
 /// <summary>
 /// Contrôleur REST pour la gestion des publications (posts).
@@ -16,40 +17,50 @@ namespace ProSocialApi.Controllers;
 /// - CRUD complet sur les posts
 /// - Système de like/unlike
 /// - Consultation des posts par utilisateur
+/// - Posts enregistrés (page "Enregistrés")
 ///
 /// Endpoints disponibles :
-/// - POST /api/posts : Créer un post (authentifié)
+/// - POST /api/posts : Créer un post (authentifié, JSON ou multipart avec image)
 /// - GET /api/posts/{id} : Consulter un post (public)
 /// - PUT /api/posts/{id} : Modifier un post (authentifié, auteur uniquement)
 /// - DELETE /api/posts/{id} : Supprimer un post (authentifié, auteur uniquement)
 /// - GET /api/posts/user/{userId} : Posts d'un utilisateur (public)
-/// - POST /api/posts/{id}/like : Liker un post (authentifié)
-/// - DELETE /api/posts/{id}/like : Retirer son like (authentifié)
+/// - PUT /api/posts/{id}/like : Liker / retirer son like, idempotent (authentifié)
+/// - GET /api/posts/{id}/likes : Membres ayant liké un post (public)
+/// - PUT /api/posts/{id}/save : Enregistrer / retirer des enregistrés, idempotent (authentifié)
+/// - GET /api/posts/saved : Posts enregistrés de l'utilisateur courant (authentifié)
+/// - POST /api/posts/{id}/share : Partager un post avec un commentaire optionnel (authentifié)
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]              // Route de base : /api/posts
 [Produces("application/json")]
 public class PostsController : ControllerBase
 {
-    // Service de posts injecté via DI
+    // Services injectés via DI
     private readonly IPostService _postService;
+    private readonly IImageStorageService _imageStorage;
 
     /// <summary>
     /// Constructeur avec injection de dépendances.
     /// </summary>
     /// <param name="postService">Service gérant la logique des publications</param>
-    public PostsController(IPostService postService)
+    /// <param name="imageStorage">Service de validation et stockage des images</param>
+    public PostsController(IPostService postService, IImageStorageService imageStorage)
     {
         _postService = postService;
+        _imageStorage = imageStorage;
     }
 
     // CRÉATION DE POST - POST /api/posts
     /// <summary>
     /// Crée un nouveau post pour l'utilisateur connecté.
     ///
-    /// Le post peut contenir :
+    /// Le post contient :
     /// - Content : Texte du post (obligatoire)
-    /// - ImageUrl : URL d'une image associée (optionnel)
+    /// - MentionedUserIds : Membres mentionnés (optionnel)
+    ///
+    /// Une image ne peut être jointe que via l'envoi multipart (CreateWithImage) :
+    /// aucune URL d'image externe n'est acceptée.
     ///
     /// Le post est automatiquement lié à l'utilisateur connecté (authorId)
     /// et horodaté avec CreatedAt.
@@ -63,12 +74,12 @@ public class PostsController : ControllerBase
     /// Exemple de requête :
     /// POST /api/posts
     /// {
-    ///     "content": "Hello world! Mon premier post.",
-    ///     "imageUrl": "https://example.com/image.jpg" (optionnel)
+    ///     "content": "Hello world! Mon premier post."
     /// }
     /// </remarks>
     [HttpPost]
     [Authorize]
+    [Consumes("application/json")]
     [ProducesResponseType(typeof(PostDto), StatusCodes.Status201Created)]
     [ProducesResponseType(StatusCodes.Status401Unauthorized)]
     public async Task<ActionResult<PostDto>> Create([FromBody] CreatePostDto createDto)
@@ -84,6 +95,49 @@ public class PostsController : ControllerBase
         return CreatedAtAction(nameof(GetById), new { id = post.Id }, post);
     }
 
+    // CRÉATION DE POST AVEC IMAGE - POST /api/posts (multipart/form-data)
+    /// <summary>
+    /// Crée un post avec une image jointe envoyée depuis le formulaire du feed.
+    ///
+    /// Même route que la création JSON : l'action est choisie selon le Content-Type.
+    /// L'image est validée comme l'avatar (taille, format, contenu) puis stockée
+    /// dans wwwroot/uploads/posts/ avant la création du post.
+    /// </summary>
+    /// <param name="form">Contenu du post + fichier image optionnel</param>
+    /// <returns>
+    /// 201 Created : Post créé avec son ImageUrl
+    /// 400 Bad Request : Image invalide ou trop volumineuse
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost]
+    [Authorize]
+    [Consumes("multipart/form-data")]
+    [ProducesResponseType(typeof(PostDto), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<PostDto>> CreateWithImage([FromForm] CreatePostFormDto form)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var createDto = new CreatePostDto { Content = form.Content, MentionedUserIds = form.MentionedUserIds };
+
+        // Image optionnelle : validation et enregistrement dans wwwroot/uploads/posts
+        string? imageUrl = null;
+        if (form.Image != null)
+        {
+            (var success, var message, imageUrl) = await _imageStorage.SaveImageAsync(form.Image, "posts", userId.Value.ToString());
+
+            if (!success)
+                return BadRequest(new { message });
+        }
+
+        var post = await _postService.CreateAsync(userId.Value, createDto, imageUrl);
+
+        return CreatedAtAction(nameof(GetById), new { id = post.Id }, post);
+    }
+
     // CONSULTATION D'UN POST - GET /api/posts/{id}
     /// <summary>
     /// Récupère un post par son ID avec toutes ses métadonnées.
@@ -125,8 +179,7 @@ public class PostsController : ControllerBase
     /// Le champ UpdatedAt est automatiquement mis à jour.
     ///
     /// Champs modifiables :
-    /// - Content : Nouveau texte du post
-    /// - ImageUrl : Nouvelle URL d'image (ou null pour retirer l'image)
+    /// - Content : Nouveau texte du post (l'image jointe n'est pas modifiable)
     /// </summary>
     /// <param name="id">ID du post à modifier</param>
     /// <param name="updateDto">Champs à mettre à jour</param>
@@ -190,6 +243,37 @@ public class PostsController : ControllerBase
         return NoContent();
     }
 
+    // PARTAGE D'UN POST - POST /api/posts/{id}/share
+    /// <summary>
+    /// Partage un post : crée un nouveau post de l'utilisateur courant qui affiche
+    /// la publication d'origine, précédée d'un commentaire optionnel.
+    /// Partager un partage revient à partager la publication d'origine.
+    /// </summary>
+    /// <param name="id">ID du post à partager</param>
+    /// <param name="shareDto">Commentaire et mentions (optionnels)</param>
+    /// <returns>
+    /// 201 Created : Partage créé (SharedPost contient la publication d'origine)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Post inexistant ou supprimé
+    /// </returns>
+    [HttpPost("{id:guid}/share")]
+    [Authorize]
+    [ProducesResponseType(typeof(PostDto), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<PostDto>> Share(Guid id, [FromBody] SharePostDto shareDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var share = await _postService.ShareAsync(id, userId.Value, shareDto);
+
+        if (share == null)
+            return NotFound(new { message = "Publication introuvable ou supprimée" });
+
+        return CreatedAtAction(nameof(GetById), new { id = share.Id }, share);
+    }
+
     // POSTS D'UN UTILISATEUR - GET /api/posts/user/{userId}
     /// <summary>
     /// Récupère tous les posts d'un utilisateur spécifique.
@@ -214,71 +298,132 @@ public class PostsController : ControllerBase
         return Ok(posts);
     }
 
-    // LIKE D'UN POST - POST /api/posts/{id}/like
+    // LIKE D'UN POST - PUT /api/posts/{id}/like
     /// <summary>
-    /// Ajoute un like de l'utilisateur courant sur un post.
+    /// Pose, change ou retire la réaction de l'utilisateur courant sur un post.
     ///
-    /// Contraintes :
-    /// - Le post doit exister
-    /// - L'utilisateur ne doit pas avoir déjà liké ce post
+    /// Le client envoie l'état souhaité ({ "liked": true, "type": "Celebrate" }
+    /// ou { "liked": false }) :
+    /// l'opération est idempotente, rejouer la requête (double clic, réseau
+    /// instable) ne provoque pas d'erreur ni de double comptage.
     ///
-    /// Après un like réussi, le compteur LikesCount du post augmente
-    /// et IsLikedByCurrentUser devient true pour cet utilisateur.
+    /// La réponse contient le nombre de likes et l'état réels,
+    /// que le client utilise pour corriger son affichage optimiste.
     /// </summary>
-    /// <param name="id">ID du post à liker</param>
+    /// <param name="id">ID du post</param>
+    /// <param name="setLikeDto">État souhaité</param>
     /// <returns>
-    /// 200 OK : Like ajouté
-    /// 400 Bad Request : Post inexistant ou déjà liké
+    /// 200 OK : État du like après l'opération
+    /// 400 Bad Request : Type de réaction invalide
     /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Post inexistant
     /// </returns>
-    [HttpPost("{id:guid}/like")]
+    [HttpPut("{id:guid}/like")]
     [Authorize]
-    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(LikeStatusDto), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
-    public async Task<IActionResult> Like(Guid id)
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<LikeStatusDto>> SetLike(Guid id, [FromBody] SetLikeDto setLikeDto)
     {
         var userId = GetCurrentUserId();
         if (userId == null)
             return Unauthorized();
 
-        var (success, message) = await _postService.LikeAsync(id, userId.Value);
+        // Type de réaction optionnel ("Like" par défaut)
+        var type = ReactionType.Like;
+        if (!string.IsNullOrEmpty(setLikeDto.Type)
+            && (!Enum.TryParse(setLikeDto.Type, true, out type) || !Enum.IsDefined(type)))
+            return BadRequest(new { message = "Type de réaction invalide" });
+
+        var status = await _postService.SetLikeAsync(id, userId.Value, setLikeDto.Liked, type);
 
-        if (!success)
-            return BadRequest(new { message });
+        if (status == null)
+            return NotFound(new { message = "Post non trouvé" });
 
-        return Ok(new { message });
+        return Ok(status);
     }
 
-    // UNLIKE D'UN POST - DELETE /api/posts/{id}/like
+    // LIKERS D'UN POST - GET /api/posts/{id}/likes
     /// <summary>
-    /// Retire le like de l'utilisateur courant d'un post.
+    /// Liste les membres ayant liké un post (modal "qui a aimé"),
+    /// du like le plus récent au plus ancien.
+    /// </summary>
+    /// <param name="id">ID du post</param>
+    /// <returns>
+    /// 200 OK : Liste des membres (peut être vide)
+    /// 404 Not Found : Post inexistant
+    /// </returns>
+    [HttpGet("{id:guid}/likes")]
+    [ProducesResponseType(typeof(List<PostLikerDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<List<PostLikerDto>>> GetLikers(Guid id)
+    {
+        var likers = await _postService.GetLikersAsync(id, GetCurrentUserId());
+
+        if (likers == null)
+            return NotFound(new { message = "Post non trouvé" });
+
+        return Ok(likers);
+    }
+
+    // ENREGISTREMENT D'UN POST - PUT /api/posts/{id}/save
+    /// <summary>
+    /// Enregistre un post ou le retire des enregistrés de l'utilisateur courant.
     ///
-    /// L'utilisateur doit avoir préalablement liké le post.
-    /// Après un unlike réussi, le compteur LikesCount diminue
-    /// et IsLikedByCurrentUser devient false.
+    /// Comme pour le like, le client envoie l'état souhaité ({ "saved": true }
+    /// ou { "saved": false }) : rejouer la requête ne change rien.
     /// </summary>
-    /// <param name="id">ID du post dont retirer le like</param>
+    /// <param name="id">ID du post</param>
+    /// <param name="setSavedDto">État souhaité</param>
     /// <returns>
-    /// 200 OK : Like retiré
-    /// 400 Bad Request : L'utilisateur n'avait pas liké ce post
+    /// 200 OK : État de l'enregistrement après l'opération
     /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Post inexistant
     /// </returns>
-    [HttpDelete("{id:guid}/like")]
+    [HttpPut("{id:guid}/save")]
     [Authorize]
-    [ProducesResponseType(StatusCodes.Status200OK)]
-    [ProducesResponseType(StatusCodes.Status400BadRequest)]
-    public async Task<IActionResult> Unlike(Guid id)
+    [ProducesResponseType(typeof(SaveStatusDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<SaveStatusDto>> SetSaved(Guid id, [FromBody] SetSavedDto setSavedDto)
     {
         var userId = GetCurrentUserId();
         if (userId == null)
             return Unauthorized();
 
-        var (success, message) = await _postService.UnlikeAsync(id, userId.Value);
+        var status = await _postService.SetSavedAsync(id, userId.Value, setSavedDto.Saved);
 
-        if (!success)
-            return BadRequest(new { message });
+        if (status == null)
+            return NotFound(new { message = "Post non trouvé" });
+
+        return Ok(status);
+    }
 
-        return Ok(new { message });
+    // POSTS ENREGISTRÉS - GET /api/posts/saved
+    /// <summary>
+    /// Liste les posts enregistrés par l'utilisateur courant (page "Enregistrés"),
+    /// du dernier enregistré au plus ancien.
+    /// </summary>
+    /// <param name="page">Numéro de page (défaut: 1)</param>
+    /// <param name="pageSize">Nombre de posts par page (défaut: 20, max: 50)</param>
+    /// <returns>
+    /// 200 OK : Liste des posts (vide si aucun ou fin de liste)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet("saved")]
+    [Authorize]
+    [ProducesResponseType(typeof(List<PostDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<PostDto>>> GetSaved([FromQuery] int page = 1, [FromQuery] int pageSize = 20)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        if (pageSize > 50) pageSize = 50;
+        if (pageSize < 1) pageSize = 20;
+        if (page < 1) page = 1;
+
+        var posts = await _postService.GetSavedPostsAsync(userId.Value, page, pageSize);
+        return Ok(posts);
     }
 
     // MÉTHODE UTILITAIRE : EXTRACTION DE L'ID UTILISATEUR
@@ -0,0 +1,89 @@
+using System.IdentityModel.Tokens.Jwt;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// REALTIMECONTROLLER.CS - Point d'entrée WebSocket
+/// <summary>
+/// Contrôleur ouvrant le canal temps réel (WebSocket) d'un utilisateur connecté.
+///
+/// Authentification : le navigateur envoie automatiquement le cookie HttpOnly
+/// "jwt_token" lors de la poignée de main WebSocket, validé comme pour l'API.
+/// La WebSocket est fermée (code 1008) à l'expiration de ce JWT ou à la révocation
+/// de sa session : le client renouvelle alors son JWT avant de se reconnecter.
+///
+/// Événements poussés par le serveur (JSON) :
+/// - { "type": "message", "conversationId": "...", "message": { ...MessageDto } }
+///
+/// Endpoint disponible :
+/// - GET /ws/messages : Ouvre la WebSocket (requête d'upgrade uniquement)
+/// </summary>
+[ApiController]
+[Route("ws")]                            // Route de base : /ws
+[Authorize]                              // Poignée de main refusée (401) sans cookie valide
+[ApiExplorerSettings(IgnoreApi = true)]  // Pas de sens dans Swagger
+public class RealtimeController : ControllerBase
+{
+    // Service temps réel injecté via DI (singleton)
+    private readonly IRealtimeService _realtimeService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="realtimeService">Service gérant les connexions WebSocket</param>
+    public RealtimeController(IRealtimeService realtimeService)
+    {
+        _realtimeService = realtimeService;
+    }
+
+    // CONNEXION WEBSOCKET - GET /ws/messages
+
+    /// <summary>
+    /// Accepte la WebSocket et la garde ouverte jusqu'à la déconnexion du client.
+    /// </summary>
+    /// <returns>
+    /// 101 Switching Protocols : WebSocket ouverte
+    /// 400 Bad Request : Requête HTTP classique (pas d'upgrade WebSocket)
+    /// 401 Unauthorized : Cookie manquant ou invalide
+    /// </returns>
+    [HttpGet("messages")]
+    public async Task<IActionResult> Messages()
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null
+            || !Guid.TryParse(User.FindFirst(JwtRegisteredClaimNames.Sid)?.Value, out var sessionId)
+            || !long.TryParse(User.FindFirst(JwtRegisteredClaimNames.Exp)?.Value, out var expiresAtSeconds))
+            return Unauthorized();
+
+        if (!HttpContext.WebSockets.IsWebSocketRequest)
+            return BadRequest(new { message = "Requête WebSocket attendue" });
+
+        var expiresAt = DateTimeOffset.FromUnixTimeSeconds(expiresAtSeconds).UtcDateTime;
+
+        using var socket = await HttpContext.WebSockets.AcceptWebSocketAsync();
+        await _realtimeService.HandleConnectionAsync(userId.Value, sessionId, expiresAt, socket, HttpContext.RequestAborted);
+
+        // La réponse a déjà été envoyée lors de l'upgrade
+        return new EmptyResult();
+    }
+
+    // MÉTHODE UTILITAIRE : EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -0,0 +1,97 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Reports;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// REPORTSCONTROLLER.CS - Contrôleur de signalement de contenus
+
+/// <summary>
+/// Contrôleur REST pour signaler un contenu à la modération.
+/// Endpoints disponibles :
+/// - POST /api/reports : Signaler un post, un commentaire ou un message
+///
+/// Le traitement des signalements est dans ModerationController.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]              // Route de base : /api/reports
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[Produces("application/json")]
+public class ReportsController : ControllerBase
+{
+    private readonly IReportService _reportService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="reportService">Service gérant les signalements</param>
+    public ReportsController(IReportService reportService)
+    {
+        _reportService = reportService;
+    }
+
+    // SIGNALEMENT - POST /api/reports
+
+    /// <summary>
+    /// Signale un contenu avec un motif choisi dans une liste fermée.
+    /// </summary>
+    /// <param name="createDto">Type et ID du contenu, motif et précisions</param>
+    /// <returns>
+    /// 200 OK : Signalement enregistré
+    /// 400 Bad Request : Type ou motif invalide, contenu introuvable, son propre contenu, déjà signalé
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    /// <remarks>
+    /// Exemple de requête :
+    /// POST /api/reports
+    /// {
+    ///     "targetType": "Post",
+    ///     "targetId": "guid-du-post",
+    ///     "reason": "Spam",
+    ///     "details": "Publicité répétée"
+    /// }
+    /// </remarks>
+    [HttpPost]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Create([FromBody] CreateReportDto createDto)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        if (!Enum.TryParse(createDto.TargetType, true, out ReportTargetType targetType) || !Enum.IsDefined(targetType))
+            return BadRequest(new { message = "Type de contenu invalide" });
+
+        if (!Enum.TryParse(createDto.Reason, true, out ReportReason reason) || !Enum.IsDefined(reason))
+            return BadRequest(new { message = "Motif de signalement invalide" });
+
+        var (success, message) = await _reportService.CreateReportAsync(
+            currentUserId.Value, targetType, createDto.TargetId, reason, createDto.Details);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
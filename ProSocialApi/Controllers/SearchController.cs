@@ -0,0 +1,153 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using ProSocialApi.DTOs.Posts;
+using ProSocialApi.DTOs.Search;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// SEARCHCONTROLLER.CS - Contrôleur de la page de recherche
+
+/// <summary>
+/// Contrôleur REST de la recherche globale (barre de recherche de la navbar).
+/// Endpoints disponibles :
+/// - GET /api/search/people?q=... : Rechercher des membres
+/// - GET /api/search/posts?q=... : Rechercher des publications
+///
+/// La recherche ignore la casse et les accents ("helene" trouve "Hélène")
+/// et chaque mot de la requête doit être trouvé.
+/// Limité par la politique "search" (Program.cs) : 429 Too Many Requests avec Retry-After au-delà.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]              // Route de base : /api/search
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[EnableRateLimiting("search")]           // Nombre de recherches limité par membre
+[Produces("application/json")]
+public class SearchController : ControllerBase
+{
+    private readonly ISearchService _searchService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="searchService">Service de recherche</param>
+    public SearchController(ISearchService searchService)
+    {
+        _searchService = searchService;
+    }
+
+    // RECHERCHE DE MEMBRES - GET /api/search/people
+
+    /// <summary>
+    /// Recherche des membres par prénom, nom ou titre professionnel.
+    /// Les relations de l'utilisateur apparaissent en premier.
+    ///
+    /// Paramètres de pagination (mêmes bornes que le feed) :
+    /// - page : Numéro de page (défaut: 1, minimum: 1)
+    /// - pageSize : Nombre de résultats par page (défaut: 20, min: 1, max: 50)
+    /// </summary>
+    /// <param name="q">Requête (un ou plusieurs mots)</param>
+    /// <param name="connectionsOnly">true pour ne chercher que parmi ses relations</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de résultats par page</param>
+    /// <returns>
+    /// 200 OK : Page de résultats (vide si la requête est vide)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    /// <remarks>
+    /// Exemple : GET /api/search/people?q=helene%20dev&amp;connectionsOnly=true
+    /// </remarks>
+    [HttpGet("people")]
+    [ProducesResponseType(typeof(SearchResultDto<SearchUserDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<SearchResultDto<SearchUserDto>>> SearchPeople(
+        [FromQuery] string? q,
+        [FromQuery] bool connectionsOnly = false,
+        [FromQuery] int page = 1,
+        [FromQuery] int pageSize = 20)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        NormalizePaging(ref page, ref pageSize);
+
+        var result = await _searchService.SearchPeopleAsync(userId.Value, q, connectionsOnly, page, pageSize);
+        return Ok(result);
+    }
+
+    // RECHERCHE DE PUBLICATIONS - GET /api/search/posts
+
+    /// <summary>
+    /// Recherche des publications par leur contenu, de la plus récente à la plus ancienne.
+    ///
+    /// Filtres optionnels :
+    /// - connectionsOnly : publications de ses relations seulement
+    /// - from / to : période de publication (jours inclus, format AAAA-MM-JJ)
+    /// </summary>
+    /// <param name="q">Requête (un ou plusieurs mots)</param>
+    /// <param name="connectionsOnly">true pour ne chercher que parmi les publications de ses relations</param>
+    /// <param name="from">Premier jour de la période</param>
+    /// <param name="to">Dernier jour de la période</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de résultats par page</param>
+    /// <returns>
+    /// 200 OK : Page de résultats (vide si la requête est vide)
+    /// 400 Bad Request : Période invalide (début après la fin)
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    /// <remarks>
+    /// Exemple : GET /api/search/posts?q=recrutement&amp;from=2024-01-01&amp;to=2024-03-31
+    /// </remarks>
+    [HttpGet("posts")]
+    [ProducesResponseType(typeof(SearchResultDto<PostDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<SearchResultDto<PostDto>>> SearchPosts(
+        [FromQuery] string? q,
+        [FromQuery] bool connectionsOnly = false,
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null,
+        [FromQuery] int page = 1,
+        [FromQuery] int pageSize = 20)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        if (from != null && to != null && from.Value.Date > to.Value.Date)
+            return BadRequest(new { message = "La date de début doit précéder la date de fin" });
+
+        NormalizePaging(ref page, ref pageSize);
+
+        var result = await _searchService.SearchPostsAsync(userId.Value, q, connectionsOnly, from, to, page, pageSize);
+        return Ok(result);
+    }
+
+    // MÉTHODES UTILITAIRES
+
+    /// <summary>
+    /// Corrige les paramètres de pagination hors limites (comme pour le feed).
+    /// </summary>
+    private static void NormalizePaging(ref int page, ref int pageSize)
+    {
+        if (pageSize > 50) pageSize = 50;    // Maximum 50 résultats par page
+        if (pageSize < 1) pageSize = 20;     // Minimum 1, défaut 20
+        if (page < 1) page = 1;              // Page minimum : 1
+    }
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -0,0 +1,132 @@
+using System.IdentityModel.Tokens.Jwt;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.DTOs.Auth;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// SESSIONSCONTROLLER.CS - Contrôleur des sessions actives
+
+/// <summary>
+/// Contrôleur REST pour les appareils connectés au compte (section "Sessions actives" du profil).
+/// Endpoints disponibles :
+/// - GET /api/sessions : Lister les sessions actives
+/// - DELETE /api/sessions/{id} : Déconnecter un appareil
+/// - DELETE /api/sessions : Déconnecter tous les appareils
+///
+/// Une session supprimée est refusée dès la requête suivante de l'appareil (voir OnTokenValidated dans Program.cs).
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]              // Route de base : /api/sessions
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[Produces("application/json")]
+public class SessionsController : ControllerBase
+{
+    private readonly ISessionService _sessionService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="sessionService">Service gérant les sessions</param>
+    public SessionsController(ISessionService sessionService)
+    {
+        _sessionService = sessionService;
+    }
+
+    // SESSIONS ACTIVES - GET /api/sessions
+
+    /// <summary>
+    /// Récupère les sessions actives de l'utilisateur connecté.
+    /// La session de l'appareil qui fait la requête est marquée IsCurrent.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Liste des sessions, la plus récemment utilisée en premier
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<SessionDto>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<List<SessionDto>>> GetSessions()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var sessions = await _sessionService.GetSessionsAsync(currentUserId.Value, GetCurrentSessionId());
+        return Ok(sessions);
+    }
+
+    // DÉCONNEXION D'UN APPAREIL - DELETE /api/sessions/{id}
+
+    /// <summary>
+    /// Déconnecte un appareil. Le client appelle ensuite /api/auth/logout s'il s'agit de la session courante.
+    /// </summary>
+    /// <param name="id">ID de la session</param>
+    /// <returns>
+    /// 200 OK : Appareil déconnecté
+    /// 404 Not Found : Session introuvable
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpDelete("{id:guid}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> RevokeSession(Guid id)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        if (!await _sessionService.RevokeAsync(currentUserId.Value, id))
+            return NotFound(new { message = "Session introuvable" });
+
+        return Ok(new { message = "Appareil déconnecté" });
+    }
+
+    // DÉCONNEXION PARTOUT - DELETE /api/sessions
+
+    /// <summary>
+    /// Déconnecte tous les appareils, y compris celui qui fait la requête.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Nombre de sessions fermées
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpDelete]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public async Task<IActionResult> RevokeAllSessions()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var count = await _sessionService.RevokeAllAsync(currentUserId.Value);
+        return Ok(new { count, message = "Tous les appareils ont été déconnectés" });
+    }
+
+    // EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+
+    /// <summary>
+    /// Extrait l'ID de la session courante (claim "sid" du token JWT).
+    /// </summary>
+    private Guid? GetCurrentSessionId()
+    {
+        var sessionClaim = User.FindFirst(JwtRegisteredClaimNames.Sid)?.Value;
+        return Guid.TryParse(sessionClaim, out var sessionId) ? sessionId : null;
+    }
+}
@@ -0,0 +1,189 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ProSocialApi.DTOs.Auth;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Controllers;
+
+// TWOFACTORCONTROLLER.CS - Contrôleur de la double authentification
+
+/// <summary>
+/// Contrôleur REST pour activer et gérer la double authentification (section du profil).
+/// Endpoints disponibles :
+/// - GET /api/auth/2fa : État (activée, codes de secours restants)
+/// - POST /api/auth/2fa/setup : Nouvelle clé secrète et QR code
+/// - POST /api/auth/2fa/enable : Activation avec un premier code, retourne les codes de secours
+/// - POST /api/auth/2fa/disable : Désactivation (mot de passe requis)
+/// - POST /api/auth/2fa/recovery-codes : Nouveaux codes de secours (mot de passe requis)
+///
+/// La seconde étape de la connexion est dans AuthController (POST /api/auth/login/2fa).
+/// </summary>
+[ApiController]
+[Route("api/auth/2fa")]                  // Route de base : /api/auth/2fa
+[Authorize]                              // TOUS les endpoints nécessitent authentification
+[Produces("application/json")]
+public class TwoFactorController : ControllerBase
+{
+    private readonly ITwoFactorService _twoFactorService;
+
+    /// <summary>
+    /// Constructeur avec injection de dépendances.
+    /// </summary>
+    /// <param name="twoFactorService">Service gérant la double authentification</param>
+    public TwoFactorController(ITwoFactorService twoFactorService)
+    {
+        _twoFactorService = twoFactorService;
+    }
+
+    // ÉTAT - GET /api/auth/2fa
+
+    /// <summary>
+    /// Indique si la double authentification est activée pour l'utilisateur connecté.
+    /// </summary>
+    /// <returns>
+    /// 200 OK : État de la double authentification
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(TwoFactorStatusDto), StatusCodes.Status200OK)]
+    public async Task<ActionResult<TwoFactorStatusDto>> GetStatus()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var status = await _twoFactorService.GetStatusAsync(currentUserId.Value);
+        if (status == null)
+            return Unauthorized();
+
+        return Ok(status);
+    }
+
+    // DÉBUT D'ACTIVATION - POST /api/auth/2fa/setup
+
+    /// <summary>
+    /// Génère une clé secrète à ajouter dans l'application d'authentification (QR code ou saisie manuelle).
+    /// </summary>
+    /// <returns>
+    /// 200 OK : Clé, URI otpauth:// et QR code
+    /// 400 Bad Request : Double authentification déjà activée
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("setup")]
+    [ProducesResponseType(typeof(TwoFactorSetupDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<TwoFactorSetupDto>> Setup()
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var setup = await _twoFactorService.BeginSetupAsync(currentUserId.Value);
+        if (setup == null)
+            return BadRequest(new { message = "La double authentification est déjà activée" });
+
+        return Ok(setup);
+    }
+
+    // ACTIVATION - POST /api/auth/2fa/enable
+
+    /// <summary>
+    /// Active la double authentification avec un code de l'application.
+    /// </summary>
+    /// <param name="codeDto">Code à 6 chiffres</param>
+    /// <returns>
+    /// 200 OK : Activée, avec les codes de secours (affichés une seule fois)
+    /// 400 Bad Request : Code incorrect ou aucune activation en cours
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("enable")]
+    [ProducesResponseType(typeof(TwoFactorRecoveryCodesDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<TwoFactorRecoveryCodesDto>> Enable([FromBody] TwoFactorCodeDto codeDto)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message, recoveryCodes) = await _twoFactorService.EnableAsync(currentUserId.Value, codeDto.Code);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new TwoFactorRecoveryCodesDto { RecoveryCodes = recoveryCodes! });
+    }
+
+    // DÉSACTIVATION - POST /api/auth/2fa/disable
+
+    /// <summary>
+    /// Désactive la double authentification. Le mot de passe est redemandé.
+    /// </summary>
+    /// <param name="passwordDto">Mot de passe actuel</param>
+    /// <returns>
+    /// 200 OK : Désactivée
+    /// 400 Bad Request : Mot de passe incorrect ou double authentification non activée
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("disable")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Disable([FromBody] TwoFactorPasswordDto passwordDto)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message) = await _twoFactorService.DisableAsync(currentUserId.Value, passwordDto.Password);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // NOUVEAUX CODES DE SECOURS - POST /api/auth/2fa/recovery-codes
+
+    /// <summary>
+    /// Remplace les codes de secours. Le mot de passe est redemandé.
+    /// </summary>
+    /// <param name="passwordDto">Mot de passe actuel</param>
+    /// <returns>
+    /// 200 OK : Nouveaux codes de secours (affichés une seule fois)
+    /// 400 Bad Request : Mot de passe incorrect ou double authentification non activée
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("recovery-codes")]
+    [ProducesResponseType(typeof(TwoFactorRecoveryCodesDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<TwoFactorRecoveryCodesDto>> RegenerateRecoveryCodes([FromBody] TwoFactorPasswordDto passwordDto)
+    {
+        var currentUserId = GetCurrentUserId();
+        if (currentUserId == null)
+            return Unauthorized();
+
+        var (success, message, recoveryCodes) = await _twoFactorService.RegenerateRecoveryCodesAsync(currentUserId.Value, passwordDto.Password);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new TwoFactorRecoveryCodesDto { RecoveryCodes = recoveryCodes! });
+    }
+
+    // EXTRACTION DE L'ID UTILISATEUR
+
+    /// <summary>
+    /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
+    /// </summary>
+    /// <returns>GUID de l'utilisateur si trouvé et valide, null sinon</returns>
+    private Guid? GetCurrentUserId()
+    {
+        var userIdClaim = User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? User.FindFirst("sub")?.Value;
+
+        if (string.IsNullOrEmpty(userIdClaim) || !Guid.TryParse(userIdClaim, out var userId))
+            return null;
+
+        return userId;
+    }
+}
@@ -1,6 +1,7 @@
 using System.Security.Claims;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
 using ProSocialApi.DTOs.Users;
 using ProSocialApi.Services.Interfaces;
 
@@ -8,7 +9,8 @@ namespace ProSocialApi.Controllers;
 
 // USERSCONTROLLER.CS - Contrôleur de gestion des utilisateurs
 // Gère les endpoints relatifs aux profils utilisateurs : consultation,
-// modification, recherche et suppression de compte.
+// modification, recherche, suppression de compte et sections du profil
+// (expérience, formation, compétences et leurs recommandations).
 /// <summary>
 /// Contrôleur REST pour la gestion des profils utilisateurs.
 ///
@@ -18,6 +20,10 @@ namespace ProSocialApi.Controllers;
 /// - PUT /api/users/me : Modifier son profil (authentifié)
 /// - GET /api/users/search?q=... : Rechercher des utilisateurs (public)
 /// - DELETE /api/users/me : Supprimer son compte (authentifié)
+/// - GET /api/users/{id}/sections : Expérience, formation et compétences d'un membre (public)
+/// - POST/PUT/DELETE /api/users/me/{experiences|educations|skills} : Gérer ses sections (authentifié)
+/// - PUT /api/users/me/{experiences|educations|skills}/order : Réordonner une section (authentifié)
+/// - POST/DELETE /api/users/{id}/skills/{skillId}/endorsement : Recommander une compétence (authentifié)
 ///
 /// Note sur la conception :
 /// - Les endpoints "me" utilisent le token JWT pour identifier l'utilisateur
@@ -28,16 +34,22 @@ namespace ProSocialApi.Controllers;
 [Produces("application/json")]
 public class UsersController : ControllerBase
 {
-    // Service utilisateur injecté via DI
+    // Services injectés via DI
     private readonly IUserService _userService;
+    private readonly IImageStorageService _imageStorage;
+    private readonly IProfileService _profileService;
 
     /// <summary>
     /// Constructeur avec injection de dépendances.
     /// </summary>
     /// <param name="userService">Service gérant la logique des utilisateurs</param>
-    public UsersController(IUserService userService)
+    /// <param name="imageStorage">Service de validation et stockage des images</param>
+    /// <param name="profileService">Service des sections du profil</param>
+    public UsersController(IUserService userService, IImageStorageService imageStorage, IProfileService profileService)
     {
         _userService = userService;
+        _imageStorage = imageStorage;
+        _profileService = profileService;
     }
 
     // PROFIL COURANT - GET /api/users/me
@@ -84,14 +96,15 @@ public class UsersController : ControllerBase
     /// <param name="id">ID (GUID) de l'utilisateur à consulter</param>
     /// <returns>
     /// 200 OK : Profil de l'utilisateur demandé
-    /// 404 Not Found : Utilisateur inexistant
+    /// 404 Not Found : Utilisateur inexistant, ou bloqué par (ou ayant bloqué) le visiteur
     /// </returns>
     [HttpGet("{id:guid}")]
     [ProducesResponseType(typeof(UserDto), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
     public async Task<ActionResult<UserDto>> GetById(Guid id)
     {
-        var user = await _userService.GetByIdAsync(id);
+        // Visiteur connecté : un membre bloqué est traité comme inexistant
+        var user = await _userService.GetByIdAsync(id, GetCurrentUserId());
 
         if (user == null)
             return NotFound(new { message = "Utilisateur non trouvé" });
@@ -120,37 +133,11 @@ public class UsersController : ControllerBase
         if (userId == null)
             return Unauthorized();
 
-        // Validation du fichier
-        if (file == null || file.Length == 0)
-            return BadRequest(new { message = "Aucun fichier fourni" });
-
-        // Limite de taille : 5 Mo
-        if (file.Length > 5 * 1024 * 1024)
-            return BadRequest(new { message = "Le fichier ne doit pas dépasser 5 Mo" });
-
-        // Extensions autorisées
-        var allowedExtensions = new[] { ".jpg", ".jpeg", ".png", ".gif", ".webp" };
-        var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
-
-        if (!allowedExtensions.Contains(extension))
-            return BadRequest(new { message = "Format non supporté. Utilisez jpg, png, gif ou webp" });
-
-        // Créer le dossier uploads/avatars s'il n'existe pas
-        var uploadsFolder = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "uploads", "avatars");
-        Directory.CreateDirectory(uploadsFolder);
+        // Validation et enregistrement dans wwwroot/uploads/avatars
+        var (success, message, avatarUrl) = await _imageStorage.SaveImageAsync(file, "avatars", userId.Value.ToString());
 
-        // Générer un nom de fichier unique
-        var fileName = $"{userId}_{Guid.NewGuid()}{extension}";
-        var filePath = Path.Combine(uploadsFolder, fileName);
-
-        // Sauvegarder le fichier
-        using (var stream = new FileStream(filePath, FileMode.Create))
-        {
-            await file.CopyToAsync(stream);
-        }
-
-        // URL relative pour accéder à l'image
-        var avatarUrl = $"/uploads/avatars/{fileName}";
+        if (!success)
+            return BadRequest(new { message });
 
         // Mettre à jour le profil avec la nouvelle URL
         await _userService.UpdateAsync(userId.Value, new UpdateUserDto { AvatarUrl = avatarUrl });
@@ -213,17 +200,20 @@ public class UsersController : ControllerBase
     /// </summary>
     /// <param name="q">Terme de recherche (query string)</param>
     /// <returns>
-    /// 200 OK : Liste des utilisateurs correspondants (peut être vide)
+    /// 200 OK : Liste des utilisateurs correspondants (peut être vide, sans les membres bloqués)
+    /// 429 Too Many Requests : Trop de recherches (politique "search", header Retry-After)
     /// </returns>
     /// <remarks>
     /// Exemple : GET /api/users/search?q=john
     /// Retourne tous les utilisateurs dont le nom, prénom ou titre contient "john"
     /// </remarks>
     [HttpGet("search")]
+    [EnableRateLimiting("search")]
     [ProducesResponseType(typeof(List<UserDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status429TooManyRequests)]
     public async Task<ActionResult<List<UserDto>>> Search([FromQuery] string q)
     {
-        var users = await _userService.SearchAsync(q);
+        var users = await _userService.SearchAsync(q, GetCurrentUserId());
         return Ok(users);
     }
 
@@ -265,6 +255,443 @@ public class UsersController : ControllerBase
         return NoContent();
     }
 
+    // SECTIONS DU PROFIL - GET /api/users/{id}/sections
+    /// <summary>
+    /// Récupère l'expérience, la formation et les compétences d'un membre,
+    /// chacune dans l'ordre choisi par le membre.
+    ///
+    /// Endpoint public ; pour un visiteur connecté, chaque compétence indique s'il l'a
+    /// déjà recommandée et CanEndorse s'il peut la recommander (relation du membre).
+    /// </summary>
+    /// <param name="id">ID (GUID) du membre</param>
+    /// <returns>
+    /// 200 OK : Sections du profil
+    /// 404 Not Found : Utilisateur inexistant, ou bloqué par (ou ayant bloqué) le visiteur
+    /// </returns>
+    [HttpGet("{id:guid}/sections")]
+    [ProducesResponseType(typeof(ProfileSectionsDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ProfileSectionsDto>> GetSections(Guid id)
+    {
+        var sections = await _profileService.GetSectionsAsync(id, GetCurrentUserId());
+
+        if (sections == null)
+            return NotFound(new { message = "Utilisateur non trouvé" });
+
+        return Ok(sections);
+    }
+
+    // AJOUT D'UN POSTE - POST /api/users/me/experiences
+    /// <summary>
+    /// Ajoute un poste en fin de section "Expérience".
+    /// Les dates sont ramenées au premier jour du mois ; sans date de fin, c'est le poste actuel.
+    /// </summary>
+    /// <param name="saveDto">Intitulé, entreprise, dates et description</param>
+    /// <returns>
+    /// 201 Created : Poste créé
+    /// 400 Bad Request : Champs invalides ou section pleine
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("me/experiences")]
+    [Authorize]
+    [ProducesResponseType(typeof(ExperienceDto), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<ExperienceDto>> AddExperience([FromBody] SaveExperienceDto saveDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, experience) = await _profileService.AddExperienceAsync(userId.Value, saveDto);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return CreatedAtAction(nameof(GetSections), new { id = userId.Value }, experience);
+    }
+
+    // MODIFICATION D'UN POSTE - PUT /api/users/me/experiences/{experienceId}
+    /// <summary>
+    /// Modifie un poste de l'utilisateur connecté (tous les champs sont remplacés).
+    /// </summary>
+    /// <param name="experienceId">ID du poste</param>
+    /// <param name="saveDto">Nouvelles valeurs du poste</param>
+    /// <returns>
+    /// 200 OK : Poste modifié
+    /// 400 Bad Request : Champs invalides ou poste introuvable
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("me/experiences/{experienceId:guid}")]
+    [Authorize]
+    [ProducesResponseType(typeof(ExperienceDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<ExperienceDto>> UpdateExperience(Guid experienceId, [FromBody] SaveExperienceDto saveDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, experience) = await _profileService.UpdateExperienceAsync(userId.Value, experienceId, saveDto);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(experience);
+    }
+
+    // SUPPRESSION D'UN POSTE - DELETE /api/users/me/experiences/{experienceId}
+    /// <summary>
+    /// Supprime un poste de l'utilisateur connecté.
+    /// </summary>
+    /// <param name="experienceId">ID du poste</param>
+    /// <returns>
+    /// 204 No Content : Poste supprimé
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Poste inexistant ou appartenant à un autre membre
+    /// </returns>
+    [HttpDelete("me/experiences/{experienceId:guid}")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteExperience(Guid experienceId)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        if (!await _profileService.DeleteExperienceAsync(userId.Value, experienceId))
+            return NotFound(new { message = "Poste non trouvé" });
+
+        return NoContent();
+    }
+
+    // ORDRE DES POSTES - PUT /api/users/me/experiences/order
+    /// <summary>
+    /// Réordonne la section "Expérience" : la liste contient tous les postes, du premier au dernier.
+    /// </summary>
+    /// <param name="reorderDto">IDs des postes dans le nouvel ordre</param>
+    /// <returns>
+    /// 200 OK : Ordre enregistré
+    /// 400 Bad Request : La liste ne correspond pas aux postes du profil
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("me/experiences/order")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<IActionResult> ReorderExperiences([FromBody] ReorderSectionDto reorderDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message) = await _profileService.ReorderExperiencesAsync(userId.Value, reorderDto.Ids);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // AJOUT D'UNE FORMATION - POST /api/users/me/educations
+    /// <summary>
+    /// Ajoute une formation en fin de section "Formation".
+    /// Seul l'établissement est obligatoire ; les dates sont ramenées au premier jour du mois.
+    /// </summary>
+    /// <param name="saveDto">Établissement, diplôme, domaine, dates et description</param>
+    /// <returns>
+    /// 201 Created : Formation créée
+    /// 400 Bad Request : Champs invalides ou section pleine
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("me/educations")]
+    [Authorize]
+    [ProducesResponseType(typeof(EducationDto), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<EducationDto>> AddEducation([FromBody] SaveEducationDto saveDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, education) = await _profileService.AddEducationAsync(userId.Value, saveDto);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return CreatedAtAction(nameof(GetSections), new { id = userId.Value }, education);
+    }
+
+    // MODIFICATION D'UNE FORMATION - PUT /api/users/me/educations/{educationId}
+    /// <summary>
+    /// Modifie une formation de l'utilisateur connecté (tous les champs sont remplacés).
+    /// </summary>
+    /// <param name="educationId">ID de la formation</param>
+    /// <param name="saveDto">Nouvelles valeurs de la formation</param>
+    /// <returns>
+    /// 200 OK : Formation modifiée
+    /// 400 Bad Request : Champs invalides ou formation introuvable
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("me/educations/{educationId:guid}")]
+    [Authorize]
+    [ProducesResponseType(typeof(EducationDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<EducationDto>> UpdateEducation(Guid educationId, [FromBody] SaveEducationDto saveDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, education) = await _profileService.UpdateEducationAsync(userId.Value, educationId, saveDto);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(education);
+    }
+
+    // SUPPRESSION D'UNE FORMATION - DELETE /api/users/me/educations/{educationId}
+    /// <summary>
+    /// Supprime une formation de l'utilisateur connecté.
+    /// </summary>
+    /// <param name="educationId">ID de la formation</param>
+    /// <returns>
+    /// 204 No Content : Formation supprimée
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Formation inexistante ou appartenant à un autre membre
+    /// </returns>
+    [HttpDelete("me/educations/{educationId:guid}")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteEducation(Guid educationId)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        if (!await _profileService.DeleteEducationAsync(userId.Value, educationId))
+            return NotFound(new { message = "Formation non trouvée" });
+
+        return NoContent();
+    }
+
+    // ORDRE DES FORMATIONS - PUT /api/users/me/educations/order
+    /// <summary>
+    /// Réordonne la section "Formation" : la liste contient toutes les formations, de la première à la dernière.
+    /// </summary>
+    /// <param name="reorderDto">IDs des formations dans le nouvel ordre</param>
+    /// <returns>
+    /// 200 OK : Ordre enregistré
+    /// 400 Bad Request : La liste ne correspond pas aux formations du profil
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("me/educations/order")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<IActionResult> ReorderEducations([FromBody] ReorderSectionDto reorderDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message) = await _profileService.ReorderEducationsAsync(userId.Value, reorderDto.Ids);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // AJOUT D'UNE COMPÉTENCE - POST /api/users/me/skills
+    /// <summary>
+    /// Ajoute une compétence en fin de section "Compétences".
+    /// Une même compétence (sans tenir compte de la casse ni des accents) ne peut figurer qu'une fois.
+    /// </summary>
+    /// <param name="saveDto">Nom de la compétence</param>
+    /// <returns>
+    /// 201 Created : Compétence créée
+    /// 400 Bad Request : Nom invalide, doublon ou section pleine
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("me/skills")]
+    [Authorize]
+    [ProducesResponseType(typeof(SkillDto), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<SkillDto>> AddSkill([FromBody] SaveSkillDto saveDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, skill) = await _profileService.AddSkillAsync(userId.Value, saveDto);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return CreatedAtAction(nameof(GetSections), new { id = userId.Value }, skill);
+    }
+
+    // RENOMMAGE D'UNE COMPÉTENCE - PUT /api/users/me/skills/{skillId}
+    /// <summary>
+    /// Renomme une compétence de l'utilisateur connecté.
+    /// Les recommandations sont supprimées si le nom désigne une autre compétence
+    /// (elles sont conservées pour une simple correction de casse ou d'accents).
+    /// </summary>
+    /// <param name="skillId">ID de la compétence</param>
+    /// <param name="saveDto">Nouveau nom</param>
+    /// <returns>
+    /// 200 OK : Compétence modifiée
+    /// 400 Bad Request : Nom invalide, doublon ou compétence introuvable
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("me/skills/{skillId:guid}")]
+    [Authorize]
+    [ProducesResponseType(typeof(SkillDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<SkillDto>> UpdateSkill(Guid skillId, [FromBody] SaveSkillDto saveDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, skill) = await _profileService.UpdateSkillAsync(userId.Value, skillId, saveDto);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(skill);
+    }
+
+    // SUPPRESSION D'UNE COMPÉTENCE - DELETE /api/users/me/skills/{skillId}
+    /// <summary>
+    /// Supprime une compétence de l'utilisateur connecté, avec ses recommandations.
+    /// </summary>
+    /// <param name="skillId">ID de la compétence</param>
+    /// <returns>
+    /// 204 No Content : Compétence supprimée
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Compétence inexistante ou appartenant à un autre membre
+    /// </returns>
+    [HttpDelete("me/skills/{skillId:guid}")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteSkill(Guid skillId)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        if (!await _profileService.DeleteSkillAsync(userId.Value, skillId))
+            return NotFound(new { message = "Compétence non trouvée" });
+
+        return NoContent();
+    }
+
+    // ORDRE DES COMPÉTENCES - PUT /api/users/me/skills/order
+    /// <summary>
+    /// Réordonne la section "Compétences" : la liste contient toutes les compétences, de la première à la dernière.
+    /// </summary>
+    /// <param name="reorderDto">IDs des compétences dans le nouvel ordre</param>
+    /// <returns>
+    /// 200 OK : Ordre enregistré
+    /// 400 Bad Request : La liste ne correspond pas aux compétences du profil
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPut("me/skills/order")]
+    [Authorize]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<IActionResult> ReorderSkills([FromBody] ReorderSectionDto reorderDto)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message) = await _profileService.ReorderSkillsAsync(userId.Value, reorderDto.Ids);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(new { message });
+    }
+
+    // RECOMMANDATION D'UNE COMPÉTENCE - POST /api/users/{id}/skills/{skillId}/endorsement
+    /// <summary>
+    /// Recommande une compétence d'une relation (une seule fois par compétence).
+    /// Le membre recommandé reçoit une notification.
+    /// </summary>
+    /// <param name="id">ID du membre propriétaire de la compétence</param>
+    /// <param name="skillId">ID de la compétence</param>
+    /// <returns>
+    /// 200 OK : Compétence à jour (nombre de recommandations, IsEndorsedByCurrentUser)
+    /// 400 Bad Request : Compétence introuvable, sa propre compétence, pas en relation ou déjà recommandée
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// </returns>
+    [HttpPost("{id:guid}/skills/{skillId:guid}/endorsement")]
+    [Authorize]
+    [ProducesResponseType(typeof(SkillDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<SkillDto>> EndorseSkill(Guid id, Guid skillId)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var (success, message, skill) = await _profileService.EndorseSkillAsync(id, skillId, userId.Value);
+
+        if (!success)
+            return BadRequest(new { message });
+
+        return Ok(skill);
+    }
+
+    // RETRAIT D'UNE RECOMMANDATION - DELETE /api/users/{id}/skills/{skillId}/endorsement
+    /// <summary>
+    /// Retire sa recommandation d'une compétence (sans effet si elle n'existe pas).
+    /// </summary>
+    /// <param name="id">ID du membre propriétaire de la compétence</param>
+    /// <param name="skillId">ID de la compétence</param>
+    /// <returns>
+    /// 200 OK : Compétence à jour
+    /// 401 Unauthorized : Token manquant ou invalide
+    /// 404 Not Found : Compétence inexistante
+    /// </returns>
+    [HttpDelete("{id:guid}/skills/{skillId:guid}/endorsement")]
+    [Authorize]
+    [ProducesResponseType(typeof(SkillDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<SkillDto>> RemoveEndorsement(Guid id, Guid skillId)
+    {
+        var userId = GetCurrentUserId();
+        if (userId == null)
+            return Unauthorized();
+
+        var skill = await _profileService.RemoveEndorsementAsync(id, skillId, userId.Value);
+
+        if (skill == null)
+            return NotFound(new { message = "Compétence non trouvée" });
+
+        return Ok(skill);
+    }
+
     // MÉTHODE UTILITAIRE : EXTRACTION DE L'ID UTILISATEUR
     /// <summary>
     /// Extrait l'ID de l'utilisateur connecté depuis les claims du token JWT.
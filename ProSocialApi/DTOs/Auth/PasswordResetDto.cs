@@ -0,0 +1,58 @@
+// PASSWORDRESETDTO.CS - DTOs pour la réinitialisation du mot de passe et la confirmation de l'email
+// Les liens envoyés par email contiennent un token signé, à usage unique et limité dans le temps.
+// Les pages /AuthView/ResetPassword et /AuthView/VerifyEmail renvoient ce token à l'API.
+
+using System.ComponentModel.DataAnnotations;
+
+namespace ProSocialApi.DTOs.Auth;
+
+/// <summary>
+/// DTO pour la demande de réinitialisation (POST /api/auth/forgot-password).
+/// </summary>
+public class ForgotPasswordDto
+{
+    /// <summary>
+    /// Adresse email du compte. La réponse est identique que le compte existe ou non.
+    /// </summary>
+    [Required(ErrorMessage = "L'email est requis")]
+    [EmailAddress(ErrorMessage = "Format d'email invalide")]
+    public string Email { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// DTO pour le choix du nouveau mot de passe (POST /api/auth/reset-password).
+/// </summary>
+public class ResetPasswordDto
+{
+    /// <summary>
+    /// Token reçu dans le lien de l'email.
+    /// </summary>
+    [Required(ErrorMessage = "Le lien de réinitialisation est incomplet")]
+    public string Token { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nouveau mot de passe (mêmes règles qu'à l'inscription).
+    /// </summary>
+    [Required(ErrorMessage = "Le mot de passe est requis")]
+    [MinLength(6, ErrorMessage = "Le mot de passe doit contenir au moins 6 caractères")]
+    public string Password { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Confirmation du nouveau mot de passe.
+    /// </summary>
+    [Required(ErrorMessage = "La confirmation du mot de passe est requise")]
+    [Compare("Password", ErrorMessage = "Les mots de passe ne correspondent pas")]
+    public string ConfirmPassword { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// DTO pour la confirmation de l'adresse email (POST /api/auth/verify-email).
+/// </summary>
+public class VerifyEmailDto
+{
+    /// <summary>
+    /// Token reçu dans le lien de l'email.
+    /// </summary>
+    [Required(ErrorMessage = "Le lien de confirmation est incomplet")]
+    public string Token { get; set; } = string.Empty;
+}
@@ -0,0 +1,41 @@
+// SESSIONDTO.CS - DTO des sessions actives
+// Appareils sur lesquels le membre est connecté (section "Sessions actives" du profil).
+
+namespace ProSocialApi.DTOs.Auth;
+
+/// <summary>
+/// DTO d'une session active (GET /api/sessions).
+/// Ne contient jamais le refresh token ni son hash.
+/// </summary>
+public class SessionDto
+{
+    /// <summary>
+    /// Identifiant de la session (pour la déconnecter).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Appareil lisible, déduit du User-Agent (ex: "Firefox sur Windows").
+    /// </summary>
+    public string Device { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Dernière adresse IP connue.
+    /// </summary>
+    public string? IpAddress { get; set; }
+
+    /// <summary>
+    /// Date de connexion.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Dernière activité (dernier renouvellement du JWT).
+    /// </summary>
+    public DateTime LastUsedAt { get; set; }
+
+    /// <summary>
+    /// True pour la session de l'appareil qui fait la requête.
+    /// </summary>
+    public bool IsCurrent { get; set; }
+}
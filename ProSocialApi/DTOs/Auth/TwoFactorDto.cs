@@ -0,0 +1,97 @@
+// TWOFACTORDTO.CS - DTOs de la double authentification (TOTP)
+// Activation depuis la page profil (QR code, confirmation par un code, codes de secours)
+// et seconde étape de la connexion lorsque la double authentification est active.
+
+using System.ComponentModel.DataAnnotations;
+
+namespace ProSocialApi.DTOs.Auth;
+
+/// <summary>
+/// DTO de l'état de la double authentification (GET /api/auth/2fa).
+/// </summary>
+public class TwoFactorStatusDto
+{
+    /// <summary>
+    /// True si la connexion demande un code.
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    /// Nombre de codes de secours encore utilisables.
+    /// </summary>
+    public int RecoveryCodesLeft { get; set; }
+}
+
+/// <summary>
+/// DTO de début d'activation (POST /api/auth/2fa/setup) : la clé à ajouter dans l'application d'authentification.
+/// </summary>
+public class TwoFactorSetupDto
+{
+    /// <summary>
+    /// Clé secrète en base32, groupée par 4 caractères pour la saisie manuelle.
+    /// </summary>
+    public string Secret { get; set; } = string.Empty;
+
+    /// <summary>
+    /// URI otpauth:// contenue dans le QR code.
+    /// </summary>
+    public string OtpAuthUri { get; set; } = string.Empty;
+
+    /// <summary>
+    /// QR code au format data:image/png;base64 (affichable directement dans une balise img).
+    /// </summary>
+    public string QrCodeDataUri { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// DTO de confirmation de l'activation (POST /api/auth/2fa/enable).
+/// </summary>
+public class TwoFactorCodeDto
+{
+    /// <summary>
+    /// Code à 6 chiffres affiché par l'application d'authentification.
+    /// </summary>
+    [Required(ErrorMessage = "Le code est requis")]
+    public string Code { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// DTO des actions sensibles (désactivation, nouveaux codes de secours) : le mot de passe est redemandé.
+/// </summary>
+public class TwoFactorPasswordDto
+{
+    /// <summary>
+    /// Mot de passe actuel du compte.
+    /// </summary>
+    [Required(ErrorMessage = "Le mot de passe est requis")]
+    public string Password { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// DTO des codes de secours, affichés une seule fois (activation ou régénération).
+/// </summary>
+public class TwoFactorRecoveryCodesDto
+{
+    /// <summary>
+    /// Codes de secours en clair (format XXXXX-XXXXX).
+    /// </summary>
+    public List<string> RecoveryCodes { get; set; } = new();
+}
+
+/// <summary>
+/// DTO de la seconde étape de connexion (POST /api/auth/login/2fa).
+/// </summary>
+public class TwoFactorLoginDto
+{
+    /// <summary>
+    /// Token reçu à la première étape (mot de passe vérifié), valable quelques minutes.
+    /// </summary>
+    [Required(ErrorMessage = "La connexion a expiré, veuillez recommencer")]
+    public string TwoFactorToken { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Code de l'application d'authentification ou code de secours.
+    /// </summary>
+    [Required(ErrorMessage = "Le code est requis")]
+    public string Code { get; set; } = string.Empty;
+}
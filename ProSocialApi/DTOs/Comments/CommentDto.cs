@@ -3,12 +3,14 @@
 // requêtes liées aux commentaires sur les posts.
 
 using System.ComponentModel.DataAnnotations;
+using ProSocialApi.DTOs.Posts;
 
 namespace ProSocialApi.DTOs.Comments;
 
 /// <summary>
 /// DTO représentant un commentaire complet.
-/// Utilisé par l'endpoint GET /api/posts/{postId}/comments.
+/// Utilisé par les endpoints GET /api/posts/{postId}/comments (premier niveau)
+/// et GET /api/comments/{id}/replies (réponses).
 ///
 /// Inclut les informations de l'auteur pour un affichage direct
 /// sans requête supplémentaire.
@@ -21,7 +23,17 @@ public class CommentDto
     public Guid Id { get; set; }
 
     /// <summary>
-    /// Contenu textuel du commentaire.
+    /// ID du post commenté.
+    /// </summary>
+    public Guid PostId { get; set; }
+
+    /// <summary>
+    /// ID du commentaire parent (null pour un commentaire de premier niveau).
+    /// </summary>
+    public Guid? ParentId { get; set; }
+
+    /// <summary>
+    /// Contenu textuel du commentaire (vide si le commentaire a été supprimé).
     /// </summary>
     public string Content { get; set; } = string.Empty;
 
@@ -31,11 +43,34 @@ public class CommentDto
     /// </summary>
     public DateTime CreatedAt { get; set; }
 
+    /// <summary>
+    /// Date de dernière modification (différente de CreatedAt si le commentaire a été modifié).
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// True si le commentaire a été supprimé mais conservé pour ses réponses.
+    /// Le client affiche alors "commentaire supprimé" à la place du contenu.
+    /// </summary>
+    public bool IsDeleted { get; set; }
+
+    /// <summary>
+    /// Nombre de réponses (toujours 0 pour une réponse).
+    /// Les réponses sont chargées à la demande via GET /api/comments/{id}/replies.
+    /// </summary>
+    public int RepliesCount { get; set; }
+
     /// <summary>
     /// Informations de l'auteur du commentaire.
     /// Permet d'afficher le nom et l'avatar à côté du commentaire.
+    /// Null si le commentaire a été supprimé.
+    /// </summary>
+    public CommentAuthorDto? Author { get; set; }
+
+    /// <summary>
+    /// Membres mentionnés dans le commentaire (liens vers leur profil à l'affichage).
     /// </summary>
-    public CommentAuthorDto Author { get; set; } = null!;
+    public List<MentionDto> Mentions { get; set; } = new();
 }
 
 /// <summary>
@@ -89,4 +124,35 @@ public class CreateCommentDto
     [Required(ErrorMessage = "Le contenu est requis")]
     [MinLength(1, ErrorMessage = "Le commentaire ne peut pas être vide")]
     public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// ID du commentaire auquel on répond (optionnel).
+    /// Si c'est déjà une réponse, la nouvelle réponse est rattachée au même fil
+    /// (un seul niveau d'imbrication).
+    /// </summary>
+    public Guid? ParentId { get; set; }
+
+    /// <summary>
+    /// Membres mentionnés dans le commentaire (choisis dans l'autocomplétion "@").
+    /// </summary>
+    public List<Guid>? MentionedUserIds { get; set; }
+}
+
+/// <summary>
+/// DTO pour la modification d'un commentaire (PUT /api/comments/{id}).
+/// Seul l'auteur peut modifier son commentaire.
+/// </summary>
+public class UpdateCommentDto
+{
+    /// <summary>
+    /// Nouveau contenu du commentaire.
+    /// </summary>
+    [Required(ErrorMessage = "Le contenu est requis")]
+    [MinLength(1, ErrorMessage = "Le commentaire ne peut pas être vide")]
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Membres mentionnés ajoutés pendant la modification.
+    /// </summary>
+    public List<Guid>? MentionedUserIds { get; set; }
 }
@@ -112,3 +112,76 @@ public class ConnectionRequestDto
     /// </summary>
     public ConnectionUserDto Requester { get; set; } = null!;
 }
+
+/// <summary>
+/// DTO représentant une demande de connexion en attente ENVOYÉE par l'utilisateur.
+/// Utilisé par l'endpoint GET /api/connections/sent (onglet "Envoyées").
+///
+/// Pendant de ConnectionRequestDto : Addressee contient les infos du destinataire.
+/// </summary>
+public class SentConnectionRequestDto
+{
+    /// <summary>
+    /// Identifiant unique de la demande de connexion.
+    /// Utilisé pour retirer la demande.
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Date d'envoi de la demande.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Informations sur le destinataire de la demande.
+    /// </summary>
+    public ConnectionUserDto Addressee { get; set; } = null!;
+}
+
+/// <summary>
+/// DTO décrivant la relation entre l'utilisateur connecté et un autre membre.
+/// Utilisé par la page profil public pour choisir l'action à afficher
+/// (se connecter, demande en attente, accepter, envoyer un message, retirer).
+/// </summary>
+public class RelationshipDto
+{
+    /// <summary>
+    /// État de la relation, vu par l'utilisateur connecté :
+    /// - "Self" : il s'agit de son propre profil
+    /// - "None" : aucune connexion ni demande
+    /// - "PendingSent" : demande envoyée, en attente de réponse
+    /// - "PendingReceived" : demande reçue, à accepter ou refuser
+    /// - "Connected" : connexion acceptée
+    /// - "Rejected" : demande refusée (une nouvelle demande n'est pas possible)
+    /// </summary>
+    public string Status { get; set; } = "None";
+
+    /// <summary>
+    /// ID de la connexion existante (pour accepter, refuser ou retirer).
+    /// Null si Status vaut "Self" ou "None".
+    /// </summary>
+    public Guid? ConnectionId { get; set; }
+
+    /// <summary>
+    /// Indique si l'utilisateur connecté a masqué les publications de ce membre.
+    /// </summary>
+    public bool IsMuted { get; set; }
+}
+
+/// <summary>
+/// DTO représentant une suggestion de connexion (onglet Suggestions de la page Réseau).
+/// Ajoute au membre suggéré les raisons de la suggestion : les relations en commun.
+/// </summary>
+public class ConnectionSuggestionDto : ConnectionUserDto
+{
+    /// <summary>
+    /// Nombre total de relations en commun avec l'utilisateur connecté.
+    /// </summary>
+    public int MutualConnectionsCount { get; set; }
+
+    /// <summary>
+    /// Quelques relations en commun (avatars affichés sur la carte).
+    /// Limité à 3 membres, voir MutualConnectionsCount pour le total.
+    /// </summary>
+    public List<ConnectionUserDto> MutualConnections { get; set; } = new();
+}
@@ -0,0 +1,36 @@
+// LINKPREVIEWDTO.CS - DTO de l'aperçu d'un lien
+// Carte affichée sous un post (ou un message) pour le premier lien de son contenu.
+// Renseigné à partir des balises Open Graph de la page (og:title, og:description, og:image...).
+
+namespace ProSocialApi.DTOs.LinkPreviews;
+
+/// <summary>
+/// Aperçu d'une page web (réponse de GET /api/link-previews?url=...).
+/// </summary>
+public class LinkPreviewDto
+{
+    /// <summary>
+    /// URL demandée (celle du lien dans le contenu).
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Titre de la page (og:title, sinon la balise title).
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Description de la page (og:description, sinon la meta description).
+    /// </summary>
+    public string? Description { get; set; }
+
+    /// <summary>
+    /// URL absolue de l'image (og:image), http ou https uniquement.
+    /// </summary>
+    public string? ImageUrl { get; set; }
+
+    /// <summary>
+    /// Nom du site (og:site_name, sinon le nom d'hôte).
+    /// </summary>
+    public string SiteName { get; set; } = string.Empty;
+}
@@ -42,6 +42,12 @@ public class ConversationDto
     /// Date de création de la conversation.
     /// </summary>
     public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Nombre de messages de l'autre participant pas encore lus par l'utilisateur courant.
+    /// Affiché sous forme de badge dans la liste des conversations.
+    /// </summary>
+    public int UnreadCount { get; set; }
 }
 
 /// <summary>
@@ -111,6 +117,12 @@ public class ParticipantDto
 /// </summary>
 public class MessageDto
 {
+    /// <summary>
+    /// Identifiant du message (null pour les anciens messages sans ID).
+    /// Utilisé pour signaler un message.
+    /// </summary>
+    public string? Id { get; set; }
+
     /// <summary>
     /// ID de l'expéditeur (GUID MySQL en string).
     /// Permet de déterminer si le message est "envoyé" ou "reçu".
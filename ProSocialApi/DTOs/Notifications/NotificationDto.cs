@@ -0,0 +1,99 @@
+// NOTIFICATIONDTO.CS - DTOs pour les notifications
+// Ces DTOs définissent les structures de données renvoyées par l'API
+// de notifications. Ils exposent les documents MongoDB "notifications"
+// sans dépendre des attributs BSON côté client.
+
+namespace ProSocialApi.DTOs.Notifications;
+
+/// <summary>
+/// DTO représentant une notification de l'utilisateur connecté.
+/// Utilisé par GET /api/notifications.
+/// </summary>
+public class NotificationDto
+{
+    /// <summary>
+    /// Identifiant unique de la notification (ObjectId MongoDB).
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Type de notification sous forme de texte
+    /// (ConnectionRequest, ConnectionAccepted, NewLike, NewComment, CommentReply, NewMessage, Mention).
+    /// Permet au client de choisir l'icône et le lien à afficher.
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Message lisible pré-formaté (ex: "Jean Dupont a aimé votre publication").
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Indique si la notification a déjà été lue.
+    /// </summary>
+    public bool Read { get; set; }
+
+    /// <summary>
+    /// Date de création de la notification.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Données contextuelles (auteur de l'action, post, conversation...).
+    /// </summary>
+    public NotificationDataDto Data { get; set; } = new();
+}
+
+/// <summary>
+/// Données contextuelles d'une notification.
+/// Seuls les champs pertinents pour le type de notification sont renseignés.
+/// </summary>
+public class NotificationDataDto
+{
+    /// <summary>
+    /// ID de l'utilisateur à l'origine de la notification.
+    /// </summary>
+    public string? FromUserId { get; set; }
+
+    /// <summary>
+    /// Nom de l'utilisateur à l'origine de la notification.
+    /// </summary>
+    public string? FromUserName { get; set; }
+
+    /// <summary>
+    /// ID du post concerné (like, commentaire).
+    /// </summary>
+    public string? PostId { get; set; }
+
+    /// <summary>
+    /// ID du commentaire concerné.
+    /// </summary>
+    public string? CommentId { get; set; }
+
+    /// <summary>
+    /// ID de la conversation concernée (nouveau message).
+    /// </summary>
+    public string? ConversationId { get; set; }
+
+    /// <summary>
+    /// ID de la connexion concernée (demande, acceptation).
+    /// </summary>
+    public string? ConnectionId { get; set; }
+
+    /// <summary>
+    /// Nom de la compétence recommandée.
+    /// </summary>
+    public string? SkillName { get; set; }
+}
+
+/// <summary>
+/// DTO retourné par GET /api/notifications/unread-count.
+/// Utilisé pour le badge de la cloche dans la barre de navigation.
+/// </summary>
+public class UnreadCountDto
+{
+    /// <summary>
+    /// Nombre de notifications non lues.
+    /// </summary>
+    public long Count { get; set; }
+}
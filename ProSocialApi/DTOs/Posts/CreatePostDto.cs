@@ -9,7 +9,8 @@ namespace ProSocialApi.DTOs.Posts;
 
 /// <summary>
 /// DTO pour la création d'un nouveau post (POST /api/posts).
-/// Contient le contenu textuel obligatoire et une image optionnelle.
+/// Contient le contenu textuel obligatoire ; une image ne peut être jointe
+/// qu'en multipart/form-data (CreatePostFormDto), jamais par URL.
 /// </summary>
 public class CreatePostDto
 {
@@ -26,15 +27,37 @@ public class CreatePostDto
     public string Content { get; set; } = string.Empty;
 
     /// <summary>
-    /// URL de l'image à attacher au post (optionnel).
-    /// - [Url] : Vérifie que c'est une URL valide (http:// ou https://)
-    ///
-    /// Note : L'upload d'image n'est pas géré par cette API.
-    /// L'image doit être uploadée sur un service externe (Cloudinary, S3, etc.)
-    /// et seule l'URL est transmise ici.
+    /// Membres mentionnés dans le contenu (choisis dans l'autocomplétion "@").
+    /// Seuls ceux dont le texte "@Prénom Nom" figure dans le contenu sont retenus.
     /// </summary>
-    [Url(ErrorMessage = "L'URL de l'image n'est pas valide")]
-    public string? ImageUrl { get; set; }
+    public List<Guid>? MentionedUserIds { get; set; }
+}
+
+/// <summary>
+/// DTO pour la création d'un post avec image (POST /api/posts en multipart/form-data).
+///
+/// L'image est validée puis enregistrée dans wwwroot/uploads/posts/ ;
+/// son URL est ensuite stockée dans Post.ImageUrl.
+/// </summary>
+public class CreatePostFormDto
+{
+    /// <summary>
+    /// Contenu textuel du post (obligatoire).
+    /// </summary>
+    [Required(ErrorMessage = "Le contenu est requis")]
+    [MinLength(1, ErrorMessage = "Le contenu ne peut pas être vide")]
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Image jointe au post (optionnel) : jpg, png, gif ou webp, 5 Mo maximum.
+    /// </summary>
+    public IFormFile? Image { get; set; }
+
+    /// <summary>
+    /// Membres mentionnés dans le contenu (choisis dans l'autocomplétion "@").
+    /// Seuls ceux dont le texte "@Prénom Nom" figure dans le contenu sont retenus.
+    /// </summary>
+    public List<Guid>? MentionedUserIds { get; set; }
 }
 
 /// <summary>
@@ -45,6 +68,7 @@ public class CreatePostDto
 /// - Seules les propriétés non-null sont mises à jour
 ///
 /// Note : Seul l'auteur du post peut le modifier (vérifié dans le controller).
+/// L'image jointe à la création n'est pas modifiable.
 /// </summary>
 public class UpdatePostDto
 {
@@ -57,11 +81,25 @@ public class UpdatePostDto
     public string? Content { get; set; }
 
     /// <summary>
-    /// Nouvelle URL d'image (optionnel).
-    /// - Si null : L'image actuelle est conservée
-    /// - Si string.Empty : L'image est supprimée
-    /// - Si URL valide : L'image est mise à jour
+    /// Membres mentionnés ajoutés pendant la modification.
+    /// Les mentions déjà enregistrées sont conservées tant que leur texte reste dans le contenu.
+    /// </summary>
+    public List<Guid>? MentionedUserIds { get; set; }
+}
+
+/// <summary>
+/// DTO pour le partage d'un post (POST /api/posts/{id}/share).
+/// Le partage est un nouveau post qui affiche la publication d'origine.
+/// </summary>
+public class SharePostDto
+{
+    /// <summary>
+    /// Commentaire accompagnant le partage (optionnel, peut être vide).
+    /// </summary>
+    public string? Content { get; set; }
+
+    /// <summary>
+    /// Membres mentionnés dans le commentaire (voir CreatePostDto.MentionedUserIds).
     /// </summary>
-    [Url(ErrorMessage = "L'URL de l'image n'est pas valide")]
-    public string? ImageUrl { get; set; }
+    public List<Guid>? MentionedUserIds { get; set; }
 }
@@ -0,0 +1,102 @@
+// LIKEDTO.CS - DTOs pour les likes (réactions) des posts
+// Requête et réponse de l'endpoint PUT /api/posts/{id}/like, et liste
+// des membres ayant réagi à un post (GET /api/posts/{id}/likes).
+
+namespace ProSocialApi.DTOs.Posts;
+
+/// <summary>
+/// DTO de requête pour PUT /api/posts/{id}/like.
+/// L'état souhaité est envoyé (et non une bascule) : rejouer la même
+/// requête donne toujours le même résultat (idempotence).
+/// </summary>
+public class SetLikeDto
+{
+    /// <summary>
+    /// True pour réagir au post, false pour retirer sa réaction.
+    /// </summary>
+    public bool Liked { get; set; }
+
+    /// <summary>
+    /// Type de réaction ("Like", "Celebrate", "Support", "Insightful", "Funny", "Love").
+    /// Optionnel : "Like" par défaut. Ignoré quand Liked vaut false.
+    /// </summary>
+    public string? Type { get; set; }
+}
+
+/// <summary>
+/// État du like après l'opération, calculé côté serveur.
+/// Le client remplace son affichage optimiste par ces valeurs.
+/// </summary>
+public class LikeStatusDto
+{
+    /// <summary>
+    /// ID du post concerné.
+    /// </summary>
+    public Guid PostId { get; set; }
+
+    /// <summary>
+    /// Nombre total de likes sur le post.
+    /// </summary>
+    public int LikesCount { get; set; }
+
+    /// <summary>
+    /// Indique si l'utilisateur connecté a réagi au post.
+    /// </summary>
+    public bool Liked { get; set; }
+
+    /// <summary>
+    /// Réaction de l'utilisateur connecté (null s'il n'a pas réagi).
+    /// </summary>
+    public string? Reaction { get; set; }
+
+    /// <summary>
+    /// Nombre de réactions par type.
+    /// </summary>
+    public Dictionary<string, int> ReactionCounts { get; set; } = new();
+}
+
+/// <summary>
+/// Membre ayant réagi à un post (modal "qui a réagi").
+/// </summary>
+public class PostLikerDto
+{
+    /// <summary>
+    /// Identifiant du membre (lien vers son profil).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Prénom du membre.
+    /// </summary>
+    public string FirstName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom de famille du membre.
+    /// </summary>
+    public string LastName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom complet (propriété calculée).
+    /// </summary>
+    public string FullName => $"{FirstName} {LastName}";
+
+    /// <summary>
+    /// Titre professionnel du membre.
+    /// </summary>
+    public string? Headline { get; set; }
+
+    /// <summary>
+    /// URL de l'avatar du membre.
+    /// </summary>
+    public string? AvatarUrl { get; set; }
+
+    /// <summary>
+    /// Type de réaction choisi par le membre.
+    /// </summary>
+    public string Reaction { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Date de la réaction.
+    /// </summary>
+    public DateTime LikedAt { get; set; }
+}
@@ -60,11 +60,22 @@ public class PostDto
     // STATISTIQUES ET INTERACTIONS
 
     /// <summary>
-    /// Nombre total de likes sur ce post.
-    /// Affiché sous le post (ex: "24 j'aime").
+    /// Nombre total de réactions (tous types confondus) sur ce post.
+    /// Affiché sous le post (ex: "24 réactions").
     /// </summary>
     public int LikesCount { get; set; }
 
+    /// <summary>
+    /// Nombre de réactions par type ("Like", "Celebrate"...).
+    /// Seuls les types ayant au moins une réaction sont présents.
+    /// </summary>
+    public Dictionary<string, int> ReactionCounts { get; set; } = new();
+
+    /// <summary>
+    /// Réaction de l'utilisateur connecté sur ce post (null s'il n'a pas réagi).
+    /// </summary>
+    public string? CurrentUserReaction { get; set; }
+
     /// <summary>
     /// Nombre total de commentaires sur ce post.
     /// Affiché sous le post (ex: "5 commentaires").
@@ -72,13 +83,149 @@ public class PostDto
     public int CommentsCount { get; set; }
 
     /// <summary>
-    /// Indique si l'utilisateur connecté a déjà liké ce post.
+    /// Indique si l'utilisateur connecté a déjà réagi à ce post (quel que soit le type).
     /// Permet d'afficher le bouton like en état "actif" si true.
     ///
     /// Important : Cette valeur dépend de l'utilisateur authentifié.
     /// Elle est calculée dans le service en fonction du userId du token.
     /// </summary>
     public bool IsLikedByCurrentUser { get; set; }
+
+    /// <summary>
+    /// Indique si l'utilisateur connecté a enregistré ce post (page "Enregistrés").
+    /// Calculé comme IsLikedByCurrentUser, false pour un visiteur non connecté.
+    /// </summary>
+    public bool IsSaved { get; set; }
+
+    /// <summary>
+    /// Raison de la présence du post dans le feed "pertinent" quand son auteur
+    /// n'est pas une connexion (ex: "Marie Martin a aimé ceci").
+    /// Null dans les autres cas.
+    /// </summary>
+    public FeedContextDto? FeedContext { get; set; }
+
+    /// <summary>
+    /// Membres mentionnés dans le contenu ("@Prénom Nom").
+    /// Le client remplace ces textes par des liens vers les profils.
+    /// </summary>
+    public List<MentionDto> Mentions { get; set; } = new();
+
+    // PARTAGE
+
+    /// <summary>
+    /// Indique si le post est un partage (Content contient alors le commentaire du membre).
+    /// </summary>
+    public bool IsShare { get; set; }
+
+    /// <summary>
+    /// Publication partagée, affichée dans la carte du partage.
+    /// Null pour un partage dont l'original a été supprimé ("publication supprimée").
+    /// </summary>
+    public SharedPostDto? SharedPost { get; set; }
+
+    /// <summary>
+    /// Nombre de partages de ce post.
+    /// </summary>
+    public int SharesCount { get; set; }
+}
+
+/// <summary>
+/// Publication d'origine affichée dans un partage (carte intégrée, sans statistiques).
+/// </summary>
+public class SharedPostDto
+{
+    /// <summary>
+    /// ID de la publication d'origine.
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Contenu de la publication d'origine.
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Image de la publication d'origine (optionnel).
+    /// </summary>
+    public string? ImageUrl { get; set; }
+
+    /// <summary>
+    /// Date de publication de l'original.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Auteur de la publication d'origine.
+    /// </summary>
+    public PostAuthorDto Author { get; set; } = null!;
+
+    /// <summary>
+    /// Membres mentionnés dans la publication d'origine.
+    /// </summary>
+    public List<MentionDto> Mentions { get; set; } = new();
+}
+
+/// <summary>
+/// Membre mentionné dans un post ou un commentaire.
+/// </summary>
+public class MentionDto
+{
+    /// <summary>
+    /// ID du membre mentionné (lien vers son profil).
+    /// </summary>
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// Prénom du membre.
+    /// </summary>
+    public string FirstName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom de famille du membre.
+    /// </summary>
+    public string LastName { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Hashtag en tendance (widget "Tendances" du feed).
+/// </summary>
+public class TrendingHashtagDto
+{
+    /// <summary>
+    /// Hashtag sans le "#", en minuscules et sans accents.
+    /// </summary>
+    public string Tag { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nombre de posts récents utilisant ce hashtag.
+    /// </summary>
+    public int PostsCount { get; set; }
+}
+
+/// <summary>
+/// Activité d'une connexion qui a fait remonter un post dans le feed.
+/// </summary>
+public class FeedContextDto
+{
+    /// <summary>
+    /// ID de la connexion (lien vers son profil).
+    /// </summary>
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// Prénom de la connexion.
+    /// </summary>
+    public string FirstName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom de famille de la connexion.
+    /// </summary>
+    public string LastName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Activité : "Liked" (a aimé) ou "Commented" (a commenté).
+    /// </summary>
+    public string Action { get; set; } = string.Empty;
 }
 
 /// <summary>
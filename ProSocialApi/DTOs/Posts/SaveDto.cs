@@ -0,0 +1,33 @@
+// SAVEDTO.CS - DTOs pour les posts enregistrés
+// Requête et réponse de l'endpoint PUT /api/posts/{id}/save
+// (la liste des posts enregistrés renvoie des PostDto, voir GET /api/posts/saved).
+
+namespace ProSocialApi.DTOs.Posts;
+
+/// <summary>
+/// DTO de requête pour PUT /api/posts/{id}/save.
+/// Comme pour les likes, l'état souhaité est envoyé (idempotence).
+/// </summary>
+public class SetSavedDto
+{
+    /// <summary>
+    /// True pour enregistrer le post, false pour le retirer des enregistrés.
+    /// </summary>
+    public bool Saved { get; set; }
+}
+
+/// <summary>
+/// État de l'enregistrement après l'opération.
+/// </summary>
+public class SaveStatusDto
+{
+    /// <summary>
+    /// ID du post concerné.
+    /// </summary>
+    public Guid PostId { get; set; }
+
+    /// <summary>
+    /// Indique si le post figure dans les enregistrés de l'utilisateur connecté.
+    /// </summary>
+    public bool Saved { get; set; }
+}
@@ -0,0 +1,123 @@
+// REPORTDTO.CS - DTOs pour les signalements et la file de modération
+// Les membres signalent un post, un commentaire ou un message avec un motif ;
+// les modérateurs consultent les signalements ouverts regroupés par contenu.
+
+using System.ComponentModel.DataAnnotations;
+
+namespace ProSocialApi.DTOs.Reports;
+
+/// <summary>
+/// DTO pour signaler un contenu (POST /api/reports).
+/// </summary>
+public class CreateReportDto
+{
+    /// <summary>
+    /// Type de contenu : "Post", "Comment" ou "Message".
+    /// </summary>
+    [Required(ErrorMessage = "Le type de contenu est requis")]
+    public string TargetType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// ID du contenu signalé (GUID pour un post ou un commentaire, ID du message sinon).
+    /// </summary>
+    [Required(ErrorMessage = "Le contenu signalé est requis")]
+    [MaxLength(64)]
+    public string TargetId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Motif : "Spam", "Harassment", "HateSpeech", "Misinformation", "InappropriateContent" ou "Other".
+    /// </summary>
+    [Required(ErrorMessage = "Le motif est requis")]
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Précisions libres (optionnel).
+    /// </summary>
+    [MaxLength(500, ErrorMessage = "Les précisions ne peuvent pas dépasser 500 caractères")]
+    public string? Details { get; set; }
+}
+
+/// <summary>
+/// DTO d'un contenu signalé dans la file de modération (GET /api/moderation/reports).
+/// Regroupe tous les signalements ouverts visant le même contenu.
+/// </summary>
+public class ModerationItemDto
+{
+    /// <summary>
+    /// Type de contenu ("Post", "Comment", "Message").
+    /// </summary>
+    public string TargetType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// ID du contenu signalé.
+    /// </summary>
+    public string TargetId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Extrait du contenu au moment du dernier signalement.
+    /// </summary>
+    public string ContentExcerpt { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Auteur du contenu signalé.
+    /// </summary>
+    public ReportedAuthorDto Author { get; set; } = null!;
+
+    /// <summary>
+    /// Nombre de signalements ouverts sur ce contenu.
+    /// </summary>
+    public int ReportsCount { get; set; }
+
+    /// <summary>
+    /// Nombre de signalements par motif (ex: { "Spam": 2, "Other": 1 }).
+    /// </summary>
+    public Dictionary<string, int> Reasons { get; set; } = new();
+
+    /// <summary>
+    /// Précisions saisies par les membres (vides exclues).
+    /// </summary>
+    public List<string> Details { get; set; } = new();
+
+    /// <summary>
+    /// Date du premier signalement ouvert.
+    /// </summary>
+    public DateTime FirstReportedAt { get; set; }
+
+    /// <summary>
+    /// Date du dernier signalement.
+    /// </summary>
+    public DateTime LastReportedAt { get; set; }
+}
+
+/// <summary>
+/// Auteur d'un contenu signalé, avec son rôle et son état de suspension.
+/// </summary>
+public class ReportedAuthorDto
+{
+    public Guid Id { get; set; }
+    public string FirstName { get; set; } = string.Empty;
+    public string LastName { get; set; } = string.Empty;
+    public string? AvatarUrl { get; set; }
+
+    /// <summary>
+    /// Rôle de l'auteur ("Member", "Moderator", "Admin").
+    /// </summary>
+    public string Role { get; set; } = string.Empty;
+
+    /// <summary>
+    /// True si l'auteur est déjà suspendu.
+    /// </summary>
+    public bool IsSuspended { get; set; }
+}
+
+/// <summary>
+/// DTO pour changer le rôle d'un membre (PUT /api/moderation/users/{id}/role, administrateurs).
+/// </summary>
+public class UpdateRoleDto
+{
+    /// <summary>
+    /// Nouveau rôle : "Member", "Moderator" ou "Admin".
+    /// </summary>
+    [Required(ErrorMessage = "Le rôle est requis")]
+    public string Role { get; set; } = string.Empty;
+}
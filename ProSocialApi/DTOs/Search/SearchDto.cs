@@ -0,0 +1,85 @@
+// SEARCHDTO.CS - DTOs de la page de recherche
+// Résultats paginés de GET /api/search/people et GET /api/search/posts.
+// Les termes normalisés de la requête sont renvoyés avec les résultats pour
+// que le client surligne les mots trouvés (sans tenir compte des accents).
+
+namespace ProSocialApi.DTOs.Search;
+
+/// <summary>
+/// Page de résultats d'une recherche.
+/// </summary>
+/// <typeparam name="T">Type des résultats (SearchUserDto ou PostDto)</typeparam>
+public class SearchResultDto<T>
+{
+    /// <summary>
+    /// Résultats de la page demandée.
+    /// </summary>
+    public List<T> Items { get; set; } = new();
+
+    /// <summary>
+    /// Nombre total de résultats, toutes pages confondues.
+    /// Affiché dans l'onglet (ex: "Personnes (12)").
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Numéro de la page (1-based).
+    /// </summary>
+    public int Page { get; set; }
+
+    /// <summary>
+    /// Nombre de résultats par page.
+    /// </summary>
+    public int PageSize { get; set; }
+
+    /// <summary>
+    /// Indique s'il reste des résultats après cette page (bouton "Plus de résultats").
+    /// </summary>
+    public bool HasMore => Page * PageSize < TotalCount;
+
+    /// <summary>
+    /// Termes recherchés, en minuscules et sans accents (ex: "helene", "developpeuse").
+    /// </summary>
+    public List<string> Terms { get; set; } = new();
+}
+
+/// <summary>
+/// Membre trouvé par la recherche.
+/// </summary>
+public class SearchUserDto
+{
+    /// <summary>
+    /// Identifiant du membre (lien vers son profil).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Prénom du membre.
+    /// </summary>
+    public string FirstName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom de famille du membre.
+    /// </summary>
+    public string LastName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom complet (propriété calculée).
+    /// </summary>
+    public string FullName => $"{FirstName} {LastName}";
+
+    /// <summary>
+    /// Titre professionnel du membre.
+    /// </summary>
+    public string? Headline { get; set; }
+
+    /// <summary>
+    /// URL de l'avatar du membre.
+    /// </summary>
+    public string? AvatarUrl { get; set; }
+
+    /// <summary>
+    /// Indique si le membre fait partie des relations de l'utilisateur connecté.
+    /// </summary>
+    public bool IsConnected { get; set; }
+}
@@ -0,0 +1,278 @@
+// PROFILESECTIONSDTO.CS - DTOs des sections du profil
+// Expérience, formation et compétences (avec les recommandations des relations) :
+// lecture (GET /api/users/{id}/sections) et ajout / modification / réordonnancement
+// depuis la page profil (endpoints /api/users/me/...).
+// Les dates sont au mois près : le client envoie le premier jour du mois.
+
+using System.ComponentModel.DataAnnotations;
+
+namespace ProSocialApi.DTOs.Users;
+
+/// <summary>
+/// DTO des sections d'un profil (GET /api/users/{id}/sections), chacune dans l'ordre choisi par le membre.
+/// </summary>
+public class ProfileSectionsDto
+{
+    /// <summary>
+    /// Postes occupés.
+    /// </summary>
+    public List<ExperienceDto> Experiences { get; set; } = new();
+
+    /// <summary>
+    /// Formations suivies.
+    /// </summary>
+    public List<EducationDto> Educations { get; set; } = new();
+
+    /// <summary>
+    /// Compétences et leurs recommandations.
+    /// </summary>
+    public List<SkillDto> Skills { get; set; } = new();
+
+    /// <summary>
+    /// True si le visiteur peut recommander les compétences (relation du membre, pas son propre profil).
+    /// </summary>
+    public bool CanEndorse { get; set; }
+}
+
+/// <summary>
+/// DTO d'un poste de la section "Expérience".
+/// </summary>
+public class ExperienceDto
+{
+    /// <summary>
+    /// Identifiant du poste (modification, suppression, réordonnancement).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Intitulé du poste.
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Entreprise.
+    /// </summary>
+    public string Company { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Début du poste (premier jour du mois).
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Fin du poste, null pour le poste actuel.
+    /// </summary>
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Description des missions.
+    /// </summary>
+    public string? Description { get; set; }
+}
+
+/// <summary>
+/// DTO d'ajout ou de modification d'un poste (POST et PUT /api/users/me/experiences).
+/// </summary>
+public class SaveExperienceDto
+{
+    /// <summary>
+    /// Intitulé du poste.
+    /// </summary>
+    [Required(ErrorMessage = "L'intitulé du poste est requis")]
+    [MaxLength(150)]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Entreprise.
+    /// </summary>
+    [Required(ErrorMessage = "L'entreprise est requise")]
+    [MaxLength(150)]
+    public string Company { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Début du poste (seuls l'année et le mois sont conservés).
+    /// </summary>
+    [Required(ErrorMessage = "La date de début est requise")]
+    public DateTime? StartDate { get; set; }
+
+    /// <summary>
+    /// Fin du poste, null pour le poste actuel.
+    /// </summary>
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Description des missions (optionnel).
+    /// </summary>
+    [MaxLength(2000, ErrorMessage = "La description ne peut pas dépasser 2000 caractères")]
+    public string? Description { get; set; }
+}
+
+/// <summary>
+/// DTO d'une formation de la section "Formation".
+/// </summary>
+public class EducationDto
+{
+    /// <summary>
+    /// Identifiant de la formation (modification, suppression, réordonnancement).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Établissement.
+    /// </summary>
+    public string School { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Diplôme.
+    /// </summary>
+    public string? Degree { get; set; }
+
+    /// <summary>
+    /// Domaine d'études.
+    /// </summary>
+    public string? FieldOfStudy { get; set; }
+
+    /// <summary>
+    /// Début de la formation (premier jour du mois).
+    /// </summary>
+    public DateTime? StartDate { get; set; }
+
+    /// <summary>
+    /// Fin de la formation (premier jour du mois).
+    /// </summary>
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Description.
+    /// </summary>
+    public string? Description { get; set; }
+}
+
+/// <summary>
+/// DTO d'ajout ou de modification d'une formation (POST et PUT /api/users/me/educations).
+/// </summary>
+public class SaveEducationDto
+{
+    /// <summary>
+    /// Établissement.
+    /// </summary>
+    [Required(ErrorMessage = "L'établissement est requis")]
+    [MaxLength(150)]
+    public string School { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Diplôme (optionnel).
+    /// </summary>
+    [MaxLength(150)]
+    public string? Degree { get; set; }
+
+    /// <summary>
+    /// Domaine d'études (optionnel).
+    /// </summary>
+    [MaxLength(150)]
+    public string? FieldOfStudy { get; set; }
+
+    /// <summary>
+    /// Début de la formation (optionnel, seuls l'année et le mois sont conservés).
+    /// </summary>
+    public DateTime? StartDate { get; set; }
+
+    /// <summary>
+    /// Fin de la formation (optionnel, peut être une date prévue).
+    /// </summary>
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Description (optionnel).
+    /// </summary>
+    [MaxLength(2000, ErrorMessage = "La description ne peut pas dépasser 2000 caractères")]
+    public string? Description { get; set; }
+}
+
+/// <summary>
+/// DTO d'une compétence de la section "Compétences".
+/// </summary>
+public class SkillDto
+{
+    /// <summary>
+    /// Identifiant de la compétence.
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Nom de la compétence.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nombre de recommandations reçues.
+    /// </summary>
+    public int EndorsementsCount { get; set; }
+
+    /// <summary>
+    /// True si le visiteur a déjà recommandé cette compétence.
+    /// </summary>
+    public bool IsEndorsedByCurrentUser { get; set; }
+
+    /// <summary>
+    /// Dernières relations ayant recommandé la compétence (3 au plus, sans les membres bloqués).
+    /// </summary>
+    public List<SkillEndorserDto> Endorsers { get; set; } = new();
+}
+
+/// <summary>
+/// DTO d'ajout ou de renommage d'une compétence (POST et PUT /api/users/me/skills).
+/// </summary>
+public class SaveSkillDto
+{
+    /// <summary>
+    /// Nom de la compétence.
+    /// </summary>
+    [Required(ErrorMessage = "Le nom de la compétence est requis")]
+    [MaxLength(80, ErrorMessage = "Le nom de la compétence ne peut pas dépasser 80 caractères")]
+    public string Name { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Membre ayant recommandé une compétence.
+/// </summary>
+public class SkillEndorserDto
+{
+    /// <summary>
+    /// Identifiant du membre (lien vers son profil).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Prénom du membre.
+    /// </summary>
+    public string FirstName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom de famille du membre.
+    /// </summary>
+    public string LastName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom complet (propriété calculée).
+    /// </summary>
+    public string FullName => $"{FirstName} {LastName}";
+
+    /// <summary>
+    /// URL de l'avatar du membre.
+    /// </summary>
+    public string? AvatarUrl { get; set; }
+}
+
+/// <summary>
+/// DTO du réordonnancement d'une section (PUT /api/users/me/{section}/order) :
+/// tous les éléments de la section, dans le nouvel ordre.
+/// </summary>
+public class ReorderSectionDto
+{
+    /// <summary>
+    /// Identifiants des éléments, du premier au dernier.
+    /// </summary>
+    [Required]
+    public List<Guid> Ids { get; set; } = new();
+}
@@ -0,0 +1,46 @@
+// RESTRICTEDUSERDTO.CS - DTO des membres bloqués ou masqués
+// Utilisé par la section "Personnes bloquées" de la page profil
+// (GET /api/blocks et GET /api/blocks/muted).
+
+namespace ProSocialApi.DTOs.Users;
+
+/// <summary>
+/// DTO représentant un membre bloqué ou masqué par l'utilisateur connecté.
+/// </summary>
+public class RestrictedUserDto
+{
+    /// <summary>
+    /// Identifiant du membre (pour débloquer ou ne plus masquer).
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Prénom du membre.
+    /// </summary>
+    public string FirstName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom de famille du membre.
+    /// </summary>
+    public string LastName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nom complet (propriété calculée).
+    /// </summary>
+    public string FullName => $"{FirstName} {LastName}";
+
+    /// <summary>
+    /// Titre professionnel du membre.
+    /// </summary>
+    public string? Headline { get; set; }
+
+    /// <summary>
+    /// URL de l'avatar du membre.
+    /// </summary>
+    public string? AvatarUrl { get; set; }
+
+    /// <summary>
+    /// Date du blocage ou du masquage.
+    /// </summary>
+    public DateTime Since { get; set; }
+}
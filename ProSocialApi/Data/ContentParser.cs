@@ -0,0 +1,96 @@
+// CONTENTPARSER.CS - Hashtags et mentions dans le contenu des posts et commentaires
+// Le contenu est stocké tel que saisi ("Bravo @Marie Martin ! #recrutement").
+// Les hashtags en sont extraits à l'enregistrement (table post_hashtags) et les
+// mentions choisies dans l'autocomplétion sont vérifiées contre ce texte.
+// Le client applique les mêmes règles à l'affichage (voir posts.js, formatContentHtml).
+//
+// Utilisation : ContentParser.ExtractHashtags(contenu), ContentParser.ContainsMention(contenu, prénom, nom)
+
+using System.Text.RegularExpressions;
+
+namespace ProSocialApi.Data;
+
+/// <summary>
+/// Analyse du contenu : hashtags (#tag) et mentions (@Prénom Nom).
+/// </summary>
+public static class ContentParser
+{
+    /// <summary>
+    /// Nombre maximum de membres mentionnés par post ou commentaire.
+    /// </summary>
+    public const int MaxMentions = 20;
+
+    /// <summary>
+    /// Longueur maximale d'un hashtag (sans le "#").
+    /// </summary>
+    public const int MaxHashtagLength = 50;
+
+    // "#" précédé d'un début de texte ou d'un séparateur (pas "C#", "page#ancre" ni "&#39;"),
+    // suivi de lettres, chiffres ou "_"
+    private static readonly Regex HashtagRegex = new(
+        @"(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_]{1," + MaxHashtagLength + @"})(?![\p{L}\p{N}_])",
+        RegexOptions.Compiled);
+
+    // Liens http(s) : leur "#ancre" n'est pas un hashtag (même règle que linkifyText côté client)
+    private static readonly Regex UrlRegex = new(@"https?://[^\s<>""']+",
+        RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    /// <summary>
+    /// Extrait les hashtags du contenu, normalisés (minuscules, sans accents) et sans doublons.
+    /// Un hashtag doit contenir au moins une lettre (#2024 n'en est pas un).
+    /// Les liens sont ignorés (https://exemple.com/page#section).
+    /// </summary>
+    /// <param name="content">Contenu du post</param>
+    /// <returns>Hashtags sans le "#" (liste vide si aucun)</returns>
+    public static List<string> ExtractHashtags(string? content)
+    {
+        if (string.IsNullOrEmpty(content))
+            return new List<string>();
+
+        return HashtagRegex.Matches(UrlRegex.Replace(content, " "))
+            .Select(m => SearchNormalizer.Normalize(m.Groups[1].Value))
+            .Where(tag => tag.Length <= MaxHashtagLength && tag.Any(char.IsLetter))
+            .Distinct()
+            .ToList();
+    }
+
+    /// <summary>
+    /// Normalise un hashtag reçu dans une URL (/Home/Tag/Développement → "developpement").
+    /// </summary>
+    /// <param name="tag">Hashtag, avec ou sans "#"</param>
+    /// <returns>Hashtag normalisé, null s'il n'est pas valide</returns>
+    public static string? NormalizeHashtag(string? tag)
+    {
+        var normalized = SearchNormalizer.Normalize(tag?.TrimStart('#'));
+
+        if (normalized.Length == 0 || normalized.Length > MaxHashtagLength
+            || !normalized.All(c => char.IsLetterOrDigit(c) || c == '_'))
+            return null;
+
+        return normalized;
+    }
+
+    /// <summary>
+    /// Indique si le contenu mentionne le membre ("@Prénom Nom", sans tenir compte de la casse).
+    /// La mention ne doit pas être suivie d'une lettre ("@Marie Martine" ne mentionne pas Marie Martin).
+    /// </summary>
+    /// <param name="content">Contenu du post ou commentaire</param>
+    /// <param name="firstName">Prénom du membre</param>
+    /// <param name="lastName">Nom du membre</param>
+    public static bool ContainsMention(string content, string firstName, string lastName)
+    {
+        var mention = $"@{firstName} {lastName}";
+        var index = content.IndexOf(mention, StringComparison.OrdinalIgnoreCase);
+
+        while (index >= 0)
+        {
+            var end = index + mention.Length;
+            if (end == content.Length || !char.IsLetterOrDigit(content[end]))
+                return true;
+
+            index = content.IndexOf(mention, index + 1, StringComparison.OrdinalIgnoreCase);
+        }
+
+        return false;
+    }
+}
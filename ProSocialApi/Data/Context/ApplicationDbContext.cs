@@ -5,6 +5,7 @@
 // - Les relations entre entités (Fluent API)
 // - Les contraintes d'unicité et index
 // - La mise à jour automatique des timestamps
+// - Le calcul du texte de recherche (search_text) des membres et publications
 
 using Microsoft.EntityFrameworkCore;
 using ProSocialApi.Data.Entities;
@@ -59,6 +60,71 @@ public class ApplicationDbContext : DbContext
     /// </summary>
     public DbSet<Like> Likes { get; set; }
 
+    /// <summary>
+    /// Table des suggestions ignorées - Membres à ne plus suggérer à un utilisateur.
+    /// </summary>
+    public DbSet<DismissedSuggestion> DismissedSuggestions { get; set; }
+
+    /// <summary>
+    /// Table des blocages - Membres bloqués par un utilisateur.
+    /// </summary>
+    public DbSet<UserBlock> UserBlocks { get; set; }
+
+    /// <summary>
+    /// Table des masquages - Membres dont les posts sont masqués du feed d'un utilisateur.
+    /// </summary>
+    public DbSet<UserMute> UserMutes { get; set; }
+
+    /// <summary>
+    /// Table des signalements - Contenus signalés à la modération.
+    /// </summary>
+    public DbSet<Report> Reports { get; set; }
+
+    /// <summary>
+    /// Table des mentions - Membres mentionnés dans les posts et commentaires.
+    /// </summary>
+    public DbSet<Mention> Mentions { get; set; }
+
+    /// <summary>
+    /// Table des hashtags - Hashtags extraits du contenu des posts.
+    /// </summary>
+    public DbSet<PostHashtag> PostHashtags { get; set; }
+
+    /// <summary>
+    /// Table des posts enregistrés - Posts gardés par les membres (page "Enregistrés").
+    /// </summary>
+    public DbSet<SavedPost> SavedPosts { get; set; }
+
+    /// <summary>
+    /// Table des sessions - Appareils connectés et hash de leur refresh token.
+    /// </summary>
+    public DbSet<UserSession> UserSessions { get; set; }
+
+    /// <summary>
+    /// Table des codes de secours - Hash des codes à usage unique de la double authentification.
+    /// </summary>
+    public DbSet<RecoveryCode> RecoveryCodes { get; set; }
+
+    /// <summary>
+    /// Table des expériences - Postes affichés sur les profils.
+    /// </summary>
+    public DbSet<Experience> Experiences { get; set; }
+
+    /// <summary>
+    /// Table des formations - Formations affichées sur les profils.
+    /// </summary>
+    public DbSet<Education> Educations { get; set; }
+
+    /// <summary>
+    /// Table des compétences - Compétences affichées sur les profils.
+    /// </summary>
+    public DbSet<Skill> Skills { get; set; }
+
+    /// <summary>
+    /// Table des recommandations - Compétences recommandées par les relations du membre.
+    /// </summary>
+    public DbSet<SkillEndorsement> SkillEndorsements { get; set; }
+
     // CONFIGURATION DU MODÈLE (Fluent API)
     // OnModelCreating est appelé lors de la création du modèle EF Core.
     // On y configure les relations, index, et contraintes qui ne peuvent
@@ -78,6 +144,11 @@ public class ApplicationDbContext : DbContext
             // Index unique sur l'email - Un email ne peut être utilisé qu'une fois
             // Cela garantit qu'on ne peut pas créer deux comptes avec le même email
             entity.HasIndex(e => e.Email).IsUnique();
+
+            // Stocke le rôle comme string ("Member", "Moderator", "Admin")
+            // Les comptes existants reçoivent "Member" (voir SchemaUpdater)
+            entity.Property(e => e.Role)
+                .HasConversion<string>();
         });
         // CONFIGURATION DE L'ENTITÉ CONNECTION
         // Les connexions sont une relation many-to-many auto-référencée sur User.
@@ -119,6 +190,13 @@ public class ApplicationDbContext : DbContext
                 .WithMany(u => u.Posts)
                 .HasForeignKey(p => p.AuthorId)
                 .OnDelete(DeleteBehavior.Cascade);
+
+            // Relation : Post.SharedPost -> Post (la publication partagée)
+            // SetNull : supprimer l'original garde les partages, qui affichent "publication supprimée"
+            entity.HasOne(p => p.SharedPost)
+                .WithMany(p => p.Shares)
+                .HasForeignKey(p => p.SharedPostId)
+                .OnDelete(DeleteBehavior.SetNull);
         });
         // CONFIGURATION DE L'ENTITÉ COMMENT
         modelBuilder.Entity<Comment>(entity =>
@@ -137,6 +215,14 @@ public class ApplicationDbContext : DbContext
                 .WithMany(p => p.Comments)
                 .HasForeignKey(c => c.PostId)
                 .OnDelete(DeleteBehavior.Cascade);
+
+            // Relation : Comment.Parent -> Comment (réponse à un commentaire)
+            // Un parent avec des réponses n'est pas supprimé physiquement (IsDeleted),
+            // la cascade ne sert qu'à la suppression du post entier
+            entity.HasOne(c => c.Parent)
+                .WithMany(c => c.Replies)
+                .HasForeignKey(c => c.ParentId)
+                .OnDelete(DeleteBehavior.Cascade);
         });
         // CONFIGURATION DE L'ENTITÉ LIKE
         modelBuilder.Entity<Like>(entity =>
@@ -145,6 +231,11 @@ public class ApplicationDbContext : DbContext
             // Empêche de liker plusieurs fois le même post
             entity.HasIndex(e => new { e.UserId, e.PostId }).IsUnique();
 
+            // Stocke le type de réaction comme string ("Like", "Celebrate"...)
+            // Les likes existants reçoivent "Like" (voir SchemaUpdater)
+            entity.Property(e => e.Type)
+                .HasConversion<string>();
+
             // Relation : Like.User -> User (celui qui like)
             // Un User peut avoir plusieurs Likes (sur différents posts)
             entity.HasOne(l => l.User)
@@ -159,6 +250,204 @@ public class ApplicationDbContext : DbContext
                 .HasForeignKey(l => l.PostId)
                 .OnDelete(DeleteBehavior.Cascade);
         });
+        // CONFIGURATION DE L'ENTITÉ DISMISSEDSUGGESTION
+        modelBuilder.Entity<DismissedSuggestion>(entity =>
+        {
+            // Index composite unique : un membre n'est ignoré qu'une fois par utilisateur
+            entity.HasIndex(e => new { e.UserId, e.DismissedUserId }).IsUnique();
+
+            // Cascade des deux côtés : la suppression de l'un des comptes efface l'entrée
+            entity.HasOne(d => d.User)
+                .WithMany()
+                .HasForeignKey(d => d.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(d => d.DismissedUser)
+                .WithMany()
+                .HasForeignKey(d => d.DismissedUserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+        // CONFIGURATION DES ENTITÉS USERBLOCK ET USERMUTE
+        // Même structure que DismissedSuggestion : une entrée unique par couple
+        modelBuilder.Entity<UserBlock>(entity =>
+        {
+            entity.HasIndex(e => new { e.UserId, e.BlockedUserId }).IsUnique();
+
+            entity.HasOne(b => b.User)
+                .WithMany()
+                .HasForeignKey(b => b.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(b => b.BlockedUser)
+                .WithMany()
+                .HasForeignKey(b => b.BlockedUserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+        modelBuilder.Entity<UserMute>(entity =>
+        {
+            entity.HasIndex(e => new { e.UserId, e.MutedUserId }).IsUnique();
+
+            entity.HasOne(m => m.User)
+                .WithMany()
+                .HasForeignKey(m => m.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(m => m.MutedUser)
+                .WithMany()
+                .HasForeignKey(m => m.MutedUserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+        // CONFIGURATION DE L'ENTITÉ REPORT
+        modelBuilder.Entity<Report>(entity =>
+        {
+            // Index pour la file de modération : signalements ouverts regroupés par cible
+            entity.HasIndex(e => new { e.Status, e.TargetType, e.TargetId });
+
+            // Type, motif et statut stockés comme string, comme ConnectionStatus
+            entity.Property(e => e.TargetType).HasConversion<string>();
+            entity.Property(e => e.Reason).HasConversion<string>();
+            entity.Property(e => e.Status).HasConversion<string>();
+
+            // Cascade des deux côtés : la suppression de l'un des comptes efface le signalement
+            entity.HasOne(r => r.Reporter)
+                .WithMany()
+                .HasForeignKey(r => r.ReporterId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(r => r.TargetAuthor)
+                .WithMany()
+                .HasForeignKey(r => r.TargetAuthorId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+        // CONFIGURATION DE L'ENTITÉ MENTION
+        modelBuilder.Entity<Mention>(entity =>
+        {
+            // Les mentions disparaissent avec le membre, le post ou le commentaire
+            entity.HasOne(m => m.MentionedUser)
+                .WithMany()
+                .HasForeignKey(m => m.MentionedUserId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(m => m.Post)
+                .WithMany(p => p.Mentions)
+                .HasForeignKey(m => m.PostId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(m => m.Comment)
+                .WithMany(c => c.Mentions)
+                .HasForeignKey(m => m.CommentId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+        // CONFIGURATION DE L'ENTITÉ POSTHASHTAG
+        modelBuilder.Entity<PostHashtag>(entity =>
+        {
+            // Un hashtag n'est compté qu'une fois par post
+            entity.HasIndex(e => new { e.PostId, e.Tag }).IsUnique();
+
+            // Index pour la page d'un hashtag et les tendances
+            entity.HasIndex(e => e.Tag);
+
+            entity.HasOne(h => h.Post)
+                .WithMany(p => p.Hashtags)
+                .HasForeignKey(h => h.PostId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+        // CONFIGURATION DE L'ENTITÉ SAVEDPOST
+        modelBuilder.Entity<SavedPost>(entity =>
+        {
+            // Index composite unique : un post n'est enregistré qu'une fois par membre
+            // (sert aussi à lister les posts enregistrés d'un membre)
+            entity.HasIndex(e => new { e.UserId, e.PostId }).IsUnique();
+
+            // Cascade des deux côtés : l'enregistrement disparaît avec le compte ou le post
+            entity.HasOne(s => s.User)
+                .WithMany()
+                .HasForeignKey(s => s.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(s => s.Post)
+                .WithMany(p => p.Saves)
+                .HasForeignKey(s => s.PostId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        // CONFIGURATION DE L'ENTITÉ USERSESSION
+        modelBuilder.Entity<UserSession>(entity =>
+        {
+            // Recherche de la session à partir du refresh token présenté
+            entity.HasIndex(e => e.RefreshTokenHash).IsUnique();
+            entity.HasIndex(e => e.PreviousRefreshTokenHash);
+
+            // Deux renouvellements simultanés avec le même token : seule la première rotation est enregistrée
+            entity.Property(e => e.RefreshTokenHash).IsConcurrencyToken();
+
+            // Les sessions disparaissent avec le compte
+            entity.HasOne(s => s.User)
+                .WithMany()
+                .HasForeignKey(s => s.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        // CONFIGURATION DE L'ENTITÉ RECOVERYCODE
+        modelBuilder.Entity<RecoveryCode>(entity =>
+        {
+            // Recherche du code saisi parmi ceux du membre
+            entity.HasIndex(e => new { e.UserId, e.CodeHash }).IsUnique();
+
+            entity.HasOne(r => r.User)
+                .WithMany()
+                .HasForeignKey(r => r.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        // CONFIGURATION DES SECTIONS DU PROFIL
+        // Chaque section est listée dans l'ordre choisi par le membre (index UserId + SortOrder)
+        modelBuilder.Entity<Experience>(entity =>
+        {
+            entity.HasIndex(e => new { e.UserId, e.SortOrder });
+
+            entity.HasOne(e => e.User)
+                .WithMany()
+                .HasForeignKey(e => e.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<Education>(entity =>
+        {
+            entity.HasIndex(e => new { e.UserId, e.SortOrder });
+
+            entity.HasOne(e => e.User)
+                .WithMany()
+                .HasForeignKey(e => e.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<Skill>(entity =>
+        {
+            entity.HasIndex(e => new { e.UserId, e.SortOrder });
+
+            entity.HasOne(s => s.User)
+                .WithMany()
+                .HasForeignKey(s => s.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<SkillEndorsement>(entity =>
+        {
+            // Index composite unique : une relation ne recommande qu'une fois une compétence
+            entity.HasIndex(e => new { e.SkillId, e.EndorserId }).IsUnique();
+
+            // Cascade des deux côtés : la recommandation disparaît avec la compétence ou le compte de son auteur
+            entity.HasOne(e => e.Skill)
+                .WithMany(s => s.Endorsements)
+                .HasForeignKey(e => e.SkillId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(e => e.Endorser)
+                .WithMany()
+                .HasForeignKey(e => e.EndorserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
     }
 
     // Mise à jour automatique des timestamps
@@ -172,6 +461,7 @@ public class ApplicationDbContext : DbContext
     public override int SaveChanges()
     {
         UpdateTimestamps();
+        UpdateSearchText();
         return base.SaveChanges();
     }
 
@@ -184,6 +474,7 @@ public class ApplicationDbContext : DbContext
     public override Task<int> SaveChangesAsync(CancellationToken cancellationToken = default)
     {
         UpdateTimestamps();
+        UpdateSearchText();
         return base.SaveChangesAsync(cancellationToken);
     }
 
@@ -212,4 +503,23 @@ public class ApplicationDbContext : DbContext
             // Note : Like n'a pas de UpdatedAt car un like ne se modifie pas
         }
     }
+
+    /// <summary>
+    /// Recalcule le texte de recherche des membres et publications créés ou modifiés.
+    /// Le texte est normalisé (minuscules, sans accents) pour que la recherche
+    /// ignore les accents quel que soit le provider (voir SearchNormalizer).
+    /// </summary>
+    private void UpdateSearchText()
+    {
+        var entries = ChangeTracker.Entries()
+            .Where(e => e.State == EntityState.Added || e.State == EntityState.Modified);
+
+        foreach (var entry in entries)
+        {
+            if (entry.Entity is User user)
+                user.SearchText = SearchNormalizer.Normalize($"{user.FirstName} {user.LastName} {user.Headline}");
+            else if (entry.Entity is Post post)
+                post.SearchText = SearchNormalizer.Normalize(post.Content);
+        }
+    }
 }
@@ -136,6 +136,9 @@ public static class DataSeeder
             }
         };
 
+        // Comptes de démonstration : adresses fictives considérées comme confirmées
+        users.ForEach(u => u.EmailVerifiedAt = u.CreatedAt);
+
         // Insertion en base avec sauvegarde
         await context.Users.AddRangeAsync(users);
         await context.SaveChangesAsync();
@@ -385,8 +388,8 @@ public static class DataSeeder
 
             // Likes sur le post de Noël - 3 likes (post populaire)
             new Like { PostId = posts[4].Id, UserId = users[0].Id }, // Gérard like
-            new Like { PostId = posts[4].Id, UserId = users[1].Id }, // François like
-            new Like { PostId = posts[4].Id, UserId = users[4].Id }, // Dolores like
+            new Like { PostId = posts[4].Id, UserId = users[1].Id, Type = ReactionType.Funny }, // François trouve ça drôle
+            new Like { PostId = posts[4].Id, UserId = users[4].Id, Type = ReactionType.Insightful }, // Dolores trouve ça intéressant
 
             // Likes sur le post de Dolores - 4 likes
             new Like { PostId = posts[5].Id, UserId = users[0].Id }, // Gérard like
@@ -396,8 +399,8 @@ public static class DataSeeder
 
             // Likes sur le post de Jason - 5 likes (post le plus populaire)
             new Like { PostId = posts[6].Id, UserId = users[0].Id }, // Gérard like
-            new Like { PostId = posts[6].Id, UserId = users[1].Id }, // François like
-            new Like { PostId = posts[6].Id, UserId = users[2].Id }, // Yael like
+            new Like { PostId = posts[6].Id, UserId = users[1].Id, Type = ReactionType.Celebrate }, // François dit bravo
+            new Like { PostId = posts[6].Id, UserId = users[2].Id, Type = ReactionType.Love }, // Yael adore
             new Like { PostId = posts[6].Id, UserId = users[3].Id }, // Noël like
             new Like { PostId = posts[6].Id, UserId = users[4].Id }  // Dolores like
         };
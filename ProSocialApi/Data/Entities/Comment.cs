@@ -7,8 +7,9 @@ namespace ProSocialApi.Data.Entities;
 
 /// <summary>
 /// Entité Comment - Représente un commentaire sur un post.
-/// Relations : Un auteur (User), un post parent (Post).
+/// Relations : Un auteur (User), un post parent (Post), un commentaire parent optionnel.
 /// Un utilisateur peut commenter plusieurs posts, et un post peut avoir plusieurs commentaires.
+/// Les réponses ne sont possibles que sur un seul niveau (pas de réponse à une réponse).
 /// </summary>
 [Table("comments")] // Nom de la table en base de données
 public class Comment
@@ -49,6 +50,21 @@ public class Comment
     [Column("post_id")]
     public Guid PostId { get; set; }
 
+    /// <summary>
+    /// ID du commentaire auquel celui-ci répond (null pour un commentaire de premier niveau).
+    /// Clé étrangère vers la table Comments (auto-référence).
+    /// </summary>
+    [Column("parent_id")]
+    public Guid? ParentId { get; set; }
+
+    /// <summary>
+    /// Indique que le commentaire a été supprimé alors qu'il avait des réponses.
+    /// Il est conservé (contenu vidé) pour ne pas perdre le fil des réponses,
+    /// et affiché comme "commentaire supprimé".
+    /// </summary>
+    [Column("is_deleted")]
+    public bool IsDeleted { get; set; } = false;
+
     // PROPRIÉTÉS DE TRACKING
     /// <summary>
     /// Date et heure de création du commentaire.
@@ -79,4 +95,20 @@ public class Comment
     /// </summary>
     [ForeignKey("PostId")]
     public virtual Post Post { get; set; } = null!;
+
+    /// <summary>
+    /// Commentaire parent - Null pour un commentaire de premier niveau.
+    /// </summary>
+    [ForeignKey("ParentId")]
+    public virtual Comment? Parent { get; set; }
+
+    /// <summary>
+    /// Réponses à ce commentaire (un seul niveau d'imbrication).
+    /// </summary>
+    public virtual ICollection<Comment> Replies { get; set; } = new List<Comment>();
+
+    /// <summary>
+    /// Membres mentionnés dans le commentaire (@Prénom Nom).
+    /// </summary>
+    public virtual ICollection<Mention> Mentions { get; set; } = new List<Mention>();
 }
@@ -0,0 +1,58 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// DISMISSEDSUGGESTION.CS
+
+/// <summary>
+/// Entité DismissedSuggestion - Suggestion de connexion ignorée par un utilisateur.
+/// Le membre ignoré n'est plus jamais proposé à cet utilisateur dans ses suggestions.
+/// La relation est directionnelle : l'autre membre peut toujours voir l'utilisateur suggéré.
+/// </summary>
+[Table("dismissed_suggestions")] // Nom de la table en base de données
+public class DismissedSuggestion
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID de l'utilisateur qui a ignoré la suggestion.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// ID du membre qui ne doit plus être suggéré.
+    /// </summary>
+    [Required]
+    [Column("dismissed_user_id")]
+    public Guid DismissedUserId { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date à laquelle la suggestion a été ignorée.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Utilisateur qui a ignoré la suggestion.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Membre ignoré.
+    /// </summary>
+    [ForeignKey("DismissedUserId")]
+    public virtual User DismissedUser { get; set; } = null!;
+}
@@ -0,0 +1,92 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// EDUCATION.CS
+
+/// <summary>
+/// Entité Education - Formation suivie par un membre (section "Formation" du profil).
+/// Seul l'établissement est obligatoire ; les dates sont au mois près (premier jour du mois).
+/// L'ordre d'affichage est choisi par le membre (SortOrder).
+/// </summary>
+[Table("educations")] // Nom de la table en base de données
+public class Education
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    // CONTENU
+    /// <summary>
+    /// Établissement (école, université...).
+    /// </summary>
+    [Required]
+    [Column("school")]
+    [MaxLength(150)]
+    public string School { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Diplôme (ex: "Master"), optionnel.
+    /// </summary>
+    [Column("degree")]
+    [MaxLength(150)]
+    public string? Degree { get; set; }
+
+    /// <summary>
+    /// Domaine d'études (ex: "Informatique"), optionnel.
+    /// </summary>
+    [Column("field_of_study")]
+    [MaxLength(150)]
+    public string? FieldOfStudy { get; set; }
+
+    /// <summary>
+    /// Début de la formation (premier jour du mois), optionnel.
+    /// </summary>
+    [Column("start_date")]
+    public DateTime? StartDate { get; set; }
+
+    /// <summary>
+    /// Fin de la formation (premier jour du mois), optionnel - peut être une date prévue.
+    /// </summary>
+    [Column("end_date")]
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Description (optionnel, sans limite de longueur).
+    /// </summary>
+    [Column("description")]
+    public string? Description { get; set; }
+
+    /// <summary>
+    /// Position dans la section (0 = en haut).
+    /// </summary>
+    [Column("sort_order")]
+    public int SortOrder { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date d'ajout au profil.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+}
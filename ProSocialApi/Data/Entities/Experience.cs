@@ -0,0 +1,86 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// EXPERIENCE.CS
+
+/// <summary>
+/// Entité Experience - Poste occupé par un membre (section "Expérience" du profil).
+/// Les dates sont au mois près (premier jour du mois) ; sans date de fin, c'est le poste actuel.
+/// L'ordre d'affichage est choisi par le membre (SortOrder).
+/// </summary>
+[Table("experiences")] // Nom de la table en base de données
+public class Experience
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    // CONTENU
+    /// <summary>
+    /// Intitulé du poste (ex: "Développeur Full Stack").
+    /// </summary>
+    [Required]
+    [Column("title")]
+    [MaxLength(150)]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Entreprise.
+    /// </summary>
+    [Required]
+    [Column("company")]
+    [MaxLength(150)]
+    public string Company { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Début du poste (premier jour du mois).
+    /// </summary>
+    [Column("start_date")]
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Fin du poste (premier jour du mois), null pour le poste actuel.
+    /// </summary>
+    [Column("end_date")]
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Description des missions (optionnel, sans limite de longueur).
+    /// </summary>
+    [Column("description")]
+    public string? Description { get; set; }
+
+    /// <summary>
+    /// Position dans la section (0 = en haut).
+    /// </summary>
+    [Column("sort_order")]
+    public int SortOrder { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date d'ajout au profil.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+}
@@ -6,10 +6,25 @@ namespace ProSocialApi.Data.Entities;
 // LIKE.CS
 
 /// <summary>
-/// Entité Like - Représente un "j'aime" donné par un utilisateur à un post.
+/// Types de réactions possibles sur un post.
+/// Like est la réaction par défaut (les likes existants avant l'ajout des réactions).
+/// Libellés affichés : J'aime, Bravo, Soutien, Intéressant, Drôle, J'adore.
+/// </summary>
+public enum ReactionType
+{
+    Like,
+    Celebrate,
+    Support,
+    Insightful,
+    Funny,
+    Love
+}
+
+/// <summary>
+/// Entité Like - Représente une réaction ("j'aime", "bravo"...) d'un utilisateur à un post.
 /// Table de jonction entre Users et Posts avec contrainte d'unicité.
-/// Un utilisateur peut liker plusieurs posts, un post peut avoir plusieurs likes,
-/// mais un utilisateur ne peut liker qu'une seule fois un même post.
+/// Un utilisateur peut réagir à plusieurs posts, un post peut avoir plusieurs réactions,
+/// mais un utilisateur n'a qu'une seule réaction sur un même post (il peut en changer).
 /// </summary>
 [Table("likes")] // Nom de la table en base de données
 public class Like
@@ -42,11 +57,20 @@ public class Like
     [Column("post_id")]
     public Guid PostId { get; set; }
 
+    /// <summary>
+    /// Type de réaction. Stocké en texte ("Like", "Celebrate"...).
+    /// Les lignes antérieures aux réactions prennent la valeur par défaut Like.
+    /// </summary>
+    [Required]
+    [Column("type")]
+    [MaxLength(20)]
+    public ReactionType Type { get; set; } = ReactionType.Like;
+
     // PROPRIÉTÉS DE TRACKING
     /// <summary>
     /// Date et heure à laquelle le like a été donné.
     /// Utile pour les statistiques et l'ordre chronologique.
-    /// Note : Pas de UpdatedAt car un like n'est jamais modifié, seulement créé ou supprimé.
+    /// Note : Pas de UpdatedAt, seul le type de réaction peut changer.
     /// </summary>
     [Column("created_at")]
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
@@ -0,0 +1,70 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// MENTION.CS
+
+/// <summary>
+/// Entité Mention - Membre mentionné (@Prénom Nom) dans un post ou un commentaire.
+/// Le contenu garde le texte "@Prénom Nom" ; la mention relie ce texte au membre
+/// pour l'afficher comme lien vers son profil.
+/// Exactement l'une des deux clés PostId / CommentId est renseignée.
+/// </summary>
+[Table("mentions")] // Nom de la table en base de données
+public class Mention
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre mentionné.
+    /// </summary>
+    [Required]
+    [Column("mentioned_user_id")]
+    public Guid MentionedUserId { get; set; }
+
+    /// <summary>
+    /// ID du post contenant la mention (null pour une mention dans un commentaire).
+    /// </summary>
+    [Column("post_id")]
+    public Guid? PostId { get; set; }
+
+    /// <summary>
+    /// ID du commentaire contenant la mention (null pour une mention dans un post).
+    /// </summary>
+    [Column("comment_id")]
+    public Guid? CommentId { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date de la mention.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre mentionné.
+    /// </summary>
+    [ForeignKey("MentionedUserId")]
+    public virtual User MentionedUser { get; set; } = null!;
+
+    /// <summary>
+    /// Post contenant la mention.
+    /// </summary>
+    [ForeignKey("PostId")]
+    public virtual Post? Post { get; set; }
+
+    /// <summary>
+    /// Commentaire contenant la mention.
+    /// </summary>
+    [ForeignKey("CommentId")]
+    public virtual Comment? Comment { get; set; }
+}
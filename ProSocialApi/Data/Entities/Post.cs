@@ -41,6 +41,13 @@ public class Post
     [MaxLength(500)]
     public string? ImageUrl { get; set; }
 
+    /// <summary>
+    /// Texte de recherche : contenu en minuscules et sans accents.
+    /// Recalculé par le DbContext lors de SaveChanges() (voir SearchNormalizer).
+    /// </summary>
+    [Column("search_text")]
+    public string SearchText { get; set; } = string.Empty;
+
     // CLÉ ÉTRANGÈRE - Auteur du post
     /// <summary>
     /// ID de l'utilisateur qui a créé ce post.
@@ -50,6 +57,22 @@ public class Post
     [Column("author_id")]
     public Guid AuthorId { get; set; }
 
+    // PARTAGE
+    /// <summary>
+    /// Indique si le post est un partage d'une autre publication.
+    /// Reste vrai après la suppression de l'original (affiché "publication supprimée").
+    /// </summary>
+    [Column("is_share")]
+    public bool IsShare { get; set; }
+
+    /// <summary>
+    /// ID de la publication partagée (null si le post n'est pas un partage
+    /// ou si l'original a été supprimé).
+    /// Pour un partage, Content contient le commentaire optionnel du membre.
+    /// </summary>
+    [Column("shared_post_id")]
+    public Guid? SharedPostId { get; set; }
+
     // PROPRIÉTÉS DE TRACKING (Audit)
     /// <summary>
     /// Date et heure de création du post.
@@ -73,6 +96,17 @@ public class Post
     [ForeignKey("AuthorId")]
     public virtual User Author { get; set; } = null!;
 
+    /// <summary>
+    /// Publication partagée (affichée dans le partage).
+    /// </summary>
+    [ForeignKey("SharedPostId")]
+    public virtual Post? SharedPost { get; set; }
+
+    /// <summary>
+    /// Partages de ce post (compteur de partages).
+    /// </summary>
+    public virtual ICollection<Post> Shares { get; set; } = new List<Post>();
+
     /// <summary>
     /// Collection des commentaires sur ce post.
     /// Relation One-to-Many : Un post peut avoir plusieurs commentaires.
@@ -86,6 +120,21 @@ public class Post
     /// </summary>
     public virtual ICollection<Like> Likes { get; set; } = new List<Like>();
 
+    /// <summary>
+    /// Membres mentionnés dans le post (@Prénom Nom).
+    /// </summary>
+    public virtual ICollection<Mention> Mentions { get; set; } = new List<Mention>();
+
+    /// <summary>
+    /// Hashtags présents dans le post.
+    /// </summary>
+    public virtual ICollection<PostHashtag> Hashtags { get; set; } = new List<PostHashtag>();
+
+    /// <summary>
+    /// Enregistrements du post par les membres (page "Enregistrés").
+    /// </summary>
+    public virtual ICollection<SavedPost> Saves { get; set; } = new List<SavedPost>();
+
     // PROPRIÉTÉS CALCULÉES (Non mappées en BDD)
     // Ces propriétés sont calculées à partir des collections de navigation.
     // [NotMapped] indique à EF Core de ne pas créer de colonne pour ces propriétés.
@@ -0,0 +1,48 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// POSTHASHTAG.CS
+
+/// <summary>
+/// Entité PostHashtag - Hashtag (#tag) présent dans un post.
+/// Extrait du contenu à chaque enregistrement du post ; sert à la page
+/// d'un hashtag et au widget "Tendances" du feed.
+/// </summary>
+[Table("post_hashtags")] // Nom de la table en base de données
+public class PostHashtag
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du post contenant le hashtag.
+    /// </summary>
+    [Required]
+    [Column("post_id")]
+    public Guid PostId { get; set; }
+
+    // PROPRIÉTÉS DE CONTENU
+    /// <summary>
+    /// Hashtag sans le "#", en minuscules et sans accents
+    /// (#Développement et #developpement désignent le même hashtag).
+    /// </summary>
+    [Required]
+    [Column("tag")]
+    [MaxLength(50)]
+    public string Tag { get; set; } = string.Empty;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Post contenant le hashtag.
+    /// </summary>
+    [ForeignKey("PostId")]
+    public virtual Post Post { get; set; } = null!;
+}
@@ -0,0 +1,56 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// RECOVERYCODE.CS
+
+/// <summary>
+/// Entité RecoveryCode - Code de secours de la double authentification.
+///
+/// Dix codes sont générés à l'activation ; chacun remplace une fois le code de l'application
+/// d'authentification (téléphone perdu). Un code utilisé est supprimé.
+/// Seul le hash SHA-256 est stocké : les codes ne sont affichés qu'au moment de leur génération.
+/// </summary>
+[Table("two_factor_recovery_codes")] // Nom de la table en base de données
+public class RecoveryCode
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    // CONTENU
+    /// <summary>
+    /// Hash SHA-256 (hexadécimal) du code, sans tiret et en majuscules.
+    /// </summary>
+    [Required]
+    [Column("code_hash")]
+    [MaxLength(64)]
+    public string CodeHash { get; set; } = string.Empty;
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date de génération.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre propriétaire du code.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+}
@@ -0,0 +1,176 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// REPORT.CS
+
+/// <summary>
+/// Type de contenu signalé.
+/// </summary>
+public enum ReportTargetType
+{
+    /// <summary>
+    /// Publication - TargetId est l'ID du post (GUID).
+    /// </summary>
+    Post,
+
+    /// <summary>
+    /// Commentaire ou réponse - TargetId est l'ID du commentaire (GUID).
+    /// </summary>
+    Comment,
+
+    /// <summary>
+    /// Message privé - TargetId est l'ID du message dans sa conversation MongoDB.
+    /// </summary>
+    Message
+}
+
+/// <summary>
+/// Motif d'un signalement, choisi dans une liste fermée.
+/// </summary>
+public enum ReportReason
+{
+    Spam,
+    Harassment,
+    HateSpeech,
+    Misinformation,
+    InappropriateContent,
+    Other
+}
+
+/// <summary>
+/// Statut d'un signalement.
+/// Le flux typique : Open -> Dismissed (classé sans suite) ou Open -> Resolved (contenu supprimé ou auteur suspendu)
+/// </summary>
+public enum ReportStatus
+{
+    /// <summary>
+    /// En attente de traitement dans la file de modération.
+    /// </summary>
+    Open,
+
+    /// <summary>
+    /// Classé sans suite par un modérateur.
+    /// </summary>
+    Dismissed,
+
+    /// <summary>
+    /// Traité : le contenu a été supprimé ou son auteur suspendu.
+    /// </summary>
+    Resolved
+}
+
+/// <summary>
+/// Entité Report - Signalement d'un contenu (post, commentaire, message) par un membre.
+/// Plusieurs membres peuvent signaler le même contenu : la file de modération
+/// regroupe les signalements ouverts par cible (TargetType + TargetId).
+/// </summary>
+[Table("reports")] // Nom de la table en base de données
+public class Report
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre qui a signalé le contenu.
+    /// </summary>
+    [Required]
+    [Column("reporter_id")]
+    public Guid ReporterId { get; set; }
+
+    /// <summary>
+    /// ID de l'auteur du contenu signalé (celui qui peut être suspendu).
+    /// </summary>
+    [Required]
+    [Column("target_author_id")]
+    public Guid TargetAuthorId { get; set; }
+
+    // CIBLE DU SIGNALEMENT
+    /// <summary>
+    /// Type de contenu signalé. Stocké en texte ("Post", "Comment", "Message").
+    /// </summary>
+    [Required]
+    [Column("target_type")]
+    [MaxLength(20)]
+    public ReportTargetType TargetType { get; set; }
+
+    /// <summary>
+    /// ID du contenu signalé : GUID pour un post ou un commentaire, ID MongoDB pour un message.
+    /// Pas de clé étrangère : le contenu peut être supprimé pendant que le signalement est conservé.
+    /// </summary>
+    [Required]
+    [Column("target_id")]
+    [MaxLength(64)]
+    public string TargetId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Extrait du contenu au moment du signalement, affiché dans la file de modération.
+    /// </summary>
+    [Column("content_excerpt")]
+    [MaxLength(500)]
+    public string ContentExcerpt { get; set; } = string.Empty;
+
+    // MOTIF
+    /// <summary>
+    /// Motif du signalement. Stocké en texte ("Spam", "Harassment"...).
+    /// </summary>
+    [Required]
+    [Column("reason")]
+    [MaxLength(30)]
+    public ReportReason Reason { get; set; }
+
+    /// <summary>
+    /// Précisions libres du membre (optionnel).
+    /// </summary>
+    [Column("details")]
+    [MaxLength(500)]
+    public string? Details { get; set; }
+
+    // TRAITEMENT
+    /// <summary>
+    /// Statut du signalement. Stocké en texte ("Open", "Dismissed", "Resolved").
+    /// </summary>
+    [Required]
+    [Column("status")]
+    [MaxLength(20)]
+    public ReportStatus Status { get; set; } = ReportStatus.Open;
+
+    /// <summary>
+    /// ID du modérateur qui a traité le signalement (null tant qu'il est ouvert).
+    /// </summary>
+    [Column("reviewed_by_id")]
+    public Guid? ReviewedById { get; set; }
+
+    /// <summary>
+    /// Date de traitement du signalement.
+    /// </summary>
+    [Column("reviewed_at")]
+    public DateTime? ReviewedAt { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date du signalement.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre qui a signalé le contenu.
+    /// </summary>
+    [ForeignKey("ReporterId")]
+    public virtual User Reporter { get; set; } = null!;
+
+    /// <summary>
+    /// Auteur du contenu signalé.
+    /// </summary>
+    [ForeignKey("TargetAuthorId")]
+    public virtual User TargetAuthor { get; set; } = null!;
+}
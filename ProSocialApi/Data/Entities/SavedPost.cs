@@ -0,0 +1,58 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// SAVEDPOST.CS
+
+/// <summary>
+/// Entité SavedPost - Post enregistré par un membre (page "Enregistrés").
+/// Un membre n'enregistre qu'une fois un même post ; l'enregistrement disparaît
+/// avec le post ou le compte.
+/// </summary>
+[Table("saved_posts")] // Nom de la table en base de données
+public class SavedPost
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre qui a enregistré le post.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// ID du post enregistré.
+    /// </summary>
+    [Required]
+    [Column("post_id")]
+    public Guid PostId { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date d'enregistrement (ordre de la page "Enregistrés", plus récent en premier).
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre qui a enregistré le post.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Post enregistré.
+    /// </summary>
+    [ForeignKey("PostId")]
+    public virtual Post Post { get; set; } = null!;
+}
@@ -0,0 +1,65 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// SKILL.CS
+
+/// <summary>
+/// Entité Skill - Compétence affichée sur le profil d'un membre (section "Compétences").
+/// Un membre n'a qu'une fois une même compétence (comparaison sans casse ni accents, voir ProfileService).
+/// Ses relations peuvent la recommander (SkillEndorsement).
+/// </summary>
+[Table("skills")] // Nom de la table en base de données
+public class Skill
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    // CONTENU
+    /// <summary>
+    /// Nom de la compétence (ex: "ASP.NET Core").
+    /// </summary>
+    [Required]
+    [Column("name")]
+    [MaxLength(80)]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Position dans la section (0 = en haut).
+    /// </summary>
+    [Column("sort_order")]
+    public int SortOrder { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date d'ajout au profil.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Recommandations reçues pour cette compétence.
+    /// </summary>
+    public virtual ICollection<SkillEndorsement> Endorsements { get; set; } = new List<SkillEndorsement>();
+}
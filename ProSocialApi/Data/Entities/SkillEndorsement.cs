@@ -0,0 +1,58 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// SKILLENDORSEMENT.CS
+
+/// <summary>
+/// Entité SkillEndorsement - Recommandation d'une compétence par une relation du membre.
+/// Une relation ne recommande qu'une fois une même compétence ; la recommandation
+/// disparaît avec la compétence ou le compte de son auteur.
+/// </summary>
+[Table("skill_endorsements")] // Nom de la table en base de données
+public class SkillEndorsement
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID de la compétence recommandée.
+    /// </summary>
+    [Required]
+    [Column("skill_id")]
+    public Guid SkillId { get; set; }
+
+    /// <summary>
+    /// ID du membre qui recommande.
+    /// </summary>
+    [Required]
+    [Column("endorser_id")]
+    public Guid EndorserId { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date de la recommandation.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Compétence recommandée.
+    /// </summary>
+    [ForeignKey("SkillId")]
+    public virtual Skill Skill { get; set; } = null!;
+
+    /// <summary>
+    /// Membre qui recommande.
+    /// </summary>
+    [ForeignKey("EndorserId")]
+    public virtual User Endorser { get; set; } = null!;
+}
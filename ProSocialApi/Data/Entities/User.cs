@@ -5,6 +5,28 @@ namespace ProSocialApi.Data.Entities;
 
 // USER.CS
 
+/// <summary>
+/// Énumération des rôles d'un utilisateur.
+/// Le rôle est inclus dans le token JWT (claim "role") et contrôle l'accès à la modération.
+/// </summary>
+public enum UserRole
+{
+    /// <summary>
+    /// Membre standard - Rôle attribué à l'inscription.
+    /// </summary>
+    Member,
+
+    /// <summary>
+    /// Modérateur - Traite les signalements (classer, supprimer le contenu, suspendre l'auteur).
+    /// </summary>
+    Moderator,
+
+    /// <summary>
+    /// Administrateur - Droits de modération, et attribution des rôles.
+    /// </summary>
+    Admin
+}
+
 /// <summary>
 /// Entité User - Représente un utilisateur inscrit sur le réseau social.
 /// Contient les informations de profil, d'authentification et les relations
@@ -49,6 +71,52 @@ public class User
     [MaxLength(255)]         // Les hashs BCrypt font ~60 caractères, 255 laisse de la marge
     public string Password { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Rôle de l'utilisateur (Member par défaut).
+    /// Stocké comme string ("Member", "Moderator", "Admin") - voir DbContext.
+    /// </summary>
+    [Required]
+    [Column("role")]
+    [MaxLength(20)]
+    public UserRole Role { get; set; } = UserRole.Member;
+
+    /// <summary>
+    /// Date de suspension du compte par la modération (null si actif).
+    /// Un compte suspendu ne peut plus se connecter.
+    /// </summary>
+    [Column("suspended_at")]
+    public DateTime? SuspendedAt { get; set; }
+
+    /// <summary>
+    /// Date de confirmation de l'adresse email (null tant que le lien reçu par email n'a pas été suivi).
+    /// Un compte non confirmé peut se connecter, un bandeau l'invite à confirmer son adresse.
+    /// </summary>
+    [Column("email_verified_at")]
+    public DateTime? EmailVerifiedAt { get; set; }
+
+    // DOUBLE AUTHENTIFICATION (TOTP)
+    /// <summary>
+    /// Clé secrète TOTP encodée en base32, partagée avec l'application d'authentification.
+    /// Renseignée dès le début de l'activation ; la double authentification n'est active
+    /// qu'une fois un premier code confirmé (TwoFactorEnabledAt).
+    /// </summary>
+    [Column("two_factor_secret")]
+    [MaxLength(64)]
+    public string? TwoFactorSecret { get; set; }
+
+    /// <summary>
+    /// Date d'activation de la double authentification (null si désactivée).
+    /// </summary>
+    [Column("two_factor_enabled_at")]
+    public DateTime? TwoFactorEnabledAt { get; set; }
+
+    /// <summary>
+    /// Dernier intervalle de 30 secondes dont le code a été accepté :
+    /// un code déjà utilisé (ou plus ancien) est refusé.
+    /// </summary>
+    [Column("two_factor_last_time_step")]
+    public long? TwoFactorLastTimeStep { get; set; }
+
     // PROPRIÉTÉS DE PROFIL
     /// <summary>
     /// Prénom de l'utilisateur.
@@ -93,6 +161,14 @@ public class User
     [MaxLength(500)]         // Les URLs peuvent être longues
     public string? AvatarUrl { get; set; }
 
+    /// <summary>
+    /// Texte de recherche : prénom, nom et titre en minuscules et sans accents.
+    /// Recalculé par le DbContext lors de SaveChanges() (voir SearchNormalizer).
+    /// </summary>
+    [Column("search_text")]
+    [MaxLength(500)]
+    public string SearchText { get; set; } = string.Empty;
+
     // PROPRIÉTÉS DE TRACKING (Audit)
     /// <summary>
     /// Date et heure de création du compte.
@@ -151,4 +227,22 @@ public class User
     /// </summary>
     [NotMapped]
     public string FullName => $"{FirstName} {LastName}";
+
+    /// <summary>
+    /// Indique si le compte est suspendu.
+    /// </summary>
+    [NotMapped]
+    public bool IsSuspended => SuspendedAt != null;
+
+    /// <summary>
+    /// Indique si l'adresse email a été confirmée.
+    /// </summary>
+    [NotMapped]
+    public bool IsEmailVerified => EmailVerifiedAt != null;
+
+    /// <summary>
+    /// Indique si la connexion demande un code de double authentification.
+    /// </summary>
+    [NotMapped]
+    public bool IsTwoFactorEnabled => TwoFactorEnabledAt != null;
 }
@@ -0,0 +1,60 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// USERBLOCK.CS
+
+/// <summary>
+/// Entité UserBlock - Blocage d'un membre par un utilisateur.
+/// Le blocage masque les deux membres l'un à l'autre partout (feed, recherche,
+/// profils, suggestions) et empêche demandes de connexion et messages,
+/// quel que soit celui qui a bloqué l'autre.
+/// Seul l'auteur du blocage peut le lever.
+/// </summary>
+[Table("user_blocks")] // Nom de la table en base de données
+public class UserBlock
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID de l'utilisateur qui a bloqué.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// ID du membre bloqué.
+    /// </summary>
+    [Required]
+    [Column("blocked_user_id")]
+    public Guid BlockedUserId { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date du blocage.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Utilisateur qui a bloqué.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Membre bloqué.
+    /// </summary>
+    [ForeignKey("BlockedUserId")]
+    public virtual User BlockedUser { get; set; } = null!;
+}
@@ -0,0 +1,59 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// USERMUTE.CS
+
+/// <summary>
+/// Entité UserMute - Membre dont l'utilisateur a masqué les publications.
+/// Contrairement au blocage, le masquage est invisible pour l'autre membre :
+/// la connexion et la messagerie sont conservées, seuls ses posts
+/// disparaissent du fil d'actualité de l'utilisateur.
+/// </summary>
+[Table("user_mutes")] // Nom de la table en base de données
+public class UserMute
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire).
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID de l'utilisateur qui a masqué le membre.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    /// <summary>
+    /// ID du membre masqué.
+    /// </summary>
+    [Required]
+    [Column("muted_user_id")]
+    public Guid MutedUserId { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date du masquage.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Utilisateur qui a masqué le membre.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Membre masqué.
+    /// </summary>
+    [ForeignKey("MutedUserId")]
+    public virtual User MutedUser { get; set; } = null!;
+}
@@ -0,0 +1,99 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace ProSocialApi.Data.Entities;
+
+// USERSESSION.CS
+
+/// <summary>
+/// Entité UserSession - Session ouverte par un membre sur un appareil (section "Sessions actives").
+///
+/// Chaque connexion crée une session. Le navigateur garde un refresh token (cookie HttpOnly)
+/// qui permet d'obtenir un nouveau JWT de courte durée ; seul son hash SHA-256 est stocké.
+/// Le refresh token change à chaque utilisation (rotation) : la session est supprimée
+/// si un ancien token est présenté à nouveau (token volé).
+/// Supprimer la session déconnecte l'appareil : ses JWT sont refusés dès la requête suivante.
+/// </summary>
+[Table("user_sessions")] // Nom de la table en base de données
+public class UserSession
+{
+    // PROPRIÉTÉS D'IDENTIFICATION
+    /// <summary>
+    /// Identifiant unique (clé primaire), inclus dans les JWT de la session (claim "sid").
+    /// </summary>
+    [Key]
+    [Column("id")]
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    // CLÉS ÉTRANGÈRES
+    /// <summary>
+    /// ID du membre connecté.
+    /// </summary>
+    [Required]
+    [Column("user_id")]
+    public Guid UserId { get; set; }
+
+    // REFRESH TOKEN
+    /// <summary>
+    /// Hash SHA-256 (hexadécimal) du refresh token actuel.
+    /// </summary>
+    [Required]
+    [Column("refresh_token_hash")]
+    [MaxLength(64)]
+    public string RefreshTokenHash { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Hash du refresh token remplacé lors de la dernière rotation (null avant la première).
+    /// Présenté à nouveau après le délai de grâce, il révèle un vol : la session est supprimée.
+    /// </summary>
+    [Column("previous_refresh_token_hash")]
+    [MaxLength(64)]
+    public string? PreviousRefreshTokenHash { get; set; }
+
+    /// <summary>
+    /// Date de la dernière rotation du refresh token.
+    /// </summary>
+    [Column("rotated_at")]
+    public DateTime? RotatedAt { get; set; }
+
+    // APPAREIL
+    /// <summary>
+    /// User-Agent du navigateur à l'ouverture de la session (affiché sous forme lisible).
+    /// </summary>
+    [Column("user_agent")]
+    [MaxLength(500)]
+    public string? UserAgent { get; set; }
+
+    /// <summary>
+    /// Dernière adresse IP connue de l'appareil.
+    /// </summary>
+    [Column("ip_address")]
+    [MaxLength(45)]           // Longueur maximale d'une adresse IPv6
+    public string? IpAddress { get; set; }
+
+    // PROPRIÉTÉS DE TRACKING
+    /// <summary>
+    /// Date de connexion.
+    /// </summary>
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Date du dernier renouvellement du JWT (activité de l'appareil).
+    /// </summary>
+    [Column("last_used_at")]
+    public DateTime LastUsedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Date d'expiration, repoussée à chaque renouvellement (session glissante).
+    /// </summary>
+    [Column("expires_at")]
+    public DateTime ExpiresAt { get; set; }
+
+    // PROPRIÉTÉS DE NAVIGATION (Relations)
+    /// <summary>
+    /// Membre connecté.
+    /// </summary>
+    [ForeignKey("UserId")]
+    public virtual User User { get; set; } = null!;
+}
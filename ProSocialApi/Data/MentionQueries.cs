@@ -0,0 +1,65 @@
+// MENTIONQUERIES.CS - Mise à jour des mentions d'un post ou d'un commentaire
+// Les membres mentionnés sont choisis dans l'autocomplétion du client, qui envoie
+// leurs IDs avec le contenu. Une mention n'est retenue que si le texte "@Prénom Nom"
+// figure bien dans le contenu, et jamais envers un membre bloqué.
+//
+// Utilisation : await _context.UpdateMentionsAsync(auteur, contenu, existantes, ids, id => new Mention {...})
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+
+namespace ProSocialApi.Data;
+
+/// <summary>
+/// Méthodes d'extension sur ApplicationDbContext pour les mentions.
+/// </summary>
+public static class MentionQueries
+{
+    /// <summary>
+    /// Aligne les mentions enregistrées sur le contenu : ajoute les nouvelles,
+    /// retire celles dont le texte a disparu. Les changements sont à enregistrer par l'appelant.
+    ///
+    /// Candidats : membres mentionnés précédemment + IDs envoyés par le client.
+    /// Exclus : l'auteur lui-même, les membres bloqués (dans un sens ou dans l'autre).
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework</param>
+    /// <param name="authorId">ID de l'auteur du contenu</param>
+    /// <param name="content">Contenu enregistré</param>
+    /// <param name="existing">Mentions déjà enregistrées pour ce contenu</param>
+    /// <param name="mentionedUserIds">IDs choisis dans l'autocomplétion (optionnel)</param>
+    /// <param name="createMention">Crée la mention d'un membre (renseigne PostId ou CommentId)</param>
+    /// <returns>IDs des membres nouvellement mentionnés (à notifier)</returns>
+    public static async Task<List<Guid>> UpdateMentionsAsync(this ApplicationDbContext context, Guid authorId, string content,
+        List<Mention> existing, IEnumerable<Guid>? mentionedUserIds, Func<Guid, Mention> createMention)
+    {
+        var candidateIds = existing.Select(m => m.MentionedUserId)
+            .Concat(mentionedUserIds ?? Enumerable.Empty<Guid>())
+            .Where(id => id != authorId)
+            .Distinct()
+            .Take(ContentParser.MaxMentions)
+            .ToList();
+
+        var mentionedIds = new List<Guid>();
+        if (candidateIds.Count > 0)
+        {
+            var blockedUserIds = context.BlockedUserIds(authorId);
+            var candidates = await context.Users
+                .Where(u => candidateIds.Contains(u.Id) && !blockedUserIds.Contains(u.Id))
+                .Select(u => new { u.Id, u.FirstName, u.LastName })
+                .ToListAsync();
+
+            mentionedIds = candidates
+                .Where(u => ContentParser.ContainsMention(content, u.FirstName, u.LastName))
+                .Select(u => u.Id)
+                .ToList();
+        }
+
+        context.Mentions.RemoveRange(existing.Where(m => !mentionedIds.Contains(m.MentionedUserId)));
+
+        var newIds = mentionedIds.Where(id => existing.All(m => m.MentionedUserId != id)).ToList();
+        context.Mentions.AddRange(newIds.Select(createMention));
+
+        return newIds;
+    }
+}
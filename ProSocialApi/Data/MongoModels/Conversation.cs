@@ -17,11 +17,19 @@ namespace ProSocialApi.Data.MongoModels;
 /// <summary>
 /// Représente un message individuel dans une conversation.
 /// Stocké comme sous-document dans la collection Conversation.
-/// Pas d'ID propre car identifié par sa position dans la conversation.
 /// </summary>
 public class Message
 {
     // PROPRIÉTÉS DU MESSAGE
+    /// <summary>
+    /// Identifiant du message (ObjectId en string), attribué à l'envoi.
+    /// Permet de cibler un message précis (signalement, suppression par la modération).
+    /// Null pour les messages envoyés avant l'ajout de ce champ.
+    /// </summary>
+    [BsonElement("id")]
+    [BsonIgnoreIfNull]
+    public string? Id { get; set; }
+
     /// <summary>
     /// ID de l'utilisateur qui a envoyé le message.
     /// Stocké comme string car les IDs MySQL sont des GUIDs.
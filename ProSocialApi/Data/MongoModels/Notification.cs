@@ -45,11 +45,35 @@ public enum NotificationType
     /// </summary>
     NewComment,
 
+    /// <summary>
+    /// Notification de réponse à un de vos commentaires.
+    /// Données : fromUserId, fromUserName, postId, commentId
+    /// </summary>
+    CommentReply,
+
     /// <summary>
     /// Notification de nouveau message privé reçu.
     /// Données : fromUserId, fromUserName, conversationId
     /// </summary>
-    NewMessage
+    NewMessage,
+
+    /// <summary>
+    /// Notification de mention (@Prénom Nom) dans un post ou un commentaire.
+    /// Données : fromUserId, fromUserName, postId, commentId (absent pour un post)
+    /// </summary>
+    Mention,
+
+    /// <summary>
+    /// Notification de partage d'un de vos posts.
+    /// Données : fromUserId, fromUserName, postId (le partage)
+    /// </summary>
+    Share,
+
+    /// <summary>
+    /// Notification de recommandation d'une de vos compétences par une relation.
+    /// Données : fromUserId, fromUserName, skillName
+    /// </summary>
+    SkillEndorsement
 }
 
 /// <summary>
@@ -112,6 +136,12 @@ public class NotificationData
     /// </summary>
     [BsonElement("connectionId")]
     public string? ConnectionId { get; set; }
+
+    /// <summary>
+    /// Nom de la compétence recommandée (pour les notifications de type SkillEndorsement).
+    /// </summary>
+    [BsonElement("skillName")]
+    public string? SkillName { get; set; }
 }
 
 /// <summary>
@@ -0,0 +1,30 @@
+// POSTQUERIES.CS - Requêtes communes sur les publications
+// Compteurs calculés en base pour les listes de posts (feed, profil, recherche...),
+// sans charger les lignes comptées.
+//
+// Utilisation : await _context.CountSharesAsync(postIds)
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+
+namespace ProSocialApi.Data;
+
+/// <summary>
+/// Méthodes d'extension sur ApplicationDbContext pour les publications.
+/// </summary>
+public static class PostQueries
+{
+    /// <summary>
+    /// Nombre de partages de chaque publication (les publications jamais partagées sont absentes).
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework</param>
+    /// <param name="postIds">IDs des publications</param>
+    public static Task<Dictionary<Guid, int>> CountSharesAsync(this ApplicationDbContext context, List<Guid> postIds)
+    {
+        return context.Posts
+            .Where(p => p.SharedPostId != null && postIds.Contains(p.SharedPostId.Value))
+            .GroupBy(p => p.SharedPostId!.Value)
+            .Select(g => new { PostId = g.Key, Count = g.Count() })
+            .ToDictionaryAsync(x => x.PostId, x => x.Count);
+    }
+}
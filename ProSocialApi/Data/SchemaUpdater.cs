@@ -0,0 +1,385 @@
+// SCHEMAUPDATER.CS - Mise à jour du schéma des bases existantes
+// EnsureCreated() ne crée les tables que si la base est vide : il ne modifie
+// jamais une base existante. Les tables et colonnes ajoutées après coup aux
+// entités sont donc créées ici, avec une valeur par défaut pour les lignes existantes.
+//
+// Utilisation : Appelée au démarrage juste après EnsureCreated (voir Program.cs).
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+
+namespace ProSocialApi.Data;
+
+/// <summary>
+/// Ajoute les tables et colonnes manquantes d'une base créée avec une version
+/// antérieure des entités.
+///
+/// Comportement idempotent : chaque table (CREATE TABLE IF NOT EXISTS) et chaque
+/// colonne (vérification dans information_schema) n'est ajoutée que si elle est
+/// absente, l'appel peut donc être répété.
+/// </summary>
+public static class SchemaUpdater
+{
+    // Type des GUID créés par Pomelo : les clés étrangères exigent le même jeu de caractères
+    private const string GuidColumn = "char(36) CHARACTER SET ascii COLLATE ascii_general_ci NOT NULL";
+    private const string NullableGuidColumn = "char(36) CHARACTER SET ascii COLLATE ascii_general_ci NULL";
+
+    /// <summary>
+    /// Tables ajoutées depuis la création initiale du schéma : (table, définition SQL des colonnes et contraintes).
+    /// </summary>
+    private static readonly (string Table, string Definition)[] AddedTables =
+    {
+        // Suggestions de connexion ignorées
+        ("dismissed_suggestions", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `dismissed_user_id` {GuidColumn},
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_dismissed_suggestions_user_id_dismissed_user_id` (`user_id`, `dismissed_user_id`),
+            CONSTRAINT `FK_dismissed_suggestions_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_dismissed_suggestions_users_dismissed_user_id` FOREIGN KEY (`dismissed_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+
+        // Blocage et masquage de membres
+        ("user_blocks", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `blocked_user_id` {GuidColumn},
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_user_blocks_user_id_blocked_user_id` (`user_id`, `blocked_user_id`),
+            CONSTRAINT `FK_user_blocks_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_user_blocks_users_blocked_user_id` FOREIGN KEY (`blocked_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+        ("user_mutes", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `muted_user_id` {GuidColumn},
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_user_mutes_user_id_muted_user_id` (`user_id`, `muted_user_id`),
+            CONSTRAINT `FK_user_mutes_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_user_mutes_users_muted_user_id` FOREIGN KEY (`muted_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+
+        // Signalements de contenu (file de modération)
+        ("reports", $@"
+            `id` {GuidColumn},
+            `reporter_id` {GuidColumn},
+            `target_author_id` {GuidColumn},
+            `target_type` varchar(20) NOT NULL,
+            `target_id` varchar(64) NOT NULL,
+            `content_excerpt` varchar(500) NOT NULL,
+            `reason` varchar(30) NOT NULL,
+            `details` varchar(500) NULL,
+            `status` varchar(20) NOT NULL,
+            `reviewed_by_id` char(36) CHARACTER SET ascii COLLATE ascii_general_ci NULL,
+            `reviewed_at` datetime(6) NULL,
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            KEY `IX_reports_status_target_type_target_id` (`status`, `target_type`, `target_id`),
+            CONSTRAINT `FK_reports_users_reporter_id` FOREIGN KEY (`reporter_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_reports_users_target_author_id` FOREIGN KEY (`target_author_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+
+        // Mentions et hashtags
+        ("mentions", $@"
+            `id` {GuidColumn},
+            `mentioned_user_id` {GuidColumn},
+            `post_id` char(36) CHARACTER SET ascii COLLATE ascii_general_ci NULL,
+            `comment_id` char(36) CHARACTER SET ascii COLLATE ascii_general_ci NULL,
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            CONSTRAINT `FK_mentions_users_mentioned_user_id` FOREIGN KEY (`mentioned_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_mentions_posts_post_id` FOREIGN KEY (`post_id`) REFERENCES `posts` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_mentions_comments_comment_id` FOREIGN KEY (`comment_id`) REFERENCES `comments` (`id`) ON DELETE CASCADE"),
+        ("post_hashtags", $@"
+            `id` {GuidColumn},
+            `post_id` {GuidColumn},
+            `tag` varchar(50) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_post_hashtags_post_id_tag` (`post_id`, `tag`),
+            KEY `IX_post_hashtags_tag` (`tag`),
+            CONSTRAINT `FK_post_hashtags_posts_post_id` FOREIGN KEY (`post_id`) REFERENCES `posts` (`id`) ON DELETE CASCADE"),
+
+        // Posts enregistrés
+        ("saved_posts", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `post_id` {GuidColumn},
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_saved_posts_user_id_post_id` (`user_id`, `post_id`),
+            CONSTRAINT `FK_saved_posts_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_saved_posts_posts_post_id` FOREIGN KEY (`post_id`) REFERENCES `posts` (`id`) ON DELETE CASCADE"),
+
+        // Sessions (refresh tokens)
+        ("user_sessions", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `refresh_token_hash` varchar(64) NOT NULL,
+            `previous_refresh_token_hash` varchar(64) NULL,
+            `rotated_at` datetime(6) NULL,
+            `user_agent` varchar(500) NULL,
+            `ip_address` varchar(45) NULL,
+            `created_at` datetime(6) NOT NULL,
+            `last_used_at` datetime(6) NOT NULL,
+            `expires_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_user_sessions_refresh_token_hash` (`refresh_token_hash`),
+            KEY `IX_user_sessions_previous_refresh_token_hash` (`previous_refresh_token_hash`),
+            CONSTRAINT `FK_user_sessions_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+
+        // Codes de secours de la double authentification
+        ("two_factor_recovery_codes", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `code_hash` varchar(64) NOT NULL,
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_two_factor_recovery_codes_user_id_code_hash` (`user_id`, `code_hash`),
+            CONSTRAINT `FK_two_factor_recovery_codes_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+
+        // Sections du profil : expérience, formation, compétences et recommandations
+        ("experiences", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `title` varchar(150) NOT NULL,
+            `company` varchar(150) NOT NULL,
+            `start_date` datetime(6) NOT NULL,
+            `end_date` datetime(6) NULL,
+            `description` longtext NULL,
+            `sort_order` int NOT NULL,
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            KEY `IX_experiences_user_id_sort_order` (`user_id`, `sort_order`),
+            CONSTRAINT `FK_experiences_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+        ("educations", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `school` varchar(150) NOT NULL,
+            `degree` varchar(150) NULL,
+            `field_of_study` varchar(150) NULL,
+            `start_date` datetime(6) NULL,
+            `end_date` datetime(6) NULL,
+            `description` longtext NULL,
+            `sort_order` int NOT NULL,
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            KEY `IX_educations_user_id_sort_order` (`user_id`, `sort_order`),
+            CONSTRAINT `FK_educations_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+        ("skills", $@"
+            `id` {GuidColumn},
+            `user_id` {GuidColumn},
+            `name` varchar(80) NOT NULL,
+            `sort_order` int NOT NULL,
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            KEY `IX_skills_user_id_sort_order` (`user_id`, `sort_order`),
+            CONSTRAINT `FK_skills_users_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE"),
+        ("skill_endorsements", $@"
+            `id` {GuidColumn},
+            `skill_id` {GuidColumn},
+            `endorser_id` {GuidColumn},
+            `created_at` datetime(6) NOT NULL,
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `IX_skill_endorsements_skill_id_endorser_id` (`skill_id`, `endorser_id`),
+            CONSTRAINT `FK_skill_endorsements_skills_skill_id` FOREIGN KEY (`skill_id`) REFERENCES `skills` (`id`) ON DELETE CASCADE,
+            CONSTRAINT `FK_skill_endorsements_users_endorser_id` FOREIGN KEY (`endorser_id`) REFERENCES `users` (`id`) ON DELETE CASCADE")
+    };
+
+    /// <summary>
+    /// Colonnes ajoutées depuis la création initiale du schéma : (table, colonne, définition SQL).
+    /// </summary>
+    private static readonly (string Table, string Column, string Definition)[] AddedColumns =
+    {
+        // Réponses aux commentaires
+        ("comments", "parent_id", NullableGuidColumn),
+        ("comments", "is_deleted", "tinyint(1) NOT NULL DEFAULT 0"),
+
+        // Réactions : les likes existants deviennent des réactions "Like"
+        ("likes", "type", "varchar(20) NOT NULL DEFAULT 'Like'"),
+
+        // Rôles et suspension : les comptes existants deviennent des membres actifs
+        ("users", "role", "varchar(20) NOT NULL DEFAULT 'Member'"),
+        ("users", "suspended_at", "datetime(6) NULL"),
+
+        // Recherche : texte normalisé, rempli pour les lignes existantes à l'ajout de la colonne
+        ("users", "search_text", "varchar(500) NOT NULL DEFAULT ''"),
+        ("posts", "search_text", "longtext NOT NULL"),
+
+        // Partages : les posts existants ne sont pas des partages
+        ("posts", "is_share", "tinyint(1) NOT NULL DEFAULT 0"),
+        ("posts", "shared_post_id", NullableGuidColumn),
+
+        // Confirmation de l'adresse email : les comptes existants devront la confirmer
+        ("users", "email_verified_at", "datetime(6) NULL"),
+
+        // Double authentification : désactivée pour les comptes existants
+        ("users", "two_factor_secret", "varchar(64) NULL"),
+        ("users", "two_factor_enabled_at", "datetime(6) NULL"),
+        ("users", "two_factor_last_time_step", "bigint NULL")
+    };
+
+    /// <summary>
+    /// Clés étrangères des colonnes ajoutées ci-dessus (ADD COLUMN ne les crée pas) :
+    /// (table, colonne, table référencée, action ON DELETE, nettoyage des références orphelines).
+    /// Les noms d'index et de contrainte sont ceux qu'EnsureCreated donne aux nouvelles bases.
+    /// </summary>
+    private static readonly (string Table, string Column, string ReferencedTable, string OnDelete, string OrphansCleanup)[] AddedForeignKeys =
+    {
+        // Partages dont l'original a été supprimé : ils affichent "publication supprimée"
+        ("posts", "shared_post_id", "posts", "SET NULL",
+            "UPDATE `posts` s LEFT JOIN `posts` o ON o.`id` = s.`shared_post_id` SET s.`shared_post_id` = NULL " +
+            "WHERE s.`shared_post_id` IS NOT NULL AND o.`id` IS NULL"),
+
+        // Réponses dont le commentaire parent a été supprimé : supprimées avec lui
+        ("comments", "parent_id", "comments", "CASCADE",
+            "DELETE r FROM `comments` r LEFT JOIN `comments` p ON p.`id` = r.`parent_id` " +
+            "WHERE r.`parent_id` IS NOT NULL AND p.`id` IS NULL")
+    };
+
+    /// <summary>
+    /// Ajoute les tables et colonnes manquantes (MySQL uniquement, ignoré pour les autres providers).
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework pour accéder à la base</param>
+    public static async Task ApplyAsync(ApplicationDbContext context)
+    {
+        if (!context.Database.IsRelational())
+            return;
+
+        foreach (var (table, definition) in AddedTables)
+        {
+            // Noms et définitions issus de la liste ci-dessus (pas d'entrée utilisateur)
+            var sql = $"CREATE TABLE IF NOT EXISTS `{table}` ({definition}) CHARACTER SET utf8mb4";
+            await context.Database.ExecuteSqlRawAsync(sql);
+        }
+
+        var addedColumns = new HashSet<string>();
+        foreach (var (table, column, definition) in AddedColumns)
+        {
+            var exists = await context.Database
+                .SqlQuery<int>($"SELECT COUNT(*) AS Value FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = {table} AND COLUMN_NAME = {column}")
+                .SingleAsync() > 0;
+
+            if (exists)
+                continue;
+
+            // Noms de table et de colonne issus de la liste ci-dessus (pas d'entrée utilisateur)
+            var sql = $"ALTER TABLE `{table}` ADD COLUMN `{column}` {definition}";
+            await context.Database.ExecuteSqlRawAsync(sql);
+            addedColumns.Add($"{table}.{column}");
+
+            Console.WriteLine($"Schéma mis à jour : colonne {table}.{column} ajoutée.");
+        }
+
+        foreach (var (table, column, referencedTable, onDelete, orphansCleanup) in AddedForeignKeys)
+        {
+            var exists = await context.Database
+                .SqlQuery<int>($"SELECT COUNT(*) AS Value FROM information_schema.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = {table} AND COLUMN_NAME = {column} AND REFERENCED_TABLE_NAME IS NOT NULL")
+                .SingleAsync() > 0;
+
+            if (exists)
+                continue;
+
+            // La contrainte échouerait sur une référence vers une ligne supprimée
+            await context.Database.ExecuteSqlRawAsync(orphansCleanup);
+
+            // Noms issus de la liste ci-dessus (pas d'entrée utilisateur).
+            // Les colonnes ajoutées par une version précédente n'avaient pas le type GUID de Pomelo
+            var modifySql = $"ALTER TABLE `{table}` MODIFY COLUMN `{column}` {NullableGuidColumn}";
+            await context.Database.ExecuteSqlRawAsync(modifySql);
+
+            var sql = $"ALTER TABLE `{table}` ADD INDEX `IX_{table}_{column}` (`{column}`), " +
+                $"ADD CONSTRAINT `FK_{table}_{referencedTable}_{column}` FOREIGN KEY (`{column}`) " +
+                $"REFERENCES `{referencedTable}` (`id`) ON DELETE {onDelete}";
+            await context.Database.ExecuteSqlRawAsync(sql);
+
+            Console.WriteLine($"Schéma mis à jour : clé étrangère {table}.{column} ajoutée.");
+        }
+
+        // Texte de recherche des lignes existantes : uniquement quand la colonne vient d'être ajoutée
+        if (addedColumns.Contains("users.search_text"))
+            await RebuildUserSearchTextAsync(context);
+        if (addedColumns.Contains("posts.search_text"))
+            await RebuildPostSearchTextAsync(context);
+
+        await RebuildHashtagsAsync(context);
+    }
+
+    /// <summary>
+    /// Calcule le texte de recherche des membres enregistrés avant l'ajout de users.search_text.
+    /// Appelée une seule fois, au démarrage qui ajoute la colonne : les membres suivants
+    /// sont indexés à l'enregistrement.
+    ///
+    /// Mise à jour directe (ExecuteUpdate) plutôt que SaveChanges : UpdatedAt
+    /// n'est pas modifié, les profils n'apparaissent donc pas "modifiés".
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework pour accéder à la base</param>
+    private static async Task RebuildUserSearchTextAsync(ApplicationDbContext context)
+    {
+        var users = await context.Users
+            .Select(u => new { u.Id, u.FirstName, u.LastName, u.Headline })
+            .ToListAsync();
+
+        foreach (var user in users)
+        {
+            var searchText = SearchNormalizer.Normalize($"{user.FirstName} {user.LastName} {user.Headline}");
+            await context.Users
+                .Where(u => u.Id == user.Id)
+                .ExecuteUpdateAsync(s => s.SetProperty(u => u.SearchText, searchText));
+        }
+
+        Console.WriteLine($"Recherche : texte indexé pour {users.Count} membre(s).");
+    }
+
+    /// <summary>
+    /// Calcule le texte de recherche des publications enregistrées avant l'ajout de posts.search_text.
+    /// Appelée une seule fois, au démarrage qui ajoute la colonne : un texte vide est ensuite
+    /// normal (partage sans commentaire, image seule) et ne doit pas être recalculé à chaque démarrage.
+    ///
+    /// Mise à jour directe (ExecuteUpdate) plutôt que SaveChanges : UpdatedAt
+    /// n'est pas modifié, les publications n'apparaissent donc pas "modifiées".
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework pour accéder à la base</param>
+    private static async Task RebuildPostSearchTextAsync(ApplicationDbContext context)
+    {
+        var posts = await context.Posts
+            .Select(p => new { p.Id, p.Content })
+            .ToListAsync();
+
+        foreach (var post in posts)
+        {
+            var searchText = SearchNormalizer.Normalize(post.Content);
+            await context.Posts
+                .Where(p => p.Id == post.Id)
+                .ExecuteUpdateAsync(s => s.SetProperty(p => p.SearchText, searchText));
+        }
+
+        Console.WriteLine($"Recherche : texte indexé pour {posts.Count} publication(s).");
+    }
+
+    /// <summary>
+    /// Extrait les hashtags des publications enregistrées avant la table post_hashtags.
+    /// Ne fait rien dès qu'un hashtag est indexé : les nouveaux posts le sont à l'enregistrement.
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework pour accéder à la base</param>
+    private static async Task RebuildHashtagsAsync(ApplicationDbContext context)
+    {
+        if (await context.PostHashtags.AnyAsync())
+            return;
+
+        var posts = await context.Posts
+            .Where(p => p.Content.Contains("#"))
+            .Select(p => new { p.Id, p.Content })
+            .ToListAsync();
+
+        foreach (var post in posts)
+        {
+            context.PostHashtags.AddRange(ContentParser.ExtractHashtags(post.Content)
+                .Select(tag => new PostHashtag { PostId = post.Id, Tag = tag }));
+        }
+
+        var count = await context.SaveChangesAsync();
+        if (count > 0)
+            Console.WriteLine($"Hashtags : {count} hashtag(s) indexé(s) sur les publications existantes.");
+    }
+}
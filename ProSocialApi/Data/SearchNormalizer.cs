@@ -0,0 +1,82 @@
+// SEARCHNORMALIZER.CS - Normalisation du texte pour la recherche
+// La recherche ignore la casse et les accents ("helene" trouve "Hélène").
+// Le texte des membres et des publications est normalisé à l'enregistrement
+// (colonnes search_text, voir ApplicationDbContext.UpdateSearchText) et la
+// requête de l'utilisateur est normalisée de la même façon avant comparaison.
+//
+// Utilisation : SearchNormalizer.Normalize(texte), SearchNormalizer.SplitTerms(requête)
+
+using System.Globalization;
+using System.Text;
+
+namespace ProSocialApi.Data;
+
+/// <summary>
+/// Normalise le texte indexé et les termes recherchés.
+/// </summary>
+public static class SearchNormalizer
+{
+    // Au-delà, les termes supplémentaires de la requête sont ignorés
+    private const int MaxTerms = 8;
+
+    // Ponctuation retirée en début et fin de terme ("Dupont," → "dupont")
+    private static readonly char[] TermPunctuation = { '.', ',', ';', ':', '!', '?', '"', '\'', '(', ')', '«', '»' };
+
+    /// <summary>
+    /// Met le texte en minuscules, retire les accents et réduit les espaces.
+    /// Les ligatures œ et æ sont décomposées (œuvre → oeuvre).
+    /// </summary>
+    /// <param name="text">Texte à normaliser</param>
+    /// <returns>Texte normalisé, chaîne vide si null ou vide</returns>
+    public static string Normalize(string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+            return string.Empty;
+
+        // FormD sépare chaque lettre de ses accents (é → e + ´), que l'on retire
+        var decomposed = text.ToLowerInvariant().Normalize(NormalizationForm.FormD);
+        var builder = new StringBuilder(decomposed.Length);
+        var previousIsSpace = false;
+
+        foreach (var c in decomposed)
+        {
+            if (CharUnicodeInfo.GetUnicodeCategory(c) == UnicodeCategory.NonSpacingMark)
+                continue;
+
+            if (char.IsWhiteSpace(c))
+            {
+                if (!previousIsSpace)
+                    builder.Append(' ');
+                previousIsSpace = true;
+                continue;
+            }
+
+            previousIsSpace = false;
+            switch (c)
+            {
+                case 'œ': builder.Append("oe"); break;
+                case 'æ': builder.Append("ae"); break;
+                default: builder.Append(c); break;
+            }
+        }
+
+        return builder.ToString().Trim().Normalize(NormalizationForm.FormC);
+    }
+
+    /// <summary>
+    /// Découpe une requête en termes normalisés, sans doublons.
+    /// Un résultat doit contenir tous les termes (dans n'importe quel ordre).
+    /// </summary>
+    /// <param name="query">Requête saisie par l'utilisateur</param>
+    /// <returns>Termes normalisés (liste vide si la requête ne contient aucun terme)</returns>
+    public static List<string> SplitTerms(string? query)
+    {
+        return Normalize(query)
+            .Split(' ', StringSplitOptions.RemoveEmptyEntries)
+            .Select(term => term.Trim(TermPunctuation))
+            .Where(term => term.Length > 0)
+            .Distinct()
+            .Take(MaxTerms)
+            .ToList();
+    }
+}
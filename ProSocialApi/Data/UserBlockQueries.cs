@@ -0,0 +1,43 @@
+// USERBLOCKQUERIES.CS - Requêtes communes sur les blocages entre membres
+// Un blocage s'applique dans les deux sens : celui qui bloque et celui qui est
+// bloqué ne se voient plus. Ces requêtes sont partagées par les services qui
+// filtrent leurs résultats (feed, recherche, suggestions, messagerie...).
+//
+// Utilisation : _context.BlockedUserIds(userId), await _context.IsBlockedAsync(a, b)
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+
+namespace ProSocialApi.Data;
+
+/// <summary>
+/// Méthodes d'extension sur ApplicationDbContext pour tenir compte des blocages.
+/// </summary>
+public static class UserBlockQueries
+{
+    /// <summary>
+    /// Requête des IDs des membres masqués à l'utilisateur par un blocage :
+    /// ceux qu'il a bloqués et ceux qui l'ont bloqué.
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework</param>
+    /// <param name="userId">ID de l'utilisateur</param>
+    public static IQueryable<Guid> BlockedUserIds(this ApplicationDbContext context, Guid userId)
+    {
+        return context.UserBlocks
+            .Where(b => b.UserId == userId || b.BlockedUserId == userId)
+            .Select(b => b.UserId == userId ? b.BlockedUserId : b.UserId);
+    }
+
+    /// <summary>
+    /// Indique si un blocage existe entre deux membres, dans un sens ou dans l'autre.
+    /// </summary>
+    /// <param name="context">Le contexte Entity Framework</param>
+    /// <param name="userId">ID du premier membre</param>
+    /// <param name="otherUserId">ID du second membre</param>
+    public static Task<bool> IsBlockedAsync(this ApplicationDbContext context, Guid userId, Guid otherUserId)
+    {
+        return context.UserBlocks.AnyAsync(b =>
+            (b.UserId == userId && b.BlockedUserId == otherUserId) ||
+            (b.UserId == otherUserId && b.BlockedUserId == userId));
+    }
+}
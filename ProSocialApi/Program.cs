@@ -7,8 +7,11 @@
 // - Swagger pour la documentation de l'API
 
 using System.IdentityModel.Tokens.Jwt;
+using System.Security.Claims;
 using System.Text;
+using System.Threading.RateLimiting;
 using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.AspNetCore.RateLimiting;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.IdentityModel.Tokens;
 using Microsoft.OpenApi.Models;
@@ -34,12 +37,31 @@ builder.Services.AddSingleton<MongoDbContext>();
 // Autres services
 builder.Services.AddSingleton<ISanitizationService, SanitizationService>(); // Sanitization XSS (singleton car stateless)
 builder.Services.AddScoped<IAuthService, AuthService>();                // Authentification (login, register)
+builder.Services.AddScoped<ISessionService, SessionService>();          // Sessions par appareil et refresh tokens
+builder.Services.AddScoped<ITwoFactorService, TwoFactorService>();      // Double authentification (TOTP, codes de secours)
+builder.Services.AddSingleton<ILoginAttemptService, LoginAttemptService>(); // Échecs de connexion (singleton : compteurs en mémoire)
 builder.Services.AddScoped<IUserService, UserService>();                // Gestion des profils utilisateurs
+builder.Services.AddScoped<IProfileService, ProfileService>();          // Sections du profil (expérience, formation, compétences)
 builder.Services.AddScoped<IConnectionService, ConnectionService>();    // Gestion des connexions entre utilisateurs
+builder.Services.AddScoped<IBlockService, BlockService>();              // Blocage et masquage de membres
 builder.Services.AddScoped<IPostService, PostService>();                // Gestion des publications
 builder.Services.AddScoped<ICommentService, CommentService>();          // Gestion des commentaires
 builder.Services.AddScoped<IMessageService, MessageService>();          // Messagerie (MongoDB)
 builder.Services.AddScoped<IFeedService, FeedService>();                // Fil d'actualité personnalisé
+builder.Services.AddScoped<INotificationService, NotificationService>(); // Notifications in-app (MongoDB)
+builder.Services.AddScoped<IReportService, ReportService>();            // Signalements et modération
+builder.Services.AddScoped<ISearchService, SearchService>();            // Recherche de membres et publications
+builder.Services.AddSingleton<IRealtimeService, RealtimeService>();     // WebSockets temps réel (singleton : garde les connexions)
+builder.Services.AddSingleton<IImageStorageService, ImageStorageService>(); // Upload d'images (avatars, posts)
+builder.Services.AddSingleton<ILinkPreviewService, LinkPreviewService>(); // Aperçus de liens (singleton : HttpClient et cache partagés)
+builder.Services.AddMemoryCache();                                      // Cache mémoire (aperçus de liens, échecs de connexion)
+
+// Envoi des emails (réinitialisation du mot de passe, confirmation de l'adresse)
+// "Smtp" : serveur SMTP configuré dans Email:Smtp ; sinon fichiers .eml dans Email:PickupDirectory
+if (builder.Configuration["Email:Sender"] == "Smtp")
+    builder.Services.AddSingleton<IEmailSender, SmtpEmailSender>();
+else
+    builder.Services.AddSingleton<IEmailSender, PickupDirectoryEmailSender>();
 
 
 // CONFIGURATION DE L'AUTHENTIFICATION JWT (JSON Web Token)
@@ -95,11 +117,20 @@ builder.Services.AddAuthentication(options =>
             Console.WriteLine($"Erreur d'authentification : {context.Exception.Message}");
             return Task.CompletedTask;
         },
-        // Appelé quand le token est validé avec succès
-        OnTokenValidated = context =>
+        // Appelé quand le token est validé avec succès :
+        // le token doit appartenir à une session encore ouverte (déconnexion effective immédiatement)
+        OnTokenValidated = async context =>
         {
+            var sessionClaim = context.Principal?.FindFirst(JwtRegisteredClaimNames.Sid)?.Value;
+            var sessionService = context.HttpContext.RequestServices.GetRequiredService<ISessionService>();
+
+            if (!Guid.TryParse(sessionClaim, out var sessionId) || !await sessionService.IsActiveAsync(sessionId))
+            {
+                context.Fail("Session révoquée ou expirée");
+                return;
+            }
+
             Console.WriteLine($"Token validé pour : {context.Principal?.Identity?.Name}");
-            return Task.CompletedTask;
         }
     };
 });
@@ -164,6 +195,47 @@ builder.Services.AddCors(options =>
     });
 });
 
+// LIMITATION DU NOMBRE DE REQUÊTES (section "RateLimiting" de appsettings.json)
+// Politiques appliquées avec [EnableRateLimiting("...")] :
+// - "auth" : inscription, connexion, mot de passe oublié - par adresse IP (AuthPermitLimit par AuthWindowSeconds)
+// - "search" : recherche de membres et de publications - par membre connecté, sinon par adresse IP
+//   (SearchPermitLimit par SearchWindowSeconds, assez large pour l'autocomplétion des mentions)
+// Au-delà : 429 Too Many Requests avec le header Retry-After (en secondes)
+var authPermitLimit = builder.Configuration.GetValue("RateLimiting:AuthPermitLimit", 10);
+var authWindow = TimeSpan.FromSeconds(builder.Configuration.GetValue("RateLimiting:AuthWindowSeconds", 60));
+var searchPermitLimit = builder.Configuration.GetValue("RateLimiting:SearchPermitLimit", 60);
+var searchWindow = TimeSpan.FromSeconds(builder.Configuration.GetValue("RateLimiting:SearchWindowSeconds", 60));
+
+builder.Services.AddRateLimiter(options =>
+{
+    options.RejectionStatusCode = StatusCodes.Status429TooManyRequests;
+
+    options.AddPolicy("auth", context => RateLimitPartition.GetFixedWindowLimiter(
+        context.Connection.RemoteIpAddress?.ToString() ?? "unknown",
+        _ => new FixedWindowRateLimiterOptions { PermitLimit = authPermitLimit, Window = authWindow }));
+
+    options.AddPolicy("search", context => RateLimitPartition.GetFixedWindowLimiter(
+        // Le handler JwtBearer mappe le claim "sub" du token vers ClaimTypes.NameIdentifier
+        context.User.FindFirst(ClaimTypes.NameIdentifier)?.Value
+            ?? context.Connection.RemoteIpAddress?.ToString() ?? "unknown",
+        _ => new FixedWindowRateLimiterOptions { PermitLimit = searchPermitLimit, Window = searchWindow }));
+
+    // Même format que les autres erreurs de l'API ({ message }), avec l'attente restante
+    options.OnRejected = async (context, cancellationToken) =>
+    {
+        var retryAfterSeconds = context.Lease.TryGetMetadata(MetadataName.RetryAfter, out var retryAfter)
+            ? (int)Math.Ceiling(retryAfter.TotalSeconds)
+            : 60;
+
+        context.HttpContext.Response.Headers.RetryAfter = retryAfterSeconds.ToString();
+        await context.HttpContext.Response.WriteAsJsonAsync(new
+        {
+            message = $"Trop de requêtes, réessayez dans {retryAfterSeconds} secondes",
+            retryAfterSeconds
+        }, cancellationToken);
+    };
+});
+
 // CONSTRUCTION DE L'APPLICATION
 var app = builder.Build();
 
@@ -221,6 +293,13 @@ app.Use(async (context, next) =>
 // Fichiers statiques (CSS, JS, images dans wwwroot/)
 app.UseStaticFiles();
 
+// WebSockets pour la messagerie temps réel (voir RealtimeController)
+// KeepAlive : ping régulier pour que les proxies ne coupent pas les connexions inactives
+app.UseWebSockets(new WebSocketOptions
+{
+    KeepAliveInterval = TimeSpan.FromSeconds(30)
+});
+
 // Debug - Affiche les informations de chaque requête
 // Affiche la méthode HTTP, le chemin, et le header Authorization (tronqué)
 app.Use(async (context, next) =>
@@ -244,6 +323,12 @@ app.Use(async (context, next) =>
 // UseAuthorization : Vérifie les droits d'accès (attributs [Authorize])
 // Ordre important
 app.UseAuthentication();
+
+// Limitation du nombre de requêtes : après l'authentification (la politique "search" est par membre,
+// il faut donc que le ClaimsPrincipal soit déjà créé) et avant l'autorisation, pour que les requêtes
+// refusées en 401/403 comptent aussi dans les limites
+app.UseRateLimiter();
+
 app.UseAuthorization();
 
 // Mapping des Controllers API
@@ -267,6 +352,9 @@ if (app.Environment.IsDevelopment() || app.Environment.EnvironmentName == "Docke
     // Crée la base de données et les tables si nécessaire
     dbContext.Database.EnsureCreated();
 
+    // Ajoute aux tables existantes les colonnes apparues depuis leur création
+    await SchemaUpdater.ApplyAsync(dbContext);
+
     // Insère les données de test (utilisateurs, posts, etc.)
     await DataSeeder.SeedAsync(dbContext);
 }
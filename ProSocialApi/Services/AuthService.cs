@@ -1,9 +1,19 @@
 // AUTHSERVICE.CS - Service d'authentification
-// Implémente IAuthService : gère l'inscription et la connexion des utilisateurs.
-// Utilise BCrypt pour le hachage des mots de passe et JWT pour les tokens.
+// Implémente IAuthService : gère l'inscription et la connexion des utilisateurs
+// (avec un code de double authentification si elle est activée), le renouvellement des sessions, la réinitialisation du mot de passe et la confirmation
+// de l'adresse email.
+// Utilise BCrypt pour le hachage des mots de passe, un JWT de courte durée pour les requêtes
+// (Jwt:AccessTokenMinutes, défaut: 15) et un refresh token par session (voir SessionService).
+//
+// Liens envoyés par email (section "AccountTokens" de appsettings.json) :
+// - PasswordResetMinutes : validité d'un lien de réinitialisation (défaut: 60)
+// - EmailVerificationHours : validité d'un lien de confirmation (défaut: 48)
+// Les liens pointent vers "App:BaseUrl" (jamais vers l'hôte de la requête, qui peut être falsifié).
+// Les échecs de connexion sont comptés par LoginAttemptService (délais progressifs puis verrouillage).
 
 using System.IdentityModel.Tokens.Jwt;
 using System.Security.Claims;
+using System.Security.Cryptography;
 using System.Text;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.IdentityModel.Tokens;
@@ -20,6 +30,11 @@ namespace ProSocialApi.Services;
 /// </summary>
 public class AuthService : IAuthService
 {
+    // Usages des tokens envoyés par email (un token ne sert que pour l'usage prévu)
+    private const string PasswordResetPurpose = "password-reset";
+    private const string EmailVerificationPurpose = "email-verification";
+    private const string TwoFactorLoginPurpose = "two-factor-login";
+
     // DÉPENDANCES INJECTÉES
     /// <summary>
     /// Contexte de base de données pour accéder aux utilisateurs.
@@ -31,14 +46,39 @@ public class AuthService : IAuthService
     /// </summary>
     private readonly IConfiguration _configuration;
 
+    /// <summary>
+    /// Envoi des emails de réinitialisation et de confirmation.
+    /// </summary>
+    private readonly IEmailSender _emailSender;
+
+    /// <summary>
+    /// Sessions (une par appareil connecté) et leurs refresh tokens.
+    /// </summary>
+    private readonly ISessionService _sessionService;
+
+    /// <summary>
+    /// Vérification des codes de double authentification.
+    /// </summary>
+    private readonly ITwoFactorService _twoFactorService;
+
+    /// <summary>
+    /// Suivi des échecs de connexion par compte et par adresse IP.
+    /// </summary>
+    private readonly ILoginAttemptService _loginAttemptService;
+
     /// <summary>
     /// Constructeur avec injection de dépendances.
     /// Les dépendances sont fournies automatiquement par le container DI.
     /// </summary>
-    public AuthService(ApplicationDbContext context, IConfiguration configuration)
+    public AuthService(ApplicationDbContext context, IConfiguration configuration, IEmailSender emailSender,
+        ISessionService sessionService, ITwoFactorService twoFactorService, ILoginAttemptService loginAttemptService)
     {
         _context = context;
         _configuration = configuration;
+        _emailSender = emailSender;
+        _sessionService = sessionService;
+        _twoFactorService = twoFactorService;
+        _loginAttemptService = loginAttemptService;
     }
 
     // MÉTHODES PUBLIQUES (Interface IAuthService)
@@ -49,9 +89,10 @@ public class AuthService : IAuthService
     /// 1. Vérifie l'unicité de l'email (insensible à la casse)
     /// 2. Hash le mot de passe avec BCrypt
     /// 3. Crée l'utilisateur en base
-    /// 4. Génère un token JWT
+    /// 4. Envoie le lien de confirmation de l'adresse email
+    /// 5. Ouvre une session et génère un token JWT
     /// </summary>
-    public async Task<AuthResponseDto> RegisterAsync(RegisterDto registerDto)
+    public async Task<AuthResponseDto> RegisterAsync(RegisterDto registerDto, string? userAgent = null, string? ipAddress = null)
     {
         // Vérifier si l'email existe déjà (comparaison insensible à la casse)
         var existingUser = await _context.Users
@@ -81,16 +122,18 @@ public class AuthService : IAuthService
         _context.Users.Add(user);
         await _context.SaveChangesAsync();
 
-        // Générer le token JWT pour connexion automatique après inscription
-        var token = GenerateJwtToken(user);
-
-        return new AuthResponseDto
+        // Le compte est créé même si l'email ne part pas : le lien peut être renvoyé depuis le bandeau
+        try
         {
-            Success = true,
-            Message = "Inscription réussie",
-            Token = token,
-            User = MapToUserInfo(user)
-        };
+            await SendEmailVerificationAsync(user);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Email de confirmation non envoyé à {user.Email} : {ex.Message}");
+        }
+
+        // Connexion automatique après inscription
+        return await StartSessionAsync(user, "Inscription réussie", userAgent, ipAddress);
     }
 
     /// <summary>
@@ -98,16 +141,27 @@ public class AuthService : IAuthService
     ///
     /// Sécurité : Le message d'erreur est générique ("Email ou mot de passe incorrect")
     /// pour ne pas révéler si l'email existe ou non (protection contre l'énumération).
+    /// Un compte suspendu par la modération est refusé (après vérification du mot de passe,
+    /// pour ne rien révéler à un tiers).
+    /// Si la double authentification est activée, aucune session n'est ouverte : la réponse contient
+    /// un token de courte durée à renvoyer avec le code (LoginWithTwoFactorAsync).
+    /// Après plusieurs échecs pour cet email ou cette adresse IP, la tentative est refusée sans vérifier
+    /// le mot de passe et la réponse indique l'attente restante (RetryAfterSeconds).
     /// </summary>
-    public async Task<AuthResponseDto> LoginAsync(LoginDto loginDto)
+    public async Task<AuthResponseDto> LoginAsync(LoginDto loginDto, string? userAgent = null, string? ipAddress = null)
     {
+        var retryAfter = _loginAttemptService.GetRetryAfter(loginDto.Email, ipAddress);
+        if (retryAfter != null)
+            return CreateTooManyAttemptsResponse(retryAfter.Value);
+
         // Rechercher l'utilisateur par email (insensible à la casse)
         var user = await _context.Users
             .FirstOrDefaultAsync(u => u.Email.ToLower() == loginDto.Email.ToLower());
 
-        // Utilisateur non trouvé - message générique
+        // Utilisateur non trouvé - message générique (l'échec est compté comme pour un compte existant)
         if (user == null)
         {
+            _loginAttemptService.RecordFailure(loginDto.Email, ipAddress);
             return new AuthResponseDto
             {
                 Success = false,
@@ -119,6 +173,7 @@ public class AuthService : IAuthService
         // BCrypt.Verify compare le mot de passe en clair avec le hash stocké
         if (!BCrypt.Net.BCrypt.Verify(loginDto.Password, user.Password))
         {
+            _loginAttemptService.RecordFailure(loginDto.Email, ipAddress);
             return new AuthResponseDto
             {
                 Success = false,
@@ -126,19 +181,357 @@ public class AuthService : IAuthService
             };
         }
 
-        // Authentification réussie - générer le token
-        var token = GenerateJwtToken(user);
+        // Compte suspendu par la modération
+        if (user.IsSuspended)
+        {
+            return new AuthResponseDto
+            {
+                Success = false,
+                Message = "Ce compte a été suspendu par la modération"
+            };
+        }
+
+        // Double authentification : le mot de passe est correct, reste le code de l'application
+        if (user.IsTwoFactorEnabled)
+        {
+            var minutes = _configuration.GetValue("AccountTokens:TwoFactorLoginMinutes", 5);
+
+            return new AuthResponseDto
+            {
+                Success = false,
+                Message = "Saisissez le code de votre application d'authentification",
+                RequiresTwoFactor = true,
+                TwoFactorToken = CreateAccountToken(user, TwoFactorLoginPurpose, TimeSpan.FromMinutes(minutes))
+            };
+        }
+
+        // Authentification réussie - ouvrir une session sur cet appareil
+        // (avec la double authentification, les échecs ne sont oubliés qu'après le code)
+        _loginAttemptService.RecordSuccess(user.Email);
+        return await StartSessionAsync(user, "Connexion réussie", userAgent, ipAddress);
+    }
+
+    /// <summary>
+    /// Seconde étape de la connexion : vérifie le code de double authentification (ou un code de secours)
+    /// puis ouvre la session.
+    /// Les codes incorrects sont comptés comme des échecs de connexion : les 10^6 codes possibles
+    /// ne peuvent pas être essayés pendant la validité du token.
+    /// </summary>
+    public async Task<AuthResponseDto> LoginWithTwoFactorAsync(TwoFactorLoginDto loginDto, string? userAgent = null, string? ipAddress = null)
+    {
+        var user = await ReadAccountTokenAsync(loginDto.TwoFactorToken, TwoFactorLoginPurpose);
+
+        if (user == null || user.IsSuspended || !user.IsTwoFactorEnabled)
+        {
+            return new AuthResponseDto
+            {
+                Success = false,
+                Message = "La connexion a expiré, veuillez recommencer"
+            };
+        }
+
+        var retryAfter = _loginAttemptService.GetRetryAfter(user.Email, ipAddress);
+        if (retryAfter != null)
+        {
+            var response = CreateTooManyAttemptsResponse(retryAfter.Value);
+            response.RequiresTwoFactor = true;
+            response.TwoFactorToken = loginDto.TwoFactorToken;
+            return response;
+        }
+
+        if (!await _twoFactorService.VerifyCodeAsync(user, loginDto.Code))
+        {
+            _loginAttemptService.RecordFailure(user.Email, ipAddress);
+            return new AuthResponseDto
+            {
+                Success = false,
+                Message = "Code de vérification incorrect",
+                RequiresTwoFactor = true,
+                TwoFactorToken = loginDto.TwoFactorToken
+            };
+        }
+
+        _loginAttemptService.RecordSuccess(user.Email);
+        return await StartSessionAsync(user, "Connexion réussie", userAgent, ipAddress);
+    }
+
+    /// <summary>
+    /// Génère un nouveau JWT à partir du refresh token de la session (rotation du refresh token).
+    /// Refusé si la session a été déconnectée, a expiré, si le token a déjà servi ou si le compte est suspendu.
+    /// </summary>
+    public async Task<AuthResponseDto> RefreshAsync(string? refreshToken, string? ipAddress = null)
+    {
+        var (session, newRefreshToken) = await _sessionService.RefreshAsync(refreshToken, ipAddress);
+
+        if (session == null)
+        {
+            return new AuthResponseDto
+            {
+                Success = false,
+                Message = "Session expirée, veuillez vous reconnecter"
+            };
+        }
 
         return new AuthResponseDto
         {
             Success = true,
-            Message = "Connexion réussie",
-            Token = token,
-            User = MapToUserInfo(user)
+            Message = "Session renouvelée",
+            Token = GenerateJwtToken(session.User, session.Id),
+            RefreshToken = newRefreshToken,
+            User = MapToUserInfo(session.User)
         };
     }
 
+    /// <summary>
+    /// Ferme la session de l'appareil (son refresh token et ses JWT ne sont plus acceptés).
+    /// </summary>
+    public async Task LogoutAsync(string? refreshToken)
+    {
+        await _sessionService.RevokeByRefreshTokenAsync(refreshToken);
+    }
+
+    /// <summary>
+    /// Envoie un lien de réinitialisation du mot de passe si un compte utilise cette adresse.
+    /// Ne renvoie rien : l'appelant ne doit pas pouvoir savoir si l'adresse est inscrite.
+    /// </summary>
+    public async Task RequestPasswordResetAsync(string email)
+    {
+        var user = await _context.Users
+            .FirstOrDefaultAsync(u => u.Email.ToLower() == email.ToLower());
+
+        if (user == null)
+            return;
+
+        var minutes = _configuration.GetValue("AccountTokens:PasswordResetMinutes", 60);
+        var token = CreateAccountToken(user, PasswordResetPurpose, TimeSpan.FromMinutes(minutes));
+        var link = $"{GetBaseUrl()}/AuthView/ResetPassword?token={Uri.EscapeDataString(token)}";
+
+        await _emailSender.SendAsync(user.Email, "Réinitialisation de votre mot de passe Pro Social",
+            $"""
+            Bonjour {user.FirstName},
+
+            Vous avez demandé à réinitialiser le mot de passe de votre compte Pro Social.
+            Choisissez un nouveau mot de passe en suivant ce lien (valable {minutes} minutes) :
+
+            {link}
+
+            Si vous n'êtes pas à l'origine de cette demande, ignorez cet email : votre mot de passe reste inchangé.
+            """);
+    }
+
+    /// <summary>
+    /// Remplace le mot de passe du compte désigné par le token.
+    ///
+    /// Le token est à usage unique : il contient une empreinte du mot de passe actuel,
+    /// qui ne correspond plus une fois le mot de passe changé.
+    /// Suivre le lien prouve aussi l'accès à la boîte mail : l'adresse est confirmée au passage.
+    /// Toutes les sessions sont fermées : un appareil qui connaissait l'ancien mot de passe est déconnecté.
+    /// </summary>
+    public async Task<bool> ResetPasswordAsync(ResetPasswordDto resetDto)
+    {
+        var user = await ReadAccountTokenAsync(resetDto.Token, PasswordResetPurpose);
+        if (user == null)
+            return false;
+
+        user.Password = BCrypt.Net.BCrypt.HashPassword(resetDto.Password);
+        user.EmailVerifiedAt ??= DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        await _sessionService.RevokeAllAsync(user.Id);
+        return true;
+    }
+
+    /// <summary>
+    /// Envoie (ou renvoie) le lien de confirmation de l'adresse email.
+    /// </summary>
+    /// <returns>False si le compte n'existe pas ou si l'adresse est déjà confirmée</returns>
+    public async Task<bool> SendEmailVerificationAsync(Guid userId)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null || user.IsEmailVerified)
+            return false;
+
+        await SendEmailVerificationAsync(user);
+        return true;
+    }
+
+    /// <summary>
+    /// Confirme l'adresse email du compte désigné par le token.
+    /// Le token est lié à l'adresse : il ne sert plus si l'adresse a changé ou est déjà confirmée.
+    /// </summary>
+    /// <returns>ID du compte confirmé, ou null si le lien est invalide, expiré ou déjà utilisé</returns>
+    public async Task<Guid?> VerifyEmailAsync(string token)
+    {
+        var user = await ReadAccountTokenAsync(token, EmailVerificationPurpose);
+        if (user == null || user.IsEmailVerified)
+            return null;
+
+        user.EmailVerifiedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        return user.Id;
+    }
+
     // MÉTHODES PRIVÉES
+    /// <summary>
+    /// Réponse d'une tentative refusée après trop d'échecs, avec l'attente restante arrondie à la seconde supérieure.
+    /// </summary>
+    private static AuthResponseDto CreateTooManyAttemptsResponse(TimeSpan retryAfter)
+    {
+        var seconds = (int)Math.Ceiling(retryAfter.TotalSeconds);
+
+        return new AuthResponseDto
+        {
+            Success = false,
+            Message = $"Trop de tentatives de connexion, réessayez dans {FormatWait(seconds)}",
+            RetryAfterSeconds = seconds
+        };
+    }
+
+    private static string FormatWait(int seconds)
+    {
+        if (seconds < 60)
+            return seconds > 1 ? $"{seconds} secondes" : "1 seconde";
+
+        var minutes = (int)Math.Ceiling(seconds / 60.0);
+        return minutes > 1 ? $"{minutes} minutes" : "1 minute";
+    }
+
+    /// <summary>
+    /// Ouvre une session pour le membre authentifié et prépare la réponse (JWT, refresh token, infos).
+    /// </summary>
+    private async Task<AuthResponseDto> StartSessionAsync(User user, string message, string? userAgent, string? ipAddress)
+    {
+        var (session, refreshToken) = await _sessionService.CreateAsync(user.Id, userAgent, ipAddress);
+
+        return new AuthResponseDto
+        {
+            Success = true,
+            Message = message,
+            Token = GenerateJwtToken(user, session.Id),
+            RefreshToken = refreshToken,
+            User = MapToUserInfo(user)
+        };
+    }
+
+    /// <summary>
+    /// Envoie le lien de confirmation à l'adresse du compte.
+    /// </summary>
+    private async Task SendEmailVerificationAsync(User user)
+    {
+        var hours = _configuration.GetValue("AccountTokens:EmailVerificationHours", 48);
+        var token = CreateAccountToken(user, EmailVerificationPurpose, TimeSpan.FromHours(hours));
+        var link = $"{GetBaseUrl()}/AuthView/VerifyEmail?token={Uri.EscapeDataString(token)}";
+
+        await _emailSender.SendAsync(user.Email, "Confirmez votre adresse email Pro Social",
+            $"""
+            Bonjour {user.FirstName},
+
+            Bienvenue sur Pro Social ! Confirmez votre adresse email en suivant ce lien (valable {hours} heures) :
+
+            {link}
+
+            Si vous n'avez pas créé de compte, ignorez cet email.
+            """);
+    }
+
+    /// <summary>
+    /// Adresse publique du site, utilisée dans les liens des emails.
+    /// </summary>
+    private string GetBaseUrl()
+    {
+        return (_configuration["App:BaseUrl"] ?? "http://localhost:5184").TrimEnd('/');
+    }
+
+    /// <summary>
+    /// Crée un token signé (HMAC-SHA256) pour un usage et une durée donnés.
+    ///
+    /// Format : base64url(usage|id|expiration|empreinte) + "." + base64url(signature)
+    /// L'empreinte résume l'état du compte concerné par l'usage (voir GetAccountStamp) :
+    /// rien n'est stocké en base, le token devient invalide dès que cet état change.
+    /// </summary>
+    private string CreateAccountToken(User user, string purpose, TimeSpan lifetime)
+    {
+        var expiresAt = DateTimeOffset.UtcNow.Add(lifetime).ToUnixTimeSeconds();
+        var payload = Encoding.UTF8.GetBytes($"{purpose}|{user.Id:N}|{expiresAt}|{GetAccountStamp(user, purpose)}");
+
+        return $"{Base64UrlEncoder.Encode(payload)}.{Base64UrlEncoder.Encode(SignAccountToken(payload))}";
+    }
+
+    /// <summary>
+    /// Vérifie un token (signature, usage, expiration, empreinte) et retourne le compte concerné.
+    /// </summary>
+    /// <returns>Le compte, ou null si le token est invalide, expiré ou déjà utilisé</returns>
+    private async Task<User?> ReadAccountTokenAsync(string? token, string purpose)
+    {
+        var parts = token?.Split('.');
+        if (parts == null || parts.Length != 2)
+            return null;
+
+        byte[] payload;
+        byte[] signature;
+        try
+        {
+            payload = Base64UrlEncoder.DecodeBytes(parts[0]);
+            signature = Base64UrlEncoder.DecodeBytes(parts[1]);
+        }
+        catch (Exception ex) when (ex is FormatException or ArgumentException)
+        {
+            return null;
+        }
+
+        // Comparaison en temps constant : le temps de réponse ne révèle pas la signature attendue
+        if (!CryptographicOperations.FixedTimeEquals(signature, SignAccountToken(payload)))
+            return null;
+
+        var fields = Encoding.UTF8.GetString(payload).Split('|');
+        if (fields.Length != 4
+            || fields[0] != purpose
+            || !Guid.TryParse(fields[1], out var userId)
+            || !long.TryParse(fields[2], out var expiresAt)
+            || DateTimeOffset.UtcNow.ToUnixTimeSeconds() > expiresAt)
+        {
+            return null;
+        }
+
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null || fields[3] != GetAccountStamp(user, purpose))
+            return null;
+
+        return user;
+    }
+
+    /// <summary>
+    /// Empreinte de l'état du compte qui rend un token caduc une fois utilisé :
+    /// - réinitialisation : le hash du mot de passe (change avec le nouveau mot de passe)
+    /// - confirmation : l'adresse email (le lien ne confirme que l'adresse à laquelle il a été envoyé)
+    /// - connexion en deux étapes : le mot de passe et la clé TOTP (changer l'un ou l'autre annule la connexion en cours)
+    /// </summary>
+    private static string GetAccountStamp(User user, string purpose)
+    {
+        var state = purpose switch
+        {
+            PasswordResetPurpose => user.Password,
+            TwoFactorLoginPurpose => $"{user.Password}|{user.TwoFactorSecret}",
+            _ => user.Email
+        };
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(state));
+        return Base64UrlEncoder.Encode(hash[..16]);
+    }
+
+    /// <summary>
+    /// Signature HMAC-SHA256 d'un token.
+    /// La clé est dérivée du secret JWT (et distincte de lui) : un token de lien ne peut pas servir de JWT.
+    /// </summary>
+    private byte[] SignAccountToken(byte[] payload)
+    {
+        var secret = _configuration["Jwt:Secret"]
+            ?? throw new InvalidOperationException("JWT Secret not configured");
+        var key = SHA256.HashData(Encoding.UTF8.GetBytes($"account-tokens:{secret}"));
+
+        return HMACSHA256.HashData(key, payload);
+    }
+
     /// <summary>
     /// Génère un token JWT pour un utilisateur authentifié.
     ///
@@ -147,19 +540,22 @@ public class AuthService : IAuthService
     /// - email : Email de l'utilisateur
     /// - given_name : Prénom
     /// - family_name : Nom
-    /// - jti : ID unique du token (pour invalidation potentielle)
-    /// - exp : Date d'expiration
+    /// - role : Rôle (Member, Moderator, Admin) pour [Authorize(Roles = ...)]
+    /// - sid : ID de la session (le token est refusé dès que la session est supprimée)
+    /// - jti : ID unique du token
+    /// - exp : Date d'expiration (courte : le token est renouvelé avec le refresh token)
     /// </summary>
     /// <param name="user">Utilisateur pour lequel générer le token</param>
+    /// <param name="sessionId">Session de l'appareil</param>
     /// <returns>Token JWT encodé en string</returns>
-    private string GenerateJwtToken(User user)
+    private string GenerateJwtToken(User user, Guid sessionId)
     {
         // Récupérer les paramètres JWT depuis appsettings.json
         var secret = _configuration["Jwt:Secret"]
             ?? throw new InvalidOperationException("JWT Secret not configured");
         var issuer = _configuration["Jwt:Issuer"];
         var audience = _configuration["Jwt:Audience"];
-        var expiresInDays = int.Parse(_configuration["Jwt:ExpiresInDays"] ?? "7");
+        var expiresInMinutes = _configuration.GetValue("Jwt:AccessTokenMinutes", 15);
 
         // Créer la clé de signature à partir du secret
         var securityKey = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(secret));
@@ -173,6 +569,8 @@ public class AuthService : IAuthService
             new Claim(JwtRegisteredClaimNames.Email, user.Email),
             new Claim(JwtRegisteredClaimNames.GivenName, user.FirstName),
             new Claim(JwtRegisteredClaimNames.FamilyName, user.LastName),
+            new Claim(ClaimTypes.Role, user.Role.ToString()),                   // Écrit "role" dans le token
+            new Claim(JwtRegisteredClaimNames.Sid, sessionId.ToString()),       // Session de l'appareil
             new Claim(JwtRegisteredClaimNames.Jti, Guid.NewGuid().ToString()) // ID unique du token
         };
 
@@ -181,7 +579,7 @@ public class AuthService : IAuthService
             issuer: issuer,
             audience: audience,
             claims: claims,
-            expires: DateTime.UtcNow.AddDays(expiresInDays), // Expiration en UTC
+            expires: DateTime.UtcNow.AddMinutes(expiresInMinutes), // Expiration en UTC
             signingCredentials: credentials
         );
 
@@ -202,7 +600,9 @@ public class AuthService : IAuthService
             FirstName = user.FirstName,
             LastName = user.LastName,
             Headline = user.Headline,
-            AvatarUrl = user.AvatarUrl
+            AvatarUrl = user.AvatarUrl,
+            Role = user.Role.ToString(),
+            EmailVerified = user.IsEmailVerified
         };
     }
 }
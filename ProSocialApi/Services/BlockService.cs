@@ -0,0 +1,171 @@
+// BLOCKSERVICE.CS - Service de blocage et de masquage de membres
+// Implémente IBlockService : enregistre les blocages et masquages.
+// Leur effet (filtrage du feed, de la recherche, des suggestions...) est
+// appliqué par les autres services via UserBlockQueries.
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Users;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de blocage et de masquage de membres.
+/// </summary>
+public class BlockService : IBlockService
+{
+    private readonly ApplicationDbContext _context;
+
+    public BlockService(ApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    /// <summary>
+    /// Bloque un membre et supprime la connexion ou demande éventuelle entre les deux.
+    /// </summary>
+    public async Task<(bool Success, string Message)> BlockAsync(Guid userId, Guid blockedUserId)
+    {
+        if (userId == blockedUserId)
+            return (false, "Vous ne pouvez pas vous bloquer vous-même");
+
+        if (!await _context.Users.AnyAsync(u => u.Id == blockedUserId))
+            return (false, "Utilisateur non trouvé");
+
+        var alreadyBlocked = await _context.UserBlocks
+            .AnyAsync(b => b.UserId == userId && b.BlockedUserId == blockedUserId);
+
+        if (alreadyBlocked)
+            return (true, "Membre bloqué");
+
+        _context.UserBlocks.Add(new UserBlock
+        {
+            UserId = userId,
+            BlockedUserId = blockedUserId
+        });
+
+        // Connexion (ou demande en attente) dans un sens ou dans l'autre
+        var connections = await _context.Connections
+            .Where(c =>
+                (c.RequesterId == userId && c.AddresseeId == blockedUserId) ||
+                (c.RequesterId == blockedUserId && c.AddresseeId == userId))
+            .ToListAsync();
+        _context.Connections.RemoveRange(connections);
+
+        await _context.SaveChangesAsync();
+
+        return (true, "Membre bloqué");
+    }
+
+    /// <summary>
+    /// Lève un blocage posé par l'utilisateur.
+    /// </summary>
+    public async Task<(bool Success, string Message)> UnblockAsync(Guid userId, Guid blockedUserId)
+    {
+        var block = await _context.UserBlocks
+            .FirstOrDefaultAsync(b => b.UserId == userId && b.BlockedUserId == blockedUserId);
+
+        if (block == null)
+            return (false, "Ce membre n'est pas bloqué");
+
+        _context.UserBlocks.Remove(block);
+        await _context.SaveChangesAsync();
+
+        return (true, "Membre débloqué");
+    }
+
+    /// <summary>
+    /// Récupère les membres bloqués par l'utilisateur.
+    /// </summary>
+    public async Task<List<RestrictedUserDto>> GetBlockedUsersAsync(Guid userId)
+    {
+        return await _context.UserBlocks
+            .Where(b => b.UserId == userId)
+            .OrderByDescending(b => b.CreatedAt)
+            .Select(b => new RestrictedUserDto
+            {
+                Id = b.BlockedUser.Id,
+                FirstName = b.BlockedUser.FirstName,
+                LastName = b.BlockedUser.LastName,
+                Headline = b.BlockedUser.Headline,
+                AvatarUrl = b.BlockedUser.AvatarUrl,
+                Since = b.CreatedAt
+            })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Masque les publications d'un membre dans le feed de l'utilisateur.
+    /// </summary>
+    public async Task<(bool Success, string Message)> MuteAsync(Guid userId, Guid mutedUserId)
+    {
+        if (userId == mutedUserId)
+            return (false, "Vous ne pouvez pas vous masquer vous-même");
+
+        if (!await _context.Users.AnyAsync(u => u.Id == mutedUserId))
+            return (false, "Utilisateur non trouvé");
+
+        var alreadyMuted = await _context.UserMutes
+            .AnyAsync(m => m.UserId == userId && m.MutedUserId == mutedUserId);
+
+        if (!alreadyMuted)
+        {
+            _context.UserMutes.Add(new UserMute
+            {
+                UserId = userId,
+                MutedUserId = mutedUserId
+            });
+            await _context.SaveChangesAsync();
+        }
+
+        return (true, "Publications masquées");
+    }
+
+    /// <summary>
+    /// Réaffiche les publications d'un membre masqué.
+    /// </summary>
+    public async Task<(bool Success, string Message)> UnmuteAsync(Guid userId, Guid mutedUserId)
+    {
+        var mute = await _context.UserMutes
+            .FirstOrDefaultAsync(m => m.UserId == userId && m.MutedUserId == mutedUserId);
+
+        if (mute == null)
+            return (false, "Ce membre n'est pas masqué");
+
+        _context.UserMutes.Remove(mute);
+        await _context.SaveChangesAsync();
+
+        return (true, "Publications réaffichées");
+    }
+
+    /// <summary>
+    /// Récupère les membres masqués par l'utilisateur.
+    /// </summary>
+    public async Task<List<RestrictedUserDto>> GetMutedUsersAsync(Guid userId)
+    {
+        return await _context.UserMutes
+            .Where(m => m.UserId == userId)
+            .OrderByDescending(m => m.CreatedAt)
+            .Select(m => new RestrictedUserDto
+            {
+                Id = m.MutedUser.Id,
+                FirstName = m.MutedUser.FirstName,
+                LastName = m.MutedUser.LastName,
+                Headline = m.MutedUser.Headline,
+                AvatarUrl = m.MutedUser.AvatarUrl,
+                Since = m.CreatedAt
+            })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Indique si un blocage existe entre deux membres (dans les deux sens).
+    /// </summary>
+    public Task<bool> IsBlockedAsync(Guid userId, Guid otherUserId)
+    {
+        return _context.IsBlockedAsync(userId, otherUserId);
+    }
+}
@@ -1,11 +1,16 @@
 // COMMENTSERVICE.CS - Service de gestion des commentaires
 // Implémente ICommentService : gère les commentaires sur les posts.
-// Opérations : création, liste, suppression de commentaires.
+// Opérations : création (avec réponses sur un niveau), liste, modification,
+// suppression de commentaires. Les mentions "@Prénom Nom" sont enregistrées
+// et notifiées à la création comme à la modification.
 
 using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
 using ProSocialApi.DTOs.Comments;
+using ProSocialApi.DTOs.Posts;
 using ProSocialApi.Services.Interfaces;
 
 namespace ProSocialApi.Services;
@@ -17,70 +22,165 @@ public class CommentService : ICommentService
 {
     private readonly ApplicationDbContext _context;
     private readonly ISanitizationService _sanitizer;
+    private readonly INotificationService _notificationService;
 
-    public CommentService(ApplicationDbContext context, ISanitizationService sanitizer)
+    public CommentService(ApplicationDbContext context, ISanitizationService sanitizer, INotificationService notificationService)
     {
         _context = context;
         _sanitizer = sanitizer;
+        _notificationService = notificationService;
     }
 
     /// <summary>
-    /// Crée un nouveau commentaire sur un post.
-    /// Vérifie que le post existe avant de créer le commentaire.
+    /// Crée un nouveau commentaire (ou une réponse) sur un post.
+    /// Vérifie que le post existe, et que le parent éventuel appartient au même post.
+    /// Un membre bloqué (par l'auteur du post ou du commentaire parent, ou qui l'a bloqué)
+    /// ne peut pas commenter : le post ou le parent est traité comme inexistant.
     /// </summary>
     public async Task<CommentDto?> CreateAsync(Guid postId, Guid authorId, CreateCommentDto createDto)
     {
         // Vérifier que le post cible existe
         var post = await _context.Posts.FindAsync(postId);
-        if (post == null)
+        if (post == null || await _context.IsBlockedAsync(authorId, post.AuthorId))
             return null;
 
+        // Réponse : le parent doit exister sur ce post et ne pas être supprimé
+        Comment? parent = null;
+        if (createDto.ParentId.HasValue)
+        {
+            parent = await _context.Comments.FindAsync(createDto.ParentId.Value);
+            if (parent == null || parent.PostId != postId || await _context.IsBlockedAsync(authorId, parent.AuthorId))
+                return null;
+
+            // Un seul niveau : répondre à une réponse revient à répondre au même fil
+            if (parent.ParentId.HasValue)
+                parent = await _context.Comments.FindAsync(parent.ParentId.Value);
+
+            if (parent == null || parent.IsDeleted || await _context.IsBlockedAsync(authorId, parent.AuthorId))
+                return null;
+        }
+
         // Créer le commentaire
         var comment = new Comment
         {
             PostId = postId,
             AuthorId = authorId,
+            ParentId = parent?.Id,
             Content = _sanitizer.StripAllHtml(createDto.Content) // Sanitize XSS
         };
 
         _context.Comments.Add(comment);
         await _context.SaveChangesAsync();
 
+        // Prévenir l'auteur du post (ignoré s'il commente son propre post)
+        var notificationData = new NotificationData { PostId = postId.ToString(), CommentId = comment.Id.ToString() };
+        await _notificationService.NotifyAsync(post.AuthorId, authorId, NotificationType.NewComment, notificationData);
+
+        // Et l'auteur du commentaire parent pour une réponse (s'il n'est pas déjà l'auteur du post)
+        if (parent != null && parent.AuthorId != post.AuthorId)
+            await _notificationService.NotifyAsync(parent.AuthorId, authorId, NotificationType.CommentReply, notificationData);
+
+        await UpdateMentionsAsync(comment, createDto.MentionedUserIds);
+
         // Recharger le commentaire avec les infos de l'auteur pour le DTO
         var createdComment = await _context.Comments
             .Include(c => c.Author)
+            .Include(c => c.Mentions).ThenInclude(m => m.MentionedUser)
             .FirstOrDefaultAsync(c => c.Id == comment.Id);
 
         return MapToDto(createdComment!);
     }
 
     /// <summary>
-    /// Récupère tous les commentaires d'un post.
+    /// Récupère les commentaires de premier niveau d'un post, avec leur nombre de réponses.
     /// Triés du plus ancien au plus récent (ordre chronologique de conversation).
+    /// Les commentaires et réponses des membres bloqués sont exclus (un commentaire supprimé
+    /// reste affiché pour ses réponses : il n'expose plus son auteur).
     /// </summary>
-    public async Task<List<CommentDto>> GetByPostIdAsync(Guid postId)
+    public async Task<List<CommentDto>> GetByPostIdAsync(Guid postId, Guid? currentUserId = null)
     {
+        var blockedUserIds = _context.BlockedUserIds(currentUserId ?? Guid.Empty);
+
         var comments = await _context.Comments
             .Include(c => c.Author)
-            .Where(c => c.PostId == postId)
+            .Include(c => c.Replies.Where(r => !blockedUserIds.Contains(r.AuthorId)))
+            .Include(c => c.Mentions).ThenInclude(m => m.MentionedUser)
+            .Where(c => c.PostId == postId && c.ParentId == null)
+            .Where(c => c.IsDeleted || !blockedUserIds.Contains(c.AuthorId))
             .OrderBy(c => c.CreatedAt) // Plus anciens en premier (ordre de lecture)
             .ToListAsync();
 
         return comments.Select(MapToDto).ToList();
     }
 
+    /// <summary>
+    /// Récupère les réponses à un commentaire, du plus ancien au plus récent.
+    /// Les réponses des membres bloqués sont exclues, et le fil d'un commentaire
+    /// écrit par un membre bloqué est traité comme inexistant.
+    /// </summary>
+    public async Task<List<CommentDto>?> GetRepliesAsync(Guid commentId, Guid? currentUserId = null)
+    {
+        var blockedUserIds = _context.BlockedUserIds(currentUserId ?? Guid.Empty);
+
+        if (!await _context.Comments.AnyAsync(c => c.Id == commentId && (c.IsDeleted || !blockedUserIds.Contains(c.AuthorId))))
+            return null;
+
+        var replies = await _context.Comments
+            .Include(c => c.Author)
+            .Include(c => c.Mentions).ThenInclude(m => m.MentionedUser)
+            .Where(c => c.ParentId == commentId && !blockedUserIds.Contains(c.AuthorId))
+            .OrderBy(c => c.CreatedAt)
+            .ToListAsync();
+
+        return replies.Select(MapToDto).ToList();
+    }
+
+    /// <summary>
+    /// Modifie le contenu d'un commentaire. Seul l'auteur peut le modifier.
+    /// </summary>
+    public async Task<CommentDto?> UpdateAsync(Guid commentId, Guid userId, UpdateCommentDto updateDto)
+    {
+        var comment = await _context.Comments
+            .Include(c => c.Author)
+            .Include(c => c.Replies)
+            .Include(c => c.Mentions).ThenInclude(m => m.MentionedUser)
+            .FirstOrDefaultAsync(c => c.Id == commentId);
+
+        // Vérification : commentaire existe, non supprimé, ET utilisateur est l'auteur
+        if (comment == null || comment.IsDeleted || comment.AuthorId != userId)
+            return null;
+
+        comment.Content = _sanitizer.StripAllHtml(updateDto.Content); // Sanitize XSS
+        comment.UpdatedAt = DateTime.UtcNow;
+
+        await _context.SaveChangesAsync();
+        await UpdateMentionsAsync(comment, updateDto.MentionedUserIds);
+
+        // Les mentions ajoutées n'ont pas encore leur membre chargé
+        await _context.Entry(comment).Collection(c => c.Mentions).Query()
+            .Include(m => m.MentionedUser)
+            .LoadAsync();
+
+        return MapToDto(comment);
+    }
+
     /// <summary>
     /// Supprime un commentaire.
     /// Autorisé pour : l'auteur du commentaire OU l'auteur du post parent.
+    /// Un commentaire qui a des réponses est seulement marqué comme supprimé,
+    /// pour que ses réponses restent affichées sous un "commentaire supprimé".
     /// </summary>
     public async Task<bool> DeleteAsync(Guid commentId, Guid userId)
     {
         // Charger le commentaire avec le post parent pour vérifier les droits
         var comment = await _context.Comments
             .Include(c => c.Post)
+            .Include(c => c.Replies)
+            .Include(c => c.Parent)
+                .ThenInclude(p => p!.Replies)
             .FirstOrDefaultAsync(c => c.Id == commentId);
 
-        if (comment == null)
+        if (comment == null || comment.IsDeleted)
             return false;
 
         // Vérification des droits :
@@ -89,23 +189,68 @@ public class CommentService : ICommentService
         if (comment.AuthorId != userId && comment.Post.AuthorId != userId)
             return false;
 
-        _context.Comments.Remove(comment);
+        if (comment.Replies.Count > 0)
+        {
+            // Suppression logique : le fil des réponses est conservé
+            comment.IsDeleted = true;
+            comment.Content = string.Empty;
+            comment.UpdatedAt = DateTime.UtcNow;
+        }
+        else
+        {
+            _context.Comments.Remove(comment);
+
+            // Dernière réponse d'un parent déjà supprimé : le placeholder n'a plus lieu d'être
+            if (comment.Parent != null && comment.Parent.IsDeleted && comment.Parent.Replies.Count == 1)
+                _context.Comments.Remove(comment.Parent);
+        }
+
         await _context.SaveChangesAsync();
 
         return true;
     }
 
+    /// <summary>
+    /// Aligne les mentions enregistrées sur le contenu du commentaire,
+    /// puis prévient les membres nouvellement mentionnés.
+    /// </summary>
+    private async Task UpdateMentionsAsync(Comment comment, List<Guid>? mentionedUserIds)
+    {
+        var existingMentions = await _context.Mentions.Where(m => m.CommentId == comment.Id).ToListAsync();
+        var newMentionIds = await _context.UpdateMentionsAsync(comment.AuthorId, comment.Content, existingMentions,
+            mentionedUserIds, userId => new Mention { MentionedUserId = userId, CommentId = comment.Id });
+
+        await _context.SaveChangesAsync();
+
+        var notificationData = new NotificationData { PostId = comment.PostId.ToString(), CommentId = comment.Id.ToString() };
+        foreach (var userId in newMentionIds)
+            await _notificationService.NotifyAsync(userId, comment.AuthorId, NotificationType.Mention, notificationData);
+    }
+
     /// <summary>
     /// Convertit une entité Comment en CommentDto.
+    /// Un commentaire supprimé (conservé pour ses réponses) n'expose ni contenu ni auteur.
+    /// Le nombre de réponses n'est renseigné que si Replies a été chargé.
     /// </summary>
     private static CommentDto MapToDto(Comment comment)
     {
         return new CommentDto
         {
             Id = comment.Id,
-            Content = comment.Content,
+            PostId = comment.PostId,
+            ParentId = comment.ParentId,
+            Content = comment.IsDeleted ? string.Empty : comment.Content,
             CreatedAt = comment.CreatedAt,
-            Author = new CommentAuthorDto
+            UpdatedAt = comment.UpdatedAt,
+            IsDeleted = comment.IsDeleted,
+            RepliesCount = comment.Replies.Count,
+            Mentions = comment.IsDeleted ? new List<MentionDto>() : comment.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList(),
+            Author = comment.IsDeleted ? null : new CommentAuthorDto
             {
                 Id = comment.Author.Id,
                 FirstName = comment.Author.FirstName,
@@ -2,9 +2,12 @@
 // Implémente IConnectionService : gère les relations entre utilisateurs.
 // Flux : Demande (Pending) -> Acceptation/Refus -> Connexion établie
 
+using System.Text.RegularExpressions;
 using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
 using ProSocialApi.DTOs.Connections;
 using ProSocialApi.Services.Interfaces;
 
@@ -16,11 +19,31 @@ namespace ProSocialApi.Services;
 /// </summary>
 public class ConnectionService : IConnectionService
 {
+    // Paramètres du classement des suggestions
+    private const int MutualConnectionWeight = 3;   // Une relation en commun compte plus qu'un mot commun
+    private const int HeadlineKeywordWeight = 1;    // Mot en commun dans les titres professionnels
+    private const int MutualConnectionsShown = 3;   // Avatars de relations en commun par suggestion
+
+    // Taille des viviers de candidats classés en mémoire (le reste des membres n'est jamais chargé)
+    private const int MutualCandidatesPool = 200;   // Amis d'amis ayant le plus de relations en commun
+    private const int KeywordCandidatesPool = 100;  // Titres contenant un mot-clé, les plus récents
+    private const int MaxHeadlineKeywords = 8;      // Mots-clés du titre recherchés en base
+
+    // Séparateurs et mots ignorés lors de la comparaison des titres professionnels
+    private static readonly Regex HeadlineSeparator = new(@"[^\p{L}\p{N}#+]+", RegexOptions.Compiled);
+    private static readonly HashSet<string> HeadlineStopWords = new()
+    {
+        "de", "du", "des", "le", "la", "les", "un", "une", "et", "en", "au", "aux", "chez", "pour", "dans", "sur", "avec",
+        "of", "the", "and", "at", "in", "for", "to"
+    };
+
     private readonly ApplicationDbContext _context;
+    private readonly INotificationService _notificationService;
 
-    public ConnectionService(ApplicationDbContext context)
+    public ConnectionService(ApplicationDbContext context, INotificationService notificationService)
     {
         _context = context;
+        _notificationService = notificationService;
     }
 
     /// <summary>
@@ -38,6 +61,10 @@ public class ConnectionService : IConnectionService
         if (addressee == null)
             return (false, "Utilisateur non trouvé");
 
+        // Validation : aucun blocage entre les deux membres (dans un sens ou dans l'autre)
+        if (await _context.IsBlockedAsync(requesterId, addresseeId))
+            return (false, "Vous ne pouvez pas envoyer de demande de connexion à ce membre");
+
         // Vérifier si une connexion existe déjà (dans les deux sens A->B ou B->A)
         var existingConnection = await _context.Connections
             .FirstOrDefaultAsync(c =>
@@ -67,6 +94,10 @@ public class ConnectionService : IConnectionService
         _context.Connections.Add(connection);
         await _context.SaveChangesAsync();
 
+        // Prévenir le destinataire de la demande
+        await _notificationService.NotifyAsync(addresseeId, requesterId, NotificationType.ConnectionRequest,
+            new NotificationData { ConnectionId = connection.Id.ToString() });
+
         return (true, "Demande de connexion envoyée");
     }
 
@@ -95,6 +126,10 @@ public class ConnectionService : IConnectionService
 
         await _context.SaveChangesAsync();
 
+        // Prévenir le demandeur que sa demande a été acceptée
+        await _notificationService.NotifyAsync(connection.RequesterId, userId, NotificationType.ConnectionAccepted,
+            new NotificationData { ConnectionId = connection.Id.ToString() });
+
         return (true, "Demande acceptée");
     }
 
@@ -170,6 +205,49 @@ public class ConnectionService : IConnectionService
         }).ToList();
     }
 
+    /// <summary>
+    /// Récupère les demandes de connexion en attente ENVOYÉES par l'utilisateur.
+    /// </summary>
+    public async Task<List<SentConnectionRequestDto>> GetSentRequestsAsync(Guid userId)
+    {
+        var requests = await _context.Connections
+            .Include(c => c.Addressee)
+            .Where(c => c.RequesterId == userId && c.Status == ConnectionStatus.Pending)
+            .OrderByDescending(c => c.CreatedAt) // Plus récentes en premier
+            .ToListAsync();
+
+        return requests.Select(c => new SentConnectionRequestDto
+        {
+            Id = c.Id,
+            CreatedAt = c.CreatedAt,
+            Addressee = MapToConnectionUser(c.Addressee)
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Retire une demande de connexion envoyée et encore en attente.
+    /// La demande est supprimée : une nouvelle demande pourra être envoyée plus tard.
+    /// </summary>
+    public async Task<(bool Success, string Message)> WithdrawRequestAsync(Guid connectionId, Guid userId)
+    {
+        var connection = await _context.Connections.FindAsync(connectionId);
+
+        if (connection == null)
+            return (false, "Demande non trouvée");
+
+        // Vérification d'autorisation : seul le demandeur peut retirer sa demande
+        if (connection.RequesterId != userId)
+            return (false, "Vous n'êtes pas autorisé à retirer cette demande");
+
+        if (connection.Status != ConnectionStatus.Pending)
+            return (false, "Cette demande n'est plus en attente");
+
+        _context.Connections.Remove(connection);
+        await _context.SaveChangesAsync();
+
+        return (true, "Demande retirée");
+    }
+
     /// <summary>
     /// Supprime une connexion existante.
     /// Les deux parties de la connexion peuvent la supprimer.
@@ -193,27 +271,241 @@ public class ConnectionService : IConnectionService
 
     /// <summary>
     /// Récupère des suggestions d'utilisateurs à qui envoyer une demande de connexion.
-    /// Exclut l'utilisateur lui-même et tous ceux avec qui une connexion existe déjà.
+    /// Exclut l'utilisateur lui-même, tous ceux avec qui une connexion existe déjà
+    /// et les suggestions qu'il a ignorées.
+    ///
+    /// Classement : relations en commun (amis d'amis) puis mots en commun dans le titre
+    /// professionnel. À score égal, les membres inscrits récemment passent en premier,
+    /// pour un ordre stable d'un chargement à l'autre.
+    ///
+    /// Seuls des viviers bornés de candidats sont lus en base (amis d'amis, titres partageant
+    /// un mot-clé, inscrits récents), avec les seuls champs des cartes, puis classés en mémoire.
     /// </summary>
-    public async Task<List<ConnectionUserDto>> GetSuggestionsAsync(Guid userId, int limit = 10)
+    public async Task<List<ConnectionSuggestionDto>> GetSuggestionsAsync(Guid userId, int limit = 10)
     {
-        // Récupérer les IDs des utilisateurs avec qui une connexion existe déjà
-        var connectedUserIds = await _context.Connections
+        // Récupérer les IDs des utilisateurs avec qui une connexion existe déjà (tous statuts)
+        var excludedUserIds = await _context.Connections
             .Where(c => c.RequesterId == userId || c.AddresseeId == userId)
             .Select(c => c.RequesterId == userId ? c.AddresseeId : c.RequesterId)
             .ToListAsync();
 
-        // Ajouter l'utilisateur lui-même à la liste d'exclusion
-        connectedUserIds.Add(userId);
+        // Ajouter l'utilisateur lui-même, les suggestions ignorées et les membres bloqués
+        excludedUserIds.Add(userId);
+        excludedUserIds.AddRange(await _context.DismissedSuggestions
+            .Where(d => d.UserId == userId)
+            .Select(d => d.DismissedUserId)
+            .ToListAsync());
+        excludedUserIds.AddRange(await _context.BlockedUserIds(userId).ToListAsync());
+
+        // Amis d'amis : connexions acceptées des connexions de l'utilisateur
+        var connectionIds = await GetAcceptedConnectionIdsQuery(userId).ToListAsync();
+        var secondDegree = await _context.Connections
+            .Where(c => c.Status == ConnectionStatus.Accepted &&
+                (connectionIds.Contains(c.RequesterId) || connectionIds.Contains(c.AddresseeId)))
+            .Select(c => new { c.RequesterId, c.AddresseeId })
+            .ToListAsync();
+
+        // Pour chaque candidat, les connexions de l'utilisateur qui le connaissent
+        var mutualIdsByCandidate = secondDegree
+            .SelectMany(c => new[]
+            {
+                (MutualId: c.RequesterId, CandidateId: c.AddresseeId),
+                (MutualId: c.AddresseeId, CandidateId: c.RequesterId)
+            })
+            .Where(x => connectionIds.Contains(x.MutualId) && !excludedUserIds.Contains(x.CandidateId))
+            .GroupBy(x => x.CandidateId)
+            .ToDictionary(g => g.Key, g => g.Select(x => x.MutualId).Distinct().ToList());
+
+        var headline = await _context.Users
+            .Where(u => u.Id == userId)
+            .Select(u => u.Headline)
+            .FirstOrDefaultAsync();
+        var keywords = ExtractHeadlineKeywords(headline);
+
+        // Vivier 1 : amis d'amis ayant le plus de relations en commun
+        var candidateIds = mutualIdsByCandidate
+            .OrderByDescending(x => x.Value.Count)
+            .Take(MutualCandidatesPool)
+            .Select(x => x.Key)
+            .ToHashSet();
+
+        // Vivier 2 : membres dont le texte de recherche (titre normalisé) contient un mot-clé du titre
+        foreach (var keyword in keywords.Take(MaxHeadlineKeywords))
+        {
+            var term = SearchNormalizer.Normalize(keyword);
+            candidateIds.UnionWith(await _context.Users
+                .Where(u => !excludedUserIds.Contains(u.Id) && u.SearchText.Contains(term))
+                .OrderByDescending(u => u.CreatedAt)
+                .Take(KeywordCandidatesPool)
+                .Select(u => u.Id)
+                .ToListAsync());
+        }
 
-        // Récupérer les utilisateurs qui ne sont pas dans la liste d'exclusion
-        var suggestions = await _context.Users
-            .Where(u => !connectedUserIds.Contains(u.Id))
-            .OrderBy(u => Guid.NewGuid()) // Ordre aléatoire pour varier les suggestions
+        // Vivier 3 : inscrits récents, départagés par date quand aucun score ne les distingue
+        candidateIds.UnionWith(await _context.Users
+            .Where(u => !excludedUserIds.Contains(u.Id))
+            .OrderByDescending(u => u.CreatedAt)
+            .ThenBy(u => u.Id)
             .Take(limit)
+            .Select(u => u.Id)
+            .ToListAsync());
+
+        // Seuls les champs affichés sur les cartes sont lus
+        var candidates = await _context.Users
+            .Where(u => candidateIds.Contains(u.Id))
+            .Select(u => new { u.Id, u.FirstName, u.LastName, u.Headline, u.AvatarUrl, u.CreatedAt })
             .ToListAsync();
 
-        return suggestions.Select(MapToConnectionUser).ToList();
+        var ranked = candidates
+            .Select(u => new
+            {
+                User = u,
+                MutualIds = mutualIdsByCandidate.GetValueOrDefault(u.Id) ?? new List<Guid>(),
+                CommonKeywords = ExtractHeadlineKeywords(u.Headline).Count(keywords.Contains)
+            })
+            .OrderByDescending(x => x.MutualIds.Count * MutualConnectionWeight + x.CommonKeywords * HeadlineKeywordWeight)
+            .ThenByDescending(x => x.MutualIds.Count)
+            .ThenByDescending(x => x.User.CreatedAt)
+            .ThenBy(x => x.User.Id)
+            .Take(limit)
+            .ToList();
+
+        // Profils des relations en commun affichées sur les cartes
+        var shownMutualIds = ranked
+            .SelectMany(x => x.MutualIds.Take(MutualConnectionsShown))
+            .Distinct()
+            .ToList();
+        var mutualUsers = await _context.Users
+            .Where(u => shownMutualIds.Contains(u.Id))
+            .Select(u => new ConnectionUserDto
+            {
+                Id = u.Id,
+                FirstName = u.FirstName,
+                LastName = u.LastName,
+                Headline = u.Headline,
+                AvatarUrl = u.AvatarUrl
+            })
+            .ToDictionaryAsync(u => u.Id);
+
+        return ranked.Select(x => new ConnectionSuggestionDto
+        {
+            Id = x.User.Id,
+            FirstName = x.User.FirstName,
+            LastName = x.User.LastName,
+            Headline = x.User.Headline,
+            AvatarUrl = x.User.AvatarUrl,
+            MutualConnectionsCount = x.MutualIds.Count,
+            MutualConnections = x.MutualIds
+                .Take(MutualConnectionsShown)
+                .Where(mutualUsers.ContainsKey)
+                .Select(id => mutualUsers[id])
+                .ToList()
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Ignore définitivement une suggestion : le membre ne sera plus suggéré à l'utilisateur.
+    /// Ignorer un membre déjà ignoré n'a aucun effet (idempotent).
+    /// </summary>
+    public async Task<(bool Success, string Message)> DismissSuggestionAsync(Guid userId, Guid dismissedUserId)
+    {
+        if (userId == dismissedUserId)
+            return (false, "Vous ne pouvez pas vous ignorer vous-même");
+
+        if (!await _context.Users.AnyAsync(u => u.Id == dismissedUserId))
+            return (false, "Utilisateur non trouvé");
+
+        var alreadyDismissed = await _context.DismissedSuggestions
+            .AnyAsync(d => d.UserId == userId && d.DismissedUserId == dismissedUserId);
+
+        if (!alreadyDismissed)
+        {
+            _context.DismissedSuggestions.Add(new DismissedSuggestion
+            {
+                UserId = userId,
+                DismissedUserId = dismissedUserId
+            });
+            await _context.SaveChangesAsync();
+        }
+
+        return (true, "Suggestion ignorée");
+    }
+
+    /// <summary>
+    /// Détermine la relation entre deux utilisateurs à partir de la connexion éventuelle.
+    /// Le sens de la demande (envoyée ou reçue) dépend de qui est le Requester.
+    /// </summary>
+    public async Task<RelationshipDto> GetRelationshipAsync(Guid userId, Guid otherUserId)
+    {
+        if (userId == otherUserId)
+            return new RelationshipDto { Status = "Self" };
+
+        // Connexion dans les deux sens A->B ou B->A
+        var connection = await _context.Connections
+            .FirstOrDefaultAsync(c =>
+                (c.RequesterId == userId && c.AddresseeId == otherUserId) ||
+                (c.RequesterId == otherUserId && c.AddresseeId == userId));
+
+        var isMuted = await _context.UserMutes
+            .AnyAsync(m => m.UserId == userId && m.MutedUserId == otherUserId);
+
+        if (connection == null)
+            return new RelationshipDto { Status = "None", IsMuted = isMuted };
+
+        var status = connection.Status switch
+        {
+            ConnectionStatus.Accepted => "Connected",
+            ConnectionStatus.Rejected => "Rejected",
+            _ => connection.RequesterId == userId ? "PendingSent" : "PendingReceived"
+        };
+
+        return new RelationshipDto { Status = status, ConnectionId = connection.Id, IsMuted = isMuted };
+    }
+
+    /// <summary>
+    /// Récupère les connexions communes : intersection des connexions acceptées des deux utilisateurs.
+    /// </summary>
+    public async Task<List<ConnectionUserDto>> GetMutualConnectionsAsync(Guid userId, Guid otherUserId)
+    {
+        var userConnectionIds = await GetAcceptedConnectionIdsQuery(userId).ToListAsync();
+        var otherConnectionIds = await GetAcceptedConnectionIdsQuery(otherUserId).ToListAsync();
+
+        var blockedUserIds = await _context.BlockedUserIds(userId).ToListAsync();
+        var mutualIds = userConnectionIds.Intersect(otherConnectionIds).Except(blockedUserIds).ToList();
+
+        var mutualUsers = await _context.Users
+            .Where(u => mutualIds.Contains(u.Id))
+            .OrderBy(u => u.FirstName)
+            .ThenBy(u => u.LastName)
+            .ToListAsync();
+
+        return mutualUsers.Select(MapToConnectionUser).ToList();
+    }
+
+    /// <summary>
+    /// Requête des IDs des utilisateurs connectés (connexion acceptée) à un utilisateur.
+    /// </summary>
+    private IQueryable<Guid> GetAcceptedConnectionIdsQuery(Guid userId)
+    {
+        return _context.Connections
+            .Where(c =>
+                (c.RequesterId == userId || c.AddresseeId == userId) &&
+                c.Status == ConnectionStatus.Accepted)
+            .Select(c => c.RequesterId == userId ? c.AddresseeId : c.RequesterId);
+    }
+
+    /// <summary>
+    /// Découpe un titre professionnel en mots-clés normalisés (minuscules, sans mots vides).
+    /// Exemple : "Développeur Full Stack | React &amp; .NET" -> développeur, full, stack, react, net
+    /// </summary>
+    private static HashSet<string> ExtractHeadlineKeywords(string? headline)
+    {
+        if (string.IsNullOrWhiteSpace(headline))
+            return new HashSet<string>();
+
+        return HeadlineSeparator.Split(headline.ToLowerInvariant())
+            .Where(word => word.Length >= 2 && !HeadlineStopWords.Contains(word))
+            .ToHashSet();
     }
 
     /// <summary>
@@ -1,8 +1,10 @@
 // FEEDSERVICE.CS - Service de fil d'actualité personnalisé
 // Implémente IFeedService : génère le feed personnalisé de chaque utilisateur.
-// Le feed affiche les posts des connexions + les propres posts de l'utilisateur.
+// Le feed affiche les posts des connexions + les propres posts de l'utilisateur,
+// soit par date (mode Recent), soit classés par pertinence (mode Relevant).
 
 using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
 using ProSocialApi.DTOs.Posts;
@@ -16,6 +18,14 @@ namespace ProSocialApi.Services;
 /// </summary>
 public class FeedService : IFeedService
 {
+    // Paramètres du classement "pertinent"
+    private const int RelevantCandidatesLimit = 200;    // Posts candidats au classement
+    private const int SecondDegreeWindowDays = 14;      // Activité des connexions prise en compte
+    private const double RecencyHalfLifeHours = 24;     // Le score de fraîcheur est divisé par 2 chaque jour
+    private const double VelocityWeight = 0.5;          // Likes et commentaires par heure
+    private const double AffinityWeight = 0.4;          // Interactions passées du lecteur avec l'auteur
+    private const double SocialWeight = 0.6;            // Connexions ayant aimé ou commenté
+
     private readonly ApplicationDbContext _context;
 
     public FeedService(ApplicationDbContext context)
@@ -27,16 +37,23 @@ public class FeedService : IFeedService
     /// Génère le fil d'actualité personnalisé pour un utilisateur.
     ///
     /// Algorithme :
-    /// 1. Récupérer les IDs des connexions acceptées de l'utilisateur
+    /// 1. Récupérer les IDs des connexions acceptées, hors membres masqués ou bloqués
     /// 2. Ajouter l'ID de l'utilisateur lui-même (pour voir ses propres posts)
-    /// 3. Récupérer les posts de tous ces utilisateurs
-    /// 4. Trier par date décroissante et paginer
+    /// 3. Récupérer les posts de tous ces utilisateurs, triés par date décroissante et paginés
+    /// 4. Dans la page, ne garder que la dernière apparition d'une publication partagée
+    ///    (original ou partage)
+    ///
+    /// Toutes les pages d'un même parcours utilisent le même instantané (snapshot) :
+    /// les posts et réactions postérieurs sont ignorés, pour que la pagination ne se décale pas.
     ///
     /// Note : Pour un réseau social à grande échelle, cet algorithme devrait
     /// être optimisé (cache, pré-calcul, algorithmes de recommandation).
     /// </summary>
-    public async Task<List<PostDto>> GetFeedAsync(Guid userId, int page = 1, int pageSize = 20)
+    public async Task<List<PostDto>> GetFeedAsync(Guid userId, int page = 1, int pageSize = 20, FeedMode mode = FeedMode.Recent,
+        DateTime? snapshot = null)
     {
+        var feedSnapshot = snapshot ?? DateTime.UtcNow;
+
         // Étape 1 : Récupérer les IDs des connexions acceptées
         // Une connexion peut être dans les deux sens (Requester ou Addressee)
         var connectionIds = await _context.Connections
@@ -46,29 +63,218 @@ public class FeedService : IFeedService
             .Select(c => c.RequesterId == userId ? c.AddresseeId : c.RequesterId)
             .ToListAsync();
 
+        // Auteurs à écarter : membres bloqués (dans les deux sens) et connexions masquées
+        var hiddenAuthorIds = await _context.BlockedUserIds(userId).ToListAsync();
+        hiddenAuthorIds.AddRange(await _context.UserMutes
+            .Where(m => m.UserId == userId)
+            .Select(m => m.MutedUserId)
+            .ToListAsync());
+
+        if (mode == FeedMode.Relevant)
+            return await GetRelevantFeedAsync(userId, connectionIds, hiddenAuthorIds, page, pageSize, feedSnapshot);
+
         // Étape 2 : Ajouter l'utilisateur lui-même pour voir ses propres posts
-        connectionIds.Add(userId);
+        var authorIds = connectionIds.Except(hiddenAuthorIds).Append(userId).ToList();
 
         // Étape 3 : Récupérer les posts de ces utilisateurs avec pagination
-        var posts = await _context.Posts
+        // (hors partages d'une publication d'un membre écarté)
+        var visiblePosts = _context.Posts
+            .Where(p => p.CreatedAt <= feedSnapshot)
+            .Where(p => authorIds.Contains(p.AuthorId))
+            .Where(p => p.SharedPost == null || !hiddenAuthorIds.Contains(p.SharedPost.AuthorId));
+
+        var posts = await visiblePosts
             .Include(p => p.Author)      // Infos de l'auteur
             .Include(p => p.Likes)       // Pour le compteur et IsLikedByCurrentUser
             .Include(p => p.Comments)    // Pour le compteur
-            .Where(p => connectionIds.Contains(p.AuthorId))
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser) // Liens des mentions
+            .Include(p => p.Saves.Where(s => s.UserId == userId)) // Pour IsSaved
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author) // Publication partagée
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
             .OrderByDescending(p => p.CreatedAt) // Plus récents en premier
             .Skip((page - 1) * pageSize)         // Pagination : sauter les posts précédents
             .Take(pageSize)                       // Prendre seulement pageSize posts
             .ToListAsync();
 
-        // Étape 4 : Mapper en DTOs avec l'info IsLikedByCurrentUser
-        return posts.Select(p => MapToDto(p, userId)).ToList();
+        // Étape 4 : Une publication partagée plusieurs fois dans la page n'y apparaît qu'une fois,
+        // à sa dernière apparition (l'original ou le partage le plus récent)
+        posts = posts.DistinctBy(p => p.SharedPostId ?? p.Id).ToList();
+
+        // Étape 5 : Mapper en DTOs avec l'info IsLikedByCurrentUser
+        var sharesCounts = await _context.CountSharesAsync(posts.Select(p => p.Id).ToList());
+        return posts.Select(p => MapToDto(p, userId, sharesCounts.GetValueOrDefault(p.Id))).ToList();
+    }
+
+    /// <summary>
+    /// Feed classé par pertinence.
+    ///
+    /// Candidats : les posts récents du réseau (connexions + soi-même), plus les posts
+    /// que les connexions ont aimés ou commentés récemment (second degré).
+    ///
+    /// Score = fraîcheur × (1 + vélocité + affinité + preuve sociale), où :
+    /// - fraîcheur : décroissance exponentielle avec l'âge du post
+    /// - vélocité : likes et commentaires rapportés à l'âge du post
+    /// - affinité : nombre de fois où le lecteur a aimé ou commenté les posts de l'auteur
+    /// - preuve sociale : nombre de connexions ayant aimé ou commenté le post
+    /// Les trois derniers termes sont amortis (logarithme) pour qu'aucun ne domine.
+    ///
+    /// Les candidats sont classés par tranches chronologiques de RelevantCandidatesLimit posts,
+    /// mises bout à bout : le feed continue au-delà de la première tranche. Le score est calculé
+    /// à la date du snapshot, sans les réactions postérieures : chaque page reprend le même
+    /// classement et un post ne change pas de page d'une requête à l'autre.
+    /// </summary>
+    private async Task<List<PostDto>> GetRelevantFeedAsync(Guid userId, List<Guid> connectionIds, List<Guid> hiddenAuthorIds,
+        int page, int pageSize, DateTime snapshot)
+    {
+        var since = snapshot.AddDays(-SecondDegreeWindowDays);
+        var authorIds = new List<Guid>(connectionIds) { userId };
+
+        // Activité récente des connexions (likes et commentaires), avec leur nom pour la ligne de contexte
+        var likeActivity = await _context.Likes
+            .Where(l => connectionIds.Contains(l.UserId) && l.CreatedAt >= since && l.CreatedAt <= snapshot)
+            .Select(l => new { l.PostId, l.UserId, l.User.FirstName, l.User.LastName, l.CreatedAt, Action = "Liked" })
+            .ToListAsync();
+        var commentActivity = await _context.Comments
+            .Where(c => connectionIds.Contains(c.AuthorId) && c.CreatedAt >= since && c.CreatedAt <= snapshot && !c.IsDeleted)
+            .Select(c => new { c.PostId, UserId = c.AuthorId, c.Author.FirstName, c.Author.LastName, c.CreatedAt, Action = "Commented" })
+            .ToListAsync();
+        var activityByPost = likeActivity.Concat(commentActivity)
+            .GroupBy(a => a.PostId)
+            .ToDictionary(g => g.Key, g => g.OrderByDescending(a => a.CreatedAt).ToList());
+        var socialPostIds = activityByPost.Keys.ToList();
+
+        // Affinité : interactions passées du lecteur, par auteur
+        var likedAuthorIds = await _context.Likes
+            .Where(l => l.UserId == userId && l.CreatedAt <= snapshot)
+            .Select(l => l.Post.AuthorId)
+            .ToListAsync();
+        var commentedAuthorIds = await _context.Comments
+            .Where(c => c.AuthorId == userId && c.CreatedAt <= snapshot)
+            .Select(c => c.Post.AuthorId)
+            .ToListAsync();
+        var affinityByAuthor = likedAuthorIds.Concat(commentedAuthorIds)
+            .Where(id => id != userId)
+            .GroupBy(id => id)
+            .ToDictionary(g => g.Key, g => g.Count());
+
+        // Ordre chronologique stable (l'ID départage les posts de même date) pour découper les tranches
+        var candidates = _context.Posts
+            .Where(p => p.CreatedAt <= snapshot)
+            .Where(p => authorIds.Contains(p.AuthorId) || socialPostIds.Contains(p.Id))
+            .Where(p => !hiddenAuthorIds.Contains(p.AuthorId))
+            .Where(p => p.SharedPost == null || !hiddenAuthorIds.Contains(p.SharedPost.AuthorId))
+            .OrderByDescending(p => p.CreatedAt)
+            .ThenBy(p => p.Id);
+
+        // Classement des tranches jusqu'à couvrir la page demandée
+        var ranked = new List<RelevanceCandidate>();
+        var rankedKeys = new HashSet<Guid>();
+        for (var window = 0; ranked.Count < page * pageSize; window++)
+        {
+            var batch = await candidates
+                .Skip(window * RelevantCandidatesLimit)
+                .Take(RelevantCandidatesLimit)
+                .Select(p => new RelevanceCandidate(
+                    p.Id,
+                    p.AuthorId,
+                    p.SharedPostId,
+                    p.CreatedAt,
+                    p.Likes.Count(l => l.CreatedAt <= snapshot)
+                        + 2 * p.Comments.Count(c => !c.IsDeleted && c.CreatedAt <= snapshot)))
+                .ToListAsync();
+
+            ranked.AddRange(batch
+                .Select(candidate =>
+                {
+                    var socialCount = activityByPost.GetValueOrDefault(candidate.Id)?.Select(a => a.UserId).Distinct().Count() ?? 0;
+                    var score = ComputeRelevanceScore(candidate.CreatedAt, candidate.Engagement, snapshot,
+                        affinityByAuthor.GetValueOrDefault(candidate.AuthorId), socialCount);
+                    return new { Candidate = candidate, Score = score };
+                })
+                .OrderByDescending(x => x.Score)
+                .ThenByDescending(x => x.Candidate.CreatedAt)
+                .ThenBy(x => x.Candidate.Id)
+                // Une publication et ses partages : seul le mieux classé est gardé
+                .Where(x => rankedKeys.Add(x.Candidate.SharedPostId ?? x.Candidate.Id))
+                .Select(x => x.Candidate));
+
+            if (batch.Count < RelevantCandidatesLimit)
+                break;
+        }
+
+        var pageIds = ranked
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .Select(c => c.Id)
+            .ToList();
+
+        var posts = await _context.Posts
+            .Include(p => p.Author)
+            .Include(p => p.Likes)
+            .Include(p => p.Comments)
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser)
+            .Include(p => p.Saves.Where(s => s.UserId == userId))
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author)
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
+            .Where(p => pageIds.Contains(p.Id))
+            .ToDictionaryAsync(p => p.Id);
+        var sharesCounts = await _context.CountSharesAsync(pageIds);
+
+        // Ordre du classement (un post supprimé entre-temps est simplement absent de la page)
+        return pageIds.Where(posts.ContainsKey).Select(id =>
+        {
+            var post = posts[id];
+            var dto = MapToDto(post, userId, sharesCounts.GetValueOrDefault(id));
+
+            // Ligne de contexte uniquement pour les posts hors réseau direct
+            var latest = activityByPost.GetValueOrDefault(id)?.FirstOrDefault();
+            if (latest != null && !authorIds.Contains(post.AuthorId))
+            {
+                dto.FeedContext = new FeedContextDto
+                {
+                    UserId = latest.UserId,
+                    FirstName = latest.FirstName,
+                    LastName = latest.LastName,
+                    Action = latest.Action
+                };
+            }
+
+            return dto;
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Calcule le score de pertinence d'un post (voir GetRelevantFeedAsync).
+    /// </summary>
+    /// <param name="createdAt">Date de publication du post</param>
+    /// <param name="engagement">Likes + 2 × commentaires du post</param>
+    /// <param name="now">Date de référence (snapshot du feed)</param>
+    /// <param name="affinity">Interactions du lecteur avec l'auteur</param>
+    /// <param name="socialCount">Connexions ayant aimé ou commenté le post</param>
+    private static double ComputeRelevanceScore(DateTime createdAt, int engagement, DateTime now, int affinity, int socialCount)
+    {
+        var ageHours = Math.Max(0, (now - createdAt).TotalHours);
+        var recency = Math.Pow(0.5, ageHours / RecencyHalfLifeHours);
+
+        // +2h pour ne pas survaloriser les toutes premières réactions
+        var velocity = engagement / (ageHours + 2);
+
+        return recency * (1
+            + VelocityWeight * Math.Log(1 + velocity)
+            + AffinityWeight * Math.Log(1 + affinity)
+            + SocialWeight * Math.Log(1 + socialCount));
     }
 
+    /// <summary>
+    /// Candidat du feed pertinent : ce qu'il faut pour le classer, sans charger le post complet.
+    /// </summary>
+    private sealed record RelevanceCandidate(Guid Id, Guid AuthorId, Guid? SharedPostId, DateTime CreatedAt, int Engagement);
+
     /// <summary>
     /// Convertit une entité Post en PostDto.
     /// Inclut les statistiques et l'état du like pour l'utilisateur courant.
     /// </summary>
-    private static PostDto MapToDto(Post post, Guid currentUserId)
+    private static PostDto MapToDto(Post post, Guid currentUserId, int sharesCount)
     {
         return new PostDto
         {
@@ -86,9 +292,49 @@ public class FeedService : IFeedService
                 AvatarUrl = post.Author.AvatarUrl
             },
             LikesCount = post.Likes.Count,
-            CommentsCount = post.Comments.Count,
-            // Vérifie si l'utilisateur courant a liké ce post
-            IsLikedByCurrentUser = post.Likes.Any(l => l.UserId == currentUserId)
+            ReactionCounts = post.Likes.GroupBy(l => l.Type).ToDictionary(g => g.Key.ToString(), g => g.Count()),
+            CommentsCount = post.Comments.Count(c => !c.IsDeleted),
+            // Vérifie si l'utilisateur courant a réagi à ce post, et avec quelle réaction
+            IsLikedByCurrentUser = post.Likes.Any(l => l.UserId == currentUserId),
+            CurrentUserReaction = post.Likes.FirstOrDefault(l => l.UserId == currentUserId)?.Type.ToString(),
+            IsSaved = post.Saves.Any(s => s.UserId == currentUserId),
+            Mentions = post.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList(),
+            IsShare = post.IsShare,
+            SharedPost = post.SharedPost == null ? null : MapSharedPost(post.SharedPost),
+            SharesCount = sharesCount
+        };
+    }
+
+    /// <summary>
+    /// Convertit la publication d'origine d'un partage en SharedPostDto (carte intégrée).
+    /// </summary>
+    private static SharedPostDto MapSharedPost(Post post)
+    {
+        return new SharedPostDto
+        {
+            Id = post.Id,
+            Content = post.Content,
+            ImageUrl = post.ImageUrl,
+            CreatedAt = post.CreatedAt,
+            Author = new PostAuthorDto
+            {
+                Id = post.Author.Id,
+                FirstName = post.Author.FirstName,
+                LastName = post.Author.LastName,
+                Headline = post.Author.Headline,
+                AvatarUrl = post.Author.AvatarUrl
+            },
+            Mentions = post.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList()
         };
     }
 }
@@ -0,0 +1,89 @@
+// IMAGESTORAGESERVICE.CS - Service de stockage d'images
+// Implémente IImageStorageService : valide et enregistre les images
+// envoyées par les utilisateurs dans wwwroot/uploads/.
+
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de stockage des images sur le disque (servies par UseStaticFiles).
+/// </summary>
+public class ImageStorageService : IImageStorageService
+{
+    // Limite de taille : 5 Mo
+    private const long MaxFileSize = 5 * 1024 * 1024;
+
+    // Extensions autorisées
+    private static readonly string[] AllowedExtensions = { ".jpg", ".jpeg", ".png", ".gif", ".webp" };
+
+    /// <summary>
+    /// Valide le fichier puis l'enregistre sous un nom unique.
+    /// </summary>
+    public async Task<(bool Success, string Message, string? Url)> SaveImageAsync(IFormFile? file, string folder, string fileNamePrefix)
+    {
+        // Validation du fichier
+        if (file == null || file.Length == 0)
+            return (false, "Aucun fichier fourni", null);
+
+        if (file.Length > MaxFileSize)
+            return (false, "Le fichier ne doit pas dépasser 5 Mo", null);
+
+        var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
+
+        if (!AllowedExtensions.Contains(extension))
+            return (false, "Format non supporté. Utilisez jpg, png, gif ou webp", null);
+
+        // L'extension ne suffit pas : vérifier que le contenu est bien une image
+        if (!await HasImageSignatureAsync(file))
+            return (false, "Le fichier n'est pas une image valide", null);
+
+        // Créer le dossier uploads/{folder} s'il n'existe pas
+        var uploadsFolder = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "uploads", folder);
+        Directory.CreateDirectory(uploadsFolder);
+
+        // Générer un nom de fichier unique
+        var fileName = $"{fileNamePrefix}_{Guid.NewGuid()}{extension}";
+        var filePath = Path.Combine(uploadsFolder, fileName);
+
+        // Sauvegarder le fichier
+        using (var stream = new FileStream(filePath, FileMode.Create))
+        {
+            await file.CopyToAsync(stream);
+        }
+
+        // URL relative pour accéder à l'image
+        return (true, "Image enregistrée", $"/uploads/{folder}/{fileName}");
+    }
+
+    /// <summary>
+    /// Compare les premiers octets du fichier aux signatures JPEG, PNG, GIF et WebP.
+    /// </summary>
+    private static async Task<bool> HasImageSignatureAsync(IFormFile file)
+    {
+        var header = new byte[12];
+
+        using (var stream = file.OpenReadStream())
+        {
+            var read = await stream.ReadAsync(header);
+            if (read < header.Length)
+                return false;
+        }
+
+        // JPEG : FF D8 FF
+        if (header[0] == 0xFF && header[1] == 0xD8 && header[2] == 0xFF)
+            return true;
+
+        // PNG : 89 50 4E 47 0D 0A 1A 0A
+        if (header.Take(8).SequenceEqual(new byte[] { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A }))
+            return true;
+
+        // GIF : "GIF8"
+        if (header[0] == 'G' && header[1] == 'I' && header[2] == 'F' && header[3] == '8')
+            return true;
+
+        // WebP : "RIFF" .... "WEBP"
+        return header[0] == 'R' && header[1] == 'I' && header[2] == 'F' && header[3] == 'F' &&
+               header[8] == 'W' && header[9] == 'E' && header[10] == 'B' && header[11] == 'P';
+    }
+}
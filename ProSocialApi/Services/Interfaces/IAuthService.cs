@@ -1,7 +1,9 @@
 // IAUTHSERVICE.CS - Interface du service d'authentification
 // Définit le contrat pour les opérations d'authentification :
 // - Inscription de nouveaux utilisateurs
-// - Connexion des utilisateurs existants
+// - Connexion des utilisateurs existants, en deux étapes si la double authentification est activée
+// - Renouvellement du JWT (refresh token de la session) et déconnexion de l'appareil
+// - Réinitialisation du mot de passe et confirmation de l'adresse email (liens envoyés par email)
 //
 // L'utilisation d'une interface permet :
 // - L'injection de dépendances (DI)
@@ -28,16 +30,18 @@ public interface IAuthService
     /// 1. Vérifie que l'email n'est pas déjà utilisé
     /// 2. Hash le mot de passe avec BCrypt
     /// 3. Crée l'utilisateur en base de données
-    /// 4. Génère un token JWT
-    /// 5. Retourne le token et les infos utilisateur
+    /// 4. Ouvre une session et génère un token JWT
+    /// 5. Retourne le token, le refresh token et les infos utilisateur
     /// </summary>
     /// <param name="registerDto">Données d'inscription (email, password, nom, etc.)</param>
+    /// <param name="userAgent">User-Agent du navigateur (appareil de la session)</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
     /// <returns>
     /// AuthResponseDto avec :
-    /// - Success = true + Token + User si inscription réussie
+    /// - Success = true + Token + RefreshToken + User si inscription réussie
     /// - Success = false + Message d'erreur sinon
     /// </returns>
-    Task<AuthResponseDto> RegisterAsync(RegisterDto registerDto);
+    Task<AuthResponseDto> RegisterAsync(RegisterDto registerDto, string? userAgent = null, string? ipAddress = null);
 
     /// <summary>
     /// Authentifie un utilisateur avec son email et mot de passe.
@@ -45,18 +49,91 @@ public interface IAuthService
     /// Processus :
     /// 1. Recherche l'utilisateur par email
     /// 2. Vérifie le mot de passe avec BCrypt
-    /// 3. Génère un token JWT si valide
-    /// 4. Retourne le token et les infos utilisateur
+    /// 3. Ouvre une session et génère un token JWT si valide
+    /// 4. Retourne le token, le refresh token et les infos utilisateur
     ///
     /// Sécurité : En cas d'échec, un message générique est retourné
     /// ("Email ou mot de passe incorrect") pour ne pas révéler
     /// si l'email existe ou non dans le système.
     /// </summary>
     /// <param name="loginDto">Identifiants de connexion (email, password)</param>
+    /// <param name="userAgent">User-Agent du navigateur (appareil de la session)</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
     /// <returns>
     /// AuthResponseDto avec :
-    /// - Success = true + Token + User si connexion réussie
+    /// - Success = true + Token + RefreshToken + User si connexion réussie
+    /// - Success = false + RequiresTwoFactor + TwoFactorToken si un code de double authentification est demandé
+    /// - Success = false + RetryAfterSeconds après trop d'échecs pour cet email ou cette adresse IP
     /// - Success = false + Message d'erreur sinon
     /// </returns>
-    Task<AuthResponseDto> LoginAsync(LoginDto loginDto);
+    Task<AuthResponseDto> LoginAsync(LoginDto loginDto, string? userAgent = null, string? ipAddress = null);
+
+    /// <summary>
+    /// Seconde étape de la connexion lorsque la double authentification est activée.
+    ///
+    /// LoginAsync a vérifié le mot de passe et renvoyé RequiresTwoFactor + TwoFactorToken ;
+    /// ce token est renvoyé ici avec le code de l'application d'authentification ou un code de secours.
+    /// </summary>
+    /// <param name="loginDto">Token de la première étape et code saisi</param>
+    /// <param name="userAgent">User-Agent du navigateur (appareil de la session)</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
+    /// <returns>
+    /// AuthResponseDto avec :
+    /// - Success = true + Token + RefreshToken + User si le code est valide
+    /// - Success = false + RequiresTwoFactor si le code est incorrect (nouvel essai possible)
+    /// - Success = false + RequiresTwoFactor + RetryAfterSeconds après trop de codes incorrects
+    /// - Success = false si la connexion a expiré
+    /// </returns>
+    Task<AuthResponseDto> LoginWithTwoFactorAsync(TwoFactorLoginDto loginDto, string? userAgent = null, string? ipAddress = null);
+
+    /// <summary>
+    /// Génère un nouveau JWT à partir du refresh token de la session.
+    /// Le refresh token est remplacé à chaque appel (rotation, voir ISessionService.RefreshAsync).
+    /// </summary>
+    /// <param name="refreshToken">Refresh token du cookie</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
+    /// <returns>
+    /// AuthResponseDto avec :
+    /// - Success = true + Token + User (+ RefreshToken s'il a changé) si la session est valide
+    /// - Success = false si la session est expirée, déconnectée ou le compte suspendu
+    /// </returns>
+    Task<AuthResponseDto> RefreshAsync(string? refreshToken, string? ipAddress = null);
+
+    /// <summary>
+    /// Déconnecte l'appareil : supprime la session du refresh token.
+    /// </summary>
+    /// <param name="refreshToken">Refresh token du cookie (ignoré s'il est vide ou inconnu)</param>
+    Task LogoutAsync(string? refreshToken);
+
+    /// <summary>
+    /// Envoie un lien de réinitialisation du mot de passe (signé, à usage unique, limité dans le temps).
+    ///
+    /// Sécurité : ne signale pas si l'adresse correspond à un compte (protection contre l'énumération).
+    /// </summary>
+    /// <param name="email">Adresse saisie sur la page "Mot de passe oublié"</param>
+    Task RequestPasswordResetAsync(string email);
+
+    /// <summary>
+    /// Remplace le mot de passe du compte désigné par le lien de réinitialisation.
+    /// Le lien ne peut plus servir ensuite ; l'adresse email est considérée comme confirmée
+    /// et toutes les sessions du compte sont fermées.
+    /// </summary>
+    /// <param name="resetDto">Token du lien et nouveau mot de passe</param>
+    /// <returns>False si le lien est invalide, expiré ou déjà utilisé</returns>
+    Task<bool> ResetPasswordAsync(ResetPasswordDto resetDto);
+
+    /// <summary>
+    /// Envoie (ou renvoie) le lien de confirmation de l'adresse email.
+    /// Appelé à l'inscription, puis depuis le bandeau des comptes non confirmés.
+    /// </summary>
+    /// <param name="userId">ID du membre connecté</param>
+    /// <returns>False si le compte n'existe pas ou si l'adresse est déjà confirmée</returns>
+    Task<bool> SendEmailVerificationAsync(Guid userId);
+
+    /// <summary>
+    /// Confirme l'adresse email du compte désigné par le lien de confirmation.
+    /// </summary>
+    /// <param name="token">Token du lien</param>
+    /// <returns>ID du compte confirmé, ou null si le lien est invalide, expiré ou déjà utilisé</returns>
+    Task<Guid?> VerifyEmailAsync(string token);
 }
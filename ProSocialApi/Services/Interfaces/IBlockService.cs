@@ -0,0 +1,93 @@
+// IBLOCKSERVICE.CS - Interface du service de blocage et de masquage
+// Définit le contrat pour protéger un utilisateur des membres indésirables :
+// - Blocage : les deux membres ne se voient plus, ni demandes ni messages
+// - Masquage : les posts d'une connexion n'apparaissent plus dans le feed
+
+using ProSocialApi.DTOs.Users;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le service de blocage et de masquage de membres.
+///
+/// Implémentation : BlockService
+/// Enregistrement DI : AddScoped&lt;IBlockService, BlockService&gt;()
+///
+/// Le filtrage des résultats (feed, recherche, suggestions...) est fait par
+/// chaque service via les requêtes de UserBlockQueries.
+/// </summary>
+public interface IBlockService
+{
+    /// <summary>
+    /// Bloque un membre. La connexion ou demande éventuelle entre les deux est supprimée.
+    /// Bloquer un membre déjà bloqué n'a aucun effet (idempotent).
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur qui bloque</param>
+    /// <param name="blockedUserId">ID du membre à bloquer</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Membre bloqué") si succès
+    /// - (false, "Raison de l'échec") sinon (soi-même, membre inexistant)
+    /// </returns>
+    Task<(bool Success, string Message)> BlockAsync(Guid userId, Guid blockedUserId);
+
+    /// <summary>
+    /// Lève le blocage d'un membre. Seul l'auteur du blocage peut le lever.
+    /// La connexion supprimée au blocage n'est pas rétablie.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur qui débloque</param>
+    /// <param name="blockedUserId">ID du membre à débloquer</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Membre débloqué") si succès
+    /// - (false, "Ce membre n'est pas bloqué") sinon
+    /// </returns>
+    Task<(bool Success, string Message)> UnblockAsync(Guid userId, Guid blockedUserId);
+
+    /// <summary>
+    /// Récupère les membres bloqués par l'utilisateur (plus récents en premier).
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <returns>Liste des membres bloqués (peut être vide)</returns>
+    Task<List<RestrictedUserDto>> GetBlockedUsersAsync(Guid userId);
+
+    /// <summary>
+    /// Masque les publications d'un membre dans le feed de l'utilisateur.
+    /// Le membre n'en est pas informé. Idempotent.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur qui masque</param>
+    /// <param name="mutedUserId">ID du membre à masquer</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Publications masquées") si succès
+    /// - (false, "Raison de l'échec") sinon (soi-même, membre inexistant)
+    /// </returns>
+    Task<(bool Success, string Message)> MuteAsync(Guid userId, Guid mutedUserId);
+
+    /// <summary>
+    /// Réaffiche les publications d'un membre masqué.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <param name="mutedUserId">ID du membre masqué</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Publications réaffichées") si succès
+    /// - (false, "Ce membre n'est pas masqué") sinon
+    /// </returns>
+    Task<(bool Success, string Message)> UnmuteAsync(Guid userId, Guid mutedUserId);
+
+    /// <summary>
+    /// Récupère les membres masqués par l'utilisateur (plus récents en premier).
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <returns>Liste des membres masqués (peut être vide)</returns>
+    Task<List<RestrictedUserDto>> GetMutedUsersAsync(Guid userId);
+
+    /// <summary>
+    /// Indique si un blocage existe entre deux membres, dans un sens ou dans l'autre.
+    /// </summary>
+    /// <param name="userId">ID du premier membre</param>
+    /// <param name="otherUserId">ID du second membre</param>
+    /// <returns>True si l'un des deux a bloqué l'autre</returns>
+    Task<bool> IsBlockedAsync(Guid userId, Guid otherUserId);
+}
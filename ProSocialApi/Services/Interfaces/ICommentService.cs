@@ -1,8 +1,9 @@
 // ICOMMENTSERVICE.CS - Interface du service de gestion des commentaires
 // Définit le contrat pour les opérations sur les commentaires :
 // - Création de commentaires sur les posts
-// - Récupération des commentaires d'un post
-// - Suppression de commentaires
+// - Récupération des commentaires d'un post et de leurs réponses
+// - Modification et suppression de commentaires
+// - Mentions "@Prénom Nom" dans les commentaires
 
 using ProSocialApi.DTOs.Comments;
 
@@ -18,34 +19,57 @@ namespace ProSocialApi.Services.Interfaces;
 public interface ICommentService
 {
     /// <summary>
-    /// Crée un nouveau commentaire sur un post.
+    /// Crée un nouveau commentaire sur un post, ou une réponse si createDto.ParentId est fourni.
+    /// Les membres de createDto.MentionedUserIds dont le "@Prénom Nom" figure dans le contenu
+    /// sont enregistrés comme mentionnés et reçoivent une notification Mention.
     /// </summary>
     /// <param name="postId">ID du post à commenter</param>
     /// <param name="authorId">ID de l'utilisateur qui commente</param>
-    /// <param name="createDto">Contenu du commentaire</param>
+    /// <param name="createDto">Contenu du commentaire et parent éventuel</param>
     /// <returns>
-    /// CommentDto du commentaire créé, ou null si le post n'existe pas
+    /// CommentDto du commentaire créé, ou null si le post ou le commentaire parent n'existe pas
+    /// (ou si son auteur et le membre se bloquent)
     /// </returns>
     Task<CommentDto?> CreateAsync(Guid postId, Guid authorId, CreateCommentDto createDto);
 
     /// <summary>
-    /// Récupère tous les commentaires d'un post.
+    /// Récupère les commentaires de premier niveau d'un post.
     /// Triés du plus ancien au plus récent (ordre chronologique).
-    /// Inclut les informations de l'auteur de chaque commentaire.
+    /// Inclut les informations de l'auteur et le nombre de réponses de chaque commentaire.
     /// </summary>
     /// <param name="postId">ID du post</param>
+    /// <param name="currentUserId">ID du visiteur (optionnel) : exclut les membres bloqués</param>
     /// <returns>Liste des commentaires (peut être vide si aucun commentaire)</returns>
-    Task<List<CommentDto>> GetByPostIdAsync(Guid postId);
+    Task<List<CommentDto>> GetByPostIdAsync(Guid postId, Guid? currentUserId = null);
+
+    /// <summary>
+    /// Récupère les réponses à un commentaire (ordre chronologique).
+    /// </summary>
+    /// <param name="commentId">ID du commentaire parent</param>
+    /// <param name="currentUserId">ID du visiteur (optionnel) : exclut les membres bloqués</param>
+    /// <returns>Liste des réponses, ou null si le commentaire n'existe pas (ou est écrit par un membre bloqué)</returns>
+    Task<List<CommentDto>?> GetRepliesAsync(Guid commentId, Guid? currentUserId = null);
+
+    /// <summary>
+    /// Modifie le contenu d'un commentaire.
+    /// Seul l'auteur du commentaire peut le modifier.
+    /// Les mentions sont réalignées sur le nouveau contenu (seuls les nouveaux mentionnés sont notifiés).
+    /// </summary>
+    /// <param name="commentId">ID du commentaire à modifier</param>
+    /// <param name="userId">ID de l'utilisateur qui modifie (doit être l'auteur)</param>
+    /// <param name="updateDto">Nouveau contenu</param>
+    /// <returns>CommentDto mis à jour, ou null si inexistant, supprimé ou pas l'auteur</returns>
+    Task<CommentDto?> UpdateAsync(Guid commentId, Guid userId, UpdateCommentDto updateDto);
 
     /// <summary>
     /// Supprime un commentaire.
-    /// Seul l'auteur du commentaire peut le supprimer.
+    /// Autorisé pour l'auteur du commentaire et pour l'auteur du post parent.
     ///
-    /// Note : L'auteur du post parent pourrait aussi avoir le droit
-    /// de supprimer les commentaires (à implémenter si nécessaire).
+    /// Un commentaire qui a des réponses est marqué IsDeleted (contenu vidé)
+    /// au lieu d'être supprimé, pour conserver le fil des réponses.
     /// </summary>
     /// <param name="commentId">ID du commentaire à supprimer</param>
-    /// <param name="userId">ID de l'utilisateur qui supprime (doit être l'auteur)</param>
+    /// <param name="userId">ID de l'utilisateur qui supprime (auteur du commentaire ou du post)</param>
     /// <returns>True si supprimé, false si commentaire inexistant ou pas l'auteur</returns>
     Task<bool> DeleteAsync(Guid commentId, Guid userId);
 }
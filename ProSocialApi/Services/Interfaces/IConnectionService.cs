@@ -32,6 +32,7 @@ public interface IConnectionService
     /// - L'utilisateur cible existe
     /// - Pas de demande à soi-même
     /// - Pas de connexion existante entre les deux utilisateurs
+    /// - Aucun blocage entre les deux membres (dans un sens ou dans l'autre)
     /// </summary>
     /// <param name="requesterId">ID de l'utilisateur qui envoie la demande</param>
     /// <param name="addresseeId">ID de l'utilisateur qui reçoit la demande</param>
@@ -85,6 +86,28 @@ public interface IConnectionService
     /// <returns>Liste des demandes en attente avec les infos du demandeur</returns>
     Task<List<ConnectionRequestDto>> GetPendingRequestsAsync(Guid userId);
 
+    /// <summary>
+    /// Récupère les demandes de connexion en attente ENVOYÉES par un utilisateur.
+    /// Pendant de GetPendingRequestsAsync, pour suivre ou retirer ses invitations.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <returns>Liste des demandes envoyées en attente avec les infos du destinataire</returns>
+    Task<List<SentConnectionRequestDto>> GetSentRequestsAsync(Guid userId);
+
+    /// <summary>
+    /// Retire une demande de connexion envoyée et encore en attente.
+    /// L'utilisateur doit être le demandeur (Requester). La demande est supprimée,
+    /// une nouvelle demande pourra donc être envoyée plus tard.
+    /// </summary>
+    /// <param name="connectionId">ID de la demande à retirer</param>
+    /// <param name="userId">ID de l'utilisateur qui retire (doit être le Requester)</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Demande retirée") si succès
+    /// - (false, "Raison de l'échec") sinon (demande inexistante, pas le demandeur, déjà traitée)
+    /// </returns>
+    Task<(bool Success, string Message)> WithdrawRequestAsync(Guid connectionId, Guid userId);
+
     /// <summary>
     /// Supprime une connexion existante.
     /// L'utilisateur doit faire partie de la connexion (Requester ou Addressee).
@@ -101,10 +124,45 @@ public interface IConnectionService
 
     /// <summary>
     /// Récupère des suggestions d'utilisateurs à qui envoyer une demande de connexion.
-    /// Exclut : l'utilisateur lui-même, les connexions existantes, les demandes en attente.
+    /// Exclut : l'utilisateur lui-même, les connexions existantes, les demandes en attente,
+    /// les suggestions ignorées.
+    ///
+    /// Classées par nombre de relations en commun (amis d'amis), puis par mots
+    /// en commun dans le titre professionnel.
     /// </summary>
     /// <param name="userId">ID de l'utilisateur</param>
     /// <param name="limit">Nombre maximum de suggestions (défaut: 10)</param>
-    /// <returns>Liste d'utilisateurs suggérés</returns>
-    Task<List<ConnectionUserDto>> GetSuggestionsAsync(Guid userId, int limit = 10);
+    /// <returns>Liste d'utilisateurs suggérés avec leurs relations en commun</returns>
+    Task<List<ConnectionSuggestionDto>> GetSuggestionsAsync(Guid userId, int limit = 10);
+
+    /// <summary>
+    /// Ignore définitivement une suggestion : le membre n'est plus jamais suggéré
+    /// à l'utilisateur. Sans effet sur une éventuelle demande de connexion.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur qui ignore la suggestion</param>
+    /// <param name="dismissedUserId">ID du membre à ne plus suggérer</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Suggestion ignorée") si succès (y compris si déjà ignorée)
+    /// - (false, "Raison de l'échec") sinon (soi-même, membre inexistant)
+    /// </returns>
+    Task<(bool Success, string Message)> DismissSuggestionAsync(Guid userId, Guid dismissedUserId);
+
+    /// <summary>
+    /// Détermine la relation entre l'utilisateur et un autre membre
+    /// (aucune, demande envoyée/reçue, connectés, refusée).
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur connecté</param>
+    /// <param name="otherUserId">ID du membre consulté</param>
+    /// <returns>Statut de la relation et ID de la connexion éventuelle</returns>
+    Task<RelationshipDto> GetRelationshipAsync(Guid userId, Guid otherUserId);
+
+    /// <summary>
+    /// Récupère les connexions communes entre deux utilisateurs
+    /// (membres connectés à la fois à l'un et à l'autre).
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur connecté</param>
+    /// <param name="otherUserId">ID du membre consulté</param>
+    /// <returns>Liste des connexions communes (peut être vide)</returns>
+    Task<List<ConnectionUserDto>> GetMutualConnectionsAsync(Guid userId, Guid otherUserId);
 }
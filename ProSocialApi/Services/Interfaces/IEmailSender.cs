@@ -0,0 +1,27 @@
+// IEMAILSENDER.CS - Interface d'envoi des emails
+// Définit le contrat pour l'envoi des emails de l'application
+// (réinitialisation du mot de passe, confirmation de l'adresse email).
+//
+// Deux implémentations, choisies par la configuration "Email:Sender" :
+// - SmtpEmailSender : envoi par un serveur SMTP (production)
+// - PickupDirectoryEmailSender : fichiers .eml écrits dans un dossier (développement, tests)
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour l'envoi d'emails en texte brut.
+///
+/// Implémentations : SmtpEmailSender, PickupDirectoryEmailSender
+/// Enregistrement DI : AddSingleton&lt;IEmailSender, ...&gt;() selon "Email:Sender" (voir Program.cs)
+/// </summary>
+public interface IEmailSender
+{
+    /// <summary>
+    /// Envoie un email depuis l'adresse configurée ("Email:From").
+    /// </summary>
+    /// <param name="to">Adresse du destinataire</param>
+    /// <param name="subject">Objet de l'email</param>
+    /// <param name="body">Contenu en texte brut (les liens restent cliquables dans les clients mail)</param>
+    /// <exception cref="System.Net.Mail.SmtpException">Si l'email n'a pas pu être envoyé ou écrit</exception>
+    Task SendAsync(string to, string subject, string body);
+}
@@ -6,6 +6,23 @@ using ProSocialApi.DTOs.Posts;
 
 namespace ProSocialApi.Services.Interfaces;
 
+/// <summary>
+/// Ordre du fil d'actualité.
+/// </summary>
+public enum FeedMode
+{
+    /// <summary>
+    /// Posts du réseau du plus récent au plus ancien (mode par défaut).
+    /// </summary>
+    Recent,
+
+    /// <summary>
+    /// Posts classés par pertinence (fraîcheur, engagement, affinité avec l'auteur,
+    /// activité des connexions), y compris des posts hors réseau direct.
+    /// </summary>
+    Relevant
+}
+
 /// <summary>
 /// Interface pour le service de fil d'actualité (feed).
 /// Génère un flux personnalisé de posts pour chaque utilisateur.
@@ -16,7 +33,7 @@ namespace ProSocialApi.Services.Interfaces;
 /// Logique du feed :
 /// - Affiche les posts des connexions ACCEPTÉES de l'utilisateur
 /// - Affiche également les propres posts de l'utilisateur
-/// - Triés du plus récent au plus ancien
+/// - Triés du plus récent au plus ancien, ou par pertinence (FeedMode.Relevant)
 /// - Paginé pour les performances
 /// </summary>
 public interface IFeedService
@@ -31,10 +48,19 @@ public interface IFeedService
     /// Les posts sont triés par date de création (plus récents en premier)
     /// et incluent les statistiques (likes, comments) ainsi que
     /// IsLikedByCurrentUser pour chaque post.
+    ///
+    /// En mode Relevant, le feed inclut aussi les posts aimés ou commentés
+    /// par les connexions (avec FeedContext renseigné) et les trie par score.
     /// </summary>
     /// <param name="userId">ID de l'utilisateur pour qui générer le feed</param>
     /// <param name="page">Numéro de page (commence à 1)</param>
     /// <param name="pageSize">Nombre de posts par page (max 50, défaut 20)</param>
+    /// <param name="mode">Ordre du feed (Recent par défaut)</param>
+    /// <param name="snapshot">
+    /// Date de référence du parcours (UTC, maintenant par défaut) : les posts et réactions
+    /// postérieurs sont ignorés, pour que les pages suivantes prolongent la première sans décalage
+    /// </param>
     /// <returns>Liste paginée des posts du feed</returns>
-    Task<List<PostDto>> GetFeedAsync(Guid userId, int page = 1, int pageSize = 20);
+    Task<List<PostDto>> GetFeedAsync(Guid userId, int page = 1, int pageSize = 20, FeedMode mode = FeedMode.Recent,
+        DateTime? snapshot = null);
 }
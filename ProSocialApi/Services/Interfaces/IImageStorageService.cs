@@ -0,0 +1,30 @@
+// IIMAGESTORAGESERVICE.CS - Interface du service de stockage d'images
+// Définit le contrat pour l'enregistrement des images envoyées par les utilisateurs :
+// - Validation (taille, extension, contenu réel du fichier)
+// - Stockage sous wwwroot/uploads/{dossier}/
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le stockage des images uploadées (avatars, images de posts).
+///
+/// Implémentation : ImageStorageService
+/// Enregistrement DI : AddSingleton&lt;IImageStorageService, ImageStorageService&gt;()
+/// </summary>
+public interface IImageStorageService
+{
+    /// <summary>
+    /// Valide puis enregistre une image dans wwwroot/uploads/{folder}/.
+    ///
+    /// Validations :
+    /// - Fichier présent et non vide
+    /// - Taille maximale : 5 Mo
+    /// - Extension : jpg, jpeg, png, gif, webp
+    /// - Contenu : signature du fichier cohérente avec un format image accepté
+    /// </summary>
+    /// <param name="file">Fichier envoyé (multipart/form-data)</param>
+    /// <param name="folder">Sous-dossier de uploads (ex: "avatars", "posts")</param>
+    /// <param name="fileNamePrefix">Préfixe du nom de fichier (ex: ID de l'utilisateur)</param>
+    /// <returns>Tuple (succès, message d'erreur, URL relative de l'image si succès)</returns>
+    Task<(bool Success, string Message, string? Url)> SaveImageAsync(IFormFile? file, string folder, string fileNamePrefix);
+}
@@ -0,0 +1,32 @@
+// ILINKPREVIEWSERVICE.CS - Interface du service d'aperçu des liens
+// Définit le contrat de la récupération des aperçus (titre, description, image)
+// des liens partagés dans les posts et les messages.
+
+using ProSocialApi.DTOs.LinkPreviews;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le service d'aperçu des liens.
+///
+/// Implémentation : LinkPreviewService
+/// Enregistrement DI : AddSingleton&lt;ILinkPreviewService, LinkPreviewService&gt;()
+/// (singleton : partage son HttpClient et son cache entre les requêtes)
+///
+/// La page est téléchargée côté serveur avec des limites de taille et de durée,
+/// et jamais depuis une adresse du réseau privé (protection SSRF).
+/// </summary>
+public interface ILinkPreviewService
+{
+    /// <summary>
+    /// Récupère l'aperçu d'une page à partir de ses balises Open Graph.
+    /// Le résultat (y compris l'absence d'aperçu) est mis en cache.
+    /// </summary>
+    /// <param name="url">URL absolue http ou https</param>
+    /// <param name="cancellationToken">Annulation (requête HTTP interrompue)</param>
+    /// <returns>
+    /// Aperçu de la page, ou null si l'URL est invalide ou interdite, si la page
+    /// ne répond pas à temps, n'est pas du HTML ou n'a pas de titre
+    /// </returns>
+    Task<LinkPreviewDto?> GetPreviewAsync(string url, CancellationToken cancellationToken = default);
+}
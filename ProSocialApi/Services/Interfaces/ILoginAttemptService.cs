@@ -0,0 +1,40 @@
+// ILOGINATTEMPTSERVICE.CS - Interface du service de protection contre le brute-force
+// Définit le contrat pour suivre les échecs de connexion par compte (email saisi) et par adresse IP :
+// - Délai progressif entre deux tentatives après quelques échecs
+// - Verrouillage temporaire après trop d'échecs
+// - Remise à zéro du compteur du compte après une connexion réussie
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le suivi des tentatives de connexion échouées.
+///
+/// Implémentation : LoginAttemptService
+/// Enregistrement DI : AddSingleton&lt;ILoginAttemptService, LoginAttemptService&gt;() (compteurs en mémoire)
+/// </summary>
+public interface ILoginAttemptService
+{
+    /// <summary>
+    /// Indique combien de temps attendre avant une nouvelle tentative.
+    /// Le compte est identifié par l'email saisi, qu'il existe ou non (la réponse ne révèle rien).
+    /// </summary>
+    /// <param name="email">Email saisi</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
+    /// <returns>Durée d'attente restante (la plus longue entre compte et IP), ou null si la tentative est permise</returns>
+    TimeSpan? GetRetryAfter(string email, string? ipAddress);
+
+    /// <summary>
+    /// Enregistre un échec (mot de passe ou code de double authentification incorrect).
+    /// </summary>
+    /// <param name="email">Email saisi</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
+    void RecordFailure(string email, string? ipAddress);
+
+    /// <summary>
+    /// Remet à zéro le compteur du compte après une authentification réussie.
+    /// Le compteur de l'adresse IP est conservé : une connexion à son propre compte
+    /// ne doit pas permettre de continuer à essayer ceux des autres.
+    /// </summary>
+    /// <param name="email">Email du compte</param>
+    void RecordSuccess(string email);
+}
@@ -32,12 +32,13 @@ public interface IMessageService
     /// Validations :
     /// - Le participant doit exister
     /// - Une conversation entre les deux utilisateurs ne doit pas déjà exister
+    /// - Aucun blocage entre les deux membres
     /// </summary>
     /// <param name="userId">ID de l'utilisateur qui crée la conversation</param>
     /// <param name="createDto">ID du participant + message initial</param>
     /// <returns>
     /// ConversationDto de la conversation créée,
-    /// ou null si le participant n'existe pas ou conversation existante
+    /// ou null si le participant n'existe pas, conversation existante ou membre bloqué
     /// </returns>
     Task<ConversationDto?> CreateConversationAsync(Guid userId, CreateConversationDto createDto);
 
@@ -45,6 +46,7 @@ public interface IMessageService
     /// Récupère la liste des conversations d'un utilisateur.
     /// Triées par date du dernier message (plus récentes en premier).
     /// Inclut un aperçu du dernier message.
+    /// Les conversations avec un membre bloqué (dans un sens ou dans l'autre) sont exclues.
     /// </summary>
     /// <param name="userId">ID de l'utilisateur</param>
     /// <returns>Liste des conversations avec aperçu du dernier message</returns>
@@ -58,7 +60,7 @@ public interface IMessageService
     /// <param name="userId">ID de l'utilisateur (doit être participant)</param>
     /// <returns>
     /// ConversationDetailDto avec tous les messages,
-    /// ou null si conversation inexistante ou utilisateur non participant
+    /// ou null si conversation inexistante, utilisateur non participant ou membre bloqué
     /// </returns>
     Task<ConversationDetailDto?> GetConversationAsync(string conversationId, Guid userId);
 
@@ -71,7 +73,45 @@ public interface IMessageService
     /// <param name="sendDto">Contenu du message</param>
     /// <returns>
     /// MessageDto du message envoyé,
-    /// ou null si conversation inexistante ou utilisateur non participant
+    /// ou null si conversation inexistante, utilisateur non participant ou membre bloqué
     /// </returns>
     Task<MessageDto?> SendMessageAsync(string conversationId, Guid senderId, SendMessageDto sendDto);
+
+    /// <summary>
+    /// Marque comme lus tous les messages reçus dans une conversation
+    /// (messages de l'autre participant dont ReadAt est encore null).
+    /// L'expéditeur est prévenu en temps réel pour afficher "Vu".
+    /// </summary>
+    /// <param name="conversationId">ID MongoDB de la conversation</param>
+    /// <param name="userId">ID de l'utilisateur qui lit (doit être participant)</param>
+    /// <returns>
+    /// True si la conversation existe et que l'utilisateur en fait partie
+    /// (false si l'autre participant et l'utilisateur se bloquent)
+    /// </returns>
+    Task<bool> MarkAsReadAsync(string conversationId, Guid userId);
+
+    /// <summary>
+    /// Compte les messages non lus reçus par l'utilisateur, toutes conversations confondues.
+    /// Utilisé pour le badge de la navbar.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <returns>Nombre total de messages non lus (hors conversations avec un membre bloqué)</returns>
+    Task<long> GetUnreadCountAsync(Guid userId);
+
+    /// <summary>
+    /// Recherche un message par son ID dans les conversations dont l'utilisateur est participant.
+    /// Utilisé pour vérifier un signalement (le membre doit avoir reçu le message).
+    /// </summary>
+    /// <param name="messageId">ID du message</param>
+    /// <param name="userId">ID de l'utilisateur (doit être participant de la conversation)</param>
+    /// <returns>Le message (sans nom d'expéditeur), ou null si introuvable</returns>
+    Task<MessageDto?> FindMessageAsync(string messageId, Guid userId);
+
+    /// <summary>
+    /// Supprime un message de sa conversation, sans vérification de droits.
+    /// Réservé à la modération (voir ReportService).
+    /// </summary>
+    /// <param name="messageId">ID du message</param>
+    /// <returns>True si le message existait et a été retiré</returns>
+    Task<bool> DeleteMessageAsync(string messageId);
 }
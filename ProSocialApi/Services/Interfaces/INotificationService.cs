@@ -0,0 +1,70 @@
+// INOTIFICATIONSERVICE.CS - Interface du service de notifications
+// Définit le contrat pour les notifications in-app :
+// - Création de notifications lors des actions des autres utilisateurs
+// - Consultation des notifications et du nombre de non lues
+// - Marquage comme lu (une ou toutes)
+//
+// Note : Comme la messagerie, ce service utilise MongoDB pour le stockage.
+
+using ProSocialApi.Data.MongoModels;
+using ProSocialApi.DTOs.Notifications;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le service de notifications.
+/// Appelé par les autres services (connexions, likes, commentaires, messages)
+/// pour prévenir un utilisateur d'une action qui le concerne.
+///
+/// Implémentation : NotificationService
+/// Enregistrement DI : AddScoped&lt;INotificationService, NotificationService&gt;()
+/// </summary>
+public interface INotificationService
+{
+    /// <summary>
+    /// Crée une notification pour un utilisateur suite à l'action d'un autre.
+    ///
+    /// Le nom de l'auteur de l'action et le message affiché sont calculés
+    /// par le service. Aucune notification n'est créée si l'utilisateur
+    /// agit sur son propre contenu (recipientId == fromUserId).
+    ///
+    /// Une erreur MongoDB n'interrompt jamais l'action d'origine :
+    /// elle est seulement journalisée.
+    /// </summary>
+    /// <param name="recipientId">ID de l'utilisateur qui reçoit la notification</param>
+    /// <param name="fromUserId">ID de l'utilisateur à l'origine de l'action</param>
+    /// <param name="type">Type de notification</param>
+    /// <param name="data">Données contextuelles (postId, conversationId, connectionId...)</param>
+    Task NotifyAsync(Guid recipientId, Guid fromUserId, NotificationType type, NotificationData data);
+
+    /// <summary>
+    /// Récupère les notifications d'un utilisateur, des plus récentes aux plus anciennes.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <param name="limit">Nombre maximum de notifications (défaut: 20)</param>
+    /// <returns>Liste des notifications (peut être vide)</returns>
+    Task<List<NotificationDto>> GetNotificationsAsync(Guid userId, int limit = 20);
+
+    /// <summary>
+    /// Compte les notifications non lues d'un utilisateur.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <returns>Nombre de notifications non lues</returns>
+    Task<long> GetUnreadCountAsync(Guid userId);
+
+    /// <summary>
+    /// Marque une notification comme lue.
+    /// La notification doit appartenir à l'utilisateur.
+    /// </summary>
+    /// <param name="notificationId">ID MongoDB de la notification</param>
+    /// <param name="userId">ID de l'utilisateur (doit être le destinataire)</param>
+    /// <returns>True si la notification existe et appartient à l'utilisateur</returns>
+    Task<bool> MarkAsReadAsync(string notificationId, Guid userId);
+
+    /// <summary>
+    /// Marque toutes les notifications de l'utilisateur comme lues.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <returns>Nombre de notifications modifiées</returns>
+    Task<long> MarkAllAsReadAsync(Guid userId);
+}
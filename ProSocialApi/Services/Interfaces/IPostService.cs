@@ -2,8 +2,11 @@
 // Définit le contrat pour les opérations sur les publications :
 // - Création, lecture, modification, suppression de posts
 // - Récupération des posts d'un utilisateur
-// - Gestion des likes (like/unlike)
+// - Gestion des likes et réactions (bravo, soutien...)
+// - Posts enregistrés (page "Enregistrés")
+// - Partage de posts avec commentaire
 
+using ProSocialApi.Data.Entities;
 using ProSocialApi.DTOs.Posts;
 
 namespace ProSocialApi.Services.Interfaces;
@@ -20,11 +23,16 @@ public interface IPostService
     /// <summary>
     /// Crée un nouveau post.
     /// L'auteur est défini par l'ID de l'utilisateur authentifié.
+    /// Les hashtags du contenu sont indexés et les membres mentionnés reçoivent une notification.
     /// </summary>
     /// <param name="authorId">ID de l'auteur (utilisateur connecté)</param>
-    /// <param name="createDto">Contenu du post (texte + optionnellement image)</param>
+    /// <param name="createDto">Contenu du post et membres mentionnés</param>
+    /// <param name="imageUrl">
+    /// URL de l'image jointe (optionnel) : uniquement celle retournée par IImageStorageService,
+    /// jamais une URL fournie par le client.
+    /// </param>
     /// <returns>PostDto du post créé avec toutes les métadonnées</returns>
-    Task<PostDto> CreateAsync(Guid authorId, CreatePostDto createDto);
+    Task<PostDto> CreateAsync(Guid authorId, CreatePostDto createDto, string? imageUrl = null);
 
     /// <summary>
     /// Récupère un post par son ID.
@@ -34,15 +42,17 @@ public interface IPostService
     /// <param name="postId">ID du post recherché</param>
     /// <param name="currentUserId">
     /// ID de l'utilisateur courant (optionnel).
-    /// Si fourni, permet de calculer IsLikedByCurrentUser.
+    /// Si fourni, permet de calculer IsLikedByCurrentUser et masque les posts
+    /// d'un membre bloqué.
     /// </param>
-    /// <returns>PostDto ou null si le post n'existe pas</returns>
+    /// <returns>PostDto ou null si le post n'existe pas (ou si son auteur est bloqué)</returns>
     Task<PostDto?> GetByIdAsync(Guid postId, Guid? currentUserId = null);
 
     /// <summary>
     /// Met à jour un post existant.
     /// Seul l'auteur du post peut le modifier.
     /// Utilise le pattern Partial Update.
+    /// Si le contenu change, hashtags et mentions sont recalculés (seuls les nouveaux mentionnés sont notifiés).
     /// </summary>
     /// <param name="postId">ID du post à modifier</param>
     /// <param name="authorId">ID de l'utilisateur qui modifie (doit être l'auteur)</param>
@@ -54,12 +64,27 @@ public interface IPostService
     /// Supprime un post.
     /// Seul l'auteur du post peut le supprimer.
     /// Supprime également tous les commentaires et likes associés (cascade).
+    /// Les partages du post sont conservés et affichent "publication supprimée".
     /// </summary>
     /// <param name="postId">ID du post à supprimer</param>
     /// <param name="authorId">ID de l'utilisateur qui supprime (doit être l'auteur)</param>
     /// <returns>True si supprimé, false si post inexistant ou pas l'auteur</returns>
     Task<bool> DeleteAsync(Guid postId, Guid authorId);
 
+    /// <summary>
+    /// Partage un post : crée un nouveau post de l'utilisateur qui affiche l'original,
+    /// avec un commentaire optionnel. Partager un partage revient à partager l'original.
+    /// L'auteur de l'original reçoit une notification.
+    /// </summary>
+    /// <param name="postId">ID du post à partager</param>
+    /// <param name="userId">ID de l'utilisateur qui partage</param>
+    /// <param name="shareDto">Commentaire et mentions (optionnels)</param>
+    /// <returns>
+    /// PostDto du partage créé, ou null si le post n'existe pas, a été supprimé
+    /// ou appartient à un membre bloqué
+    /// </returns>
+    Task<PostDto?> ShareAsync(Guid postId, Guid userId, SharePostDto shareDto);
+
     /// <summary>
     /// Récupère tous les posts d'un utilisateur spécifique.
     /// Triés du plus récent au plus ancien.
@@ -69,32 +94,69 @@ public interface IPostService
     /// ID de l'utilisateur courant (optionnel).
     /// Si fourni, permet de calculer IsLikedByCurrentUser pour chaque post.
     /// </param>
-    /// <returns>Liste des posts de l'utilisateur</returns>
+    /// <returns>Liste des posts de l'utilisateur (vide si l'un a bloqué l'autre)</returns>
     Task<List<PostDto>> GetUserPostsAsync(Guid userId, Guid? currentUserId = null);
 
     /// <summary>
-    /// Ajoute un like d'un utilisateur sur un post.
-    /// Un utilisateur ne peut liker qu'une seule fois un même post.
+    /// Récupère les posts utilisant un hashtag (page /Home/Tag/{tag}).
+    /// Triés du plus récent au plus ancien, hors posts des membres bloqués.
     /// </summary>
-    /// <param name="postId">ID du post à liker</param>
-    /// <param name="userId">ID de l'utilisateur qui like</param>
-    /// <returns>
-    /// Tuple (Success, Message) :
-    /// - (true, "Post liké") si succès
-    /// - (false, "Déjà liké") si l'utilisateur a déjà liké ce post
-    /// - (false, "Post introuvable") si le post n'existe pas
-    /// </returns>
-    Task<(bool Success, string Message)> LikeAsync(Guid postId, Guid userId);
+    /// <param name="tag">Hashtag normalisé, sans le "#" (voir ContentParser.NormalizeHashtag)</param>
+    /// <param name="currentUserId">ID de l'utilisateur courant</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de posts par page</param>
+    /// <returns>Liste des posts de la page (vide si aucun)</returns>
+    Task<List<PostDto>> GetByHashtagAsync(string tag, Guid currentUserId, int page = 1, int pageSize = 20);
+
+    /// <summary>
+    /// Récupère les hashtags les plus utilisés dans les posts publiés récemment
+    /// (widget "Tendances" du feed).
+    /// </summary>
+    /// <param name="days">Période prise en compte, en jours</param>
+    /// <param name="limit">Nombre maximum de hashtags</param>
+    /// <returns>Hashtags triés par nombre de posts décroissant</returns>
+    Task<List<TrendingHashtagDto>> GetTrendingHashtagsAsync(int days = 7, int limit = 10);
 
     /// <summary>
-    /// Retire le like d'un utilisateur sur un post.
+    /// Pose, change ou retire la réaction d'un utilisateur sur un post.
+    /// Opération idempotente : liker un post déjà liké (ou l'inverse) ne change rien
+    /// et ne renvoie pas d'erreur. Un utilisateur n'a qu'une réaction par post.
     /// </summary>
-    /// <param name="postId">ID du post à unliker</param>
-    /// <param name="userId">ID de l'utilisateur qui unlike</param>
+    /// <param name="postId">ID du post</param>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <param name="liked">État souhaité (true = réaction posée)</param>
+    /// <param name="type">Type de réaction (Like par défaut)</param>
     /// <returns>
-    /// Tuple (Success, Message) :
-    /// - (true, "Like retiré") si succès
-    /// - (false, "Pas liké") si l'utilisateur n'avait pas liké ce post
+    /// État après l'opération (nombres de réactions, réaction de l'utilisateur),
+    /// ou null si le post n'existe pas ou si son auteur et l'utilisateur se bloquent
     /// </returns>
-    Task<(bool Success, string Message)> UnlikeAsync(Guid postId, Guid userId);
+    Task<LikeStatusDto?> SetLikeAsync(Guid postId, Guid userId, bool liked, ReactionType type = ReactionType.Like);
+
+    /// <summary>
+    /// Récupère les membres ayant réagi à un post (modal "qui a réagi").
+    /// </summary>
+    /// <param name="postId">ID du post</param>
+    /// <param name="currentUserId">ID du visiteur (optionnel) : exclut les membres bloqués</param>
+    /// <returns>Liste des membres, ou null si le post n'existe pas</returns>
+    Task<List<PostLikerDto>?> GetLikersAsync(Guid postId, Guid? currentUserId = null);
+
+    /// <summary>
+    /// Enregistre un post ou le retire des enregistrés de l'utilisateur.
+    /// Opération idempotente, comme SetLikeAsync.
+    /// </summary>
+    /// <param name="postId">ID du post</param>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <param name="saved">État souhaité (true = enregistré)</param>
+    /// <returns>État après l'opération, ou null si le post n'existe pas (ou si son auteur est bloqué)</returns>
+    Task<SaveStatusDto?> SetSavedAsync(Guid postId, Guid userId, bool saved);
+
+    /// <summary>
+    /// Récupère les posts enregistrés par l'utilisateur (page "Enregistrés"),
+    /// du dernier enregistré au plus ancien, hors posts des membres bloqués.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de posts par page</param>
+    /// <returns>Liste des posts de la page (vide si aucun)</returns>
+    Task<List<PostDto>> GetSavedPostsAsync(Guid userId, int page = 1, int pageSize = 20);
 }
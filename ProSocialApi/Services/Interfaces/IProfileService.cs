@@ -0,0 +1,124 @@
+// IPROFILESERVICE.CS - Interface du service des sections du profil
+// Définit le contrat pour les sections structurées du profil :
+// - Expérience, formation et compétences (ajout, modification, suppression, ordre)
+// - Recommandation des compétences par les relations du membre
+
+using ProSocialApi.DTOs.Users;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le service des sections du profil.
+/// Les champs simples du profil (titre, bio, avatar) restent gérés par IUserService.
+///
+/// Implémentation : ProfileService
+/// Enregistrement DI : AddScoped&lt;IProfileService, ProfileService&gt;()
+/// </summary>
+public interface IProfileService
+{
+    /// <summary>
+    /// Récupère les sections d'un profil, chacune dans l'ordre choisi par le membre.
+    /// </summary>
+    /// <param name="userId">ID du membre dont on consulte le profil</param>
+    /// <param name="currentUserId">
+    /// ID du visiteur (optionnel) : blocages, recommandations déjà faites et droit de recommander.
+    /// </param>
+    /// <returns>Les sections, ou null si le membre n'existe pas (ou est bloqué)</returns>
+    Task<ProfileSectionsDto?> GetSectionsAsync(Guid userId, Guid? currentUserId = null);
+
+    /// <summary>
+    /// Ajoute un poste en fin de section "Expérience".
+    /// Validations : date de fin postérieure au début, nombre maximal de postes.
+    /// </summary>
+    /// <returns>Tuple (Success, Message, Experience) : le poste créé en cas de succès</returns>
+    Task<(bool Success, string Message, ExperienceDto? Experience)> AddExperienceAsync(Guid userId, SaveExperienceDto saveDto);
+
+    /// <summary>
+    /// Modifie un poste du membre (remplacement complet des champs).
+    /// </summary>
+    /// <returns>Tuple (Success, Message, Experience) : échec si le poste n'appartient pas au membre</returns>
+    Task<(bool Success, string Message, ExperienceDto? Experience)> UpdateExperienceAsync(Guid userId, Guid experienceId, SaveExperienceDto saveDto);
+
+    /// <summary>
+    /// Supprime un poste du membre.
+    /// </summary>
+    /// <returns>True si supprimé, false si le poste n'appartient pas au membre</returns>
+    Task<bool> DeleteExperienceAsync(Guid userId, Guid experienceId);
+
+    /// <summary>
+    /// Réordonne la section "Expérience".
+    /// La liste doit contenir exactement les postes du membre.
+    /// </summary>
+    Task<(bool Success, string Message)> ReorderExperiencesAsync(Guid userId, List<Guid> ids);
+
+    /// <summary>
+    /// Ajoute une formation en fin de section "Formation".
+    /// Validations : date de fin postérieure au début, nombre maximal de formations.
+    /// </summary>
+    /// <returns>Tuple (Success, Message, Education) : la formation créée en cas de succès</returns>
+    Task<(bool Success, string Message, EducationDto? Education)> AddEducationAsync(Guid userId, SaveEducationDto saveDto);
+
+    /// <summary>
+    /// Modifie une formation du membre (remplacement complet des champs).
+    /// </summary>
+    /// <returns>Tuple (Success, Message, Education) : échec si la formation n'appartient pas au membre</returns>
+    Task<(bool Success, string Message, EducationDto? Education)> UpdateEducationAsync(Guid userId, Guid educationId, SaveEducationDto saveDto);
+
+    /// <summary>
+    /// Supprime une formation du membre.
+    /// </summary>
+    /// <returns>True si supprimée, false si la formation n'appartient pas au membre</returns>
+    Task<bool> DeleteEducationAsync(Guid userId, Guid educationId);
+
+    /// <summary>
+    /// Réordonne la section "Formation".
+    /// La liste doit contenir exactement les formations du membre.
+    /// </summary>
+    Task<(bool Success, string Message)> ReorderEducationsAsync(Guid userId, List<Guid> ids);
+
+    /// <summary>
+    /// Ajoute une compétence en fin de section "Compétences".
+    /// Validations : pas de doublon (sans casse ni accents), nombre maximal de compétences.
+    /// </summary>
+    /// <returns>Tuple (Success, Message, Skill) : la compétence créée en cas de succès</returns>
+    Task<(bool Success, string Message, SkillDto? Skill)> AddSkillAsync(Guid userId, SaveSkillDto saveDto);
+
+    /// <summary>
+    /// Renomme une compétence du membre.
+    /// Si le nom change réellement (au-delà de la casse et des accents), les recommandations
+    /// reçues sont supprimées : elles portaient sur l'ancienne compétence.
+    /// </summary>
+    /// <returns>Tuple (Success, Message, Skill) : échec si la compétence n'appartient pas au membre</returns>
+    Task<(bool Success, string Message, SkillDto? Skill)> UpdateSkillAsync(Guid userId, Guid skillId, SaveSkillDto saveDto);
+
+    /// <summary>
+    /// Supprime une compétence du membre et ses recommandations.
+    /// </summary>
+    /// <returns>True si supprimée, false si la compétence n'appartient pas au membre</returns>
+    Task<bool> DeleteSkillAsync(Guid userId, Guid skillId);
+
+    /// <summary>
+    /// Réordonne la section "Compétences".
+    /// La liste doit contenir exactement les compétences du membre.
+    /// </summary>
+    Task<(bool Success, string Message)> ReorderSkillsAsync(Guid userId, List<Guid> ids);
+
+    /// <summary>
+    /// Recommande une compétence d'une relation (une seule fois par compétence).
+    /// Le membre recommandé est notifié.
+    /// </summary>
+    /// <param name="ownerId">ID du membre propriétaire de la compétence</param>
+    /// <param name="skillId">ID de la compétence</param>
+    /// <param name="endorserId">ID du membre qui recommande</param>
+    /// <returns>Tuple (Success, Message, Skill) : la compétence à jour en cas de succès</returns>
+    Task<(bool Success, string Message, SkillDto? Skill)> EndorseSkillAsync(Guid ownerId, Guid skillId, Guid endorserId);
+
+    /// <summary>
+    /// Retire sa recommandation d'une compétence (opération idempotente).
+    /// </summary>
+    /// <param name="ownerId">ID du membre propriétaire de la compétence</param>
+    /// <param name="skillId">ID de la compétence</param>
+    /// <param name="endorserId">ID du membre qui retire sa recommandation</param>
+    /// <returns>La compétence à jour, ou null si elle n'existe pas</returns>
+    Task<SkillDto?> RemoveEndorsementAsync(Guid ownerId, Guid skillId, Guid endorserId);
+}
@@ -0,0 +1,56 @@
+// IREALTIMESERVICE.CS - Interface du service temps réel (WebSocket)
+// Définit le contrat pour pousser des événements aux navigateurs connectés :
+// - Suivi des connexions WebSocket ouvertes par utilisateur et par session
+// - Envoi d'un événement à toutes les connexions d'un utilisateur
+// - Fermeture des connexions d'une session révoquée ou d'un membre déconnecté partout
+
+using System.Net.WebSockets;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le canal temps réel entre le serveur et les navigateurs.
+/// Un utilisateur peut avoir plusieurs connexions (plusieurs onglets ouverts).
+///
+/// Implémentation : RealtimeService
+/// Enregistrement DI : AddSingleton&lt;IRealtimeService, RealtimeService&gt;()
+/// (singleton car il conserve les connexions ouvertes entre les requêtes)
+/// </summary>
+public interface IRealtimeService
+{
+    /// <summary>
+    /// Enregistre une connexion WebSocket et la maintient ouverte jusqu'à sa fermeture.
+    /// La méthode ne retourne qu'une fois la connexion terminée (client parti, requête annulée,
+    /// JWT expiré ou session révoquée).
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur authentifié propriétaire de la connexion</param>
+    /// <param name="sessionId">Session du JWT de la poignée de main (claim "sid")</param>
+    /// <param name="expiresAt">Expiration de ce JWT : la connexion est fermée à cette date</param>
+    /// <param name="socket">WebSocket acceptée par le contrôleur</param>
+    /// <param name="cancellationToken">Annulé quand la requête HTTP est interrompue</param>
+    Task HandleConnectionAsync(Guid userId, Guid sessionId, DateTime expiresAt, WebSocket socket, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Envoie un événement (sérialisé en JSON camelCase) à toutes les connexions d'un utilisateur.
+    /// Sans effet si l'utilisateur n'est pas connecté. Les erreurs d'envoi sont ignorées.
+    /// L'événement est mis en file d'envoi de chaque connexion : l'appel n'attend pas les clients,
+    /// et une connexion qui ne suit plus est coupée.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur destinataire</param>
+    /// <param name="payload">Événement à envoyer (ex: { type = "message", ... })</param>
+    Task SendToUserAsync(Guid userId, object payload);
+
+    /// <summary>
+    /// Ferme les connexions ouvertes avec une session (déconnexion d'un appareil).
+    /// Sans effet si aucune connexion n'utilise cette session.
+    /// </summary>
+    /// <param name="userId">ID du membre propriétaire de la session</param>
+    /// <param name="sessionId">ID de la session révoquée</param>
+    void CloseSessionConnections(Guid userId, Guid sessionId);
+
+    /// <summary>
+    /// Ferme toutes les connexions d'un membre (déconnexion de tous les appareils, suspension).
+    /// </summary>
+    /// <param name="userId">ID du membre</param>
+    void CloseUserConnections(Guid userId);
+}
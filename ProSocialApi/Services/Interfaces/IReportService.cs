@@ -0,0 +1,114 @@
+// IREPORTSERVICE.CS - Interface du service de signalement et de modération
+// Définit le contrat pour :
+// - Le signalement d'un contenu (post, commentaire, message) par un membre
+// - La file de modération : signalements ouverts regroupés par contenu
+// - Les actions des modérateurs : classer, supprimer le contenu, suspendre l'auteur
+// - L'attribution des rôles par un administrateur
+
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Reports;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le service de signalement et de modération.
+///
+/// Implémentation : ReportService
+/// Enregistrement DI : AddScoped&lt;IReportService, ReportService&gt;()
+///
+/// Les droits (rôle Moderator ou Admin) sont vérifiés par les contrôleurs
+/// via [Authorize(Roles = ...)] sur le claim "role" du token JWT.
+/// </summary>
+public interface IReportService
+{
+    /// <summary>
+    /// Signale un contenu à la modération.
+    ///
+    /// Validations effectuées :
+    /// - Le contenu existe (et, pour un message, le membre est participant de la conversation)
+    /// - Le membre ne signale pas son propre contenu
+    /// - Pas de signalement déjà ouvert du même membre sur ce contenu
+    /// </summary>
+    /// <param name="reporterId">ID du membre qui signale</param>
+    /// <param name="targetType">Type de contenu</param>
+    /// <param name="targetId">ID du contenu</param>
+    /// <param name="reason">Motif du signalement</param>
+    /// <param name="details">Précisions libres (optionnel)</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Signalement envoyé") si succès
+    /// - (false, "Raison de l'échec") sinon
+    /// </returns>
+    Task<(bool Success, string Message)> CreateReportAsync(Guid reporterId, ReportTargetType targetType,
+        string targetId, ReportReason reason, string? details);
+
+    /// <summary>
+    /// Récupère la file de modération : les signalements ouverts regroupés par contenu,
+    /// les contenus les plus signalés en premier.
+    /// </summary>
+    /// <returns>Liste des contenus signalés (peut être vide)</returns>
+    Task<List<ModerationItemDto>> GetOpenReportsAsync();
+
+    /// <summary>
+    /// Classe sans suite tous les signalements ouverts d'un contenu.
+    /// </summary>
+    /// <param name="targetType">Type de contenu</param>
+    /// <param name="targetId">ID du contenu</param>
+    /// <param name="moderatorId">ID du modérateur</param>
+    /// <returns>True si des signalements ouverts existaient</returns>
+    Task<bool> DismissReportsAsync(ReportTargetType targetType, string targetId, Guid moderatorId);
+
+    /// <summary>
+    /// Supprime un contenu signalé et marque ses signalements comme traités.
+    /// Seuls les contenus ayant au moins un signalement ouvert peuvent être supprimés.
+    /// Un commentaire qui a des réponses est supprimé logiquement (placeholder).
+    /// </summary>
+    /// <param name="targetType">Type de contenu</param>
+    /// <param name="targetId">ID du contenu</param>
+    /// <param name="moderatorId">ID du modérateur</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Contenu supprimé") si succès (ou contenu déjà supprimé par son auteur)
+    /// - (false, "Aucun signalement ouvert pour ce contenu") sinon
+    /// </returns>
+    Task<(bool Success, string Message)> DeleteContentAsync(ReportTargetType targetType, string targetId, Guid moderatorId);
+
+    /// <summary>
+    /// Suspend un compte : le membre ne peut plus se connecter et ses sessions sont fermées.
+    /// Tous les signalements ouverts sur ses contenus sont marqués comme traités.
+    /// Les modérateurs et administrateurs ne peuvent pas être suspendus.
+    /// </summary>
+    /// <param name="userId">ID du membre à suspendre</param>
+    /// <param name="moderatorId">ID du modérateur</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Compte suspendu") si succès (ou déjà suspendu)
+    /// - (false, "Raison de l'échec") sinon
+    /// </returns>
+    Task<(bool Success, string Message)> SuspendUserAsync(Guid userId, Guid moderatorId);
+
+    /// <summary>
+    /// Lève la suspension d'un compte.
+    /// </summary>
+    /// <param name="userId">ID du membre suspendu</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Suspension levée") si succès
+    /// - (false, "Raison de l'échec") sinon (membre inexistant ou non suspendu)
+    /// </returns>
+    Task<(bool Success, string Message)> UnsuspendUserAsync(Guid userId);
+
+    /// <summary>
+    /// Change le rôle d'un membre (réservé aux administrateurs).
+    /// Le nouveau rôle s'applique à la prochaine connexion du membre (claim du token).
+    /// </summary>
+    /// <param name="userId">ID du membre</param>
+    /// <param name="role">Nouveau rôle</param>
+    /// <param name="adminId">ID de l'administrateur</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Rôle mis à jour") si succès
+    /// - (false, "Raison de l'échec") sinon (membre inexistant, son propre rôle)
+    /// </returns>
+    Task<(bool Success, string Message)> SetRoleAsync(Guid userId, UserRole role, Guid adminId);
+}
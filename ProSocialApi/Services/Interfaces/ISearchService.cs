@@ -0,0 +1,48 @@
+// ISEARCHSERVICE.CS - Interface du service de recherche
+// Définit le contrat de la page de recherche (membres et publications) :
+// - Correspondance insensible à la casse et aux accents (é = e)
+// - Tous les termes de la requête doivent être trouvés
+// - Pagination et filtres (relations seulement, période pour les publications)
+
+using ProSocialApi.DTOs.Posts;
+using ProSocialApi.DTOs.Search;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour le service de recherche.
+///
+/// Implémentation : SearchService
+/// Enregistrement DI : AddScoped&lt;ISearchService, SearchService&gt;()
+///
+/// Les membres bloqués (dans un sens ou dans l'autre) et leurs publications
+/// n'apparaissent jamais dans les résultats.
+/// </summary>
+public interface ISearchService
+{
+    /// <summary>
+    /// Recherche des membres par prénom, nom ou titre professionnel.
+    /// Tri : relations d'abord, puis par nom et prénom. L'utilisateur lui-même est exclu.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur qui recherche</param>
+    /// <param name="query">Requête saisie (un ou plusieurs mots)</param>
+    /// <param name="connectionsOnly">Limiter aux relations de l'utilisateur</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de résultats par page</param>
+    /// <returns>Page de résultats (vide si la requête ne contient aucun terme)</returns>
+    Task<SearchResultDto<SearchUserDto>> SearchPeopleAsync(Guid userId, string? query, bool connectionsOnly, int page, int pageSize);
+
+    /// <summary>
+    /// Recherche des publications par leur contenu, de la plus récente à la plus ancienne.
+    /// </summary>
+    /// <param name="userId">ID de l'utilisateur qui recherche</param>
+    /// <param name="query">Requête saisie (un ou plusieurs mots)</param>
+    /// <param name="connectionsOnly">Limiter aux publications des relations de l'utilisateur</param>
+    /// <param name="from">Premier jour de la période (inclus, optionnel)</param>
+    /// <param name="to">Dernier jour de la période (inclus, optionnel)</param>
+    /// <param name="page">Numéro de page (1-based)</param>
+    /// <param name="pageSize">Nombre de résultats par page</param>
+    /// <returns>Page de résultats (vide si la requête ne contient aucun terme)</returns>
+    Task<SearchResultDto<PostDto>> SearchPostsAsync(Guid userId, string? query, bool connectionsOnly,
+        DateTime? from, DateTime? to, int page, int pageSize);
+}
@@ -0,0 +1,81 @@
+// ISESSIONSERVICE.CS - Interface du service de sessions
+// Définit le contrat pour les sessions des membres (un appareil connecté = une session) :
+// - Ouverture d'une session à la connexion, avec son refresh token
+// - Rotation du refresh token à chaque renouvellement du JWT
+// - Détection de la réutilisation d'un ancien refresh token (vol)
+// - Liste des sessions actives, déconnexion d'un appareil ou de tous
+
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Auth;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour la gestion des sessions et des refresh tokens.
+///
+/// Implémentation : SessionService
+/// Enregistrement DI : AddScoped&lt;ISessionService, SessionService&gt;()
+/// </summary>
+public interface ISessionService
+{
+    /// <summary>
+    /// Ouvre une session pour un membre qui vient de s'authentifier.
+    /// Les sessions expirées du membre sont supprimées au passage.
+    /// </summary>
+    /// <param name="userId">ID du membre</param>
+    /// <param name="userAgent">User-Agent du navigateur (appareil)</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
+    /// <returns>La session et son refresh token (en clair, à placer dans le cookie : seul son hash est stocké)</returns>
+    Task<(UserSession Session, string RefreshToken)> CreateAsync(Guid userId, string? userAgent, string? ipAddress);
+
+    /// <summary>
+    /// Renouvelle une session à partir de son refresh token.
+    ///
+    /// Le refresh token est remplacé (rotation) et l'expiration de la session repoussée.
+    /// Un ancien token présenté juste après sa rotation (requêtes simultanées de plusieurs onglets)
+    /// renouvelle la session sans nouvelle rotation. Présenté plus tard, il est considéré comme
+    /// volé : la session est supprimée.
+    /// </summary>
+    /// <param name="refreshToken">Refresh token du cookie</param>
+    /// <param name="ipAddress">Adresse IP du client</param>
+    /// <returns>
+    /// (session avec son membre, nouveau refresh token) si renouvelée ;
+    /// (session, null) si le navigateur a déjà reçu le nouveau token ;
+    /// (null, null) si le token est inconnu, expiré, réutilisé ou si le compte est suspendu
+    /// </returns>
+    Task<(UserSession? Session, string? RefreshToken)> RefreshAsync(string? refreshToken, string? ipAddress);
+
+    /// <summary>
+    /// Vérifie qu'une session existe encore et n'a pas expiré (contrôlé à chaque requête authentifiée).
+    /// </summary>
+    /// <param name="sessionId">ID de session (claim "sid" du JWT)</param>
+    Task<bool> IsActiveAsync(Guid sessionId);
+
+    /// <summary>
+    /// Liste les sessions actives d'un membre, de la plus récemment utilisée à la plus ancienne.
+    /// </summary>
+    /// <param name="userId">ID du membre</param>
+    /// <param name="currentSessionId">Session de l'appareil qui fait la requête (marquée IsCurrent)</param>
+    Task<List<SessionDto>> GetSessionsAsync(Guid userId, Guid? currentSessionId);
+
+    /// <summary>
+    /// Déconnecte un appareil du membre.
+    /// </summary>
+    /// <param name="userId">ID du membre (une session d'un autre membre est ignorée)</param>
+    /// <param name="sessionId">ID de la session à supprimer</param>
+    /// <returns>True si la session a été supprimée, false si introuvable</returns>
+    Task<bool> RevokeAsync(Guid userId, Guid sessionId);
+
+    /// <summary>
+    /// Supprime la session correspondant à un refresh token (déconnexion de l'appareil courant).
+    /// </summary>
+    /// <param name="refreshToken">Refresh token du cookie (ignoré s'il est vide ou inconnu)</param>
+    Task RevokeByRefreshTokenAsync(string? refreshToken);
+
+    /// <summary>
+    /// Déconnecte tous les appareils du membre (y compris celui qui fait la requête).
+    /// </summary>
+    /// <param name="userId">ID du membre</param>
+    /// <returns>Nombre de sessions supprimées</returns>
+    Task<int> RevokeAllAsync(Guid userId);
+}
@@ -0,0 +1,78 @@
+// ITWOFACTORSERVICE.CS - Interface du service de double authentification
+// Définit le contrat pour la double authentification par code à usage unique (TOTP, RFC 6238) :
+// - Activation : clé secrète + QR code, confirmée par un premier code
+// - Codes de secours à usage unique (téléphone perdu)
+// - Désactivation et régénération des codes, protégées par le mot de passe
+// - Vérification du code à la seconde étape de la connexion
+
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Auth;
+
+namespace ProSocialApi.Services.Interfaces;
+
+/// <summary>
+/// Interface pour la gestion de la double authentification.
+///
+/// Implémentation : TwoFactorService
+/// Enregistrement DI : AddScoped&lt;ITwoFactorService, TwoFactorService&gt;()
+/// </summary>
+public interface ITwoFactorService
+{
+    /// <summary>
+    /// Indique si la double authentification est active et combien de codes de secours restent.
+    /// </summary>
+    /// <param name="userId">ID du membre connecté</param>
+    /// <returns>L'état, ou null si le compte n'existe pas</returns>
+    Task<TwoFactorStatusDto?> GetStatusAsync(Guid userId);
+
+    /// <summary>
+    /// Commence l'activation : génère une nouvelle clé secrète (remplace une activation non terminée).
+    /// La double authentification n'est active qu'après confirmation d'un code (EnableAsync).
+    /// </summary>
+    /// <param name="userId">ID du membre connecté</param>
+    /// <returns>La clé, l'URI otpauth:// et son QR code ; null si déjà activée ou compte introuvable</returns>
+    Task<TwoFactorSetupDto?> BeginSetupAsync(Guid userId);
+
+    /// <summary>
+    /// Termine l'activation avec un code de l'application d'authentification et génère les codes de secours.
+    /// </summary>
+    /// <param name="userId">ID du membre connecté</param>
+    /// <param name="code">Code à 6 chiffres</param>
+    /// <returns>
+    /// Tuple (Success, Message, RecoveryCodes) :
+    /// - (true, "Double authentification activée", codes en clair) si succès
+    /// - (false, "Raison de l'échec", null) sinon (pas d'activation en cours, code incorrect)
+    /// </returns>
+    Task<(bool Success, string Message, List<string>? RecoveryCodes)> EnableAsync(Guid userId, string code);
+
+    /// <summary>
+    /// Désactive la double authentification après vérification du mot de passe.
+    /// La clé et les codes de secours sont supprimés.
+    /// </summary>
+    /// <param name="userId">ID du membre connecté</param>
+    /// <param name="password">Mot de passe actuel</param>
+    /// <returns>
+    /// Tuple (Success, Message) :
+    /// - (true, "Double authentification désactivée") si succès
+    /// - (false, "Raison de l'échec") sinon (mot de passe incorrect, pas activée)
+    /// </returns>
+    Task<(bool Success, string Message)> DisableAsync(Guid userId, string password);
+
+    /// <summary>
+    /// Remplace les codes de secours (les anciens ne fonctionnent plus) après vérification du mot de passe.
+    /// </summary>
+    /// <param name="userId">ID du membre connecté</param>
+    /// <param name="password">Mot de passe actuel</param>
+    /// <returns>Tuple (Success, Message, RecoveryCodes) comme EnableAsync</returns>
+    Task<(bool Success, string Message, List<string>? RecoveryCodes)> RegenerateRecoveryCodesAsync(Guid userId, string password);
+
+    /// <summary>
+    /// Vérifie le code saisi à la connexion : code de l'application (6 chiffres) ou code de secours.
+    ///
+    /// Un code de l'application n'est accepté qu'une fois ; un code de secours utilisé est supprimé.
+    /// </summary>
+    /// <param name="user">Compte dont le mot de passe a été vérifié</param>
+    /// <param name="code">Code saisi</param>
+    /// <returns>True si le code est valide</returns>
+    Task<bool> VerifyCodeAsync(User user, string code);
+}
@@ -23,10 +23,14 @@ public interface IUserService
     /// Inclut les statistiques (nombre de connexions, nombre de posts).
     /// </summary>
     /// <param name="id">ID de l'utilisateur recherché</param>
+    /// <param name="currentUserId">
+    /// ID de l'utilisateur qui consulte (optionnel).
+    /// Si fourni, un membre bloqué dans un sens ou dans l'autre n'est pas retourné.
+    /// </param>
     /// <returns>
-    /// UserDto avec le profil complet, ou null si l'utilisateur n'existe pas
+    /// UserDto avec le profil complet, ou null si l'utilisateur n'existe pas (ou est bloqué)
     /// </returns>
-    Task<UserDto?> GetByIdAsync(Guid id);
+    Task<UserDto?> GetByIdAsync(Guid id, Guid? currentUserId = null);
 
     /// <summary>
     /// Met à jour le profil d'un utilisateur.
@@ -52,8 +56,12 @@ public interface IUserService
     /// - Email (contient la requête)
     /// </summary>
     /// <param name="query">Terme de recherche</param>
+    /// <param name="currentUserId">
+    /// ID de l'utilisateur qui recherche (optionnel).
+    /// Si fourni, les membres bloqués dans un sens ou dans l'autre sont exclus.
+    /// </param>
     /// <returns>Liste des utilisateurs correspondants (peut être vide)</returns>
-    Task<List<UserDto>> SearchAsync(string query);
+    Task<List<UserDto>> SearchAsync(string query, Guid? currentUserId = null);
 
     /// <summary>
     /// Supprime définitivement le compte d'un utilisateur.
@@ -0,0 +1,362 @@
+// LINKPREVIEWSERVICE.CS - Service d'aperçu des liens
+// Implémente ILinkPreviewService : télécharge la page d'un lien partagé et lit
+// ses balises Open Graph (og:title, og:description, og:image, og:site_name).
+//
+// Protection SSRF : l'adresse IP est vérifiée au moment de chaque connexion,
+// redirections comprises. Un nom de domaine qui se résout vers le réseau privé
+// (127.0.0.1, 10.x, 192.168.x, 169.254.169.254...) est donc refusé, même si sa
+// résolution DNS change entre deux requêtes.
+//
+// Configuration (section "LinkPreview" de appsettings.json) :
+// - TimeoutSeconds : durée maximale d'un téléchargement (défaut: 5)
+// - MaxResponseBytes : nombre d'octets lus au plus, les balises sont dans le <head> (défaut: 512 Ko)
+// - CacheMinutes / FailureCacheMinutes : durée de cache d'un aperçu / d'un échec (défaut: 360 / 10)
+// - AllowPrivateNetworks : autorise les adresses privées (tests avec un serveur local uniquement)
+
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Caching.Memory;
+using ProSocialApi.DTOs.LinkPreviews;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de récupération des aperçus de liens (Open Graph), avec cache mémoire.
+/// </summary>
+public class LinkPreviewService : ILinkPreviewService, IDisposable
+{
+    private const int MaxUrlLength = 2048;
+    private const int MaxTitleLength = 200;
+    private const int MaxDescriptionLength = 300;
+    private const int MaxSiteNameLength = 100;
+
+    // Balises <meta ...> et leurs attributs (property ou name, content)
+    private static readonly Regex MetaTagRegex = new(@"<meta\s[^>]*>",
+        RegexOptions.IgnoreCase | RegexOptions.Compiled);
+    private static readonly Regex AttributeRegex = new(@"([\w:-]+)\s*=\s*(?:""([^""]*)""|'([^']*)'|([^\s""'>]+))",
+        RegexOptions.Compiled);
+    private static readonly Regex TitleRegex = new(@"<title[^>]*>(.*?)</title>",
+        RegexOptions.IgnoreCase | RegexOptions.Singleline | RegexOptions.Compiled);
+    private static readonly Regex WhitespaceRegex = new(@"\s+", RegexOptions.Compiled);
+
+    private readonly IMemoryCache _cache;
+    private readonly HttpClient _httpClient;
+    private readonly bool _allowPrivateNetworks;
+    private readonly int _maxResponseBytes;
+    private readonly TimeSpan _timeout;
+    private readonly TimeSpan _cacheDuration;
+    private readonly TimeSpan _failureCacheDuration;
+
+    public LinkPreviewService(IMemoryCache cache, IConfiguration configuration)
+    {
+        _cache = cache;
+        _allowPrivateNetworks = configuration.GetValue("LinkPreview:AllowPrivateNetworks", false);
+        _maxResponseBytes = configuration.GetValue("LinkPreview:MaxResponseBytes", 512 * 1024);
+        _timeout = TimeSpan.FromSeconds(configuration.GetValue("LinkPreview:TimeoutSeconds", 5));
+        _cacheDuration = TimeSpan.FromMinutes(configuration.GetValue("LinkPreview:CacheMinutes", 360));
+        _failureCacheDuration = TimeSpan.FromMinutes(configuration.GetValue("LinkPreview:FailureCacheMinutes", 10));
+
+        var handler = new SocketsHttpHandler
+        {
+            // Un proxy se connecterait à notre place : l'adresse ne serait plus vérifiée
+            UseProxy = false,
+            UseCookies = false,
+            AllowAutoRedirect = true,
+            MaxAutomaticRedirections = 3,
+            AutomaticDecompression = DecompressionMethods.All,
+            ConnectTimeout = _timeout,
+            ConnectCallback = ConnectToAllowedAddressAsync
+        };
+
+        _httpClient = new HttpClient(handler) { Timeout = _timeout };
+        _httpClient.DefaultRequestHeaders.UserAgent.ParseAdd("ProSocialLinkPreview/1.0");
+        _httpClient.DefaultRequestHeaders.Accept.ParseAdd("text/html,application/xhtml+xml");
+    }
+
+    /// <summary>
+    /// Récupère l'aperçu d'une page (depuis le cache si elle a déjà été demandée).
+    /// </summary>
+    public async Task<LinkPreviewDto?> GetPreviewAsync(string url, CancellationToken cancellationToken = default)
+    {
+        var uri = ParseUrl(url);
+        if (uri == null)
+            return null;
+
+        // Les échecs sont aussi mis en cache : un lien mort n'est pas retéléchargé à chaque affichage
+        var cacheKey = $"link-preview:{uri.AbsoluteUri}";
+        if (_cache.TryGetValue(cacheKey, out LinkPreviewDto? cached))
+            return cached;
+
+        var preview = await FetchPreviewAsync(uri, cancellationToken);
+
+        // Requête abandonnée par le client : le résultat n'est pas significatif
+        if (cancellationToken.IsCancellationRequested)
+            return null;
+
+        _cache.Set(cacheKey, preview, preview != null ? _cacheDuration : _failureCacheDuration);
+        return preview;
+    }
+
+    /// <summary>
+    /// Vérifie qu'une URL peut être prévisualisée : absolue, http ou https, sans identifiants.
+    /// </summary>
+    /// <param name="url">URL saisie dans le contenu</param>
+    /// <returns>L'URL analysée, ou null si elle est refusée</returns>
+    public static Uri? ParseUrl(string? url)
+    {
+        if (string.IsNullOrWhiteSpace(url) || url.Length > MaxUrlLength)
+            return null;
+
+        if (!Uri.TryCreate(url.Trim(), UriKind.Absolute, out var uri))
+            return null;
+
+        if (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps)
+            return null;
+
+        // http://utilisateur:motdepasse@hôte : jamais envoyé à un site tiers
+        if (!string.IsNullOrEmpty(uri.UserInfo))
+            return null;
+
+        return uri;
+    }
+
+    /// <summary>
+    /// Indique si une adresse IP est publique (joignable pour un aperçu).
+    /// Refusées : boucle locale, réseaux privés, lien local (métadonnées cloud),
+    /// CGNAT, multicast, adresses réservées, et leurs équivalents IPv6.
+    /// </summary>
+    public static bool IsPublicAddress(IPAddress address)
+    {
+        if (address.IsIPv4MappedToIPv6)
+            address = address.MapToIPv4();
+
+        var bytes = address.GetAddressBytes();
+
+        if (address.AddressFamily == AddressFamily.InterNetwork)
+        {
+            return !(bytes[0] == 0                                          // 0.0.0.0/8
+                || bytes[0] == 10                                           // 10.0.0.0/8
+                || bytes[0] == 127                                          // boucle locale
+                || (bytes[0] == 100 && bytes[1] >= 64 && bytes[1] <= 127)   // 100.64.0.0/10 (CGNAT)
+                || (bytes[0] == 169 && bytes[1] == 254)                     // lien local (169.254.169.254)
+                || (bytes[0] == 172 && bytes[1] >= 16 && bytes[1] <= 31)    // 172.16.0.0/12
+                || (bytes[0] == 192 && bytes[1] == 0 && bytes[2] == 0)      // 192.0.0.0/24
+                || (bytes[0] == 192 && bytes[1] == 168)                     // 192.168.0.0/16
+                || (bytes[0] == 198 && (bytes[1] == 18 || bytes[1] == 19))  // 198.18.0.0/15
+                || bytes[0] >= 224);                                        // multicast, réservé, broadcast
+        }
+
+        if (address.AddressFamily == AddressFamily.InterNetworkV6)
+        {
+            if (address.Equals(IPAddress.IPv6Loopback) || address.Equals(IPAddress.IPv6Any)
+                || address.IsIPv6LinkLocal || address.IsIPv6SiteLocal
+                || address.IsIPv6UniqueLocal || address.IsIPv6Multicast)
+                return false;
+
+            // Adresses IPv6 qui contiennent une adresse IPv4 : NAT64 (64:ff9b::/96) et 6to4 (2002::/16)
+            if (bytes[0] == 0x00 && bytes[1] == 0x64 && bytes[2] == 0xff && bytes[3] == 0x9b)
+                return IsPublicAddress(new IPAddress(bytes[12..16]));
+            if (bytes[0] == 0x20 && bytes[1] == 0x02)
+                return IsPublicAddress(new IPAddress(bytes[2..6]));
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// Extrait l'aperçu des balises d'une page HTML.
+    /// Titre : og:title, twitter:title puis title. Sans titre, pas d'aperçu.
+    /// </summary>
+    /// <param name="html">Début du code HTML de la page</param>
+    /// <param name="requestedUri">URL du lien (renvoyée telle quelle dans l'aperçu)</param>
+    /// <param name="pageUri">URL finale après redirections (résout les images relatives)</param>
+    /// <returns>L'aperçu, ou null si la page n'a pas de titre</returns>
+    public static LinkPreviewDto? ParseHtml(string html, Uri requestedUri, Uri pageUri)
+    {
+        var meta = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (Match tag in MetaTagRegex.Matches(html))
+        {
+            string? key = null;
+            string? content = null;
+
+            foreach (Match attribute in AttributeRegex.Matches(tag.Value))
+            {
+                var name = attribute.Groups[1].Value;
+                var value = attribute.Groups[2].Success ? attribute.Groups[2].Value
+                    : attribute.Groups[3].Success ? attribute.Groups[3].Value
+                    : attribute.Groups[4].Value;
+
+                if (name.Equals("property", StringComparison.OrdinalIgnoreCase) || name.Equals("name", StringComparison.OrdinalIgnoreCase))
+                    key = value.Trim();
+                else if (name.Equals("content", StringComparison.OrdinalIgnoreCase))
+                    content = value;
+            }
+
+            // Première occurrence retenue (og:image peut être répétée)
+            if (!string.IsNullOrEmpty(key) && content != null)
+                meta.TryAdd(key, content);
+        }
+
+        var titleMatch = TitleRegex.Match(html);
+        var title = CleanText(meta.GetValueOrDefault("og:title")
+            ?? meta.GetValueOrDefault("twitter:title")
+            ?? (titleMatch.Success ? titleMatch.Groups[1].Value : null), MaxTitleLength);
+
+        if (string.IsNullOrEmpty(title))
+            return null;
+
+        var siteName = CleanText(meta.GetValueOrDefault("og:site_name"), MaxSiteNameLength);
+
+        return new LinkPreviewDto
+        {
+            Url = requestedUri.AbsoluteUri,
+            Title = title,
+            Description = CleanText(meta.GetValueOrDefault("og:description")
+                ?? meta.GetValueOrDefault("twitter:description")
+                ?? meta.GetValueOrDefault("description"), MaxDescriptionLength),
+            ImageUrl = ResolveImageUrl(meta.GetValueOrDefault("og:image")
+                ?? meta.GetValueOrDefault("og:image:url")
+                ?? meta.GetValueOrDefault("twitter:image"), pageUri),
+            SiteName = string.IsNullOrEmpty(siteName) ? pageUri.Host : siteName
+        };
+    }
+
+    /// <summary>
+    /// Télécharge le début de la page et en extrait l'aperçu.
+    /// Toute erreur réseau, réponse non HTML ou dépassement de délai donne null.
+    /// </summary>
+    private async Task<LinkPreviewDto?> FetchPreviewAsync(Uri uri, CancellationToken cancellationToken)
+    {
+        // Délai global : en-têtes ET lecture du contenu
+        using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeout.CancelAfter(_timeout);
+
+        try
+        {
+            using var response = await _httpClient.GetAsync(uri, HttpCompletionOption.ResponseHeadersRead, timeout.Token);
+            if (!response.IsSuccessStatusCode)
+                return null;
+
+            var mediaType = response.Content.Headers.ContentType?.MediaType;
+            if (!string.Equals(mediaType, "text/html", StringComparison.OrdinalIgnoreCase)
+                && !string.Equals(mediaType, "application/xhtml+xml", StringComparison.OrdinalIgnoreCase))
+                return null;
+
+            var html = await ReadLimitedContentAsync(response.Content, timeout.Token);
+            return ParseHtml(html, uri, response.RequestMessage?.RequestUri ?? uri);
+        }
+        catch (Exception ex) when (ex is HttpRequestException or OperationCanceledException or IOException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Lit au plus MaxResponseBytes octets du contenu (le reste de la page est ignoré).
+    /// </summary>
+    private async Task<string> ReadLimitedContentAsync(HttpContent content, CancellationToken cancellationToken)
+    {
+        await using var stream = await content.ReadAsStreamAsync(cancellationToken);
+
+        var buffer = new byte[_maxResponseBytes];
+        var length = 0;
+        int read;
+        while (length < buffer.Length
+            && (read = await stream.ReadAsync(buffer.AsMemory(length), cancellationToken)) > 0)
+        {
+            length += read;
+        }
+
+        return GetEncoding(content.Headers.ContentType?.CharSet).GetString(buffer, 0, length);
+    }
+
+    /// <summary>
+    /// Ouvre la connexion TCP après avoir vérifié les adresses de l'hôte (protection SSRF).
+    /// Appelé pour chaque connexion, y compris celles des redirections.
+    /// </summary>
+    private async ValueTask<Stream> ConnectToAllowedAddressAsync(SocketsHttpConnectionContext context, CancellationToken cancellationToken)
+    {
+        var host = context.DnsEndPoint.Host.Trim('[', ']');
+        var addresses = IPAddress.TryParse(host, out var literal)
+            ? new[] { literal }
+            : await Dns.GetHostAddressesAsync(host, cancellationToken);
+
+        // Une seule adresse privée suffit à refuser l'hôte
+        if (addresses.Length == 0 || (!_allowPrivateNetworks && !addresses.All(IsPublicAddress)))
+            throw new HttpRequestException($"Adresse non autorisée pour un aperçu de lien : {host}");
+
+        var socket = new Socket(SocketType.Stream, ProtocolType.Tcp) { NoDelay = true };
+        try
+        {
+            await socket.ConnectAsync(addresses, context.DnsEndPoint.Port, cancellationToken);
+            return new NetworkStream(socket, ownsSocket: true);
+        }
+        catch
+        {
+            socket.Dispose();
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Décode les entités HTML, réduit les espaces et tronque le texte.
+    /// </summary>
+    private static string? CleanText(string? value, int maxLength)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+            return null;
+
+        var text = WhitespaceRegex.Replace(WebUtility.HtmlDecode(value), " ").Trim();
+        if (text.Length > maxLength)
+            text = text[..(maxLength - 1)].TrimEnd() + "…";
+
+        return text.Length == 0 ? null : text;
+    }
+
+    /// <summary>
+    /// Rend absolue l'URL de l'image (les URLs relatives sont résolues par rapport à la page).
+    /// Seules les images http et https sont retenues.
+    /// </summary>
+    private static string? ResolveImageUrl(string? value, Uri pageUri)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+            return null;
+
+        if (!Uri.TryCreate(pageUri, WebUtility.HtmlDecode(value.Trim()), out var imageUri))
+            return null;
+
+        if (imageUri.Scheme != Uri.UriSchemeHttp && imageUri.Scheme != Uri.UriSchemeHttps)
+            return null;
+
+        return imageUri.AbsoluteUri.Length <= MaxUrlLength ? imageUri.AbsoluteUri : null;
+    }
+
+    /// <summary>
+    /// Encodage annoncé par le serveur (charset), UTF-8 par défaut.
+    /// </summary>
+    private static Encoding GetEncoding(string? charset)
+    {
+        if (string.IsNullOrWhiteSpace(charset))
+            return Encoding.UTF8;
+
+        try
+        {
+            return Encoding.GetEncoding(charset.Trim('"', '\''));
+        }
+        catch (ArgumentException)
+        {
+            return Encoding.UTF8;
+        }
+    }
+
+    public void Dispose()
+    {
+        _httpClient.Dispose();
+    }
+}
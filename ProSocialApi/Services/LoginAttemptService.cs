@@ -0,0 +1,149 @@
+// LOGINATTEMPTSERVICE.CS - Service de protection contre le brute-force
+// Implémente ILoginAttemptService : compteurs d'échecs en mémoire, par compte et par adresse IP.
+//
+// Après FreeAttempts échecs, chaque nouvel essai doit attendre un délai qui double à chaque échec
+// (BaseDelaySeconds, 2x, 4x... plafonné à MaxDelaySeconds). Au-delà de MaxFailuresPerAccount
+// (ou MaxFailuresPerIp), la connexion est verrouillée pendant LockoutMinutes.
+// Les compteurs sont oubliés WindowMinutes après le dernier échec.
+//
+// Configuration (section "LoginProtection" de appsettings.json) :
+// - FreeAttempts (défaut: 3), BaseDelaySeconds (défaut: 2), MaxDelaySeconds (défaut: 60)
+// - MaxFailuresPerAccount (défaut: 10), MaxFailuresPerIp (défaut: 50)
+// - LockoutMinutes (défaut: 15), WindowMinutes (défaut: 60)
+
+using Microsoft.Extensions.Caching.Memory;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de suivi des tentatives de connexion échouées (singleton, cache mémoire).
+/// </summary>
+public class LoginAttemptService : ILoginAttemptService
+{
+    private readonly IMemoryCache _cache;
+    private readonly int _freeAttempts;
+    private readonly TimeSpan _baseDelay;
+    private readonly TimeSpan _maxDelay;
+    private readonly int _maxFailuresPerAccount;
+    private readonly int _maxFailuresPerIp;
+    private readonly TimeSpan _lockoutDuration;
+    private readonly TimeSpan _window;
+
+    public LoginAttemptService(IMemoryCache cache, IConfiguration configuration)
+    {
+        _cache = cache;
+        _freeAttempts = configuration.GetValue("LoginProtection:FreeAttempts", 3);
+        _baseDelay = TimeSpan.FromSeconds(configuration.GetValue("LoginProtection:BaseDelaySeconds", 2));
+        _maxDelay = TimeSpan.FromSeconds(configuration.GetValue("LoginProtection:MaxDelaySeconds", 60));
+        _maxFailuresPerAccount = configuration.GetValue("LoginProtection:MaxFailuresPerAccount", 10);
+        _maxFailuresPerIp = configuration.GetValue("LoginProtection:MaxFailuresPerIp", 50);
+        _lockoutDuration = TimeSpan.FromMinutes(configuration.GetValue("LoginProtection:LockoutMinutes", 15));
+        _window = TimeSpan.FromMinutes(configuration.GetValue("LoginProtection:WindowMinutes", 60));
+    }
+
+    /// <summary>
+    /// Attente restante avant la prochaine tentative, pour le compte et pour l'adresse IP.
+    /// </summary>
+    public TimeSpan? GetRetryAfter(string email, string? ipAddress)
+    {
+        var now = DateTimeOffset.UtcNow;
+        var accountWait = GetWait(AccountKey(email), now);
+        var ipWait = ipAddress == null ? null : GetWait(IpKey(ipAddress), now);
+
+        if (accountWait == null)
+            return ipWait;
+
+        return ipWait == null || accountWait > ipWait ? accountWait : ipWait;
+    }
+
+    /// <summary>
+    /// Compte un échec pour le compte et pour l'adresse IP.
+    /// </summary>
+    public void RecordFailure(string email, string? ipAddress)
+    {
+        var now = DateTimeOffset.UtcNow;
+        RecordFailure(AccountKey(email), _maxFailuresPerAccount, now);
+
+        if (ipAddress != null)
+            RecordFailure(IpKey(ipAddress), _maxFailuresPerIp, now);
+    }
+
+    /// <summary>
+    /// Oublie les échecs du compte.
+    /// </summary>
+    public void RecordSuccess(string email)
+    {
+        _cache.Remove(AccountKey(email));
+    }
+
+    // MÉTHODES PRIVÉES
+    private static string AccountKey(string email) => $"login-attempts:account:{email.Trim().ToLowerInvariant()}";
+
+    private static string IpKey(string ipAddress) => $"login-attempts:ip:{ipAddress}";
+
+    /// <summary>
+    /// Attente restante pour une clé : fin du verrouillage, ou fin du délai progressif depuis le dernier échec.
+    /// </summary>
+    private TimeSpan? GetWait(string key, DateTimeOffset now)
+    {
+        if (!_cache.TryGetValue(key, out AttemptState? state) || state == null)
+            return null;
+
+        DateTimeOffset allowedAt;
+        lock (state)
+        {
+            if (state.LockedUntil > now)
+            {
+                allowedAt = state.LockedUntil.Value;
+            }
+            else if (state.Failures >= _freeAttempts)
+            {
+                allowedAt = state.LastFailureAt + GetDelay(state.Failures);
+            }
+            else
+            {
+                return null;
+            }
+        }
+
+        return allowedAt > now ? allowedAt - now : null;
+    }
+
+    private void RecordFailure(string key, int maxFailures, DateTimeOffset now)
+    {
+        var state = _cache.GetOrCreate(key, _ => new AttemptState())!;
+
+        lock (state)
+        {
+            state.Failures++;
+            state.LastFailureAt = now;
+
+            // Verrouillage, renouvelé à chaque échec au-delà du seuil
+            if (state.Failures >= maxFailures)
+                state.LockedUntil = now + _lockoutDuration;
+        }
+
+        _cache.Set(key, state, _window + _lockoutDuration);
+    }
+
+    /// <summary>
+    /// Délai imposé après un nombre d'échecs : BaseDelay, puis doublé à chaque échec, plafonné.
+    /// </summary>
+    private TimeSpan GetDelay(int failures)
+    {
+        var exponent = Math.Min(failures - _freeAttempts, 16);
+        var delay = _baseDelay * Math.Pow(2, exponent);
+        return delay < _maxDelay ? delay : _maxDelay;
+    }
+
+    /// <summary>
+    /// Échecs enregistrés pour un compte ou une adresse IP.
+    /// </summary>
+    private class AttemptState
+    {
+        public int Failures { get; set; }
+        public DateTimeOffset LastFailureAt { get; set; }
+        public DateTimeOffset? LockedUntil { get; set; }
+    }
+}
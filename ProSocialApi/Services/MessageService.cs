@@ -4,7 +4,9 @@
 // Utilise MySQL (via EF Core) pour les infos utilisateurs.
 
 using Microsoft.EntityFrameworkCore;
+using MongoDB.Bson;
 using MongoDB.Driver;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.MongoModels;
 using ProSocialApi.DTOs.Messages;
@@ -21,12 +23,17 @@ public class MessageService : IMessageService
     private readonly MongoDbContext _mongoContext;    // Pour les conversations (MongoDB)
     private readonly ApplicationDbContext _sqlContext; // Pour les infos utilisateurs (MySQL)
     private readonly ISanitizationService _sanitizer;
+    private readonly INotificationService _notificationService;
+    private readonly IRealtimeService _realtimeService;  // Push WebSocket des nouveaux messages
 
-    public MessageService(MongoDbContext mongoContext, ApplicationDbContext sqlContext, ISanitizationService sanitizer)
+    public MessageService(MongoDbContext mongoContext, ApplicationDbContext sqlContext, ISanitizationService sanitizer,
+        INotificationService notificationService, IRealtimeService realtimeService)
     {
         _mongoContext = mongoContext;
         _sqlContext = sqlContext;
         _sanitizer = sanitizer;
+        _notificationService = notificationService;
+        _realtimeService = realtimeService;
     }
 
     /// <summary>
@@ -40,6 +47,10 @@ public class MessageService : IMessageService
         if (participant == null)
             return null;
 
+        // Pas de conversation possible entre deux membres dont l'un a bloqué l'autre
+        if (await _sqlContext.IsBlockedAsync(userId, createDto.ParticipantId))
+            return null;
+
         // Convertir les GUIDs en strings pour MongoDB
         var userIdStr = userId.ToString();
         var participantIdStr = createDto.ParticipantId.ToString();
@@ -63,6 +74,7 @@ public class MessageService : IMessageService
             {
                 new Message
                 {
+                    Id = ObjectId.GenerateNewId().ToString(),
                     SenderId = userIdStr,
                     Content = _sanitizer.StripAllHtml(createDto.InitialMessage), // Sanitize XSS
                     SentAt = DateTime.UtcNow
@@ -76,6 +88,23 @@ public class MessageService : IMessageService
         // Insérer dans MongoDB
         await _mongoContext.Conversations.InsertOneAsync(conversation);
 
+        // Prévenir le destinataire du message initial
+        await _notificationService.NotifyAsync(createDto.ParticipantId, userId, NotificationType.NewMessage,
+            new NotificationData { ConversationId = conversation.Id });
+
+        var sender = await _sqlContext.Users.FindAsync(userId);
+        var initialMessage = conversation.Messages[0];
+        var messageDto = new MessageDto
+        {
+            Id = initialMessage.Id,
+            SenderId = userIdStr,
+            SenderName = sender != null ? $"{sender.FirstName} {sender.LastName}" : "Inconnu",
+            Content = initialMessage.Content,
+            SentAt = initialMessage.SentAt
+        };
+        await PushMessageAsync(createDto.ParticipantId, conversation.Id, messageDto);
+        await PushMessageAsync(userId, conversation.Id, messageDto);
+
         return await MapToConversationDto(conversation, userId);
     }
 
@@ -93,6 +122,14 @@ public class MessageService : IMessageService
             .SortByDescending(c => c.LastMessageAt) // Plus récentes en premier
             .ToListAsync();
 
+        // Les conversations avec un membre bloqué (dans un sens ou dans l'autre) sont masquées
+        var blockedIds = (await _sqlContext.BlockedUserIds(userId).ToListAsync())
+            .Select(id => id.ToString())
+            .ToHashSet();
+        conversations = conversations
+            .Where(c => !c.Participants.Any(blockedIds.Contains))
+            .ToList();
+
         // Mapper chaque conversation en DTO (nécessite des requêtes MySQL pour les noms)
         var result = new List<ConversationDto>();
         foreach (var conv in conversations)
@@ -118,7 +155,7 @@ public class MessageService : IMessageService
             .Find(c => c.Id == conversationId && c.Participants.Contains(userIdStr))
             .FirstOrDefaultAsync();
 
-        if (conversation == null)
+        if (conversation == null || await IsBlockedConversationAsync(conversation, userId))
             return null;
 
         // Récupérer les infos des participants depuis MySQL
@@ -149,6 +186,7 @@ public class MessageService : IMessageService
                 var sender = participants.FirstOrDefault(p => p.Id.ToString() == m.SenderId);
                 return new MessageDto
                 {
+                    Id = m.Id,
                     SenderId = m.SenderId,
                     SenderName = sender != null ? $"{sender.FirstName} {sender.LastName}" : "Inconnu",
                     Content = m.Content,
@@ -173,12 +211,13 @@ public class MessageService : IMessageService
             .Find(c => c.Id == conversationId && c.Participants.Contains(senderIdStr))
             .FirstOrDefaultAsync();
 
-        if (conversation == null)
+        if (conversation == null || await IsBlockedConversationAsync(conversation, senderId))
             return null;
 
         // Créer le nouveau message
         var message = new Message
         {
+            Id = ObjectId.GenerateNewId().ToString(),
             SenderId = senderIdStr,
             Content = _sanitizer.StripAllHtml(sendDto.Content), // Sanitize XSS
             SentAt = DateTime.UtcNow
@@ -198,13 +237,178 @@ public class MessageService : IMessageService
         // Récupérer le nom de l'expéditeur depuis MySQL
         var sender = await _sqlContext.Users.FindAsync(senderId);
 
-        return new MessageDto
+        var messageDto = new MessageDto
         {
+            Id = message.Id,
             SenderId = senderIdStr,
             SenderName = sender != null ? $"{sender.FirstName} {sender.LastName}" : "Inconnu",
             Content = message.Content, // Contenu déjà sanitizé
             SentAt = message.SentAt
         };
+
+        // Prévenir l'autre participant de la conversation (notification + push temps réel)
+        var recipientIdStr = conversation.Participants.FirstOrDefault(p => p != senderIdStr);
+        if (Guid.TryParse(recipientIdStr, out var recipientId))
+        {
+            await _notificationService.NotifyAsync(recipientId, senderId, NotificationType.NewMessage,
+                new NotificationData { ConversationId = conversationId });
+            await PushMessageAsync(recipientId, conversationId, messageDto);
+        }
+
+        // Et aux autres onglets de l'expéditeur (l'onglet d'envoi ignore ce doublon de la réponse HTTP)
+        await PushMessageAsync(senderId, conversationId, messageDto);
+
+        return messageDto;
+    }
+
+    /// <summary>
+    /// Marque les messages reçus comme lus avec un $set filtré (arrayFilters),
+    /// puis prévient l'expéditeur pour qu'il affiche "Vu".
+    /// Sans effet (false) sur une conversation avec un membre bloqué.
+    /// </summary>
+    public async Task<bool> MarkAsReadAsync(string conversationId, Guid userId)
+    {
+        var userIdStr = userId.ToString();
+
+        var conversation = await _mongoContext.Conversations
+            .Find(c => c.Id == conversationId && c.Participants.Contains(userIdStr))
+            .FirstOrDefaultAsync();
+
+        if (conversation == null || await IsBlockedConversationAsync(conversation, userId))
+            return false;
+
+        // Rien à faire si tous les messages reçus sont déjà lus
+        if (!conversation.Messages.Any(m => m.SenderId != userIdStr && m.ReadAt == null))
+            return true;
+
+        var readAt = DateTime.UtcNow;
+
+        // Met à jour uniquement les éléments du tableau qui correspondent au filtre "m"
+        var update = Builders<Conversation>.Update.Set("messages.$[m].readAt", readAt);
+        var options = new UpdateOptions
+        {
+            ArrayFilters = new[]
+            {
+                new BsonDocumentArrayFilterDefinition<BsonDocument>(new BsonDocument
+                {
+                    { "m.senderId", new BsonDocument("$ne", userIdStr) },
+                    { "m.readAt", BsonNull.Value }
+                })
+            }
+        };
+
+        await _mongoContext.Conversations.UpdateOneAsync(c => c.Id == conversationId, update, options);
+
+        // Accusé de lecture en temps réel pour l'autre participant
+        var senderIdStr = conversation.Participants.FirstOrDefault(p => p != userIdStr);
+        if (Guid.TryParse(senderIdStr, out var senderId))
+        {
+            await _realtimeService.SendToUserAsync(senderId, new
+            {
+                Type = "read",
+                ConversationId = conversationId,
+                ReadAt = readAt
+            });
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Compte les messages non lus via une agrégation MongoDB :
+    /// conversations de l'utilisateur -> $unwind des messages -> messages reçus non lus -> $count.
+    /// Les conversations avec un membre bloqué sont ignorées, comme dans GetConversationsAsync.
+    /// </summary>
+    public async Task<long> GetUnreadCountAsync(Guid userId)
+    {
+        var userIdStr = userId.ToString();
+        var blockedIds = (await _sqlContext.BlockedUserIds(userId).ToListAsync())
+            .Select(id => id.ToString())
+            .ToList();
+
+        // Participant de la conversation, et aucun participant bloqué ($nin)
+        var filter = Builders<Conversation>.Filter.AnyEq(c => c.Participants, userIdStr)
+            & Builders<Conversation>.Filter.AnyNin(c => c.Participants, blockedIds);
+
+        var result = await _mongoContext.Conversations.Aggregate()
+            .Match(filter)
+            .Unwind(c => c.Messages)
+            .Match(new BsonDocument
+            {
+                { "messages.senderId", new BsonDocument("$ne", userIdStr) },
+                { "messages.readAt", BsonNull.Value }
+            })
+            .Count()
+            .FirstOrDefaultAsync();
+
+        return result?.Count ?? 0;
+    }
+
+    /// <summary>
+    /// Recherche un message par son ID dans les conversations de l'utilisateur.
+    /// </summary>
+    public async Task<MessageDto?> FindMessageAsync(string messageId, Guid userId)
+    {
+        var userIdStr = userId.ToString();
+
+        var conversation = await _mongoContext.Conversations
+            .Find(c => c.Participants.Contains(userIdStr) && c.Messages.Any(m => m.Id == messageId))
+            .FirstOrDefaultAsync();
+
+        var message = conversation?.Messages.FirstOrDefault(m => m.Id == messageId);
+        if (message == null)
+            return null;
+
+        return new MessageDto
+        {
+            Id = message.Id,
+            SenderId = message.SenderId,
+            Content = message.Content,
+            SentAt = message.SentAt,
+            ReadAt = message.ReadAt
+        };
+    }
+
+    /// <summary>
+    /// Retire un message de sa conversation avec un $pull (suppression par la modération).
+    /// </summary>
+    public async Task<bool> DeleteMessageAsync(string messageId)
+    {
+        var update = Builders<Conversation>.Update
+            .PullFilter(c => c.Messages, m => m.Id == messageId)
+            .Set(c => c.UpdatedAt, DateTime.UtcNow);
+
+        var result = await _mongoContext.Conversations.UpdateOneAsync(
+            c => c.Messages.Any(m => m.Id == messageId),
+            update);
+
+        return result.ModifiedCount > 0;
+    }
+
+    /// <summary>
+    /// Indique si l'autre participant de la conversation et l'utilisateur sont séparés par un blocage.
+    /// </summary>
+    private async Task<bool> IsBlockedConversationAsync(Conversation conversation, Guid userId)
+    {
+        var userIdStr = userId.ToString();
+        var otherIdStr = conversation.Participants.FirstOrDefault(p => p != userIdStr);
+
+        return Guid.TryParse(otherIdStr, out var otherId)
+            && await _sqlContext.IsBlockedAsync(userId, otherId);
+    }
+
+    /// <summary>
+    /// Pousse un nouveau message à un participant via WebSocket (s'il est connecté),
+    /// sur toutes ses connexions : le destinataire, et l'expéditeur pour ses autres onglets.
+    /// </summary>
+    private Task PushMessageAsync(Guid userId, string conversationId, MessageDto message)
+    {
+        return _realtimeService.SendToUserAsync(userId, new
+        {
+            Type = "message",
+            ConversationId = conversationId,
+            Message = message
+        });
     }
 
     /// <summary>
@@ -224,6 +428,10 @@ public class MessageService : IMessageService
             .Where(u => participantIds.Contains(u.Id))
             .ToListAsync();
 
+        // Messages reçus pas encore lus (badge dans la liste)
+        var currentUserIdStr = currentUserId.ToString();
+        var unreadCount = conversation.Messages.Count(m => m.SenderId != currentUserIdStr && m.ReadAt == null);
+
         // Préparer le dernier message si présent
         var lastMessage = conversation.Messages.LastOrDefault();
         MessageDto? lastMessageDto = null;
@@ -233,6 +441,7 @@ public class MessageService : IMessageService
             var sender = participants.FirstOrDefault(p => p.Id.ToString() == lastMessage.SenderId);
             lastMessageDto = new MessageDto
             {
+                Id = lastMessage.Id,
                 SenderId = lastMessage.SenderId,
                 SenderName = sender != null ? $"{sender.FirstName} {sender.LastName}" : "Inconnu",
                 Content = lastMessage.Content,
@@ -247,6 +456,7 @@ public class MessageService : IMessageService
             CreatedAt = conversation.CreatedAt,
             LastMessageAt = conversation.LastMessageAt,
             LastMessage = lastMessageDto,
+            UnreadCount = unreadCount,
             Participants = participants.Select(p => new ParticipantDto
             {
                 Id = p.Id,
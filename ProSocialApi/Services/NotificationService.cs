@@ -0,0 +1,189 @@
+// NOTIFICATIONSERVICE.CS - Service de notifications in-app
+// Implémente INotificationService : crée et consulte les notifications.
+// Utilise MongoDB pour le stockage (collection "notifications").
+// Utilise MySQL (via EF Core) pour le nom de l'auteur de l'action.
+
+using MongoDB.Bson;
+using MongoDB.Driver;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.MongoModels;
+using ProSocialApi.DTOs.Notifications;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de notifications in-app.
+/// Architecture hybride : MongoDB pour les notifications, MySQL pour les users.
+/// </summary>
+public class NotificationService : INotificationService
+{
+    private readonly MongoDbContext _mongoContext;    // Pour les notifications (MongoDB)
+    private readonly ApplicationDbContext _sqlContext; // Pour le nom de l'expéditeur (MySQL)
+
+    public NotificationService(MongoDbContext mongoContext, ApplicationDbContext sqlContext)
+    {
+        _mongoContext = mongoContext;
+        _sqlContext = sqlContext;
+    }
+
+    /// <summary>
+    /// Crée une notification pour le destinataire.
+    /// Les messages privés d'une même conversation sont regroupés :
+    /// tant que la notification précédente n'est pas lue, elle est simplement remontée.
+    /// </summary>
+    public async Task NotifyAsync(Guid recipientId, Guid fromUserId, NotificationType type, NotificationData data)
+    {
+        // Pas de notification pour ses propres actions
+        if (recipientId == fromUserId)
+            return;
+
+        try
+        {
+            var fromUser = await _sqlContext.Users.FindAsync(fromUserId);
+            var fromUserName = fromUser != null ? $"{fromUser.FirstName} {fromUser.LastName}" : "Quelqu'un";
+
+            data.FromUserId = fromUserId.ToString();
+            data.FromUserName = fromUserName;
+
+            var recipientIdStr = recipientId.ToString();
+
+            // Regroupement des messages : une seule notification non lue par conversation
+            if (type == NotificationType.NewMessage && data.ConversationId != null)
+            {
+                var existing = await _mongoContext.Notifications.FindOneAndUpdateAsync(
+                    n => n.UserId == recipientIdStr &&
+                         n.Type == NotificationType.NewMessage &&
+                         n.Data.ConversationId == data.ConversationId &&
+                         !n.Read,
+                    Builders<Notification>.Update.Set(n => n.CreatedAt, DateTime.UtcNow));
+
+                if (existing != null)
+                    return;
+            }
+
+            var notification = new Notification
+            {
+                Id = ObjectId.GenerateNewId().ToString(),
+                UserId = recipientIdStr,
+                Type = type,
+                Data = data,
+                Message = BuildMessage(type, fromUserName, data),
+                CreatedAt = DateTime.UtcNow
+            };
+
+            await _mongoContext.Notifications.InsertOneAsync(notification);
+        }
+        catch (Exception ex)
+        {
+            // Une notification ratée ne doit pas faire échouer l'action d'origine
+            Console.WriteLine($"Erreur création notification : {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Récupère les dernières notifications d'un utilisateur.
+    /// </summary>
+    public async Task<List<NotificationDto>> GetNotificationsAsync(Guid userId, int limit = 20)
+    {
+        var userIdStr = userId.ToString();
+
+        var notifications = await _mongoContext.Notifications
+            .Find(n => n.UserId == userIdStr)
+            .SortByDescending(n => n.CreatedAt) // Plus récentes en premier
+            .Limit(limit)
+            .ToListAsync();
+
+        return notifications.Select(MapToDto).ToList();
+    }
+
+    /// <summary>
+    /// Compte les notifications non lues (utilise l'index UserId + Read).
+    /// </summary>
+    public async Task<long> GetUnreadCountAsync(Guid userId)
+    {
+        var userIdStr = userId.ToString();
+
+        return await _mongoContext.Notifications
+            .CountDocumentsAsync(n => n.UserId == userIdStr && !n.Read);
+    }
+
+    /// <summary>
+    /// Marque une notification comme lue si elle appartient à l'utilisateur.
+    /// </summary>
+    public async Task<bool> MarkAsReadAsync(string notificationId, Guid userId)
+    {
+        // Un ID mal formé ne peut correspondre à aucun document
+        if (!ObjectId.TryParse(notificationId, out _))
+            return false;
+
+        var userIdStr = userId.ToString();
+
+        var result = await _mongoContext.Notifications.UpdateOneAsync(
+            n => n.Id == notificationId && n.UserId == userIdStr,
+            Builders<Notification>.Update.Set(n => n.Read, true));
+
+        return result.MatchedCount > 0;
+    }
+
+    /// <summary>
+    /// Marque toutes les notifications non lues de l'utilisateur comme lues ($set via updateMany).
+    /// </summary>
+    public async Task<long> MarkAllAsReadAsync(Guid userId)
+    {
+        var userIdStr = userId.ToString();
+
+        var result = await _mongoContext.Notifications.UpdateManyAsync(
+            n => n.UserId == userIdStr && !n.Read,
+            Builders<Notification>.Update.Set(n => n.Read, true));
+
+        return result.ModifiedCount;
+    }
+
+    /// <summary>
+    /// Construit le message affiché selon le type de notification.
+    /// </summary>
+    private static string BuildMessage(NotificationType type, string fromUserName, NotificationData data)
+    {
+        return type switch
+        {
+            NotificationType.ConnectionRequest => $"{fromUserName} vous a envoyé une demande de connexion",
+            NotificationType.ConnectionAccepted => $"{fromUserName} a accepté votre demande de connexion",
+            NotificationType.NewLike => $"{fromUserName} a aimé votre publication",
+            NotificationType.NewComment => $"{fromUserName} a commenté votre publication",
+            NotificationType.CommentReply => $"{fromUserName} a répondu à votre commentaire",
+            NotificationType.NewMessage => $"Nouveau message de {fromUserName}",
+            NotificationType.Mention => data.CommentId != null
+                ? $"{fromUserName} vous a mentionné dans un commentaire"
+                : $"{fromUserName} vous a mentionné dans une publication",
+            NotificationType.Share => $"{fromUserName} a partagé votre publication",
+            NotificationType.SkillEndorsement => $"{fromUserName} a recommandé votre compétence {data.SkillName}",
+            _ => $"Nouvelle activité de {fromUserName}"
+        };
+    }
+
+    /// <summary>
+    /// Convertit une Notification MongoDB en NotificationDto.
+    /// </summary>
+    private static NotificationDto MapToDto(Notification notification)
+    {
+        return new NotificationDto
+        {
+            Id = notification.Id,
+            Type = notification.Type.ToString(),
+            Message = notification.Message,
+            Read = notification.Read,
+            CreatedAt = notification.CreatedAt,
+            Data = new NotificationDataDto
+            {
+                FromUserId = notification.Data.FromUserId,
+                FromUserName = notification.Data.FromUserName,
+                PostId = notification.Data.PostId,
+                CommentId = notification.Data.CommentId,
+                ConversationId = notification.Data.ConversationId,
+                ConnectionId = notification.Data.ConnectionId,
+                SkillName = notification.Data.SkillName
+            }
+        };
+    }
+}
@@ -0,0 +1,55 @@
+// PICKUPDIRECTORYEMAILSENDER.CS - Emails écrits dans un dossier local
+// Implémente IEmailSender sans serveur de mail : chaque email est enregistré
+// dans un fichier .eml (format standard, lisible par un client mail) au lieu d'être envoyé.
+// Destiné au développement et aux tests : les liens des emails se récupèrent dans ces fichiers.
+//
+// Configuration (section "Email" de appsettings.json) :
+// - From : adresse d'expédition
+// - PickupDirectory : dossier des fichiers .eml, relatif au dossier de l'application (défaut: "mail")
+
+using System.Net.Mail;
+using System.Text;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Enregistre les emails dans un dossier de dépôt ("pickup directory") au lieu de les envoyer.
+/// </summary>
+public class PickupDirectoryEmailSender : IEmailSender
+{
+    private readonly string _from;
+
+    /// <summary>
+    /// Chemin absolu du dossier où sont écrits les fichiers .eml.
+    /// </summary>
+    public string PickupDirectory { get; }
+
+    public PickupDirectoryEmailSender(IConfiguration configuration)
+    {
+        _from = configuration["Email:From"] ?? "no-reply@prosocial.local";
+        PickupDirectory = Path.GetFullPath(configuration["Email:PickupDirectory"] ?? "mail");
+    }
+
+    /// <summary>
+    /// Écrit l'email dans un nouveau fichier .eml du dossier de dépôt.
+    /// </summary>
+    public async Task SendAsync(string to, string subject, string body)
+    {
+        Directory.CreateDirectory(PickupDirectory);
+
+        using var message = new MailMessage(_from, to, subject, body)
+        {
+            BodyEncoding = Encoding.UTF8,
+            SubjectEncoding = Encoding.UTF8
+        };
+
+        using var client = new SmtpClient
+        {
+            DeliveryMethod = SmtpDeliveryMethod.SpecifiedPickupDirectory,
+            PickupDirectoryLocation = PickupDirectory
+        };
+
+        await client.SendMailAsync(message);
+    }
+}
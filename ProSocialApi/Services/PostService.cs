@@ -1,10 +1,13 @@
 // POSTSERVICE.CS - Service de gestion des publications
 // Implémente IPostService : gère le cycle de vie des posts et les likes.
-// Opérations : CRUD posts, like/unlike, récupération des posts d'un utilisateur.
+// Opérations : CRUD posts, like (idempotent) et likers, récupération des posts d'un utilisateur,
+// hashtags (page d'un hashtag, tendances), mentions, posts enregistrés et partages.
 
 using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
 using ProSocialApi.DTOs.Posts;
 using ProSocialApi.Services.Interfaces;
 
@@ -18,28 +21,34 @@ public class PostService : IPostService
 {
     private readonly ApplicationDbContext _context;
     private readonly ISanitizationService _sanitizer;
+    private readonly INotificationService _notificationService;
 
-    public PostService(ApplicationDbContext context, ISanitizationService sanitizer)
+    public PostService(ApplicationDbContext context, ISanitizationService sanitizer, INotificationService notificationService)
     {
         _context = context;
         _sanitizer = sanitizer;
+        _notificationService = notificationService;
     }
 
     /// <summary>
     /// Crée un nouveau post pour l'utilisateur spécifié.
+    /// Les hashtags et mentions du contenu sont enregistrés, et les membres mentionnés prévenus.
+    /// L'image éventuelle a déjà été validée et enregistrée par IImageStorageService.
     /// </summary>
-    public async Task<PostDto> CreateAsync(Guid authorId, CreatePostDto createDto)
+    public async Task<PostDto> CreateAsync(Guid authorId, CreatePostDto createDto, string? imageUrl = null)
     {
         var post = new Post
         {
             AuthorId = authorId,
             Content = _sanitizer.StripAllHtml(createDto.Content), // Sanitize XSS
-            ImageUrl = createDto.ImageUrl
+            ImageUrl = imageUrl
         };
 
         _context.Posts.Add(post);
         await _context.SaveChangesAsync();
 
+        await UpdateHashtagsAndMentionsAsync(post, createDto.MentionedUserIds);
+
         // Recharger le post complet avec relations pour le DTO
         return (await GetByIdAsync(post.Id, authorId))!;
     }
@@ -49,17 +58,31 @@ public class PostService : IPostService
     /// </summary>
     public async Task<PostDto?> GetByIdAsync(Guid postId, Guid? currentUserId = null)
     {
-        // Charger le post avec ses relations (auteur, likes, commentaires)
+        // Charger le post avec ses relations (auteur, likes, commentaires, mentions)
         var post = await _context.Posts
             .Include(p => p.Author)
             .Include(p => p.Likes)
             .Include(p => p.Comments)
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser)
+            .Include(p => p.Saves.Where(s => s.UserId == currentUserId))
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author)
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
             .FirstOrDefaultAsync(p => p.Id == postId);
 
         if (post == null)
             return null;
 
-        return MapToDto(post, currentUserId);
+        // Post d'un membre bloqué (dans un sens ou dans l'autre) : invisible,
+        // de même que le partage d'une de ses publications
+        if (currentUserId != null && await _context.IsBlockedAsync(currentUserId.Value, post.AuthorId))
+            return null;
+
+        if (currentUserId != null && post.SharedPost != null
+            && await _context.IsBlockedAsync(currentUserId.Value, post.SharedPost.AuthorId))
+            return null;
+
+        var sharesCount = await _context.Posts.CountAsync(p => p.SharedPostId == post.Id);
+        return MapToDto(post, currentUserId, sharesCount);
     }
 
     /// <summary>
@@ -78,13 +101,13 @@ public class PostService : IPostService
         if (updateDto.Content != null)
             post.Content = _sanitizer.StripAllHtml(updateDto.Content); // Sanitize XSS
 
-        if (updateDto.ImageUrl != null)
-            post.ImageUrl = updateDto.ImageUrl;
-
         post.UpdatedAt = DateTime.UtcNow;
 
         await _context.SaveChangesAsync();
 
+        if (updateDto.Content != null)
+            await UpdateHashtagsAndMentionsAsync(post, updateDto.MentionedUserIds);
+
         return await GetByIdAsync(postId, authorId);
     }
 
@@ -99,82 +122,333 @@ public class PostService : IPostService
         if (post == null || post.AuthorId != authorId)
             return false;
 
+        // Les partages sont conservés : chargés pour que SharedPostId passe à null (SetNull)
+        await _context.Posts.Where(p => p.SharedPostId == postId).LoadAsync();
+
         _context.Posts.Remove(post);
         await _context.SaveChangesAsync();
 
         return true;
     }
 
+    /// <summary>
+    /// Partage un post avec un commentaire optionnel : crée un nouveau post qui référence l'original.
+    /// Partager un partage revient à partager sa publication d'origine.
+    /// L'auteur de l'original est prévenu.
+    /// </summary>
+    public async Task<PostDto?> ShareAsync(Guid postId, Guid userId, SharePostDto shareDto)
+    {
+        var original = await _context.Posts.FindAsync(postId);
+
+        if (original is { IsShare: true })
+        {
+            if (await _context.IsBlockedAsync(userId, original.AuthorId))
+                return null;
+
+            original = original.SharedPostId == null
+                ? null // Original supprimé : plus rien à partager
+                : await _context.Posts.FindAsync(original.SharedPostId.Value);
+        }
+
+        if (original == null || await _context.IsBlockedAsync(userId, original.AuthorId))
+            return null;
+
+        var share = new Post
+        {
+            AuthorId = userId,
+            Content = _sanitizer.StripAllHtml(shareDto.Content).Trim(), // Sanitize XSS
+            IsShare = true,
+            SharedPostId = original.Id
+        };
+
+        _context.Posts.Add(share);
+        await _context.SaveChangesAsync();
+
+        await UpdateHashtagsAndMentionsAsync(share, shareDto.MentionedUserIds);
+
+        // Prévenir l'auteur de l'original (ignoré s'il partage son propre post)
+        await _notificationService.NotifyAsync(original.AuthorId, userId, NotificationType.Share,
+            new NotificationData { PostId = share.Id.ToString() });
+
+        return await GetByIdAsync(share.Id, userId);
+    }
+
     /// <summary>
     /// Récupère tous les posts d'un utilisateur, triés du plus récent au plus ancien.
     /// </summary>
     public async Task<List<PostDto>> GetUserPostsAsync(Guid userId, Guid? currentUserId = null)
     {
-        var posts = await _context.Posts
+        if (currentUserId != null && await _context.IsBlockedAsync(currentUserId.Value, userId))
+            return new List<PostDto>();
+
+        var query = _context.Posts
             .Include(p => p.Author)
             .Include(p => p.Likes)
             .Include(p => p.Comments)
-            .Where(p => p.AuthorId == userId)
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser)
+            .Include(p => p.Saves.Where(s => s.UserId == currentUserId))
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author)
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
+            .Where(p => p.AuthorId == userId);
+
+        // Partages d'une publication d'un membre bloqué : invisibles, comme la publication elle-même
+        if (currentUserId != null)
+        {
+            var blockedUserIds = _context.BlockedUserIds(currentUserId.Value);
+            query = query.Where(p => p.SharedPost == null || !blockedUserIds.Contains(p.SharedPost.AuthorId));
+        }
+
+        var posts = await query
             .OrderByDescending(p => p.CreatedAt) // Plus récents en premier
             .ToListAsync();
 
-        return posts.Select(p => MapToDto(p, currentUserId)).ToList();
+        var sharesCounts = await _context.CountSharesAsync(posts.Select(p => p.Id).ToList());
+        return posts.Select(p => MapToDto(p, currentUserId, sharesCounts.GetValueOrDefault(p.Id))).ToList();
     }
 
     /// <summary>
-    /// Ajoute un like d'un utilisateur sur un post.
-    /// Vérifie que le post existe et que l'utilisateur n'a pas déjà liké.
+    /// Pose, change ou retire la réaction d'un utilisateur sur un post (opération idempotente).
+    /// Retourne l'état réel après l'opération, ou null si le post n'existe pas ou si son auteur est bloqué.
     /// </summary>
-    public async Task<(bool Success, string Message)> LikeAsync(Guid postId, Guid userId)
+    public async Task<LikeStatusDto?> SetLikeAsync(Guid postId, Guid userId, bool liked, ReactionType type = ReactionType.Like)
     {
         // Vérifier que le post existe
         var post = await _context.Posts.FindAsync(postId);
-        if (post == null)
-            return (false, "Post non trouvé");
+        if (post == null || await _context.IsBlockedAsync(userId, post.AuthorId))
+            return null;
 
-        // Vérifier si l'utilisateur a déjà liké ce post
         var existingLike = await _context.Likes
             .FirstOrDefaultAsync(l => l.PostId == postId && l.UserId == userId);
 
-        if (existingLike != null)
-            return (false, "Vous avez déjà liké ce post");
+        if (liked && existingLike == null)
+        {
+            _context.Likes.Add(new Like { PostId = postId, UserId = userId, Type = type });
+
+            try
+            {
+                await _context.SaveChangesAsync();
 
-        // Créer le like
-        var like = new Like
+                // Prévenir l'auteur du post (ignoré s'il like son propre post)
+                await _notificationService.NotifyAsync(post.AuthorId, userId, NotificationType.NewLike,
+                    new NotificationData { PostId = postId.ToString() });
+            }
+            catch (DbUpdateException)
+            {
+                // Double clic : une requête concurrente a déjà créé le like (index unique)
+                _context.ChangeTracker.Clear();
+            }
+        }
+        else if (liked && existingLike!.Type != type)
+        {
+            // Changement de réaction : pas de nouvelle notification
+            existingLike.Type = type;
+            await _context.SaveChangesAsync();
+        }
+        else if (!liked && existingLike != null)
+        {
+            _context.Likes.Remove(existingLike);
+            await _context.SaveChangesAsync();
+        }
+
+        var likes = await _context.Likes
+            .Where(l => l.PostId == postId)
+            .Select(l => new { l.UserId, l.Type })
+            .ToListAsync();
+        var reaction = likes.FirstOrDefault(l => l.UserId == userId)?.Type;
+
+        return new LikeStatusDto
         {
             PostId = postId,
-            UserId = userId
+            LikesCount = likes.Count,
+            Liked = reaction.HasValue,
+            Reaction = reaction?.ToString(),
+            ReactionCounts = likes.GroupBy(l => l.Type).ToDictionary(g => g.Key.ToString(), g => g.Count())
         };
+    }
 
-        _context.Likes.Add(like);
-        await _context.SaveChangesAsync();
+    /// <summary>
+    /// Récupère les membres ayant réagi à un post, du plus récent au plus ancien.
+    /// Les membres bloqués par le visiteur (ou qui l'ont bloqué) sont exclus.
+    /// </summary>
+    public async Task<List<PostLikerDto>?> GetLikersAsync(Guid postId, Guid? currentUserId = null)
+    {
+        if (!await _context.Posts.AnyAsync(p => p.Id == postId))
+            return null;
+
+        var blockedUserIds = _context.BlockedUserIds(currentUserId ?? Guid.Empty);
 
-        return (true, "Post liké");
+        return await _context.Likes
+            .Where(l => l.PostId == postId && !blockedUserIds.Contains(l.UserId))
+            .OrderByDescending(l => l.CreatedAt)
+            .Select(l => new PostLikerDto
+            {
+                Id = l.User.Id,
+                FirstName = l.User.FirstName,
+                LastName = l.User.LastName,
+                Headline = l.User.Headline,
+                AvatarUrl = l.User.AvatarUrl,
+                Reaction = l.Type.ToString(),
+                LikedAt = l.CreatedAt
+            })
+            .ToListAsync();
     }
 
     /// <summary>
-    /// Retire le like d'un utilisateur sur un post.
+    /// Enregistre un post ou le retire des enregistrés (opération idempotente).
+    /// Retourne l'état après l'opération, ou null si le post n'existe pas ou si son auteur est bloqué.
     /// </summary>
-    public async Task<(bool Success, string Message)> UnlikeAsync(Guid postId, Guid userId)
+    public async Task<SaveStatusDto?> SetSavedAsync(Guid postId, Guid userId, bool saved)
     {
-        // Rechercher le like existant
-        var like = await _context.Likes
-            .FirstOrDefaultAsync(l => l.PostId == postId && l.UserId == userId);
+        var post = await _context.Posts.FindAsync(postId);
+        if (post == null || await _context.IsBlockedAsync(userId, post.AuthorId))
+            return null;
+
+        var existingSave = await _context.SavedPosts
+            .FirstOrDefaultAsync(s => s.PostId == postId && s.UserId == userId);
+
+        if (saved && existingSave == null)
+        {
+            _context.SavedPosts.Add(new SavedPost { PostId = postId, UserId = userId });
+
+            try
+            {
+                await _context.SaveChangesAsync();
+            }
+            catch (DbUpdateException)
+            {
+                // Double clic : une requête concurrente a déjà enregistré le post (index unique)
+                _context.ChangeTracker.Clear();
+            }
+        }
+        else if (!saved && existingSave != null)
+        {
+            _context.SavedPosts.Remove(existingSave);
+            await _context.SaveChangesAsync();
+        }
+
+        return new SaveStatusDto { PostId = postId, Saved = saved };
+    }
+
+    /// <summary>
+    /// Récupère les posts enregistrés par un utilisateur, du dernier enregistré au plus ancien.
+    /// Les posts des membres bloqués sont écartés (ils réapparaissent si le blocage est levé).
+    /// </summary>
+    public async Task<List<PostDto>> GetSavedPostsAsync(Guid userId, int page = 1, int pageSize = 20)
+    {
+        var blockedUserIds = _context.BlockedUserIds(userId);
+
+        // Étape 1 : la page d'enregistrements, dans l'ordre d'enregistrement
+        var savedPostIds = await _context.SavedPosts
+            .Where(s => s.UserId == userId && !blockedUserIds.Contains(s.Post.AuthorId))
+            .Where(s => s.Post.SharedPost == null || !blockedUserIds.Contains(s.Post.SharedPost.AuthorId))
+            .OrderByDescending(s => s.CreatedAt)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .Select(s => s.PostId)
+            .ToListAsync();
+
+        // Étape 2 : les posts complets, remis dans cet ordre
+        var posts = await _context.Posts
+            .Include(p => p.Author)
+            .Include(p => p.Likes)
+            .Include(p => p.Comments)
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser)
+            .Include(p => p.Saves.Where(s => s.UserId == userId))
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author)
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
+            .Where(p => savedPostIds.Contains(p.Id))
+            .ToDictionaryAsync(p => p.Id);
+
+        var sharesCounts = await _context.CountSharesAsync(posts.Keys.ToList());
+        return savedPostIds
+            .Where(posts.ContainsKey)
+            .Select(id => MapToDto(posts[id], userId, sharesCounts.GetValueOrDefault(id)))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Récupère les posts utilisant un hashtag, du plus récent au plus ancien.
+    /// </summary>
+    public async Task<List<PostDto>> GetByHashtagAsync(string tag, Guid currentUserId, int page = 1, int pageSize = 20)
+    {
+        var blockedUserIds = _context.BlockedUserIds(currentUserId);
+
+        var posts = await _context.Posts
+            .Include(p => p.Author)
+            .Include(p => p.Likes)
+            .Include(p => p.Comments)
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser)
+            .Include(p => p.Saves.Where(s => s.UserId == currentUserId))
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author)
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
+            .Where(p => p.Hashtags.Any(h => h.Tag == tag))
+            .Where(p => !blockedUserIds.Contains(p.AuthorId))
+            .Where(p => p.SharedPost == null || !blockedUserIds.Contains(p.SharedPost.AuthorId))
+            .OrderByDescending(p => p.CreatedAt)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync();
+
+        var sharesCounts = await _context.CountSharesAsync(posts.Select(p => p.Id).ToList());
+        return posts.Select(p => MapToDto(p, currentUserId, sharesCounts.GetValueOrDefault(p.Id))).ToList();
+    }
+
+    /// <summary>
+    /// Hashtags les plus utilisés dans les posts publiés ces derniers jours.
+    /// À égalité, le hashtag utilisé le plus récemment passe devant.
+    /// </summary>
+    public async Task<List<TrendingHashtagDto>> GetTrendingHashtagsAsync(int days = 7, int limit = 10)
+    {
+        var since = DateTime.UtcNow.AddDays(-days);
 
-        if (like == null)
-            return (false, "Vous n'avez pas liké ce post");
+        return await _context.PostHashtags
+            .Where(h => h.Post.CreatedAt >= since)
+            .GroupBy(h => h.Tag)
+            .Select(g => new
+            {
+                Tag = g.Key,
+                PostsCount = g.Count(),
+                LastUsedAt = g.Max(h => h.Post.CreatedAt)
+            })
+            .OrderByDescending(t => t.PostsCount)
+            .ThenByDescending(t => t.LastUsedAt)
+            .Take(limit)
+            .Select(t => new TrendingHashtagDto { Tag = t.Tag, PostsCount = t.PostsCount })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Aligne les hashtags et mentions enregistrés sur le contenu du post,
+    /// puis prévient les membres nouvellement mentionnés.
+    /// </summary>
+    private async Task UpdateHashtagsAndMentionsAsync(Post post, List<Guid>? mentionedUserIds)
+    {
+        // Hashtags : ceux du contenu actuel, sans doublons
+        var tags = ContentParser.ExtractHashtags(post.Content);
+        var existingTags = await _context.PostHashtags.Where(h => h.PostId == post.Id).ToListAsync();
+
+        _context.PostHashtags.RemoveRange(existingTags.Where(h => !tags.Contains(h.Tag)));
+        _context.PostHashtags.AddRange(tags
+            .Where(tag => existingTags.All(h => h.Tag != tag))
+            .Select(tag => new PostHashtag { PostId = post.Id, Tag = tag }));
+
+        // Mentions : membres choisis dans l'autocomplétion et toujours présents dans le texte
+        var existingMentions = await _context.Mentions.Where(m => m.PostId == post.Id).ToListAsync();
+        var newMentionIds = await _context.UpdateMentionsAsync(post.AuthorId, post.Content, existingMentions,
+            mentionedUserIds, userId => new Mention { MentionedUserId = userId, PostId = post.Id });
 
-        _context.Likes.Remove(like);
         await _context.SaveChangesAsync();
 
-        return (true, "Like retiré");
+        var notificationData = new NotificationData { PostId = post.Id.ToString() };
+        foreach (var userId in newMentionIds)
+            await _notificationService.NotifyAsync(userId, post.AuthorId, NotificationType.Mention, notificationData);
     }
 
     /// <summary>
     /// Convertit une entité Post en PostDto.
     /// Calcule les statistiques et vérifie si l'utilisateur courant a liké.
     /// </summary>
-    private static PostDto MapToDto(Post post, Guid? currentUserId)
+    private static PostDto MapToDto(Post post, Guid? currentUserId, int sharesCount)
     {
         return new PostDto
         {
@@ -192,9 +466,50 @@ public class PostService : IPostService
                 AvatarUrl = post.Author.AvatarUrl
             },
             LikesCount = post.Likes.Count,
-            CommentsCount = post.Comments.Count,
-            // Vérifie si l'utilisateur courant fait partie des likes
-            IsLikedByCurrentUser = currentUserId.HasValue && post.Likes.Any(l => l.UserId == currentUserId.Value)
+            ReactionCounts = post.Likes.GroupBy(l => l.Type).ToDictionary(g => g.Key.ToString(), g => g.Count()),
+            CommentsCount = post.Comments.Count(c => !c.IsDeleted),
+            // Vérifie si l'utilisateur courant fait partie des likes, et avec quelle réaction
+            IsLikedByCurrentUser = currentUserId.HasValue && post.Likes.Any(l => l.UserId == currentUserId.Value),
+            CurrentUserReaction = post.Likes.FirstOrDefault(l => currentUserId.HasValue && l.UserId == currentUserId.Value)?.Type.ToString(),
+            // Seuls les enregistrements de l'utilisateur courant sont chargés (Include filtré)
+            IsSaved = currentUserId.HasValue && post.Saves.Any(s => s.UserId == currentUserId.Value),
+            Mentions = post.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList(),
+            IsShare = post.IsShare,
+            SharedPost = post.SharedPost == null ? null : MapSharedPost(post.SharedPost),
+            SharesCount = sharesCount
+        };
+    }
+
+    /// <summary>
+    /// Convertit la publication d'origine d'un partage en SharedPostDto (carte intégrée).
+    /// </summary>
+    private static SharedPostDto MapSharedPost(Post post)
+    {
+        return new SharedPostDto
+        {
+            Id = post.Id,
+            Content = post.Content,
+            ImageUrl = post.ImageUrl,
+            CreatedAt = post.CreatedAt,
+            Author = new PostAuthorDto
+            {
+                Id = post.Author.Id,
+                FirstName = post.Author.FirstName,
+                LastName = post.Author.LastName,
+                Headline = post.Author.Headline,
+                AvatarUrl = post.Author.AvatarUrl
+            },
+            Mentions = post.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList()
         };
     }
 }
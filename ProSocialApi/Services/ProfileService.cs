@@ -0,0 +1,585 @@
+// PROFILESERVICE.CS - Service des sections du profil
+// Implémente IProfileService : expérience, formation et compétences d'un membre,
+// dans l'ordre qu'il choisit, et recommandations des compétences par ses relations.
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.Data.MongoModels;
+using ProSocialApi.DTOs.Users;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service des sections structurées du profil.
+/// Chaque section est ordonnée par SortOrder ; un nouvel élément est ajouté en fin de section.
+/// </summary>
+public class ProfileService : IProfileService
+{
+    // Taille maximale de chaque section
+    private const int MaxExperiences = 30;
+    private const int MaxEducations = 20;
+    private const int MaxSkills = 50;
+
+    // Recommandations affichées par compétence (avatars des dernières relations)
+    private const int EndorsersShown = 3;
+
+    private readonly ApplicationDbContext _context;
+    private readonly ISanitizationService _sanitizer;
+    private readonly INotificationService _notificationService;
+
+    public ProfileService(ApplicationDbContext context, ISanitizationService sanitizer, INotificationService notificationService)
+    {
+        _context = context;
+        _sanitizer = sanitizer;
+        _notificationService = notificationService;
+    }
+
+    /// <summary>
+    /// Récupère les sections d'un profil.
+    /// Un membre bloqué (dans un sens ou dans l'autre) est traité comme inexistant.
+    /// </summary>
+    public async Task<ProfileSectionsDto?> GetSectionsAsync(Guid userId, Guid? currentUserId = null)
+    {
+        if (!await _context.Users.AnyAsync(u => u.Id == userId))
+            return null;
+
+        if (currentUserId != null && currentUserId != userId && await _context.IsBlockedAsync(currentUserId.Value, userId))
+            return null;
+
+        var experiences = await _context.Experiences
+            .Where(e => e.UserId == userId)
+            .OrderBy(e => e.SortOrder)
+            .ToListAsync();
+
+        var educations = await _context.Educations
+            .Where(e => e.UserId == userId)
+            .OrderBy(e => e.SortOrder)
+            .ToListAsync();
+
+        // Seules les relations peuvent recommander (un blocage supprime la relation)
+        var canEndorse = currentUserId != null && currentUserId != userId
+            && await AreConnectedAsync(userId, currentUserId.Value);
+
+        return new ProfileSectionsDto
+        {
+            Experiences = experiences.Select(e => MapToDto(e)).ToList(),
+            Educations = educations.Select(e => MapToDto(e)).ToList(),
+            Skills = await GetSkillDtosAsync(_context.Skills.Where(s => s.UserId == userId), currentUserId),
+            CanEndorse = canEndorse
+        };
+    }
+
+    // EXPÉRIENCE
+
+    /// <summary>
+    /// Ajoute un poste en fin de section "Expérience".
+    /// </summary>
+    public async Task<(bool Success, string Message, ExperienceDto? Experience)> AddExperienceAsync(Guid userId, SaveExperienceDto saveDto)
+    {
+        var count = await _context.Experiences.CountAsync(e => e.UserId == userId);
+        if (count >= MaxExperiences)
+            return (false, $"Vous ne pouvez pas ajouter plus de {MaxExperiences} postes", null);
+
+        var experience = new Experience
+        {
+            UserId = userId,
+            SortOrder = await NextSortOrderAsync(_context.Experiences.Where(e => e.UserId == userId).Select(e => e.SortOrder))
+        };
+
+        var error = ApplyExperience(experience, saveDto);
+        if (error != null)
+            return (false, error, null);
+
+        _context.Experiences.Add(experience);
+        await _context.SaveChangesAsync();
+
+        return (true, "Poste ajouté", MapToDto(experience));
+    }
+
+    /// <summary>
+    /// Modifie un poste du membre.
+    /// </summary>
+    public async Task<(bool Success, string Message, ExperienceDto? Experience)> UpdateExperienceAsync(Guid userId, Guid experienceId, SaveExperienceDto saveDto)
+    {
+        var experience = await _context.Experiences
+            .FirstOrDefaultAsync(e => e.Id == experienceId && e.UserId == userId);
+
+        if (experience == null)
+            return (false, "Poste introuvable", null);
+
+        var error = ApplyExperience(experience, saveDto);
+        if (error != null)
+            return (false, error, null);
+
+        await _context.SaveChangesAsync();
+
+        return (true, "Poste modifié", MapToDto(experience));
+    }
+
+    /// <summary>
+    /// Supprime un poste du membre.
+    /// </summary>
+    public async Task<bool> DeleteExperienceAsync(Guid userId, Guid experienceId)
+    {
+        var experience = await _context.Experiences
+            .FirstOrDefaultAsync(e => e.Id == experienceId && e.UserId == userId);
+
+        if (experience == null)
+            return false;
+
+        _context.Experiences.Remove(experience);
+        await _context.SaveChangesAsync();
+
+        return true;
+    }
+
+    /// <summary>
+    /// Réordonne la section "Expérience".
+    /// </summary>
+    public async Task<(bool Success, string Message)> ReorderExperiencesAsync(Guid userId, List<Guid> ids)
+    {
+        var experiences = await _context.Experiences.Where(e => e.UserId == userId).ToListAsync();
+
+        if (!ApplyOrder(experiences, e => e.Id, (e, order) => e.SortOrder = order, ids))
+            return (false, "La liste ne correspond pas aux postes du profil");
+
+        await _context.SaveChangesAsync();
+
+        return (true, "Ordre enregistré");
+    }
+
+    // FORMATION
+
+    /// <summary>
+    /// Ajoute une formation en fin de section "Formation".
+    /// </summary>
+    public async Task<(bool Success, string Message, EducationDto? Education)> AddEducationAsync(Guid userId, SaveEducationDto saveDto)
+    {
+        var count = await _context.Educations.CountAsync(e => e.UserId == userId);
+        if (count >= MaxEducations)
+            return (false, $"Vous ne pouvez pas ajouter plus de {MaxEducations} formations", null);
+
+        var education = new Education
+        {
+            UserId = userId,
+            SortOrder = await NextSortOrderAsync(_context.Educations.Where(e => e.UserId == userId).Select(e => e.SortOrder))
+        };
+
+        var error = ApplyEducation(education, saveDto);
+        if (error != null)
+            return (false, error, null);
+
+        _context.Educations.Add(education);
+        await _context.SaveChangesAsync();
+
+        return (true, "Formation ajoutée", MapToDto(education));
+    }
+
+    /// <summary>
+    /// Modifie une formation du membre.
+    /// </summary>
+    public async Task<(bool Success, string Message, EducationDto? Education)> UpdateEducationAsync(Guid userId, Guid educationId, SaveEducationDto saveDto)
+    {
+        var education = await _context.Educations
+            .FirstOrDefaultAsync(e => e.Id == educationId && e.UserId == userId);
+
+        if (education == null)
+            return (false, "Formation introuvable", null);
+
+        var error = ApplyEducation(education, saveDto);
+        if (error != null)
+            return (false, error, null);
+
+        await _context.SaveChangesAsync();
+
+        return (true, "Formation modifiée", MapToDto(education));
+    }
+
+    /// <summary>
+    /// Supprime une formation du membre.
+    /// </summary>
+    public async Task<bool> DeleteEducationAsync(Guid userId, Guid educationId)
+    {
+        var education = await _context.Educations
+            .FirstOrDefaultAsync(e => e.Id == educationId && e.UserId == userId);
+
+        if (education == null)
+            return false;
+
+        _context.Educations.Remove(education);
+        await _context.SaveChangesAsync();
+
+        return true;
+    }
+
+    /// <summary>
+    /// Réordonne la section "Formation".
+    /// </summary>
+    public async Task<(bool Success, string Message)> ReorderEducationsAsync(Guid userId, List<Guid> ids)
+    {
+        var educations = await _context.Educations.Where(e => e.UserId == userId).ToListAsync();
+
+        if (!ApplyOrder(educations, e => e.Id, (e, order) => e.SortOrder = order, ids))
+            return (false, "La liste ne correspond pas aux formations du profil");
+
+        await _context.SaveChangesAsync();
+
+        return (true, "Ordre enregistré");
+    }
+
+    // COMPÉTENCES
+
+    /// <summary>
+    /// Ajoute une compétence en fin de section "Compétences".
+    /// </summary>
+    public async Task<(bool Success, string Message, SkillDto? Skill)> AddSkillAsync(Guid userId, SaveSkillDto saveDto)
+    {
+        var name = _sanitizer.StripAllHtml(saveDto.Name).Trim();
+        if (string.IsNullOrEmpty(name))
+            return (false, "Le nom de la compétence est requis", null);
+
+        var skills = await _context.Skills.Where(s => s.UserId == userId).ToListAsync();
+
+        if (skills.Count >= MaxSkills)
+            return (false, $"Vous ne pouvez pas ajouter plus de {MaxSkills} compétences", null);
+
+        var normalizedName = SearchNormalizer.Normalize(name);
+        if (skills.Any(s => SearchNormalizer.Normalize(s.Name) == normalizedName))
+            return (false, "Cette compétence figure déjà sur votre profil", null);
+
+        var skill = new Skill
+        {
+            UserId = userId,
+            Name = name,
+            SortOrder = skills.Count == 0 ? 0 : skills.Max(s => s.SortOrder) + 1
+        };
+
+        _context.Skills.Add(skill);
+        await _context.SaveChangesAsync();
+
+        return (true, "Compétence ajoutée", new SkillDto { Id = skill.Id, Name = skill.Name });
+    }
+
+    /// <summary>
+    /// Renomme une compétence du membre.
+    /// Les recommandations sont conservées si seuls la casse ou les accents changent.
+    /// </summary>
+    public async Task<(bool Success, string Message, SkillDto? Skill)> UpdateSkillAsync(Guid userId, Guid skillId, SaveSkillDto saveDto)
+    {
+        var skill = await _context.Skills
+            .Include(s => s.Endorsements)
+            .FirstOrDefaultAsync(s => s.Id == skillId && s.UserId == userId);
+
+        if (skill == null)
+            return (false, "Compétence introuvable", null);
+
+        var name = _sanitizer.StripAllHtml(saveDto.Name).Trim();
+        if (string.IsNullOrEmpty(name))
+            return (false, "Le nom de la compétence est requis", null);
+
+        var normalizedName = SearchNormalizer.Normalize(name);
+        var otherNames = await _context.Skills
+            .Where(s => s.UserId == userId && s.Id != skillId)
+            .Select(s => s.Name)
+            .ToListAsync();
+
+        if (otherNames.Any(n => SearchNormalizer.Normalize(n) == normalizedName))
+            return (false, "Cette compétence figure déjà sur votre profil", null);
+
+        // Une autre compétence : les recommandations portaient sur l'ancienne
+        if (SearchNormalizer.Normalize(skill.Name) != normalizedName)
+            _context.SkillEndorsements.RemoveRange(skill.Endorsements);
+
+        skill.Name = name;
+        await _context.SaveChangesAsync();
+
+        return (true, "Compétence modifiée", await GetSkillDtoAsync(skillId, userId));
+    }
+
+    /// <summary>
+    /// Supprime une compétence du membre (ses recommandations sont supprimées en cascade).
+    /// </summary>
+    public async Task<bool> DeleteSkillAsync(Guid userId, Guid skillId)
+    {
+        var skill = await _context.Skills
+            .Include(s => s.Endorsements)
+            .FirstOrDefaultAsync(s => s.Id == skillId && s.UserId == userId);
+
+        if (skill == null)
+            return false;
+
+        _context.Skills.Remove(skill);
+        await _context.SaveChangesAsync();
+
+        return true;
+    }
+
+    /// <summary>
+    /// Réordonne la section "Compétences".
+    /// </summary>
+    public async Task<(bool Success, string Message)> ReorderSkillsAsync(Guid userId, List<Guid> ids)
+    {
+        var skills = await _context.Skills.Where(s => s.UserId == userId).ToListAsync();
+
+        if (!ApplyOrder(skills, s => s.Id, (s, order) => s.SortOrder = order, ids))
+            return (false, "La liste ne correspond pas aux compétences du profil");
+
+        await _context.SaveChangesAsync();
+
+        return (true, "Ordre enregistré");
+    }
+
+    // RECOMMANDATIONS
+
+    /// <summary>
+    /// Recommande une compétence d'une relation.
+    /// Vérifie : pas sa propre compétence, relation acceptée, pas de recommandation existante.
+    /// </summary>
+    public async Task<(bool Success, string Message, SkillDto? Skill)> EndorseSkillAsync(Guid ownerId, Guid skillId, Guid endorserId)
+    {
+        var skill = await _context.Skills
+            .FirstOrDefaultAsync(s => s.Id == skillId && s.UserId == ownerId);
+
+        if (skill == null)
+            return (false, "Compétence introuvable", null);
+
+        if (ownerId == endorserId)
+            return (false, "Vous ne pouvez pas recommander vos propres compétences", null);
+
+        // Relation acceptée obligatoire (un blocage supprime la relation)
+        if (!await AreConnectedAsync(ownerId, endorserId))
+            return (false, "Seules les relations de ce membre peuvent recommander ses compétences", null);
+
+        if (await _context.SkillEndorsements.AnyAsync(e => e.SkillId == skillId && e.EndorserId == endorserId))
+            return (false, "Vous avez déjà recommandé cette compétence", null);
+
+        _context.SkillEndorsements.Add(new SkillEndorsement { SkillId = skillId, EndorserId = endorserId });
+
+        try
+        {
+            await _context.SaveChangesAsync();
+        }
+        catch (DbUpdateException)
+        {
+            // Double clic : une requête concurrente a déjà enregistré la recommandation (index unique)
+            _context.ChangeTracker.Clear();
+            return (false, "Vous avez déjà recommandé cette compétence", null);
+        }
+
+        await _notificationService.NotifyAsync(ownerId, endorserId, NotificationType.SkillEndorsement,
+            new NotificationData { SkillName = skill.Name });
+
+        return (true, "Compétence recommandée", await GetSkillDtoAsync(skillId, endorserId));
+    }
+
+    /// <summary>
+    /// Retire sa recommandation d'une compétence (sans effet si elle n'existe pas).
+    /// </summary>
+    public async Task<SkillDto?> RemoveEndorsementAsync(Guid ownerId, Guid skillId, Guid endorserId)
+    {
+        if (!await _context.Skills.AnyAsync(s => s.Id == skillId && s.UserId == ownerId))
+            return null;
+
+        var endorsement = await _context.SkillEndorsements
+            .FirstOrDefaultAsync(e => e.SkillId == skillId && e.EndorserId == endorserId);
+
+        if (endorsement != null)
+        {
+            _context.SkillEndorsements.Remove(endorsement);
+            await _context.SaveChangesAsync();
+        }
+
+        return await GetSkillDtoAsync(skillId, endorserId);
+    }
+
+    // MÉTHODES PRIVÉES
+
+    /// <summary>
+    /// Indique si deux membres sont en relation (connexion acceptée, dans un sens ou dans l'autre).
+    /// </summary>
+    private Task<bool> AreConnectedAsync(Guid userId, Guid otherUserId)
+    {
+        return _context.Connections.AnyAsync(c =>
+            c.Status == ConnectionStatus.Accepted &&
+            ((c.RequesterId == userId && c.AddresseeId == otherUserId) ||
+             (c.RequesterId == otherUserId && c.AddresseeId == userId)));
+    }
+
+    /// <summary>
+    /// Position d'un nouvel élément : après le dernier de la section.
+    /// </summary>
+    private static async Task<int> NextSortOrderAsync(IQueryable<int> sortOrders)
+    {
+        return await sortOrders.AnyAsync() ? await sortOrders.MaxAsync() + 1 : 0;
+    }
+
+    /// <summary>
+    /// Applique un nouvel ordre à une section.
+    /// Retourne false si les IDs ne sont pas exactement ceux des éléments (oubli, doublon, élément étranger).
+    /// </summary>
+    private static bool ApplyOrder<T>(List<T> items, Func<T, Guid> getId, Action<T, int> setOrder, List<Guid> ids)
+    {
+        if (ids.Count != items.Count || ids.Distinct().Count() != ids.Count)
+            return false;
+
+        var itemsById = items.ToDictionary(getId);
+        if (!ids.All(itemsById.ContainsKey))
+            return false;
+
+        for (var i = 0; i < ids.Count; i++)
+            setOrder(itemsById[ids[i]], i);
+
+        return true;
+    }
+
+    /// <summary>
+    /// Copie les champs du formulaire dans un poste.
+    /// Retourne le message d'erreur, ou null si les champs sont valides.
+    /// </summary>
+    private string? ApplyExperience(Experience experience, SaveExperienceDto saveDto)
+    {
+        var title = _sanitizer.StripAllHtml(saveDto.Title).Trim();
+        var company = _sanitizer.StripAllHtml(saveDto.Company).Trim();
+
+        if (string.IsNullOrEmpty(title))
+            return "L'intitulé du poste est requis";
+        if (string.IsNullOrEmpty(company))
+            return "L'entreprise est requise";
+        if (saveDto.StartDate == null)
+            return "La date de début est requise";
+
+        var startDate = ToMonth(saveDto.StartDate.Value);
+        var endDate = saveDto.EndDate != null ? ToMonth(saveDto.EndDate.Value) : (DateTime?)null;
+
+        if (endDate < startDate)
+            return "La date de fin doit être postérieure à la date de début";
+
+        experience.Title = title;
+        experience.Company = company;
+        experience.StartDate = startDate;
+        experience.EndDate = endDate;
+        experience.Description = NullIfEmpty(_sanitizer.StripAllHtml(saveDto.Description));
+
+        return null;
+    }
+
+    /// <summary>
+    /// Copie les champs du formulaire dans une formation.
+    /// Retourne le message d'erreur, ou null si les champs sont valides.
+    /// </summary>
+    private string? ApplyEducation(Education education, SaveEducationDto saveDto)
+    {
+        var school = _sanitizer.StripAllHtml(saveDto.School).Trim();
+
+        if (string.IsNullOrEmpty(school))
+            return "L'établissement est requis";
+
+        var startDate = saveDto.StartDate != null ? ToMonth(saveDto.StartDate.Value) : (DateTime?)null;
+        var endDate = saveDto.EndDate != null ? ToMonth(saveDto.EndDate.Value) : (DateTime?)null;
+
+        if (startDate != null && endDate < startDate)
+            return "La date de fin doit être postérieure à la date de début";
+
+        education.School = school;
+        education.Degree = NullIfEmpty(_sanitizer.StripAllHtml(saveDto.Degree));
+        education.FieldOfStudy = NullIfEmpty(_sanitizer.StripAllHtml(saveDto.FieldOfStudy));
+        education.StartDate = startDate;
+        education.EndDate = endDate;
+        education.Description = NullIfEmpty(_sanitizer.StripAllHtml(saveDto.Description));
+
+        return null;
+    }
+
+    /// <summary>
+    /// Ramène une date au premier jour de son mois (les sections sont au mois près).
+    /// </summary>
+    private static DateTime ToMonth(DateTime date) => new(date.Year, date.Month, 1);
+
+    /// <summary>
+    /// Chaîne nettoyée, ou null si elle est vide.
+    /// </summary>
+    private static string? NullIfEmpty(string text)
+    {
+        var trimmed = text.Trim();
+        return trimmed.Length == 0 ? null : trimmed;
+    }
+
+    /// <summary>
+    /// Recharge une compétence avec ses recommandations, vue par le membre indiqué.
+    /// </summary>
+    private async Task<SkillDto?> GetSkillDtoAsync(Guid skillId, Guid currentUserId)
+    {
+        var skills = await GetSkillDtosAsync(_context.Skills.Where(s => s.Id == skillId), currentUserId);
+        return skills.FirstOrDefault();
+    }
+
+    /// <summary>
+    /// Projette des compétences avec leurs recommandations.
+    /// Les auteurs bloqués par le visiteur (ou l'ayant bloqué) sont comptés mais pas affichés.
+    /// </summary>
+    private async Task<List<SkillDto>> GetSkillDtosAsync(IQueryable<Skill> skills, Guid? currentUserId)
+    {
+        var hiddenUserIds = currentUserId != null
+            ? await _context.BlockedUserIds(currentUserId.Value).ToListAsync()
+            : new List<Guid>();
+
+        return await skills
+            .OrderBy(s => s.SortOrder)
+            .Select(s => new SkillDto
+            {
+                Id = s.Id,
+                Name = s.Name,
+                EndorsementsCount = s.Endorsements.Count,
+                IsEndorsedByCurrentUser = currentUserId != null && s.Endorsements.Any(e => e.EndorserId == currentUserId),
+                Endorsers = s.Endorsements
+                    .Where(e => !hiddenUserIds.Contains(e.EndorserId))
+                    .OrderByDescending(e => e.CreatedAt)
+                    .Take(EndorsersShown)
+                    .Select(e => new SkillEndorserDto
+                    {
+                        Id = e.Endorser.Id,
+                        FirstName = e.Endorser.FirstName,
+                        LastName = e.Endorser.LastName,
+                        AvatarUrl = e.Endorser.AvatarUrl
+                    })
+                    .ToList()
+            })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Convertit une entité Experience en ExperienceDto.
+    /// </summary>
+    private static ExperienceDto MapToDto(Experience experience)
+    {
+        return new ExperienceDto
+        {
+            Id = experience.Id,
+            Title = experience.Title,
+            Company = experience.Company,
+            StartDate = experience.StartDate,
+            EndDate = experience.EndDate,
+            Description = experience.Description
+        };
+    }
+
+    /// <summary>
+    /// Convertit une entité Education en EducationDto.
+    /// </summary>
+    private static EducationDto MapToDto(Education education)
+    {
+        return new EducationDto
+        {
+            Id = education.Id,
+            School = education.School,
+            Degree = education.Degree,
+            FieldOfStudy = education.FieldOfStudy,
+            StartDate = education.StartDate,
+            EndDate = education.EndDate,
+            Description = education.Description
+        };
+    }
+}
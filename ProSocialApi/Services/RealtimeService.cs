@@ -0,0 +1,265 @@
+// REALTIMESERVICE.CS - Service temps réel (WebSocket)
+// Implémente IRealtimeService : garde en mémoire les WebSockets ouvertes
+// et permet aux autres services de pousser des événements aux utilisateurs.
+//
+// Chaque connexion est rattachée à la session (appareil) du JWT de la poignée de main :
+// elle est fermée à l'expiration de ce JWT, ou dès que la session est révoquée.
+//
+// Les événements passent par une file bornée par connexion, vidée par sa propre boucle
+// d'envoi : un client lent ne retarde ni l'appelant (requête HTTP) ni les autres clients.
+//
+// Note : Les connexions sont stockées en mémoire, ce qui suppose une seule
+// instance de l'application (pas de répartition de charge).
+
+using System.Collections.Concurrent;
+using System.Net.WebSockets;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Channels;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de diffusion d'événements temps réel via WebSocket.
+/// </summary>
+public class RealtimeService : IRealtimeService
+{
+    // Connexions ouvertes : userId -> (connectionId -> connexion)
+    private readonly ConcurrentDictionary<Guid, ConcurrentDictionary<Guid, RealtimeConnection>> _connections = new();
+
+    // Sérialisation camelCase, comme les réponses des contrôleurs
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    // Délai laissé au client pour répondre à la trame de fermeture avant de couper la connexion
+    private static readonly TimeSpan CloseTimeout = TimeSpan.FromSeconds(5);
+
+    // Délai d'envoi d'un événement : au-delà, le client ne lit plus et la connexion est coupée
+    private static readonly TimeSpan SendTimeout = TimeSpan.FromSeconds(10);
+
+    // Événements en attente par connexion : file pleine = client trop lent, la connexion est coupée
+    private const int OutboxCapacity = 100;
+
+    /// <summary>
+    /// Enregistre la connexion puis lit les trames entrantes jusqu'à la fermeture.
+    /// Le client n'envoie rien d'utile : la lecture sert à détecter la déconnexion.
+    /// </summary>
+    public async Task HandleConnectionAsync(Guid userId, Guid sessionId, DateTime expiresAt, WebSocket socket, CancellationToken cancellationToken)
+    {
+        var connectionId = Guid.NewGuid();
+        using var connection = new RealtimeConnection(socket, sessionId);
+        var userConnections = _connections.GetOrAdd(userId, _ => new ConcurrentDictionary<Guid, RealtimeConnection>());
+        userConnections[connectionId] = connection;
+
+        // JWT expiré : le client devra se reconnecter avec un token renouvelé
+        var lifetime = expiresAt - DateTime.UtcNow;
+        connection.EndSessionAfter(lifetime > TimeSpan.Zero ? lifetime : TimeSpan.Zero);
+
+        var sendLoop = connection.RunSendLoopAsync();
+        var buffer = new byte[1024];
+
+        try
+        {
+            // CloseSent : trame de fermeture envoyée à la fin de la session, on attend la réponse du client
+            while (socket.State is WebSocketState.Open or WebSocketState.CloseSent && !cancellationToken.IsCancellationRequested)
+            {
+                var result = await socket.ReceiveAsync(buffer, cancellationToken);
+
+                if (result.MessageType == WebSocketMessageType.Close)
+                {
+                    // Fermeture demandée par le client (sinon : réponse à notre propre trame de fermeture)
+                    if (socket.State == WebSocketState.CloseReceived)
+                        await socket.CloseAsync(WebSocketCloseStatus.NormalClosure, null, CancellationToken.None);
+                    break;
+                }
+            }
+        }
+        catch (Exception ex) when (ex is WebSocketException or OperationCanceledException)
+        {
+            // Client parti sans fermeture propre (onglet fermé, réseau coupé...)
+        }
+        finally
+        {
+            userConnections.TryRemove(connectionId, out _);
+            if (userConnections.IsEmpty)
+                _connections.TryRemove(userId, out _);
+
+            connection.CompleteSends();
+            await sendLoop;
+        }
+    }
+
+    /// <summary>
+    /// Met l'événement dans la file d'envoi de chaque connexion ouverte de l'utilisateur,
+    /// sans attendre sa transmission.
+    /// </summary>
+    public Task SendToUserAsync(Guid userId, object payload)
+    {
+        if (!_connections.TryGetValue(userId, out var userConnections))
+            return Task.CompletedTask;
+
+        var bytes = Encoding.UTF8.GetBytes(JsonSerializer.Serialize(payload, JsonOptions));
+
+        foreach (var connection in userConnections.Values)
+        {
+            connection.Enqueue(bytes);
+        }
+
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Ferme les connexions ouvertes avec une session (appareil déconnecté ou token volé).
+    /// </summary>
+    public void CloseSessionConnections(Guid userId, Guid sessionId)
+    {
+        if (!_connections.TryGetValue(userId, out var userConnections))
+            return;
+
+        foreach (var connection in userConnections.Values.Where(c => c.SessionId == sessionId))
+        {
+            connection.EndSession();
+        }
+    }
+
+    /// <summary>
+    /// Ferme toutes les connexions d'un utilisateur (déconnexion partout, suspension).
+    /// </summary>
+    public void CloseUserConnections(Guid userId)
+    {
+        if (!_connections.TryGetValue(userId, out var userConnections))
+            return;
+
+        foreach (var connection in userConnections.Values)
+        {
+            connection.EndSession();
+        }
+    }
+
+    /// <summary>
+    /// WebSocket + file d'envoi + verrou d'envoi : une WebSocket n'accepte pas deux envois
+    /// simultanés (événements de la file et trame de fermeture).
+    /// La fin de la session (expiration du JWT ou révocation) ferme la WebSocket.
+    /// </summary>
+    private sealed class RealtimeConnection : IDisposable
+    {
+        private readonly WebSocket _socket;
+        private readonly SemaphoreSlim _sendLock = new(1, 1);
+        private readonly CancellationTokenSource _sessionEnded = new();
+        private readonly Channel<byte[]> _outbox = Channel.CreateBounded<byte[]>(
+            new BoundedChannelOptions(OutboxCapacity) { SingleReader = true, FullMode = BoundedChannelFullMode.Wait });
+
+        public RealtimeConnection(WebSocket socket, Guid sessionId)
+        {
+            _socket = socket;
+            SessionId = sessionId;
+            _sessionEnded.Token.Register(() => _ = CloseAsync());
+        }
+
+        /// <summary>
+        /// Session (claim "sid") du JWT présenté à l'ouverture.
+        /// </summary>
+        public Guid SessionId { get; }
+
+        public void EndSession()
+        {
+            try
+            {
+                _sessionEnded.Cancel();
+            }
+            catch (ObjectDisposedException)
+            {
+                // Connexion déjà terminée
+            }
+        }
+
+        public void EndSessionAfter(TimeSpan delay)
+        {
+            _sessionEnded.CancelAfter(delay);
+        }
+
+        public void Dispose()
+        {
+            _sessionEnded.Dispose();
+        }
+
+        /// <summary>
+        /// Envoie la trame de fermeture (1008 : le client renouvelle son JWT avant de se reconnecter),
+        /// puis coupe la connexion si le client n'y répond pas : la boucle de lecture se termine alors.
+        /// </summary>
+        private async Task CloseAsync()
+        {
+            await _sendLock.WaitAsync();
+            try
+            {
+                if (_socket.State == WebSocketState.Open)
+                {
+                    using var timeout = new CancellationTokenSource(CloseTimeout);
+                    await _socket.CloseOutputAsync(WebSocketCloseStatus.PolicyViolation, "Session terminée", timeout.Token);
+                }
+            }
+            catch (Exception ex) when (ex is WebSocketException or OperationCanceledException or ObjectDisposedException)
+            {
+                // Client déjà parti ou qui ne lit plus : coupure immédiate ci-dessous
+            }
+            finally
+            {
+                _sendLock.Release();
+            }
+
+            await Task.Delay(CloseTimeout);
+            if (_socket.State != WebSocketState.Closed)
+                _socket.Abort();
+        }
+
+        /// <summary>
+        /// Ajoute un événement à la file d'envoi. File pleine : le client ne suit plus,
+        /// la connexion est coupée (il se reconnecte et recharge ses conversations).
+        /// </summary>
+        public void Enqueue(byte[] bytes)
+        {
+            if (!_outbox.Writer.TryWrite(bytes) && _socket.State == WebSocketState.Open)
+            {
+                Console.WriteLine("WebSocket coupée : file d'envoi pleine");
+                _socket.Abort();
+            }
+        }
+
+        /// <summary>
+        /// Fin de la connexion : la boucle d'envoi se termine une fois la file vidée.
+        /// </summary>
+        public void CompleteSends()
+        {
+            _outbox.Writer.TryComplete();
+        }
+
+        /// <summary>
+        /// Envoie les événements de la file un par un, chacun dans la limite de SendTimeout.
+        /// </summary>
+        public async Task RunSendLoopAsync()
+        {
+            await foreach (var bytes in _outbox.Reader.ReadAllAsync())
+            {
+                await _sendLock.WaitAsync();
+                try
+                {
+                    if (_socket.State != WebSocketState.Open)
+                        continue;
+
+                    using var timeout = new CancellationTokenSource(SendTimeout);
+                    await _socket.SendAsync(bytes, WebSocketMessageType.Text, true, timeout.Token);
+                }
+                catch (Exception ex) when (ex is WebSocketException or OperationCanceledException or ObjectDisposedException)
+                {
+                    // Client parti ou qui ne lit plus : la boucle de lecture nettoie la connexion coupée
+                    Console.WriteLine($"Erreur envoi WebSocket : {ex.Message}");
+                    _socket.Abort();
+                }
+                finally
+                {
+                    _sendLock.Release();
+                }
+            }
+        }
+    }
+}
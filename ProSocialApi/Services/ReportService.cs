@@ -0,0 +1,323 @@
+// REPORTSERVICE.CS - Service de signalement et de modération
+// Implémente IReportService : enregistre les signalements des membres et
+// applique les décisions des modérateurs (classement, suppression, suspension).
+// Les messages privés (MongoDB) sont lus et supprimés via IMessageService.
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Reports;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de signalement de contenus et de modération.
+/// </summary>
+public class ReportService : IReportService
+{
+    // Longueur de l'extrait de contenu conservé avec le signalement
+    private const int ExcerptLength = 500;
+
+    private readonly ApplicationDbContext _context;
+    private readonly ISanitizationService _sanitizer;
+    private readonly IMessageService _messageService;  // Messages privés stockés dans MongoDB
+    private readonly IRealtimeService _realtimeService;  // WebSockets du membre suspendu
+
+    public ReportService(ApplicationDbContext context, ISanitizationService sanitizer, IMessageService messageService,
+        IRealtimeService realtimeService)
+    {
+        _context = context;
+        _sanitizer = sanitizer;
+        _messageService = messageService;
+        _realtimeService = realtimeService;
+    }
+
+    /// <summary>
+    /// Signale un contenu : vérifie qu'il existe et n'appartient pas au membre,
+    /// puis conserve son auteur et un extrait pour la file de modération.
+    /// </summary>
+    public async Task<(bool Success, string Message)> CreateReportAsync(Guid reporterId, ReportTargetType targetType,
+        string targetId, ReportReason reason, string? details)
+    {
+        var target = await FindTargetAsync(reporterId, targetType, targetId);
+        if (target == null)
+            return (false, "Contenu introuvable");
+
+        var (authorId, content) = target.Value;
+
+        if (authorId == reporterId)
+            return (false, "Vous ne pouvez pas signaler votre propre contenu");
+
+        var alreadyReported = await _context.Reports.AnyAsync(r =>
+            r.ReporterId == reporterId &&
+            r.TargetType == targetType &&
+            r.TargetId == targetId &&
+            r.Status == ReportStatus.Open);
+
+        if (alreadyReported)
+            return (false, "Vous avez déjà signalé ce contenu");
+
+        var sanitizedDetails = _sanitizer.StripAllHtml(details).Trim();
+
+        _context.Reports.Add(new Report
+        {
+            ReporterId = reporterId,
+            TargetAuthorId = authorId,
+            TargetType = targetType,
+            TargetId = targetId,
+            ContentExcerpt = content.Length > ExcerptLength ? content[..ExcerptLength] : content,
+            Reason = reason,
+            Details = string.IsNullOrEmpty(sanitizedDetails) ? null : sanitizedDetails
+        });
+        await _context.SaveChangesAsync();
+
+        return (true, "Signalement envoyé");
+    }
+
+    /// <summary>
+    /// Regroupe les signalements ouverts par contenu, les plus signalés en premier.
+    /// </summary>
+    public async Task<List<ModerationItemDto>> GetOpenReportsAsync()
+    {
+        var reports = await _context.Reports
+            .Include(r => r.TargetAuthor)
+            .Where(r => r.Status == ReportStatus.Open)
+            .ToListAsync();
+
+        return reports
+            .GroupBy(r => new { r.TargetType, r.TargetId })
+            .Select(g =>
+            {
+                var latest = g.OrderByDescending(r => r.CreatedAt).First();
+                return new ModerationItemDto
+                {
+                    TargetType = g.Key.TargetType.ToString(),
+                    TargetId = g.Key.TargetId,
+                    ContentExcerpt = latest.ContentExcerpt,
+                    Author = new ReportedAuthorDto
+                    {
+                        Id = latest.TargetAuthor.Id,
+                        FirstName = latest.TargetAuthor.FirstName,
+                        LastName = latest.TargetAuthor.LastName,
+                        AvatarUrl = latest.TargetAuthor.AvatarUrl,
+                        Role = latest.TargetAuthor.Role.ToString(),
+                        IsSuspended = latest.TargetAuthor.IsSuspended
+                    },
+                    ReportsCount = g.Count(),
+                    Reasons = g.GroupBy(r => r.Reason.ToString()).ToDictionary(r => r.Key, r => r.Count()),
+                    Details = g.Where(r => !string.IsNullOrEmpty(r.Details)).Select(r => r.Details!).ToList(),
+                    FirstReportedAt = g.Min(r => r.CreatedAt),
+                    LastReportedAt = latest.CreatedAt
+                };
+            })
+            .OrderByDescending(i => i.ReportsCount)
+            .ThenByDescending(i => i.LastReportedAt)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Classe sans suite les signalements ouverts d'un contenu.
+    /// </summary>
+    public async Task<bool> DismissReportsAsync(ReportTargetType targetType, string targetId, Guid moderatorId)
+    {
+        var reports = await GetOpenTargetReportsAsync(targetType, targetId);
+        if (reports.Count == 0)
+            return false;
+
+        CloseReports(reports, ReportStatus.Dismissed, moderatorId);
+        await _context.SaveChangesAsync();
+
+        return true;
+    }
+
+    /// <summary>
+    /// Supprime le contenu signalé puis marque ses signalements comme traités.
+    /// </summary>
+    public async Task<(bool Success, string Message)> DeleteContentAsync(ReportTargetType targetType, string targetId,
+        Guid moderatorId)
+    {
+        var reports = await GetOpenTargetReportsAsync(targetType, targetId);
+        if (reports.Count == 0)
+            return (false, "Aucun signalement ouvert pour ce contenu");
+
+        switch (targetType)
+        {
+            case ReportTargetType.Post:
+                var postId = Guid.Parse(targetId);
+                var post = await _context.Posts.FindAsync(postId);
+                if (post != null)
+                {
+                    // Les partages restent, sans la publication d'origine (SetNull)
+                    await _context.Posts.Where(p => p.SharedPostId == postId).LoadAsync();
+                    _context.Posts.Remove(post); // Cascade : commentaires et réactions
+                }
+                break;
+
+            case ReportTargetType.Comment:
+                await RemoveCommentAsync(Guid.Parse(targetId));
+                break;
+
+            case ReportTargetType.Message:
+                await _messageService.DeleteMessageAsync(targetId);
+                break;
+        }
+
+        CloseReports(reports, ReportStatus.Resolved, moderatorId);
+        await _context.SaveChangesAsync();
+
+        return (true, "Contenu supprimé");
+    }
+
+    /// <summary>
+    /// Suspend un membre et traite les signalements ouverts sur ses contenus.
+    /// </summary>
+    public async Task<(bool Success, string Message)> SuspendUserAsync(Guid userId, Guid moderatorId)
+    {
+        if (userId == moderatorId)
+            return (false, "Vous ne pouvez pas vous suspendre vous-même");
+
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return (false, "Utilisateur non trouvé");
+
+        if (user.Role != UserRole.Member)
+            return (false, "Impossible de suspendre un membre de l'équipe de modération");
+
+        user.SuspendedAt ??= DateTime.UtcNow;
+
+        // Déconnexion immédiate de tous ses appareils
+        var sessions = await _context.UserSessions.Where(s => s.UserId == userId).ToListAsync();
+        _context.UserSessions.RemoveRange(sessions);
+
+        var reports = await _context.Reports
+            .Where(r => r.TargetAuthorId == userId && r.Status == ReportStatus.Open)
+            .ToListAsync();
+        CloseReports(reports, ReportStatus.Resolved, moderatorId);
+
+        await _context.SaveChangesAsync();
+        _realtimeService.CloseUserConnections(userId);
+
+        return (true, "Compte suspendu");
+    }
+
+    /// <summary>
+    /// Lève la suspension d'un membre.
+    /// </summary>
+    public async Task<(bool Success, string Message)> UnsuspendUserAsync(Guid userId)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return (false, "Utilisateur non trouvé");
+
+        if (!user.IsSuspended)
+            return (false, "Ce compte n'est pas suspendu");
+
+        user.SuspendedAt = null;
+        await _context.SaveChangesAsync();
+
+        return (true, "Suspension levée");
+    }
+
+    /// <summary>
+    /// Change le rôle d'un membre.
+    /// </summary>
+    public async Task<(bool Success, string Message)> SetRoleAsync(Guid userId, UserRole role, Guid adminId)
+    {
+        // Un administrateur ne peut pas se retirer ses propres droits par erreur
+        if (userId == adminId)
+            return (false, "Vous ne pouvez pas modifier votre propre rôle");
+
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return (false, "Utilisateur non trouvé");
+
+        user.Role = role;
+        await _context.SaveChangesAsync();
+
+        return (true, "Rôle mis à jour");
+    }
+
+    // MÉTHODES PRIVÉES
+
+    /// <summary>
+    /// Retrouve l'auteur et le texte du contenu visé, ou null s'il n'existe pas
+    /// (ou, pour un message, si le membre n'est pas participant de la conversation).
+    /// </summary>
+    private async Task<(Guid AuthorId, string Content)?> FindTargetAsync(Guid reporterId, ReportTargetType targetType,
+        string targetId)
+    {
+        switch (targetType)
+        {
+            case ReportTargetType.Post:
+                if (!Guid.TryParse(targetId, out var postId))
+                    return null;
+
+                var post = await _context.Posts.FindAsync(postId);
+                return post == null ? null : (post.AuthorId, post.Content);
+
+            case ReportTargetType.Comment:
+                if (!Guid.TryParse(targetId, out var commentId))
+                    return null;
+
+                var comment = await _context.Comments.FindAsync(commentId);
+                return comment == null || comment.IsDeleted ? null : (comment.AuthorId, comment.Content);
+
+            case ReportTargetType.Message:
+                var message = await _messageService.FindMessageAsync(targetId, reporterId);
+                return message == null || !Guid.TryParse(message.SenderId, out var senderId)
+                    ? null
+                    : (senderId, message.Content);
+
+            default:
+                return null;
+        }
+    }
+
+    private Task<List<Report>> GetOpenTargetReportsAsync(ReportTargetType targetType, string targetId)
+    {
+        return _context.Reports
+            .Where(r => r.TargetType == targetType && r.TargetId == targetId && r.Status == ReportStatus.Open)
+            .ToListAsync();
+    }
+
+    private static void CloseReports(IEnumerable<Report> reports, ReportStatus status, Guid moderatorId)
+    {
+        var now = DateTime.UtcNow;
+        foreach (var report in reports)
+        {
+            report.Status = status;
+            report.ReviewedById = moderatorId;
+            report.ReviewedAt = now;
+        }
+    }
+
+    /// <summary>
+    /// Supprime un commentaire comme le ferait son auteur (voir CommentService.DeleteAsync) :
+    /// suppression logique s'il a des réponses, physique sinon.
+    /// </summary>
+    private async Task RemoveCommentAsync(Guid commentId)
+    {
+        var comment = await _context.Comments
+            .Include(c => c.Replies)
+            .Include(c => c.Parent)
+                .ThenInclude(p => p!.Replies)
+            .FirstOrDefaultAsync(c => c.Id == commentId);
+
+        if (comment == null || comment.IsDeleted)
+            return;
+
+        if (comment.Replies.Count > 0)
+        {
+            comment.IsDeleted = true;
+            comment.Content = string.Empty;
+        }
+        else
+        {
+            _context.Comments.Remove(comment);
+
+            if (comment.Parent != null && comment.Parent.IsDeleted && comment.Parent.Replies.Count == 1)
+                _context.Comments.Remove(comment.Parent);
+        }
+    }
+}
@@ -0,0 +1,213 @@
+// SEARCHSERVICE.CS - Service de recherche de membres et de publications
+// Implémente ISearchService : la requête est découpée en termes normalisés
+// (minuscules, sans accents) comparés aux colonnes search_text, elles-mêmes
+// normalisées à l'enregistrement. Un résultat doit contenir tous les termes.
+
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Posts;
+using ProSocialApi.DTOs.Search;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de recherche de membres et de publications.
+/// </summary>
+public class SearchService : ISearchService
+{
+    private readonly ApplicationDbContext _context;
+
+    public SearchService(ApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    /// <summary>
+    /// Recherche des membres par prénom, nom ou titre professionnel.
+    /// </summary>
+    public async Task<SearchResultDto<SearchUserDto>> SearchPeopleAsync(Guid userId, string? query, bool connectionsOnly, int page, int pageSize)
+    {
+        var terms = SearchNormalizer.SplitTerms(query);
+        var result = new SearchResultDto<SearchUserDto> { Page = page, PageSize = pageSize, Terms = terms };
+
+        if (terms.Count == 0)
+            return result;
+
+        var connectionIds = await GetConnectionIdsAsync(userId);
+        var blockedUserIds = _context.BlockedUserIds(userId);
+
+        var users = _context.Users
+            .Where(u => u.Id != userId)
+            .Where(u => !blockedUserIds.Contains(u.Id));
+
+        // Chaque terme doit apparaître dans le texte de recherche (ET)
+        foreach (var term in terms)
+            users = users.Where(u => u.SearchText.Contains(term));
+
+        if (connectionsOnly)
+            users = users.Where(u => connectionIds.Contains(u.Id));
+
+        result.TotalCount = await users.CountAsync();
+        result.Items = await users
+            .OrderByDescending(u => connectionIds.Contains(u.Id)) // Relations d'abord
+            .ThenBy(u => u.LastName)
+            .ThenBy(u => u.FirstName)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .Select(u => new SearchUserDto
+            {
+                Id = u.Id,
+                FirstName = u.FirstName,
+                LastName = u.LastName,
+                Headline = u.Headline,
+                AvatarUrl = u.AvatarUrl,
+                IsConnected = connectionIds.Contains(u.Id)
+            })
+            .ToListAsync();
+
+        return result;
+    }
+
+    /// <summary>
+    /// Recherche des publications par leur contenu.
+    /// La période est comprise en jours entiers : "to" inclut toute la journée.
+    /// </summary>
+    public async Task<SearchResultDto<PostDto>> SearchPostsAsync(Guid userId, string? query, bool connectionsOnly,
+        DateTime? from, DateTime? to, int page, int pageSize)
+    {
+        var terms = SearchNormalizer.SplitTerms(query);
+        var result = new SearchResultDto<PostDto> { Page = page, PageSize = pageSize, Terms = terms };
+
+        if (terms.Count == 0)
+            return result;
+
+        var blockedUserIds = _context.BlockedUserIds(userId);
+
+        var posts = _context.Posts
+            .Where(p => !blockedUserIds.Contains(p.AuthorId))
+            .Where(p => p.SharedPost == null || !blockedUserIds.Contains(p.SharedPost.AuthorId));
+
+        foreach (var term in terms)
+            posts = posts.Where(p => p.SearchText.Contains(term));
+
+        if (connectionsOnly)
+        {
+            var connectionIds = await GetConnectionIdsAsync(userId);
+            posts = posts.Where(p => connectionIds.Contains(p.AuthorId));
+        }
+
+        if (from != null)
+        {
+            var start = from.Value.Date;
+            posts = posts.Where(p => p.CreatedAt >= start);
+        }
+
+        if (to != null)
+        {
+            var end = to.Value.Date.AddDays(1);
+            posts = posts.Where(p => p.CreatedAt < end);
+        }
+
+        result.TotalCount = await posts.CountAsync();
+
+        var pagePosts = await posts
+            .Include(p => p.Author)
+            .Include(p => p.Likes)
+            .Include(p => p.Comments)
+            .Include(p => p.Mentions).ThenInclude(m => m.MentionedUser)
+            .Include(p => p.Saves.Where(s => s.UserId == userId))
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Author)
+            .Include(p => p.SharedPost).ThenInclude(s => s!.Mentions).ThenInclude(m => m.MentionedUser)
+            .OrderByDescending(p => p.CreatedAt)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync();
+
+        var sharesCounts = await _context.CountSharesAsync(pagePosts.Select(p => p.Id).ToList());
+        result.Items = pagePosts.Select(p => MapToDto(p, userId, sharesCounts.GetValueOrDefault(p.Id))).ToList();
+        return result;
+    }
+
+    /// <summary>
+    /// IDs des connexions acceptées de l'utilisateur (dans les deux sens).
+    /// </summary>
+    private async Task<List<Guid>> GetConnectionIdsAsync(Guid userId)
+    {
+        return await _context.Connections
+            .Where(c =>
+                (c.RequesterId == userId || c.AddresseeId == userId) &&
+                c.Status == ConnectionStatus.Accepted)
+            .Select(c => c.RequesterId == userId ? c.AddresseeId : c.RequesterId)
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Convertit une entité Post en PostDto.
+    /// Inclut les statistiques et l'état du like pour l'utilisateur courant.
+    /// </summary>
+    private static PostDto MapToDto(Post post, Guid currentUserId, int sharesCount)
+    {
+        return new PostDto
+        {
+            Id = post.Id,
+            Content = post.Content,
+            ImageUrl = post.ImageUrl,
+            CreatedAt = post.CreatedAt,
+            UpdatedAt = post.UpdatedAt,
+            Author = new PostAuthorDto
+            {
+                Id = post.Author.Id,
+                FirstName = post.Author.FirstName,
+                LastName = post.Author.LastName,
+                Headline = post.Author.Headline,
+                AvatarUrl = post.Author.AvatarUrl
+            },
+            LikesCount = post.Likes.Count,
+            ReactionCounts = post.Likes.GroupBy(l => l.Type).ToDictionary(g => g.Key.ToString(), g => g.Count()),
+            CommentsCount = post.Comments.Count(c => !c.IsDeleted),
+            IsLikedByCurrentUser = post.Likes.Any(l => l.UserId == currentUserId),
+            CurrentUserReaction = post.Likes.FirstOrDefault(l => l.UserId == currentUserId)?.Type.ToString(),
+            IsSaved = post.Saves.Any(s => s.UserId == currentUserId),
+            Mentions = post.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList(),
+            IsShare = post.IsShare,
+            SharedPost = post.SharedPost == null ? null : MapSharedPost(post.SharedPost),
+            SharesCount = sharesCount
+        };
+    }
+
+    /// <summary>
+    /// Convertit la publication d'origine d'un partage en SharedPostDto (carte intégrée).
+    /// </summary>
+    private static SharedPostDto MapSharedPost(Post post)
+    {
+        return new SharedPostDto
+        {
+            Id = post.Id,
+            Content = post.Content,
+            ImageUrl = post.ImageUrl,
+            CreatedAt = post.CreatedAt,
+            Author = new PostAuthorDto
+            {
+                Id = post.Author.Id,
+                FirstName = post.Author.FirstName,
+                LastName = post.Author.LastName,
+                Headline = post.Author.Headline,
+                AvatarUrl = post.Author.AvatarUrl
+            },
+            Mentions = post.Mentions.Select(m => new MentionDto
+            {
+                UserId = m.MentionedUserId,
+                FirstName = m.MentionedUser.FirstName,
+                LastName = m.MentionedUser.LastName
+            }).ToList()
+        };
+    }
+}
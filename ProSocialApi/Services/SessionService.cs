@@ -0,0 +1,288 @@
+// SESSIONSERVICE.CS - Service de sessions
+// Implémente ISessionService : une session par appareil connecté, avec un refresh token
+// qui change à chaque renouvellement du JWT (rotation). Seul le hash SHA-256 du token est stocké.
+//
+// Configuration (section "Jwt" de appsettings.json) :
+// - RefreshTokenDays : durée d'inactivité après laquelle la session expire (défaut: 30)
+
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.IdentityModel.Tokens;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Auth;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de gestion des sessions et des refresh tokens.
+/// </summary>
+public class SessionService : ISessionService
+{
+    // Délai pendant lequel l'ancien refresh token reste accepté après une rotation
+    // (plusieurs onglets qui renouvellent le JWT en même temps avec le même cookie)
+    private static readonly TimeSpan RotationGracePeriod = TimeSpan.FromSeconds(30);
+
+    private const int MaxUserAgentLength = 500;
+
+    private readonly ApplicationDbContext _context;
+    private readonly IRealtimeService _realtimeService;  // WebSockets ouvertes avec une session révoquée
+    private readonly TimeSpan _sessionLifetime;
+
+    public SessionService(ApplicationDbContext context, IConfiguration configuration, IRealtimeService realtimeService)
+    {
+        _context = context;
+        _realtimeService = realtimeService;
+        _sessionLifetime = TimeSpan.FromDays(configuration.GetValue("Jwt:RefreshTokenDays", 30));
+    }
+
+    /// <summary>
+    /// Ouvre une session et retourne son refresh token.
+    /// </summary>
+    public async Task<(UserSession Session, string RefreshToken)> CreateAsync(Guid userId, string? userAgent, string? ipAddress)
+    {
+        var now = DateTime.UtcNow;
+
+        // Ménage : sessions expirées du membre
+        var expired = await _context.UserSessions
+            .Where(s => s.UserId == userId && s.ExpiresAt <= now)
+            .ToListAsync();
+        _context.UserSessions.RemoveRange(expired);
+
+        var refreshToken = GenerateRefreshToken();
+        var session = new UserSession
+        {
+            UserId = userId,
+            RefreshTokenHash = HashRefreshToken(refreshToken),
+            UserAgent = Truncate(userAgent, MaxUserAgentLength),
+            IpAddress = ipAddress,
+            CreatedAt = now,
+            LastUsedAt = now,
+            ExpiresAt = now.Add(_sessionLifetime)
+        };
+
+        _context.UserSessions.Add(session);
+        await _context.SaveChangesAsync();
+
+        return (session, refreshToken);
+    }
+
+    /// <summary>
+    /// Renouvelle une session : rotation du refresh token et expiration repoussée.
+    /// </summary>
+    public async Task<(UserSession? Session, string? RefreshToken)> RefreshAsync(string? refreshToken, string? ipAddress)
+    {
+        if (string.IsNullOrEmpty(refreshToken))
+            return (null, null);
+
+        var hash = HashRefreshToken(refreshToken);
+        var now = DateTime.UtcNow;
+
+        var session = await _context.UserSessions
+            .Include(s => s.User)
+            .FirstOrDefaultAsync(s => s.RefreshTokenHash == hash);
+
+        if (session == null)
+            return await HandleReplacedTokenAsync(hash, now);
+
+        if (session.ExpiresAt <= now || session.User.IsSuspended)
+        {
+            _context.UserSessions.Remove(session);
+            await _context.SaveChangesAsync();
+            _realtimeService.CloseSessionConnections(session.UserId, session.Id);
+            return (null, null);
+        }
+
+        var newRefreshToken = GenerateRefreshToken();
+        session.PreviousRefreshTokenHash = session.RefreshTokenHash;
+        session.RefreshTokenHash = HashRefreshToken(newRefreshToken);
+        session.RotatedAt = now;
+        session.LastUsedAt = now;
+        session.ExpiresAt = now.Add(_sessionLifetime);
+        session.IpAddress = ipAddress ?? session.IpAddress;
+
+        try
+        {
+            await _context.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            // Une requête concurrente a déjà fait la rotation avec le même token : son cookie est le bon
+            _context.ChangeTracker.Clear();
+            return (session, null);
+        }
+
+        return (session, newRefreshToken);
+    }
+
+    /// <summary>
+    /// Vérifie que la session existe et n'a pas expiré.
+    /// </summary>
+    public async Task<bool> IsActiveAsync(Guid sessionId)
+    {
+        var now = DateTime.UtcNow;
+        return await _context.UserSessions.AnyAsync(s => s.Id == sessionId && s.ExpiresAt > now);
+    }
+
+    /// <summary>
+    /// Sessions actives du membre, la plus récemment utilisée en premier.
+    /// </summary>
+    public async Task<List<SessionDto>> GetSessionsAsync(Guid userId, Guid? currentSessionId)
+    {
+        var now = DateTime.UtcNow;
+
+        var sessions = await _context.UserSessions
+            .Where(s => s.UserId == userId && s.ExpiresAt > now)
+            .OrderByDescending(s => s.LastUsedAt)
+            .ToListAsync();
+
+        return sessions.Select(s => new SessionDto
+        {
+            Id = s.Id,
+            Device = DescribeDevice(s.UserAgent),
+            IpAddress = s.IpAddress,
+            CreatedAt = s.CreatedAt,
+            LastUsedAt = s.LastUsedAt,
+            IsCurrent = s.Id == currentSessionId
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Supprime une session du membre et ferme ses WebSockets.
+    /// </summary>
+    public async Task<bool> RevokeAsync(Guid userId, Guid sessionId)
+    {
+        var session = await _context.UserSessions
+            .FirstOrDefaultAsync(s => s.Id == sessionId && s.UserId == userId);
+
+        if (session == null)
+            return false;
+
+        _context.UserSessions.Remove(session);
+        await _context.SaveChangesAsync();
+        _realtimeService.CloseSessionConnections(userId, sessionId);
+        return true;
+    }
+
+    /// <summary>
+    /// Supprime la session d'un refresh token (actuel ou tout juste remplacé).
+    /// </summary>
+    public async Task RevokeByRefreshTokenAsync(string? refreshToken)
+    {
+        if (string.IsNullOrEmpty(refreshToken))
+            return;
+
+        var hash = HashRefreshToken(refreshToken);
+        var session = await _context.UserSessions
+            .FirstOrDefaultAsync(s => s.RefreshTokenHash == hash || s.PreviousRefreshTokenHash == hash);
+
+        if (session == null)
+            return;
+
+        _context.UserSessions.Remove(session);
+        await _context.SaveChangesAsync();
+        _realtimeService.CloseSessionConnections(session.UserId, session.Id);
+    }
+
+    /// <summary>
+    /// Supprime toutes les sessions du membre et ferme ses WebSockets.
+    /// </summary>
+    public async Task<int> RevokeAllAsync(Guid userId)
+    {
+        var sessions = await _context.UserSessions
+            .Where(s => s.UserId == userId)
+            .ToListAsync();
+
+        _context.UserSessions.RemoveRange(sessions);
+        await _context.SaveChangesAsync();
+        _realtimeService.CloseUserConnections(userId);
+        return sessions.Count;
+    }
+
+    /// <summary>
+    /// Nom lisible de l'appareil à partir du User-Agent : navigateur et système (ex: "Chrome sur Android").
+    /// L'ordre des tests compte : le User-Agent de Chrome contient aussi "Safari", celui d'Edge aussi "Chrome".
+    /// </summary>
+    public static string DescribeDevice(string? userAgent)
+    {
+        if (string.IsNullOrWhiteSpace(userAgent))
+            return "Appareil inconnu";
+
+        string browser;
+        if (userAgent.Contains("Edg/") || userAgent.Contains("EdgA/") || userAgent.Contains("EdgiOS/"))
+            browser = "Edge";
+        else if (userAgent.Contains("OPR/") || userAgent.Contains("Opera"))
+            browser = "Opera";
+        else if (userAgent.Contains("Firefox/") || userAgent.Contains("FxiOS/"))
+            browser = "Firefox";
+        else if (userAgent.Contains("Chrome/") || userAgent.Contains("CriOS/"))
+            browser = "Chrome";
+        else if (userAgent.Contains("Safari/"))
+            browser = "Safari";
+        else
+            browser = "Navigateur";
+
+        string? system;
+        if (userAgent.Contains("Windows"))
+            system = "Windows";
+        else if (userAgent.Contains("Android"))
+            system = "Android";
+        else if (userAgent.Contains("iPhone") || userAgent.Contains("iPad"))
+            system = "iOS";
+        else if (userAgent.Contains("Mac OS X") || userAgent.Contains("Macintosh"))
+            system = "macOS";
+        else if (userAgent.Contains("Linux"))
+            system = "Linux";
+        else
+            system = null;
+
+        return system == null ? browser : $"{browser} sur {system}";
+    }
+
+    // MÉTHODES PRIVÉES
+    /// <summary>
+    /// Token présenté qui n'est plus le token actuel d'une session :
+    /// accepté sans rotation juste après son remplacement, sinon la session est supprimée (vol probable).
+    /// </summary>
+    private async Task<(UserSession? Session, string? RefreshToken)> HandleReplacedTokenAsync(string hash, DateTime now)
+    {
+        var session = await _context.UserSessions
+            .Include(s => s.User)
+            .FirstOrDefaultAsync(s => s.PreviousRefreshTokenHash == hash);
+
+        if (session == null)
+            return (null, null);
+
+        if (session.RotatedAt > now - RotationGracePeriod && session.ExpiresAt > now && !session.User.IsSuspended)
+            return (session, null);
+
+        Console.WriteLine($"Refresh token réutilisé : session {session.Id} du membre {session.UserId} supprimée.");
+        _context.UserSessions.Remove(session);
+        await _context.SaveChangesAsync();
+        _realtimeService.CloseSessionConnections(session.UserId, session.Id);
+        return (null, null);
+    }
+
+    /// <summary>
+    /// Refresh token aléatoire (256 bits, base64url).
+    /// </summary>
+    private static string GenerateRefreshToken()
+    {
+        return Base64UrlEncoder.Encode(RandomNumberGenerator.GetBytes(32));
+    }
+
+    /// <summary>
+    /// Hash SHA-256 en hexadécimal : le token est assez aléatoire pour se passer de sel.
+    /// </summary>
+    private static string HashRefreshToken(string refreshToken)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(refreshToken)));
+    }
+
+    private static string? Truncate(string? value, int maxLength)
+    {
+        return value != null && value.Length > maxLength ? value[..maxLength] : value;
+    }
+}
@@ -0,0 +1,66 @@
+// SMTPEMAILSENDER.CS - Envoi des emails par SMTP
+// Implémente IEmailSender avec System.Net.Mail.
+//
+// Configuration (section "Email" de appsettings.json) :
+// - From : adresse d'expédition (ex: "Pro Social <no-reply@prosocial.local>")
+// - Smtp:Host / Smtp:Port : serveur SMTP (défaut port: 587)
+// - Smtp:EnableSsl : connexion chiffrée STARTTLS (défaut: true)
+// - Smtp:UserName / Smtp:Password : identifiants (optionnels)
+
+using System.Net;
+using System.Net.Mail;
+using System.Text;
+using ProSocialApi.Services.Interfaces;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Envoi des emails par un serveur SMTP.
+/// </summary>
+public class SmtpEmailSender : IEmailSender
+{
+    private readonly string _from;
+    private readonly string _host;
+    private readonly int _port;
+    private readonly bool _enableSsl;
+    private readonly string? _userName;
+    private readonly string? _password;
+
+    public SmtpEmailSender(IConfiguration configuration)
+    {
+        _from = configuration["Email:From"] ?? "no-reply@prosocial.local";
+        _host = configuration["Email:Smtp:Host"] ?? string.Empty;
+        if (string.IsNullOrEmpty(_host))
+            throw new InvalidOperationException("Email:Smtp:Host not configured");
+
+        _port = configuration.GetValue("Email:Smtp:Port", 587);
+        _enableSsl = configuration.GetValue("Email:Smtp:EnableSsl", true);
+        _userName = configuration["Email:Smtp:UserName"];
+        _password = configuration["Email:Smtp:Password"];
+    }
+
+    /// <summary>
+    /// Envoie l'email au serveur SMTP (un client par envoi : SmtpClient n'est pas thread-safe).
+    /// </summary>
+    public async Task SendAsync(string to, string subject, string body)
+    {
+        using var message = new MailMessage(_from, to, subject, body)
+        {
+            BodyEncoding = Encoding.UTF8,
+            SubjectEncoding = Encoding.UTF8
+        };
+
+        using var client = new SmtpClient(_host, _port)
+        {
+            EnableSsl = _enableSsl,
+            DeliveryMethod = SmtpDeliveryMethod.Network
+        };
+
+        if (!string.IsNullOrEmpty(_userName))
+        {
+            client.Credentials = new NetworkCredential(_userName, _password);
+        }
+
+        await client.SendMailAsync(message);
+    }
+}
@@ -0,0 +1,353 @@
+// TWOFACTORSERVICE.CS - Service de double authentification
+// Implémente ITwoFactorService : codes à usage unique basés sur le temps (TOTP, RFC 6238),
+// compatibles avec Google Authenticator, Microsoft Authenticator, FreeOTP...
+// Code à 6 chiffres, HMAC-SHA1, intervalles de 30 secondes ; un intervalle d'écart est toléré
+// de chaque côté (horloge du téléphone décalée, code saisi juste avant son changement).
+
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data.Context;
+using ProSocialApi.Data.Entities;
+using ProSocialApi.DTOs.Auth;
+using ProSocialApi.Services.Interfaces;
+using QRCoder;
+
+namespace ProSocialApi.Services;
+
+/// <summary>
+/// Service de gestion de la double authentification.
+/// </summary>
+public class TwoFactorService : ITwoFactorService
+{
+    // Nom affiché dans l'application d'authentification
+    private const string Issuer = "Pro Social";
+
+    private const int TimeStepSeconds = 30;
+    private const int CodeDigits = 6;
+    private const int SecretBytes = 20;
+    private const int RecoveryCodeCount = 10;
+
+    // Alphabet base32 (RFC 4648) des clés secrètes
+    private const string Base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+    // Alphabet des codes de secours, sans les caractères ambigus (0/O, 1/I/L)
+    private const string RecoveryCodeAlphabet = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+    private readonly ApplicationDbContext _context;
+
+    public TwoFactorService(ApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    /// <summary>
+    /// État de la double authentification du membre.
+    /// </summary>
+    public async Task<TwoFactorStatusDto?> GetStatusAsync(Guid userId)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return null;
+
+        return new TwoFactorStatusDto
+        {
+            Enabled = user.IsTwoFactorEnabled,
+            RecoveryCodesLeft = user.IsTwoFactorEnabled
+                ? await _context.RecoveryCodes.CountAsync(r => r.UserId == userId)
+                : 0
+        };
+    }
+
+    /// <summary>
+    /// Génère la clé secrète et le QR code à scanner.
+    /// </summary>
+    public async Task<TwoFactorSetupDto?> BeginSetupAsync(Guid userId)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null || user.IsTwoFactorEnabled)
+            return null;
+
+        var secret = Base32Encode(RandomNumberGenerator.GetBytes(SecretBytes));
+        user.TwoFactorSecret = secret;
+        user.TwoFactorLastTimeStep = null;
+        await _context.SaveChangesAsync();
+
+        var label = $"{Uri.EscapeDataString(Issuer)}:{Uri.EscapeDataString(user.Email)}";
+        var otpAuthUri = $"otpauth://totp/{label}?secret={secret}&issuer={Uri.EscapeDataString(Issuer)}"
+            + $"&algorithm=SHA1&digits={CodeDigits}&period={TimeStepSeconds}";
+
+        return new TwoFactorSetupDto
+        {
+            Secret = string.Join(' ', secret.Chunk(4).Select(chunk => new string(chunk))),
+            OtpAuthUri = otpAuthUri,
+            QrCodeDataUri = GenerateQrCodeDataUri(otpAuthUri)
+        };
+    }
+
+    /// <summary>
+    /// Active la double authentification si le code correspond à la clé en cours d'activation.
+    /// </summary>
+    public async Task<(bool Success, string Message, List<string>? RecoveryCodes)> EnableAsync(Guid userId, string code)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return (false, "Utilisateur non trouvé", null);
+
+        if (user.IsTwoFactorEnabled)
+            return (false, "La double authentification est déjà activée", null);
+
+        if (user.TwoFactorSecret == null)
+            return (false, "Aucune activation en cours", null);
+
+        if (!await VerifyTotpAsync(user, NormalizeCode(code)))
+            return (false, "Code incorrect : vérifiez l'heure de votre téléphone et réessayez", null);
+
+        user.TwoFactorEnabledAt = DateTime.UtcNow;
+        var recoveryCodes = await ReplaceRecoveryCodesAsync(user.Id);
+        await _context.SaveChangesAsync();
+
+        return (true, "Double authentification activée", recoveryCodes);
+    }
+
+    /// <summary>
+    /// Désactive la double authentification (mot de passe requis).
+    /// </summary>
+    public async Task<(bool Success, string Message)> DisableAsync(Guid userId, string password)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return (false, "Utilisateur non trouvé");
+
+        if (!BCrypt.Net.BCrypt.Verify(password, user.Password))
+            return (false, "Mot de passe incorrect");
+
+        if (!user.IsTwoFactorEnabled)
+            return (false, "La double authentification n'est pas activée");
+
+        user.TwoFactorSecret = null;
+        user.TwoFactorEnabledAt = null;
+        user.TwoFactorLastTimeStep = null;
+
+        var recoveryCodes = await _context.RecoveryCodes.Where(r => r.UserId == userId).ToListAsync();
+        _context.RecoveryCodes.RemoveRange(recoveryCodes);
+
+        await _context.SaveChangesAsync();
+        return (true, "Double authentification désactivée");
+    }
+
+    /// <summary>
+    /// Génère de nouveaux codes de secours (mot de passe requis).
+    /// </summary>
+    public async Task<(bool Success, string Message, List<string>? RecoveryCodes)> RegenerateRecoveryCodesAsync(Guid userId, string password)
+    {
+        var user = await _context.Users.FindAsync(userId);
+        if (user == null)
+            return (false, "Utilisateur non trouvé", null);
+
+        if (!BCrypt.Net.BCrypt.Verify(password, user.Password))
+            return (false, "Mot de passe incorrect", null);
+
+        if (!user.IsTwoFactorEnabled)
+            return (false, "La double authentification n'est pas activée", null);
+
+        var recoveryCodes = await ReplaceRecoveryCodesAsync(user.Id);
+        await _context.SaveChangesAsync();
+
+        return (true, "Nouveaux codes de secours générés", recoveryCodes);
+    }
+
+    /// <summary>
+    /// Vérifie un code de l'application ou un code de secours.
+    /// </summary>
+    public async Task<bool> VerifyCodeAsync(User user, string code)
+    {
+        if (!user.IsTwoFactorEnabled)
+            return false;
+
+        var normalized = NormalizeCode(code);
+
+        if (normalized.Length == CodeDigits && normalized.All(char.IsAsciiDigit))
+            return await VerifyTotpAsync(user, normalized);
+
+        var hash = HashRecoveryCode(normalized);
+        var recoveryCode = await _context.RecoveryCodes
+            .FirstOrDefaultAsync(r => r.UserId == user.Id && r.CodeHash == hash);
+
+        if (recoveryCode == null)
+            return false;
+
+        _context.RecoveryCodes.Remove(recoveryCode);
+        try
+        {
+            await _context.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            // Code utilisé au même moment par une autre requête : il ne sert qu'une fois
+            _context.ChangeTracker.Clear();
+            return false;
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Intervalle de 30 secondes contenant la date (compteur du TOTP).
+    /// </summary>
+    public static long GetTimeStep(DateTimeOffset date)
+    {
+        return date.ToUnixTimeSeconds() / TimeStepSeconds;
+    }
+
+    /// <summary>
+    /// Code à 6 chiffres d'une clé pour un intervalle (HOTP, RFC 4226, avec le compteur du TOTP).
+    /// </summary>
+    public static string ComputeCode(string base32Secret, long timeStep)
+    {
+        var counter = BitConverter.GetBytes(timeStep);
+        if (BitConverter.IsLittleEndian)
+            Array.Reverse(counter);
+
+        var hash = HMACSHA1.HashData(Base32Decode(base32Secret), counter);
+
+        // Troncature dynamique : 4 octets à partir de la position donnée par le dernier octet
+        var offset = hash[^1] & 0x0F;
+        var binary = ((hash[offset] & 0x7F) << 24)
+            | (hash[offset + 1] << 16)
+            | (hash[offset + 2] << 8)
+            | hash[offset + 3];
+
+        return (binary % (int)Math.Pow(10, CodeDigits)).ToString().PadLeft(CodeDigits, '0');
+    }
+
+    // MÉTHODES PRIVÉES
+    /// <summary>
+    /// Vérifie un code TOTP (intervalle courant, précédent ou suivant) et empêche sa réutilisation.
+    /// </summary>
+    private async Task<bool> VerifyTotpAsync(User user, string code)
+    {
+        if (user.TwoFactorSecret == null || code.Length != CodeDigits)
+            return false;
+
+        var currentStep = GetTimeStep(DateTimeOffset.UtcNow);
+
+        for (var step = currentStep - 1; step <= currentStep + 1; step++)
+        {
+            // Un code déjà accepté (ou plus ancien) ne peut pas resservir
+            if (step <= user.TwoFactorLastTimeStep)
+                continue;
+
+            var expected = Encoding.ASCII.GetBytes(ComputeCode(user.TwoFactorSecret, step));
+            if (CryptographicOperations.FixedTimeEquals(expected, Encoding.ASCII.GetBytes(code)))
+            {
+                user.TwoFactorLastTimeStep = step;
+                await _context.SaveChangesAsync();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// Supprime les codes de secours du membre et en prépare de nouveaux (enregistrés par l'appelant).
+    /// </summary>
+    /// <returns>Les nouveaux codes en clair, à afficher une seule fois</returns>
+    private async Task<List<string>> ReplaceRecoveryCodesAsync(Guid userId)
+    {
+        var existing = await _context.RecoveryCodes.Where(r => r.UserId == userId).ToListAsync();
+        _context.RecoveryCodes.RemoveRange(existing);
+
+        var codes = new List<string>();
+        for (var i = 0; i < RecoveryCodeCount; i++)
+        {
+            var code = RandomNumberGenerator.GetString(RecoveryCodeAlphabet, 10);
+            codes.Add($"{code[..5]}-{code[5..]}");
+
+            _context.RecoveryCodes.Add(new RecoveryCode
+            {
+                UserId = userId,
+                CodeHash = HashRecoveryCode(code)
+            });
+        }
+
+        return codes;
+    }
+
+    /// <summary>
+    /// Code saisi sans espaces ni tirets, en majuscules.
+    /// </summary>
+    private static string NormalizeCode(string? code)
+    {
+        return new string((code ?? string.Empty)
+            .Where(c => !char.IsWhiteSpace(c) && c != '-')
+            .Select(char.ToUpperInvariant)
+            .ToArray());
+    }
+
+    /// <summary>
+    /// Hash SHA-256 en hexadécimal d'un code de secours normalisé.
+    /// </summary>
+    private static string HashRecoveryCode(string normalizedCode)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(normalizedCode)));
+    }
+
+    /// <summary>
+    /// QR code PNG de l'URI, sous forme de data URI.
+    /// </summary>
+    private static string GenerateQrCodeDataUri(string content)
+    {
+        using var generator = new QRCodeGenerator();
+        using var data = generator.CreateQrCode(content, QRCodeGenerator.ECCLevel.M);
+        using var qrCode = new PngByteQRCode(data);
+
+        return $"data:image/png;base64,{Convert.ToBase64String(qrCode.GetGraphic(5))}";
+    }
+
+    private static string Base32Encode(byte[] data)
+    {
+        var result = new StringBuilder();
+        int buffer = 0, bits = 0;
+
+        foreach (var b in data)
+        {
+            buffer = (buffer << 8) | b;
+            bits += 8;
+            while (bits >= 5)
+            {
+                result.Append(Base32Alphabet[(buffer >> (bits - 5)) & 0x1F]);
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0)
+            result.Append(Base32Alphabet[(buffer << (5 - bits)) & 0x1F]);
+
+        return result.ToString();
+    }
+
+    private static byte[] Base32Decode(string base32)
+    {
+        var result = new List<byte>();
+        int buffer = 0, bits = 0;
+
+        foreach (var c in base32.TrimEnd('=').ToUpperInvariant())
+        {
+            var value = Base32Alphabet.IndexOf(c);
+            if (value < 0)
+                throw new FormatException($"Caractère base32 invalide : {c}");
+
+            buffer = (buffer << 5) | value;
+            bits += 5;
+            if (bits >= 8)
+            {
+                result.Add((byte)(buffer >> (bits - 8)));
+                bits -= 8;
+            }
+        }
+
+        return result.ToArray();
+    }
+}
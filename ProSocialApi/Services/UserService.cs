@@ -3,6 +3,7 @@
 // Utilise Entity Framework Core pour les opérations en base de données.
 
 using Microsoft.EntityFrameworkCore;
+using ProSocialApi.Data;
 using ProSocialApi.Data.Context;
 using ProSocialApi.Data.Entities;
 using ProSocialApi.DTOs.Users;
@@ -28,9 +29,13 @@ public class UserService : IUserService
     /// <summary>
     /// Récupère un utilisateur par son ID avec ses statistiques.
     /// Inclut le nombre de connexions acceptées et le nombre de posts.
+    /// Un membre bloqué (dans un sens ou dans l'autre) est traité comme inexistant.
     /// </summary>
-    public async Task<UserDto?> GetByIdAsync(Guid id)
+    public async Task<UserDto?> GetByIdAsync(Guid id, Guid? currentUserId = null)
     {
+        if (currentUserId != null && currentUserId != id && await _context.IsBlockedAsync(currentUserId.Value, id))
+            return null;
+
         // Charger l'utilisateur avec ses relations nécessaires aux statistiques
         // Les filtres Where() dans Include() permettent de ne charger que les connexions acceptées
         var user = await _context.Users
@@ -82,27 +87,33 @@ public class UserService : IUserService
     }
 
     /// <summary>
-    /// Recherche des utilisateurs par nom, prénom ou email.
+    /// Recherche des utilisateurs par nom, prénom, titre ou email.
+    /// Le nom et le titre sont comparés sans tenir compte des accents (voir SearchNormalizer).
     /// Retourne max 20 résultats pour éviter les surcharges.
+    /// Les membres bloqués (dans un sens ou dans l'autre) sont exclus.
     /// </summary>
-    public async Task<List<UserDto>> SearchAsync(string query)
+    public async Task<List<UserDto>> SearchAsync(string query, Guid? currentUserId = null)
     {
         // Requête vide = pas de résultats
         if (string.IsNullOrWhiteSpace(query))
             return new List<UserDto>();
 
         var lowerQuery = query.ToLower();
+        var normalizedQuery = SearchNormalizer.Normalize(query);
+
+        var blockedUserIds = currentUserId != null
+            ? await _context.BlockedUserIds(currentUserId.Value).ToListAsync()
+            : new List<Guid>();
 
-        // Recherche insensible à la casse sur plusieurs champs
+        // Recherche insensible à la casse (et aux accents pour le nom et le titre)
         var users = await _context.Users
             .Include(u => u.Posts)
             .Include(u => u.SentConnections.Where(c => c.Status == ConnectionStatus.Accepted))
             .Include(u => u.ReceivedConnections.Where(c => c.Status == ConnectionStatus.Accepted))
             .Where(u =>
-                u.FirstName.ToLower().Contains(lowerQuery) ||
-                u.LastName.ToLower().Contains(lowerQuery) ||
-                u.Email.ToLower().Contains(lowerQuery) ||
-                (u.Headline != null && u.Headline.ToLower().Contains(lowerQuery)))
+                u.SearchText.Contains(normalizedQuery) ||
+                u.Email.ToLower().Contains(lowerQuery))
+            .Where(u => !blockedUserIds.Contains(u.Id))
             .Take(20) // Limite pour éviter les résultats trop volumineux
             .ToListAsync();
 
@@ -1,6 +1,12 @@
 // Gestion de l'authentification et de la navigation
+
+// Rafraîchissement périodique du badge de notifications (ms)
+const NOTIFICATIONS_POLL_INTERVAL = 30000;
+let notificationsPollTimer = null;
+
 document.addEventListener('DOMContentLoaded', function() {
     updateAuthNav();
+    updateEmailVerificationBanner();
 });
 
 function updateAuthNav() {
@@ -11,6 +17,22 @@ function updateAuthNav() {
 
     if (user) {
         authNav.innerHTML = `
+            <li class="nav-item dropdown">
+                <a class="nav-link position-relative" href="#" id="notificationsDropdown" role="button"
+                   data-bs-toggle="dropdown" data-bs-auto-close="outside" aria-expanded="false" title="Notifications">
+                    <i class="bi bi-bell fs-5"></i>
+                    <span class="position-absolute badge rounded-pill bg-danger notifications-badge d-none"
+                          id="notifications-badge"></span>
+                </a>
+                <div class="dropdown-menu dropdown-menu-end p-0 notifications-menu" aria-labelledby="notificationsDropdown">
+                    <div class="d-flex justify-content-between align-items-center px-3 py-2 border-bottom">
+                        <strong>Notifications</strong>
+                        <button type="button" class="btn btn-link btn-sm p-0 text-decoration-none"
+                                onclick="markAllNotificationsAsRead()">Tout marquer comme lu</button>
+                    </div>
+                    <div id="notifications-list"></div>
+                </div>
+            </li>
             <li class="nav-item dropdown">
                 <a class="nav-link dropdown-toggle" href="#" id="userDropdown" role="button"
                    data-bs-toggle="dropdown" aria-expanded="false">
@@ -20,10 +42,15 @@ function updateAuthNav() {
                 </a>
                 <ul class="dropdown-menu dropdown-menu-end" aria-labelledby="userDropdown">
                     <li><a class="dropdown-item" href="/Home/Profile"><i class="bi bi-person me-2"></i>Mon profil</a></li>
+                    <li><a class="dropdown-item" href="/Home/Saved"><i class="bi bi-bookmark me-2"></i>Enregistrés</a></li>
+                    ${isModerator(user) ? `
+                    <li><a class="dropdown-item" href="/Home/Moderation"><i class="bi bi-shield-check me-2"></i>Modération</a></li>` : ''}
                     <li><hr class="dropdown-divider"></li>
-                    <li><a class="dropdown-item" href="/AuthView/Login" onclick="logout()"><i class="bi bi-box-arrow-right me-2"></i>Deconnexion</a></li>
+                    <li><a class="dropdown-item" href="/AuthView/Login" onclick="logout(); return false;"><i class="bi bi-box-arrow-right me-2"></i>Deconnexion</a></li>
                 </ul>
             </li>`;
+
+        initNotifications();
     } else {
         authNav.innerHTML = `
             <li class="nav-item">
@@ -35,9 +62,240 @@ function updateAuthNav() {
     }
 }
 
+// Accès à la page de modération (le serveur vérifie le rôle du token de son côté)
+function isModerator(user) {
+    return user.role === 'Moderator' || user.role === 'Admin';
+}
+
+// ===========================================
+// Confirmation de l'adresse email (bandeau)
+// ===========================================
+
+// Affiche le bandeau tant que l'adresse du membre connecté n'est pas confirmée
+function updateEmailVerificationBanner() {
+    const banner = document.getElementById('email-verification-banner');
+    if (!banner) return;
+
+    const { user } = getAuthData();
+
+    if (!user || user.emailVerified !== false) {
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.innerHTML = `
+        <div class="alert alert-warning d-flex flex-wrap align-items-center gap-2" role="alert">
+            <i class="bi bi-envelope-exclamation fs-5"></i>
+            <span class="me-auto" id="email-verification-text">
+                Confirmez votre adresse email (${escapeHtml(user.email)}) en suivant le lien que nous vous avons envoyé.
+            </span>
+            <button type="button" class="btn btn-sm btn-outline-dark" id="email-verification-resend"
+                    onclick="resendEmailVerification()">Renvoyer le lien</button>
+        </div>`;
+}
+
+async function resendEmailVerification() {
+    const button = document.getElementById('email-verification-resend');
+    const text = document.getElementById('email-verification-text');
+    button.disabled = true;
+
+    try {
+        const response = await apiRequest('/api/auth/resend-verification', { method: 'POST' });
+        if (!response) return;
+
+        const data = await response.json();
+
+        if (response.ok) {
+            text.textContent = `${data.message} à ${getAuthData().user.email}.`;
+        } else if (response.status === 400) {
+            // Adresse déjà confirmée (par exemple depuis un autre navigateur)
+            markEmailAsVerified(getAuthData().user.id);
+        } else {
+            text.textContent = "L'email n'a pas pu être envoyé, réessayez plus tard.";
+            button.disabled = false;
+        }
+    } catch (error) {
+        console.error('Erreur renvoi du lien de confirmation:', error);
+        button.disabled = false;
+    }
+}
+
+// Met à jour le membre stocké localement si c'est son adresse qui vient d'être confirmée
+function markEmailAsVerified(userId) {
+    const { user } = getAuthData();
+    if (!user || user.id !== userId) return;
+
+    user.emailVerified = true;
+    updateStoredUser(user);
+    updateEmailVerificationBanner();
+}
+
+// ===========================================
+// Centre de notifications (cloche de la navbar)
+// ===========================================
+
+function initNotifications() {
+    document.getElementById('notificationsDropdown')
+        .addEventListener('show.bs.dropdown', loadNotifications);
+
+    refreshUnreadCount();
+    refreshUnreadMessagesCount();
+    clearInterval(notificationsPollTimer);
+    notificationsPollTimer = setInterval(() => {
+        refreshUnreadCount();
+        refreshUnreadMessagesCount();
+    }, NOTIFICATIONS_POLL_INTERVAL);
+}
+
+// Met à jour le badge avec le nombre de notifications non lues
+async function refreshUnreadCount() {
+    try {
+        const response = await apiRequest('/api/notifications/unread-count');
+        if (!response || !response.ok) return;
+
+        const { count } = await response.json();
+        updateNotificationsBadge(count);
+    } catch (error) {
+        console.error('Erreur notifications:', error);
+    }
+}
+
+// Met à jour le badge "Messagerie" avec le nombre de messages non lus
+async function refreshUnreadMessagesCount() {
+    const badge = document.getElementById('messages-badge');
+    if (!badge) return;
+
+    try {
+        const response = await apiRequest('/api/conversations/unread-count');
+        if (!response || !response.ok) return;
+
+        const { count } = await response.json();
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.classList.toggle('d-none', count === 0);
+    } catch (error) {
+        console.error('Erreur messages non lus:', error);
+    }
+}
+
+function updateNotificationsBadge(count) {
+    const badge = document.getElementById('notifications-badge');
+    if (!badge) return;
+
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.classList.toggle('d-none', count === 0);
+}
+
+// Charge la liste des notifications à l'ouverture du menu
+async function loadNotifications() {
+    const container = document.getElementById('notifications-list');
+    container.innerHTML = `
+        <div class="text-center py-3">
+            <div class="spinner-border spinner-border-sm text-primary" role="status"></div>
+        </div>`;
+
+    try {
+        const response = await apiRequest('/api/notifications');
+        if (!response) return;
+        if (!response.ok) throw new Error('Erreur chargement');
+
+        const notifications = await response.json();
+
+        if (notifications.length === 0) {
+            container.innerHTML = '<p class="text-muted small text-center py-3 mb-0">Aucune notification</p>';
+            return;
+        }
+
+        container.innerHTML = notifications.map(createNotificationItem).join('');
+        // La liste ne contient que les dernières notifications : le compteur vient du serveur
+        refreshUnreadCount();
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small text-center py-3 mb-0">Erreur de chargement</p>';
+    }
+}
+
+function createNotificationItem(notification) {
+    const icons = {
+        ConnectionRequest: 'bi-person-plus',
+        ConnectionAccepted: 'bi-people',
+        NewLike: 'bi-hand-thumbs-up',
+        NewComment: 'bi-chat',
+        CommentReply: 'bi-reply',
+        NewMessage: 'bi-envelope',
+        Mention: 'bi-at',
+        Share: 'bi-share',
+        SkillEndorsement: 'bi-award'
+    };
+    const icon = icons[notification.type] || 'bi-bell';
+
+    return `
+        <a href="${getNotificationUrl(notification)}"
+           class="dropdown-item d-flex align-items-start py-2 notification-item ${notification.read ? '' : 'unread'}"
+           onclick="openNotification(event, '${notification.id}', ${notification.read})">
+            <i class="bi ${icon} text-primary me-2 mt-1"></i>
+            <div class="flex-grow-1 text-wrap">
+                <div class="small">${escapeHtml(notification.message)}</div>
+                <small class="text-muted">${escapeHtml(formatRelativeTime(notification.createdAt))}</small>
+            </div>
+        </a>`;
+}
+
+// Page vers laquelle mène une notification
+function getNotificationUrl(notification) {
+    const data = notification.data || {};
+
+    switch (notification.type) {
+        case 'ConnectionRequest':
+            return '/Home/Network?tab=pending';
+        case 'ConnectionAccepted':
+            return '/Home/Network?tab=connections';
+        case 'NewLike':
+        case 'NewComment':
+        case 'CommentReply':
+        case 'Mention':
+        case 'Share':
+            return data.postId ? `/Home/Index#post-${encodeURIComponent(data.postId)}` : '/Home/Index';
+        case 'NewMessage':
+            return data.conversationId
+                ? `/Home/Messages?conversation=${encodeURIComponent(data.conversationId)}`
+                : '/Home/Messages';
+        case 'SkillEndorsement':
+            return '/Home/Profile';
+        default:
+            return '#';
+    }
+}
+
+// Marque la notification comme lue avant de suivre le lien
+async function openNotification(event, notificationId, isRead) {
+    if (isRead) return;
+
+    event.preventDefault();
+    const url = event.currentTarget.getAttribute('href');
+
+    try {
+        await apiRequest(`/api/notifications/${notificationId}/read`, { method: 'PUT' });
+    } catch (error) {
+        console.error('Erreur notifications:', error);
+    }
+
+    window.location.href = url;
+}
+
+async function markAllNotificationsAsRead() {
+    try {
+        const response = await apiRequest('/api/notifications/read-all', { method: 'PUT' });
+        if (!response || !response.ok) return;
+
+        document.querySelectorAll('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+        updateNotificationsBadge(0);
+    } catch (error) {
+        console.error('Erreur notifications:', error);
+    }
+}
+
 async function logout() {
     try {
-        // Appel API pour supprimer le cookie HttpOnly côté serveur
+        // Appel API pour fermer la session et supprimer les cookies HttpOnly côté serveur
         await fetch('/api/auth/logout', {
             method: 'POST',
             credentials: 'same-origin'
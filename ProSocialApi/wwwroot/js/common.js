@@ -18,11 +18,46 @@ function requireAuth() {
     return { user };
 }
 
+// Renouvellement de session en cours (partagé par les requêtes qui reçoivent 401 en même temps)
+let sessionRefreshPromise = null;
+
+// Demande un nouveau JWT à partir du cookie refresh_token (HttpOnly, envoyé uniquement à /api/auth)
+// Retourne true si la session a été renouvelée
+function refreshSession() {
+    if (!sessionRefreshPromise) {
+        sessionRefreshPromise = (async () => {
+            try {
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    credentials: 'same-origin'
+                });
+                if (!response.ok) return false;
+
+                // Infos utilisateur à jour (rôle, email confirmé...)
+                const data = await response.json();
+                if (data.user) {
+                    updateStoredUser({ ...getAuthData().user, ...data.user });
+                }
+                return true;
+            } catch (error) {
+                console.error('Erreur renouvellement de session:', error);
+                return false;
+            } finally {
+                sessionRefreshPromise = null;
+            }
+        })();
+    }
+    return sessionRefreshPromise;
+}
+
 // Effectue une requête API authentifiée
 // Le cookie HttpOnly est envoyé automatiquement avec credentials: 'same-origin'
+// Pour un envoi de fichier (body FormData), le navigateur fixe lui-même le Content-Type multipart
+// JWT expiré (401) : la session est renouvelée puis la requête relancée une fois
 async function apiRequest(url, options = {}) {
+    const isFormData = options.body instanceof FormData;
     const defaultOptions = {
-        headers: {
+        headers: isFormData ? {} : {
             'Content-Type': 'application/json'
         },
         credentials: 'same-origin' // Envoie automatiquement les cookies HttpOnly
@@ -38,9 +73,13 @@ async function apiRequest(url, options = {}) {
         credentials: 'same-origin'
     };
 
-    const response = await fetch(url, mergedOptions);
+    let response = await fetch(url, mergedOptions);
+
+    if (response.status === 401 && await refreshSession()) {
+        response = await fetch(url, mergedOptions);
+    }
 
-    // Si non autorisé, déconnexion
+    // Si toujours non autorisé (session expirée ou déconnectée), déconnexion
     if (response.status === 401) {
         localStorage.removeItem('user');
         window.location.href = '/AuthView/Login';
@@ -66,6 +105,23 @@ function formatDate(dateString, includeTime = true) {
     return new Date(dateString).toLocaleDateString('fr-FR', options);
 }
 
+// Formater une date en temps relatif
+function formatRelativeTime(dateString) {
+    const date = new Date(dateString);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+    const diffDays = Math.floor(diffMs / 86400000);
+
+    if (diffMins < 1) return "À l'instant";
+    if (diffMins < 60) return `${diffMins} min`;
+    if (diffHours < 24) return `${diffHours}h`;
+    if (diffDays < 7) return `${diffDays}j`;
+
+    return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
+}
+
 // Affiche une alerte
 function showAlert(elementId, message, type = 'danger') {
     const alert = document.getElementById(elementId);
@@ -106,15 +162,26 @@ function getAvatarUrl(url, size = 48) {
     return url || `https://via.placeholder.com/${size}`;
 }
 
+// URL du profil d'un membre (son propre profil reste la page modifiable)
+function getProfileUrl(userId) {
+    const { user } = getAuthData();
+    if (user && user.id === userId) return '/Home/Profile';
+    return `/Home/Profile/${userId}`;
+}
+
 // Met à jour le localStorage user
 function updateStoredUser(userData) {
     localStorage.setItem('user', JSON.stringify(userData));
 }
 
 // Échappe le HTML pour éviter les XSS
+// Les guillemets sont aussi échappés : le résultat est utilisé dans des attributs (src, href, title...)
 function escapeHtml(text) {
     if (text === null || text === undefined) return '';
-    const div = document.createElement('div');
-    div.textContent = String(text);
-    return div.innerHTML;
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
@@ -1,5 +1,27 @@
 // feed.js - Page d'accueil / Feed
 
+// Pagination du feed (scroll infini, voir FeedController.GetFeed)
+const FEED_PAGE_SIZE = 10;
+let feedPage = 0;
+let feedHasMore = true;
+let feedLoading = false;
+// Instantané du parcours renvoyé avec la première page (en-tête X-Feed-Snapshot) :
+// les pages suivantes sont calculées au même instant, sans décalage
+let feedSnapshot = null;
+// Distance (px) sous l'écran à partir de laquelle la page suivante est chargée
+const FEED_SCROLL_MARGIN = 400;
+
+// Mode du feed ('recent' ou 'relevant'), mémorisé entre les visites
+const FEED_MODE_STORAGE_KEY = 'feedMode';
+let feedMode = localStorage.getItem(FEED_MODE_STORAGE_KEY) === 'relevant' ? 'relevant' : 'recent';
+// Incrémenté à chaque changement de mode : les réponses de l'ancien mode sont ignorées
+let feedGeneration = 0;
+
+// Image jointe au post en cours de rédaction
+const POST_IMAGE_MAX_SIZE = 5 * 1024 * 1024;
+const POST_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+let selectedPostImage = null;
+
 document.addEventListener('DOMContentLoaded', function() {
     const auth = requireAuth();
     if (!auth) return;
@@ -9,11 +31,35 @@ document.addEventListener('DOMContentLoaded', function() {
     // Affiche les infos utilisateur dans la sidebar
     initUserInfo(user);
 
-    // Charge le feed
-    loadFeed();
+    // Bascule Récents / Pertinents
+    initFeedModeToggle();
+
+    // Widget "Tendances" de la sidebar
+    loadTrendingHashtags();
+
+    // Charge la première page du feed puis observe le bas de la page
+    loadFeed().then(focusLinkedPost);
+    initInfiniteScroll();
+    window.addEventListener('hashchange', focusLinkedPost);
 
     // Formulaire de création de post
     document.getElementById('create-post-form').addEventListener('submit', handleCreatePost);
+    document.getElementById('post-image-input').addEventListener('change', handlePostImageSelected);
+    document.getElementById('post-image-remove').addEventListener('click', clearPostImage);
+
+    // Partage créé depuis une carte : ajouté en tête du feed
+    document.addEventListener('post:shared', e => {
+        document.getElementById('feed-empty')?.remove();
+        document.getElementById('feed-container').insertAdjacentHTML('afterbegin', createPostCard(e.detail.post));
+    });
+
+    // Dernier post supprimé : afficher l'état vide
+    document.addEventListener('post:deleted', () => {
+        const container = document.getElementById('feed-container');
+        if (!container.querySelector('.post-card') && !feedHasMore) {
+            container.innerHTML = createEmptyFeedHtml();
+        }
+    });
 });
 
 function initUserInfo(user) {
@@ -26,266 +72,264 @@ function initUserInfo(user) {
     }
 }
 
+// Charge la page suivante du feed et l'ajoute à la suite des posts déjà affichés
 async function loadFeed() {
+    if (feedLoading || !feedHasMore) return;
+
     const container = document.getElementById('feed-container');
+    const loader = document.getElementById('feed-loader');
+    const generation = feedGeneration;
+    let loaded = false;
+    feedLoading = true;
+    loader?.classList.remove('d-none');
 
     try {
-        const response = await apiRequest('/api/feed');
-        if (!response) return;
+        const nextPage = feedPage + 1;
+        const snapshotParam = feedSnapshot ? `&snapshot=${encodeURIComponent(feedSnapshot)}` : '';
+        const response = await apiRequest(`/api/feed?page=${nextPage}&pageSize=${FEED_PAGE_SIZE}&mode=${feedMode}${snapshotParam}`);
+        if (!response || generation !== feedGeneration) return;
+        if (!response.ok) throw new Error('Erreur chargement');
+        if (!feedSnapshot) feedSnapshot = response.headers.get('X-Feed-Snapshot');
 
         const posts = await response.json();
+        if (generation !== feedGeneration) return;
+        feedPage = nextPage;
 
+        // Fin du feed : page vide (une page peut être incomplète sans être la dernière,
+        // les partages d'une même publication y étant regroupés)
         if (posts.length === 0) {
-            container.innerHTML = `
-                <div class="text-center py-5 text-muted">
-                    <i class="bi bi-inbox display-4"></i>
-                    <p class="mt-3">Aucun post pour le moment</p>
-                </div>`;
+            feedHasMore = false;
+        }
+
+        if (feedPage === 1 && posts.length === 0) {
+            container.innerHTML = createEmptyFeedHtml();
             return;
         }
 
-        container.innerHTML = posts.map(post => createPostCard(post)).join('');
+        // Un post supprimé entre deux pages décale la pagination : on ignore les doublons
+        const newPosts = posts.filter(post => !container.querySelector(`.post-card[data-post-id="${post.id}"]`));
+        container.insertAdjacentHTML('beforeend', newPosts.map(post => createPostCard(post)).join(''));
+        loaded = true;
+
+        if (!feedHasMore && feedPage > 1) {
+            container.insertAdjacentHTML('beforeend', `
+                <p class="text-center text-muted small py-3" id="feed-end">Vous êtes à jour</p>`);
+        }
     } catch (error) {
-        container.innerHTML = `
+        if (generation !== feedGeneration) return;
+        feedHasMore = false;
+        container.insertAdjacentHTML('beforeend', `
             <div class="alert alert-danger">
                 Erreur lors du chargement du feed
-            </div>`;
+            </div>`);
+    } finally {
+        if (generation === feedGeneration) {
+            feedLoading = false;
+            loader?.classList.add('d-none');
+            if (loaded) loadFeedIfSentinelVisible();
+        }
     }
 }
 
-function createPostCard(post) {
-    const date = formatDate(post.createdAt);
-    const isLiked = post.isLikedByCurrentUser || false;
-    const likeButtonClass = isLiked ? 'btn-primary' : 'btn-outline-primary';
-    const likeIconClass = isLiked ? 'bi-hand-thumbs-up-fill' : 'bi-hand-thumbs-up';
+// L'observer ne se déclenche qu'à l'entrée du sentinel dans la zone : si celui-ci y est resté
+// (déclenchement ignoré pendant un chargement, page trop courte pour remplir l'écran),
+// on enchaîne directement sur la page suivante
+function loadFeedIfSentinelVisible() {
+    const sentinel = document.getElementById('feed-sentinel');
+    if (!sentinel || !feedHasMore) return;
 
-    return `
-        <div class="card mb-3" id="post-${post.id}">
-            <div class="card-body">
-                <div class="d-flex gap-3 mb-3">
-                    <img src="${getAvatarUrl(post.author?.avatarUrl)}"
-                         class="rounded-circle" width="48" height="48" alt="Avatar">
-                    <div>
-                        <h6 class="mb-0">${escapeHtml(post.author?.firstName)} ${escapeHtml(post.author?.lastName)}</h6>
-                        <small class="text-muted">${escapeHtml(post.author?.headline)}</small>
-                        <br><small class="text-muted">${escapeHtml(date)}</small>
-                    </div>
-                </div>
-                <p class="card-text">${escapeHtml(post.content)}</p>
-                <hr>
-                <div class="d-flex gap-3">
-                    <button class="btn ${likeButtonClass} btn-sm" id="like-btn-${post.id}"
-                            data-liked="${isLiked}" onclick="toggleLike('${post.id}')">
-                        <i class="bi ${likeIconClass} me-1" id="like-icon-${post.id}"></i><span id="likes-${post.id}">${post.likesCount || 0}</span>
-                    </button>
-                    <button class="btn btn-outline-secondary btn-sm" onclick="toggleComments('${post.id}')">
-                        <i class="bi bi-chat me-1"></i><span id="comments-count-${post.id}">${post.commentsCount || 0}</span>
-                    </button>
-                </div>
-
-                <!-- Section commentaires (cachée par défaut) -->
-                <div id="comments-section-${post.id}" class="comments-section mt-3 d-none">
-                    <hr>
-                    <!-- Formulaire d'ajout de commentaire -->
-                    <form class="mb-3" onsubmit="addComment(event, '${post.id}')">
-                        <div class="d-flex gap-2">
-                            <input type="text" class="form-control form-control-sm"
-                                   id="comment-input-${post.id}"
-                                   placeholder="Ecrire un commentaire..." required>
-                            <button type="submit" class="btn btn-primary btn-sm">
-                                <i class="bi bi-send"></i>
-                            </button>
-                        </div>
-                    </form>
-                    <!-- Liste des commentaires -->
-                    <div id="comments-list-${post.id}">
-                        <div class="text-center text-muted small">
-                            <i class="bi bi-arrow-repeat spin"></i> Chargement...
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>`;
+    if (sentinel.getBoundingClientRect().top <= window.innerHeight + FEED_SCROLL_MARGIN) {
+        loadFeed();
+    }
 }
 
-async function handleCreatePost(e) {
-    e.preventDefault();
-
-    const content = document.getElementById('post-content').value;
+function initFeedModeToggle() {
+    const toggle = document.getElementById('feed-mode-toggle');
+    if (!toggle) return;
 
-    try {
-        const response = await apiRequest('/api/posts', {
-            method: 'POST',
-            body: JSON.stringify({ content })
-        });
+    renderFeedModeToggle();
+    toggle.addEventListener('click', e => {
+        const button = e.target.closest('[data-feed-mode]');
+        if (button) setFeedMode(button.dataset.feedMode);
+    });
+}
 
-        if (response && response.ok) {
-            document.getElementById('post-content').value = '';
-            loadFeed();
-        }
-    } catch (error) {
-        alert('Erreur lors de la publication');
-    }
+function renderFeedModeToggle() {
+    document.querySelectorAll('#feed-mode-toggle [data-feed-mode]').forEach(button => {
+        const active = button.dataset.feedMode === feedMode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active);
+    });
 }
 
-async function toggleLike(postId) {
-    const btn = document.getElementById(`like-btn-${postId}`);
-    const icon = document.getElementById(`like-icon-${postId}`);
-    const likesEl = document.getElementById(`likes-${postId}`);
+// Change le tri du feed et recharge depuis la première page
+function setFeedMode(mode) {
+    if (mode === feedMode) return;
 
-    if (!btn || !icon || !likesEl) return;
+    feedMode = mode;
+    localStorage.setItem(FEED_MODE_STORAGE_KEY, mode);
+    renderFeedModeToggle();
 
-    const isCurrentlyLiked = btn.dataset.liked === 'true';
-    const endpoint = isCurrentlyLiked ? 'unlike' : 'like';
+    feedGeneration++;
+    feedPage = 0;
+    feedSnapshot = null;
+    feedHasMore = true;
+    feedLoading = false;
+    document.getElementById('feed-container').innerHTML = '';
+    loadFeed();
+}
 
-    // Désactiver le bouton pendant la requête
-    btn.disabled = true;
+// Met en avant le post ciblé par l'URL (#post-{id}), par exemple depuis une notification
+async function focusLinkedPost() {
+    const match = window.location.hash.match(/^#post-([0-9a-f-]{36})$/i);
+    if (!match) return;
 
-    try {
-        const response = await apiRequest(`/api/posts/${postId}/${endpoint}`, { method: 'POST' });
-
-        if (response && response.ok) {
-            const result = await response.json();
-
-            if (result.success) {
-                // Mettre à jour l'état
-                const newLikedState = !isCurrentlyLiked;
-                btn.dataset.liked = newLikedState.toString();
-
-                // Mettre à jour le compteur
-                const currentCount = parseInt(likesEl.textContent);
-                likesEl.textContent = newLikedState ? currentCount + 1 : currentCount - 1;
-
-                // Mettre à jour l'apparence du bouton
-                if (newLikedState) {
-                    btn.classList.remove('btn-outline-primary');
-                    btn.classList.add('btn-primary');
-                    icon.classList.remove('bi-hand-thumbs-up');
-                    icon.classList.add('bi-hand-thumbs-up-fill');
-                } else {
-                    btn.classList.remove('btn-primary');
-                    btn.classList.add('btn-outline-primary');
-                    icon.classList.remove('bi-hand-thumbs-up-fill');
-                    icon.classList.add('bi-hand-thumbs-up');
-                }
-            }
-        }
-    } catch (error) {
-        console.error('Erreur like/unlike:', error);
-    } finally {
-        btn.disabled = false;
+    let card = document.getElementById(`post-${match[1]}`);
+
+    // Post absent de la première page : on le charge et on l'affiche en tête
+    if (!card) {
+        const response = await apiRequest(`/api/posts/${match[1]}`);
+        if (!response || !response.ok) return;
+
+        const post = await response.json();
+        document.getElementById('feed-empty')?.remove();
+        document.getElementById('feed-container').insertAdjacentHTML('afterbegin', createPostCard(post));
+        card = document.getElementById(`post-${post.id}`);
     }
+
+    card.classList.add('post-highlight');
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
-// Toggle affichage des commentaires
-async function toggleComments(postId) {
-    const section = document.getElementById(`comments-section-${postId}`);
+// Déclenche le chargement de la page suivante quand le bas du feed approche
+function initInfiniteScroll() {
+    const sentinel = document.getElementById('feed-sentinel');
+    if (!sentinel) return;
 
-    if (section.classList.contains('d-none')) {
-        section.classList.remove('d-none');
-        await loadComments(postId);
-    } else {
-        section.classList.add('d-none');
-    }
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadFeed();
+        }
+    }, { rootMargin: `${FEED_SCROLL_MARGIN}px 0px` });
+
+    observer.observe(sentinel);
 }
 
-// Charger les commentaires d'un post
-async function loadComments(postId) {
-    const container = document.getElementById(`comments-list-${postId}`);
+// Hashtags les plus utilisés ces 7 derniers jours, vers la page de chaque hashtag
+async function loadTrendingHashtags() {
+    const container = document.getElementById('trending-container');
+    if (!container) return;
 
     try {
-        const response = await apiRequest(`/api/posts/${postId}/comments`);
-        if (!response) return;
-
-        const comments = await response.json();
+        const response = await apiRequest('/api/hashtags/trending?days=7&limit=8');
+        if (!response || !response.ok) throw new Error('Erreur chargement');
 
-        if (comments.length === 0) {
-            container.innerHTML = '<p class="text-muted small">Aucun commentaire</p>';
+        const hashtags = await response.json();
+        if (hashtags.length === 0) {
+            container.innerHTML = '<div class="list-group-item text-muted small">Aucun hashtag cette semaine</div>';
             return;
         }
 
-        container.innerHTML = comments.map(comment => createCommentHtml(comment)).join('');
+        container.innerHTML = hashtags.map(hashtag => `
+            <a href="/Home/Tag/${encodeURIComponent(hashtag.tag)}" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center">
+                <span class="fw-medium">#${escapeHtml(hashtag.tag)}</span>
+                <small class="text-muted">${hashtag.postsCount} ${hashtag.postsCount > 1 ? 'posts' : 'post'}</small>
+            </a>`).join('');
     } catch (error) {
-        container.innerHTML = '<p class="text-danger small">Erreur de chargement</p>';
+        container.innerHTML = '<div class="list-group-item text-danger small">Erreur de chargement</div>';
     }
 }
 
-// Créer le HTML d'un commentaire
-function createCommentHtml(comment) {
-    const date = formatDate(comment.createdAt);
-    const { user } = getAuthData();
-    const isOwner = user && comment.author?.id === user.id;
-
+function createEmptyFeedHtml() {
     return `
-        <div class="d-flex gap-2 mb-2 comment-item" id="comment-${comment.id}">
-            <img src="${getAvatarUrl(comment.author?.avatarUrl, 32)}"
-                 class="rounded-circle" width="32" height="32" alt="Avatar">
-            <div class="flex-grow-1">
-                <div class="bg-light rounded p-2">
-                    <strong class="small">${escapeHtml(comment.author?.firstName)} ${escapeHtml(comment.author?.lastName)}</strong>
-                    <p class="mb-0 small">${escapeHtml(comment.content)}</p>
-                </div>
-                <small class="text-muted">${escapeHtml(date)}</small>
-                ${isOwner ? `<button class="btn btn-link btn-sm text-danger p-0 ms-2" onclick="deleteComment('${comment.id}', '${comment.postId}')">
-                    <i class="bi bi-trash"></i>
-                </button>` : ''}
-            </div>
+        <div class="text-center py-5 text-muted" id="feed-empty">
+            <i class="bi bi-inbox display-4"></i>
+            <p class="mt-3">Aucun post pour le moment</p>
         </div>`;
 }
 
-// Ajouter un commentaire
-async function addComment(e, postId) {
-    e.preventDefault();
+// Validation et aperçu de l'image choisie dans le formulaire de post
+function handlePostImageSelected(e) {
+    const file = e.target.files[0];
+    const errorEl = document.getElementById('post-image-error');
+    errorEl.textContent = '';
 
-    const input = document.getElementById(`comment-input-${postId}`);
-    const content = input.value.trim();
+    if (!file) return;
 
-    if (!content) return;
+    // Validation côté client (revalidée par le serveur)
+    if (file.size > POST_IMAGE_MAX_SIZE) {
+        errorEl.textContent = 'Le fichier ne doit pas dépasser 5 Mo';
+        e.target.value = '';
+        return;
+    }
 
-    try {
-        const response = await apiRequest(`/api/posts/${postId}/comments`, {
-            method: 'POST',
-            body: JSON.stringify({ content })
-        });
+    if (!POST_IMAGE_TYPES.includes(file.type)) {
+        errorEl.textContent = 'Format non supporté (jpg, png, gif, webp)';
+        e.target.value = '';
+        return;
+    }
 
-        if (response && response.ok) {
-            input.value = '';
-            // Recharger les commentaires
-            await loadComments(postId);
-            // Mettre à jour le compteur
-            const countEl = document.getElementById(`comments-count-${postId}`);
-            if (countEl) {
-                countEl.textContent = parseInt(countEl.textContent) + 1;
-            }
-        }
-    } catch (error) {
-        console.error('Erreur ajout commentaire:', error);
+    clearPostImage();
+    selectedPostImage = file;
+
+    const preview = document.getElementById('post-image-preview');
+    preview.src = URL.createObjectURL(file);
+    document.getElementById('post-image-preview-container').classList.remove('d-none');
+}
+
+function clearPostImage() {
+    const preview = document.getElementById('post-image-preview');
+    if (preview.src.startsWith('blob:')) {
+        URL.revokeObjectURL(preview.src);
     }
+    preview.src = '';
+
+    selectedPostImage = null;
+    document.getElementById('post-image-input').value = '';
+    document.getElementById('post-image-preview-container').classList.add('d-none');
 }
 
-// Supprimer un commentaire
-async function deleteComment(commentId, postId) {
-    if (!confirm('Supprimer ce commentaire ?')) return;
+async function handleCreatePost(e) {
+    e.preventDefault();
+
+    const contentInput = document.getElementById('post-content');
+    const content = contentInput.value;
+    const mentionedUserIds = getMentionedUserIds(contentInput);
+    const errorEl = document.getElementById('post-image-error');
+    errorEl.textContent = '';
+
+    // Avec image : multipart/form-data, sinon JSON
+    let body;
+    if (selectedPostImage) {
+        body = new FormData();
+        body.append('content', content);
+        body.append('image', selectedPostImage);
+        mentionedUserIds.forEach(id => body.append('mentionedUserIds', id));
+    } else {
+        body = JSON.stringify({ content, mentionedUserIds });
+    }
 
     try {
-        const response = await apiRequest(`/api/comments/${commentId}`, {
-            method: 'DELETE'
+        const response = await apiRequest('/api/posts', {
+            method: 'POST',
+            body
         });
 
-        if (response && response.ok) {
-            // Supprimer l'élément du DOM
-            const commentEl = document.getElementById(`comment-${commentId}`);
-            if (commentEl) {
-                commentEl.remove();
-            }
-            // Mettre à jour le compteur
-            const countEl = document.getElementById(`comments-count-${postId}`);
-            if (countEl) {
-                const count = parseInt(countEl.textContent) - 1;
-                countEl.textContent = Math.max(0, count);
-            }
+        if (!response) return;
+
+        if (response.ok) {
+            const post = await response.json();
+            contentInput.value = '';
+            clearPostImage();
+
+            // Ajoute le nouveau post en tête sans recharger les posts déjà affichés
+            document.getElementById('feed-empty')?.remove();
+            document.getElementById('feed-container').insertAdjacentHTML('afterbegin', createPostCard(post));
+        } else {
+            const error = await response.json().catch(() => ({}));
+            errorEl.textContent = error.message || 'Erreur lors de la publication';
         }
     } catch (error) {
-        console.error('Erreur suppression commentaire:', error);
+        alert('Erreur lors de la publication');
     }
 }
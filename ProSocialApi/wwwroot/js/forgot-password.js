@@ -0,0 +1,46 @@
+// forgot-password.js - Page "Mot de passe oublié" : demande d'un lien de réinitialisation par email
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('forgot-password-form').addEventListener('submit', handleForgotPassword);
+});
+
+async function handleForgotPassword(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const submitBtn = document.getElementById('submit-btn');
+    const btnText = document.getElementById('btn-text');
+    const btnSpinner = document.getElementById('btn-spinner');
+
+    submitBtn.disabled = true;
+    btnText.textContent = 'Envoi...';
+    btnSpinner.classList.remove('d-none');
+    hideAlert('form-alert');
+
+    const email = document.getElementById('email').value;
+
+    try {
+        const response = await fetch('/api/auth/forgot-password', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ email })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            // Même message que l'adresse soit inscrite ou non
+            form.classList.add('d-none');
+            showAlert('form-alert', data.message, 'success');
+        } else {
+            showAlert('form-alert', data.message || 'Adresse email invalide');
+        }
+    } catch (error) {
+        showAlert('form-alert', 'Erreur de connexion au serveur');
+    } finally {
+        submitBtn.disabled = false;
+        btnText.textContent = 'Envoyer le lien';
+        btnSpinner.classList.add('d-none');
+    }
+}
@@ -0,0 +1,125 @@
+// link-previews.js - Liens cliquables et aperçus de liens (posts et messages)
+// Chargé sur toutes les pages :
+// - findUrls(text), linkifyText(text) : liens http(s) d'un texte, rendus cliquables (texte échappé)
+// - createLinkPreviewSlot(url) : emplacement d'un aperçu, rempli automatiquement
+//   (GET /api/link-previews) quand il approche de l'écran, retiré s'il n'y a pas d'aperçu
+
+// Lien http(s) : s'arrête aux espaces, guillemets et chevrons (même règle que ContentParser côté serveur)
+const URL_REGEX = /https?:\/\/[^\s<>"']+/gi;
+
+// Aperçus déjà demandés : url -> Promise(aperçu ou null)
+const linkPreviewRequests = new Map();
+
+// Liens d'un texte avec leur position, sans la ponctuation finale
+// ("voir https://exemple.com." ne garde pas le point, "(https://exemple.com)" pas la parenthèse)
+function findUrls(text) {
+    if (!text) return [];
+
+    const urls = [];
+    for (const match of text.matchAll(URL_REGEX)) {
+        let url = match[0];
+        while (url.length > 0) {
+            const last = url.charAt(url.length - 1);
+            const unbalanced = last === ')' && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length;
+            if (!'.,;:!?'.includes(last) && !unbalanced) break;
+            url = url.slice(0, -1);
+        }
+
+        // Il faut au moins un nom d'hôte après "https://"
+        if (/^https?:\/\/[^/?#]+/i.test(url)) {
+            urls.push({ start: match.index, end: match.index + url.length, url });
+        }
+    }
+    return urls;
+}
+
+// Vérifie qu'une URL reçue de l'API peut être placée dans un attribut href/src
+function isSafeHttpUrl(url) {
+    return typeof url === 'string' && /^https?:\/\/[^\s<>"']+$/i.test(url);
+}
+
+// Lien vers un site externe (nouvel onglet, sans transmettre la page d'origine)
+function createExternalLinkHtml(url) {
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow ugc">${escapeHtml(url)}</a>`;
+}
+
+// Texte échappé dont les liens sont cliquables
+function linkifyText(text) {
+    if (!text) return '';
+
+    let html = '';
+    let position = 0;
+    findUrls(text).forEach(link => {
+        html += escapeHtml(text.slice(position, link.start)) + createExternalLinkHtml(link.url);
+        position = link.end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
+
+// Emplacement de l'aperçu d'un lien (vide tant que l'aperçu n'est pas chargé)
+function createLinkPreviewSlot(url, className = '') {
+    if (!isSafeHttpUrl(url)) return '';
+    return `<div class="link-preview-slot ${className}" data-link-preview="${escapeHtml(url)}"></div>`;
+}
+
+function createLinkPreviewHtml(preview) {
+    const image = isSafeHttpUrl(preview.imageUrl)
+        ? `<img src="${escapeHtml(preview.imageUrl)}" class="link-preview-image" loading="lazy" alt="" onerror="this.remove()">`
+        : '';
+
+    return `
+        <a href="${escapeHtml(preview.url)}" target="_blank" rel="noopener noreferrer nofollow ugc"
+           class="card link-preview text-decoration-none text-dark">
+            ${image}
+            <div class="card-body py-2 px-3">
+                <small class="text-muted text-uppercase link-preview-site">${escapeHtml(preview.siteName)}</small>
+                <div class="fw-semibold link-preview-title">${escapeHtml(preview.title)}</div>
+                ${preview.description ? `<small class="text-muted link-preview-description">${escapeHtml(preview.description)}</small>` : ''}
+            </div>
+        </a>`;
+}
+
+function fetchLinkPreview(url) {
+    if (!linkPreviewRequests.has(url)) {
+        linkPreviewRequests.set(url, apiRequest(`/api/link-previews?url=${encodeURIComponent(url)}`)
+            .then(response => response && response.ok ? response.json() : null)
+            .catch(() => null));
+    }
+    return linkPreviewRequests.get(url);
+}
+
+async function loadLinkPreview(slot) {
+    const preview = await fetchLinkPreview(slot.dataset.linkPreview);
+
+    if (!preview || !isSafeHttpUrl(preview.url)) {
+        slot.remove();
+        return;
+    }
+    slot.innerHTML = createLinkPreviewHtml(preview);
+}
+
+// Les emplacements sont ajoutés au DOM par les différentes pages (feed, profil, messagerie...) :
+// on les repère à leur insertion, puis on charge l'aperçu à l'approche de l'écran
+const linkPreviewObserver = new IntersectionObserver(entries => {
+    entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        linkPreviewObserver.unobserve(entry.target);
+        loadLinkPreview(entry.target);
+    });
+}, { rootMargin: '200px 0px' });
+
+function observeLinkPreviewSlots(root) {
+    root.querySelectorAll('[data-link-preview]:not([data-link-preview-observed])').forEach(slot => {
+        slot.dataset.linkPreviewObserved = 'true';
+        linkPreviewObserver.observe(slot);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    observeLinkPreviewSlots(document);
+
+    new MutationObserver(mutations => {
+        if (mutations.some(mutation => mutation.addedNodes.length > 0)) {
+            observeLinkPreviewSlots(document);
+        }
+    }).observe(document.body, { childList: true, subtree: true });
+});
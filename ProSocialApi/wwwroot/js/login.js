@@ -1,4 +1,14 @@
 // login.js - Page de connexion
+// Si la double authentification est activée, la connexion se fait en deux étapes :
+// mot de passe, puis code de l'application (ou code de secours)
+// Après trop d'échecs, le serveur répond 429 avec l'attente restante : un compte à rebours
+// remplace le message d'erreur et les boutons restent désactivés jusqu'à la fin
+
+// Token de la connexion en cours, renvoyé avec le code
+let twoFactorToken = null;
+
+// Compte à rebours en cours (null si aucune attente)
+let retryTimer = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     // Si déjà connecté, rediriger vers l'accueil
@@ -9,6 +19,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     document.getElementById('login-form').addEventListener('submit', handleLogin);
+    document.getElementById('two-factor-form').addEventListener('submit', handleTwoFactor);
 });
 
 async function handleLogin(e) {
@@ -37,18 +48,126 @@ async function handleLogin(e) {
 
         const data = await response.json();
 
-        if (data.success && data.user) {
-            // Stocker uniquement les infos user (le token est dans un cookie HttpOnly)
-            localStorage.setItem('user', JSON.stringify(data.user));
-            window.location.href = '/Home/Index';
+        if (response.status === 429) {
+            startRetryCountdown(getRetryAfterSeconds(response, data));
+        } else if (data.success && data.user) {
+            completeLogin(data.user);
+        } else if (data.requiresTwoFactor) {
+            showTwoFactorStep(data.twoFactorToken);
         } else {
             showAlert('error-alert', data.message || 'Erreur de connexion');
         }
     } catch (error) {
         showAlert('error-alert', 'Erreur de connexion au serveur');
     } finally {
-        submitBtn.disabled = false;
+        submitBtn.disabled = retryTimer !== null;
         btnText.textContent = 'Se connecter';
         btnSpinner.classList.add('d-none');
     }
 }
+
+async function handleTwoFactor(e) {
+    e.preventDefault();
+
+    setButtonLoading('two-factor-btn', true, 'Vérification...', 'Vérifier');
+    hideAlert('error-alert');
+
+    const code = document.getElementById('two-factor-code').value;
+
+    try {
+        const response = await fetch('/api/auth/login/2fa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ twoFactorToken, code })
+        });
+
+        const data = await response.json();
+
+        // Trop de codes incorrects : même étape, après l'attente
+        if (response.status === 429) {
+            startRetryCountdown(getRetryAfterSeconds(response, data));
+            return;
+        }
+
+        if (data.success && data.user) {
+            completeLogin(data.user);
+            return;
+        }
+
+        // Connexion expirée : recommencer avec le mot de passe
+        if (!data.requiresTwoFactor) {
+            showPasswordStep();
+        }
+        showAlert('error-alert', data.message || 'Code de vérification incorrect');
+    } catch (error) {
+        showAlert('error-alert', 'Erreur de connexion au serveur');
+    } finally {
+        setButtonLoading('two-factor-btn', false, 'Vérification...', 'Vérifier');
+        document.getElementById('two-factor-btn').disabled = retryTimer !== null;
+    }
+}
+
+// Attente imposée par le serveur : corps de la réponse, sinon header Retry-After
+function getRetryAfterSeconds(response, data) {
+    const seconds = data.retryAfterSeconds || parseInt(response.headers.get('Retry-After'), 10);
+    return seconds > 0 ? seconds : 60;
+}
+
+// Affiche l'attente restante chaque seconde et bloque les deux formulaires jusqu'à la fin
+function startRetryCountdown(seconds) {
+    clearInterval(retryTimer);
+
+    const retryAt = Date.now() + seconds * 1000;
+    const buttons = [document.getElementById('submit-btn'), document.getElementById('two-factor-btn')];
+
+    const update = () => {
+        const remaining = Math.ceil((retryAt - Date.now()) / 1000);
+
+        if (remaining <= 0) {
+            clearInterval(retryTimer);
+            retryTimer = null;
+            buttons.forEach(button => button.disabled = false);
+            hideAlert('error-alert');
+            return;
+        }
+
+        buttons.forEach(button => button.disabled = true);
+        showAlert('error-alert', `Trop de tentatives de connexion. Réessayez dans ${formatRetryDelay(remaining)}.`, 'warning');
+    };
+
+    retryTimer = setInterval(update, 1000);
+    update();
+}
+
+// 45 -> "45 s", 125 -> "2 min 05 s"
+function formatRetryDelay(seconds) {
+    if (seconds < 60) {
+        return `${seconds} s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes} min ${String(seconds % 60).padStart(2, '0')} s`;
+}
+
+function completeLogin(user) {
+    // Stocker uniquement les infos user (le token est dans un cookie HttpOnly)
+    localStorage.setItem('user', JSON.stringify(user));
+    window.location.href = '/Home/Index';
+}
+
+function showTwoFactorStep(token) {
+    twoFactorToken = token;
+    document.getElementById('login-form').classList.add('d-none');
+    document.getElementById('two-factor-form').classList.remove('d-none');
+    document.getElementById('two-factor-code').value = '';
+    document.getElementById('two-factor-code').focus();
+}
+
+function showPasswordStep() {
+    twoFactorToken = null;
+    hideAlert('error-alert');
+    document.getElementById('two-factor-form').classList.add('d-none');
+    document.getElementById('login-form').classList.remove('d-none');
+    document.getElementById('password').value = '';
+    document.getElementById('password').focus();
+}
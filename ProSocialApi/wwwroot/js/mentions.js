@@ -0,0 +1,181 @@
+// mentions.js - Autocomplétion des @mentions dans les champs marqués data-mentions
+// Taper "@" suivi du début d'un nom propose les membres correspondants (recherche de personnes).
+// Le membre choisi est inséré sous la forme "@Prénom Nom" et retenu pour ce champ :
+// getMentionedUserIds(input) renvoie les IDs à envoyer à l'API avec le contenu.
+
+const MENTION_SUGGESTIONS_SIZE = 6;
+const MENTION_SEARCH_DELAY = 200;
+
+// "@" en début de texte ou après un espace, suivi d'au plus deux mots (prénom et début du nom)
+const MENTION_QUERY_REGEX = /(?:^|\s)@([\p{L}\p{M}'-]+(?: [\p{L}\p{M}'-]*)?)$/u;
+
+// Membres choisis pour chaque champ : input -> Map(userId -> "@Prénom Nom")
+const chosenMentions = new WeakMap();
+
+// Autocomplétion en cours
+const mentionMenu = {
+    element: null,       // Liste affichée sous le champ
+    input: null,         // Champ concerné
+    start: 0,            // Position du "@" dans le champ
+    users: [],           // Suggestions affichées
+    activeIndex: 0,      // Suggestion surlignée (clavier)
+    timer: null,
+    generation: 0        // Ignore les réponses d'une frappe précédente
+};
+
+document.addEventListener('input', e => {
+    if (e.target.matches?.('[data-mentions]')) handleMentionInput(e.target);
+});
+
+document.addEventListener('keydown', e => {
+    if (e.target === mentionMenu.input && mentionMenu.users.length > 0) handleMentionKeydown(e);
+}, true);
+
+document.addEventListener('focusout', e => {
+    // Laisse le temps au clic sur une suggestion d'être traité
+    if (e.target === mentionMenu.input) setTimeout(closeMentionMenu, 150);
+});
+
+// IDs des membres choisis dont la mention figure encore dans le texte du champ
+function getMentionedUserIds(input) {
+    const chosen = chosenMentions.get(input);
+    if (!chosen) return [];
+
+    const text = input.value.toLowerCase();
+    return [...chosen.entries()]
+        .filter(([, mention]) => text.includes(mention.toLowerCase()))
+        .map(([userId]) => userId);
+}
+
+// Détecte une mention en cours de saisie juste avant le curseur
+function handleMentionInput(input) {
+    const beforeCaret = input.value.slice(0, input.selectionStart);
+    const match = beforeCaret.match(MENTION_QUERY_REGEX);
+
+    clearTimeout(mentionMenu.timer);
+    if (!match || match[1].trim().length < 2) {
+        closeMentionMenu();
+        return;
+    }
+
+    const query = match[1].trim();
+    const start = beforeCaret.length - match[1].length - 1;
+    mentionMenu.timer = setTimeout(() => searchMentionUsers(input, start, query), MENTION_SEARCH_DELAY);
+}
+
+async function searchMentionUsers(input, start, query) {
+    const generation = ++mentionMenu.generation;
+
+    try {
+        const params = new URLSearchParams({ q: query, pageSize: MENTION_SUGGESTIONS_SIZE });
+        const response = await apiRequest(`/api/search/people?${params}`);
+        if (!response || !response.ok || generation !== mentionMenu.generation) return;
+
+        const results = await response.json();
+        if (generation !== mentionMenu.generation) return;
+
+        if (results.items.length === 0) {
+            closeMentionMenu();
+            return;
+        }
+
+        mentionMenu.input = input;
+        mentionMenu.start = start;
+        mentionMenu.users = results.items;
+        mentionMenu.activeIndex = 0;
+        renderMentionMenu();
+    } catch (error) {
+        closeMentionMenu();
+    }
+}
+
+// Affiche les suggestions sous le champ (position fixe : le menu ne dépend pas du conteneur)
+function renderMentionMenu() {
+    if (!mentionMenu.element) {
+        mentionMenu.element = document.createElement('ul');
+        mentionMenu.element.className = 'dropdown-menu show mention-menu';
+        mentionMenu.element.setAttribute('role', 'listbox');
+        // mousedown plutôt que click : le champ ne perd pas le focus avant la sélection
+        mentionMenu.element.addEventListener('mousedown', e => {
+            const item = e.target.closest('[data-mention-index]');
+            if (!item) return;
+            e.preventDefault();
+            selectMention(parseInt(item.dataset.mentionIndex));
+        });
+        document.body.appendChild(mentionMenu.element);
+    }
+
+    mentionMenu.element.innerHTML = mentionMenu.users.map((user, index) => `
+        <li>
+            <button type="button" class="dropdown-item d-flex align-items-center gap-2 ${index === mentionMenu.activeIndex ? 'active' : ''}"
+                    data-mention-index="${index}" role="option">
+                <img src="${getAvatarUrl(user.avatarUrl, 24)}" class="rounded-circle" width="24" height="24" alt="">
+                <span class="text-truncate">
+                    ${escapeHtml(user.firstName)} ${escapeHtml(user.lastName)}
+                    <small class="d-block text-truncate ${index === mentionMenu.activeIndex ? '' : 'text-muted'}">${escapeHtml(user.headline)}</small>
+                </span>
+            </button>
+        </li>`).join('');
+
+    const rect = mentionMenu.input.getBoundingClientRect();
+    mentionMenu.element.style.left = `${rect.left}px`;
+    mentionMenu.element.style.top = `${rect.bottom + 2}px`;
+    mentionMenu.element.style.minWidth = `${Math.min(rect.width, 320)}px`;
+}
+
+function handleMentionKeydown(e) {
+    const count = mentionMenu.users.length;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            mentionMenu.activeIndex = (mentionMenu.activeIndex + 1) % count;
+            renderMentionMenu();
+            break;
+        case 'ArrowUp':
+            mentionMenu.activeIndex = (mentionMenu.activeIndex - 1 + count) % count;
+            renderMentionMenu();
+            break;
+        case 'Enter':
+        case 'Tab':
+            selectMention(mentionMenu.activeIndex);
+            break;
+        case 'Escape':
+            closeMentionMenu();
+            break;
+        default:
+            return;
+    }
+
+    // Touche consommée par le menu (pas d'envoi du formulaire sur Entrée)
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+// Remplace "@début" par "@Prénom Nom " et retient le membre pour ce champ
+function selectMention(index) {
+    const user = mentionMenu.users[index];
+    const input = mentionMenu.input;
+    if (!user || !input) return;
+
+    const mention = `@${user.firstName} ${user.lastName}`;
+    const caret = input.selectionStart;
+    input.value = `${input.value.slice(0, mentionMenu.start)}${mention} ${input.value.slice(caret)}`;
+
+    const position = mentionMenu.start + mention.length + 1;
+    input.setSelectionRange(position, position);
+    input.focus();
+
+    if (!chosenMentions.has(input)) chosenMentions.set(input, new Map());
+    chosenMentions.get(input).set(user.id, mention);
+
+    closeMentionMenu();
+}
+
+function closeMentionMenu() {
+    clearTimeout(mentionMenu.timer);
+    mentionMenu.generation++;
+    mentionMenu.users = [];
+    mentionMenu.input = null;
+    mentionMenu.element?.remove();
+    mentionMenu.element = null;
+}
@@ -5,6 +5,16 @@ let currentParticipant = null;
 let conversations = [];
 let searchTimeout = null;
 
+// Temps réel : WebSocket (voir RealtimeController) avec repli sur du polling
+const POLLING_INTERVAL = 10000;
+const RECONNECT_MAX_DELAY = 30000;
+let realtimeSocket = null;
+// Fermeture par le serveur à l'expiration du JWT ou à la révocation de la session (RealtimeController)
+const REALTIME_SESSION_ENDED_CODE = 1008;
+let reconnectDelay = 1000;
+let pollingTimer = null;
+let currentMessagesCount = 0; // Messages affichés dans la conversation ouverte (pour le polling)
+
 // Initialisation au chargement de la page
 document.addEventListener('DOMContentLoaded', async () => {
     const auth = requireAuth();
@@ -12,6 +22,20 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     await loadConversations();
     setupEventListeners();
+    connectRealtime();
+
+    // Ouvre directement une conversation demandée dans l'URL (ex: depuis une notification)
+    const params = new URLSearchParams(window.location.search);
+    const conversationId = params.get('conversation');
+    if (conversationId && conversations.some(c => c.id === conversationId)) {
+        selectConversation(conversationId);
+    }
+
+    // Ou une conversation avec un membre donné (ex: bouton "Message" d'un profil)
+    const userId = params.get('user');
+    if (userId) {
+        openConversationWithUser(userId);
+    }
 });
 
 // Configuration des event listeners
@@ -55,12 +79,7 @@ async function loadConversations() {
             return;
         }
 
-        container.innerHTML = conversations.map(conv => renderConversationItem(conv)).join('');
-
-        // Ajouter les event listeners aux conversations
-        document.querySelectorAll('.conversation-item').forEach(item => {
-            item.addEventListener('click', () => selectConversation(item.dataset.conversationId));
-        });
+        renderConversationList();
 
     } catch (error) {
         console.error('Erreur:', error);
@@ -73,6 +92,18 @@ async function loadConversations() {
     }
 }
 
+// Rendre la liste des conversations (en conservant la conversation active)
+function renderConversationList() {
+    const container = document.getElementById('conversations-list');
+    container.innerHTML = conversations.map(conv => renderConversationItem(conv)).join('');
+
+    // Ajouter les event listeners aux conversations
+    document.querySelectorAll('.conversation-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.conversationId === currentConversationId);
+        item.addEventListener('click', () => selectConversation(item.dataset.conversationId));
+    });
+}
+
 // Rendre un élément de conversation dans la liste
 function renderConversationItem(conv) {
     const { user } = getAuthData();
@@ -80,8 +111,12 @@ function renderConversationItem(conv) {
     const lastMessage = conv.lastMessage?.content || 'Aucun message';
     const lastMessageTime = conv.lastMessageAt ? formatRelativeTime(conv.lastMessageAt) : '';
 
+    const unreadBadge = conv.unreadCount > 0
+        ? `<span class="badge rounded-pill bg-primary ms-2">${conv.unreadCount}</span>`
+        : '';
+
     return `
-        <div class="conversation-item p-3 border-bottom d-flex align-items-center"
+        <div class="conversation-item p-3 border-bottom d-flex align-items-center ${conv.unreadCount > 0 ? 'unread' : ''}"
              data-conversation-id="${conv.id}">
             <img src="${getAvatarUrl(participant.avatarUrl, 48)}"
                  class="rounded-circle me-3" width="48" height="48" alt="Avatar">
@@ -90,7 +125,10 @@ function renderConversationItem(conv) {
                     <h6 class="mb-0 text-truncate">${escapeHtml(participant.firstName)} ${escapeHtml(participant.lastName)}</h6>
                     <small class="text-muted">${escapeHtml(lastMessageTime)}</small>
                 </div>
-                <p class="mb-0 text-muted small text-truncate">${escapeHtml(lastMessage)}</p>
+                <div class="d-flex justify-content-between align-items-center">
+                    <p class="mb-0 text-muted small text-truncate">${escapeHtml(lastMessage)}</p>
+                    ${unreadBadge}
+                </div>
             </div>
         </div>
     `;
@@ -134,7 +172,8 @@ async function loadMessages(conversationId) {
 
         // Mettre à jour le header
         document.getElementById('chat-participant-avatar').src = getAvatarUrl(currentParticipant.avatarUrl, 40);
-        document.getElementById('chat-participant-name').textContent = `${currentParticipant.firstName} ${currentParticipant.lastName}`;
+        document.getElementById('chat-participant-name').innerHTML = `
+            <a href="${getProfileUrl(currentParticipant.id)}" class="text-decoration-none text-dark">${escapeHtml(currentParticipant.firstName)} ${escapeHtml(currentParticipant.lastName)}</a>`;
         document.getElementById('chat-participant-headline').textContent = currentParticipant.headline || '';
 
         // Rendre les messages
@@ -149,6 +188,12 @@ async function loadMessages(conversationId) {
             // Scroll en bas
             container.scrollTop = container.scrollHeight;
         }
+        currentMessagesCount = conversation.messages.length;
+
+        // Accusé de lecture des messages reçus
+        if (conversation.messages.some(m => m.senderId !== user.id && !m.readAt)) {
+            markConversationAsRead(conversationId);
+        }
 
     } catch (error) {
         console.error('Erreur:', error);
@@ -161,21 +206,109 @@ async function loadMessages(conversationId) {
     }
 }
 
+// Aperçu du premier lien d'un message
+function createMessageLinkPreviewHtml(message) {
+    const [firstUrl] = findUrls(message.content);
+    return firstUrl ? createLinkPreviewSlot(firstUrl.url, 'mt-2') : '';
+}
+
 // Rendre un message
 function renderMessage(message, currentUserId) {
     const isSent = message.senderId === currentUserId;
     const time = formatRelativeTime(message.sentAt);
 
+    // "Vu" sur les messages envoyés, masqué tant que le destinataire ne les a pas lus
+    const readStatus = isSent
+        ? `<span class="message-read-status ${message.readAt ? '' : 'd-none'}"> · Vu</span>`
+        : '';
+
+    // Signalement possible sur les messages reçus (les anciens messages sans ID ne sont pas ciblables)
+    const reportButton = !isSent && message.id
+        ? `<button class="btn btn-link btn-sm p-0 ms-1 message-report" onclick="openReportModal('Message', '${message.id}')" title="Signaler">
+               <i class="bi bi-flag"></i>
+           </button>`
+        : '';
+
+    const idAttribute = message.id ? ` data-message-id="${escapeHtml(message.id)}"` : '';
+
     return `
-        <div class="d-flex ${isSent ? 'justify-content-end' : 'justify-content-start'}">
+        <div class="d-flex ${isSent ? 'justify-content-end' : 'justify-content-start'}"${idAttribute}>
             <div class="message-bubble ${isSent ? 'message-sent' : 'message-received'}">
-                <div>${escapeHtml(message.content)}</div>
-                <div class="message-time text-end">${time}</div>
+                <div>${linkifyText(message.content)}</div>
+                ${createMessageLinkPreviewHtml(message)}
+                <div class="message-time text-end">${time}${readStatus}${reportButton}</div>
             </div>
         </div>
     `;
 }
 
+// Ajouter un message à la suite de la conversation ouverte
+function appendMessage(message) {
+    const container = document.getElementById('messages-container');
+    const { user } = getAuthData();
+
+    // Message envoyé depuis cet onglet : reçu à la fois par la réponse HTTP et par la WebSocket
+    if (message.id && container.querySelector(`[data-message-id="${message.id}"]`)) return;
+
+    // Première réponse : retirer le texte "Aucun message"
+    if (currentMessagesCount === 0) {
+        container.innerHTML = '';
+    }
+
+    container.insertAdjacentHTML('beforeend', renderMessage(message, user.id));
+    container.scrollTop = container.scrollHeight;
+    currentMessagesCount++;
+}
+
+// Met à jour l'aperçu d'une conversation et la remonte en tête de liste
+function moveConversationToTop(conversationId, message) {
+    const index = conversations.findIndex(c => c.id === conversationId);
+    if (index === -1) return false;
+
+    const { user } = getAuthData();
+    const [conversation] = conversations.splice(index, 1);
+    conversation.lastMessage = message;
+    conversation.lastMessageAt = message.sentAt;
+
+    // Message reçu dans une autre conversation que celle ouverte : non lu
+    if (message.senderId !== user.id && conversationId !== currentConversationId) {
+        conversation.unreadCount = (conversation.unreadCount || 0) + 1;
+    }
+    conversations.unshift(conversation);
+
+    renderConversationList();
+    return true;
+}
+
+// Marque les messages reçus de la conversation comme lus (prévient l'expéditeur)
+async function markConversationAsRead(conversationId) {
+    try {
+        const response = await apiRequest(`/api/conversations/${conversationId}/read`, { method: 'PUT' });
+        if (!response || !response.ok) return;
+
+        const conversation = conversations.find(c => c.id === conversationId);
+        if (conversation && conversation.unreadCount > 0) {
+            conversation.unreadCount = 0;
+            renderConversationList();
+        }
+
+        // Badge de la navbar (auth.js)
+        refreshUnreadMessagesCount();
+    } catch (error) {
+        console.error('Erreur accusé de lecture:', error);
+    }
+}
+
+// Affiche "Vu" sous les messages envoyés lus par le destinataire
+function updateReadReceipts(messages) {
+    const bubbles = document.querySelectorAll('#messages-container .message-bubble');
+    messages.forEach((message, index) => {
+        if (message.readAt) {
+            bubbles[index]?.querySelector('.message-read-status')?.classList.remove('d-none');
+        }
+    });
+}
+
 // Envoyer un message
 async function handleSendMessage(e) {
     e.preventDefault();
@@ -195,17 +328,14 @@ async function handleSendMessage(e) {
 
         if (!response.ok) throw new Error('Erreur envoi');
 
+        const message = await response.json();
+
         // Vider l'input
         input.value = '';
 
-        // Recharger les messages
-        await loadMessages(currentConversationId);
-
-        // Recharger la liste des conversations (pour mettre à jour le dernier message)
-        await loadConversations();
-
-        // Re-sélectionner la conversation active
-        document.querySelector(`[data-conversation-id="${currentConversationId}"]`)?.classList.add('active');
+        // Afficher le message et remonter la conversation en tête de liste
+        appendMessage(message);
+        moveConversationToTop(currentConversationId, message);
 
     } catch (error) {
         console.error('Erreur:', error);
@@ -263,10 +393,10 @@ async function searchUsers(query) {
 
 // Sélectionner un utilisateur pour la nouvelle conversation
 function selectUser(item) {
-    const userId = item.dataset.userId;
-    const userName = item.dataset.userName;
-    const userAvatar = item.dataset.userAvatar;
+    setSelectedUser(item.dataset.userId, item.dataset.userName, item.dataset.userAvatar);
+}
 
+function setSelectedUser(userId, userName, userAvatar) {
     document.getElementById('selected-user-id').value = userId;
     document.getElementById('selected-user-name').textContent = userName;
     document.getElementById('selected-user-avatar').src = getAvatarUrl(userAvatar, 32);
@@ -276,6 +406,29 @@ function selectUser(item) {
     document.getElementById('start-conversation-btn').disabled = false;
 }
 
+// Ouvre la conversation existante avec un membre, sinon la modal pré-remplie
+async function openConversationWithUser(userId) {
+    const { user } = getAuthData();
+    if (userId === user.id) return;
+
+    const existing = conversations.find(c => c.participants.some(p => p.id === userId));
+    if (existing) {
+        selectConversation(existing.id);
+        return;
+    }
+
+    try {
+        const response = await apiRequest(`/api/users/${userId}`);
+        if (!response || !response.ok) return;
+
+        const participant = await response.json();
+        setSelectedUser(participant.id, `${participant.firstName} ${participant.lastName}`, participant.avatarUrl || '');
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('newConversationModal')).show();
+    } catch (error) {
+        console.error('Erreur:', error);
+    }
+}
+
 // Effacer l'utilisateur sélectionné
 function clearSelectedUser() {
     document.getElementById('selected-user-id').value = '';
@@ -303,7 +456,10 @@ async function startConversation() {
             body: JSON.stringify({ participantId, initialMessage })
         });
 
-        if (!response.ok) throw new Error('Erreur création');
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || 'Erreur création');
+        }
 
         const conversation = await response.json();
 
@@ -318,7 +474,9 @@ async function startConversation() {
 
     } catch (error) {
         console.error('Erreur:', error);
-        alert('Erreur lors de la création de la conversation');
+        alert(error.message && error.message !== 'Erreur création'
+            ? error.message
+            : 'Erreur lors de la création de la conversation');
     } finally {
         btn.disabled = false;
         btn.innerHTML = '<i class="bi bi-send me-1"></i>Envoyer';
@@ -333,21 +491,126 @@ function resetNewConversationModal() {
     clearSelectedUser();
 }
 
-// Formater une date en temps relatif
-function formatRelativeTime(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-
-    if (diffMins < 1) return "À l'instant";
-    if (diffMins < 60) return `${diffMins} min`;
-    if (diffHours < 24) return `${diffHours}h`;
-    if (diffDays < 7) return `${diffDays}j`;
-
-    return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
+// ===========================================
+// Temps réel (WebSocket) et repli sur le polling
+// ===========================================
+
+// Ouvre la WebSocket : le cookie HttpOnly d'authentification est envoyé automatiquement
+function connectRealtime() {
+    if (!('WebSocket' in window)) {
+        startPolling();
+        return;
+    }
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    realtimeSocket = new WebSocket(`${protocol}//${window.location.host}/ws/messages`);
+
+    realtimeSocket.addEventListener('open', () => {
+        reconnectDelay = 1000;
+
+        // Rattraper ce qui a pu arriver pendant la coupure
+        if (pollingTimer) {
+            stopPolling();
+            pollMessages();
+        }
+    });
+
+    realtimeSocket.addEventListener('message', (event) => {
+        try {
+            handleRealtimeEvent(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Erreur temps réel:', error);
+        }
+    });
+
+    // Connexion perdue : polling en attendant de pouvoir se reconnecter
+    realtimeSocket.addEventListener('close', async (event) => {
+        realtimeSocket = null;
+        startPolling();
+
+        // Session terminée : renouveler le JWT avant de se reconnecter.
+        // Échec (session révoquée) : le polling renverra vers la page de connexion
+        if (event.code === REALTIME_SESSION_ENDED_CODE && !await refreshSession()) return;
+
+        setTimeout(connectRealtime, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY);
+    });
+}
+
+function handleRealtimeEvent(event) {
+    // Le destinataire a lu nos messages : tous les messages envoyés affichés sont "Vu"
+    if (event.type === 'read') {
+        if (event.conversationId === currentConversationId) {
+            document.querySelectorAll('#messages-container .message-read-status')
+                .forEach(status => status.classList.remove('d-none'));
+        }
+        return;
+    }
+
+    if (event.type !== 'message') return;
+
+    // Conversation inconnue (créée par l'autre participant) : recharger la liste
+    if (!moveConversationToTop(event.conversationId, event.message)) {
+        loadConversations();
+        refreshUnreadMessagesCount();
+        return;
+    }
+
+    // Nos propres messages (envoyés depuis un autre onglet) n'ont pas à être marqués comme lus
+    const { user } = getAuthData();
+    const isOwnMessage = event.message.senderId === user.id;
+
+    if (event.conversationId === currentConversationId) {
+        appendMessage(event.message);
+        if (!isOwnMessage) markConversationAsRead(event.conversationId);
+    } else if (!isOwnMessage) {
+        refreshUnreadMessagesCount();
+    }
+}
+
+function startPolling() {
+    if (pollingTimer) return;
+    pollingTimer = setInterval(pollMessages, POLLING_INTERVAL);
+}
+
+function stopPolling() {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+}
+
+// Rafraîchit la liste et ajoute les nouveaux messages de la conversation ouverte
+async function pollMessages() {
+    try {
+        const response = await apiRequest('/api/conversations');
+        if (!response || !response.ok) return;
+
+        conversations = await response.json();
+        if (conversations.length > 0) {
+            renderConversationList();
+        }
+
+        if (!currentConversationId) return;
+
+        const conversationId = currentConversationId;
+        const detailResponse = await apiRequest(`/api/conversations/${conversationId}`);
+        if (!detailResponse || !detailResponse.ok) return;
+
+        const conversation = await detailResponse.json();
+
+        // L'utilisateur a pu changer de conversation pendant la requête
+        if (conversationId !== currentConversationId) return;
+
+        const newMessages = conversation.messages.slice(currentMessagesCount);
+        newMessages.forEach(appendMessage);
+        updateReadReceipts(conversation.messages);
+
+        const { user } = getAuthData();
+        if (newMessages.some(m => m.senderId !== user.id)) {
+            markConversationAsRead(conversationId);
+        }
+    } catch (error) {
+        console.error('Erreur polling:', error);
+    }
 }
 
-// Note: escapeHtml() est définie dans common.js
+// Note: escapeHtml() et formatRelativeTime() sont définies dans common.js
@@ -0,0 +1,135 @@
+// moderation.js - File de modération (rôles Moderator et Admin)
+// Les signalements ouverts sont regroupés par contenu ; chaque carte permet de
+// classer sans suite, supprimer le contenu ou suspendre son auteur.
+
+const TARGET_TYPE_LABELS = {
+    Post: 'Publication',
+    Comment: 'Commentaire',
+    Message: 'Message privé'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    const auth = requireAuth();
+    if (!auth) return;
+
+    loadReports();
+});
+
+async function loadReports() {
+    const container = document.getElementById('moderation-container');
+
+    try {
+        const response = await apiRequest('/api/moderation/reports');
+        if (!response) return;
+
+        if (response.status === 403) {
+            container.innerHTML = '<p class="text-muted">Cette page est réservée à l\'équipe de modération.</p>';
+            return;
+        }
+        if (!response.ok) throw new Error('Erreur chargement');
+
+        const items = await response.json();
+        updateModerationCount(items.length);
+
+        if (items.length === 0) {
+            container.innerHTML = '<p class="text-muted">Aucun signalement en attente</p>';
+            return;
+        }
+
+        container.innerHTML = items.map(createModerationCard).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger">Erreur de chargement</p>';
+    }
+}
+
+function updateModerationCount(count) {
+    document.getElementById('moderation-count').textContent =
+        count === 0 ? '' : `${count} contenu${count > 1 ? 's' : ''} signalé${count > 1 ? 's' : ''}`;
+}
+
+function createModerationCard(item) {
+    const author = item.author;
+    const canSuspend = author.role === 'Member' && !author.isSuspended;
+
+    return `
+        <div class="card mb-3 moderation-item" data-target-type="${item.targetType}" data-target-id="${escapeHtml(item.targetId)}">
+            <div class="card-body">
+                <div class="d-flex align-items-start gap-3 mb-2">
+                    <a href="${getProfileUrl(author.id)}">
+                        <img src="${getAvatarUrl(author.avatarUrl, 40)}" class="rounded-circle" width="40" height="40" alt="Avatar">
+                    </a>
+                    <div class="flex-grow-1">
+                        <a href="${getProfileUrl(author.id)}" class="fw-bold text-decoration-none text-dark">${escapeHtml(author.firstName)} ${escapeHtml(author.lastName)}</a>
+                        ${author.isSuspended ? '<span class="badge bg-secondary ms-1">Suspendu</span>' : ''}
+                        <br><small class="text-muted">
+                            ${TARGET_TYPE_LABELS[item.targetType] || item.targetType}
+                            · signalé ${formatRelativeTime(item.lastReportedAt)}
+                        </small>
+                    </div>
+                    <span class="badge bg-danger rounded-pill" title="Signalements">${item.reportsCount}</span>
+                </div>
+                <blockquote class="border-start border-3 ps-3 mb-3 text-break">${escapeHtml(item.contentExcerpt) || '<em class="text-muted">Contenu vide</em>'}</blockquote>
+                <div class="mb-2">
+                    ${Object.entries(item.reasons).map(([reason, count]) => `
+                        <span class="badge text-bg-light border me-1">${escapeHtml(getReportReasonLabel(reason))}${count > 1 ? ` × ${count}` : ''}</span>`).join('')}
+                </div>
+                ${item.details.length > 0 ? `
+                    <ul class="small text-muted mb-3">
+                        ${item.details.map(d => `<li>${escapeHtml(d)}</li>`).join('')}
+                    </ul>` : ''}
+                <div class="d-flex flex-wrap gap-2">
+                    <button class="btn btn-outline-secondary btn-sm" onclick="dismissReports(this)">
+                        <i class="bi bi-check2 me-1"></i>Classer sans suite
+                    </button>
+                    <button class="btn btn-outline-danger btn-sm" onclick="deleteReportedContent(this)">
+                        <i class="bi bi-trash me-1"></i>Supprimer le contenu
+                    </button>
+                    ${canSuspend ? `
+                        <button class="btn btn-danger btn-sm" onclick="suspendAuthor('${author.id}', this)">
+                            <i class="bi bi-person-slash me-1"></i>Suspendre l'auteur
+                        </button>` : ''}
+                </div>
+            </div>
+        </div>`;
+}
+
+async function dismissReports(button) {
+    const card = button.closest('.moderation-item');
+    await runModerationAction(button,
+        `/api/moderation/reports/${card.dataset.targetType}/${encodeURIComponent(card.dataset.targetId)}/dismiss`,
+        { method: 'POST' });
+}
+
+async function deleteReportedContent(button) {
+    if (!confirm('Supprimer définitivement ce contenu ?')) return;
+
+    const card = button.closest('.moderation-item');
+    await runModerationAction(button,
+        `/api/moderation/content/${card.dataset.targetType}/${encodeURIComponent(card.dataset.targetId)}`,
+        { method: 'DELETE' });
+}
+
+async function suspendAuthor(userId, button) {
+    if (!confirm('Suspendre ce membre ? Il ne pourra plus se connecter, et tous les signalements le concernant seront traités.')) return;
+
+    await runModerationAction(button, `/api/moderation/users/${userId}/suspend`, { method: 'POST' });
+}
+
+// Exécute une action puis recharge la file (une suspension traite plusieurs cartes à la fois)
+async function runModerationAction(button, url, options) {
+    button.disabled = true;
+
+    const response = await apiRequest(url, options);
+    if (!response) return;
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        showAlert('moderation-alert', result.message || 'Erreur lors de l\'action de modération');
+        button.disabled = false;
+        return;
+    }
+
+    showAlert('moderation-alert', result.message, 'success');
+    loadReports();
+}
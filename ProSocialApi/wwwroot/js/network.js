@@ -10,6 +10,14 @@ document.addEventListener('DOMContentLoaded', function() {
     // Charge les autres onglets quand on clique dessus
     document.getElementById('connections-tab').addEventListener('shown.bs.tab', loadConnections);
     document.getElementById('pending-tab').addEventListener('shown.bs.tab', loadPending);
+    document.getElementById('sent-tab').addEventListener('shown.bs.tab', loadSent);
+
+    // Ouvre directement un onglet demandé dans l'URL (ex: ?tab=pending depuis une notification)
+    const tab = new URLSearchParams(window.location.search).get('tab');
+    const tabButton = tab ? document.getElementById(`${tab}-tab`) : null;
+    if (tabButton) {
+        bootstrap.Tab.getOrCreateInstance(tabButton).show();
+    }
 });
 
 function createUserCard(user, actions = '') {
@@ -17,16 +25,37 @@ function createUserCard(user, actions = '') {
         <div class="col-md-4 mb-3">
             <div class="card h-100 user-card">
                 <div class="card-body text-center">
-                    <img src="${getAvatarUrl(user.avatarUrl, 64)}"
-                         class="rounded-circle mb-3" width="64" height="64" alt="Avatar">
-                    <h6 class="card-title">${user.firstName} ${user.lastName}</h6>
-                    <p class="text-muted small">${user.headline || ''}</p>
+                    <a href="${getProfileUrl(user.id)}">
+                        <img src="${getAvatarUrl(user.avatarUrl, 64)}"
+                             class="rounded-circle mb-3" width="64" height="64" alt="Avatar">
+                    </a>
+                    <h6 class="card-title">
+                        <a href="${getProfileUrl(user.id)}" class="text-decoration-none text-dark">${escapeHtml(user.firstName)} ${escapeHtml(user.lastName)}</a>
+                    </h6>
+                    <p class="text-muted small">${escapeHtml(user.headline)}</p>
+                    ${createMutualConnectionsHtml(user)}
                     ${actions}
                 </div>
             </div>
         </div>`;
 }
 
+// Raison d'une suggestion : avatars de quelques relations en commun + leur nombre
+function createMutualConnectionsHtml(user) {
+    const count = user.mutualConnectionsCount || 0;
+    if (count === 0) return '';
+
+    const names = (user.mutualConnections || []).map(u => `${u.firstName} ${u.lastName}`).join(', ');
+    return `
+        <div class="d-flex align-items-center justify-content-center gap-2 mb-3 small text-muted" title="${escapeHtml(names)}">
+            <span class="mutual-avatars">
+                ${(user.mutualConnections || []).map(u => `
+                    <img src="${getAvatarUrl(u.avatarUrl, 24)}" class="rounded-circle" width="24" height="24" alt="${escapeHtml(u.firstName)}">`).join('')}
+            </span>
+            <span>${count} relation${count > 1 ? 's' : ''} en commun</span>
+        </div>`;
+}
+
 async function loadSuggestions() {
     const container = document.getElementById('suggestions-container');
 
@@ -42,9 +71,14 @@ async function loadSuggestions() {
         }
 
         container.innerHTML = users.map(user => createUserCard(user, `
-            <button class="btn btn-primary btn-sm" onclick="sendRequest('${user.id}')">
-                <i class="bi bi-person-plus me-1"></i>Se connecter
-            </button>
+            <div class="d-flex justify-content-center gap-2">
+                <button class="btn btn-primary btn-sm" onclick="sendRequest('${user.id}', this)">
+                    <i class="bi bi-person-plus me-1"></i>Se connecter
+                </button>
+                <button class="btn btn-outline-secondary btn-sm" onclick="dismissSuggestion('${user.id}', this)">
+                    Ignorer
+                </button>
+            </div>
         `)).join('');
     } catch (error) {
         container.innerHTML = '<p class="text-danger">Erreur de chargement</p>';
@@ -66,7 +100,11 @@ async function loadConnections() {
         }
 
         // Le DTO retourne 'user' pas 'connectedUser'
-        container.innerHTML = connections.map(c => createUserCard(c.user, '')).join('');
+        container.innerHTML = connections.map(c => createUserCard(c.user, `
+            <button class="btn btn-outline-danger btn-sm" onclick="removeConnection('${c.id}', this)">
+                <i class="bi bi-person-dash me-1"></i>Retirer
+            </button>
+        `)).join('');
     } catch (error) {
         container.innerHTML = '<p class="text-danger">Erreur de chargement</p>';
     }
@@ -102,9 +140,99 @@ async function loadPending() {
     }
 }
 
-async function sendRequest(userId) {
-    await apiRequest(`/api/connections/request/${userId}`, { method: 'POST' });
-    loadSuggestions();
+async function loadSent() {
+    const container = document.getElementById('sent-container');
+
+    try {
+        const response = await apiRequest('/api/connections/sent');
+        if (!response) return;
+
+        const requests = await response.json();
+
+        if (requests.length === 0) {
+            container.innerHTML = '<p class="text-muted">Aucune demande envoyée</p>';
+            return;
+        }
+
+        container.innerHTML = requests.map(r => createUserCard(r.addressee, `
+            <p class="small text-muted mb-2"><i class="bi bi-clock me-1"></i>${escapeHtml(formatRelativeTime(r.createdAt))}</p>
+            <button class="btn btn-outline-secondary btn-sm" onclick="withdrawRequest('${r.id}', this)">
+                <i class="bi bi-x-lg me-1"></i>Retirer la demande
+            </button>
+        `)).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger">Erreur de chargement</p>';
+    }
+}
+
+// Envoie la demande et remplace les actions de la suggestion par l'état "Demande envoyée"
+async function sendRequest(userId, button) {
+    const actions = button.parentElement;
+    actions.querySelectorAll('button').forEach(b => b.disabled = true);
+
+    const response = await apiRequest(`/api/connections/request/${userId}`, { method: 'POST' });
+    if (!response) return;
+
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert(result.message || "Erreur lors de l'envoi de la demande");
+        actions.querySelectorAll('button').forEach(b => b.disabled = false);
+        return;
+    }
+
+    actions.innerHTML = `
+        <button class="btn btn-outline-secondary btn-sm" disabled>
+            <i class="bi bi-hourglass-split me-1"></i>Demande envoyée
+        </button>`;
+}
+
+async function withdrawRequest(requestId, button) {
+    button.disabled = true;
+
+    const response = await apiRequest(`/api/connections/sent/${requestId}`, { method: 'DELETE' });
+    if (!response || !response.ok) {
+        button.disabled = false;
+        return;
+    }
+
+    removeUserCard(button, 'Aucune demande envoyée');
+}
+
+async function removeConnection(connectionId, button) {
+    if (!confirm('Retirer ce membre de vos connexions ?')) return;
+
+    button.disabled = true;
+
+    const response = await apiRequest(`/api/connections/${connectionId}`, { method: 'DELETE' });
+    if (!response || !response.ok) {
+        button.disabled = false;
+        return;
+    }
+
+    removeUserCard(button, 'Aucune connexion pour le moment');
+}
+
+// Retire la carte contenant le bouton, et affiche le message vide si c'était la dernière
+function removeUserCard(button, emptyMessage) {
+    const container = button.closest('.row');
+    button.closest('.col-md-4').remove();
+
+    if (!container.querySelector('.user-card')) {
+        container.innerHTML = `<p class="text-muted">${emptyMessage}</p>`;
+    }
+}
+
+// Ignore définitivement une suggestion et retire sa carte
+async function dismissSuggestion(userId, button) {
+    button.disabled = true;
+
+    const response = await apiRequest(`/api/connections/suggestions/${userId}/dismiss`, { method: 'POST' });
+    if (!response || !response.ok) {
+        button.disabled = false;
+        return;
+    }
+
+    removeUserCard(button, 'Aucune suggestion pour le moment');
 }
 
 async function acceptRequest(requestId) {
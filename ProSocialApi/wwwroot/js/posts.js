@@ -0,0 +1,1053 @@
+// posts.js - Affichage et actions communes sur les publications (feed et profils)
+// Les pages qui affichent des posts doivent utiliser les IDs suivants :
+// - post-{id} : conteneur du post (supprimé après suppression)
+// - post-content-{id} : texte du post (remplacé par l'éditeur pendant la modification)
+// - post-edited-{id} : marqueur "modifié"
+// Les commentaires suivent le même principe (comment-{id}, comment-content-{id}, replies-{id})
+// Les champs de saisie marqués data-mentions proposent l'autocomplétion des @mentions (mentions.js)
+// Événements envoyés à la page : post:deleted, post:save-changed, post:shared (nouveau partage)
+
+// Un post (ou un commentaire) est considéré modifié si UpdatedAt dépasse CreatedAt
+// (tolérance d'une seconde : les deux dates sont posées séparément à la création)
+function isPostEdited(post) {
+    return new Date(post.updatedAt) - new Date(post.createdAt) > 1000;
+}
+
+// Marqueur "modifié" (toujours présent dans le DOM pour pouvoir l'afficher après une modification)
+function createPostEditedMarker(post) {
+    const edited = isPostEdited(post);
+    const title = edited ? `Modifié le ${formatDate(post.updatedAt)}` : '';
+
+    return `<small class="text-muted ${edited ? '' : 'd-none'}" id="post-edited-${post.id}"
+                   title="${escapeHtml(title)}">· modifié</small>`;
+}
+
+// Menu "..." visible uniquement par l'auteur du post
+function createPostOwnerMenu(post) {
+    const { user } = getAuthData();
+    if (!user || post.author?.id !== user.id) return '';
+
+    return `
+        <div class="dropdown ms-auto">
+            <button class="btn btn-link btn-sm text-muted p-0" type="button"
+                    data-bs-toggle="dropdown" aria-expanded="false" title="Options">
+                <i class="bi bi-three-dots"></i>
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+                <li><button class="dropdown-item" type="button" onclick="startEditPost('${post.id}')">
+                    <i class="bi bi-pencil me-2"></i>Modifier</button></li>
+                <li><button class="dropdown-item text-danger" type="button" onclick="deletePost('${post.id}')">
+                    <i class="bi bi-trash me-2"></i>Supprimer</button></li>
+            </ul>
+        </div>`;
+}
+
+// Menu "..." d'une carte : actions de l'auteur, ou signalement pour les autres membres
+function createPostMenu(post) {
+    const { user } = getAuthData();
+    if (!user) return '';
+    if (post.author?.id === user.id) return createPostOwnerMenu(post);
+
+    return `
+        <div class="dropdown ms-auto">
+            <button class="btn btn-link btn-sm text-muted p-0" type="button"
+                    data-bs-toggle="dropdown" aria-expanded="false" title="Options">
+                <i class="bi bi-three-dots"></i>
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+                <li><button class="dropdown-item" type="button" onclick="openReportModal('Post', '${post.id}')">
+                    <i class="bi bi-flag me-2"></i>Signaler</button></li>
+            </ul>
+        </div>`;
+}
+
+// Remplace le texte du post par un éditeur inline
+function startEditPost(postId) {
+    const contentEl = document.getElementById(`post-content-${postId}`);
+    if (!contentEl || document.getElementById(`post-edit-${postId}`)) return;
+
+    contentEl.classList.add('d-none');
+    contentEl.insertAdjacentHTML('afterend', `
+        <div class="mb-3" id="post-edit-${postId}">
+            <textarea class="form-control mb-2" id="post-edit-input-${postId}" rows="3" data-mentions></textarea>
+            <div class="small text-danger mb-2" id="post-edit-error-${postId}"></div>
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="cancelEditPost('${postId}')">Annuler</button>
+                <button type="button" class="btn btn-primary btn-sm" onclick="saveEditPost('${postId}')">Enregistrer</button>
+            </div>
+        </div>`);
+
+    // Valeur affectée après coup : le texte brut n'a pas à être échappé
+    const input = document.getElementById(`post-edit-input-${postId}`);
+    input.value = contentEl.textContent;
+    input.focus();
+}
+
+function cancelEditPost(postId) {
+    document.getElementById(`post-edit-${postId}`)?.remove();
+    document.getElementById(`post-content-${postId}`)?.classList.remove('d-none');
+}
+
+async function saveEditPost(postId) {
+    const input = document.getElementById(`post-edit-input-${postId}`);
+    const errorEl = document.getElementById(`post-edit-error-${postId}`);
+    const content = input.value.trim();
+
+    if (!content) {
+        errorEl.textContent = 'Le contenu ne peut pas être vide';
+        return;
+    }
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ content, mentionedUserIds: getMentionedUserIds(input) })
+        });
+
+        if (!response) return;
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            errorEl.textContent = error.message || 'Erreur lors de la modification';
+            return;
+        }
+
+        const post = await response.json();
+
+        document.getElementById(`post-content-${postId}`).innerHTML = formatContentHtml(post.content, post.mentions);
+        const previewEl = document.getElementById(`post-link-preview-${postId}`);
+        if (previewEl) previewEl.innerHTML = createPostLinkPreviewHtml(post);
+        cancelEditPost(postId);
+
+        const marker = document.getElementById(`post-edited-${postId}`);
+        if (marker) {
+            marker.title = `Modifié le ${formatDate(post.updatedAt)}`;
+            marker.classList.remove('d-none');
+        }
+    } catch (error) {
+        errorEl.textContent = 'Erreur de connexion au serveur';
+    }
+}
+
+// Supprime le post après confirmation, puis prévient la page (événement "post:deleted")
+async function deletePost(postId) {
+    if (!confirm('Supprimer cette publication ? Cette action est irréversible.')) return;
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}`, { method: 'DELETE' });
+        if (!response) return;
+
+        if (!response.ok) {
+            alert('Erreur lors de la suppression');
+            return;
+        }
+
+        document.getElementById(`post-${postId}`)?.remove();
+        document.dispatchEvent(new CustomEvent('post:deleted', { detail: { postId } }));
+    } catch (error) {
+        alert('Erreur lors de la suppression');
+    }
+}
+
+// Raison de la présence d'un post hors réseau dans le feed "Pertinents"
+function createFeedContextHtml(context) {
+    if (!context) return '';
+
+    const action = context.action === 'Commented' ? 'a commenté ceci' : 'a aimé ceci';
+    return `
+        <div class="small text-muted mb-2 pb-2 border-bottom">
+            <a href="${getProfileUrl(context.userId)}" class="text-decoration-none text-dark fw-medium">${escapeHtml(context.firstName)} ${escapeHtml(context.lastName)}</a> ${action}
+        </div>`;
+}
+
+// Hashtag : mêmes règles que le serveur (ContentParser) - pas "C#", "page#ancre" ni "&#39;"
+const HASHTAG_REGEX = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_]{1,50})(?![\p{L}\p{N}_])/gu;
+
+// Contenu d'un post ou commentaire en HTML : texte échappé, liens cliquables,
+// "@Prénom Nom" des membres mentionnés vers leur profil et hashtags vers la page /Home/Tag/{tag}
+function formatContentHtml(content, mentions) {
+    if (!content) return '';
+
+    // Passages à transformer en lien : { start, end, html }
+    const links = [];
+    const isFree = (start, end) => links.every(link => end <= link.start || start >= link.end);
+
+    // Liens d'abord : "https://exemple.com/page#section" reste un seul lien (link-previews.js)
+    findUrls(content).forEach(({ start, end, url }) => links.push({ start, end, html: createExternalLinkHtml(url) }));
+
+    // Mentions (les noms les plus longs d'abord, insensible à la casse comme le serveur)
+    const lowerContent = content.toLowerCase();
+    (mentions || [])
+        .map(m => ({ userId: m.userId, text: `@${m.firstName} ${m.lastName}`.toLowerCase() }))
+        .sort((a, b) => b.text.length - a.text.length)
+        .forEach(mention => {
+            let start = lowerContent.indexOf(mention.text);
+            while (start !== -1) {
+                const end = start + mention.text.length;
+                if (!/[\p{L}\p{N}]/u.test(content.charAt(end)) && isFree(start, end)) {
+                    links.push({ start, end, html: `<a href="${getProfileUrl(mention.userId)}" class="mention-link">${escapeHtml(content.slice(start, end))}</a>` });
+                }
+                start = lowerContent.indexOf(mention.text, end);
+            }
+        });
+
+    // Hashtags (au moins une lettre : #2024 n'en est pas un)
+    for (const match of content.matchAll(HASHTAG_REGEX)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (/\p{L}/u.test(match[1]) && isFree(start, end)) {
+            links.push({ start, end, html: `<a href="/Home/Tag/${encodeURIComponent(match[1])}" class="hashtag-link">${escapeHtml(match[0])}</a>` });
+        }
+    }
+
+    links.sort((a, b) => a.start - b.start);
+    let html = '';
+    let position = 0;
+    links.forEach(link => {
+        html += escapeHtml(content.slice(position, link.start)) + link.html;
+        position = link.end;
+    });
+    return html + escapeHtml(content.slice(position));
+}
+
+// Carte complète d'un post (auteur, contenu, likes, commentaires)
+// Pour un partage : commentaire du membre, puis la publication d'origine dans une carte intégrée
+function createPostCard(post) {
+    const date = formatDate(post.createdAt);
+    likeStates.set(post.id, {
+        reaction: post.currentUserReaction || null,
+        likesCount: post.likesCount || 0,
+        reactionCounts: { ...(post.reactionCounts || {}) }
+    });
+    if (!post.isShare) shareTargets.set(post.id, post);
+    else if (post.sharedPost) shareTargets.set(post.id, post.sharedPost);
+
+    return `
+        <div class="card mb-3 post-card" id="post-${post.id}" data-post-id="${post.id}">
+            <div class="card-body">
+                ${createFeedContextHtml(post.feedContext)}
+                <div class="d-flex gap-3 mb-3">
+                    <a href="${getProfileUrl(post.author?.id)}">
+                        <img src="${getAvatarUrl(post.author?.avatarUrl)}"
+                             class="rounded-circle" width="48" height="48" alt="Avatar">
+                    </a>
+                    <div>
+                        <h6 class="mb-0">
+                            <a href="${getProfileUrl(post.author?.id)}" class="text-decoration-none text-dark">${escapeHtml(post.author?.firstName)} ${escapeHtml(post.author?.lastName)}</a>
+                        </h6>
+                        <small class="text-muted">${escapeHtml(post.author?.headline)}</small>
+                        <br><small class="text-muted">${escapeHtml(date)}</small> ${createPostEditedMarker(post)}
+                    </div>
+                    ${createPostMenu(post)}
+                </div>
+                <p class="card-text" id="post-content-${post.id}">${formatContentHtml(post.content, post.mentions)}</p>
+                ${post.isShare ? createSharedPostHtml(post.sharedPost) : createPostImageHtml(post)}
+                <div id="post-link-preview-${post.id}">${createPostLinkPreviewHtml(post)}</div>
+                <hr>
+                <div class="d-flex gap-3">
+                    ${createReactionButtonsHtml(post.id)}
+                    <button class="btn btn-outline-secondary btn-sm" onclick="toggleComments('${post.id}')">
+                        <i class="bi bi-chat me-1"></i><span id="comments-count-${post.id}">${post.commentsCount || 0}</span>
+                    </button>
+                    ${createShareButtonHtml(post)}
+                    ${createSaveButtonHtml(post)}
+                </div>
+
+                <!-- Section commentaires (cachée par défaut) -->
+                <div id="comments-section-${post.id}" class="comments-section mt-3 d-none">
+                    <hr>
+                    <!-- Formulaire d'ajout de commentaire -->
+                    <form class="mb-3" onsubmit="addComment(event, '${post.id}')">
+                        <div class="d-flex gap-2">
+                            <input type="text" class="form-control form-control-sm"
+                                   id="comment-input-${post.id}"
+                                   placeholder="Ecrire un commentaire..." required data-mentions>
+                            <button type="submit" class="btn btn-primary btn-sm">
+                                <i class="bi bi-send"></i>
+                            </button>
+                        </div>
+                    </form>
+                    <!-- Liste des commentaires -->
+                    <div id="comments-list-${post.id}">
+                        <div class="text-center text-muted small">
+                            <i class="bi bi-arrow-repeat spin"></i> Chargement...
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Publication d'origine affichée dans un partage (ou mention de sa suppression)
+function createSharedPostHtml(sharedPost) {
+    if (!sharedPost) {
+        return `
+            <div class="card shared-post mb-2">
+                <div class="card-body py-3 text-muted small">
+                    <i class="bi bi-trash me-1"></i>Cette publication a été supprimée
+                </div>
+            </div>`;
+    }
+
+    const author = sharedPost.author || {};
+    return `
+        <div class="card shared-post mb-2">
+            <div class="card-body py-2 px-3">
+                <div class="d-flex align-items-center gap-2 mb-2">
+                    <a href="${getProfileUrl(author.id)}">
+                        <img src="${getAvatarUrl(author.avatarUrl, 32)}" class="rounded-circle" width="32" height="32" alt="Avatar">
+                    </a>
+                    <div class="lh-sm">
+                        <a href="${getProfileUrl(author.id)}" class="fw-semibold small text-decoration-none text-dark">${escapeHtml(author.firstName)} ${escapeHtml(author.lastName)}</a>
+                        <br><small class="text-muted">${escapeHtml(formatDate(sharedPost.createdAt))}</small>
+                    </div>
+                </div>
+                <p class="card-text small mb-2">${formatContentHtml(sharedPost.content, sharedPost.mentions)}</p>
+                ${createPostImageHtml(sharedPost)}
+            </div>
+        </div>`;
+}
+
+// Aperçu du premier lien du post (sauf si le post a déjà une image)
+function createPostLinkPreviewHtml(post) {
+    if (post.imageUrl) return '';
+
+    const [firstUrl] = findUrls(post.content);
+    return firstUrl ? createLinkPreviewSlot(firstUrl.url, 'mb-2') : '';
+}
+
+// Image du post (chargée seulement à l'approche de l'écran)
+function createPostImageHtml(post) {
+    if (!post.imageUrl) return '';
+
+    return `
+        <img src="${escapeHtml(post.imageUrl)}" class="img-fluid rounded mb-2 post-image"
+             loading="lazy" alt="Image de la publication">`;
+}
+
+// Publication que le bouton "Partager" de chaque carte partage : le post lui-même,
+// ou la publication d'origine pour un partage (id de carte -> publication)
+const shareTargets = new Map();
+
+// Bouton "Partager" avec le nombre de partages (absent si l'original d'un partage a été supprimé)
+function createShareButtonHtml(post) {
+    const target = shareTargets.get(post.id);
+    if (!target) return '';
+
+    const count = post.isShare ? '' : `<span id="shares-count-${post.id}">${post.sharesCount || 0}</span>`;
+    return `
+        <button class="btn btn-outline-secondary btn-sm" onclick="openShareModal('${post.id}')" title="Partager">
+            <i class="bi bi-share ${count ? 'me-1' : ''}"></i>${count}
+        </button>`;
+}
+
+// Modal de partage (créée à la première ouverture, partagée par toutes les cartes)
+function getShareModal() {
+    let modal = document.getElementById('shareModal');
+    if (!modal) {
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="shareModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <form class="modal-content" id="share-form">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="bi bi-share me-2"></i>Partager</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <textarea class="form-control mb-3" id="share-content" rows="3"
+                                      placeholder="Ajouter un commentaire (facultatif)" data-mentions></textarea>
+                            <div id="share-preview"></div>
+                            <div class="small text-danger" id="share-error"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Annuler</button>
+                            <button type="submit" class="btn btn-primary" id="share-submit">Partager</button>
+                        </div>
+                    </form>
+                </div>
+            </div>`);
+        modal = document.getElementById('shareModal');
+        document.getElementById('share-form').addEventListener('submit', submitShare);
+    }
+    return modal;
+}
+
+function openShareModal(postId) {
+    const target = shareTargets.get(postId);
+    if (!target) return;
+
+    const modal = getShareModal();
+    modal.dataset.postId = target.id;
+    document.getElementById('share-content').value = '';
+    document.getElementById('share-error').textContent = '';
+    document.getElementById('share-preview').innerHTML = createSharedPostHtml(target);
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+}
+
+// Crée le partage, met à jour le compteur de l'original puis prévient la page (événement "post:shared")
+async function submitShare(e) {
+    e.preventDefault();
+
+    const modal = getShareModal();
+    const postId = modal.dataset.postId;
+    const input = document.getElementById('share-content');
+    const errorEl = document.getElementById('share-error');
+    const submit = document.getElementById('share-submit');
+    errorEl.textContent = '';
+    submit.disabled = true;
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/share`, {
+            method: 'POST',
+            body: JSON.stringify({ content: input.value.trim(), mentionedUserIds: getMentionedUserIds(input) })
+        });
+
+        if (!response) return;
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            errorEl.textContent = error.message || 'Erreur lors du partage';
+            return;
+        }
+
+        const share = await response.json();
+        const countEl = document.getElementById(`shares-count-${postId}`);
+        if (countEl) countEl.textContent = (parseInt(countEl.textContent, 10) || 0) + 1;
+
+        bootstrap.Modal.getOrCreateInstance(modal).hide();
+        document.dispatchEvent(new CustomEvent('post:shared', { detail: { post: share } }));
+    } catch (error) {
+        errorEl.textContent = 'Erreur de connexion au serveur';
+    } finally {
+        submit.disabled = false;
+    }
+}
+
+// Bouton "Enregistrer" (signet), à droite des actions du post
+function createSaveButtonHtml(post) {
+    const { user } = getAuthData();
+    if (!user) return '';
+
+    return `
+        <button class="btn btn-outline-secondary btn-sm ms-auto" id="save-btn-${post.id}"
+                data-saved="${post.isSaved ? 'true' : 'false'}" onclick="toggleSavePost('${post.id}')"
+                title="${post.isSaved ? 'Retirer des enregistrés' : 'Enregistrer'}">
+            <i class="bi ${post.isSaved ? 'bi-bookmark-fill' : 'bi-bookmark'}"></i>
+        </button>`;
+}
+
+function renderSaveState(postId, saved) {
+    const btn = document.getElementById(`save-btn-${postId}`);
+    if (!btn) return;
+
+    btn.dataset.saved = saved ? 'true' : 'false';
+    btn.title = saved ? 'Retirer des enregistrés' : 'Enregistrer';
+    btn.innerHTML = `<i class="bi ${saved ? 'bi-bookmark-fill' : 'bi-bookmark'}"></i>`;
+}
+
+// Enregistre le post ou le retire des enregistrés (affichage optimiste, comme les réactions)
+async function toggleSavePost(postId) {
+    const btn = document.getElementById(`save-btn-${postId}`);
+    if (!btn || btn.disabled) return;
+
+    const previous = btn.dataset.saved === 'true';
+    renderSaveState(postId, !previous);
+    btn.disabled = true;
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/save`, {
+            method: 'PUT',
+            body: JSON.stringify({ saved: !previous })
+        });
+
+        if (!response || !response.ok) throw new Error('Erreur enregistrement');
+
+        const status = await response.json();
+        renderSaveState(postId, status.saved);
+        document.dispatchEvent(new CustomEvent('post:save-changed', { detail: { postId, saved: status.saved } }));
+    } catch (error) {
+        console.error('Erreur enregistrement:', error);
+        renderSaveState(postId, previous);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// Réactions disponibles (Like = réaction par défaut d'un simple clic)
+const REACTIONS = [
+    { type: 'Like', label: "J'aime", emoji: '👍' },
+    { type: 'Celebrate', label: 'Bravo', emoji: '👏' },
+    { type: 'Support', label: 'Soutien', emoji: '🤝' },
+    { type: 'Insightful', label: 'Intéressant', emoji: '💡' },
+    { type: 'Funny', label: 'Drôle', emoji: '😂' },
+    { type: 'Love', label: "J'adore", emoji: '❤️' }
+];
+
+const REACTION_PICKER_DELAY = 500; // Survol ou appui long avant d'ouvrir le sélecteur
+
+// État des réactions par post ({ reaction, likesCount, reactionCounts }), source de vérité de l'affichage
+const likeStates = new Map();
+
+function getReaction(type) {
+    return REACTIONS.find(r => r.type === type) || REACTIONS[0];
+}
+
+// Bouton de réaction (avec son sélecteur) et résumé cliquable des réactions
+function createReactionButtonsHtml(postId) {
+    const state = likeStates.get(postId);
+
+    return `
+        <div class="reaction-wrapper position-relative" data-post-id="${postId}">
+            <div class="reaction-picker shadow-sm d-none" id="reaction-picker-${postId}">
+                ${REACTIONS.map(r => `
+                    <button type="button" class="reaction-option" title="${r.label}"
+                            onclick="setReaction('${postId}', '${r.type}')">${r.emoji}</button>`).join('')}
+            </div>
+            <div class="btn-group btn-group-sm">
+                <button class="btn ${state.reaction ? 'btn-primary' : 'btn-outline-primary'}" id="like-btn-${postId}"
+                        onclick="toggleLike('${postId}')">${getLikeButtonContent(state)}</button>
+                <button class="btn btn-outline-primary" onclick="showLikers('${postId}')" title="Voir les réactions">
+                    <span id="reaction-summary-${postId}">${getReactionSummary(state)}</span><span id="likes-${postId}">${state.likesCount}</span>
+                </button>
+            </div>
+        </div>`;
+}
+
+function getLikeButtonContent(state) {
+    if (!state.reaction) return `<i class="bi bi-hand-thumbs-up me-1"></i>J'aime`;
+
+    const reaction = getReaction(state.reaction);
+    return `<span class="me-1">${reaction.emoji}</span>${reaction.label}`;
+}
+
+// Les trois réactions les plus fréquentes, affichées devant le total
+function getReactionSummary(state) {
+    const emojis = Object.entries(state.reactionCounts)
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([type]) => getReaction(type).emoji)
+        .join('');
+    return emojis ? `${emojis} ` : '';
+}
+
+function renderLikeState(postId) {
+    const state = likeStates.get(postId);
+    const btn = document.getElementById(`like-btn-${postId}`);
+    const summary = document.getElementById(`reaction-summary-${postId}`);
+    const likesEl = document.getElementById(`likes-${postId}`);
+    if (!state || !btn || !summary || !likesEl) return;
+
+    btn.classList.toggle('btn-primary', !!state.reaction);
+    btn.classList.toggle('btn-outline-primary', !state.reaction);
+    btn.innerHTML = getLikeButtonContent(state);
+    summary.textContent = getReactionSummary(state);
+    likesEl.textContent = state.likesCount;
+}
+
+// Clic simple : "J'aime" si aucune réaction, sinon retrait de la réaction
+function toggleLike(postId) {
+    const state = likeStates.get(postId);
+    if (!state) return;
+
+    setReaction(postId, state.reaction ? null : 'Like');
+}
+
+// Pose, change (type) ou retire (null) la réaction, de façon optimiste :
+// l'affichage change tout de suite, puis est remplacé par l'état renvoyé
+// par le serveur (ou restauré en cas d'erreur)
+async function setReaction(postId, type) {
+    hideReactionPicker(postId);
+
+    const previous = likeStates.get(postId);
+    const btn = document.getElementById(`like-btn-${postId}`);
+    if (!previous || !btn || btn.disabled || previous.reaction === type) return;
+
+    const reactionCounts = { ...previous.reactionCounts };
+    if (previous.reaction) reactionCounts[previous.reaction] = Math.max(0, (reactionCounts[previous.reaction] || 0) - 1);
+    if (type) reactionCounts[type] = (reactionCounts[type] || 0) + 1;
+
+    const delta = (type ? 1 : 0) - (previous.reaction ? 1 : 0);
+    likeStates.set(postId, { reaction: type, likesCount: Math.max(0, previous.likesCount + delta), reactionCounts });
+    renderLikeState(postId);
+
+    // Une seule requête à la fois par post
+    btn.disabled = true;
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/like`, {
+            method: 'PUT',
+            body: JSON.stringify(type ? { liked: true, type } : { liked: false })
+        });
+
+        if (!response || !response.ok) throw new Error('Erreur réaction');
+
+        const status = await response.json();
+        likeStates.set(postId, {
+            reaction: status.reaction,
+            likesCount: status.likesCount,
+            reactionCounts: status.reactionCounts
+        });
+    } catch (error) {
+        console.error('Erreur réaction:', error);
+        likeStates.set(postId, previous);
+    } finally {
+        renderLikeState(postId);
+        btn.disabled = false;
+    }
+}
+
+// ===========================================
+// Sélecteur de réactions (survol prolongé ou appui long)
+// ===========================================
+
+let reactionPickerTimer = null;
+let reactionLongPress = false; // Évite que l'appui long déclenche aussi le clic "J'aime"
+
+function showReactionPicker(postId) {
+    document.querySelectorAll('.reaction-picker').forEach(p => p.classList.add('d-none'));
+    document.getElementById(`reaction-picker-${postId}`)?.classList.remove('d-none');
+}
+
+function hideReactionPicker(postId) {
+    clearTimeout(reactionPickerTimer);
+    document.getElementById(`reaction-picker-${postId}`)?.classList.add('d-none');
+}
+
+document.addEventListener('mouseover', function(e) {
+    const wrapper = e.target.closest('.reaction-wrapper');
+    if (!wrapper || wrapper.contains(e.relatedTarget)) return;
+
+    clearTimeout(reactionPickerTimer);
+    reactionPickerTimer = setTimeout(() => showReactionPicker(wrapper.dataset.postId), REACTION_PICKER_DELAY);
+});
+
+document.addEventListener('mouseout', function(e) {
+    const wrapper = e.target.closest('.reaction-wrapper');
+    if (!wrapper || wrapper.contains(e.relatedTarget)) return;
+
+    hideReactionPicker(wrapper.dataset.postId);
+});
+
+document.addEventListener('touchstart', function(e) {
+    const btn = e.target.closest('[id^="like-btn-"]');
+    const wrapper = btn?.closest('.reaction-wrapper');
+    if (!wrapper) return;
+
+    reactionLongPress = false;
+    clearTimeout(reactionPickerTimer);
+    reactionPickerTimer = setTimeout(() => {
+        reactionLongPress = true;
+        showReactionPicker(wrapper.dataset.postId);
+    }, REACTION_PICKER_DELAY);
+}, { passive: true });
+
+document.addEventListener('touchend', function() {
+    clearTimeout(reactionPickerTimer);
+});
+
+// Après un appui long, le clic qui suit ne doit pas poser de "J'aime"
+document.addEventListener('click', function(e) {
+    if (reactionLongPress && e.target.closest('[id^="like-btn-"]')) {
+        e.stopPropagation();
+        e.preventDefault();
+    }
+    reactionLongPress = false;
+
+    // Clic en dehors : fermer les sélecteurs ouverts
+    if (!e.target.closest('.reaction-wrapper')) {
+        document.querySelectorAll('.reaction-picker').forEach(p => p.classList.add('d-none'));
+    }
+}, true);
+
+// Modal "qui a réagi" (créée à la première ouverture, partagée par toutes les cartes)
+function getLikersModal() {
+    let modal = document.getElementById('likersModal');
+    if (!modal) {
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="likersModal" tabindex="-1">
+                <div class="modal-dialog modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="bi bi-hand-thumbs-up me-2"></i>Réactions</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body" id="likers-list"></div>
+                    </div>
+                </div>
+            </div>`);
+        modal = document.getElementById('likersModal');
+    }
+    return modal;
+}
+
+async function showLikers(postId) {
+    const modal = getLikersModal();
+    const container = document.getElementById('likers-list');
+    container.innerHTML = `
+        <div class="text-center py-3">
+            <div class="spinner-border spinner-border-sm text-primary" role="status"></div>
+        </div>`;
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/likes`);
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const likers = await response.json();
+
+        if (likers.length === 0) {
+            container.innerHTML = '<p class="text-muted text-center mb-0">Personne n\'a encore réagi à cette publication</p>';
+            return;
+        }
+
+        container.innerHTML = likers.map(liker => `
+            <a href="${getProfileUrl(liker.id)}" class="d-flex align-items-center gap-2 py-2 border-bottom text-decoration-none text-dark">
+                <img src="${getAvatarUrl(liker.avatarUrl, 40)}" class="rounded-circle" width="40" height="40" alt="Avatar">
+                <div class="flex-grow-1">
+                    <div class="fw-medium">${escapeHtml(liker.firstName)} ${escapeHtml(liker.lastName)}</div>
+                    <small class="text-muted">${escapeHtml(liker.headline)}</small>
+                </div>
+                <span title="${getReaction(liker.reaction).label}">${getReaction(liker.reaction).emoji}</span>
+            </a>`).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger text-center mb-0">Erreur de chargement</p>';
+    }
+}
+
+// Toggle affichage des commentaires
+async function toggleComments(postId) {
+    const section = document.getElementById(`comments-section-${postId}`);
+
+    if (section.classList.contains('d-none')) {
+        section.classList.remove('d-none');
+        await loadComments(postId);
+    } else {
+        section.classList.add('d-none');
+    }
+}
+
+// Charger les commentaires d'un post (premier niveau, les réponses sont chargées à la demande)
+async function loadComments(postId) {
+    const container = document.getElementById(`comments-list-${postId}`);
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/comments`);
+        if (!response) return;
+
+        const comments = await response.json();
+
+        if (comments.length === 0) {
+            container.innerHTML = '<p class="text-muted small">Aucun commentaire</p>';
+            return;
+        }
+
+        container.innerHTML = comments.map(comment => createCommentHtml(comment)).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small">Erreur de chargement</p>';
+    }
+}
+
+// Créer le HTML d'un commentaire (et, pour un commentaire de premier niveau, de son fil de réponses)
+function createCommentHtml(comment) {
+    const isReply = !!comment.parentId;
+    const size = isReply ? 24 : 32;
+
+    return `
+        <div class="comment-thread" id="comment-${comment.id}"
+             data-post-id="${comment.postId}" data-parent-id="${comment.parentId || ''}"
+             data-deleted="${comment.isDeleted}" data-replies-count="${comment.repliesCount || 0}">
+            <div class="d-flex gap-2 mb-2 comment-item">
+                ${comment.isDeleted
+                    ? `<div class="rounded-circle bg-light flex-shrink-0 comment-avatar-placeholder" data-size="${size}"></div>`
+                    : `<a href="${getProfileUrl(comment.author?.id)}" class="flex-shrink-0">
+                           <img src="${getAvatarUrl(comment.author?.avatarUrl, size)}"
+                                class="rounded-circle" width="${size}" height="${size}" alt="Avatar">
+                       </a>`}
+                <div class="flex-grow-1">
+                    ${comment.isDeleted ? createDeletedCommentBody() : createCommentBody(comment)}
+                </div>
+            </div>
+            ${isReply ? '' : createCommentRepliesHtml(comment)}
+        </div>`;
+}
+
+function createDeletedCommentBody() {
+    return `
+        <div class="bg-light rounded p-2">
+            <p class="mb-0 small fst-italic text-muted">Commentaire supprimé</p>
+        </div>`;
+}
+
+function createCommentBody(comment) {
+    const { user } = getAuthData();
+    const isOwner = user && comment.author?.id === user.id;
+    // Répondre à une réponse revient à répondre dans le même fil (un seul niveau)
+    const threadId = comment.parentId || comment.id;
+    const edited = isPostEdited(comment);
+
+    return `
+        <div class="bg-light rounded p-2">
+            <a href="${getProfileUrl(comment.author?.id)}" class="small fw-bold text-decoration-none text-dark">${escapeHtml(comment.author?.firstName)} ${escapeHtml(comment.author?.lastName)}</a>
+            <p class="mb-0 small" id="comment-content-${comment.id}">${formatContentHtml(comment.content, comment.mentions)}</p>
+        </div>
+        <small class="text-muted">${escapeHtml(formatDate(comment.createdAt))}</small>
+        <small class="text-muted ${edited ? '' : 'd-none'}" id="comment-edited-${comment.id}">· modifié</small>
+        <button class="btn btn-link btn-sm p-0 ms-2 small" onclick="showReplyForm('${threadId}')">Répondre</button>
+        ${isOwner ? `
+            <button class="btn btn-link btn-sm text-muted p-0 ms-2" onclick="startEditComment('${comment.id}')" title="Modifier">
+                <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-link btn-sm text-danger p-0 ms-2" onclick="deleteComment('${comment.id}', '${comment.postId}')" title="Supprimer">
+                <i class="bi bi-trash"></i>
+            </button>` : `
+            <button class="btn btn-link btn-sm text-muted p-0 ms-2" onclick="openReportModal('Comment', '${comment.id}')" title="Signaler">
+                <i class="bi bi-flag"></i>
+            </button>`}`;
+}
+
+// Fil de réponses replié ("voir les N réponses") et formulaire de réponse
+function createCommentRepliesHtml(comment) {
+    const count = comment.repliesCount || 0;
+
+    return `
+        <div class="comment-replies">
+            <button class="btn btn-link btn-sm p-0 mb-2 small ${count > 0 ? '' : 'd-none'}"
+                    id="replies-toggle-${comment.id}" onclick="toggleReplies('${comment.id}')">
+                ${getRepliesToggleLabel(count, false)}
+            </button>
+            <div id="replies-${comment.id}" class="d-none"></div>
+            <form class="mb-2 d-none" id="reply-form-${comment.id}"
+                  onsubmit="addReply(event, '${comment.postId}', '${comment.id}')">
+                <div class="d-flex gap-2">
+                    <input type="text" class="form-control form-control-sm"
+                           id="reply-input-${comment.id}" placeholder="Ecrire une réponse..." required data-mentions>
+                    <button type="submit" class="btn btn-primary btn-sm">
+                        <i class="bi bi-send"></i>
+                    </button>
+                </div>
+            </form>
+        </div>`;
+}
+
+function getRepliesToggleLabel(count, expanded) {
+    if (expanded) return '<i class="bi bi-chevron-up me-1"></i>Masquer les réponses';
+    return `<i class="bi bi-chevron-down me-1"></i>Voir ${count > 1 ? `les ${count} réponses` : 'la réponse'}`;
+}
+
+// Déplie / replie les réponses d'un commentaire
+async function toggleReplies(commentId) {
+    const container = document.getElementById(`replies-${commentId}`);
+    const toggle = document.getElementById(`replies-toggle-${commentId}`);
+    const count = parseInt(document.getElementById(`comment-${commentId}`).dataset.repliesCount) || 0;
+
+    if (!container.classList.contains('d-none')) {
+        container.classList.add('d-none');
+        toggle.innerHTML = getRepliesToggleLabel(count, false);
+        return;
+    }
+
+    container.classList.remove('d-none');
+    toggle.innerHTML = getRepliesToggleLabel(count, true);
+    await loadReplies(commentId);
+}
+
+async function loadReplies(commentId) {
+    const container = document.getElementById(`replies-${commentId}`);
+
+    try {
+        const response = await apiRequest(`/api/comments/${commentId}/replies`);
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const replies = await response.json();
+        container.innerHTML = replies.map(reply => createCommentHtml(reply)).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small">Erreur de chargement</p>';
+    }
+}
+
+// Met à jour le nombre de réponses affiché sur un commentaire
+function updateRepliesCount(commentId, delta) {
+    const thread = document.getElementById(`comment-${commentId}`);
+    const toggle = document.getElementById(`replies-toggle-${commentId}`);
+    if (!thread || !toggle) return 0;
+
+    const count = Math.max(0, (parseInt(thread.dataset.repliesCount) || 0) + delta);
+    thread.dataset.repliesCount = count;
+
+    const expanded = !document.getElementById(`replies-${commentId}`).classList.contains('d-none');
+    toggle.innerHTML = getRepliesToggleLabel(count, expanded);
+    toggle.classList.toggle('d-none', count === 0);
+    return count;
+}
+
+function showReplyForm(commentId) {
+    const form = document.getElementById(`reply-form-${commentId}`);
+    if (!form) return;
+
+    form.classList.remove('d-none');
+    document.getElementById(`reply-input-${commentId}`).focus();
+}
+
+function incrementCommentsCount(postId, delta) {
+    const countEl = document.getElementById(`comments-count-${postId}`);
+    if (countEl) {
+        countEl.textContent = Math.max(0, parseInt(countEl.textContent) + delta);
+    }
+}
+
+// Ajouter un commentaire
+async function addComment(e, postId) {
+    e.preventDefault();
+
+    const input = document.getElementById(`comment-input-${postId}`);
+    const content = input.value.trim();
+
+    if (!content) return;
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ content, mentionedUserIds: getMentionedUserIds(input) })
+        });
+
+        if (response && response.ok) {
+            input.value = '';
+            // Recharger les commentaires
+            await loadComments(postId);
+            incrementCommentsCount(postId, 1);
+        }
+    } catch (error) {
+        console.error('Erreur ajout commentaire:', error);
+    }
+}
+
+// Répondre à un commentaire, puis afficher le fil déplié
+async function addReply(e, postId, parentId) {
+    e.preventDefault();
+
+    const input = document.getElementById(`reply-input-${parentId}`);
+    const content = input.value.trim();
+
+    if (!content) return;
+
+    try {
+        const response = await apiRequest(`/api/posts/${postId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ content, parentId, mentionedUserIds: getMentionedUserIds(input) })
+        });
+
+        if (response && response.ok) {
+            input.value = '';
+            document.getElementById(`reply-form-${parentId}`).classList.add('d-none');
+            document.getElementById(`replies-${parentId}`).classList.remove('d-none');
+            updateRepliesCount(parentId, 1);
+            await loadReplies(parentId);
+            incrementCommentsCount(postId, 1);
+        }
+    } catch (error) {
+        console.error('Erreur ajout réponse:', error);
+    }
+}
+
+// Remplace le texte du commentaire par un éditeur inline
+function startEditComment(commentId) {
+    const contentEl = document.getElementById(`comment-content-${commentId}`);
+    if (!contentEl || document.getElementById(`comment-edit-${commentId}`)) return;
+
+    contentEl.classList.add('d-none');
+    contentEl.insertAdjacentHTML('afterend', `
+        <div class="mt-1" id="comment-edit-${commentId}">
+            <input type="text" class="form-control form-control-sm mb-1" id="comment-edit-input-${commentId}" data-mentions>
+            <div class="small text-danger mb-1" id="comment-edit-error-${commentId}"></div>
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="cancelEditComment('${commentId}')">Annuler</button>
+                <button type="button" class="btn btn-primary btn-sm" onclick="saveEditComment('${commentId}')">Enregistrer</button>
+            </div>
+        </div>`);
+
+    const input = document.getElementById(`comment-edit-input-${commentId}`);
+    input.value = contentEl.textContent;
+    input.focus();
+}
+
+function cancelEditComment(commentId) {
+    document.getElementById(`comment-edit-${commentId}`)?.remove();
+    document.getElementById(`comment-content-${commentId}`)?.classList.remove('d-none');
+}
+
+async function saveEditComment(commentId) {
+    const input = document.getElementById(`comment-edit-input-${commentId}`);
+    const errorEl = document.getElementById(`comment-edit-error-${commentId}`);
+    const content = input.value.trim();
+
+    if (!content) {
+        errorEl.textContent = 'Le commentaire ne peut pas être vide';
+        return;
+    }
+
+    try {
+        const response = await apiRequest(`/api/comments/${commentId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ content, mentionedUserIds: getMentionedUserIds(input) })
+        });
+
+        if (!response) return;
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            errorEl.textContent = error.message || 'Erreur lors de la modification';
+            return;
+        }
+
+        const comment = await response.json();
+
+        document.getElementById(`comment-content-${commentId}`).innerHTML = formatContentHtml(comment.content, comment.mentions);
+        document.getElementById(`comment-edited-${commentId}`)?.classList.remove('d-none');
+        cancelEditComment(commentId);
+    } catch (error) {
+        errorEl.textContent = 'Erreur de connexion au serveur';
+    }
+}
+
+// Supprimer un commentaire
+// Un commentaire avec des réponses reste affiché comme "commentaire supprimé"
+async function deleteComment(commentId, postId) {
+    if (!confirm('Supprimer ce commentaire ?')) return;
+
+    try {
+        const response = await apiRequest(`/api/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+
+        if (response && response.ok) {
+            const thread = document.getElementById(`comment-${commentId}`);
+            const parentId = thread?.dataset.parentId;
+            const hasReplies = (parseInt(thread?.dataset.repliesCount) || 0) > 0;
+
+            if (hasReplies) {
+                // Le fil est conservé : seul le contenu est remplacé
+                thread.dataset.deleted = 'true';
+                const item = thread.querySelector('.comment-item');
+                item.firstElementChild.outerHTML = '<div class="rounded-circle bg-light flex-shrink-0 comment-avatar-placeholder" data-size="32"></div>';
+                item.lastElementChild.innerHTML = createDeletedCommentBody();
+                document.getElementById(`reply-form-${commentId}`)?.classList.add('d-none');
+            } else {
+                thread?.remove();
+
+                // Dernière réponse d'un commentaire déjà supprimé : le serveur a retiré le parent
+                if (parentId) {
+                    const remaining = updateRepliesCount(parentId, -1);
+                    const parent = document.getElementById(`comment-${parentId}`);
+                    if (remaining === 0 && parent?.dataset.deleted === 'true') {
+                        parent.remove();
+                    }
+                }
+            }
+
+            incrementCommentsCount(postId, -1);
+        }
+    } catch (error) {
+        console.error('Erreur suppression commentaire:', error);
+    }
+}
@@ -0,0 +1,47 @@
+// profile-sections.js - Affichage des sections du profil (expérience, formation)
+// Partagé par la page Profil (modifiable) et le profil public d'un membre.
+// Les dates des sections sont au mois près : "2020-03-01T00:00:00" -> "mars 2020".
+
+// Mois lu directement dans la chaîne pour éviter tout décalage de fuseau horaire
+function formatMonthYear(dateString) {
+    const [year, month] = dateString.substring(0, 7).split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+}
+
+// Période "mars 2020 - Aujourd'hui" ; sans date de fin, ongoingLabel est affiché
+// (ou seulement le début s'il est null)
+function formatPeriod(startDate, endDate, ongoingLabel = null) {
+    if (!startDate) return endDate ? formatMonthYear(endDate) : '';
+    if (!endDate) return ongoingLabel ? `${formatMonthYear(startDate)} - ${ongoingLabel}` : formatMonthYear(startDate);
+    return `${formatMonthYear(startDate)} - ${formatMonthYear(endDate)}`;
+}
+
+function createExperienceItem(experience) {
+    return `
+        <div class="fw-semibold">${escapeHtml(experience.title)}</div>
+        <div class="small">${escapeHtml(experience.company)}</div>
+        <div class="small text-muted">${escapeHtml(formatPeriod(experience.startDate, experience.endDate, "Aujourd'hui"))}</div>
+        ${createSectionDescription(experience.description)}`;
+}
+
+function createEducationItem(education) {
+    const details = [education.degree, education.fieldOfStudy].filter(Boolean).join(', ');
+    const period = formatPeriod(education.startDate, education.endDate);
+
+    return `
+        <div class="fw-semibold">${escapeHtml(education.school)}</div>
+        ${details ? `<div class="small">${escapeHtml(details)}</div>` : ''}
+        ${period ? `<div class="small text-muted">${escapeHtml(period)}</div>` : ''}
+        ${createSectionDescription(education.description)}`;
+}
+
+// Description sur plusieurs lignes (retours à la ligne conservés)
+function createSectionDescription(description) {
+    return description
+        ? `<p class="small mb-0 mt-1" style="white-space: pre-line;">${escapeHtml(description)}</p>`
+        : '';
+}
+
+function formatEndorsementsCount(count) {
+    return `${count} recommandation${count > 1 ? 's' : ''}`;
+}
@@ -14,12 +14,19 @@ document.addEventListener('DOMContentLoaded', function() {
     // Charge le profil complet et les stats
     loadFullProfile();
     loadStats();
+    loadProfileSections();
+    loadRestrictedUsers();
+    loadSessions();
+    loadTwoFactorStatus();
 
     // Formulaire de modification
     document.getElementById('profile-form').addEventListener('submit', handleUpdateProfile);
 
     // Upload d'avatar
     document.getElementById('avatar-input').addEventListener('change', handleAvatarUpload);
+
+    // Suppression d'un post depuis la liste : mettre à jour le compteur
+    document.addEventListener('post:deleted', handlePostDeleted);
 });
 
 function displayProfile() {
@@ -44,8 +51,9 @@ async function loadFullProfile() {
         if (!response || !response.ok) return;
 
         const fullUser = await response.json();
-        updateStoredUser(fullUser);
+        // Fusion : le profil ne contient pas le rôle reçu à la connexion
         Object.assign(currentUser, fullUser);
+        updateStoredUser(currentUser);
         displayProfile();
     } catch (error) {
         console.error('Erreur chargement profil:', error);
@@ -85,13 +93,564 @@ function displayPosts(posts) {
     container.innerHTML = posts.map(post => {
         const date = formatDate(post.createdAt, false);
         return `
-            <div class="border-bottom pb-3 mb-3">
-                <p class="mb-1">${escapeHtml(post.content)}</p>
+            <div class="border-bottom pb-3 mb-3" id="post-${post.id}">
+                <div class="d-flex align-items-start">
+                    <p class="mb-1 flex-grow-1" id="post-content-${post.id}">${formatContentHtml(post.content, post.mentions)}</p>
+                    ${createPostOwnerMenu(post)}
+                </div>
+                ${post.imageUrl ? `<img src="${escapeHtml(post.imageUrl)}" class="img-fluid rounded mb-2 post-image" loading="lazy" alt="Image de la publication">` : ''}
                 <small class="text-muted">${escapeHtml(date)} - ${post.likesCount || 0} likes, ${post.commentsCount || 0} commentaires</small>
+                ${createPostEditedMarker(post)}
             </div>`;
     }).join('');
 }
 
+function handlePostDeleted() {
+    const countEl = document.getElementById('posts-count');
+    const count = Math.max(0, (parseInt(countEl.textContent, 10) || 0) - 1);
+    countEl.textContent = count;
+
+    if (count === 0) {
+        displayPosts([]);
+    }
+}
+
+// ===========================================
+// Sections du profil (expérience, formation, compétences)
+// ===========================================
+
+// Éléments de chaque section, dans l'ordre affiché (clés = segments d'URL /api/users/me/...)
+const profileSections = { experiences: [], educations: [], skills: [] };
+
+const SECTION_DELETE_CONFIRMS = {
+    experiences: 'Supprimer ce poste ?',
+    educations: 'Supprimer cette formation ?',
+    skills: 'Supprimer cette compétence et ses recommandations ?'
+};
+
+async function loadProfileSections() {
+    try {
+        const response = await apiRequest(`/api/users/${currentUser.id}/sections`);
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const sections = await response.json();
+        profileSections.experiences = sections.experiences;
+        profileSections.educations = sections.educations;
+        profileSections.skills = sections.skills;
+
+        Object.keys(profileSections).forEach(renderSection);
+    } catch (error) {
+        Object.keys(profileSections).forEach(section => {
+            document.getElementById(`${section}-container`).innerHTML = '<p class="text-danger small mb-0">Erreur de chargement</p>';
+        });
+    }
+}
+
+function renderSection(section) {
+    const container = document.getElementById(`${section}-container`);
+    const items = profileSections[section];
+
+    if (items.length === 0) {
+        const emptyMessages = {
+            experiences: 'Aucun poste renseigné',
+            educations: 'Aucune formation renseignée',
+            skills: 'Aucune compétence renseignée'
+        };
+        container.innerHTML = `<p class="text-muted small mb-0">${emptyMessages[section]}</p>`;
+        return;
+    }
+
+    const renderers = { experiences: createExperienceItem, educations: createEducationItem, skills: createSkillItem };
+
+    container.innerHTML = items.map((item, index) => `
+        <div class="d-flex align-items-start gap-2 ${index < items.length - 1 ? 'border-bottom pb-2 mb-2' : ''}">
+            <div class="flex-grow-1">${renderers[section](item)}</div>
+            ${createSectionItemActions(section, item.id, index, items.length)}
+        </div>`).join('');
+}
+
+function createSkillItem(skill) {
+    const count = skill.endorsementsCount;
+    return `
+        <span class="fw-medium">${escapeHtml(skill.name)}</span>
+        ${count > 0 ? `<span class="small text-muted ms-2"><i class="bi bi-hand-thumbs-up"></i> ${formatEndorsementsCount(count)}</span>` : ''}`;
+}
+
+// Boutons monter / descendre / modifier / supprimer d'un élément
+function createSectionItemActions(section, id, index, count) {
+    const editFunctions = { experiences: 'showExperienceForm', educations: 'showEducationForm', skills: 'showSkillForm' };
+
+    return `
+        <div class="btn-group btn-group-sm flex-shrink-0">
+            <button class="btn btn-outline-secondary" title="Monter" onclick="moveSectionItem('${section}', '${id}', -1)" ${index === 0 ? 'disabled' : ''}>
+                <i class="bi bi-arrow-up"></i>
+            </button>
+            <button class="btn btn-outline-secondary" title="Descendre" onclick="moveSectionItem('${section}', '${id}', 1)" ${index === count - 1 ? 'disabled' : ''}>
+                <i class="bi bi-arrow-down"></i>
+            </button>
+            <button class="btn btn-outline-secondary" title="Modifier" onclick="${editFunctions[section]}('${id}')">
+                <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-danger" title="Supprimer" onclick="deleteSectionItem('${section}', '${id}')">
+                <i class="bi bi-trash"></i>
+            </button>
+        </div>`;
+}
+
+// Échange un élément avec son voisin, puis enregistre l'ordre complet de la section
+async function moveSectionItem(section, id, direction) {
+    const items = profileSections[section];
+    const index = items.findIndex(item => item.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= items.length) return;
+
+    hideAlert(`${section}-alert`);
+    [items[index], items[target]] = [items[target], items[index]];
+    renderSection(section);
+
+    const response = await apiRequest(`/api/users/me/${section}/order`, {
+        method: 'PUT',
+        body: JSON.stringify({ ids: items.map(item => item.id) })
+    });
+    if (!response) return;
+
+    if (!response.ok) {
+        const data = await response.json();
+        showAlert(`${section}-alert`, data.message || 'Erreur lors du déplacement');
+        loadProfileSections();
+    }
+}
+
+async function deleteSectionItem(section, id) {
+    if (!confirm(SECTION_DELETE_CONFIRMS[section])) return;
+
+    hideAlert(`${section}-alert`);
+
+    const response = await apiRequest(`/api/users/me/${section}/${id}`, { method: 'DELETE' });
+    if (!response) return;
+
+    if (!response.ok) {
+        showAlert(`${section}-alert`, 'Erreur lors de la suppression');
+        return;
+    }
+
+    profileSections[section] = profileSections[section].filter(item => item.id !== id);
+    hideSectionForm(section);
+    renderSection(section);
+}
+
+function hideSectionForm(section) {
+    document.getElementById(`${section}-form-container`).innerHTML = '';
+}
+
+// Ajout (id absent) ou modification d'un élément, puis rechargement de la section
+async function saveSectionItem(section, id, data) {
+    hideAlert(`${section}-alert`);
+
+    const url = id ? `/api/users/me/${section}/${id}` : `/api/users/me/${section}`;
+    const response = await apiRequest(url, {
+        method: id ? 'PUT' : 'POST',
+        body: JSON.stringify(data)
+    });
+    if (!response) return;
+
+    const result = await response.json();
+    if (!response.ok) {
+        showAlert(`${section}-alert`, getValidationMessage(result) || 'Erreur lors de l\'enregistrement');
+        return;
+    }
+
+    if (id) {
+        profileSections[section] = profileSections[section].map(item => item.id === id ? result : item);
+    } else {
+        profileSections[section].push(result);
+    }
+
+    hideSectionForm(section);
+    renderSection(section);
+}
+
+// Message d'erreur du service, ou première erreur de validation du modèle (ProblemDetails)
+function getValidationMessage(result) {
+    if (result.message) return result.message;
+    if (!result.errors) return null;
+
+    const firstField = Object.values(result.errors)[0];
+    return firstField && firstField[0];
+}
+
+// Champ mois (<input type="month">) : "2020-03-01T00:00:00" <-> "2020-03"
+function toMonthInputValue(dateString) {
+    return dateString ? dateString.substring(0, 7) : '';
+}
+
+function fromMonthInputValue(value) {
+    return value ? `${value}-01` : null;
+}
+
+function showExperienceForm(id = null) {
+    const experience = profileSections.experiences.find(e => e.id === id) || {};
+    const isCurrent = id ? !experience.endDate : false;
+
+    document.getElementById('experiences-form-container').innerHTML = `
+        <form class="border rounded p-3 mb-3" onsubmit="event.preventDefault(); submitExperienceForm(${id ? `'${id}'` : 'null'})">
+            <div class="row">
+                <div class="col-md-6 mb-2">
+                    <label for="experience-title" class="form-label small">Intitulé du poste</label>
+                    <input type="text" class="form-control form-control-sm" id="experience-title" maxlength="150" required
+                           value="${escapeHtml(experience.title || '')}">
+                </div>
+                <div class="col-md-6 mb-2">
+                    <label for="experience-company" class="form-label small">Entreprise</label>
+                    <input type="text" class="form-control form-control-sm" id="experience-company" maxlength="150" required
+                           value="${escapeHtml(experience.company || '')}">
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6 mb-2">
+                    <label for="experience-start" class="form-label small">Début</label>
+                    <input type="month" class="form-control form-control-sm" id="experience-start" required
+                           value="${toMonthInputValue(experience.startDate)}">
+                </div>
+                <div class="col-md-6 mb-2">
+                    <label for="experience-end" class="form-label small">Fin</label>
+                    <input type="month" class="form-control form-control-sm" id="experience-end"
+                           value="${toMonthInputValue(experience.endDate)}" ${isCurrent ? 'disabled' : ''}>
+                    <div class="form-check mt-1">
+                        <input class="form-check-input" type="checkbox" id="experience-current" ${isCurrent ? 'checked' : ''}
+                               onchange="document.getElementById('experience-end').disabled = this.checked">
+                        <label class="form-check-label small" for="experience-current">Poste actuel</label>
+                    </div>
+                </div>
+            </div>
+            <div class="mb-2">
+                <label for="experience-description" class="form-label small">Description</label>
+                <textarea class="form-control form-control-sm" id="experience-description" rows="3" maxlength="2000">${escapeHtml(experience.description || '')}</textarea>
+            </div>
+            <div class="d-flex gap-2">
+                <button type="submit" class="btn btn-primary btn-sm">Enregistrer</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="hideSectionForm('experiences')">Annuler</button>
+            </div>
+        </form>`;
+
+    document.getElementById('experience-title').focus();
+}
+
+function submitExperienceForm(id) {
+    const isCurrent = document.getElementById('experience-current').checked;
+
+    saveSectionItem('experiences', id, {
+        title: document.getElementById('experience-title').value,
+        company: document.getElementById('experience-company').value,
+        startDate: fromMonthInputValue(document.getElementById('experience-start').value),
+        endDate: isCurrent ? null : fromMonthInputValue(document.getElementById('experience-end').value),
+        description: document.getElementById('experience-description').value
+    });
+}
+
+function showEducationForm(id = null) {
+    const education = profileSections.educations.find(e => e.id === id) || {};
+
+    document.getElementById('educations-form-container').innerHTML = `
+        <form class="border rounded p-3 mb-3" onsubmit="event.preventDefault(); submitEducationForm(${id ? `'${id}'` : 'null'})">
+            <div class="mb-2">
+                <label for="education-school" class="form-label small">Établissement</label>
+                <input type="text" class="form-control form-control-sm" id="education-school" maxlength="150" required
+                       value="${escapeHtml(education.school || '')}">
+            </div>
+            <div class="row">
+                <div class="col-md-6 mb-2">
+                    <label for="education-degree" class="form-label small">Diplôme</label>
+                    <input type="text" class="form-control form-control-sm" id="education-degree" maxlength="150"
+                           placeholder="Ex: Master" value="${escapeHtml(education.degree || '')}">
+                </div>
+                <div class="col-md-6 mb-2">
+                    <label for="education-field" class="form-label small">Domaine d'études</label>
+                    <input type="text" class="form-control form-control-sm" id="education-field" maxlength="150"
+                           placeholder="Ex: Informatique" value="${escapeHtml(education.fieldOfStudy || '')}">
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6 mb-2">
+                    <label for="education-start" class="form-label small">Début</label>
+                    <input type="month" class="form-control form-control-sm" id="education-start"
+                           value="${toMonthInputValue(education.startDate)}">
+                </div>
+                <div class="col-md-6 mb-2">
+                    <label for="education-end" class="form-label small">Fin (ou prévue)</label>
+                    <input type="month" class="form-control form-control-sm" id="education-end"
+                           value="${toMonthInputValue(education.endDate)}">
+                </div>
+            </div>
+            <div class="mb-2">
+                <label for="education-description" class="form-label small">Description</label>
+                <textarea class="form-control form-control-sm" id="education-description" rows="3" maxlength="2000">${escapeHtml(education.description || '')}</textarea>
+            </div>
+            <div class="d-flex gap-2">
+                <button type="submit" class="btn btn-primary btn-sm">Enregistrer</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="hideSectionForm('educations')">Annuler</button>
+            </div>
+        </form>`;
+
+    document.getElementById('education-school').focus();
+}
+
+function submitEducationForm(id) {
+    saveSectionItem('educations', id, {
+        school: document.getElementById('education-school').value,
+        degree: document.getElementById('education-degree').value,
+        fieldOfStudy: document.getElementById('education-field').value,
+        startDate: fromMonthInputValue(document.getElementById('education-start').value),
+        endDate: fromMonthInputValue(document.getElementById('education-end').value),
+        description: document.getElementById('education-description').value
+    });
+}
+
+function showSkillForm(id = null) {
+    const skill = profileSections.skills.find(s => s.id === id) || {};
+    const warning = skill.endorsementsCount > 0
+        ? '<div class="form-text">Renommer la compétence en une autre supprime ses recommandations.</div>'
+        : '';
+
+    document.getElementById('skills-form-container').innerHTML = `
+        <form class="border rounded p-3 mb-3" onsubmit="event.preventDefault(); submitSkillForm(${id ? `'${id}'` : 'null'})">
+            <label for="skill-name" class="form-label small">Compétence</label>
+            <div class="d-flex gap-2">
+                <input type="text" class="form-control form-control-sm" id="skill-name" maxlength="80" required
+                       placeholder="Ex: ASP.NET Core" value="${escapeHtml(skill.name || '')}">
+                <button type="submit" class="btn btn-primary btn-sm">Enregistrer</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="hideSectionForm('skills')">Annuler</button>
+            </div>
+            ${warning}
+        </form>`;
+
+    document.getElementById('skill-name').focus();
+}
+
+function submitSkillForm(id) {
+    saveSectionItem('skills', id, { name: document.getElementById('skill-name').value });
+}
+
+// ===========================================
+// Personnes bloquées et publications masquées
+// ===========================================
+
+async function loadRestrictedUsers() {
+    await Promise.all([
+        loadRestrictedList('/api/blocks', 'blocked-users-container', 'Aucun membre bloqué', 'unblockUser', 'Débloquer'),
+        loadRestrictedList('/api/blocks/muted', 'muted-users-container', 'Aucune publication masquée', 'unmuteUser', 'Réafficher')
+    ]);
+}
+
+async function loadRestrictedList(url, containerId, emptyMessage, action, label) {
+    const container = document.getElementById(containerId);
+
+    try {
+        const response = await apiRequest(url);
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const users = await response.json();
+
+        if (users.length === 0) {
+            container.innerHTML = `<p class="text-muted small mb-0">${emptyMessage}</p>`;
+            return;
+        }
+
+        container.innerHTML = users.map(u => `
+            <div class="d-flex align-items-center gap-2 mb-2">
+                <img src="${getAvatarUrl(u.avatarUrl, 32)}" class="rounded-circle" width="32" height="32" alt="Avatar">
+                <div class="flex-grow-1 small fw-medium">${escapeHtml(u.firstName)} ${escapeHtml(u.lastName)}</div>
+                <button class="btn btn-outline-secondary btn-sm" onclick="${action}('${u.id}')">${label}</button>
+            </div>`).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small mb-0">Erreur de chargement</p>';
+    }
+}
+
+async function unblockUser(userId) {
+    await apiRequest(`/api/blocks/${userId}`, { method: 'DELETE' });
+    loadRestrictedUsers();
+}
+
+async function unmuteUser(userId) {
+    await apiRequest(`/api/blocks/muted/${userId}`, { method: 'DELETE' });
+    loadRestrictedUsers();
+}
+
+// ===========================================
+// Sessions actives (appareils connectés)
+// ===========================================
+
+async function loadSessions() {
+    const container = document.getElementById('sessions-container');
+
+    try {
+        const response = await apiRequest('/api/sessions');
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const sessions = await response.json();
+
+        container.innerHTML = sessions.map(s => `
+            <div class="d-flex align-items-center gap-2 mb-2">
+                <i class="bi bi-${s.isCurrent ? 'check-circle text-success' : 'display text-muted'}"></i>
+                <div class="flex-grow-1 small">
+                    <div class="fw-medium">${escapeHtml(s.device)}${s.isCurrent ? ' <span class="badge bg-success">Cet appareil</span>' : ''}</div>
+                    <div class="text-muted">${s.ipAddress ? escapeHtml(s.ipAddress) + ' · ' : ''}Actif : ${formatRelativeTime(s.lastUsedAt)}</div>
+                </div>
+                <button class="btn btn-outline-secondary btn-sm" onclick="revokeSession('${s.id}', ${s.isCurrent})">Déconnecter</button>
+            </div>`).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small mb-0">Erreur de chargement</p>';
+    }
+}
+
+async function revokeSession(sessionId, isCurrent) {
+    // Déconnecter cet appareil : déconnexion classique
+    if (isCurrent) {
+        logout();
+        return;
+    }
+
+    await apiRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+    loadSessions();
+}
+
+async function revokeAllSessions() {
+    if (!confirm('Se déconnecter de tous les appareils, y compris celui-ci ?')) return;
+
+    await apiRequest('/api/sessions', { method: 'DELETE' });
+    logout();
+}
+
+// ===========================================
+// Double authentification (TOTP)
+// ===========================================
+
+async function loadTwoFactorStatus() {
+    const container = document.getElementById('two-factor-container');
+
+    try {
+        const response = await apiRequest('/api/auth/2fa');
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const status = await response.json();
+
+        if (!status.enabled) {
+            container.innerHTML = `
+                <p class="small text-muted">Protégez votre compte avec un code à usage unique généré par une application d'authentification (Google Authenticator, Microsoft Authenticator...).</p>
+                <button class="btn btn-outline-primary btn-sm w-100" onclick="startTwoFactorSetup()">Activer</button>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="small mb-1"><span class="badge bg-success">Activée</span></p>
+            <p class="small text-muted">${status.recoveryCodesLeft} code(s) de secours restant(s)</p>
+            <label for="two-factor-password" class="form-label small">Mot de passe (pour modifier)</label>
+            <input type="password" class="form-control form-control-sm mb-2" id="two-factor-password" autocomplete="current-password">
+            <div class="d-flex gap-2">
+                <button class="btn btn-outline-secondary btn-sm flex-grow-1" onclick="regenerateRecoveryCodes()">Nouveaux codes</button>
+                <button class="btn btn-outline-danger btn-sm flex-grow-1" onclick="disableTwoFactor()">Désactiver</button>
+            </div>`;
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small mb-0">Erreur de chargement</p>';
+    }
+}
+
+async function startTwoFactorSetup() {
+    hideAlert('two-factor-alert');
+
+    const response = await apiRequest('/api/auth/2fa/setup', { method: 'POST' });
+    if (!response) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+        showAlert('two-factor-alert', data.message || 'Erreur lors de l\'activation');
+        return;
+    }
+
+    document.getElementById('two-factor-container').innerHTML = `
+        <p class="small">Scannez ce QR code avec votre application, puis saisissez le code affiché.</p>
+        <div class="text-center mb-2">
+            <img src="${data.qrCodeDataUri}" width="180" height="180" alt="QR code de double authentification">
+        </div>
+        <p class="small text-muted mb-1">Ou saisissez cette clé :</p>
+        <p class="small"><code>${escapeHtml(data.secret)}</code></p>
+        <input type="text" class="form-control form-control-sm mb-2" id="two-factor-setup-code"
+               placeholder="Code à 6 chiffres" autocomplete="one-time-code" maxlength="7">
+        <div class="d-flex gap-2">
+            <button class="btn btn-primary btn-sm flex-grow-1" onclick="confirmTwoFactorSetup()">Confirmer</button>
+            <button class="btn btn-outline-secondary btn-sm" onclick="loadTwoFactorStatus()">Annuler</button>
+        </div>`;
+}
+
+async function confirmTwoFactorSetup() {
+    hideAlert('two-factor-alert');
+
+    const code = document.getElementById('two-factor-setup-code').value;
+    const response = await apiRequest('/api/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code })
+    });
+    if (!response) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+        showAlert('two-factor-alert', data.message || 'Code incorrect');
+        return;
+    }
+
+    displayRecoveryCodes(data.recoveryCodes);
+}
+
+async function regenerateRecoveryCodes() {
+    hideAlert('two-factor-alert');
+
+    const response = await apiRequest('/api/auth/2fa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ password: document.getElementById('two-factor-password').value })
+    });
+    if (!response) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+        showAlert('two-factor-alert', data.message || 'Erreur lors de la génération des codes');
+        return;
+    }
+
+    displayRecoveryCodes(data.recoveryCodes);
+}
+
+async function disableTwoFactor() {
+    hideAlert('two-factor-alert');
+
+    if (!confirm('Désactiver la double authentification ? Seul votre mot de passe protégera votre compte.')) return;
+
+    const response = await apiRequest('/api/auth/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ password: document.getElementById('two-factor-password').value })
+    });
+    if (!response) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+        showAlert('two-factor-alert', data.message || 'Erreur lors de la désactivation');
+        return;
+    }
+
+    showAlert('two-factor-alert', data.message, 'success');
+    loadTwoFactorStatus();
+}
+
+// Les codes de secours ne sont affichés qu'une fois : le membre doit les noter
+function displayRecoveryCodes(codes) {
+    document.getElementById('two-factor-container').innerHTML = `
+        <p class="small">Notez ces codes de secours et gardez-les en lieu sûr. Chacun permet une connexion sans votre téléphone ; ils ne seront plus affichés.</p>
+        <div class="row g-1 mb-3">
+            ${codes.map(code => `<div class="col-6"><code>${escapeHtml(code)}</code></div>`).join('')}
+        </div>
+        <button class="btn btn-primary btn-sm w-100" onclick="loadTwoFactorStatus()">J'ai noté mes codes</button>`;
+}
+
 async function handleUpdateProfile(e) {
     e.preventDefault();
 
@@ -113,8 +672,8 @@ async function handleUpdateProfile(e) {
 
         if (response && response.ok) {
             const updatedUser = await response.json();
-            updateStoredUser(updatedUser);
             Object.assign(currentUser, updatedUser);
+            updateStoredUser(currentUser);
             displayProfile();
             showAlert('success-alert', 'Profil mis a jour avec succes !', 'success');
         } else {
@@ -159,15 +718,13 @@ async function handleAvatarUpload(e) {
     formData.append('file', file);
 
     try {
-        const { token } = getAuthData();
-        const response = await fetch('/api/users/me/avatar', {
+        const response = await apiRequest('/api/users/me/avatar', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
             body: formData
         });
 
+        if (!response) return;
+
         if (response.ok) {
             const data = await response.json();
             currentUser.avatarUrl = data.avatarUrl;
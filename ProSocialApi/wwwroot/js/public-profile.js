@@ -0,0 +1,343 @@
+// public-profile.js - Profil public d'un autre membre (lecture seule)
+
+let profileUserId = null;
+let relationship = { status: 'None', connectionId: null, isMuted: false };
+let profileSkills = [];
+let canEndorse = false;   // Relation du membre : peut recommander ses compétences
+
+document.addEventListener('DOMContentLoaded', function() {
+    const auth = requireAuth();
+    if (!auth) return;
+
+    profileUserId = document.getElementById('public-profile').dataset.userId;
+
+    // Son propre profil : on redirige vers la page modifiable
+    if (profileUserId === auth.user.id) {
+        window.location.replace('/Home/Profile');
+        return;
+    }
+
+    loadProfile();
+    loadRelationship();
+    loadMutualConnections();
+    loadProfileSections();
+    loadProfilePosts();
+});
+
+async function loadProfile() {
+    try {
+        const response = await apiRequest(`/api/users/${profileUserId}`);
+        if (!response) return;
+
+        if (response.status === 404) {
+            document.getElementById('public-profile').classList.add('d-none');
+            document.getElementById('profile-not-found').classList.remove('d-none');
+            return;
+        }
+
+        const user = await response.json();
+        document.title = `${user.firstName} ${user.lastName} - Pro Social`;
+        document.getElementById('profile-name').textContent = `${user.firstName} ${user.lastName}`;
+        document.getElementById('profile-headline').textContent = user.headline || 'Membre Pro Social';
+        document.getElementById('profile-bio').textContent = user.bio || 'Aucune bio pour le moment.';
+        document.getElementById('connections-count').textContent = user.connectionsCount || 0;
+        document.getElementById('posts-count').textContent = user.postsCount || 0;
+
+        if (user.avatarUrl) {
+            document.getElementById('profile-avatar').src = user.avatarUrl;
+        }
+    } catch (error) {
+        console.error('Erreur chargement profil:', error);
+    }
+}
+
+// ===========================================
+// Relation avec le membre (boutons d'action)
+// ===========================================
+
+async function loadRelationship() {
+    try {
+        const response = await apiRequest(`/api/connections/status/${profileUserId}`);
+        if (!response || !response.ok) return;
+
+        relationship = await response.json();
+        renderProfileActions();
+    } catch (error) {
+        console.error('Erreur chargement relation:', error);
+    }
+}
+
+function renderProfileActions() {
+    const container = document.getElementById('profile-actions');
+
+    switch (relationship.status) {
+        case 'Connected':
+            container.innerHTML = `
+                <a href="/Home/Messages?user=${profileUserId}" class="btn btn-primary btn-sm">
+                    <i class="bi bi-chat-dots me-1"></i>Message
+                </a>
+                <button class="btn btn-outline-danger btn-sm" onclick="removeProfileConnection()">
+                    <i class="bi bi-person-dash me-1"></i>Retirer
+                </button>`;
+            break;
+        case 'PendingSent':
+            container.innerHTML = `
+                <button class="btn btn-outline-secondary btn-sm" disabled>
+                    <i class="bi bi-hourglass-split me-1"></i>En attente
+                </button>`;
+            break;
+        case 'PendingReceived':
+            container.innerHTML = `
+                <button class="btn btn-success btn-sm" onclick="acceptProfileRequest()">
+                    <i class="bi bi-check-lg me-1"></i>Accepter
+                </button>
+                <button class="btn btn-outline-secondary btn-sm" onclick="rejectProfileRequest()">
+                    <i class="bi bi-x-lg me-1"></i>Refuser
+                </button>`;
+            break;
+        case 'Rejected':
+            container.innerHTML = `
+                <button class="btn btn-outline-secondary btn-sm" disabled>
+                    <i class="bi bi-slash-circle me-1"></i>Demande refusée
+                </button>`;
+            break;
+        default:
+            container.innerHTML = `
+                <button class="btn btn-primary btn-sm" onclick="sendProfileRequest()">
+                    <i class="bi bi-person-plus me-1"></i>Se connecter
+                </button>`;
+    }
+
+    container.insertAdjacentHTML('beforeend', createRestrictionMenu());
+}
+
+// Menu "..." : masquer les publications (connexions uniquement) et bloquer
+function createRestrictionMenu() {
+    const muteItem = relationship.isMuted
+        ? `<li><button class="dropdown-item" onclick="toggleProfileMute()">
+               <i class="bi bi-eye me-2"></i>Réafficher les publications
+           </button></li>`
+        : relationship.status === 'Connected'
+            ? `<li><button class="dropdown-item" onclick="toggleProfileMute()">
+                   <i class="bi bi-eye-slash me-2"></i>Masquer les publications
+               </button></li>`
+            : '';
+
+    return `
+        <div class="dropdown">
+            <button class="btn btn-outline-secondary btn-sm" data-bs-toggle="dropdown" aria-label="Plus d'actions">
+                <i class="bi bi-three-dots"></i>
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+                ${muteItem}
+                <li><button class="dropdown-item text-danger" onclick="blockProfileUser()">
+                    <i class="bi bi-slash-circle me-2"></i>Bloquer
+                </button></li>
+            </ul>
+        </div>`;
+}
+
+async function toggleProfileMute() {
+    const response = await apiRequest(`/api/blocks/muted/${profileUserId}`, {
+        method: relationship.isMuted ? 'DELETE' : 'POST'
+    });
+    if (response && response.ok) {
+        relationship.isMuted = !relationship.isMuted;
+        renderProfileActions();
+    }
+}
+
+// Le blocage est réciproque : le profil n'est plus visible ensuite
+async function blockProfileUser() {
+    if (!confirm('Bloquer ce membre ? Vous ne verrez plus ses publications et il ne pourra plus vous contacter.')) return;
+
+    const response = await apiRequest(`/api/blocks/${profileUserId}`, { method: 'POST' });
+    if (!response) return;
+
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert(result.message || 'Erreur lors du blocage');
+        return;
+    }
+
+    window.location.href = '/Home/Profile';
+}
+
+async function sendProfileRequest() {
+    const response = await apiRequest(`/api/connections/request/${profileUserId}`, { method: 'POST' });
+    if (response && !response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert(result.message || "Erreur lors de l'envoi de la demande");
+    }
+    loadRelationship();
+}
+
+async function acceptProfileRequest() {
+    const response = await apiRequest(`/api/connections/${relationship.connectionId}/accept`, { method: 'PUT' });
+    if (response && response.ok) {
+        updateConnectionsCount(1);
+    }
+    loadRelationship();
+    loadMutualConnections();
+    loadProfileSections();
+}
+
+async function rejectProfileRequest() {
+    await apiRequest(`/api/connections/${relationship.connectionId}/reject`, { method: 'PUT' });
+    loadRelationship();
+}
+
+async function removeProfileConnection() {
+    if (!confirm('Retirer ce membre de vos connexions ?')) return;
+
+    const response = await apiRequest(`/api/connections/${relationship.connectionId}`, { method: 'DELETE' });
+    if (response && response.ok) {
+        updateConnectionsCount(-1);
+    }
+    loadRelationship();
+    loadMutualConnections();
+    loadProfileSections();
+}
+
+function updateConnectionsCount(delta) {
+    const counter = document.getElementById('connections-count');
+    counter.textContent = Math.max(0, (parseInt(counter.textContent, 10) || 0) + delta);
+}
+
+// ===========================================
+// Expérience, formation et compétences (recommandations)
+// ===========================================
+
+async function loadProfileSections() {
+    try {
+        const response = await apiRequest(`/api/users/${profileUserId}/sections`);
+        if (!response || !response.ok) return;
+
+        const sections = await response.json();
+        profileSkills = sections.skills;
+        canEndorse = sections.canEndorse;
+
+        renderSectionCard('experiences', sections.experiences.map(createExperienceItem));
+        renderSectionCard('educations', sections.educations.map(createEducationItem));
+        renderSkills();
+    } catch (error) {
+        console.error('Erreur chargement sections:', error);
+    }
+}
+
+// Une section vide n'est pas affichée
+function renderSectionCard(section, itemsHtml) {
+    document.getElementById(`public-${section}-card`).classList.toggle('d-none', itemsHtml.length === 0);
+    document.getElementById(`public-${section}`).innerHTML = itemsHtml.map((html, index) => `
+        <div class="${index < itemsHtml.length - 1 ? 'border-bottom pb-2 mb-2' : ''}">${html}</div>`).join('');
+}
+
+function renderSkills() {
+    renderSectionCard('skills', profileSkills.map(createPublicSkillItem));
+}
+
+function createPublicSkillItem(skill) {
+    const endorsers = skill.endorsers.map(u => `
+        <a href="${getProfileUrl(u.id)}" title="${escapeHtml(u.firstName)} ${escapeHtml(u.lastName)}">
+            <img src="${getAvatarUrl(u.avatarUrl, 24)}" class="rounded-circle" width="24" height="24" alt="Avatar">
+        </a>`).join('');
+
+    let button = '';
+    if (canEndorse) {
+        button = skill.isEndorsedByCurrentUser
+            ? `<button class="btn btn-outline-secondary btn-sm" title="Retirer ma recommandation" onclick="toggleEndorsement('${skill.id}')">
+                   <i class="bi bi-check-lg me-1"></i>Recommandé
+               </button>`
+            : `<button class="btn btn-outline-primary btn-sm" onclick="toggleEndorsement('${skill.id}')">
+                   <i class="bi bi-hand-thumbs-up me-1"></i>Recommander
+               </button>`;
+    }
+
+    return `
+        <div class="d-flex align-items-center gap-2">
+            <div class="flex-grow-1">
+                <div class="fw-medium">${escapeHtml(skill.name)}</div>
+                ${skill.endorsementsCount > 0 ? `
+                    <div class="d-flex align-items-center gap-1 small text-muted mt-1">
+                        ${endorsers}
+                        <span class="ms-1">${formatEndorsementsCount(skill.endorsementsCount)}</span>
+                    </div>` : ''}
+            </div>
+            ${button}
+        </div>`;
+}
+
+// Recommander une compétence, ou retirer sa recommandation
+async function toggleEndorsement(skillId) {
+    const skill = profileSkills.find(s => s.id === skillId);
+    if (!skill) return;
+
+    hideAlert('skills-alert');
+
+    const response = await apiRequest(`/api/users/${profileUserId}/skills/${skillId}/endorsement`, {
+        method: skill.isEndorsedByCurrentUser ? 'DELETE' : 'POST'
+    });
+    if (!response) return;
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        showAlert('skills-alert', result.message || 'Erreur lors de la recommandation');
+        return;
+    }
+
+    profileSkills = profileSkills.map(s => s.id === skillId ? result : s);
+    renderSkills();
+}
+
+// ===========================================
+// Relations en commun et publications
+// ===========================================
+
+async function loadMutualConnections() {
+    const container = document.getElementById('mutual-connections');
+
+    try {
+        const response = await apiRequest(`/api/connections/mutual/${profileUserId}`);
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const users = await response.json();
+
+        if (users.length === 0) {
+            container.innerHTML = '<p class="text-muted small mb-0">Aucune relation en commun</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="small text-muted">${users.length} relation${users.length > 1 ? 's' : ''} en commun</p>
+            ${users.map(u => `
+                <a href="${getProfileUrl(u.id)}" class="d-flex align-items-center gap-2 mb-2 text-decoration-none text-dark">
+                    <img src="${getAvatarUrl(u.avatarUrl, 32)}" class="rounded-circle" width="32" height="32" alt="Avatar">
+                    <div>
+                        <div class="small fw-medium">${escapeHtml(u.firstName)} ${escapeHtml(u.lastName)}</div>
+                        <small class="text-muted">${escapeHtml(u.headline)}</small>
+                    </div>
+                </a>`).join('')}`;
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger small mb-0">Erreur de chargement</p>';
+    }
+}
+
+async function loadProfilePosts() {
+    const container = document.getElementById('profile-posts-container');
+
+    try {
+        const response = await apiRequest(`/api/posts/user/${profileUserId}`);
+        if (!response || !response.ok) throw new Error('Erreur chargement');
+
+        const posts = await response.json();
+
+        if (posts.length === 0) {
+            container.innerHTML = '<p class="text-muted text-center mb-0">Aucune publication</p>';
+            return;
+        }
+
+        container.innerHTML = posts.map(post => createPostCard(post)).join('');
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger text-center mb-0">Erreur de chargement</p>';
+    }
+}
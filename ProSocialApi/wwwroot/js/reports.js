@@ -0,0 +1,97 @@
+// reports.js - Signalement d'un contenu (post, commentaire, message) à la modération
+// Chargé sur toutes les pages : openReportModal('Post' | 'Comment' | 'Message', id)
+
+// Motifs proposés (valeurs de l'enum ReportReason côté API)
+const REPORT_REASONS = [
+    { value: 'Spam', label: 'Spam ou publicité' },
+    { value: 'Harassment', label: 'Harcèlement' },
+    { value: 'HateSpeech', label: 'Discours haineux' },
+    { value: 'Misinformation', label: 'Fausse information' },
+    { value: 'InappropriateContent', label: 'Contenu inapproprié' },
+    { value: 'Other', label: 'Autre' }
+];
+
+function getReportReasonLabel(value) {
+    return REPORT_REASONS.find(r => r.value === value)?.label || value;
+}
+
+// Modal de signalement (créée à la première ouverture, partagée par tous les contenus)
+function getReportModal() {
+    let modal = document.getElementById('reportModal');
+    if (!modal) {
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="reportModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <form class="modal-content" id="report-form">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="bi bi-flag me-2"></i>Signaler</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div id="report-alert" class="alert d-none"></div>
+                            <p class="small text-muted">Pourquoi signalez-vous ce contenu ?</p>
+                            ${REPORT_REASONS.map(r => `
+                                <div class="form-check">
+                                    <input class="form-check-input" type="radio" name="report-reason"
+                                           id="report-reason-${r.value}" value="${r.value}" required>
+                                    <label class="form-check-label" for="report-reason-${r.value}">${r.label}</label>
+                                </div>`).join('')}
+                            <textarea class="form-control form-control-sm mt-3" id="report-details" rows="2"
+                                      maxlength="500" placeholder="Précisions (facultatif)"></textarea>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Annuler</button>
+                            <button type="submit" class="btn btn-danger" id="report-submit-btn">Signaler</button>
+                        </div>
+                    </form>
+                </div>
+            </div>`);
+        modal = document.getElementById('reportModal');
+        document.getElementById('report-form').addEventListener('submit', submitReport);
+    }
+    return modal;
+}
+
+function openReportModal(targetType, targetId) {
+    const modal = getReportModal();
+    const form = document.getElementById('report-form');
+    form.reset();
+    form.dataset.targetType = targetType;
+    form.dataset.targetId = targetId;
+    hideAlert('report-alert');
+    document.getElementById('report-submit-btn').disabled = false;
+
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+}
+
+async function submitReport(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const reason = form.querySelector('input[name="report-reason"]:checked')?.value;
+    const details = document.getElementById('report-details').value.trim();
+    const submitBtn = document.getElementById('report-submit-btn');
+    submitBtn.disabled = true;
+
+    const response = await apiRequest('/api/reports', {
+        method: 'POST',
+        body: JSON.stringify({
+            targetType: form.dataset.targetType,
+            targetId: form.dataset.targetId,
+            reason,
+            details: details || null
+        })
+    });
+    if (!response) return;
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        showAlert('report-alert', result.message || 'Erreur lors du signalement');
+        submitBtn.disabled = false;
+        return;
+    }
+
+    showAlert('report-alert', 'Merci, votre signalement a été transmis à la modération.', 'success');
+    setTimeout(() => bootstrap.Modal.getInstance(getReportModal())?.hide(), 1500);
+}
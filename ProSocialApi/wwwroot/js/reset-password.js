@@ -0,0 +1,61 @@
+// reset-password.js - Page "Nouveau mot de passe" (lien reçu par email : ?token=...)
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (!getResetToken()) {
+        document.getElementById('reset-password-form').classList.add('d-none');
+        showAlert('form-alert', 'Ce lien de réinitialisation est incomplet. Demandez un nouveau lien.');
+        return;
+    }
+
+    document.getElementById('reset-password-form').addEventListener('submit', handleResetPassword);
+});
+
+function getResetToken() {
+    return new URLSearchParams(window.location.search).get('token');
+}
+
+async function handleResetPassword(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const submitBtn = document.getElementById('submit-btn');
+    const btnText = document.getElementById('btn-text');
+    const btnSpinner = document.getElementById('btn-spinner');
+
+    const password = document.getElementById('password').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+
+    if (password !== confirmPassword) {
+        showAlert('form-alert', 'Les mots de passe ne correspondent pas');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    btnText.textContent = 'Enregistrement...';
+    btnSpinner.classList.remove('d-none');
+    hideAlert('form-alert');
+
+    try {
+        const response = await fetch('/api/auth/reset-password', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ token: getResetToken(), password, confirmPassword })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            form.classList.add('d-none');
+            showAlert('form-alert', `${data.message}. Vous pouvez maintenant vous connecter.`, 'success');
+        } else {
+            showAlert('form-alert', data.message || 'Impossible de modifier le mot de passe');
+        }
+    } catch (error) {
+        showAlert('form-alert', 'Erreur de connexion au serveur');
+    } finally {
+        submitBtn.disabled = false;
+        btnText.textContent = 'Enregistrer';
+        btnSpinner.classList.add('d-none');
+    }
+}
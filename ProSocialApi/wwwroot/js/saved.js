@@ -0,0 +1,77 @@
+// saved.js - Publications enregistrées (/Home/Saved)
+// Du dernier enregistrement au plus ancien ; un post retiré reste affiché (grisé)
+// jusqu'au rechargement, ce qui permet de l'enregistrer à nouveau et garde la pagination juste
+
+const SAVED_PAGE_SIZE = 10;
+let savedPage = 0;
+let savedLoading = false;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const auth = requireAuth();
+    if (!auth) return;
+
+    loadSavedPosts();
+
+    document.addEventListener('post:save-changed', e => {
+        document.getElementById(`post-${e.detail.postId}`)?.classList.toggle('post-unsaved', !e.detail.saved);
+    });
+
+    // Dernier post supprimé : afficher l'état vide
+    document.addEventListener('post:deleted', () => {
+        const container = document.getElementById('saved-posts-container');
+        if (!container.querySelector('.post-card')) {
+            container.innerHTML = createEmptySavedHtml();
+        }
+    });
+});
+
+// Charge la page suivante des publications enregistrées
+async function loadSavedPosts() {
+    if (savedLoading) return;
+
+    const container = document.getElementById('saved-posts-container');
+    const loader = document.getElementById('saved-loader');
+    const more = document.getElementById('saved-more');
+    savedLoading = true;
+    loader.classList.remove('d-none');
+    more.classList.add('d-none');
+
+    try {
+        const nextPage = savedPage + 1;
+        const response = await apiRequest(`/api/posts/saved?page=${nextPage}&pageSize=${SAVED_PAGE_SIZE}`);
+        if (!response) return;
+        if (!response.ok) throw new Error('Erreur chargement');
+
+        const posts = await response.json();
+        savedPage = nextPage;
+
+        if (savedPage === 1 && posts.length === 0) {
+            container.innerHTML = createEmptySavedHtml();
+            return;
+        }
+
+        // Un post enregistré entre-temps décale la pagination : on ignore les doublons
+        const newPosts = posts.filter(post => !document.getElementById(`post-${post.id}`));
+        container.insertAdjacentHTML('beforeend', newPosts.map(post => createPostCard(post)).join(''));
+
+        // Page incomplète : plus rien à charger
+        more.classList.toggle('d-none', posts.length < SAVED_PAGE_SIZE);
+    } catch (error) {
+        container.insertAdjacentHTML('beforeend', `
+            <div class="alert alert-danger">
+                Erreur lors du chargement des publications enregistrées
+            </div>`);
+    } finally {
+        savedLoading = false;
+        loader.classList.add('d-none');
+    }
+}
+
+function createEmptySavedHtml() {
+    return `
+        <div class="text-center py-5 text-muted">
+            <i class="bi bi-bookmark display-4"></i>
+            <p class="mt-3">Aucune publication enregistrée</p>
+            <p class="small">Utilisez le bouton <i class="bi bi-bookmark"></i> d'une publication pour la retrouver ici</p>
+        </div>`;
+}
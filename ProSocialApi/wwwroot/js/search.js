@@ -0,0 +1,292 @@
+// search.js - Page de recherche (Personnes / Publications)
+// La requête et les filtres sont repris de l'URL (?q=...&tab=posts&connectionsOnly=true&from=...&to=...)
+// et y sont reportés à chaque recherche : un lien ou un rechargement de la page conserve la recherche.
+
+const SEARCH_PAGE_SIZE = 12;
+
+// État de chaque onglet : dernière page chargée et chargement en cours
+const searchState = {
+    people: { page: 0, loading: false },
+    posts: { page: 0, loading: false }
+};
+// Incrémenté à chaque nouvelle recherche : les réponses de la précédente sont ignorées
+let searchGeneration = 0;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const auth = requireAuth();
+    if (!auth) return;
+
+    const params = new URLSearchParams(window.location.search);
+    document.getElementById('search-input').value = params.get('q') || '';
+    document.getElementById('search-connections-only').checked = params.get('connectionsOnly') === 'true';
+    document.getElementById('search-from').value = params.get('from') || '';
+    document.getElementById('search-to').value = params.get('to') || '';
+
+    // Les dates ne filtrent que les publications
+    const postsTab = document.getElementById('posts-tab');
+    postsTab.addEventListener('shown.bs.tab', () => toggleDateFilters(true));
+    document.getElementById('people-tab').addEventListener('shown.bs.tab', () => toggleDateFilters(false));
+    if (params.get('tab') === 'posts') {
+        bootstrap.Tab.getOrCreateInstance(postsTab).show();
+    }
+
+    document.getElementById('search-form').addEventListener('submit', e => {
+        e.preventDefault();
+        startSearch();
+    });
+    ['search-connections-only', 'search-from', 'search-to'].forEach(id =>
+        document.getElementById(id).addEventListener('change', startSearch));
+
+    startSearch();
+});
+
+function toggleDateFilters(visible) {
+    document.getElementById('search-date-filters').classList.toggle('d-none', !visible);
+    updateSearchUrl();
+}
+
+function getSearchFilters() {
+    return {
+        q: document.getElementById('search-input').value.trim(),
+        connectionsOnly: document.getElementById('search-connections-only').checked,
+        from: document.getElementById('search-from').value,
+        to: document.getElementById('search-to').value
+    };
+}
+
+// Reporte la recherche dans l'URL (sans recharger la page) et dans la barre de la navbar
+function updateSearchUrl() {
+    const filters = getSearchFilters();
+    const params = new URLSearchParams();
+    if (filters.q) params.set('q', filters.q);
+    if (document.getElementById('posts-tab').classList.contains('active')) params.set('tab', 'posts');
+    if (filters.connectionsOnly) params.set('connectionsOnly', 'true');
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+
+    history.replaceState(null, '', `/Home/Search?${params}`);
+
+    const navbarInput = document.getElementById('navbar-search-input');
+    if (navbarInput) navbarInput.value = filters.q;
+}
+
+// Relance la recherche dans les deux onglets depuis la première page
+function startSearch() {
+    hideAlert('search-alert');
+    updateSearchUrl();
+
+    const { q, from, to } = getSearchFilters();
+    searchGeneration++;
+    searchState.people = { page: 0, loading: false };
+    searchState.posts = { page: 0, loading: false };
+
+    if (!q) {
+        renderSearchCount('people', null);
+        renderSearchCount('posts', null);
+        document.getElementById('people-container').innerHTML = createSearchHintHtml();
+        document.getElementById('posts-container').innerHTML = createSearchHintHtml();
+        document.getElementById('people-more').classList.add('d-none');
+        document.getElementById('posts-more').classList.add('d-none');
+        return;
+    }
+
+    if (from && to && from > to) {
+        showAlert('search-alert', 'La date de début doit précéder la date de fin');
+        return;
+    }
+
+    document.getElementById('people-container').innerHTML = createSearchSpinnerHtml();
+    document.getElementById('posts-container').innerHTML = createSearchSpinnerHtml();
+    loadPeople();
+    loadPosts();
+}
+
+// Charge la page suivante des personnes trouvées
+async function loadPeople() {
+    const results = await fetchSearchPage('people');
+    if (!results) return;
+
+    const container = document.getElementById('people-container');
+    if (results.page === 1) container.innerHTML = '';
+
+    if (results.totalCount === 0) {
+        container.innerHTML = '<p class="text-muted">Aucun membre ne correspond à votre recherche</p>';
+    } else {
+        container.insertAdjacentHTML('beforeend',
+            results.items.map(user => createPersonResultHtml(user, results.terms)).join(''));
+    }
+}
+
+// Charge la page suivante des publications trouvées
+async function loadPosts() {
+    const results = await fetchSearchPage('posts');
+    if (!results) return;
+
+    const container = document.getElementById('posts-container');
+    if (results.page === 1) container.innerHTML = '';
+
+    if (results.totalCount === 0) {
+        container.innerHTML = '<p class="text-muted">Aucune publication ne correspond à votre recherche</p>';
+        return;
+    }
+
+    container.insertAdjacentHTML('beforeend', results.items.map(createPostCard).join(''));
+
+    // Surligne les termes trouvés dans le texte des posts (le reste de la carte est inchangé)
+    results.items.forEach(post => {
+        const contentEl = document.getElementById(`post-content-${post.id}`);
+        if (contentEl) highlightTextNodes(contentEl, results.terms);
+    });
+}
+
+// Surligne les termes dans les nœuds texte d'un élément, sans toucher
+// aux liens qu'il contient (mentions, hashtags)
+function highlightTextNodes(element, terms) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const template = document.createElement('template');
+        template.innerHTML = highlightTerms(node.textContent, terms);
+        node.replaceWith(template.content);
+    });
+}
+
+// Appelle l'API de recherche pour la page suivante d'un onglet ('people' ou 'posts')
+// Retourne null si la réponse est périmée (nouvelle recherche lancée entre-temps) ou en erreur
+async function fetchSearchPage(type) {
+    const state = searchState[type];
+    if (state.loading) return null;
+
+    const generation = searchGeneration;
+    const filters = getSearchFilters();
+    const params = new URLSearchParams({
+        q: filters.q,
+        page: state.page + 1,
+        pageSize: SEARCH_PAGE_SIZE
+    });
+    if (filters.connectionsOnly) params.set('connectionsOnly', 'true');
+    if (type === 'posts' && filters.from) params.set('from', filters.from);
+    if (type === 'posts' && filters.to) params.set('to', filters.to);
+
+    state.loading = true;
+    const moreButton = document.querySelector(`#${type}-more button`);
+    moreButton.disabled = true;
+
+    try {
+        const response = await apiRequest(`/api/search/${type}?${params}`);
+        if (!response || generation !== searchGeneration) return null;
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            document.getElementById(`${type}-container`).innerHTML =
+                `<p class="text-danger">${escapeHtml(error.message || 'Erreur de chargement')}</p>`;
+            return null;
+        }
+
+        const results = await response.json();
+        state.page = results.page;
+        renderSearchCount(type, results.totalCount);
+        document.getElementById(`${type}-more`).classList.toggle('d-none', !results.hasMore);
+        return results;
+    } catch (error) {
+        if (generation === searchGeneration) {
+            document.getElementById(`${type}-container`).innerHTML = '<p class="text-danger">Erreur de chargement</p>';
+        }
+        return null;
+    } finally {
+        if (generation === searchGeneration) {
+            state.loading = false;
+            moreButton.disabled = false;
+        }
+    }
+}
+
+function renderSearchCount(type, count) {
+    const badge = document.getElementById(`${type}-count`);
+    badge.textContent = count ?? '';
+    badge.classList.toggle('d-none', count === null);
+}
+
+function createPersonResultHtml(user, terms) {
+    const name = `${user.firstName} ${user.lastName}`;
+
+    return `
+        <div class="col-md-4 mb-3">
+            <div class="card h-100 user-card">
+                <div class="card-body text-center">
+                    <a href="${getProfileUrl(user.id)}">
+                        <img src="${getAvatarUrl(user.avatarUrl, 64)}"
+                             class="rounded-circle mb-3" width="64" height="64" alt="Avatar">
+                    </a>
+                    <h6 class="card-title">
+                        <a href="${getProfileUrl(user.id)}" class="text-decoration-none text-dark">${highlightTerms(name, terms)}</a>
+                    </h6>
+                    <p class="text-muted small">${highlightTerms(user.headline, terms)}</p>
+                    ${user.isConnected ? '<span class="badge bg-light text-primary border"><i class="bi bi-people me-1"></i>Relation</span>' : ''}
+                </div>
+            </div>
+        </div>`;
+}
+
+function createSearchHintHtml() {
+    return '<p class="text-muted">Saisissez un nom, un titre ou des mots présents dans une publication</p>';
+}
+
+function createSearchSpinnerHtml() {
+    return `
+        <div class="text-center py-4">
+            <div class="spinner-border text-primary" role="status"></div>
+        </div>`;
+}
+
+// Normalise comme le serveur (SearchNormalizer) : minuscules, sans accents, ligatures œ/æ décomposées
+function normalizeSearchText(text) {
+    return text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/œ/g, 'oe')
+        .replace(/æ/g, 'ae');
+}
+
+// Échappe le texte et entoure de <mark> les passages correspondant aux termes,
+// sans tenir compte des accents ("helene" surligne "Hélène")
+function highlightTerms(text, terms) {
+    if (!text) return '';
+    if (!terms || terms.length === 0) return escapeHtml(text);
+
+    // Chaque caractère d'origine est normalisé séparément : on garde pour chaque
+    // caractère normalisé l'index du caractère d'origine dont il provient
+    const chars = Array.from(text);
+    let normalized = '';
+    const origins = [];
+    chars.forEach((char, index) => {
+        const part = normalizeSearchText(char);
+        normalized += part;
+        for (let i = 0; i < part.length; i++) origins.push(index);
+    });
+
+    const marked = new Array(chars.length).fill(false);
+    terms.forEach(term => {
+        if (!term) return;
+        let position = normalized.indexOf(term);
+        while (position !== -1) {
+            for (let i = position; i < position + term.length; i++) marked[origins[i]] = true;
+            position = normalized.indexOf(term, position + term.length);
+        }
+    });
+
+    let html = '';
+    let open = false;
+    chars.forEach((char, index) => {
+        if (marked[index] !== open) {
+            html += open ? '</mark>' : '<mark>';
+            open = marked[index];
+        }
+        html += escapeHtml(char);
+    });
+    if (open) html += '</mark>';
+
+    return html;
+}
@@ -0,0 +1,70 @@
+// tag.js - Publications d'un hashtag (/Home/Tag/{tag})
+// Le hashtag normalisé est fourni par la vue (data-tag)
+
+const TAG_PAGE_SIZE = 10;
+let tagPage = 0;
+let tagLoading = false;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const auth = requireAuth();
+    if (!auth) return;
+
+    loadTagPosts();
+
+    // Dernier post supprimé : afficher l'état vide
+    document.addEventListener('post:deleted', () => {
+        const container = document.getElementById('tag-posts-container');
+        if (!container.querySelector('.post-card')) {
+            container.innerHTML = createEmptyTagHtml();
+        }
+    });
+});
+
+// Charge la page suivante des publications du hashtag
+async function loadTagPosts() {
+    if (tagLoading) return;
+
+    const tag = document.getElementById('tag-page').dataset.tag;
+    const container = document.getElementById('tag-posts-container');
+    const loader = document.getElementById('tag-loader');
+    const more = document.getElementById('tag-more');
+    tagLoading = true;
+    loader.classList.remove('d-none');
+    more.classList.add('d-none');
+
+    try {
+        const nextPage = tagPage + 1;
+        const response = await apiRequest(`/api/hashtags/${encodeURIComponent(tag)}/posts?page=${nextPage}&pageSize=${TAG_PAGE_SIZE}`);
+        if (!response) return;
+        if (!response.ok) throw new Error('Erreur chargement');
+
+        const posts = await response.json();
+        tagPage = nextPage;
+
+        if (tagPage === 1 && posts.length === 0) {
+            container.innerHTML = createEmptyTagHtml();
+            return;
+        }
+
+        container.insertAdjacentHTML('beforeend', posts.map(post => createPostCard(post)).join(''));
+
+        // Page incomplète : plus rien à charger
+        more.classList.toggle('d-none', posts.length < TAG_PAGE_SIZE);
+    } catch (error) {
+        container.insertAdjacentHTML('beforeend', `
+            <div class="alert alert-danger">
+                Erreur lors du chargement des publications
+            </div>`);
+    } finally {
+        tagLoading = false;
+        loader.classList.add('d-none');
+    }
+}
+
+function createEmptyTagHtml() {
+    return `
+        <div class="text-center py-5 text-muted">
+            <i class="bi bi-hash display-4"></i>
+            <p class="mt-3">Aucune publication avec ce hashtag pour le moment</p>
+        </div>`;
+}
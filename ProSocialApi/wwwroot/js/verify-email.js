@@ -0,0 +1,35 @@
+// verify-email.js - Page de confirmation de l'adresse email (lien reçu par email : ?token=...)
+
+document.addEventListener('DOMContentLoaded', verifyEmail);
+
+async function verifyEmail() {
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    try {
+        if (!token) {
+            showAlert('verify-alert', 'Ce lien de confirmation est incomplet.');
+            return;
+        }
+
+        const response = await fetch('/api/auth/verify-email', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ token })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            markEmailAsVerified(data.userId);
+            showAlert('verify-alert', data.message, 'success');
+        } else {
+            showAlert('verify-alert', data.message || "Impossible de confirmer l'adresse email");
+        }
+    } catch (error) {
+        showAlert('verify-alert', 'Erreur de connexion au serveur');
+    } finally {
+        document.getElementById('verify-loading').classList.add('d-none');
+        document.getElementById('verify-continue').classList.remove('d-none');
+    }
+}